@@ -0,0 +1,43 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+// Kept free of UI imports, so that it can be used outside of the widget.
+
+export const PREFIX = '${conn(';
+export const SUFFIX = ')}';
+
+export function extractConnectionName(connection) {
+  if (!connection) {
+    return null;
+  }
+
+  const startIndex = connection.indexOf(PREFIX);
+  const endIndex = connection.lastIndexOf(SUFFIX);
+
+  if (startIndex === -1 || endIndex === -1) {
+    return null;
+  }
+
+  return connection.slice(startIndex + PREFIX.length, endIndex);
+}
+
+export function isConnection(connection) {
+  if (!connection) {
+    return false;
+  }
+
+  return connection.startsWith(PREFIX) && connection.endsWith(SUFFIX);
+}
@@ -31,6 +31,12 @@ import PipelineModal from 'components/PipelineModal';
 import AddConnectionBtnModal from 'components/Connections/AddConnectionBtnModal';
 import ImportConnectionBtn from 'components/Connections/ImportConnectionBtn';
 import classnames from 'classnames';
+import {
+  extractConnectionName,
+  isConnection,
+  PREFIX,
+  SUFFIX,
+} from 'components/AbstractWidget/ConnectionsWidget/helpers';
 
 const useStyle = makeStyles((theme) => {
   return {
@@ -61,9 +67,6 @@ interface IConnectionWidgetProps {
 
 interface IConnectionProps extends IWidgetProps<IConnectionWidgetProps> {}
 
-const PREFIX = '${conn(';
-const SUFFIX = ')}';
-
 const ConnectionsWidget: React.FC<IConnectionProps> = ({
   value,
   onChange,
@@ -178,27 +181,6 @@ const ConnectionsWidget: React.FC<IConnectionProps> = ({
   );
 };
 
-export function extractConnectionName(connection) {
-  if (!connection) {
-    return null;
-  }
-
-  const startIndex = connection.indexOf(PREFIX);
-  const endIndex = connection.lastIndexOf(SUFFIX);
-
-  if (startIndex === -1 || endIndex === -1) {
-    return null;
-  }
-
-  return connection.slice(startIndex + PREFIX.length, endIndex);
-}
-
-export function isConnection(connection) {
-  if (!connection) {
-    return false;
-  }
-
-  return connection.startsWith(PREFIX) && connection.endsWith(SUFFIX);
-}
+export { extractConnectionName, isConnection };
 
 export default ConnectionsWidget;
@@ -48,18 +48,31 @@ function FlatSchemaBase(
     collapsed,
     hidden: isParentCollapsed,
   });
-  if (hasChildren) {
-    let iterable;
-    if (Array.isArray(children.order) && children.order.length) {
-      iterable = children.order;
-      for (const childId of iterable) {
-        result.push(...FlatSchemaBase(children[childId], options, ancestors.concat(id), collapsed));
-      }
-    } else {
-      iterable = children;
-      for (const [_, value] of Object.entries<INode>(iterable)) {
-        result.push(...FlatSchemaBase(value, options, ancestors.concat(id), collapsed));
-      }
+  // In large schema mode the children of collapsed rows are flattened only when they are expanded.
+  if (hasChildren && !(collapsed && options.largeSchemaMode)) {
+    result.push(...FlatSchemaChildren(schemaTree, options, ancestors.concat(id), collapsed));
+  }
+  return result;
+}
+
+function FlatSchemaChildren(
+  schemaTree: INode,
+  options: ISchemaManagerOptions,
+  ancestors: string[],
+  isParentCollapsed = false
+) {
+  const result: IFlattenRowType[] = [];
+  const { children } = schemaTree;
+  let iterable;
+  if (Array.isArray(children.order) && children.order.length) {
+    iterable = children.order;
+    for (const childId of iterable) {
+      result.push(...FlatSchemaBase(children[childId], options, ancestors, isParentCollapsed));
+    }
+  } else {
+    iterable = children;
+    for (const [_, value] of Object.entries<INode>(iterable)) {
+      result.push(...FlatSchemaBase(value, options, ancestors, isParentCollapsed));
     }
   }
   return result;
@@ -75,4 +88,18 @@ function FlatSchemaBase(
 function FlatSchema(schemaTree: INode, options: ISchemaManagerOptions, ancestors = []) {
   return FlatSchemaBase(schemaTree, options, ancestors);
 }
-export { FlatSchema };
+
+/**
+ * Flatten only the children of a schema tree node. This is used to expand a collapsed row
+ * in large schema mode, where the children of collapsed rows are not part of the flattened array.
+ * @param schemaTree Avro schema tree whose children should be flattened
+ * @param options Options to flatten.
+ * @param ancestors Ancestors of the children, including the node itself.
+ */
+function FlatChildren(schemaTree: INode, options: ISchemaManagerOptions, ancestors: string[]) {
+  if (!schemaTree || !isObject(schemaTree.children)) {
+    return [];
+  }
+  return FlatSchemaChildren(schemaTree, options, ancestors);
+}
+export { FlatSchema, FlatChildren };
@@ -22,7 +22,10 @@ import {
 import uuidV4 from 'uuid/v4';
 import isEmpty from 'lodash/isEmpty';
 import { INode, parseSchema } from 'components/AbstractWidget/SchemaEditor/Context/SchemaParser';
-import { FlatSchema } from 'components/AbstractWidget/SchemaEditor/Context/FlatSchema';
+import {
+  FlatSchema,
+  FlatChildren,
+} from 'components/AbstractWidget/SchemaEditor/Context/FlatSchema';
 import { ISchemaType } from 'components/AbstractWidget/SchemaEditor/SchemaTypes';
 import { SchemaGenerator } from 'components/AbstractWidget/SchemaEditor/Context/SchemaGenerator';
 import isObject from 'lodash/isObject';
@@ -38,10 +41,13 @@ import {
   OperationTypesEnum,
   getDefaultEmptyAvroSchema,
   AvroSchemaTypesEnum,
+  LARGE_SCHEMA_ROW_COUNT,
 } from 'components/AbstractWidget/SchemaEditor/SchemaConstants';
 
 interface ISchemaManagerOptions {
   collapseAll: boolean;
+  // Defaults to whether the schema has at least LARGE_SCHEMA_ROW_COUNT rows.
+  largeSchemaMode?: boolean;
 }
 
 /**
@@ -51,7 +57,13 @@ interface ISchemaManager {
   getSchemaTree: () => INode;
   getFlatSchema: () => IFlattenRowType[];
   getAvroSchema: () => ISchemaType;
+  isLargeSchema: () => boolean;
   onChange: (fieldId: IFieldIdentifier, onChangePayload: IOnChangePayload) => IOnChangeReturnType;
+  searchFields: (query: string) => IFieldIdentifier[];
+  expandTo: (fieldId: IFieldIdentifier) => IOnChangeReturnType;
+  setAllNullable: (nullable: boolean) => void;
+  removeFields: (fieldIds: IFieldIdentifier[]) => void;
+  updateFieldsType: (fieldIds: IFieldIdentifier[], type: string) => void;
 }
 
 interface IOnChangeReturnType {
@@ -79,6 +91,10 @@ interface IOnChangeReturnType {
  *
  * We need two representations because we need one for processing and the other for display purposes.
  * Flattening the tree as aray helps us with using virtual scroll which improves performance.
+ *
+ * In large schema mode the children of collapsed rows are left out of the flattened array and
+ * are flattened only when the row is expanded. So the flattened array doesn't grow with the
+ * size of nested records the user never looks at.
  */
 class SchemaManagerBase implements ISchemaManager {
   private schemaTree: INode;
@@ -86,13 +102,33 @@ class SchemaManagerBase implements ISchemaManager {
   private options: ISchemaManagerOptions;
   constructor(avroSchema, options: ISchemaManagerOptions) {
     this.schemaTree = parseSchema(avroSchema);
-    this.flatTree = FlatSchema(this.schemaTree, options);
-    this.options = options;
+    const largeSchemaMode =
+      typeof options.largeSchemaMode === 'boolean'
+        ? options.largeSchemaMode
+        : branchCount(this.schemaTree) >= LARGE_SCHEMA_ROW_COUNT;
+    this.options = { ...options, largeSchemaMode };
+    this.flatTree = FlatSchema(this.schemaTree, this.options);
   }
 
   public getSchemaTree = () => this.schemaTree;
   public getFlatSchema = () => this.flatTree;
   public getAvroSchema = () => SchemaGenerator(this.schemaTree);
+  public isLargeSchema = () => this.options.largeSchemaMode;
+
+  // Number of rows right after the given row in the flattened array that are its children.
+  // This is different from the branch count of the tree in large schema mode as the children
+  // of collapsed rows are not flattened.
+  private flatBranchCount = (index: number): number => {
+    const { id } = this.flatTree[index];
+    let count = 0;
+    while (
+      index + count + 1 < this.flatTree.length &&
+      this.flatTree[index + count + 1].ancestors.indexOf(id) !== -1
+    ) {
+      count++;
+    }
+    return count;
+  };
 
   // Generic function to insert the newly created child id into the order array
   // to maintain order of fields.
@@ -258,7 +294,7 @@ class SchemaManagerBase implements ISchemaManager {
     };
     newFlatSubTree = FlatSchema(result.newTree, customOptions, matchingEntry.ancestors);
     this.schemaTree = result.tree;
-    const currentFieldBranchCount = branchCount(result.currentField);
+    const currentFieldBranchCount = this.flatBranchCount(currentIndex);
     this.flatTree = [
       ...this.flatTree.slice(0, currentIndex + currentFieldBranchCount + 1),
       ...newFlatSubTree,
@@ -326,12 +362,12 @@ class SchemaManagerBase implements ISchemaManager {
     const currentIndex = this.flatTree.findIndex((f) => f.id === fieldId.id);
     const matchingEntry = this.flatTree[currentIndex];
     const idObj = { id: matchingEntry.id, ancestors: matchingEntry.ancestors };
-    const { tree, removedField, newlyAddedField } = this.removeFromTree(this.schemaTree, idObj);
-    this.schemaTree = tree;
     // branch count to determine the slice in the flattened array.
     // If the user removed a complex type we need to remove the row
     // and all of its children.
-    const childrenInBranch = branchCount(removedField);
+    const childrenInBranch = this.flatBranchCount(currentIndex);
+    const { tree, newlyAddedField } = this.removeFromTree(this.schemaTree, idObj);
+    this.schemaTree = tree;
     let newFlatSubTree = [];
     // Newly added row in case we need to maintain the structure of say, a record or an enum.
     if (newlyAddedField) {
@@ -358,11 +394,10 @@ class SchemaManagerBase implements ISchemaManager {
     { property, value }: Partial<IOnChangePayload>
   ): {
     tree: INode;
-    childrenCount: number;
     newTree: INode;
   } => {
     if (!tree) {
-      return { childrenCount: undefined, tree: undefined, newTree: undefined };
+      return { tree: undefined, newTree: undefined };
     }
     if (fieldId.ancestors.length === 1 && !isEmpty(tree.children[fieldId.id])) {
       if (property === 'typeProperties' && typeof value === 'object') {
@@ -373,10 +408,8 @@ class SchemaManagerBase implements ISchemaManager {
       } else {
         tree.children[fieldId.id][property] = value;
       }
-      let childrenInBranch = 0;
       let newChildTree: INode;
       if (property === 'type') {
-        childrenInBranch = branchCount(tree.children[fieldId.id]);
         tree.children[fieldId.id].children = initChildren(value);
         newChildTree = tree.children[fieldId.id];
         tree.children[fieldId.id].internalType = getInternalType(tree.children[fieldId.id]);
@@ -384,12 +417,11 @@ class SchemaManagerBase implements ISchemaManager {
       }
       return {
         tree,
-        childrenCount: childrenInBranch,
         newTree: newChildTree,
       };
     }
 
-    const { tree: child, childrenCount, newTree } = this.updateTree(
+    const { tree: child, newTree } = this.updateTree(
       tree.children[fieldId.ancestors[1]],
       { id: fieldId.id, ancestors: fieldId.ancestors.slice(1) },
       { property, value }
@@ -402,7 +434,6 @@ class SchemaManagerBase implements ISchemaManager {
           [child.id]: child,
         },
       },
-      childrenCount,
       newTree,
     };
   };
@@ -431,16 +462,17 @@ class SchemaManagerBase implements ISchemaManager {
       this.flatTree[index][property] = value;
     }
     const matchingEntry = this.flatTree[index];
-    let result: { tree: INode; childrenCount: number; newTree: INode };
+    let result: { tree: INode; newTree: INode };
     let newFlatSubTree: IFlattenRowType[];
     const idObj = { id: matchingEntry.id, ancestors: matchingEntry.ancestors };
+    const childrenCount = property === 'type' ? this.flatBranchCount(index) : 0;
     result = this.updateTree(this.schemaTree, idObj, { property, value });
     this.schemaTree = result.tree;
     // If user changed a complex type to a simple type or to another complex type we need
     // to remove the complex type children first
     this.flatTree = [
       ...this.flatTree.slice(0, index),
-      ...this.flatTree.slice(index + result.childrenCount + (!result.newTree ? 0 : 1)),
+      ...this.flatTree.slice(index + childrenCount + (!result.newTree ? 0 : 1)),
     ];
     const customOptions = {
       ...this.options,
@@ -494,6 +526,9 @@ class SchemaManagerBase implements ISchemaManager {
     if (!matchingEntry) {
       return {};
     }
+    if (this.options.largeSchemaMode) {
+      return this.lazyCollapse(matchingIndex);
+    }
     const idObj = { id: matchingEntry.id, ancestors: matchingEntry.ancestors };
     const fieldObj = this.getFieldObjFromTree(idObj, this.getSchemaTree());
     this.flatTree[matchingIndex].collapsed = !this.flatTree[matchingIndex].collapsed;
@@ -518,6 +553,36 @@ class SchemaManagerBase implements ISchemaManager {
     return {};
   };
 
+  /**
+   * Collapse/expand in large schema mode. Instead of hiding the children we remove them from the
+   * flattened array on collapse and flatten them again on expand. Nested complex types are
+   * flattened collapsed, so expanding a row only adds its direct children.
+   * @param index - index of the row in the flattened array.
+   */
+  private lazyCollapse = (index: number): IOnChangeReturnType => {
+    const row = this.flatTree[index];
+    if (row.collapsed) {
+      const fieldObj = this.getFieldObjFromTree(row, this.getSchemaTree());
+      const children = FlatChildren(
+        fieldObj,
+        { ...this.options, collapseAll: true },
+        row.ancestors.concat(row.id)
+      );
+      this.flatTree = [
+        ...this.flatTree.slice(0, index + 1),
+        ...children,
+        ...this.flatTree.slice(index + 1),
+      ];
+    } else {
+      this.flatTree = [
+        ...this.flatTree.slice(0, index + 1),
+        ...this.flatTree.slice(index + 1 + this.flatBranchCount(index)),
+      ];
+    }
+    row.collapsed = !row.collapsed;
+    return {};
+  };
+
   /**
    * Identify the depth of a parent node. Depth here defines all the immediate children and all
    * the children of childrens and so on and so forth. We need to calculate this depth because
@@ -540,6 +605,116 @@ class SchemaManagerBase implements ISchemaManager {
     return totalDepth;
   };
 
+  // Returns the node in the schema tree or undefined if it (or one of its ancestors) was removed.
+  private findNode = (fieldId: IFieldIdentifier): INode => {
+    let node = this.schemaTree;
+    for (const id of fieldId.ancestors.slice(1).concat(fieldId.id)) {
+      if (!node || !isObject(node.children)) {
+        return;
+      }
+      node = node.children[id];
+    }
+    return node;
+  };
+
+  private isRecordField = (node: INode) =>
+    node.internalType === InternalTypesEnum.RECORD_SIMPLE_TYPE ||
+    node.internalType === InternalTypesEnum.RECORD_COMPLEX_TYPE_ROOT;
+
+  /**
+   * Search the record fields of the whole schema, including the ones in collapsed rows,
+   * by name. The matches are in the order they appear in the schema.
+   * @param query - case insensitive part of the field name.
+   */
+  public searchFields = (query: string): IFieldIdentifier[] => {
+    const matches: IFieldIdentifier[] = [];
+    const search = (query || '').trim().toLowerCase();
+    if (!search) {
+      return matches;
+    }
+    const traverse = (node: INode, ancestors: string[]) => {
+      if (this.isRecordField(node) && (node.name || '').toLowerCase().indexOf(search) !== -1) {
+        matches.push({ id: node.id, ancestors });
+      }
+      if (!isObject(node.children)) {
+        return;
+      }
+      const order = Array.isArray(node.children.order)
+        ? (node.children.order as string[])
+        : Object.keys(node.children).filter((id) => id !== 'order');
+      order.forEach((id) => traverse(node.children[id], ancestors.concat(node.id)));
+    };
+    traverse(this.schemaTree, []);
+    return matches;
+  };
+
+  /**
+   * Expand all the collapsed ancestors of a field so that it is shown in the list.
+   * @param fieldId - id of the field to jump to.
+   */
+  public expandTo = (fieldId: IFieldIdentifier): IOnChangeReturnType => {
+    for (const ancestorId of fieldId.ancestors) {
+      const index = this.flatTree.findIndex((row) => row.id === ancestorId);
+      if (index !== -1 && this.flatTree[index].collapsed) {
+        this.collapse(this.flatTree[index]);
+      }
+    }
+    const fieldIndex = this.flatTree.findIndex((row) => row.id === fieldId.id);
+    if (fieldIndex === -1) {
+      return {};
+    }
+    return { fieldIndex };
+  };
+
+  /**
+   * Make every record field in the schema nullable (or not nullable). Unions are skipped
+   * as they can't be nullable.
+   */
+  public setAllNullable = (nullable = true) => {
+    const ids = {};
+    const traverse = (node: INode) => {
+      if (this.isRecordField(node) && node.type !== AvroSchemaTypesEnum.UNION) {
+        node.nullable = nullable;
+        ids[node.id] = true;
+      }
+      if (isObject(node.children)) {
+        Object.keys(node.children)
+          .filter((id) => id !== 'order')
+          .forEach((id) => traverse(node.children[id]));
+      }
+    };
+    traverse(this.schemaTree);
+    this.flatTree.filter((row) => ids[row.id]).forEach((row) => (row.nullable = nullable));
+  };
+
+  // Fields in collapsed rows are not in the flattened array in large schema mode, so expand
+  // them before updating. Returns false if the field was removed as part of an earlier change.
+  private showField = (fieldId: IFieldIdentifier) => {
+    if (!this.findNode(fieldId)) {
+      return false;
+    }
+    if (!this.flatTree.find((row) => row.id === fieldId.id)) {
+      this.expandTo(fieldId);
+    }
+    return true;
+  };
+
+  public removeFields = (fieldIds: IFieldIdentifier[]) => {
+    fieldIds.forEach((fieldId) => {
+      if (this.showField(fieldId)) {
+        this.remove(fieldId);
+      }
+    });
+  };
+
+  public updateFieldsType = (fieldIds: IFieldIdentifier[], type: string) => {
+    fieldIds.forEach((fieldId) => {
+      if (this.showField(fieldId)) {
+        this.update(fieldId, { property: 'type', value: type });
+      }
+    });
+  };
+
   /**
    * The generic onChange is supposed to handle all types of mutation to the schema.
    * This onChange is the handler for any changes that happen in the schema (not to be confused with
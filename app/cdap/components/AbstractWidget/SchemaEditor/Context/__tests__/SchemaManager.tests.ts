@@ -20,6 +20,7 @@ import {
 } from 'components/AbstractWidget/SchemaEditor/Context/SchemaManager';
 import { INode } from 'components/AbstractWidget/SchemaEditor/Context/SchemaParser';
 import {
+  AvroSchemaTypesEnum,
   OperationTypesEnum,
   getDefaultEmptyAvroSchema,
 } from 'components/AbstractWidget/SchemaEditor/SchemaConstants';
@@ -285,4 +286,98 @@ describe('Unit tests for Schema Manager', () => {
       expect(schema.getAvroSchema()).toEqual(defaultSchema);
     });
   });
+
+  describe('Should handle schemas in large schema mode', () => {
+    // 50 records of 100 fields each
+    const getWideSchema = (): ISchemaType => {
+      const fields = [];
+      for (let i = 0; i < 50; i++) {
+        const nestedFields = [];
+        for (let j = 0; j < 100; j++) {
+          nestedFields.push({ name: `field_${i}_${j}`, type: j % 2 ? 'string' : 'long' });
+        }
+        fields.push({
+          name: `record_${i}`,
+          type: { type: AvroSchemaTypesEnum.RECORD, name: `record_${i}`, fields: nestedFields },
+        });
+      }
+      return {
+        name: 'etlSchemaBody',
+        schema: { name: 'etlSchemaBody', type: AvroSchemaTypesEnum.RECORD, fields },
+      };
+    };
+
+    it('Should flatten only the rows that are not collapsed', () => {
+      const schema = SchemaManager(getWideSchema()).getInstance();
+      expect(schema.isLargeSchema()).toBe(true);
+      expect(schema.getFlatSchema().length).toBe(51);
+      expect(childCountInTree(schema.getSchemaTree())).toBe(50);
+    });
+
+    it('Should flatten children on expand and remove them on collapse', () => {
+      const schema = SchemaManager(getWideSchema()).getInstance();
+      const { fieldId } = getNthFieldIdInFlatSchema(schema, 2);
+      schema.onChange(fieldId, { type: OperationTypesEnum.COLLAPSE });
+      expect(schema.getFlatSchema().length).toBe(151);
+      expect(schema.getFlatSchema()[3].name).toBe('field_1_0');
+      expect(schema.getFlatSchema()[103].name).toBe('record_2');
+
+      schema.onChange(fieldId, { type: OperationTypesEnum.COLLAPSE });
+      expect(schema.getFlatSchema().length).toBe(51);
+    });
+
+    it('Should add and remove fields next to collapsed records', () => {
+      const schema = SchemaManager(getWideSchema()).getInstance();
+      const { fieldId } = getNthFieldIdInFlatSchema(schema, 1);
+      schema.onChange(fieldId, { type: OperationTypesEnum.ADD });
+      expect(schema.getFlatSchema().length).toBe(52);
+      expect(schema.getFlatSchema()[2].name).toBe('');
+      expect(schema.getFlatSchema()[3].name).toBe('record_1');
+
+      schema.onChange(fieldId, { type: OperationTypesEnum.REMOVE });
+      expect(schema.getFlatSchema().length).toBe(51);
+      expect(schema.getFlatSchema()[1].name).toBe('');
+      expect(schema.getFlatSchema()[2].name).toBe('record_1');
+    });
+
+    it('Should search fields in collapsed records and expand to them', () => {
+      const schema = SchemaManager(getWideSchema()).getInstance();
+      const matches = schema.searchFields('FIELD_3_9');
+      expect(matches.length).toBe(11);
+
+      const { fieldIndex } = schema.expandTo(matches[0]);
+      expect(schema.getFlatSchema()[fieldIndex].name).toBe('field_3_9');
+      expect(schema.getFlatSchema().length).toBe(151);
+      expect(schema.searchFields('  ')).toEqual([]);
+    });
+
+    it('Should apply bulk operations', () => {
+      const schema = SchemaManager(getWideSchema()).getInstance();
+      schema.setAllNullable(true);
+      const avroSchema = schema.getAvroSchema().schema;
+      expect(avroSchema.fields[0].type).toEqual([
+        expect.objectContaining({ type: 'record' }),
+        'null',
+      ]);
+      expect((avroSchema.fields[0].type[0] as any).fields[0].type).toEqual(['long', 'null']);
+
+      const matches = schema.searchFields('field_0_');
+      schema.updateFieldsType(matches.slice(0, 10), 'boolean');
+      schema.removeFields([getNthFieldIdInFlatSchema(schema, 1).fieldId, ...matches.slice(50)]);
+
+      const fields = schema.getAvroSchema().schema.fields;
+      expect(fields.length).toBe(49);
+      expect(fields[0].name).toBe('record_1');
+    });
+
+    it('Should keep the manager fast with a 5,000 field schema', () => {
+      const start = Date.now();
+      const schema = SchemaManager(getWideSchema()).getInstance();
+      const matches = schema.searchFields('field_49');
+      schema.expandTo(matches[matches.length - 1]);
+      schema.setAllNullable(true);
+      schema.getAvroSchema();
+      expect(Date.now() - start).toBeLessThan(2000);
+    });
+  });
 });
@@ -51,6 +51,13 @@ const styles = (theme): StyleRules => {
     erroredRow: {
       outline: `2px solid ${theme.palette.red[200]}`,
     },
+    highlightedRow: {
+      outline: `2px solid ${theme.palette.blue[200]}`,
+    },
+    selectCheckbox: {
+      margin: '0 0 0 4px',
+      cursor: 'pointer',
+    },
     tooltip: {
       backgroundColor: theme.palette.red[200],
       color: 'white',
@@ -71,8 +78,18 @@ interface IFieldRowProps extends WithStyles<typeof styles> {
   disabled?: boolean;
   dataCy?: string;
   dataTestId?: string;
+  // Large schema mode shows a checkbox on record fields to select them for bulk operations.
+  selectable?: boolean;
+  selected?: boolean;
+  onSelect?: (field: IFlattenRowType) => void;
+  highlighted?: boolean;
 }
 
+// Same as the FieldWrapper columns, with a column for the checkbox in front.
+const selectableRowStyle = {
+  gridTemplateColumns: '20px 20px calc(100% - (20px + 20px + 96px + 10px)) 96px',
+};
+
 class FieldRowBase extends React.Component<IFieldRowProps, IFieldRowState> {
   /**
    * We maintain the collapsed state along in the FieldRow for two reasons.
@@ -151,6 +168,33 @@ class FieldRowBase extends React.Component<IFieldRowProps, IFieldRowState> {
     });
   };
 
+  public onSelect = () => {
+    if (this.props.onSelect) {
+      this.props.onSelect(this.props.field);
+    }
+  };
+
+  public renderSelect = () => {
+    const { internalType } = this.props.field;
+    const isRecordField =
+      internalType === InternalTypesEnum.RECORD_SIMPLE_TYPE ||
+      internalType === InternalTypesEnum.RECORD_COMPLEX_TYPE_ROOT;
+    if (!isRecordField) {
+      return <span />;
+    }
+    return (
+      <input
+        type="checkbox"
+        className={this.props.classes.selectCheckbox}
+        checked={!!this.props.selected}
+        disabled={this.props.disabled}
+        onChange={this.onSelect}
+        data-cy="select-field"
+        data-testid="select-field"
+      />
+    );
+  };
+
   public RenderSubType = (field) => {
     switch (field.internalType) {
       case InternalTypesEnum.RECORD_SIMPLE_TYPE:
@@ -232,7 +276,7 @@ class FieldRowBase extends React.Component<IFieldRowProps, IFieldRowState> {
   };
 
   public render() {
-    const { classes, dataCy, dataTestId } = this.props;
+    const { classes, dataCy, dataTestId, selectable, highlighted } = this.props;
     const { ancestors, internalType } = this.props.field;
     if (internalType === InternalTypesEnum.SCHEMA) {
       return null;
@@ -246,11 +290,14 @@ class FieldRowBase extends React.Component<IFieldRowProps, IFieldRowState> {
               ancestors={ancestors}
               className={classnames({
                 [classes.erroredRow]: hasError,
+                [classes.highlightedRow]: highlighted && !hasError,
               })}
+              style={selectable ? selectableRowStyle : undefined}
               dataCy={dataCy}
               dataTestId={dataTestId}
             >
               <React.Fragment>
+                <If condition={!!selectable}>{this.renderSelect()}</If>
                 <If condition={hasError}>
                   <Tooltip
                     classes={{ tooltip: classes.tooltip }}
@@ -45,6 +45,14 @@ interface IFieldsListProps extends WithStyles<typeof styles> {
   disabled?: boolean;
   value: IFlattenRowType[];
   onChange: (id: IFieldIdentifier, onChangePayload: IOnChangePayload) => IOnChangeReturnType;
+  selectable?: boolean;
+  selectedFields?: Record<string, IFieldIdentifier>;
+  onSelect?: (field: IFlattenRowType) => void;
+  highlightedFieldId?: string;
+  // Bumped on every jump to the highlighted field, so that the list scrolls back to it.
+  jumpCount?: number;
+  // Rows keep the values they were mounted with, so bulk changes bump the revision to remount them.
+  revision?: number;
 }
 
 class FieldsListBase extends React.Component<IFieldsListProps, IFieldsListState> {
@@ -93,9 +101,13 @@ class FieldsListBase extends React.Component<IFieldsListProps, IFieldsListState>
           <FieldRow
             disabled={this.props.disabled}
             autoFocus={currentRowToFocus === field.id}
-            key={field.id}
+            key={`${field.id}-${this.props.revision || 0}`}
             field={field}
             onChange={this.onChange}
+            selectable={this.props.selectable}
+            selected={!!(this.props.selectedFields || {})[field.id]}
+            onSelect={this.props.onSelect}
+            highlighted={this.props.highlightedFieldId === field.id}
             dataCy={`schema-row-${i}`}
             dataTestId={`schema-row-${i}`}
           />
@@ -105,7 +117,13 @@ class FieldsListBase extends React.Component<IFieldsListProps, IFieldsListState>
 
   public render() {
     const itemCount = this.state.rows.filter((field) => !field.hidden).length;
-    const { classes } = this.props;
+    const { classes, highlightedFieldId, jumpCount } = this.props;
+    const scrollToIndex = highlightedFieldId
+      ? this.state.rows
+          .slice(1)
+          .filter((row) => !row.hidden)
+          .findIndex((row) => row.id === highlightedFieldId)
+      : undefined;
     return (
       <SiblingCommunicationProvider>
         <SchemaValidatorConsumer>
@@ -124,6 +142,8 @@ class FieldsListBase extends React.Component<IFieldsListProps, IFieldsListState>
           renderList={this.renderList.bind(this)}
           childrenUnderFold={FieldsListBase.childrenUnderFold}
           dataCy="schema-fields-list"
+          scrollToIndex={scrollToIndex}
+          scrollRequest={jumpCount}
         />
       </SiblingCommunicationProvider>
     );
@@ -0,0 +1,177 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import * as React from 'react';
+import withStyles, { WithStyles, StyleRules } from '@material-ui/core/styles/withStyles';
+import Button from '@material-ui/core/Button';
+import TextBox from 'components/AbstractWidget/FormInputs/TextBox';
+import Select from 'components/AbstractWidget/FormInputs/Select';
+import { schemaTypes } from 'components/AbstractWidget/SchemaEditor/SchemaConstants';
+import { IFieldIdentifier } from 'components/AbstractWidget/SchemaEditor/EditorTypes';
+
+const styles = (theme): StyleRules => {
+  return {
+    toolbar: {
+      display: 'grid',
+      gridTemplateColumns: '1fr auto',
+      gridGap: '10px',
+      alignItems: 'center',
+      padding: '5px 0',
+      borderBottom: `1px solid ${theme.palette.grey[500]}`,
+      marginBottom: '5px',
+    },
+    search: {
+      display: 'flex',
+      alignItems: 'center',
+      '& > *': {
+        marginRight: '5px',
+      },
+    },
+    searchInput: {
+      maxWidth: '250px',
+    },
+    matches: {
+      whiteSpace: 'nowrap',
+      color: theme.palette.grey[200],
+    },
+    bulkActions: {
+      display: 'flex',
+      alignItems: 'center',
+      '& > *': {
+        marginLeft: '5px',
+      },
+    },
+    typeSelect: {
+      width: '130px',
+    },
+  };
+};
+
+interface ILargeSchemaToolbarProps extends WithStyles<typeof styles> {
+  disabled?: boolean;
+  selectedCount: number;
+  // changes whenever the schema changes, to search again
+  revision?: number;
+  onSearch: (query: string) => IFieldIdentifier[];
+  onJumpTo: (field: IFieldIdentifier) => void;
+  onSelectFields: (fields: IFieldIdentifier[]) => void;
+  onClearSelection: () => void;
+  onMakeAllNullable: () => void;
+  onRemoveSelected: () => void;
+  onChangeSelectedType: (type: string) => void;
+}
+
+/**
+ * Search and bulk operations shown above the fields list in large schema mode.
+ */
+const LargeSchemaToolbarBase = ({
+  classes,
+  disabled,
+  selectedCount,
+  revision,
+  onSearch,
+  onJumpTo,
+  onSelectFields,
+  onClearSelection,
+  onMakeAllNullable,
+  onRemoveSelected,
+  onChangeSelectedType,
+}: ILargeSchemaToolbarProps) => {
+  const [query, setQuery] = React.useState('');
+  const [matches, setMatches] = React.useState<IFieldIdentifier[]>([]);
+  const [matchIndex, setMatchIndex] = React.useState(-1);
+
+  React.useEffect(() => {
+    setMatches(onSearch(query));
+    setMatchIndex(-1);
+  }, [query, revision]);
+
+  const jump = (step: number) => {
+    if (!matches.length) {
+      return;
+    }
+    const index = (matchIndex + step + matches.length) % matches.length;
+    setMatchIndex(index);
+    onJumpTo(matches[index]);
+  };
+
+  const onKeyPress = (e: React.KeyboardEvent) => {
+    if (e.key === 'Enter') {
+      jump(1);
+    }
+  };
+
+  let matchesLabel = '';
+  if (query.trim()) {
+    matchesLabel = matches.length ? `${matchIndex + 1} of ${matches.length}` : 'No matches';
+  }
+
+  return (
+    <div className={classes.toolbar}>
+      <div className={classes.search}>
+        <TextBox
+          className={classes.searchInput}
+          value={query}
+          onChange={setQuery}
+          onKeyPress={onKeyPress}
+          widgetProps={{ placeholder: 'Search fields', enableUnderline: true }}
+          dataCy="schema-search"
+          dataTestId="schema-search"
+        />
+        <span className={classes.matches}>{matchesLabel}</span>
+        <Button size="small" disabled={!matches.length} onClick={() => jump(-1)}>
+          Previous
+        </Button>
+        <Button size="small" disabled={!matches.length} onClick={() => jump(1)}>
+          Next
+        </Button>
+        <Button
+          size="small"
+          disabled={disabled || !matches.length}
+          onClick={() => onSelectFields(matches)}
+        >
+          Select matches
+        </Button>
+      </div>
+      <div className={classes.bulkActions}>
+        <Button size="small" disabled={disabled} onClick={onMakeAllNullable}>
+          Make all nullable
+        </Button>
+        <span className={classes.matches}>{selectedCount} selected</span>
+        <div className={classes.typeSelect}>
+          <Select
+            value=""
+            disabled={disabled || !selectedCount}
+            onChange={onChangeSelectedType}
+            placeholder="Change type"
+            widgetProps={{ options: schemaTypes, dense: true, native: true }}
+            dataCy="bulk-change-type"
+            dataTestId="bulk-change-type"
+          />
+        </div>
+        <Button size="small" disabled={disabled || !selectedCount} onClick={onRemoveSelected}>
+          Delete selected
+        </Button>
+        <Button size="small" disabled={!selectedCount} onClick={onClearSelection}>
+          Clear selection
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+const LargeSchemaToolbar = withStyles(styles)(LargeSchemaToolbarBase);
+export { LargeSchemaToolbar };
@@ -0,0 +1,150 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import {
+  checkSchemaCompatibility,
+  CompatibilityIssuesEnum,
+  CompatibilityModesEnum,
+  getCompatibilityIssueMessage,
+} from 'components/AbstractWidget/SchemaEditor/SchemaCompatibility';
+
+function record(fields) {
+  return { type: 'record', name: 'etlSchemaBody', fields };
+}
+
+const previous = record([
+  { name: 'id', type: 'int' },
+  { name: 'name', type: 'string' },
+  { name: 'email', type: ['string', 'null'] },
+  { name: 'price', type: { type: 'bytes', logicalType: 'decimal', precision: 10, scale: 2 } },
+  {
+    name: 'status',
+    type: { type: 'enum', name: 'status', symbols: ['ACTIVE', 'INACTIVE'] },
+  },
+  {
+    name: 'address',
+    type: {
+      type: 'record',
+      name: 'address',
+      fields: [
+        { name: 'city', type: 'string' },
+        { name: 'zip', type: 'long' },
+      ],
+    },
+  },
+  { name: 'tags', type: { type: 'array', items: 'string' } },
+]);
+
+function getIssues(current, mode?: CompatibilityModesEnum) {
+  return checkSchemaCompatibility(previous, current, mode).map(({ type, path }) => ({
+    type,
+    path,
+  }));
+}
+
+describe('Schema compatibility', () => {
+  it('Should not report anything for the same schema', () => {
+    expect(checkSchemaCompatibility(previous, previous)).toEqual([]);
+  });
+
+  it('Should report removed, added and renamed fields', () => {
+    const current = record([
+      { name: 'id', type: 'int' },
+      { name: 'fullName', type: 'string' },
+      ...previous.fields.slice(3, 6),
+      { name: 'labels', type: { type: 'array', items: 'int' } },
+      { name: 'country', type: 'string', default: 'US' },
+      { name: 'phone', type: 'string' },
+    ]);
+
+    expect(getIssues(current)).toEqual([
+      { type: CompatibilityIssuesEnum.FIELD_RENAMED, path: 'name' },
+      { type: CompatibilityIssuesEnum.FIELD_REMOVED, path: 'email' },
+      { type: CompatibilityIssuesEnum.FIELD_REMOVED, path: 'tags' },
+      { type: CompatibilityIssuesEnum.FIELD_ADDED, path: 'labels' },
+      { type: CompatibilityIssuesEnum.FIELD_ADDED, path: 'phone' },
+    ]);
+
+    // the previous schema ignores added fields when it reads new data
+    expect(getIssues(current, CompatibilityModesEnum.FORWARD)).toEqual([
+      { type: CompatibilityIssuesEnum.FIELD_RENAMED, path: 'name' },
+      { type: CompatibilityIssuesEnum.FIELD_REMOVED, path: 'email' },
+      { type: CompatibilityIssuesEnum.FIELD_REMOVED, path: 'tags' },
+    ]);
+  });
+
+  it('Should match renamed fields by their aliases', () => {
+    const current = record([
+      { name: 'userId', type: 'int', aliases: ['id'] },
+      ...previous.fields.slice(1),
+    ]);
+
+    expect(checkSchemaCompatibility(previous, current, CompatibilityModesEnum.BACKWARD)).toEqual(
+      []
+    );
+    expect(checkSchemaCompatibility(previous, current, CompatibilityModesEnum.FORWARD)).toEqual([
+      {
+        type: CompatibilityIssuesEnum.FIELD_RENAMED,
+        path: 'id',
+        breaks: [CompatibilityModesEnum.FORWARD],
+        previous: 'id',
+        current: 'userId',
+      },
+    ]);
+  });
+
+  it('Should follow the avro type promotions', () => {
+    const current = record([
+      { name: 'id', type: 'long' },
+      { name: 'name', type: 'bytes' },
+      { name: 'email', type: 'string' },
+      { name: 'price', type: { type: 'bytes', logicalType: 'decimal', precision: 8, scale: 2 } },
+      {
+        name: 'status',
+        type: { type: 'enum', name: 'status', symbols: ['ACTIVE', 'DELETED'] },
+      },
+      {
+        name: 'address',
+        type: {
+          type: 'record',
+          name: 'address',
+          fields: [
+            { name: 'city', type: 'string' },
+            { name: 'zip', type: 'int' },
+          ],
+        },
+      },
+      { name: 'tags', type: { type: 'array', items: 'boolean' } },
+    ]);
+
+    const issues = checkSchemaCompatibility(previous, current);
+
+    expect(issues.map(getCompatibilityIssueMessage)).toEqual([
+      "Type of 'id' was widened from int to long",
+      "Field 'email' is no longer nullable",
+      "Type of 'price' was narrowed from decimal(10, 2) to decimal(8, 2)",
+      "Symbols INACTIVE were removed from 'status'",
+      "Symbols DELETED were added to 'status'",
+      "Type of 'address.zip' was narrowed from long to int",
+      "Type of 'tags[]' was changed from string to boolean",
+    ]);
+    expect(
+      checkSchemaCompatibility(previous, current, CompatibilityModesEnum.BACKWARD).map(
+        ({ path }) => path
+      )
+    ).toEqual(['email', 'price', 'status', 'address.zip', 'tags[]']);
+  });
+});
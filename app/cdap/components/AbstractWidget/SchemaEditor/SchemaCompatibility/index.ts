@@ -0,0 +1,365 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import { AvroSchemaTypesEnum } from 'components/AbstractWidget/SchemaEditor/SchemaConstants';
+import { LogicalTypes } from 'services/cdapavscwrapper/LogicalTypes';
+import {
+  getLogicalType,
+  getTypeName,
+  splitNullable,
+} from 'components/AbstractWidget/SchemaEditor/SchemaFormats/avroTypes';
+import { getTypeLabel } from 'components/AbstractWidget/SchemaEditor/SchemaInference/schemaDiff';
+
+/**
+ * Checks whether a change to a schema is compatible, with the rules avro uses to resolve the
+ * schema data was written with against the schema it is read with.
+ *
+ * - BACKWARD: data written with the previous schema can be read with the current schema.
+ * - FORWARD: data written with the current schema can be read with the previous schema, which
+ *   is what a downstream stage that was configured with the previous schema does.
+ * - FULL: both.
+ */
+
+export enum CompatibilityModesEnum {
+  BACKWARD = 'BACKWARD',
+  FORWARD = 'FORWARD',
+  FULL = 'FULL',
+}
+
+export enum CompatibilityIssuesEnum {
+  FIELD_REMOVED = 'fieldRemoved',
+  FIELD_RENAMED = 'fieldRenamed',
+  FIELD_ADDED = 'fieldAdded',
+  TYPE_NARROWED = 'typeNarrowed',
+  TYPE_WIDENED = 'typeWidened',
+  TYPE_CHANGED = 'typeChanged',
+  MADE_REQUIRED = 'madeRequired',
+  MADE_NULLABLE = 'madeNullable',
+  SYMBOLS_REMOVED = 'symbolsRemoved',
+  SYMBOLS_ADDED = 'symbolsAdded',
+}
+
+export interface ICompatibilityIssue {
+  type: CompatibilityIssuesEnum;
+  // dotted path of the field, arrays items and map values are written as [] and {}
+  path: string;
+  // the modes the change is not compatible with, BACKWARD and/or FORWARD
+  breaks: CompatibilityModesEnum[];
+  // types, the names of a renamed field, or the symbols of an enum
+  previous?: string;
+  current?: string;
+}
+
+const { BACKWARD, FORWARD } = CompatibilityModesEnum;
+
+// the types a value of a type can be read as
+const PROMOTIONS = {
+  [AvroSchemaTypesEnum.INT]: [
+    AvroSchemaTypesEnum.LONG,
+    AvroSchemaTypesEnum.FLOAT,
+    AvroSchemaTypesEnum.DOUBLE,
+  ],
+  [AvroSchemaTypesEnum.LONG]: [AvroSchemaTypesEnum.FLOAT, AvroSchemaTypesEnum.DOUBLE],
+  [AvroSchemaTypesEnum.FLOAT]: [AvroSchemaTypesEnum.DOUBLE],
+  [AvroSchemaTypesEnum.STRING]: [AvroSchemaTypesEnum.BYTES],
+  [AvroSchemaTypesEnum.BYTES]: [AvroSchemaTypesEnum.STRING],
+};
+
+function hasDefault(field) {
+  return field.hasOwnProperty('default');
+}
+
+function getBranches(type) {
+  return Array.isArray(type) ? type : [type];
+}
+
+function getKind(type) {
+  if (Array.isArray(type)) {
+    return AvroSchemaTypesEnum.UNION;
+  }
+  if (typeof type === 'object' && type && !getLogicalType(type) && typeof type.type === 'object') {
+    return getKind(type.type);
+  }
+  return getTypeName(type);
+}
+
+/**
+ * Whether a value written with one type can be read with another. Records and enums are matched
+ * by name, their fields and symbols are compared separately.
+ */
+function canRead(writer, reader) {
+  const writerKind = getKind(writer);
+  const readerKind = getKind(reader);
+
+  if (writerKind !== readerKind) {
+    return (PROMOTIONS[writerKind] || []).indexOf(readerKind) !== -1;
+  }
+
+  switch (writerKind) {
+    case AvroSchemaTypesEnum.RECORD:
+    case AvroSchemaTypesEnum.ENUM:
+      return writer.name === reader.name;
+    case LogicalTypes.DECIMAL:
+      return writer.scale === reader.scale && writer.precision <= reader.precision;
+    case AvroSchemaTypesEnum.ARRAY:
+      return canRead(splitNullable(writer.items).type, splitNullable(reader.items).type);
+    case AvroSchemaTypesEnum.MAP:
+      return canRead(splitNullable(writer.values).type, splitNullable(reader.values).type);
+    default:
+      return true;
+  }
+}
+
+function canReadBranches(writer, reader) {
+  const readerBranches = getBranches(reader);
+  return getBranches(writer).every((writerBranch) =>
+    readerBranches.some((readerBranch) => canRead(writerBranch, readerBranch))
+  );
+}
+
+class SchemaChanges {
+  public issues: ICompatibilityIssue[] = [];
+
+  private addIssue(
+    type: CompatibilityIssuesEnum,
+    path: string,
+    breaks: CompatibilityModesEnum[],
+    previous?: string,
+    current?: string
+  ) {
+    if (breaks.length > 0) {
+      this.issues.push({ type, path, breaks, previous, current });
+    }
+  }
+
+  public compareTypes(previousType, currentType, path: string) {
+    const previous = splitNullable(previousType);
+    const current = splitNullable(currentType);
+
+    // a null value in old data can not be read with a type that is not nullable, and the other
+    // way around
+    if (previous.nullable && !current.nullable) {
+      this.addIssue(CompatibilityIssuesEnum.MADE_REQUIRED, path, [BACKWARD]);
+    } else if (!previous.nullable && current.nullable) {
+      this.addIssue(CompatibilityIssuesEnum.MADE_NULLABLE, path, [FORWARD]);
+    }
+
+    const previousKind = getKind(previous.type);
+    const currentKind = getKind(current.type);
+
+    if (previousKind === currentKind) {
+      switch (previousKind) {
+        case AvroSchemaTypesEnum.RECORD:
+          this.compareRecords(previous.type, current.type, path);
+          return;
+        case AvroSchemaTypesEnum.ARRAY:
+          this.compareTypes(previous.type.items, current.type.items, `${path}[]`);
+          return;
+        case AvroSchemaTypesEnum.MAP:
+          if (previous.type.keys && current.type.keys) {
+            this.compareTypes(previous.type.keys, current.type.keys, `${path}{key}`);
+          }
+          this.compareTypes(previous.type.values, current.type.values, `${path}{}`);
+          return;
+        case AvroSchemaTypesEnum.ENUM:
+          this.compareSymbols(previous.type, current.type, path);
+          return;
+      }
+    }
+
+    const isBackward = canReadBranches(previous.type, current.type);
+    const isForward = canReadBranches(current.type, previous.type);
+    const previousLabel = getTypeLabel(previous.type);
+    const currentLabel = getTypeLabel(current.type);
+
+    if (!isBackward && !isForward) {
+      this.addIssue(
+        CompatibilityIssuesEnum.TYPE_CHANGED,
+        path,
+        [BACKWARD, FORWARD],
+        previousLabel,
+        currentLabel
+      );
+    } else if (!isBackward) {
+      this.addIssue(
+        CompatibilityIssuesEnum.TYPE_NARROWED,
+        path,
+        [BACKWARD],
+        previousLabel,
+        currentLabel
+      );
+    } else if (!isForward) {
+      this.addIssue(
+        CompatibilityIssuesEnum.TYPE_WIDENED,
+        path,
+        [FORWARD],
+        previousLabel,
+        currentLabel
+      );
+    }
+  }
+
+  private compareSymbols(previous, current, path: string) {
+    const removed = previous.symbols.filter((symbol) => current.symbols.indexOf(symbol) === -1);
+    const added = current.symbols.filter((symbol) => previous.symbols.indexOf(symbol) === -1);
+
+    // readers with a default symbol read unknown symbols as the default
+    if (removed.length && !current.hasOwnProperty('default')) {
+      this.addIssue(CompatibilityIssuesEnum.SYMBOLS_REMOVED, path, [BACKWARD], removed.join(', '));
+    }
+    if (added.length && !previous.hasOwnProperty('default')) {
+      this.addIssue(
+        CompatibilityIssuesEnum.SYMBOLS_ADDED,
+        path,
+        [FORWARD],
+        undefined,
+        added.join(', ')
+      );
+    }
+  }
+
+  /**
+   * Fields are matched by name, then by their aliases. A field that was removed where another one
+   * with the same type was added is reported as renamed.
+   */
+  public compareRecords(previous, current, prefix: string) {
+    const previousFields = previous.fields || [];
+    const currentFields = current.fields || [];
+    const getPath = (name) => (prefix ? `${prefix}.${name}` : name);
+    const matched = new Set();
+
+    previousFields.forEach((previousField, index) => {
+      let currentField = currentFields.find(({ name }) => name === previousField.name);
+      let breaks = [];
+
+      // aliases are only used by the reader, so a rename with an alias is still not compatible
+      // the other way around
+      if (!currentField) {
+        currentField = currentFields.find(
+          ({ name, aliases }) =>
+            !matched.has(name) && (aliases || []).indexOf(previousField.name) !== -1
+        );
+        breaks = currentField && !hasDefault(previousField) ? [FORWARD] : [];
+      }
+      if (!currentField) {
+        currentField = currentFields.find(
+          ({ name }) => !matched.has(name) && (previousField.aliases || []).indexOf(name) !== -1
+        );
+        breaks = currentField && !hasDefault(currentField) ? [BACKWARD] : breaks;
+      }
+      if (!currentField) {
+        const candidate = currentFields[index];
+        const isRenamed =
+          candidate &&
+          !matched.has(candidate.name) &&
+          !previousFields.find(({ name }) => name === candidate.name) &&
+          getTypeLabel(candidate.type) === getTypeLabel(previousField.type);
+
+        if (isRenamed) {
+          currentField = candidate;
+          breaks = [
+            ...(hasDefault(previousField) ? [] : [FORWARD]),
+            ...(hasDefault(currentField) ? [] : [BACKWARD]),
+          ];
+        }
+      }
+
+      const path = getPath(previousField.name);
+
+      if (!currentField) {
+        this.addIssue(
+          CompatibilityIssuesEnum.FIELD_REMOVED,
+          path,
+          hasDefault(previousField) ? [] : [FORWARD],
+          getTypeLabel(previousField.type)
+        );
+        return;
+      }
+
+      matched.add(currentField.name);
+      if (currentField.name !== previousField.name) {
+        this.addIssue(
+          CompatibilityIssuesEnum.FIELD_RENAMED,
+          path,
+          breaks,
+          previousField.name,
+          currentField.name
+        );
+      }
+      this.compareTypes(previousField.type, currentField.type, path);
+    });
+
+    currentFields
+      .filter(({ name }) => !matched.has(name))
+      .forEach((currentField) => {
+        this.addIssue(
+          CompatibilityIssuesEnum.FIELD_ADDED,
+          getPath(currentField.name),
+          hasDefault(currentField) ? [] : [BACKWARD],
+          undefined,
+          getTypeLabel(currentField.type)
+        );
+      });
+  }
+}
+
+export function isBreaking(issue: ICompatibilityIssue, mode = CompatibilityModesEnum.FULL) {
+  return mode === CompatibilityModesEnum.FULL || issue.breaks.indexOf(mode) !== -1;
+}
+
+/**
+ * Returns the changes from the previous to the current record schema that are not compatible
+ * in the given mode.
+ */
+export function checkSchemaCompatibility(
+  previous,
+  current,
+  mode = CompatibilityModesEnum.FULL
+): ICompatibilityIssue[] {
+  const changes = new SchemaChanges();
+  changes.compareRecords(previous, current, '');
+
+  return changes.issues.filter((issue) => isBreaking(issue, mode));
+}
+
+export function getCompatibilityIssueMessage(issue: ICompatibilityIssue) {
+  const { path, previous, current } = issue;
+
+  switch (issue.type) {
+    case CompatibilityIssuesEnum.FIELD_REMOVED:
+      return `Field '${path}' was removed`;
+    case CompatibilityIssuesEnum.FIELD_RENAMED:
+      return `Field '${path}' was renamed to '${current}'`;
+    case CompatibilityIssuesEnum.FIELD_ADDED:
+      return `Field '${path}' was added without a default value`;
+    case CompatibilityIssuesEnum.TYPE_NARROWED:
+      return `Type of '${path}' was narrowed from ${previous} to ${current}`;
+    case CompatibilityIssuesEnum.TYPE_WIDENED:
+      return `Type of '${path}' was widened from ${previous} to ${current}`;
+    case CompatibilityIssuesEnum.TYPE_CHANGED:
+      return `Type of '${path}' was changed from ${previous} to ${current}`;
+    case CompatibilityIssuesEnum.MADE_REQUIRED:
+      return `Field '${path}' is no longer nullable`;
+    case CompatibilityIssuesEnum.MADE_NULLABLE:
+      return `Field '${path}' is now nullable`;
+    case CompatibilityIssuesEnum.SYMBOLS_REMOVED:
+      return `Symbols ${previous} were removed from '${path}'`;
+    case CompatibilityIssuesEnum.SYMBOLS_ADDED:
+      return `Symbols ${current} were added to '${path}'`;
+    default:
+      return path;
+  }
+}
@@ -150,6 +150,12 @@ const logicalTypeToSimpleTypeMap = {
 
 const INDENTATION_SPACING = 10;
 
+/**
+ * Schemas with at least this many rows (fields, symbols and nested types) are edited in
+ * large schema mode.
+ */
+const LARGE_SCHEMA_ROW_COUNT = 1000;
+
 const getDefaultEmptyAvroSchema = (): ISchemaType => {
   return {
     name: 'etlSchemaBody',
@@ -188,4 +194,5 @@ export {
   AvroSchemaTypesEnum,
   InternalTypesEnum,
   OperationTypesEnum,
+  LARGE_SCHEMA_ROW_COUNT,
 };
@@ -23,6 +23,8 @@ import FileDnD from 'components/FileDnD';
 import { Button } from '@material-ui/core';
 import { getDefaultEmptyAvroSchema } from 'components/AbstractWidget/SchemaEditor/SchemaConstants';
 import LoadingSVG from 'components/shared/LoadingSVG';
+import { importSchemas } from 'components/AbstractWidget/SchemaEditor/SchemaFormats';
+import InferSchemaModal from 'components/AbstractWidget/SchemaEditor/SchemaInference/InferSchemaModal';
 
 const emptySchema = getDefaultEmptyAvroSchema();
 
@@ -56,13 +58,14 @@ class SchemaEditorDemoBase extends React.Component<ISchemaEditorDemoBaseProps> {
     file: {},
     error: null,
     schema: emptySchema,
+    inferSchemaOpen: false,
   };
   public modifiedSchema = emptySchema;
   public onDropHandler = (e) => {
     const reader = new FileReader();
     reader.onload = (evt) => {
       try {
-        let schema = JSON.parse(evt.target.result as any);
+        let schema = importSchemas(evt.target.result as string);
         if (Array.isArray(schema)) {
           schema = schema[0];
         }
@@ -107,6 +110,25 @@ class SchemaEditorDemoBase extends React.Component<ISchemaEditorDemoBaseProps> {
     a.click();
   };
 
+  public toggleInferSchema = () => {
+    this.setState({ inferSchemaOpen: !this.state.inferSchemaOpen });
+  };
+
+  public onInferSchemaApply = (schema) => {
+    this.setState(
+      {
+        schema,
+        file: {},
+        error: null,
+        loading: true,
+        inferSchemaOpen: false,
+      },
+      () => {
+        setTimeout(() => this.setState({ loading: false }), 1000);
+      }
+    );
+  };
+
   public clearSchema = () => {
     this.setState(
       {
@@ -145,6 +167,14 @@ class SchemaEditorDemoBase extends React.Component<ISchemaEditorDemoBaseProps> {
               >
                 Export
               </Button>
+              <Button
+                className={classes.btns}
+                onClick={this.toggleInferSchema}
+                variant="contained"
+                color="primary"
+              >
+                Infer from sample
+              </Button>
               <Button
                 className={classes.btns}
                 onClick={this.clearSchema}
@@ -156,6 +186,12 @@ class SchemaEditorDemoBase extends React.Component<ISchemaEditorDemoBaseProps> {
             </div>
           </div>
         </FormControl>
+        <InferSchemaModal
+          isOpen={this.state.inferSchemaOpen}
+          schema={this.modifiedSchema}
+          onApply={this.onInferSchemaApply}
+          onClose={this.toggleInferSchema}
+        />
         <div className={classes.contentContainer}>
           <If condition={this.state.loading}>
             <LoadingSVG />
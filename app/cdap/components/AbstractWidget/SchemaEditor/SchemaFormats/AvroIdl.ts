@@ -0,0 +1,433 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import { AvroSchemaTypesEnum } from 'components/AbstractWidget/SchemaEditor/SchemaConstants';
+import { LogicalTypes } from 'services/cdapavscwrapper/LogicalTypes';
+import {
+  getDeclarationOrder,
+  getLogicalType,
+  getLogicalTypeSchema,
+  getNamedTypes,
+  getRootRecords,
+  isPrimitiveType,
+  makeNullable,
+  resolveNamedType,
+  splitNullable,
+  toAvroName,
+} from 'components/AbstractWidget/SchemaEditor/SchemaFormats/avroTypes';
+import {
+  TokenStream,
+  TokenTypes,
+} from 'components/AbstractWidget/SchemaEditor/SchemaFormats/Tokenizer';
+
+/**
+ * Converts between Avro IDL (.avdl) and avro json. Both the protocol syntax and the schema syntax
+ * of newer avro versions are read. CDAP only supports the micro second precision of times and
+ * timestamps, so the milli second types of the IDL are imported as their micro second variant.
+ */
+
+const IDL_LOGICAL_TYPES = {
+  date: LogicalTypes.DATE,
+  time_ms: LogicalTypes.TIME_MICROS,
+  timestamp_ms: LogicalTypes.TIMESTAMP_MICROS,
+  local_timestamp_ms: LogicalTypes.DATETIME,
+};
+
+// values of the @logicalType annotation
+const ANNOTATED_LOGICAL_TYPES = {
+  date: LogicalTypes.DATE,
+  'time-millis': LogicalTypes.TIME_MICROS,
+  'time-micros': LogicalTypes.TIME_MICROS,
+  'timestamp-millis': LogicalTypes.TIMESTAMP_MICROS,
+  'timestamp-micros': LogicalTypes.TIMESTAMP_MICROS,
+  'local-timestamp-millis': LogicalTypes.DATETIME,
+  'local-timestamp-micros': LogicalTypes.DATETIME,
+  datetime: LogicalTypes.DATETIME,
+  decimal: LogicalTypes.DECIMAL,
+};
+
+const IDL_KEYWORDS = [
+  'array',
+  'boolean',
+  'bytes',
+  'date',
+  'decimal',
+  'double',
+  'enum',
+  'error',
+  'false',
+  'fixed',
+  'float',
+  'import',
+  'int',
+  'local_timestamp_ms',
+  'long',
+  'map',
+  'namespace',
+  'null',
+  'oneway',
+  'protocol',
+  'record',
+  'schema',
+  'string',
+  'throws',
+  'time_ms',
+  'timestamp_ms',
+  'true',
+  'union',
+  'uuid',
+  'void',
+];
+
+const DECLARATION_KEYWORDS = ['record', 'error', 'enum', 'fixed'];
+
+export function isAvroIdl(text: string) {
+  return /(^|\s)(protocol|record|error)\s+[`A-Za-z_][\w.`]*\s*\{/.test(text);
+}
+
+/* Import */
+
+class AvroIdlParser {
+  private stream: TokenStream;
+  private declarations: Record<string, any> = {};
+  private order: string[] = [];
+  private mainType;
+
+  constructor(text: string) {
+    this.stream = new TokenStream(text, {
+      lineComments: ['//'],
+      stringQuotes: ['"'],
+      identifierQuotes: { '`': '`' },
+      caseSensitive: true,
+    });
+  }
+
+  public parse() {
+    while (!this.stream.done()) {
+      const annotations = this.parseAnnotations();
+
+      if (this.stream.accept('protocol')) {
+        this.stream.expectIdentifier();
+        this.stream.expect('{');
+        while (!this.stream.is('}')) {
+          this.parseProtocolDeclaration();
+        }
+        this.stream.expect('}');
+      } else if (this.stream.accept('namespace')) {
+        this.stream.skipUntil([';']);
+        this.stream.expect(';');
+      } else if (this.stream.accept('schema')) {
+        this.mainType = this.parseType({});
+        this.stream.expect(';');
+      } else if (this.stream.is('import')) {
+        throw this.stream.error('Imports are not supported');
+      } else {
+        this.parseDeclaration(annotations);
+      }
+    }
+
+    if (this.mainType) {
+      const roots = getRootRecords({ ...this.declarations, $main: this.mainType }, ['$main']);
+      if (roots.length === 0) {
+        throw new Error('The main schema of the Avro IDL has to be a record');
+      }
+      return roots;
+    }
+
+    const records = getRootRecords(this.declarations, this.order);
+    if (records.length === 0) {
+      throw new Error('No record found in the Avro IDL');
+    }
+    return records;
+  }
+
+  private parseProtocolDeclaration() {
+    const annotations = this.parseAnnotations();
+
+    if (DECLARATION_KEYWORDS.some((keyword) => this.stream.is(keyword))) {
+      this.parseDeclaration(annotations);
+      return;
+    }
+
+    if (this.stream.is('import')) {
+      throw this.stream.error('Imports are not supported');
+    }
+
+    // messages are not part of the schema
+    this.stream.skipUntil([';']);
+    this.stream.expect(';');
+  }
+
+  private parseAnnotations() {
+    const annotations: Record<string, any> = {};
+
+    while (this.stream.accept('@')) {
+      // annotation names can contain dashes, like @java-class
+      let name = this.stream.expectIdentifier();
+      while (this.stream.is('-') && this.stream.peek(1).type === TokenTypes.IDENTIFIER) {
+        this.stream.next();
+        name = `${name}-${this.stream.next().value}`;
+      }
+
+      this.stream.expect('(');
+      const value = this.stream.skipUntil([')']);
+      this.stream.expect(')');
+
+      try {
+        annotations[name] = JSON.parse(value);
+      } catch (e) {
+        annotations[name] = value;
+      }
+    }
+
+    return annotations;
+  }
+
+  private declare(name: string, type) {
+    this.declarations[name] = type;
+    this.order.push(name);
+  }
+
+  private parseDeclaration(annotations) {
+    if (this.stream.accept('record') || this.stream.accept('error')) {
+      const name = this.stream.expectIdentifier();
+      const fields = [];
+
+      this.stream.expect('{');
+      while (!this.stream.accept('}')) {
+        fields.push(...this.parseFields());
+      }
+
+      this.declare(getSimpleName(name), {
+        type: AvroSchemaTypesEnum.RECORD,
+        name: getSimpleName(name),
+        fields,
+      });
+    } else if (this.stream.accept('enum')) {
+      const name = this.stream.expectIdentifier();
+      const symbols = [];
+
+      this.stream.expect('{');
+      while (!this.stream.accept('}')) {
+        symbols.push(this.stream.expectIdentifier());
+        this.stream.accept(',');
+      }
+
+      // default symbol
+      if (this.stream.accept('=')) {
+        this.stream.skipUntil([';']);
+        this.stream.expect(';');
+      }
+
+      this.declare(getSimpleName(name), {
+        type: AvroSchemaTypesEnum.ENUM,
+        name: getSimpleName(name),
+        symbols,
+      });
+    } else if (this.stream.accept('fixed')) {
+      const name = this.stream.expectIdentifier();
+      this.stream.expect('(');
+      this.stream.expectNumber();
+      this.stream.expect(')');
+      this.stream.expect(';');
+
+      // CDAP has no fixed type, the bytes are kept as a byte array
+      this.declare(getSimpleName(name), getAnnotatedType(annotations) || AvroSchemaTypesEnum.BYTES);
+    } else {
+      throw this.stream.error('Expected a record, enum or fixed declaration');
+    }
+  }
+
+  private parseFields() {
+    const type = this.parseType(this.parseAnnotations());
+    const fields = [];
+
+    do {
+      this.parseAnnotations();
+      const name = this.stream.expectIdentifier();
+
+      // default values are not part of a CDAP schema
+      if (this.stream.accept('=')) {
+        this.stream.skipUntil([',', ';']);
+      }
+
+      fields.push({ name, type });
+    } while (this.stream.accept(','));
+
+    this.stream.expect(';');
+    return fields;
+  }
+
+  private parseType(annotations) {
+    let type;
+
+    if (this.stream.accept('union')) {
+      type = [];
+      this.stream.expect('{');
+      do {
+        type.push(this.parseType(this.parseAnnotations()));
+      } while (this.stream.accept(','));
+      this.stream.expect('}');
+    } else if (this.stream.accept('array')) {
+      this.stream.expect('<');
+      const items = this.parseType(this.parseAnnotations());
+      this.stream.expect('>');
+      type = { type: AvroSchemaTypesEnum.ARRAY, items };
+    } else if (this.stream.accept('map')) {
+      this.stream.expect('<');
+      const values = this.parseType(this.parseAnnotations());
+      this.stream.expect('>');
+      type = { type: AvroSchemaTypesEnum.MAP, keys: AvroSchemaTypesEnum.STRING, values };
+    } else if (this.stream.accept('decimal')) {
+      this.stream.expect('(');
+      const precision = this.stream.expectNumber();
+      this.stream.expect(',');
+      const scale = this.stream.expectNumber();
+      this.stream.expect(')');
+      type = getLogicalTypeSchema(LogicalTypes.DECIMAL, precision, scale);
+    } else {
+      type = this.parseNamedType(annotations);
+    }
+
+    return this.stream.accept('?') ? makeNullable(type) : type;
+  }
+
+  private parseNamedType(annotations) {
+    const token = this.stream.peek();
+    const name = this.stream.expectIdentifier();
+
+    if (!token.quoted) {
+      if (isPrimitiveType(name)) {
+        return getAnnotatedType(annotations) || name;
+      }
+
+      if (IDL_LOGICAL_TYPES[name]) {
+        return getLogicalTypeSchema(IDL_LOGICAL_TYPES[name]);
+      }
+
+      if (name === 'uuid') {
+        return AvroSchemaTypesEnum.STRING;
+      }
+
+      if (name === 'null') {
+        return 'null';
+      }
+    }
+
+    // declared types can be used before their declaration
+    return { $ref: getSimpleName(name) };
+  }
+}
+
+function getSimpleName(name: string) {
+  return name.split('.').pop();
+}
+
+function getAnnotatedType(annotations) {
+  const logicalType = ANNOTATED_LOGICAL_TYPES[annotations.logicalType];
+  if (!logicalType) {
+    return null;
+  }
+
+  return getLogicalTypeSchema(logicalType, annotations.precision, annotations.scale);
+}
+
+export function avroIdlToAvro(text: string) {
+  return new AvroIdlParser(text).parse();
+}
+
+/* Export */
+
+function escapeName(name: string) {
+  const avroName = toAvroName(name);
+  return IDL_KEYWORDS.indexOf(avroName) !== -1 ? `\`${avroName}\`` : avroName;
+}
+
+function getIdlType(schema, namedTypes): string {
+  if (Array.isArray(schema)) {
+    return `union { ${schema.map((member) => getIdlType(member, namedTypes)).join(', ')} }`;
+  }
+
+  const type = resolveNamedType(schema, namedTypes);
+
+  switch (getLogicalType(type)) {
+    case LogicalTypes.DECIMAL:
+      return `decimal(${type.precision}, ${type.scale})`;
+    case LogicalTypes.DATE:
+      return 'date';
+    case LogicalTypes.TIME_MICROS:
+    case LogicalTypes.TIMESTAMP_MICROS:
+    case LogicalTypes.DATETIME:
+      return `@logicalType("${type.logicalType}") ${type.type}`;
+  }
+
+  if (typeof type === 'string') {
+    return type;
+  }
+
+  switch (type.type) {
+    case AvroSchemaTypesEnum.ARRAY:
+      return `array<${getIdlType(type.items, namedTypes)}>`;
+    case AvroSchemaTypesEnum.MAP:
+      if (splitNullable(type.keys).type !== AvroSchemaTypesEnum.STRING) {
+        throw new Error('Map keys have to be strings in Avro IDL');
+      }
+      return `map<${getIdlType(type.values, namedTypes)}>`;
+    case AvroSchemaTypesEnum.RECORD:
+    case AvroSchemaTypesEnum.ENUM:
+      return escapeName(type.name);
+    default:
+      return type.type;
+  }
+}
+
+function getIdlDeclaration(type, namedTypes) {
+  if (type.type === AvroSchemaTypesEnum.ENUM) {
+    const symbols = type.symbols.map(escapeName).join(', ');
+    return `  enum ${escapeName(type.name)} {\n    ${symbols}\n  }`;
+  }
+
+  const fields = type.fields.map((field) => {
+    return `    ${getIdlType(field.type, namedTypes)} ${escapeName(field.name)};`;
+  });
+
+  return `  record ${escapeName(type.name)} {\n${fields.join('\n')}\n  }`;
+}
+
+export function avroToAvroIdl(schemas, protocolName = 'Schemas') {
+  const declared: Record<string, string> = {};
+  const declarations = [];
+
+  schemas.forEach((schema) => {
+    const namedTypes = getNamedTypes(schema);
+
+    getDeclarationOrder(schema).forEach((type) => {
+      const declaration = getIdlDeclaration(type, namedTypes);
+
+      if (declared.hasOwnProperty(type.name)) {
+        if (declared[type.name] !== declaration) {
+          throw new Error(`Type '${type.name}' is declared more than once`);
+        }
+        return;
+      }
+
+      declared[type.name] = declaration;
+      declarations.push(declaration);
+    });
+  });
+
+  return `protocol ${escapeName(protocolName)} {\n${declarations.join('\n\n')}\n}\n`;
+}
@@ -0,0 +1,392 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import { AvroSchemaTypesEnum } from 'components/AbstractWidget/SchemaEditor/SchemaConstants';
+import { LogicalTypes } from 'services/cdapavscwrapper/LogicalTypes';
+import {
+  createNameGenerator,
+  getLogicalType,
+  getLogicalTypeSchema,
+  getNamedTypes,
+  makeNullable,
+  resolveNamedType,
+  splitNullable,
+  toAvroName,
+} from 'components/AbstractWidget/SchemaEditor/SchemaFormats/avroTypes';
+
+/**
+ * Converts between JSON Schema (draft-07 and later) and avro json. Formats that have a matching
+ * avro logical type are converted to that logical type. Decimals use the 'decimal' format with
+ * 'precision' and 'scale' keywords, which is what other tools use as there is no decimal type in
+ * JSON Schema.
+ */
+
+const JSON_SCHEMA_DRAFT = 'http://json-schema.org/draft-07/schema#';
+
+const FORMAT_TO_LOGICAL_TYPE = {
+  date: LogicalTypes.DATE,
+  'date-time': LogicalTypes.TIMESTAMP_MICROS,
+  time: LogicalTypes.TIME_MICROS,
+  datetime: LogicalTypes.DATETIME,
+  'local-date-time': LogicalTypes.DATETIME,
+};
+
+const LOGICAL_TYPE_TO_FORMAT = {
+  [LogicalTypes.DATE]: 'date',
+  [LogicalTypes.TIMESTAMP_MICROS]: 'date-time',
+  [LogicalTypes.TIME_MICROS]: 'time',
+  [LogicalTypes.DATETIME]: 'datetime',
+};
+
+export function isJsonSchema(schema) {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    return false;
+  }
+
+  // an avro record has a list of fields, a JSON Schema object a map of properties
+  return (
+    schema.hasOwnProperty('$schema') ||
+    (!Array.isArray(schema.fields) && typeof schema.properties === 'object')
+  );
+}
+
+/* Import */
+
+class JsonSchemaImporter {
+  private root;
+  private getName = createNameGenerator();
+  private resolving: string[] = [];
+
+  constructor(root) {
+    this.root = root;
+  }
+
+  public getSchema(name: string) {
+    const { type } = this.getType(this.root, this.root.title || name);
+
+    if (!type || type.type !== AvroSchemaTypesEnum.RECORD) {
+      throw new Error('The root of a JSON Schema has to be an object with properties');
+    }
+
+    return type;
+  }
+
+  private resolveRef(ref: string) {
+    if (ref.indexOf('#') !== 0) {
+      throw new Error(`External reference '${ref}' is not supported`);
+    }
+
+    const path = ref
+      .slice(1)
+      .split('/')
+      .filter((part) => part.length > 0)
+      .map((part) => decodeURIComponent(part.replace(/~1/g, '/').replace(/~0/g, '~')));
+
+    const definition = path.reduce((node, part) => (node ? node[part] : undefined), this.root);
+
+    if (!definition) {
+      throw new Error(`Cannot resolve reference '${ref}'`);
+    }
+
+    return definition;
+  }
+
+  private getType(node, name: string): { type: any; nullable: boolean } {
+    if (node === true || !node || Object.keys(node).length === 0) {
+      // any value, keep it as a string
+      return { type: AvroSchemaTypesEnum.STRING, nullable: true };
+    }
+
+    if (node.$ref) {
+      if (this.resolving.indexOf(node.$ref) !== -1) {
+        throw new Error(`Recursive reference '${node.$ref}' is not supported`);
+      }
+
+      this.resolving.push(node.$ref);
+      const refName = node.$ref.split('/').pop();
+      const resolved = this.getType(this.resolveRef(node.$ref), refName || name);
+      this.resolving.pop();
+      return resolved;
+    }
+
+    if (Array.isArray(node.oneOf) || Array.isArray(node.anyOf)) {
+      return this.getUnionType(node.oneOf || node.anyOf, name);
+    }
+
+    if (Array.isArray(node.allOf) && node.allOf.length === 1) {
+      return this.getType(node.allOf[0], name);
+    }
+
+    if (Array.isArray(node.enum)) {
+      return this.getEnumType(node, name);
+    }
+
+    let types = Array.isArray(node.type) ? node.type : [node.type];
+    const nullable = types.indexOf('null') !== -1;
+    types = types.filter((t) => t !== 'null');
+
+    if (types.length > 1) {
+      const members = types.map((memberType) => this.getType({ ...node, type: memberType }, name));
+      return { type: members.map((member) => member.type), nullable };
+    }
+
+    let type = types[0];
+    if (!type) {
+      if (node.properties || node.additionalProperties) {
+        type = 'object';
+      } else if (node.items) {
+        type = 'array';
+      } else if (nullable) {
+        throw new Error(`Field '${name}' can only be null`);
+      }
+    }
+
+    return { type: this.getNonNullType(node, type, name), nullable };
+  }
+
+  private getNonNullType(node, type: string, name: string) {
+    switch (type) {
+      case 'object':
+        return this.getObjectType(node, name);
+      case 'array':
+        return this.getArrayType(node, name);
+      case 'string':
+        return this.getStringType(node);
+      case 'integer':
+        return node.format === 'int32' ? AvroSchemaTypesEnum.INT : AvroSchemaTypesEnum.LONG;
+      case 'number':
+        return this.getNumberType(node);
+      case 'boolean':
+        return AvroSchemaTypesEnum.BOOLEAN;
+      default:
+        return AvroSchemaTypesEnum.STRING;
+    }
+  }
+
+  private getStringType(node) {
+    const logicalType = FORMAT_TO_LOGICAL_TYPE[node.format];
+    if (logicalType) {
+      return getLogicalTypeSchema(logicalType);
+    }
+
+    if (node.contentEncoding === 'base64' || node.format === 'byte' || node.format === 'binary') {
+      return AvroSchemaTypesEnum.BYTES;
+    }
+
+    return AvroSchemaTypesEnum.STRING;
+  }
+
+  private getNumberType(node) {
+    if (node.format === 'decimal') {
+      return getLogicalTypeSchema(LogicalTypes.DECIMAL, node.precision, node.scale);
+    }
+
+    return node.format === 'float' ? AvroSchemaTypesEnum.FLOAT : AvroSchemaTypesEnum.DOUBLE;
+  }
+
+  private getObjectType(node, name: string) {
+    if (!node.properties || Object.keys(node.properties).length === 0) {
+      const values =
+        node.additionalProperties && typeof node.additionalProperties === 'object'
+          ? this.getType(node.additionalProperties, `${name}_value`)
+          : { type: AvroSchemaTypesEnum.STRING, nullable: true };
+
+      return {
+        type: AvroSchemaTypesEnum.MAP,
+        keys: AvroSchemaTypesEnum.STRING,
+        values: values.nullable ? makeNullable(values.type) : values.type,
+      };
+    }
+
+    const required: string[] = Array.isArray(node.required) ? node.required : [];
+    const fields = Object.keys(node.properties).map((property) => {
+      const { type, nullable } = this.getType(node.properties[property], property);
+
+      return {
+        name: toAvroName(property),
+        type: nullable || required.indexOf(property) === -1 ? makeNullable(type) : type,
+      };
+    });
+
+    return {
+      type: AvroSchemaTypesEnum.RECORD,
+      name: this.getName(node.title || name),
+      fields,
+    };
+  }
+
+  private getArrayType(node, name: string) {
+    let items;
+
+    if (Array.isArray(node.items)) {
+      // tuples become an array of the union of all the item types
+      items = this.getUnionType(node.items, `${name}_item`);
+    } else {
+      items = node.items
+        ? this.getType(node.items, `${name}_item`)
+        : { type: AvroSchemaTypesEnum.STRING, nullable: true };
+    }
+
+    return {
+      type: AvroSchemaTypesEnum.ARRAY,
+      items: items.nullable ? makeNullable(items.type) : items.type,
+    };
+  }
+
+  private getEnumType(node, name: string) {
+    const nullable = node.enum.indexOf(null) !== -1;
+    const symbols = node.enum.filter((symbol) => symbol !== null);
+
+    if (symbols.length === 0 || symbols.some((symbol) => typeof symbol !== 'string')) {
+      return { type: AvroSchemaTypesEnum.STRING, nullable };
+    }
+
+    return {
+      type: {
+        type: AvroSchemaTypesEnum.ENUM,
+        name: this.getName(node.title || name),
+        symbols,
+      },
+      nullable,
+    };
+  }
+
+  private getUnionType(members, name: string) {
+    let nullable = false;
+    const types = [];
+
+    members.forEach((member, i) => {
+      if (member && member.type === 'null') {
+        nullable = true;
+        return;
+      }
+
+      const memberType = this.getType(member, `${name}_${i}`);
+      nullable = nullable || memberType.nullable;
+
+      const memberTypes = Array.isArray(memberType.type) ? memberType.type : [memberType.type];
+      types.push(...memberTypes);
+    });
+
+    if (types.length === 0) {
+      throw new Error(`Field '${name}' can only be null`);
+    }
+
+    return { type: types.length === 1 ? types[0] : types, nullable };
+  }
+}
+
+export function jsonSchemaToAvro(jsonSchema, name = 'etlSchemaBody') {
+  return new JsonSchemaImporter(jsonSchema).getSchema(name);
+}
+
+/* Export */
+
+function toJsonSchemaType(schema, namedTypes, exporting: string[]) {
+  const { type, nullable } = splitNullable(schema);
+
+  let jsonSchema = getNonNullJsonSchemaType(type, namedTypes, exporting);
+
+  if (nullable) {
+    if (typeof jsonSchema.type === 'string') {
+      jsonSchema = { ...jsonSchema, type: [jsonSchema.type, 'null'] };
+    } else {
+      jsonSchema = { anyOf: [jsonSchema, { type: 'null' }] };
+    }
+  }
+
+  return jsonSchema;
+}
+
+function getNonNullJsonSchemaType(schema, namedTypes, exporting: string[]) {
+  if (Array.isArray(schema)) {
+    return { anyOf: schema.map((member) => toJsonSchemaType(member, namedTypes, exporting)) };
+  }
+
+  const type = resolveNamedType(schema, namedTypes);
+  const logicalType = getLogicalType(type);
+
+  if (logicalType === LogicalTypes.DECIMAL) {
+    return { type: 'number', format: 'decimal', precision: type.precision, scale: type.scale };
+  }
+
+  if (logicalType && LOGICAL_TYPE_TO_FORMAT[logicalType]) {
+    return { type: 'string', format: LOGICAL_TYPE_TO_FORMAT[logicalType] };
+  }
+
+  const typeName = typeof type === 'string' ? type : type.type;
+
+  switch (typeName) {
+    case AvroSchemaTypesEnum.BOOLEAN:
+      return { type: 'boolean' };
+    case AvroSchemaTypesEnum.INT:
+      return { type: 'integer', format: 'int32' };
+    case AvroSchemaTypesEnum.LONG:
+      return { type: 'integer', format: 'int64' };
+    case AvroSchemaTypesEnum.FLOAT:
+      return { type: 'number', format: 'float' };
+    case AvroSchemaTypesEnum.DOUBLE:
+      return { type: 'number', format: 'double' };
+    case AvroSchemaTypesEnum.BYTES:
+      return { type: 'string', contentEncoding: 'base64' };
+    case AvroSchemaTypesEnum.STRING:
+      return { type: 'string' };
+    case AvroSchemaTypesEnum.ENUM:
+      return { type: 'string', title: type.name, enum: [...type.symbols] };
+    case AvroSchemaTypesEnum.ARRAY:
+      return { type: 'array', items: toJsonSchemaType(type.items, namedTypes, exporting) };
+    case AvroSchemaTypesEnum.MAP:
+      return {
+        type: 'object',
+        additionalProperties: toJsonSchemaType(type.values, namedTypes, exporting),
+      };
+    case AvroSchemaTypesEnum.RECORD:
+      return getObjectSchema(type, namedTypes, exporting);
+    default:
+      throw new Error(`Type '${typeName}' cannot be exported to JSON Schema`);
+  }
+}
+
+function getObjectSchema(record, namedTypes, exporting: string[]) {
+  if (exporting.indexOf(record.name) !== -1) {
+    throw new Error(`Recursive record '${record.name}' cannot be exported to JSON Schema`);
+  }
+
+  const properties = {};
+  const required = [];
+
+  record.fields.forEach((field) => {
+    properties[field.name] = toJsonSchemaType(field.type, namedTypes, [...exporting, record.name]);
+
+    if (!splitNullable(field.type).nullable) {
+      required.push(field.name);
+    }
+  });
+
+  return {
+    type: 'object',
+    title: record.name,
+    properties,
+    required,
+  };
+}
+
+export function avroToJsonSchema(schema) {
+  return {
+    $schema: JSON_SCHEMA_DRAFT,
+    ...getObjectSchema(schema, getNamedTypes(schema), []),
+  };
+}
@@ -0,0 +1,483 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import { AvroSchemaTypesEnum } from 'components/AbstractWidget/SchemaEditor/SchemaConstants';
+import { LogicalTypes } from 'services/cdapavscwrapper/LogicalTypes';
+import {
+  getDeclarationOrder,
+  getLogicalType,
+  getLogicalTypeSchema,
+  getNamedTypes,
+  getRootRecords,
+  makeNullable,
+  resolveNamedType,
+  splitNullable,
+  toAvroName,
+} from 'components/AbstractWidget/SchemaEditor/SchemaFormats/avroTypes';
+import { TokenStream } from 'components/AbstractWidget/SchemaEditor/SchemaFormats/Tokenizer';
+
+/**
+ * Converts between protobuf message definitions (.proto) and avro json. Dates and times are
+ * converted from and to the well known google types. google.type.Decimal has no precision and
+ * scale, so decimals get the default precision and scale of the schema editor when imported.
+ */
+
+const SCALAR_TYPES = {
+  double: AvroSchemaTypesEnum.DOUBLE,
+  float: AvroSchemaTypesEnum.FLOAT,
+  int32: AvroSchemaTypesEnum.INT,
+  sint32: AvroSchemaTypesEnum.INT,
+  sfixed32: AvroSchemaTypesEnum.INT,
+  // unsigned 32 bit values do not fit in an int
+  uint32: AvroSchemaTypesEnum.LONG,
+  fixed32: AvroSchemaTypesEnum.LONG,
+  int64: AvroSchemaTypesEnum.LONG,
+  sint64: AvroSchemaTypesEnum.LONG,
+  sfixed64: AvroSchemaTypesEnum.LONG,
+  uint64: AvroSchemaTypesEnum.LONG,
+  fixed64: AvroSchemaTypesEnum.LONG,
+  bool: AvroSchemaTypesEnum.BOOLEAN,
+  string: AvroSchemaTypesEnum.STRING,
+  bytes: AvroSchemaTypesEnum.BYTES,
+};
+
+const WELL_KNOWN_TYPES = {
+  'google.protobuf.Timestamp': LogicalTypes.TIMESTAMP_MICROS,
+  'google.type.Date': LogicalTypes.DATE,
+  'google.type.TimeOfDay': LogicalTypes.TIME_MICROS,
+  'google.type.DateTime': LogicalTypes.DATETIME,
+  'google.type.Decimal': LogicalTypes.DECIMAL,
+};
+
+const WELL_KNOWN_TYPE_IMPORTS = {
+  'google.protobuf.Timestamp': 'google/protobuf/timestamp.proto',
+  'google.type.Date': 'google/type/date.proto',
+  'google.type.TimeOfDay': 'google/type/timeofday.proto',
+  'google.type.DateTime': 'google/type/datetime.proto',
+  'google.type.Decimal': 'google/type/decimal.proto',
+};
+
+// wrapper messages are the nullable variant of a scalar
+const WRAPPER_TYPES = {
+  'google.protobuf.DoubleValue': AvroSchemaTypesEnum.DOUBLE,
+  'google.protobuf.FloatValue': AvroSchemaTypesEnum.FLOAT,
+  'google.protobuf.Int64Value': AvroSchemaTypesEnum.LONG,
+  'google.protobuf.UInt64Value': AvroSchemaTypesEnum.LONG,
+  'google.protobuf.Int32Value': AvroSchemaTypesEnum.INT,
+  'google.protobuf.UInt32Value': AvroSchemaTypesEnum.LONG,
+  'google.protobuf.BoolValue': AvroSchemaTypesEnum.BOOLEAN,
+  'google.protobuf.StringValue': AvroSchemaTypesEnum.STRING,
+  'google.protobuf.BytesValue': AvroSchemaTypesEnum.BYTES,
+};
+
+const PROTO_TYPES = {
+  [AvroSchemaTypesEnum.BOOLEAN]: 'bool',
+  [AvroSchemaTypesEnum.BYTES]: 'bytes',
+  [AvroSchemaTypesEnum.DOUBLE]: 'double',
+  [AvroSchemaTypesEnum.FLOAT]: 'float',
+  [AvroSchemaTypesEnum.INT]: 'int32',
+  [AvroSchemaTypesEnum.LONG]: 'int64',
+  [AvroSchemaTypesEnum.STRING]: 'string',
+};
+
+const MAP_KEY_TYPES = [
+  AvroSchemaTypesEnum.BOOLEAN,
+  AvroSchemaTypesEnum.INT,
+  AvroSchemaTypesEnum.LONG,
+  AvroSchemaTypesEnum.STRING,
+] as string[];
+
+export function isProtobuf(text: string) {
+  return /(^|\s)syntax\s*=\s*["']proto[23]["']/.test(text) || /(^|\s)message\s+\w+\s*\{/.test(text);
+}
+
+/* Import */
+
+class ProtobufParser {
+  private stream: TokenStream;
+  private isProto2 = false;
+  private packageName = '';
+  private declarations: Record<string, any> = {};
+  private topLevelMessages: string[] = [];
+  private references: Array<{ reference; scope: string }> = [];
+  // fields that use a declared type, which are nullable when the type is a message
+  private declaredTypeFields = [];
+
+  constructor(text: string) {
+    this.stream = new TokenStream(text, {
+      lineComments: ['//'],
+      stringQuotes: ['"', "'"],
+      identifierQuotes: {},
+      caseSensitive: true,
+    });
+  }
+
+  public parse() {
+    while (!this.stream.done()) {
+      if (this.stream.accept('syntax')) {
+        this.stream.expect('=');
+        this.isProto2 = this.stream.next().value === 'proto2';
+        this.stream.expect(';');
+      } else if (this.stream.accept('package')) {
+        this.packageName = this.stream.expectIdentifier();
+        this.stream.expect(';');
+      } else if (this.stream.accept('message')) {
+        this.topLevelMessages.push(this.parseMessage(''));
+      } else if (this.stream.accept('enum')) {
+        this.parseEnum('');
+      } else if (this.stream.accept('service') || this.stream.accept('extend')) {
+        this.skipBlock();
+      } else if (!this.stream.accept(';')) {
+        // syntax edition, imports and options
+        this.stream.skipUntil([';']);
+        this.stream.expect(';');
+      }
+    }
+
+    this.references.forEach(({ reference, scope }) => {
+      reference.$ref = this.resolveReference(reference.$ref, scope);
+    });
+
+    this.declaredTypeFields.forEach((field) => {
+      if (this.declarations[field.type.$ref].type === AvroSchemaTypesEnum.RECORD) {
+        field.type = makeNullable(field.type);
+      }
+    });
+
+    const records = getRootRecords(this.declarations, this.topLevelMessages);
+    if (records.length === 0) {
+      throw new Error('No message found in the protobuf definition');
+    }
+    return records;
+  }
+
+  private skipBlock() {
+    this.stream.expectIdentifier();
+    this.stream.expect('{');
+    this.stream.skipUntil(['}']);
+    this.stream.expect('}');
+  }
+
+  private getQualifiedName(scope: string, name: string) {
+    return scope ? `${scope}.${name}` : name;
+  }
+
+  /**
+   * Type names are looked up from the innermost scope outwards, like protoc does.
+   */
+  private resolveReference(name: string, scope: string) {
+    let typeName = name.replace(/^\./, '');
+    if (this.packageName && typeName.indexOf(`${this.packageName}.`) === 0) {
+      typeName = typeName.slice(this.packageName.length + 1);
+    }
+
+    const scopes = scope ? scope.split('.') : [];
+    for (let i = scopes.length; i >= 0; i--) {
+      const qualifiedName = [...scopes.slice(0, i), typeName].join('.');
+      if (this.declarations[qualifiedName]) {
+        return qualifiedName;
+      }
+    }
+
+    throw new Error(`Unknown type '${name}'`);
+  }
+
+  private parseMessage(scope: string) {
+    const name = this.stream.expectIdentifier();
+    const qualifiedName = this.getQualifiedName(scope, name);
+    const fields = [];
+
+    this.stream.expect('{');
+    while (!this.stream.accept('}')) {
+      if (this.stream.accept('message')) {
+        this.parseMessage(qualifiedName);
+      } else if (this.stream.accept('enum')) {
+        this.parseEnum(qualifiedName);
+      } else if (this.stream.accept('oneof')) {
+        fields.push(...this.parseOneOf(qualifiedName));
+      } else if (this.stream.accept('extend')) {
+        this.skipBlock();
+      } else if (
+        this.stream.accept('option') ||
+        this.stream.accept('reserved') ||
+        this.stream.accept('extensions')
+      ) {
+        this.stream.skipUntil([';']);
+        this.stream.expect(';');
+      } else if (!this.stream.accept(';')) {
+        fields.push(this.parseField(qualifiedName));
+      }
+    }
+
+    this.declarations[qualifiedName] = { type: AvroSchemaTypesEnum.RECORD, name, fields };
+    return qualifiedName;
+  }
+
+  private parseEnum(scope: string) {
+    const name = this.stream.expectIdentifier();
+    const symbols = [];
+
+    this.stream.expect('{');
+    while (!this.stream.accept('}')) {
+      if (this.stream.accept('option') || this.stream.accept('reserved')) {
+        this.stream.skipUntil([';']);
+      } else if (!this.stream.is(';')) {
+        symbols.push(this.stream.expectIdentifier());
+        this.stream.expect('=');
+        this.stream.skipUntil([';']);
+      }
+      this.stream.expect(';');
+    }
+
+    this.declarations[this.getQualifiedName(scope, name)] = {
+      type: AvroSchemaTypesEnum.ENUM,
+      name,
+      symbols,
+    };
+  }
+
+  private parseOneOf(scope: string) {
+    this.stream.expectIdentifier();
+    const fields = [];
+
+    this.stream.expect('{');
+    while (!this.stream.accept('}')) {
+      if (this.stream.accept('option')) {
+        this.stream.skipUntil([';']);
+        this.stream.expect(';');
+      } else if (!this.stream.accept(';')) {
+        // only one field of a oneof is set at a time
+        const field = this.parseField(scope);
+        fields.push({ ...field, type: makeNullable(splitNullable(field.type).type) });
+      }
+    }
+
+    return fields;
+  }
+
+  private parseField(scope: string) {
+    if (this.stream.is('group')) {
+      throw this.stream.error('Groups are not supported');
+    }
+
+    const isRepeated = this.stream.accept('repeated');
+    const isOptional = !isRepeated && this.stream.accept('optional');
+    const isRequired = !isRepeated && !isOptional && this.stream.accept('required');
+
+    let type;
+    let nullable;
+
+    if (this.stream.is('map') && this.stream.is('<', 1)) {
+      this.stream.next();
+      this.stream.expect('<');
+      const keys = this.parseType(scope).type;
+      this.stream.expect(',');
+      const values = this.parseType(scope);
+      this.stream.expect('>');
+
+      type = {
+        type: AvroSchemaTypesEnum.MAP,
+        keys,
+        values: values.nullable ? makeNullable(values.type) : values.type,
+      };
+      nullable = false;
+    } else {
+      const fieldType = this.parseType(scope);
+
+      if (isRepeated) {
+        type = { type: AvroSchemaTypesEnum.ARRAY, items: fieldType.type };
+        nullable = false;
+      } else {
+        type = fieldType.type;
+        // proto3 scalars and enums always have a value unless they are optional, in proto2
+        // only required fields always have a value
+        nullable = isOptional || fieldType.nullable || (this.isProto2 && !isRequired);
+      }
+    }
+
+    const name = this.stream.expectIdentifier();
+    this.stream.expect('=');
+    this.stream.expectNumber();
+
+    // field options
+    if (this.stream.accept('[')) {
+      this.stream.skipUntil([']']);
+      this.stream.expect(']');
+    }
+    this.stream.expect(';');
+
+    const field = { name, type: nullable && !isRequired ? makeNullable(type) : type };
+    if (field.type === type && type.$ref && !isRequired) {
+      this.declaredTypeFields.push(field);
+    }
+
+    return field;
+  }
+
+  private parseType(scope: string): { type: any; nullable: boolean } {
+    const name = this.stream.expectIdentifier();
+    const typeName = name.replace(/^\./, '');
+
+    if (SCALAR_TYPES[typeName]) {
+      return { type: SCALAR_TYPES[typeName], nullable: false };
+    }
+
+    if (WELL_KNOWN_TYPES[typeName]) {
+      return { type: getLogicalTypeSchema(WELL_KNOWN_TYPES[typeName]), nullable: true };
+    }
+
+    if (WRAPPER_TYPES[typeName]) {
+      return { type: WRAPPER_TYPES[typeName], nullable: true };
+    }
+
+    // messages can be used before they are declared, the reference is resolved at the end
+    const reference = { $ref: name };
+    this.references.push({ reference, scope });
+
+    return { type: reference, nullable: false };
+  }
+}
+
+export function protobufToAvro(text: string) {
+  return new ProtobufParser(text).parse();
+}
+
+/* Export */
+
+function getProtoEnum(type) {
+  const symbols = type.symbols.map((symbol, i) => `  ${toAvroName(symbol)} = ${i};`);
+  return `enum ${toAvroName(type.name)} {\n${symbols.join('\n')}\n}`;
+}
+
+/**
+ * Returns the protobuf type of a field, and adds the imports of the well known types it uses.
+ */
+function getProtoType(schema, fieldName: string, namedTypes, imports: Set<string>) {
+  const type = resolveNamedType(schema, namedTypes);
+
+  const logicalType = getLogicalType(type);
+  if (logicalType) {
+    const wellKnownType = Object.keys(WELL_KNOWN_TYPES).find(
+      (name) => WELL_KNOWN_TYPES[name] === logicalType
+    );
+    imports.add(WELL_KNOWN_TYPE_IMPORTS[wellKnownType]);
+    return wellKnownType;
+  }
+
+  if (typeof type === 'string' && PROTO_TYPES[type]) {
+    return PROTO_TYPES[type];
+  }
+
+  if (type.type === AvroSchemaTypesEnum.RECORD || type.type === AvroSchemaTypesEnum.ENUM) {
+    return toAvroName(type.name);
+  }
+
+  if (Array.isArray(type)) {
+    throw new Error(`Nested unions in field '${fieldName}' cannot be exported to protobuf`);
+  }
+
+  if (type.type === AvroSchemaTypesEnum.ARRAY || type.type === AvroSchemaTypesEnum.MAP) {
+    throw new Error(
+      `Nested arrays and maps in field '${fieldName}' cannot be exported to protobuf`
+    );
+  }
+
+  throw new Error(`Type '${type.type || type}' cannot be exported to protobuf`);
+}
+
+function getProtoMessage(record, namedTypes, imports: Set<string>) {
+  let fieldNumber = 0;
+  const nextFieldNumber = () => {
+    fieldNumber += 1;
+    return fieldNumber;
+  };
+  const getFieldType = (schema, fieldName: string) =>
+    getProtoType(schema, fieldName, namedTypes, imports);
+
+  const fields = record.fields.map((field) => {
+    const name = toAvroName(field.name);
+    const { type, nullable } = splitNullable(field.type);
+
+    if (Array.isArray(type)) {
+      const members = type.map((member, i) => {
+        const memberType = getFieldType(member, field.name);
+        return `    ${memberType} ${name}_${i} = ${nextFieldNumber()};`;
+      });
+      return `  oneof ${name} {\n${members.join('\n')}\n  }`;
+    }
+
+    const resolved = resolveNamedType(type, namedTypes);
+
+    if (resolved.type === AvroSchemaTypesEnum.ARRAY) {
+      const items = getFieldType(splitNullable(resolved.items).type, field.name);
+      return `  repeated ${items} ${name} = ${nextFieldNumber()};`;
+    }
+
+    if (resolved.type === AvroSchemaTypesEnum.MAP) {
+      const keys = resolveNamedType(splitNullable(resolved.keys).type, namedTypes);
+      if (MAP_KEY_TYPES.indexOf(keys) === -1) {
+        throw new Error(`Map keys of field '${field.name}' cannot be exported to protobuf`);
+      }
+
+      const values = getFieldType(splitNullable(resolved.values).type, field.name);
+      return `  map<${PROTO_TYPES[keys]}, ${values}> ${name} = ${nextFieldNumber()};`;
+    }
+
+    // messages have presence, scalars and enums need to be optional to be nullable
+    const isMessage = resolved.type === AvroSchemaTypesEnum.RECORD || getLogicalType(resolved);
+    const label = nullable && !isMessage ? 'optional ' : '';
+
+    return `  ${label}${getFieldType(type, field.name)} ${name} = ${nextFieldNumber()};`;
+  });
+
+  return `message ${toAvroName(record.name)} {\n${fields.join('\n')}\n}`;
+}
+
+export function avroToProtobuf(schemas) {
+  const imports = new Set<string>();
+  const declared: Record<string, string> = {};
+  const declarations = [];
+
+  schemas.forEach((schema) => {
+    const namedTypes = getNamedTypes(schema);
+
+    getDeclarationOrder(schema).forEach((type) => {
+      const declaration =
+        type.type === AvroSchemaTypesEnum.ENUM
+          ? getProtoEnum(type)
+          : getProtoMessage(type, namedTypes, imports);
+
+      if (declared.hasOwnProperty(type.name)) {
+        if (declared[type.name] !== declaration) {
+          throw new Error(`Type '${type.name}' is declared more than once`);
+        }
+        return;
+      }
+
+      declared[type.name] = declaration;
+      declarations.push(declaration);
+    });
+  });
+
+  const importLines = Array.from(imports)
+    .sort()
+    .map((file) => `import "${file}";\n`)
+    .join('');
+
+  const header = `syntax = "proto3";\n\n${importLines ? `${importLines}\n` : ''}`;
+
+  return `${header}${declarations.join('\n\n')}\n`;
+}
@@ -0,0 +1,518 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import { AvroSchemaTypesEnum } from 'components/AbstractWidget/SchemaEditor/SchemaConstants';
+import { LogicalTypes } from 'services/cdapavscwrapper/LogicalTypes';
+import {
+  createNameGenerator,
+  getLogicalType,
+  getLogicalTypeSchema,
+  getNamedTypes,
+  makeNullable,
+  resolveNamedType,
+  splitNullable,
+  toAvroName,
+} from 'components/AbstractWidget/SchemaEditor/SchemaFormats/avroTypes';
+import {
+  IToken,
+  TokenStream,
+} from 'components/AbstractWidget/SchemaEditor/SchemaFormats/Tokenizer';
+
+/**
+ * Converts between CREATE TABLE statements and avro json. The import understands the column types
+ * of the common databases and warehouses, including nested ARRAY, STRUCT and MAP columns. The
+ * export writes generic DDL, which might need small changes for a specific database.
+ */
+
+const SQL_TYPES = {
+  boolean: AvroSchemaTypesEnum.BOOLEAN,
+  bool: AvroSchemaTypesEnum.BOOLEAN,
+  bit: AvroSchemaTypesEnum.BOOLEAN,
+  tinyint: AvroSchemaTypesEnum.INT,
+  smallint: AvroSchemaTypesEnum.INT,
+  mediumint: AvroSchemaTypesEnum.INT,
+  int: AvroSchemaTypesEnum.INT,
+  integer: AvroSchemaTypesEnum.INT,
+  int2: AvroSchemaTypesEnum.INT,
+  int4: AvroSchemaTypesEnum.INT,
+  serial: AvroSchemaTypesEnum.INT,
+  smallserial: AvroSchemaTypesEnum.INT,
+  bigint: AvroSchemaTypesEnum.LONG,
+  int8: AvroSchemaTypesEnum.LONG,
+  int64: AvroSchemaTypesEnum.LONG,
+  bigserial: AvroSchemaTypesEnum.LONG,
+  real: AvroSchemaTypesEnum.FLOAT,
+  float4: AvroSchemaTypesEnum.FLOAT,
+  float: AvroSchemaTypesEnum.DOUBLE,
+  float8: AvroSchemaTypesEnum.DOUBLE,
+  float64: AvroSchemaTypesEnum.DOUBLE,
+  double: AvroSchemaTypesEnum.DOUBLE,
+  char: AvroSchemaTypesEnum.STRING,
+  nchar: AvroSchemaTypesEnum.STRING,
+  varchar: AvroSchemaTypesEnum.STRING,
+  nvarchar: AvroSchemaTypesEnum.STRING,
+  varchar2: AvroSchemaTypesEnum.STRING,
+  nvarchar2: AvroSchemaTypesEnum.STRING,
+  text: AvroSchemaTypesEnum.STRING,
+  tinytext: AvroSchemaTypesEnum.STRING,
+  mediumtext: AvroSchemaTypesEnum.STRING,
+  longtext: AvroSchemaTypesEnum.STRING,
+  ntext: AvroSchemaTypesEnum.STRING,
+  clob: AvroSchemaTypesEnum.STRING,
+  nclob: AvroSchemaTypesEnum.STRING,
+  string: AvroSchemaTypesEnum.STRING,
+  uuid: AvroSchemaTypesEnum.STRING,
+  uniqueidentifier: AvroSchemaTypesEnum.STRING,
+  json: AvroSchemaTypesEnum.STRING,
+  jsonb: AvroSchemaTypesEnum.STRING,
+  xml: AvroSchemaTypesEnum.STRING,
+  binary: AvroSchemaTypesEnum.BYTES,
+  varbinary: AvroSchemaTypesEnum.BYTES,
+  bytea: AvroSchemaTypesEnum.BYTES,
+  blob: AvroSchemaTypesEnum.BYTES,
+  tinyblob: AvroSchemaTypesEnum.BYTES,
+  mediumblob: AvroSchemaTypesEnum.BYTES,
+  longblob: AvroSchemaTypesEnum.BYTES,
+  bytes: AvroSchemaTypesEnum.BYTES,
+  raw: AvroSchemaTypesEnum.BYTES,
+};
+
+const SQL_LOGICAL_TYPES = {
+  date: LogicalTypes.DATE,
+  time: LogicalTypes.TIME_MICROS,
+  timetz: LogicalTypes.TIME_MICROS,
+  timestamp: LogicalTypes.TIMESTAMP_MICROS,
+  timestamptz: LogicalTypes.TIMESTAMP_MICROS,
+  timestamp_tz: LogicalTypes.TIMESTAMP_MICROS,
+  timestamp_ltz: LogicalTypes.TIMESTAMP_MICROS,
+  // timestamps without a time zone are local date times
+  datetime: LogicalTypes.DATETIME,
+  datetime2: LogicalTypes.DATETIME,
+  smalldatetime: LogicalTypes.DATETIME,
+  timestamp_ntz: LogicalTypes.DATETIME,
+  decimal: LogicalTypes.DECIMAL,
+  dec: LogicalTypes.DECIMAL,
+  numeric: LogicalTypes.DECIMAL,
+  number: LogicalTypes.DECIMAL,
+  bignumeric: LogicalTypes.DECIMAL,
+  bigdecimal: LogicalTypes.DECIMAL,
+};
+
+const SQL_EXPORT_TYPES = {
+  [AvroSchemaTypesEnum.BOOLEAN]: 'BOOLEAN',
+  [AvroSchemaTypesEnum.BYTES]: 'VARBINARY',
+  [AvroSchemaTypesEnum.DOUBLE]: 'DOUBLE PRECISION',
+  [AvroSchemaTypesEnum.FLOAT]: 'REAL',
+  [AvroSchemaTypesEnum.INT]: 'INTEGER',
+  [AvroSchemaTypesEnum.LONG]: 'BIGINT',
+  [AvroSchemaTypesEnum.STRING]: 'VARCHAR',
+  [AvroSchemaTypesEnum.ENUM]: 'VARCHAR',
+  [LogicalTypes.DATE]: 'DATE',
+  [LogicalTypes.TIME_MICROS]: 'TIME',
+  [LogicalTypes.TIMESTAMP_MICROS]: 'TIMESTAMP',
+  [LogicalTypes.DATETIME]: 'DATETIME',
+};
+
+const TABLE_CONSTRAINTS = [
+  'constraint',
+  'primary',
+  'unique',
+  'foreign',
+  'check',
+  'key',
+  'index',
+  'fulltext',
+  'spatial',
+  'exclude',
+];
+
+const RESERVED_WORDS = [
+  'all',
+  'and',
+  'as',
+  'by',
+  'check',
+  'column',
+  'constraint',
+  'create',
+  'date',
+  'default',
+  'from',
+  'group',
+  'index',
+  'key',
+  'not',
+  'null',
+  'or',
+  'order',
+  'primary',
+  'select',
+  'table',
+  'time',
+  'timestamp',
+  'to',
+  'unique',
+  'user',
+  'where',
+];
+
+export function isSqlDdl(text: string) {
+  return /(^|\s)create\s+([a-z]+\s+)*table\s/i.test(text);
+}
+
+/* Import */
+
+class SqlDdlParser {
+  private stream: TokenStream;
+  private getName = createNameGenerator();
+
+  constructor(text: string) {
+    this.stream = new TokenStream(text, {
+      lineComments: ['--', '#'],
+      stringQuotes: ["'"],
+      identifierQuotes: { '"': '"', '`': '`', '[': ']' },
+      caseSensitive: false,
+    });
+  }
+
+  public parse() {
+    const records = [];
+
+    while (!this.stream.done()) {
+      if (this.stream.accept('create')) {
+        while (!this.stream.is('table') && this.stream.peek() && !this.stream.is(';')) {
+          // OR REPLACE, TEMPORARY, EXTERNAL and similar modifiers
+          this.stream.next();
+        }
+
+        if (this.stream.accept('table')) {
+          if (this.stream.accept('if')) {
+            this.stream.expect('not');
+            this.stream.expect('exists');
+          }
+
+          const name = this.parseQualifiedName();
+          if (this.stream.is('(')) {
+            this.getName = createNameGenerator();
+            records.push({
+              type: AvroSchemaTypesEnum.RECORD,
+              name: this.getName(name),
+              fields: this.parseColumns(),
+            });
+          }
+        }
+      }
+
+      this.skipStatement();
+    }
+
+    if (records.length === 0) {
+      throw new Error('No CREATE TABLE statement found');
+    }
+    return records;
+  }
+
+  private skipStatement() {
+    while (!this.stream.done() && !this.stream.accept(';')) {
+      this.stream.skipUntil([';']);
+      if (!this.stream.done() && !this.stream.is(';')) {
+        // an unbalanced closing bracket
+        this.stream.next();
+      }
+    }
+  }
+
+  private parseQualifiedName() {
+    let name = this.stream.expectIdentifier();
+    while (this.stream.accept('.')) {
+      name = this.stream.expectIdentifier();
+    }
+    // unquoted qualified names are read as a single identifier
+    return name.split('.').pop();
+  }
+
+  private parseColumns() {
+    const fields = [];
+    const primaryKeys = [];
+
+    this.stream.expect('(');
+    do {
+      if (TABLE_CONSTRAINTS.some((keyword) => this.stream.is(keyword))) {
+        if (this.stream.accept('constraint')) {
+          this.stream.expectIdentifier();
+        }
+
+        if (this.stream.accept('primary')) {
+          this.stream.expect('key');
+          this.stream.expect('(');
+          do {
+            primaryKeys.push(this.stream.expectIdentifier());
+            // ASC, DESC and lengths of the key columns
+            this.stream.skipUntil([',', ')']);
+          } while (this.stream.accept(','));
+          this.stream.expect(')');
+        }
+
+        this.stream.skipUntil([',', ')']);
+      } else {
+        fields.push(this.parseColumn());
+      }
+    } while (this.stream.accept(','));
+    this.stream.expect(')');
+
+    return fields.map((field) => {
+      const isPrimaryKey = primaryKeys.some((key) => toAvroName(key) === field.name);
+      return isPrimaryKey ? { ...field, type: splitNullable(field.type).type } : field;
+    });
+  }
+
+  private parseColumn() {
+    const name = this.stream.expectIdentifier();
+    const type = this.parseType(name);
+    let nullable = true;
+
+    while (!this.stream.done() && !this.stream.is(',') && !this.stream.is(')')) {
+      if (this.stream.is('not') && this.stream.is('null', 1)) {
+        this.stream.next();
+        this.stream.next();
+        nullable = false;
+      } else if (this.stream.accept('primary')) {
+        this.stream.expect('key');
+        nullable = false;
+      } else if (this.stream.accept('(')) {
+        // DEFAULT, CHECK and OPTIONS expressions
+        this.stream.skipUntil([')']);
+        this.stream.expect(')');
+      } else {
+        this.stream.next();
+      }
+    }
+
+    return { name: toAvroName(name), type: nullable ? makeNullable(type) : type };
+  }
+
+  private parseArguments() {
+    if (!this.stream.accept('(')) {
+      return [];
+    }
+
+    // lengths like MAX or * are not numbers and are ignored
+    const args = this.stream
+      .skipUntil([')'])
+      .split(',')
+      .map((arg) => parseInt(arg, 10))
+      .map((arg) => (isNaN(arg) ? undefined : arg));
+    this.stream.expect(')');
+
+    return args;
+  }
+
+  private parseType(fieldName: string) {
+    let type = this.parseBaseType(fieldName);
+
+    // postgres arrays, int[] or integer ARRAY. The brackets are read as a quoted identifier, the
+    // way sql server quotes names, but never contain anything but the array size.
+    while (this.stream.is('array') || this.isArrayBrackets(this.stream.peek())) {
+      this.stream.next();
+      type = { type: AvroSchemaTypesEnum.ARRAY, items: type };
+    }
+
+    return type;
+  }
+
+  private isArrayBrackets(token: IToken) {
+    return token && token.quoted && /^[0-9]*$/.test(token.value);
+  }
+
+  private parseNestedType(fieldName: string, closing: string) {
+    const type = this.parseType(fieldName);
+
+    // nested fields can have a NOT NULL constraint in bigquery
+    let nullable = true;
+    if (this.stream.is('not') && this.stream.is('null', 1)) {
+      this.stream.next();
+      this.stream.next();
+      nullable = false;
+    }
+    this.stream.skipUntil([',', closing]);
+
+    return nullable ? makeNullable(type) : type;
+  }
+
+  private parseBaseType(fieldName: string) {
+    const name = this.stream.expectIdentifier().toLowerCase();
+
+    if (name === 'array' || name === 'struct' || name === 'row' || name === 'map') {
+      return this.parseComplexType(name, fieldName);
+    }
+
+    let typeName = name;
+    if (name === 'double') {
+      this.stream.accept('precision');
+    } else if ((name === 'character' || name === 'char') && this.stream.accept('varying')) {
+      typeName = 'varchar';
+    } else if (name === 'character') {
+      typeName = 'char';
+    }
+
+    const args = this.parseArguments();
+
+    // signed and unsigned integers
+    if (!this.stream.accept('unsigned')) {
+      this.stream.accept('signed');
+    }
+
+    if ((name === 'timestamp' || name === 'time') && this.stream.is('with')) {
+      this.stream.next();
+      this.stream.accept('local');
+      this.stream.expect('time');
+      this.stream.expect('zone');
+    } else if ((name === 'timestamp' || name === 'time') && this.stream.accept('without')) {
+      this.stream.expect('time');
+      this.stream.expect('zone');
+      typeName = name === 'timestamp' ? 'timestamp_ntz' : name;
+    }
+
+    if (typeName === 'float' && args.length > 0 && args[0] <= 24) {
+      return AvroSchemaTypesEnum.FLOAT;
+    }
+
+    if (SQL_TYPES[typeName]) {
+      return SQL_TYPES[typeName];
+    }
+
+    const logicalType = SQL_LOGICAL_TYPES[typeName];
+    if (logicalType === LogicalTypes.DECIMAL) {
+      // a precision without a scale means a scale of 0
+      return getLogicalTypeSchema(logicalType, args[0], args.length > 0 ? args[1] || 0 : undefined);
+    }
+
+    if (logicalType) {
+      return getLogicalTypeSchema(logicalType);
+    }
+
+    throw new Error(`Unsupported SQL type '${name}'`);
+  }
+
+  private parseComplexType(name: string, fieldName: string) {
+    const closing = this.stream.accept('<') ? '>' : ')';
+    if (closing === ')') {
+      this.stream.expect('(');
+    }
+
+    let type;
+    if (name === 'array') {
+      const items = this.parseType(fieldName);
+      type = { type: AvroSchemaTypesEnum.ARRAY, items: splitNullable(items).type };
+    } else if (name === 'map') {
+      const keys = this.parseType(fieldName);
+      this.stream.expect(',');
+      type = {
+        type: AvroSchemaTypesEnum.MAP,
+        keys,
+        values: this.parseNestedType(fieldName, closing),
+      };
+    } else {
+      const fields = [];
+      do {
+        const nestedFieldName = this.stream.expectIdentifier();
+        // hive separates the name and the type with a colon
+        this.stream.accept(':');
+        fields.push({
+          name: toAvroName(nestedFieldName),
+          type: this.parseNestedType(nestedFieldName, closing),
+        });
+      } while (this.stream.accept(','));
+
+      type = { type: AvroSchemaTypesEnum.RECORD, name: this.getName(fieldName), fields };
+    }
+
+    this.stream.expect(closing);
+    return type;
+  }
+}
+
+export function sqlDdlToAvro(text: string) {
+  return new SqlDdlParser(text).parse();
+}
+
+/* Export */
+
+function quoteIdentifier(name: string) {
+  if (/^[A-Za-z_][A-Za-z0-9_]*$/.test(name) && RESERVED_WORDS.indexOf(name.toLowerCase()) === -1) {
+    return name;
+  }
+  return `"${name.replace(/"/g, '""')}"`;
+}
+
+function getSqlType(schema, namedTypes, fieldName: string): string {
+  const { type: nonNullType } = splitNullable(schema);
+
+  if (Array.isArray(nonNullType)) {
+    throw new Error(`Union field '${fieldName}' cannot be exported to SQL DDL`);
+  }
+
+  const type = resolveNamedType(nonNullType, namedTypes);
+  const logicalType = getLogicalType(type);
+
+  if (logicalType === LogicalTypes.DECIMAL) {
+    return `DECIMAL(${type.precision}, ${type.scale})`;
+  }
+
+  if (SQL_EXPORT_TYPES[logicalType]) {
+    return SQL_EXPORT_TYPES[logicalType];
+  }
+
+  const typeName = typeof type === 'string' ? type : type.type;
+
+  if (typeName === AvroSchemaTypesEnum.ARRAY) {
+    return `ARRAY<${getSqlType(type.items, namedTypes, fieldName)}>`;
+  }
+
+  if (typeName === AvroSchemaTypesEnum.MAP) {
+    const keys = getSqlType(type.keys, namedTypes, fieldName);
+    return `MAP<${keys}, ${getSqlType(type.values, namedTypes, fieldName)}>`;
+  }
+
+  if (typeName === AvroSchemaTypesEnum.RECORD) {
+    const fields = type.fields.map((field) => {
+      return `${quoteIdentifier(field.name)} ${getSqlType(field.type, namedTypes, field.name)}`;
+    });
+    return `STRUCT<${fields.join(', ')}>`;
+  }
+
+  if (SQL_EXPORT_TYPES[typeName]) {
+    return SQL_EXPORT_TYPES[typeName];
+  }
+
+  throw new Error(`Type '${typeName}' of field '${fieldName}' cannot be exported to SQL DDL`);
+}
+
+export function avroToSqlDdl(schemas) {
+  const statements = schemas.map((schema) => {
+    const namedTypes = getNamedTypes(schema);
+
+    const columns = schema.fields.map((field) => {
+      const type = getSqlType(field.type, namedTypes, field.name);
+      const notNull = splitNullable(field.type).nullable ? '' : ' NOT NULL';
+      return `  ${quoteIdentifier(field.name)} ${type}${notNull}`;
+    });
+
+    return `CREATE TABLE ${quoteIdentifier(toAvroName(schema.name))} (\n${columns.join(',\n')}\n);`;
+  });
+
+  return `${statements.join('\n\n')}\n`;
+}
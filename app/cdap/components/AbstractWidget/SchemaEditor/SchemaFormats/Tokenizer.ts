@@ -0,0 +1,276 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+/**
+ * A small tokenizer for the text based schema formats (Avro IDL, protobuf and SQL). It only knows
+ * about identifiers, numbers, strings and single character symbols, which is all the parsers need.
+ */
+
+export enum TokenTypes {
+  IDENTIFIER = 'identifier',
+  NUMBER = 'number',
+  STRING = 'string',
+  SYMBOL = 'symbol',
+}
+
+export interface IToken {
+  type: TokenTypes;
+  value: string;
+  start: number;
+  end: number;
+  // set for identifiers that were quoted (or escaped) in the source, so they are never keywords
+  quoted?: boolean;
+}
+
+interface ITokenizerOptions {
+  lineComments: string[];
+  stringQuotes: string[];
+  // opening quote to closing quote
+  identifierQuotes: Record<string, string>;
+  caseSensitive: boolean;
+}
+
+const IDENTIFIER_START = /[A-Za-z_]/;
+const IDENTIFIER_PART = /[A-Za-z0-9_.$]/;
+const DIGIT = /[0-9]/;
+
+function readQuoted(text: string, start: number, closingQuote: string) {
+  let value = '';
+  let i = start + 1;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (char === '\\' && i + 1 < text.length) {
+      value += text[i + 1];
+      i += 2;
+      continue;
+    }
+
+    if (char === closingQuote) {
+      // a doubled quote is an escaped quote in SQL
+      if (text[i + 1] === closingQuote) {
+        value += closingQuote;
+        i += 2;
+        continue;
+      }
+      return { value, end: i + 1 };
+    }
+
+    value += char;
+    i += 1;
+  }
+
+  return null;
+}
+
+function getLineNumber(text: string, position: number) {
+  return text.slice(0, position).split('\n').length;
+}
+
+export function tokenize(text: string, options: ITokenizerOptions): IToken[] {
+  const tokens: IToken[] = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (/\s/.test(char)) {
+      i += 1;
+      continue;
+    }
+
+    const lineComment = options.lineComments.find((prefix) => text.startsWith(prefix, i));
+    if (lineComment) {
+      const end = text.indexOf('\n', i);
+      i = end === -1 ? text.length : end + 1;
+      continue;
+    }
+
+    if (text.startsWith('/*', i)) {
+      const end = text.indexOf('*/', i + 2);
+      if (end === -1) {
+        throw new Error(`Unterminated comment on line ${getLineNumber(text, i)}`);
+      }
+      i = end + 2;
+      continue;
+    }
+
+    if (options.stringQuotes.indexOf(char) !== -1 || options.identifierQuotes[char]) {
+      const isString = options.stringQuotes.indexOf(char) !== -1;
+      const quoted = readQuoted(text, i, isString ? char : options.identifierQuotes[char]);
+
+      if (!quoted) {
+        throw new Error(`Unterminated quote on line ${getLineNumber(text, i)}`);
+      }
+
+      tokens.push({
+        type: isString ? TokenTypes.STRING : TokenTypes.IDENTIFIER,
+        value: quoted.value,
+        start: i,
+        end: quoted.end,
+        quoted: !isString,
+      });
+      i = quoted.end;
+      continue;
+    }
+
+    if (IDENTIFIER_START.test(char)) {
+      let end = i + 1;
+      while (end < text.length && IDENTIFIER_PART.test(text[end])) {
+        end += 1;
+      }
+      tokens.push({ type: TokenTypes.IDENTIFIER, value: text.slice(i, end), start: i, end });
+      i = end;
+      continue;
+    }
+
+    if (DIGIT.test(char)) {
+      const match = /^[0-9]+(\.[0-9]+)?([eE][+-]?[0-9]+)?/.exec(text.slice(i));
+      const end = i + match[0].length;
+      tokens.push({ type: TokenTypes.NUMBER, value: match[0], start: i, end });
+      i = end;
+      continue;
+    }
+
+    tokens.push({ type: TokenTypes.SYMBOL, value: char, start: i, end: i + 1 });
+    i += 1;
+  }
+
+  return tokens;
+}
+
+/**
+ * Cursor over the tokens of a schema definition, with the helpers the recursive descent parsers
+ * of the different formats share.
+ */
+export class TokenStream {
+  private text: string;
+  private tokens: IToken[];
+  private caseSensitive: boolean;
+  private position = 0;
+
+  constructor(text: string, options: ITokenizerOptions) {
+    this.text = text;
+    this.tokens = tokenize(text, options);
+    this.caseSensitive = options.caseSensitive;
+  }
+
+  public done() {
+    return this.position >= this.tokens.length;
+  }
+
+  public peek(offset = 0): IToken {
+    return this.tokens[this.position + offset];
+  }
+
+  public next(): IToken {
+    const token = this.peek();
+    if (!token) {
+      throw new Error('Unexpected end of schema definition');
+    }
+    this.position += 1;
+    return token;
+  }
+
+  public is(value: string, offset = 0) {
+    const token = this.peek(offset);
+    if (!token || token.quoted || token.type === TokenTypes.STRING) {
+      return false;
+    }
+
+    return this.caseSensitive
+      ? token.value === value
+      : token.value.toLowerCase() === value.toLowerCase();
+  }
+
+  public accept(value: string) {
+    if (this.is(value)) {
+      this.position += 1;
+      return true;
+    }
+    return false;
+  }
+
+  public expect(value: string) {
+    if (!this.is(value)) {
+      throw this.error(`Expected '${value}'`);
+    }
+    return this.next();
+  }
+
+  public expectIdentifier(): string {
+    const token = this.peek();
+    if (!token || token.type !== TokenTypes.IDENTIFIER) {
+      throw this.error('Expected a name');
+    }
+    return this.next().value;
+  }
+
+  public expectNumber(): number {
+    const token = this.peek();
+    if (!token || token.type !== TokenTypes.NUMBER) {
+      throw this.error('Expected a number');
+    }
+    return Number(this.next().value);
+  }
+
+  /**
+   * Skips tokens up to, but not including, one of the given symbols outside of any brackets.
+   * Returns the skipped source text.
+   */
+  public skipUntil(symbols: string[]) {
+    const openings = '({[<';
+    const closings = ')}]>';
+    const start = this.peek() ? this.peek().start : this.text.length;
+    let end = start;
+    let depth = 0;
+
+    while (!this.done()) {
+      const token = this.peek();
+      const isSymbol = token.type === TokenTypes.SYMBOL;
+
+      if (depth === 0 && isSymbol && symbols.indexOf(token.value) !== -1) {
+        break;
+      }
+
+      if (isSymbol && openings.indexOf(token.value) !== -1) {
+        depth += 1;
+      } else if (isSymbol && closings.indexOf(token.value) !== -1) {
+        if (depth === 0) {
+          break;
+        }
+        depth -= 1;
+      }
+
+      end = token.end;
+      this.position += 1;
+    }
+
+    return this.text.slice(start, end);
+  }
+
+  public error(message: string) {
+    const token = this.peek();
+    if (!token) {
+      return new Error(`${message} at the end of the schema definition`);
+    }
+
+    return new Error(
+      `${message} on line ${getLineNumber(this.text, token.start)}, found '${token.value}'`
+    );
+  }
+}
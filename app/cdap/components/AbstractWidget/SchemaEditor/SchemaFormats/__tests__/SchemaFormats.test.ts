@@ -0,0 +1,341 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import {
+  detectSchemaFormat,
+  exportSchemas,
+  importSchemas,
+  SchemaFormatsEnum,
+} from 'components/AbstractWidget/SchemaEditor/SchemaFormats';
+
+const schema = {
+  type: 'record',
+  name: 'etlSchemaBody',
+  fields: [
+    { name: 'id', type: 'long' },
+    { name: 'name', type: ['string', 'null'] },
+    { name: 'price', type: { type: 'bytes', logicalType: 'decimal', precision: 10, scale: 2 } },
+    { name: 'created', type: [{ type: 'long', logicalType: 'timestamp-micros' }, 'null'] },
+    { name: 'day', type: { type: 'int', logicalType: 'date' } },
+    { name: 'local', type: { type: 'string', logicalType: 'datetime' } },
+    {
+      name: 'address',
+      type: [
+        {
+          type: 'record',
+          name: 'address',
+          fields: [
+            { name: 'city', type: 'string' },
+            { name: 'zip', type: ['int', 'null'] },
+          ],
+        },
+        'null',
+      ],
+    },
+    { name: 'tags', type: { type: 'array', items: 'string' } },
+  ],
+};
+
+const namedSchemas = [{ name: 'etlSchemaBody', schema }];
+
+function getFields(imported) {
+  return imported[0].schema.fields.reduce((fields, field) => {
+    fields[field.name] = field.type;
+    return fields;
+  }, {});
+}
+
+describe('Schema formats', () => {
+  it('should detect the format of an imported schema', () => {
+    expect(detectSchemaFormat(JSON.stringify(schema))).toBe(SchemaFormatsEnum.AVRO);
+    expect(detectSchemaFormat(JSON.stringify(namedSchemas))).toBe(SchemaFormatsEnum.AVRO);
+    expect(detectSchemaFormat('{"type": "object", "properties": {}}')).toBe(
+      SchemaFormatsEnum.JSON_SCHEMA
+    );
+    expect(detectSchemaFormat('protocol P { record R { int a; } }')).toBe(
+      SchemaFormatsEnum.AVRO_IDL
+    );
+    expect(detectSchemaFormat('syntax = "proto3";\nmessage M { int32 a = 1; }')).toBe(
+      SchemaFormatsEnum.PROTOBUF
+    );
+    expect(detectSchemaFormat('CREATE TABLE t (a INT);')).toBe(SchemaFormatsEnum.SQL_DDL);
+    expect(() => detectSchemaFormat('hello')).toThrow();
+    expect(() => detectSchemaFormat('{"type": ')).toThrow();
+  });
+
+  it('should import JSON Schema with formats, references and nullability', () => {
+    const jsonSchema = {
+      $schema: 'http://json-schema.org/draft-07/schema#',
+      type: 'object',
+      properties: {
+        id: { type: 'integer' },
+        'first name': { type: 'string' },
+        amount: { type: 'number', format: 'decimal', precision: 12, scale: 4 },
+        updated: { type: ['string', 'null'], format: 'date-time' },
+        status: { enum: ['ACTIVE', 'INACTIVE'] },
+        labels: { type: 'object', additionalProperties: { type: 'string' } },
+        owner: { $ref: '#/definitions/user' },
+      },
+      required: ['id', 'amount', 'status', 'labels', 'owner'],
+      definitions: {
+        user: {
+          type: 'object',
+          properties: { email: { type: 'string' } },
+          required: ['email'],
+        },
+      },
+    };
+
+    const fields = getFields(importSchemas(JSON.stringify(jsonSchema)));
+
+    expect(fields.id).toBe('long');
+    expect(fields.first_name).toEqual(['string', 'null']);
+    expect(fields.amount).toEqual({
+      type: 'bytes',
+      logicalType: 'decimal',
+      precision: 12,
+      scale: 4,
+    });
+    expect(fields.updated).toEqual([{ type: 'long', logicalType: 'timestamp-micros' }, 'null']);
+    expect(fields.status).toEqual({
+      type: 'enum',
+      name: 'status',
+      symbols: ['ACTIVE', 'INACTIVE'],
+    });
+    expect(fields.labels).toEqual({ type: 'map', keys: 'string', values: 'string' });
+    expect(fields.owner).toEqual({
+      type: 'record',
+      name: 'user',
+      fields: [{ name: 'email', type: 'string' }],
+    });
+  });
+
+  it('should import Avro IDL with logical types and declared types', () => {
+    const idl = `
+      @namespace("org.example")
+      protocol Orders {
+        /** order state */
+        enum Status { OPEN, CLOSED }
+
+        record Order {
+          long id;
+          union { null, string } note = null;
+          decimal(9, 2) total;
+          timestamp_ms created;
+          @logicalType("timestamp-micros") long updated;
+          date day;
+          local_timestamp_ms local;
+          Status status;
+          array<Item> items;
+          map<string> attributes;
+        }
+
+        record Item {
+          string sku;
+          int quantity;
+        }
+
+        void ping();
+      }
+    `;
+
+    const imported = importSchemas(idl);
+    const fields = getFields(imported);
+
+    expect(imported).toHaveLength(1);
+    expect(imported[0].schema.name).toBe('Order');
+    expect(fields.id).toBe('long');
+    expect(fields.note).toEqual(['null', 'string']);
+    expect(fields.total).toEqual({ type: 'bytes', logicalType: 'decimal', precision: 9, scale: 2 });
+    expect(fields.created).toEqual({ type: 'long', logicalType: 'timestamp-micros' });
+    expect(fields.updated).toEqual({ type: 'long', logicalType: 'timestamp-micros' });
+    expect(fields.day).toEqual({ type: 'int', logicalType: 'date' });
+    expect(fields.local).toEqual({ type: 'string', logicalType: 'datetime' });
+    expect(fields.status).toEqual({ type: 'enum', name: 'Status', symbols: ['OPEN', 'CLOSED'] });
+    expect(fields.items.items.fields).toEqual([
+      { name: 'sku', type: 'string' },
+      { name: 'quantity', type: 'int' },
+    ]);
+    expect(fields.attributes).toEqual({ type: 'map', keys: 'string', values: 'string' });
+  });
+
+  it('should import protobuf messages', () => {
+    const proto = `
+      syntax = "proto3";
+      package shop;
+
+      import "google/protobuf/timestamp.proto";
+
+      message Order {
+        int64 id = 1;
+        optional string note = 2;
+        google.protobuf.Timestamp created = 3;
+        google.protobuf.Int32Value priority = 4;
+        repeated Item items = 5 [packed = false];
+        map<string, int32> counts = 6;
+        Status status = 7;
+        Customer customer = 8;
+        oneof payment {
+          string card = 9;
+          string voucher = 10;
+        }
+
+        message Item {
+          string sku = 1;
+        }
+
+        enum Status {
+          OPEN = 0;
+          CLOSED = 1;
+        }
+      }
+
+      message Customer {
+        string name = 1;
+      }
+    `;
+
+    const imported = importSchemas(proto);
+    const fields = getFields(imported);
+
+    expect(imported).toHaveLength(1);
+    expect(fields.id).toBe('long');
+    expect(fields.note).toEqual(['string', 'null']);
+    expect(fields.created).toEqual([{ type: 'long', logicalType: 'timestamp-micros' }, 'null']);
+    expect(fields.priority).toEqual(['int', 'null']);
+    expect(fields.items).toEqual({
+      type: 'array',
+      items: { type: 'record', name: 'Item', fields: [{ name: 'sku', type: 'string' }] },
+    });
+    expect(fields.counts).toEqual({ type: 'map', keys: 'string', values: 'int' });
+    expect(fields.status).toEqual({ type: 'enum', name: 'Status', symbols: ['OPEN', 'CLOSED'] });
+    expect(fields.customer).toEqual([
+      { type: 'record', name: 'Customer', fields: [{ name: 'name', type: 'string' }] },
+      'null',
+    ]);
+    expect(fields.card).toEqual(['string', 'null']);
+    expect(fields.voucher).toEqual(['string', 'null']);
+  });
+
+  it('should import CREATE TABLE statements', () => {
+    const ddl = `
+      -- orders table
+      CREATE TABLE IF NOT EXISTS "sales"."orders" (
+        id BIGINT,
+        "customer name" VARCHAR(255) NOT NULL,
+        total NUMERIC(12, 2) DEFAULT (0),
+        created TIMESTAMP WITH TIME ZONE,
+        updated DATETIME,
+        day DATE NOT NULL,
+        tags TEXT[],
+        address STRUCT<city STRING, zip INT64 NOT NULL>,
+        PRIMARY KEY (id)
+      );
+      CREATE INDEX orders_day ON orders (day);
+    `;
+
+    const imported = importSchemas(ddl);
+    const fields = getFields(imported);
+
+    expect(imported).toHaveLength(1);
+    expect(imported[0].schema.name).toBe('orders');
+    expect(fields.id).toBe('long');
+    expect(fields.customer_name).toBe('string');
+    expect(fields.total).toEqual([
+      { type: 'bytes', logicalType: 'decimal', precision: 12, scale: 2 },
+      'null',
+    ]);
+    expect(fields.created).toEqual([{ type: 'long', logicalType: 'timestamp-micros' }, 'null']);
+    expect(fields.updated).toEqual([{ type: 'string', logicalType: 'datetime' }, 'null']);
+    expect(fields.day).toEqual({ type: 'int', logicalType: 'date' });
+    expect(fields.tags).toEqual([{ type: 'array', items: 'string' }, 'null']);
+    expect(fields.address).toEqual([
+      {
+        type: 'record',
+        name: 'address',
+        fields: [
+          { name: 'city', type: ['string', 'null'] },
+          { name: 'zip', type: 'long' },
+        ],
+      },
+      'null',
+    ]);
+  });
+
+  it('should round trip a schema through every format', () => {
+    [SchemaFormatsEnum.JSON_SCHEMA, SchemaFormatsEnum.AVRO_IDL].forEach((format) => {
+      const imported = importSchemas(exportSchemas(namedSchemas, format));
+      expect(imported).toEqual(namedSchemas);
+    });
+
+    // well known types are messages, which are always nullable
+    const proto = getFields(importSchemas(exportSchemas(namedSchemas, SchemaFormatsEnum.PROTOBUF)));
+    expect(proto.id).toEqual(schema.fields[0].type);
+    expect(proto.name).toEqual(schema.fields[1].type);
+    expect(proto.created).toEqual(schema.fields[3].type);
+    expect(proto.day).toEqual([schema.fields[4].type, 'null']);
+    expect(proto.address).toEqual(schema.fields[6].type);
+    expect(proto.tags).toEqual(schema.fields[7].type);
+
+    // nested fields are nullable in SQL
+    const ddl = getFields(importSchemas(exportSchemas(namedSchemas, SchemaFormatsEnum.SQL_DDL)));
+    expect(ddl.id).toEqual(schema.fields[0].type);
+    expect(ddl.price).toEqual(schema.fields[2].type);
+    expect(ddl.created).toEqual(schema.fields[3].type);
+    expect(ddl.day).toEqual(schema.fields[4].type);
+    expect(ddl.local).toEqual(schema.fields[5].type);
+    expect(ddl.tags).toEqual(schema.fields[7].type);
+  });
+
+  it('should export logical types in every format', () => {
+    expect(exportSchemas(namedSchemas, SchemaFormatsEnum.AVRO_IDL)).toContain(
+      'union { @logicalType("timestamp-micros") long, null } created;'
+    );
+    expect(exportSchemas(namedSchemas, SchemaFormatsEnum.AVRO_IDL)).toContain(
+      'decimal(10, 2) price;'
+    );
+
+    const proto = exportSchemas(namedSchemas, SchemaFormatsEnum.PROTOBUF);
+    expect(proto).toContain('import "google/protobuf/timestamp.proto";');
+    expect(proto).toContain('google.type.DateTime local = 6;');
+    expect(proto).toContain('repeated string tags = 8;');
+
+    const ddl = exportSchemas(namedSchemas, SchemaFormatsEnum.SQL_DDL);
+    expect(ddl).toContain('price DECIMAL(10, 2) NOT NULL');
+    expect(ddl).toContain('address STRUCT<city VARCHAR, zip INTEGER>');
+    expect(ddl).toContain('day DATE NOT NULL');
+  });
+
+  it('should fail on types a format cannot express', () => {
+    const unionSchema = {
+      type: 'record',
+      name: 'etlSchemaBody',
+      fields: [
+        { name: 'value', type: ['string', 'long'] },
+        { name: 'matrix', type: { type: 'array', items: { type: 'array', items: 'int' } } },
+      ],
+    };
+
+    expect(() =>
+      exportSchemas([{ name: 'etlSchemaBody', schema: unionSchema }], SchemaFormatsEnum.SQL_DDL)
+    ).toThrow("Union field 'value' cannot be exported to SQL DDL");
+    expect(() =>
+      exportSchemas([{ name: 'etlSchemaBody', schema: unionSchema }], SchemaFormatsEnum.PROTOBUF)
+    ).toThrow("Nested arrays and maps in field 'matrix' cannot be exported to protobuf");
+    expect(() => importSchemas('message A { B b = 1; }')).toThrow("Unknown type 'B'");
+    expect(() => importSchemas('record A { A next; }')).toThrow("Recursive type 'A'");
+  });
+});
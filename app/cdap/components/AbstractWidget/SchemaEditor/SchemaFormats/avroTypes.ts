@@ -0,0 +1,344 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import {
+  AvroSchemaTypesEnum,
+  defaultDateTimeTypeProperties,
+  defaultDateTypeProperties,
+  defaultPrecision,
+  defaultScale,
+  defaultTimeStampTypeProperties,
+  defaultTimeTypeProperties,
+} from 'components/AbstractWidget/SchemaEditor/SchemaConstants';
+import { LogicalTypes } from 'services/cdapavscwrapper/LogicalTypes';
+
+/**
+ * Helpers shared by the schema format converters. The converters work on plain avro json, the
+ * same format the schema editor imports and exports.
+ */
+
+const PRIMITIVE_TYPES = [
+  AvroSchemaTypesEnum.BOOLEAN,
+  AvroSchemaTypesEnum.BYTES,
+  AvroSchemaTypesEnum.DOUBLE,
+  AvroSchemaTypesEnum.FLOAT,
+  AvroSchemaTypesEnum.INT,
+  AvroSchemaTypesEnum.LONG,
+  AvroSchemaTypesEnum.STRING,
+] as string[];
+
+export function isPrimitiveType(type) {
+  return typeof type === 'string' && PRIMITIVE_TYPES.indexOf(type) !== -1;
+}
+
+export function getLogicalType(type): LogicalTypes {
+  if (type && typeof type === 'object' && !Array.isArray(type) && type.logicalType) {
+    return type.logicalType;
+  }
+  return null;
+}
+
+export function getLogicalTypeSchema(
+  logicalType: LogicalTypes,
+  precision?: number,
+  scale?: number
+) {
+  switch (logicalType) {
+    case LogicalTypes.DATE:
+      return { ...defaultDateTypeProperties };
+    case LogicalTypes.TIME_MICROS:
+      return { ...defaultTimeTypeProperties };
+    case LogicalTypes.TIMESTAMP_MICROS:
+      return { ...defaultTimeStampTypeProperties };
+    case LogicalTypes.DATETIME:
+      return { ...defaultDateTimeTypeProperties };
+    case LogicalTypes.DECIMAL:
+      return {
+        type: AvroSchemaTypesEnum.BYTES,
+        logicalType: LogicalTypes.DECIMAL,
+        precision: typeof precision === 'number' ? precision : defaultPrecision,
+        scale: typeof scale === 'number' ? scale : defaultScale,
+      };
+    default:
+      return null;
+  }
+}
+
+export function makeNullable(type) {
+  if (Array.isArray(type)) {
+    return type.indexOf('null') === -1 ? [...type, 'null'] : type;
+  }
+  return [type, 'null'];
+}
+
+/**
+ * Splits a type into its non null part and whether it is nullable. A union of several types and
+ * null stays a union.
+ */
+export function splitNullable(type) {
+  if (!Array.isArray(type)) {
+    return { type, nullable: false };
+  }
+
+  const nonNullTypes = type.filter((t) => t !== 'null');
+  const nullable = nonNullTypes.length !== type.length;
+
+  return {
+    type: nonNullTypes.length === 1 ? nonNullTypes[0] : nonNullTypes,
+    nullable,
+  };
+}
+
+export function getTypeName(type): string {
+  if (Array.isArray(type)) {
+    return AvroSchemaTypesEnum.UNION;
+  }
+
+  if (typeof type === 'string') {
+    return type;
+  }
+
+  return getLogicalType(type) || type.type;
+}
+
+/**
+ * Avro names start with a letter or an underscore, followed by letters, digits and underscores.
+ */
+export function toAvroName(name: string) {
+  const avroName = (name || '').trim().replace(/[^A-Za-z0-9_]/g, '_');
+  if (avroName.length === 0) {
+    return '_';
+  }
+  return /^[0-9]/.test(avroName) ? `_${avroName}` : avroName;
+}
+
+/**
+ * Returns a function that turns names into unique avro names. Avro does not allow two named types
+ * with the same name in a schema, so types that are used more than once get a numeric suffix.
+ */
+export function createNameGenerator() {
+  const names = new Set<string>();
+
+  return (name: string) => {
+    const avroName = toAvroName(name);
+    let uniqueName = avroName;
+    let suffix = 1;
+
+    while (names.has(uniqueName)) {
+      uniqueName = `${avroName}${suffix}`;
+      suffix += 1;
+    }
+
+    names.add(uniqueName);
+    return uniqueName;
+  };
+}
+
+/**
+ * Named types (records and enums) can be referenced by their name once they are defined, which is
+ * how recursive definitions and types shared by several fields are written in avro json.
+ */
+export function getNamedTypes(schema, namedTypes: Record<string, any> = {}) {
+  const { type } = splitNullable(schema);
+
+  if (Array.isArray(type)) {
+    type.forEach((t) => getNamedTypes(t, namedTypes));
+    return namedTypes;
+  }
+
+  if (!type || typeof type !== 'object') {
+    return namedTypes;
+  }
+
+  switch (type.type) {
+    case AvroSchemaTypesEnum.RECORD:
+      namedTypes[type.name] = type;
+      (type.fields || []).forEach((field) => getNamedTypes(field.type, namedTypes));
+      break;
+    case AvroSchemaTypesEnum.ENUM:
+      namedTypes[type.name] = type;
+      break;
+    case AvroSchemaTypesEnum.ARRAY:
+      getNamedTypes(type.items, namedTypes);
+      break;
+    case AvroSchemaTypesEnum.MAP:
+      getNamedTypes(type.keys, namedTypes);
+      getNamedTypes(type.values, namedTypes);
+      break;
+  }
+
+  return namedTypes;
+}
+
+/**
+ * Resolves a type that references a named type.
+ */
+export function resolveNamedType(type, namedTypes: Record<string, any>) {
+  if (typeof type === 'string' && !isPrimitiveType(type) && namedTypes[type]) {
+    return namedTypes[type];
+  }
+  return type;
+}
+
+/**
+ * The text based formats can use a type before it is declared, so their parsers leave
+ * `{ $ref: name }` placeholders for declared types and replace them once the whole definition is
+ * read. Every use of a declared type gets its own copy, since the schema editor shows nested types
+ * inline.
+ */
+export function inlineReferences(
+  type,
+  declarations: Record<string, any>,
+  getName: (name: string) => string,
+  resolving: string[] = []
+) {
+  if (Array.isArray(type)) {
+    return type.map((t) => inlineReferences(t, declarations, getName, resolving));
+  }
+
+  if (!type || typeof type !== 'object') {
+    return type;
+  }
+
+  if (type.$ref) {
+    if (resolving.indexOf(type.$ref) !== -1) {
+      throw new Error(`Recursive type '${type.$ref}' is not supported`);
+    }
+
+    return inlineReferences(declarations[type.$ref], declarations, getName, [
+      ...resolving,
+      type.$ref,
+    ]);
+  }
+
+  switch (type.type) {
+    case AvroSchemaTypesEnum.RECORD:
+      return {
+        ...type,
+        name: getName(type.name),
+        fields: type.fields.map((field) => ({
+          ...field,
+          type: inlineReferences(field.type, declarations, getName, resolving),
+        })),
+      };
+    case AvroSchemaTypesEnum.ENUM:
+      return { ...type, name: getName(type.name), symbols: [...type.symbols] };
+    case AvroSchemaTypesEnum.ARRAY:
+      return { ...type, items: inlineReferences(type.items, declarations, getName, resolving) };
+    case AvroSchemaTypesEnum.MAP:
+      return {
+        ...type,
+        keys: inlineReferences(type.keys, declarations, getName, resolving),
+        values: inlineReferences(type.values, declarations, getName, resolving),
+      };
+    default:
+      return { ...type };
+  }
+}
+
+/**
+ * Returns the names of the declarations a type references.
+ */
+export function getReferences(type, references: string[] = []) {
+  if (Array.isArray(type)) {
+    type.forEach((t) => getReferences(t, references));
+  } else if (type && typeof type === 'object') {
+    if (type.$ref) {
+      references.push(type.$ref);
+    } else if (type.type === AvroSchemaTypesEnum.RECORD) {
+      type.fields.forEach((field) => getReferences(field.type, references));
+    } else if (type.type === AvroSchemaTypesEnum.ARRAY) {
+      getReferences(type.items, references);
+    } else if (type.type === AvroSchemaTypesEnum.MAP) {
+      getReferences(type.keys, references);
+      getReferences(type.values, references);
+    }
+  }
+
+  return references;
+}
+
+/**
+ * Returns the records in `order` that are not used by any declaration, which are the schemas a
+ * definition describes.
+ */
+export function getRootRecords(declarations: Record<string, any>, order: string[]) {
+  const referenced = new Set<string>();
+  Object.keys(declarations).forEach((name) => {
+    getReferences(declarations[name]).forEach((reference) => {
+      if (reference !== name) {
+        referenced.add(reference);
+      }
+    });
+  });
+
+  const roots = order.filter((name) => {
+    return declarations[name].type === AvroSchemaTypesEnum.RECORD && !referenced.has(name);
+  });
+
+  return roots.map((name) => inlineReferences({ $ref: name }, declarations, createNameGenerator()));
+}
+
+/**
+ * Returns the records and enums used by a schema, nested types before the types that use them,
+ * for formats that declare every type at the top level.
+ */
+export function getDeclarationOrder(schema) {
+  const namedTypes = getNamedTypes(schema);
+  const declared: string[] = [];
+  const types = [];
+
+  function visit(type, visiting: string[]) {
+    const { type: nonNullType } = splitNullable(type);
+
+    if (Array.isArray(nonNullType)) {
+      nonNullType.forEach((t) => visit(t, visiting));
+      return;
+    }
+
+    const resolved = resolveNamedType(nonNullType, namedTypes);
+    if (!resolved || typeof resolved !== 'object') {
+      return;
+    }
+
+    switch (resolved.type) {
+      case AvroSchemaTypesEnum.RECORD:
+      case AvroSchemaTypesEnum.ENUM:
+        if (declared.indexOf(resolved.name) !== -1) {
+          return;
+        }
+        if (visiting.indexOf(resolved.name) !== -1) {
+          throw new Error(`Recursive type '${resolved.name}' is not supported`);
+        }
+        if (resolved.type === AvroSchemaTypesEnum.RECORD) {
+          resolved.fields.forEach((field) => visit(field.type, [...visiting, resolved.name]));
+        }
+        declared.push(resolved.name);
+        types.push(resolved);
+        break;
+      case AvroSchemaTypesEnum.ARRAY:
+        visit(resolved.items, visiting);
+        break;
+      case AvroSchemaTypesEnum.MAP:
+        visit(resolved.keys, visiting);
+        visit(resolved.values, visiting);
+        break;
+    }
+  }
+
+  visit(schema, []);
+  return types;
+}
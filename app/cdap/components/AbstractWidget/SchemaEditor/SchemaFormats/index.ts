@@ -0,0 +1,176 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import {
+  avroToAvroIdl,
+  avroIdlToAvro,
+  isAvroIdl,
+} from 'components/AbstractWidget/SchemaEditor/SchemaFormats/AvroIdl';
+import {
+  avroToJsonSchema,
+  isJsonSchema,
+  jsonSchemaToAvro,
+} from 'components/AbstractWidget/SchemaEditor/SchemaFormats/JsonSchema';
+import {
+  avroToProtobuf,
+  isProtobuf,
+  protobufToAvro,
+} from 'components/AbstractWidget/SchemaEditor/SchemaFormats/Protobuf';
+import {
+  avroToSqlDdl,
+  isSqlDdl,
+  sqlDdlToAvro,
+} from 'components/AbstractWidget/SchemaEditor/SchemaFormats/SqlDdl';
+
+/**
+ * Schema formats the schema editor can import from and export to, besides the avro json the
+ * editor works with.
+ */
+export enum SchemaFormatsEnum {
+  AVRO = 'avro',
+  JSON_SCHEMA = 'jsonschema',
+  AVRO_IDL = 'avdl',
+  PROTOBUF = 'proto',
+  SQL_DDL = 'sql',
+}
+
+export const SCHEMA_FORMAT_EXTENSIONS: Record<SchemaFormatsEnum, string> = {
+  [SchemaFormatsEnum.AVRO]: 'json',
+  [SchemaFormatsEnum.JSON_SCHEMA]: 'json',
+  [SchemaFormatsEnum.AVRO_IDL]: 'avdl',
+  [SchemaFormatsEnum.PROTOBUF]: 'proto',
+  [SchemaFormatsEnum.SQL_DDL]: 'sql',
+};
+
+const DEFAULT_SCHEMA_NAME = 'etlSchemaBody';
+
+interface INamedSchema {
+  name: string;
+  schema: any;
+}
+
+function isNamedSchemaList(schemas) {
+  return (
+    Array.isArray(schemas) &&
+    schemas.every(
+      (schema) => schema && typeof schema === 'object' && schema.hasOwnProperty('schema')
+    )
+  );
+}
+
+function parseJson(text: string) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return undefined;
+  }
+}
+
+/**
+ * Guesses the format of an imported schema from its content, as the file name is not known when a
+ * schema is imported.
+ */
+export function detectSchemaFormat(schemas): SchemaFormatsEnum {
+  const json = typeof schemas === 'string' ? parseJson(schemas) : schemas;
+
+  if (json === undefined && /^\s*[\[{]/.test(schemas)) {
+    // invalid json, surface the parse error
+    JSON.parse(schemas);
+  }
+
+  if (json !== undefined) {
+    const jsonSchemas = isNamedSchemaList(json) ? json.map(({ schema }) => schema) : [json];
+    return jsonSchemas.some(isJsonSchema) ? SchemaFormatsEnum.JSON_SCHEMA : SchemaFormatsEnum.AVRO;
+  }
+
+  if (isSqlDdl(schemas)) {
+    return SchemaFormatsEnum.SQL_DDL;
+  }
+
+  if (isProtobuf(schemas)) {
+    return SchemaFormatsEnum.PROTOBUF;
+  }
+
+  if (isAvroIdl(schemas)) {
+    return SchemaFormatsEnum.AVRO_IDL;
+  }
+
+  throw new Error(
+    'Imported schema is not a valid Avro, JSON Schema, Avro IDL, protobuf or SQL DDL schema'
+  );
+}
+
+function getNamedSchemas(records): INamedSchema[] {
+  if (records.length === 1) {
+    return [{ name: DEFAULT_SCHEMA_NAME, schema: records[0] }];
+  }
+  return records.map((record) => ({ name: record.name, schema: record }));
+}
+
+/**
+ * Converts an imported schema to avro json. Avro json is returned as it is, to keep the different
+ * shapes of avro schemas the schema editor accepts. Schemas in the other formats are returned as a
+ * list of named schemas, one per record, table or message that is not used by another one.
+ */
+export function importSchemas(schemas) {
+  const format = detectSchemaFormat(schemas);
+  const json = typeof schemas === 'string' ? parseJson(schemas) : schemas;
+
+  switch (format) {
+    case SchemaFormatsEnum.AVRO:
+      return json;
+    case SchemaFormatsEnum.JSON_SCHEMA:
+      if (isNamedSchemaList(json)) {
+        return json.map(({ name, schema }) => {
+          return { name, schema: isJsonSchema(schema) ? jsonSchemaToAvro(schema, name) : schema };
+        });
+      }
+      return [{ name: DEFAULT_SCHEMA_NAME, schema: jsonSchemaToAvro(json) }];
+    case SchemaFormatsEnum.AVRO_IDL:
+      return getNamedSchemas(avroIdlToAvro(schemas));
+    case SchemaFormatsEnum.PROTOBUF:
+      return getNamedSchemas(protobufToAvro(schemas));
+    case SchemaFormatsEnum.SQL_DDL:
+      return getNamedSchemas(sqlDdlToAvro(schemas));
+  }
+}
+
+/**
+ * Converts the named avro schemas of a plugin to the given format.
+ */
+export function exportSchemas(schemas: INamedSchema[], format: SchemaFormatsEnum): string {
+  const records = schemas.map(({ schema }) => schema);
+
+  switch (format) {
+    case SchemaFormatsEnum.JSON_SCHEMA:
+      if (schemas.length === 1) {
+        return JSON.stringify(avroToJsonSchema(records[0]), null, 4);
+      }
+      return JSON.stringify(
+        schemas.map(({ name, schema }) => ({ name, schema: avroToJsonSchema(schema) })),
+        null,
+        4
+      );
+    case SchemaFormatsEnum.AVRO_IDL:
+      return avroToAvroIdl(records);
+    case SchemaFormatsEnum.PROTOBUF:
+      return avroToProtobuf(records);
+    case SchemaFormatsEnum.SQL_DDL:
+      return avroToSqlDdl(records);
+    default:
+      return JSON.stringify(schemas, null, 4);
+  }
+}
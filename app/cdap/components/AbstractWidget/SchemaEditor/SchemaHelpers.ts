@@ -27,6 +27,7 @@ import {
 import cloneDeep from 'lodash/cloneDeep';
 import { objectQuery } from 'services/helpers';
 import { isObject } from 'vega-lite/build/src/util';
+import { importSchemas } from 'components/AbstractWidget/SchemaEditor/SchemaFormats';
 
 const displayTypes: Array<ISimpleType | IComplexTypeNames | ILogicalTypeNames> = [
   AvroSchemaTypesEnum.ARRAY,
@@ -199,10 +200,8 @@ const isNoSchemaAvailable = (schema) => {
 };
 
 const parseImportedSchemas = (schemas) => {
-  let importedSchemas = schemas;
-  if (typeof schemas === 'string') {
-    importedSchemas = JSON.parse(schemas);
-  }
+  // JSON Schema, Avro IDL, protobuf and SQL DDL schemas are converted to avro first
+  let importedSchemas = importSchemas(schemas);
 
   if (!Array.isArray(importedSchemas)) {
     // This will be the case when we hit 'Apply' button from wrangler.
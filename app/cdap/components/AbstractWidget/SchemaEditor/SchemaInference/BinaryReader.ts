@@ -0,0 +1,126 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+/**
+ * Reads the variable length integers, byte arrays and strings the avro and parquet (thrift) file
+ * headers are encoded with. Only the headers are read, so values are regular numbers, which are
+ * exact up to 2^53.
+ */
+export class BinaryReader {
+  public position: number;
+  private bytes: Uint8Array;
+
+  constructor(bytes: Uint8Array, position = 0) {
+    this.bytes = bytes;
+    this.position = position;
+  }
+
+  public readByte() {
+    if (this.position >= this.bytes.length) {
+      throw new Error('Unexpected end of file');
+    }
+    const byte = this.bytes[this.position];
+    this.position += 1;
+    return byte;
+  }
+
+  public readBytes(length: number) {
+    if (length < 0 || this.position + length > this.bytes.length) {
+      throw new Error('Unexpected end of file');
+    }
+    const bytes = this.bytes.subarray(this.position, this.position + length);
+    this.position += length;
+    return bytes;
+  }
+
+  public skip(length: number) {
+    this.readBytes(length);
+  }
+
+  public readVarint() {
+    let value = 0;
+    let multiplier = 1;
+    let byte;
+
+    do {
+      byte = this.readByte();
+      // no bit operators, they are limited to 32 bits
+      value += (byte % 0x80) * multiplier;
+      multiplier *= 0x80;
+    } while (byte >= 0x80);
+
+    return value;
+  }
+
+  public readZigZag() {
+    const value = this.readVarint();
+    return value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+  }
+
+  public readString(length: number) {
+    return decodeUTF8(this.readBytes(length));
+  }
+}
+
+export function decodeUTF8(bytes: Uint8Array) {
+  let text = '';
+  let i = 0;
+
+  while (i < bytes.length) {
+    const byte = bytes[i];
+    let codePoint;
+    let length;
+
+    if (byte < 0x80) {
+      codePoint = byte;
+      length = 1;
+    } else if (byte >= 0xf0) {
+      codePoint = byte % 0x08;
+      length = 4;
+    } else if (byte >= 0xe0) {
+      codePoint = byte % 0x10;
+      length = 3;
+    } else {
+      codePoint = byte % 0x20;
+      length = 2;
+    }
+
+    for (let j = 1; j < length; j++) {
+      // continuation bytes carry 6 bits each
+      codePoint = codePoint * 0x40 + (bytes[i + j] % 0x40);
+    }
+
+    text += String.fromCodePoint(codePoint);
+    i += length;
+  }
+
+  return text;
+}
+
+/**
+ * The high and low 4 bits of a byte, e.g. the field id delta and type of a thrift field header.
+ */
+export function getHighNibble(byte: number) {
+  return Math.floor(byte / 0x10);
+}
+
+export function getLowNibble(byte: number) {
+  return byte % 0x10;
+}
+
+export function startsWith(bytes: Uint8Array, prefix: number[], offset = 0) {
+  return prefix.every((byte, i) => bytes[offset + i] === byte);
+}
@@ -0,0 +1,276 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import * as React from 'react';
+import withStyles, { WithStyles, StyleRules } from '@material-ui/core/styles/withStyles';
+import Button from '@material-ui/core/Button';
+import ConfirmationModal from 'components/shared/ConfirmationModal';
+import FileDnD from 'components/FileDnD';
+import If from 'components/shared/If';
+import Select from 'components/AbstractWidget/FormInputs/Select';
+import { ISchemaType } from 'components/AbstractWidget/SchemaEditor/SchemaTypes';
+import {
+  inferSchemaFromFile,
+  inferSchemaFromText,
+  SampleFormatsEnum,
+} from 'components/AbstractWidget/SchemaEditor/SchemaInference/inferSchema';
+import {
+  getSchemaDiff,
+  SchemaDiffTypesEnum,
+} from 'components/AbstractWidget/SchemaEditor/SchemaInference/schemaDiff';
+
+const styles = (theme): StyleRules => {
+  return {
+    sourceContainer: {
+      display: 'grid',
+      gridTemplateColumns: '200px auto',
+      alignItems: 'center',
+      gridGap: '10px',
+      marginBottom: '10px',
+    },
+    sample: {
+      width: '100%',
+      height: '150px',
+      fontFamily: 'monospace',
+      fontSize: '12px',
+    },
+    inferButton: {
+      margin: '5px 0',
+    },
+    summary: {
+      margin: '10px 0 5px',
+      fontWeight: 500,
+    },
+    diffContainer: {
+      maxHeight: '300px',
+      overflowY: 'auto',
+    },
+    diffTable: {
+      width: '100%',
+      '& th, & td': {
+        padding: '3px 5px',
+        borderBottom: `1px solid ${theme.palette.grey[500]}`,
+        wordBreak: 'break-word',
+      },
+    },
+    [SchemaDiffTypesEnum.ADDED]: {
+      color: theme.palette.green[50],
+    },
+    [SchemaDiffTypesEnum.REMOVED]: {
+      color: theme.palette.red[100],
+    },
+    [SchemaDiffTypesEnum.CHANGED]: {
+      backgroundColor: theme.palette.yellow[200],
+    },
+    [SchemaDiffTypesEnum.UNCHANGED]: {},
+  };
+};
+
+enum SampleSourcesEnum {
+  UPLOAD = 'upload',
+  PASTE = 'paste',
+}
+
+const SOURCE_OPTIONS = [
+  { value: SampleSourcesEnum.UPLOAD, label: 'Upload a sample file' },
+  { value: SampleSourcesEnum.PASTE, label: 'Paste a sample' },
+];
+
+const PASTE_FORMAT_OPTIONS = [
+  { value: SampleFormatsEnum.CSV, label: 'CSV' },
+  { value: SampleFormatsEnum.JSON_LINES, label: 'JSON lines' },
+];
+
+const DIFF_LABELS = {
+  [SchemaDiffTypesEnum.ADDED]: 'added',
+  [SchemaDiffTypesEnum.REMOVED]: 'removed',
+  [SchemaDiffTypesEnum.CHANGED]: 'changed',
+  [SchemaDiffTypesEnum.UNCHANGED]: 'unchanged',
+};
+
+interface IInferSchemaModalProps extends WithStyles<typeof styles> {
+  isOpen: boolean;
+  // the schema the inferred schema replaces, to show the changes
+  schema?: ISchemaType;
+  onApply: (schema: ISchemaType) => void;
+  onClose: () => void;
+}
+
+const InferSchemaModalBase = ({
+  classes,
+  isOpen,
+  schema,
+  onApply,
+  onClose,
+}: IInferSchemaModalProps) => {
+  const [source, setSource] = React.useState(SampleSourcesEnum.UPLOAD);
+  const [file, setFile] = React.useState({});
+  const [sample, setSample] = React.useState('');
+  const [sampleFormat, setSampleFormat] = React.useState(SampleFormatsEnum.CSV);
+  const [inferredSchema, setInferredSchema] = React.useState<ISchemaType>(null);
+  const [error, setError] = React.useState(null);
+
+  const reset = () => {
+    setFile({});
+    setSample('');
+    setInferredSchema(null);
+    setError(null);
+  };
+
+  const infer = (getSchema: () => ISchemaType) => {
+    try {
+      setInferredSchema(getSchema());
+      setError(null);
+    } catch (e) {
+      setInferredSchema(null);
+      setError(e.message);
+    }
+  };
+
+  const onDropHandler = (files) => {
+    const reader = new FileReader();
+    reader.onload = (evt) => {
+      infer(() => inferSchemaFromFile(new Uint8Array(evt.target.result as ArrayBuffer)));
+    };
+    reader.onerror = () => {
+      setInferredSchema(null);
+      setError(`Unable to read ${files[0].name}`);
+    };
+    setFile(files[0]);
+    reader.readAsArrayBuffer(files[0]);
+  };
+
+  const onSourceChange = (value) => {
+    reset();
+    setSource(value);
+  };
+
+  const onApplyClick = () => {
+    onApply(inferredSchema);
+    reset();
+  };
+
+  const onCancel = () => {
+    reset();
+    onClose();
+  };
+
+  const renderDiff = () => {
+    const rows = getSchemaDiff(schema, inferredSchema);
+    const counts = [
+      SchemaDiffTypesEnum.ADDED,
+      SchemaDiffTypesEnum.CHANGED,
+      SchemaDiffTypesEnum.REMOVED,
+    ].map((type) => `${rows.filter((row) => row.type === type).length} ${DIFF_LABELS[type]}`);
+
+    return (
+      <React.Fragment>
+        <div className={classes.summary} data-cy="infer-schema-summary">
+          {counts.join(', ')}
+        </div>
+        <div className={classes.diffContainer}>
+          <table className={classes.diffTable} data-cy="infer-schema-diff">
+            <thead>
+              <tr>
+                <th>Field</th>
+                <th>Current type</th>
+                <th>Inferred type</th>
+                <th>Change</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row) => (
+                <tr key={`${row.type}-${row.path}`} className={classes[row.type]}>
+                  <td>{row.path}</td>
+                  <td>{row.current || '--'}</td>
+                  <td>{row.inferred || '--'}</td>
+                  <td>{DIFF_LABELS[row.type]}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </React.Fragment>
+    );
+  };
+
+  const confirmationElem = (
+    <div>
+      <div className={classes.sourceContainer}>
+        <Select
+          value={source}
+          onChange={onSourceChange}
+          widgetProps={{ options: SOURCE_OPTIONS, dense: true }}
+          dataCy="infer-schema-source"
+        />
+        <If condition={source === SampleSourcesEnum.PASTE}>
+          <Select
+            value={sampleFormat}
+            onChange={setSampleFormat}
+            widgetProps={{ options: PASTE_FORMAT_OPTIONS, dense: true }}
+            dataCy="infer-schema-format"
+          />
+        </If>
+      </div>
+      <If condition={source === SampleSourcesEnum.UPLOAD}>
+        <FileDnD
+          file={file}
+          onDropHandler={onDropHandler}
+          error={error}
+          uploadLabel="Drag and drop a CSV, JSON lines, Avro or Parquet sample"
+        />
+      </If>
+      <If condition={source === SampleSourcesEnum.PASTE}>
+        <textarea
+          className={classes.sample}
+          value={sample}
+          onChange={(e) => setSample(e.target.value)}
+          placeholder="Paste the first rows of the data, with a header row for CSV"
+          data-cy="infer-schema-sample"
+        />
+        <Button
+          className={classes.inferButton}
+          variant="contained"
+          color="primary"
+          disabled={sample.trim().length === 0}
+          onClick={() => infer(() => inferSchemaFromText(sample, sampleFormat))}
+          data-cy="infer-schema-btn"
+        >
+          Infer schema
+        </Button>
+        <If condition={!!error}>
+          <div className="text-danger">{error}</div>
+        </If>
+      </If>
+      <If condition={!!inferredSchema}>{inferredSchema && renderDiff()}</If>
+    </div>
+  );
+
+  return (
+    <ConfirmationModal
+      isOpen={isOpen}
+      headerTitle="Infer schema from sample"
+      confirmationElem={confirmationElem}
+      confirmButtonText="Apply"
+      confirmFn={onApplyClick}
+      cancelFn={onCancel}
+      disableAction={!inferredSchema}
+    />
+  );
+};
+
+const InferSchemaModal = withStyles(styles)(InferSchemaModalBase);
+export default InferSchemaModal;
@@ -0,0 +1,306 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import {
+  inferSchemaFromFile,
+  inferSchemaFromText,
+  parseCsv,
+  SampleFormatsEnum,
+} from 'components/AbstractWidget/SchemaEditor/SchemaInference/inferSchema';
+import {
+  getSchemaDiff,
+  SchemaDiffTypesEnum,
+} from 'components/AbstractWidget/SchemaEditor/SchemaInference/schemaDiff';
+
+const decimal = (precision, scale) => ({
+  type: 'bytes',
+  logicalType: 'decimal',
+  precision,
+  scale,
+});
+const date = { type: 'int', logicalType: 'date' };
+const timestamp = { type: 'long', logicalType: 'timestamp-micros' };
+const datetime = { type: 'string', logicalType: 'datetime' };
+
+function getFields(schema) {
+  return schema.schema.fields.reduce((fields, field) => {
+    fields[field.name] = field.type;
+    return fields;
+  }, {});
+}
+
+function toBytes(text: string): number[] {
+  return unescape(encodeURIComponent(text))
+    .split('')
+    .map((char) => char.charCodeAt(0));
+}
+
+function varint(value: number) {
+  const bytes = [];
+  while (value > 0x7f) {
+    bytes.push((value % 0x80) + 0x80);
+    value = Math.floor(value / 0x80);
+  }
+  bytes.push(value);
+  return bytes;
+}
+
+function zigzag(value: number) {
+  return varint(value >= 0 ? value * 2 : -value * 2 - 1);
+}
+
+/* thrift compact protocol, enough to write a parquet footer */
+
+function struct(fields: Array<[number, number, number[]]>) {
+  const bytes = [];
+  let lastId = 0;
+  fields.forEach(([id, type, value]) => {
+    bytes.push((id - lastId) * 0x10 + type, ...value);
+    lastId = id;
+  });
+  bytes.push(0);
+  return bytes;
+}
+
+const i32 = (id: number, value: number): [number, number, number[]] => [id, 5, zigzag(value)];
+const binary = (id: number, value: string): [number, number, number[]] => [
+  id,
+  8,
+  [...varint(toBytes(value).length), ...toBytes(value)],
+];
+const child = (id: number, value: number[]): [number, number, number[]] => [id, 12, value];
+const structList = (id: number, values: number[][]): [number, number, number[]] => [
+  id,
+  9,
+  [values.length * 0x10 + 12, ...[].concat(...values)],
+];
+
+describe('Schema inference', () => {
+  it('should parse quoted CSV values', () => {
+    expect(parseCsv('a;b\r\n"x;""y""";\n\nz;w', ';')).toEqual([
+      ['a', 'b'],
+      ['x;"y"', ''],
+      ['z', 'w'],
+    ]);
+  });
+
+  it('should infer the types of CSV columns', () => {
+    const csv = [
+      'id,name,amount,ratio,active,day,created,local,empty,note,',
+      '1,"Smith, John",10.50,0.5,true,2024-01-02,2024-01-02T10:00:00Z,2024-01-02 10:00:00,,a,1',
+      '3000000000,Jane,3.25,1e3,FALSE,2024-02-03,2024-02-03T10:00:00.123+02:00,2024-02-03 11:00:00,,,2',
+    ].join('\n');
+    const schema = inferSchemaFromText(csv, SampleFormatsEnum.CSV);
+
+    expect(schema.name).toBe('etlSchemaBody');
+    expect(schema.schema.name).toBe('etlSchemaBody');
+    expect(getFields(schema)).toEqual({
+      id: 'long',
+      name: 'string',
+      amount: decimal(4, 2),
+      ratio: 'double',
+      active: 'boolean',
+      day: date,
+      created: timestamp,
+      local: datetime,
+      empty: ['string', 'null'],
+      note: ['string', 'null'],
+      column_11: 'int',
+    });
+  });
+
+  it('should infer nested JSON lines types', () => {
+    const jsonl = [
+      '{"id": 1, "user": {"name": "a", "age": 3}, "tags": ["x"], "attrs": {"a-b": 1}, "score": 1}',
+      '{"id": 2, "user": {"name": "b"}, "tags": [], "attrs": {}, "score": 1.5, "extra": "2024-01-01", "mixed": 1}',
+      '{"id": 3, "user": null, "tags": ["y"], "score": 2, "mixed": "s"}',
+    ].join('\n');
+    const schema = inferSchemaFromText(jsonl);
+
+    expect(getFields(schema)).toEqual({
+      id: 'int',
+      user: [
+        {
+          type: 'record',
+          name: 'user',
+          fields: [
+            { name: 'name', type: 'string' },
+            { name: 'age', type: ['int', 'null'] },
+          ],
+        },
+        'null',
+      ],
+      tags: { type: 'array', items: 'string' },
+      attrs: [{ type: 'map', keys: 'string', values: 'int' }, 'null'],
+      score: 'double',
+      extra: [date, 'null'],
+      mixed: ['int', 'string', 'null'],
+    });
+  });
+
+  it('should report invalid JSON lines', () => {
+    expect(() => inferSchemaFromText('{"a": 1}\n{"a": ', SampleFormatsEnum.JSON_LINES)).toThrow(
+      'Line 2 is not valid JSON'
+    );
+  });
+
+  it('should detect the format of text files', () => {
+    const csv = inferSchemaFromFile(new Uint8Array(toBytes('\uFEFFprénom,age\nJo,3')));
+    expect(getFields(csv)).toEqual({ pr_nom: 'string', age: 'int' });
+
+    const jsonl = inferSchemaFromFile(new Uint8Array(toBytes('\n{"a": true}\n')));
+    expect(getFields(jsonl)).toEqual({ a: 'boolean' });
+  });
+
+  it('should read the schema of an avro data file', () => {
+    const avroSchema = JSON.stringify({
+      type: 'record',
+      name: 'com.example.User',
+      fields: [
+        { name: 'id', type: 'long' },
+        { name: 'created', type: { type: 'long', logicalType: 'timestamp-millis' } },
+        { name: 'hash', type: { type: 'fixed', name: 'MD5', size: 16 } },
+        {
+          name: 'home',
+          type: {
+            type: 'record',
+            name: 'Address',
+            fields: [{ name: 'city', type: 'string' }],
+          },
+        },
+        { name: 'work', type: ['null', 'Address'] },
+      ],
+    });
+    const bytes = [
+      ...toBytes('Obj\u0001'),
+      ...zigzag(1),
+      ...zigzag('avro.schema'.length),
+      ...toBytes('avro.schema'),
+      ...zigzag(toBytes(avroSchema).length),
+      ...toBytes(avroSchema),
+      0,
+      ...new Array(16).fill(7),
+    ];
+    const schema = inferSchemaFromFile(new Uint8Array(bytes));
+
+    expect(getFields(schema)).toEqual({
+      id: 'long',
+      created: timestamp,
+      hash: 'bytes',
+      home: { type: 'record', name: 'Address', fields: [{ name: 'city', type: 'string' }] },
+      work: [
+        'null',
+        { type: 'record', name: 'Address1', fields: [{ name: 'city', type: 'string' }] },
+      ],
+    });
+  });
+
+  it('should read the schema of a parquet file', () => {
+    const elements = [
+      struct([binary(4, 'schema'), i32(5, 6)]),
+      struct([i32(1, 2), i32(3, 0), binary(4, 'id')]),
+      struct([i32(1, 6), i32(3, 1), binary(4, 'name'), i32(6, 0)]),
+      struct([
+        i32(1, 7),
+        i32(2, 5),
+        i32(3, 1),
+        binary(4, 'price'),
+        i32(6, 5),
+        i32(7, 2),
+        i32(8, 10),
+      ]),
+      struct([
+        i32(1, 2),
+        i32(3, 0),
+        binary(4, 'created'),
+        child(10, struct([child(8, struct([[1, 1, []], child(2, struct([child(2, [0])]))]))])),
+      ]),
+      struct([i32(3, 1), binary(4, 'tags'), i32(5, 1), i32(6, 3)]),
+      struct([i32(3, 2), binary(4, 'list'), i32(5, 1)]),
+      struct([i32(1, 6), i32(3, 0), binary(4, 'element'), child(10, struct([child(1, [0])]))]),
+      struct([i32(3, 1), binary(4, 'address'), i32(5, 1)]),
+      struct([i32(1, 6), i32(3, 0), binary(4, 'city'), i32(6, 0)]),
+    ];
+    const footer = struct([i32(1, 1), structList(2, elements), [3, 6, zigzag(0)]]);
+    const length = new Uint8Array(4);
+    new DataView(length.buffer).setUint32(0, footer.length, true);
+    const bytes = [...toBytes('PAR1'), ...footer, ...Array.from(length), ...toBytes('PAR1')];
+    const schema = inferSchemaFromFile(new Uint8Array(bytes));
+
+    expect(getFields(schema)).toEqual({
+      id: 'long',
+      name: ['string', 'null'],
+      price: [decimal(10, 2), 'null'],
+      created: timestamp,
+      tags: [{ type: 'array', items: 'string' }, 'null'],
+      address: [
+        { type: 'record', name: 'address', fields: [{ name: 'city', type: 'string' }] },
+        'null',
+      ],
+    });
+  });
+
+  it('should list the changes of an inferred schema', () => {
+    const current = {
+      name: 'etlSchemaBody',
+      schema: {
+        type: 'record',
+        name: 'etlSchemaBody',
+        fields: [
+          { name: 'id', type: 'int' },
+          { name: 'name', type: 'string' },
+          {
+            name: 'address',
+            type: {
+              type: 'record',
+              name: 'address',
+              fields: [{ name: 'city', type: 'string' }],
+            },
+          },
+          { name: 'legacy', type: 'string' },
+        ],
+      },
+    };
+    const inferred = inferSchemaFromText(
+      '{"id": 3000000000, "name": "a", "address": {"city": "x", "zip": 1}, "price": "2.50"}'
+    );
+
+    expect(getSchemaDiff(current as any, inferred)).toEqual([
+      { path: 'id', type: SchemaDiffTypesEnum.CHANGED, current: 'int', inferred: 'long' },
+      { path: 'name', type: SchemaDiffTypesEnum.UNCHANGED, current: 'string', inferred: 'string' },
+      {
+        path: 'address',
+        type: SchemaDiffTypesEnum.UNCHANGED,
+        current: 'record',
+        inferred: 'record',
+      },
+      {
+        path: 'address.city',
+        type: SchemaDiffTypesEnum.UNCHANGED,
+        current: 'string',
+        inferred: 'string',
+      },
+      { path: 'address.zip', type: SchemaDiffTypesEnum.ADDED, current: null, inferred: 'int' },
+      { path: 'price', type: SchemaDiffTypesEnum.ADDED, current: null, inferred: 'string' },
+      {
+        path: 'legacy',
+        type: SchemaDiffTypesEnum.REMOVED,
+        current: 'string',
+        inferred: null,
+      },
+    ]);
+  });
+});
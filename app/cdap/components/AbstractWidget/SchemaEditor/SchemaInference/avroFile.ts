@@ -0,0 +1,177 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import { AvroSchemaTypesEnum } from 'components/AbstractWidget/SchemaEditor/SchemaConstants';
+import { LogicalTypes } from 'services/cdapavscwrapper/LogicalTypes';
+import {
+  createNameGenerator,
+  getLogicalTypeSchema,
+  isPrimitiveType,
+} from 'components/AbstractWidget/SchemaEditor/SchemaFormats/avroTypes';
+import {
+  BinaryReader,
+  startsWith,
+} from 'components/AbstractWidget/SchemaEditor/SchemaInference/BinaryReader';
+
+/**
+ * Avro data files start with the schema they were written with, so the schema of an avro sample
+ * is read from the file header instead of being inferred from the records.
+ */
+
+const AVRO_MAGIC = [0x4f, 0x62, 0x6a, 0x01]; // Obj1
+
+const AVRO_LOGICAL_TYPES = {
+  date: LogicalTypes.DATE,
+  'time-millis': LogicalTypes.TIME_MICROS,
+  'time-micros': LogicalTypes.TIME_MICROS,
+  'timestamp-millis': LogicalTypes.TIMESTAMP_MICROS,
+  'timestamp-micros': LogicalTypes.TIMESTAMP_MICROS,
+  'local-timestamp-millis': LogicalTypes.DATETIME,
+  'local-timestamp-micros': LogicalTypes.DATETIME,
+  datetime: LogicalTypes.DATETIME,
+  decimal: LogicalTypes.DECIMAL,
+};
+
+export function isAvroFile(bytes: Uint8Array) {
+  return startsWith(bytes, AVRO_MAGIC);
+}
+
+/**
+ * Returns the writer schema from the metadata in the header of an avro data file.
+ */
+export function readAvroFileSchema(bytes: Uint8Array) {
+  if (!isAvroFile(bytes)) {
+    throw new Error('The file is not an avro data file');
+  }
+
+  const reader = new BinaryReader(bytes, AVRO_MAGIC.length);
+  const metadata: Record<string, string> = {};
+
+  // the metadata is a map, written as blocks of entries until an empty block
+  let count = reader.readZigZag();
+  while (count !== 0) {
+    if (count < 0) {
+      // negative counts are followed by the size of the block in bytes
+      count = -count;
+      reader.readZigZag();
+    }
+
+    for (let i = 0; i < count; i++) {
+      const key = reader.readString(reader.readZigZag());
+      metadata[key] = reader.readString(reader.readZigZag());
+    }
+
+    count = reader.readZigZag();
+  }
+
+  if (!metadata['avro.schema']) {
+    throw new Error('The avro data file has no schema');
+  }
+
+  return JSON.parse(metadata['avro.schema']);
+}
+
+function getSimpleName(name: string) {
+  return name.split('.').pop();
+}
+
+/**
+ * Converts an avro schema to the avro the schema editor supports: named types are written out
+ * where they are used, fixed types are bytes and the logical types CDAP does not have are mapped
+ * to the closest one it has.
+ */
+function toCdapType(
+  type,
+  namedTypes: Record<string, any>,
+  getName: (name: string) => string,
+  resolving: string[]
+) {
+  if (Array.isArray(type)) {
+    return type.map((t) => toCdapType(t, namedTypes, getName, resolving));
+  }
+
+  if (typeof type === 'string') {
+    if (type === 'null' || isPrimitiveType(type)) {
+      return type;
+    }
+
+    const name = getSimpleName(type);
+    if (!namedTypes[name]) {
+      throw new Error(`Unknown type '${type}'`);
+    }
+    if (resolving.indexOf(name) !== -1) {
+      throw new Error(`Recursive type '${name}' is not supported`);
+    }
+    return toCdapType(namedTypes[name], namedTypes, getName, resolving);
+  }
+
+  const logicalType = AVRO_LOGICAL_TYPES[type.logicalType];
+  if (logicalType) {
+    return getLogicalTypeSchema(logicalType, type.precision, type.scale);
+  }
+
+  switch (type.type) {
+    case AvroSchemaTypesEnum.RECORD:
+    case 'error': {
+      const name = getSimpleName(type.name);
+      namedTypes[name] = type;
+      const nestedResolving = [...resolving, name];
+
+      return {
+        type: AvroSchemaTypesEnum.RECORD,
+        name: getName(name),
+        fields: type.fields.map((field) => ({
+          name: field.name,
+          type: toCdapType(field.type, namedTypes, getName, nestedResolving),
+        })),
+      };
+    }
+    case AvroSchemaTypesEnum.ENUM:
+      namedTypes[getSimpleName(type.name)] = type;
+      return {
+        type: AvroSchemaTypesEnum.ENUM,
+        name: getName(getSimpleName(type.name)),
+        symbols: [...type.symbols],
+      };
+    case 'fixed':
+      namedTypes[getSimpleName(type.name)] = type;
+      return AvroSchemaTypesEnum.BYTES;
+    case AvroSchemaTypesEnum.ARRAY:
+      return {
+        type: AvroSchemaTypesEnum.ARRAY,
+        items: toCdapType(type.items, namedTypes, getName, resolving),
+      };
+    case AvroSchemaTypesEnum.MAP:
+      return {
+        type: AvroSchemaTypesEnum.MAP,
+        keys: AvroSchemaTypesEnum.STRING,
+        values: toCdapType(type.values, namedTypes, getName, resolving),
+      };
+    default:
+      // primitives written as an object, possibly with a logical type CDAP does not know
+      return toCdapType(type.type, namedTypes, getName, resolving);
+  }
+}
+
+export function avroFileSchemaToCdap(schema) {
+  const record = toCdapType(schema, {}, createNameGenerator(), []);
+
+  if (!record || record.type !== AvroSchemaTypesEnum.RECORD) {
+    throw new Error('The schema of the avro data file is not a record');
+  }
+
+  return record;
+}
@@ -0,0 +1,680 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import { AvroSchemaTypesEnum } from 'components/AbstractWidget/SchemaEditor/SchemaConstants';
+import { ISchemaType } from 'components/AbstractWidget/SchemaEditor/SchemaTypes';
+import { LogicalTypes } from 'services/cdapavscwrapper/LogicalTypes';
+import {
+  createNameGenerator,
+  getLogicalTypeSchema,
+  makeNullable,
+} from 'components/AbstractWidget/SchemaEditor/SchemaFormats/avroTypes';
+import { decodeUTF8 } from 'components/AbstractWidget/SchemaEditor/SchemaInference/BinaryReader';
+import {
+  avroFileSchemaToCdap,
+  isAvroFile,
+  readAvroFileSchema,
+} from 'components/AbstractWidget/SchemaEditor/SchemaInference/avroFile';
+import {
+  isParquetFile,
+  readParquetFileSchema,
+} from 'components/AbstractWidget/SchemaEditor/SchemaInference/parquetFile';
+
+/**
+ * Infers a schema from a sample of the data. CSV and JSON lines samples are inferred from the
+ * values, avro and parquet files already have a schema which is converted to the CDAP types.
+ */
+
+export enum SampleFormatsEnum {
+  CSV = 'csv',
+  JSON_LINES = 'jsonl',
+  AVRO = 'avro',
+  PARQUET = 'parquet',
+}
+
+// only the start of large samples is read
+export const MAX_SAMPLE_RECORDS = 1000;
+const MAX_SAMPLE_BYTES = 1024 * 1024;
+
+const SCHEMA_NAME = 'etlSchemaBody';
+
+const CSV_DELIMITERS = [',', ';', '\t', '|'];
+
+const INT_MAX = 2147483647;
+const INT_MIN = -2147483648;
+
+const BOOLEAN_PATTERN = /^(true|false)$/i;
+const INTEGER_PATTERN = /^[+-]?\d+$/;
+const FIXED_POINT_PATTERN = /^[+-]?(\d*)\.(\d+)$/;
+const FLOATING_POINT_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+const DATE_PATTERN = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d(\.\d{1,9})?)?$/;
+const DATETIME_PATTERN = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])[T ]([01]\d|2[0-3]):[0-5]\d(:[0-5]\d(\.\d{1,9})?)?/;
+const TIMEZONE_PATTERN = /(Z|[+-]\d{2}:?\d{2})$/i;
+
+enum InferredKindsEnum {
+  NULL = 'null',
+  BOOLEAN = 'boolean',
+  INT = 'int',
+  LONG = 'long',
+  DECIMAL = 'decimal',
+  DOUBLE = 'double',
+  STRING = 'string',
+  DATE = 'date',
+  TIME = 'time',
+  TIMESTAMP = 'timestamp',
+  DATETIME = 'datetime',
+  RECORD = 'record',
+  ARRAY = 'array',
+  MAP = 'map',
+  UNION = 'union',
+}
+
+const NUMERIC_KINDS = [
+  InferredKindsEnum.INT,
+  InferredKindsEnum.LONG,
+  InferredKindsEnum.DECIMAL,
+  InferredKindsEnum.DOUBLE,
+];
+
+const STRING_KINDS = [
+  InferredKindsEnum.STRING,
+  InferredKindsEnum.DATE,
+  InferredKindsEnum.TIME,
+  InferredKindsEnum.TIMESTAMP,
+  InferredKindsEnum.DATETIME,
+];
+
+interface IInferredType {
+  kind: InferredKindsEnum;
+  nullable?: boolean;
+  // digits before and after the decimal point of decimals
+  integerDigits?: number;
+  scale?: number;
+  fields?: Array<{ name: string; type: IInferredType }>;
+  items?: IInferredType;
+  values?: IInferredType;
+  types?: IInferredType[];
+}
+
+/* Values */
+
+function getNumberType(value: string): IInferredType {
+  if (INTEGER_PATTERN.test(value)) {
+    const digits = value.replace(/^[+-]/, '').replace(/^0+(?=\d)/, '');
+    if (digits.length <= 10 && Number(value) >= INT_MIN && Number(value) <= INT_MAX) {
+      return { kind: InferredKindsEnum.INT, integerDigits: digits.length, scale: 0 };
+    }
+    // longs have up to 19 digits, larger numbers only fit in a decimal
+    return {
+      kind: digits.length < 19 ? InferredKindsEnum.LONG : InferredKindsEnum.DECIMAL,
+      integerDigits: digits.length,
+      scale: 0,
+    };
+  }
+
+  const fixedPoint = FIXED_POINT_PATTERN.exec(value);
+  if (fixedPoint) {
+    return {
+      kind: InferredKindsEnum.DECIMAL,
+      integerDigits: Math.max(fixedPoint[1].replace(/^0+/, '').length, 1),
+      scale: fixedPoint[2].length,
+    };
+  }
+
+  if (FLOATING_POINT_PATTERN.test(value)) {
+    return { kind: InferredKindsEnum.DOUBLE };
+  }
+
+  return null;
+}
+
+function getStringType(value: string): IInferredType {
+  if (DATE_PATTERN.test(value)) {
+    return { kind: InferredKindsEnum.DATE };
+  }
+  if (TIME_PATTERN.test(value)) {
+    return { kind: InferredKindsEnum.TIME };
+  }
+  if (DATETIME_PATTERN.test(value)) {
+    // only values with a time zone are an instant, the others are a local date time
+    const rest = value.replace(DATETIME_PATTERN, '');
+    if (rest === '') {
+      return { kind: InferredKindsEnum.DATETIME };
+    }
+    if (TIMEZONE_PATTERN.test(rest) && rest.replace(TIMEZONE_PATTERN, '') === '') {
+      return { kind: InferredKindsEnum.TIMESTAMP };
+    }
+  }
+  return { kind: InferredKindsEnum.STRING };
+}
+
+/**
+ * CSV values are all text, so the type is whatever the text looks like. Empty values are nulls.
+ */
+function getCsvValueType(value: string): IInferredType {
+  const trimmed = value.trim();
+
+  if (trimmed === '') {
+    return { kind: InferredKindsEnum.NULL };
+  }
+  if (BOOLEAN_PATTERN.test(trimmed)) {
+    return { kind: InferredKindsEnum.BOOLEAN };
+  }
+
+  return getNumberType(trimmed) || getStringType(trimmed);
+}
+
+function isRecordKey(key: string) {
+  return /^[A-Za-z_][A-Za-z0-9_]*$/.test(key);
+}
+
+function getJsonValueType(value): IInferredType {
+  if (value === null || value === undefined) {
+    return { kind: InferredKindsEnum.NULL };
+  }
+
+  if (typeof value === 'boolean') {
+    return { kind: InferredKindsEnum.BOOLEAN };
+  }
+
+  if (typeof value === 'number') {
+    // fractions lose their precision when parsed, so they can only be a double
+    return Number.isInteger(value) && Number.isSafeInteger(value)
+      ? getNumberType(String(value))
+      : { kind: InferredKindsEnum.DOUBLE };
+  }
+
+  if (typeof value === 'string') {
+    return getStringType(value);
+  }
+
+  if (Array.isArray(value)) {
+    return {
+      kind: InferredKindsEnum.ARRAY,
+      items: mergeAll(value.map(getJsonValueType), true),
+    };
+  }
+
+  const keys = Object.keys(value);
+
+  // objects used as dictionaries have keys that are data rather than field names
+  if (keys.length === 0 || !keys.every(isRecordKey)) {
+    return {
+      kind: InferredKindsEnum.MAP,
+      values: mergeAll(
+        keys.map((key) => getJsonValueType(value[key])),
+        true
+      ),
+    };
+  }
+
+  return {
+    kind: InferredKindsEnum.RECORD,
+    fields: keys.map((key) => ({ name: key, type: getJsonValueType(value[key]) })),
+  };
+}
+
+/* Merging */
+
+function withNullable(type: IInferredType, nullable: boolean): IInferredType {
+  return !!type.nullable === nullable ? type : { ...type, nullable };
+}
+
+function mergeNumbers(a: IInferredType, b: IInferredType): IInferredType {
+  const kinds = [a.kind, b.kind];
+
+  if (kinds.indexOf(InferredKindsEnum.DOUBLE) !== -1) {
+    return { kind: InferredKindsEnum.DOUBLE };
+  }
+
+  if (kinds.indexOf(InferredKindsEnum.DECIMAL) !== -1) {
+    // fixed point values with a different scale are measurements rather than amounts
+    const decimals = [a, b].filter(({ kind }) => kind === InferredKindsEnum.DECIMAL);
+    if (decimals.length === 2 && a.scale !== b.scale) {
+      return { kind: InferredKindsEnum.DOUBLE };
+    }
+    return {
+      kind: InferredKindsEnum.DECIMAL,
+      integerDigits: Math.max(a.integerDigits, b.integerDigits),
+      scale: decimals[0].scale,
+    };
+  }
+
+  return {
+    kind: kinds.indexOf(InferredKindsEnum.LONG) !== -1 ? InferredKindsEnum.LONG : a.kind,
+    integerDigits: Math.max(a.integerDigits, b.integerDigits),
+    scale: 0,
+  };
+}
+
+function mergeFields(a: IInferredType, b: IInferredType, allowUnions: boolean) {
+  const fields = a.fields.map(({ name, type }) => {
+    const other = b.fields.find((field) => field.name === name);
+    // a field that is missing from some records is nullable
+    return {
+      name,
+      type: other ? mergeTypes(type, other.type, allowUnions) : withNullable(type, true),
+    };
+  });
+
+  b.fields
+    .filter(({ name }) => !a.fields.find((field) => field.name === name))
+    .forEach(({ name, type }) => fields.push({ name, type: withNullable(type, true) }));
+
+  return fields;
+}
+
+function recordToMap(type: IInferredType, allowUnions: boolean): IInferredType {
+  return {
+    kind: InferredKindsEnum.MAP,
+    values: mergeAll(
+      type.fields.map((field) => field.type),
+      allowUnions
+    ),
+  };
+}
+
+function areCompatible(a: IInferredType, b: IInferredType) {
+  const isRecordOrMap = ({ kind }) =>
+    kind === InferredKindsEnum.RECORD || kind === InferredKindsEnum.MAP;
+
+  return (
+    a.kind === b.kind ||
+    (NUMERIC_KINDS.indexOf(a.kind) !== -1 && NUMERIC_KINDS.indexOf(b.kind) !== -1) ||
+    (STRING_KINDS.indexOf(a.kind) !== -1 && STRING_KINDS.indexOf(b.kind) !== -1) ||
+    (isRecordOrMap(a) && isRecordOrMap(b))
+  );
+}
+
+function mergeCompatible(a: IInferredType, b: IInferredType, allowUnions: boolean) {
+  if (a.kind !== b.kind) {
+    if (NUMERIC_KINDS.indexOf(a.kind) !== -1) {
+      return mergeNumbers(a, b);
+    }
+    if (STRING_KINDS.indexOf(a.kind) !== -1) {
+      // values that are only sometimes a date or a time are plain strings
+      return { kind: InferredKindsEnum.STRING };
+    }
+    const map = a.kind === InferredKindsEnum.MAP ? a : recordToMap(a, allowUnions);
+    const other = b.kind === InferredKindsEnum.MAP ? b : recordToMap(b, allowUnions);
+    return mergeCompatible(map, other, allowUnions);
+  }
+
+  switch (a.kind) {
+    case InferredKindsEnum.INT:
+    case InferredKindsEnum.LONG:
+    case InferredKindsEnum.DECIMAL:
+      return mergeNumbers(a, b);
+    case InferredKindsEnum.RECORD:
+      return { kind: a.kind, fields: mergeFields(a, b, allowUnions) };
+    case InferredKindsEnum.ARRAY:
+      return { kind: a.kind, items: mergeAll([a.items, b.items], allowUnions) };
+    case InferredKindsEnum.MAP:
+      return { kind: a.kind, values: mergeAll([a.values, b.values], allowUnions) };
+    default:
+      return { kind: a.kind };
+  }
+}
+
+/**
+ * Merges the types of two values of the same field. Numbers are widened, and values that do not
+ * fit a single type become a union, or a string when unions are not allowed.
+ */
+function mergeTypes(a: IInferredType, b: IInferredType, allowUnions: boolean): IInferredType {
+  if (a.kind === InferredKindsEnum.NULL) {
+    return withNullable(b, true);
+  }
+  if (b.kind === InferredKindsEnum.NULL) {
+    return withNullable(a, true);
+  }
+
+  const nullable = !!(a.nullable || b.nullable);
+
+  if (a.kind === InferredKindsEnum.UNION || b.kind === InferredKindsEnum.UNION) {
+    const union = a.kind === InferredKindsEnum.UNION ? a : b;
+    const other = union === a ? b : a;
+    const others = other.kind === InferredKindsEnum.UNION ? other.types : [other];
+    const types = others.reduce((unionTypes, type) => {
+      const index = unionTypes.findIndex((unionType) => areCompatible(unionType, type));
+      if (index === -1) {
+        return [...unionTypes, withNullable(type, false)];
+      }
+      return unionTypes.map((unionType, i) =>
+        i === index ? mergeCompatible(unionType, type, allowUnions) : unionType
+      );
+    }, union.types);
+    return withNullable({ kind: InferredKindsEnum.UNION, types }, nullable);
+  }
+
+  if (areCompatible(a, b)) {
+    return withNullable(mergeCompatible(a, b, allowUnions), nullable);
+  }
+
+  if (!allowUnions) {
+    return withNullable({ kind: InferredKindsEnum.STRING }, nullable);
+  }
+
+  return withNullable(
+    {
+      kind: InferredKindsEnum.UNION,
+      types: [withNullable(a, false), withNullable(b, false)],
+    },
+    nullable
+  );
+}
+
+/**
+ * Merges the types of all the values, or returns null when there are no values, like the items of
+ * an empty array, which do not say anything about the type.
+ */
+function mergeAll(types: IInferredType[], allowUnions: boolean): IInferredType {
+  return types
+    .filter((type) => !!type)
+    .reduce((merged, type) => (merged ? mergeTypes(merged, type, allowUnions) : type), null);
+}
+
+/* Avro */
+
+function toAvroType(type: IInferredType, name: string, getName: (name: string) => string) {
+  let avroType;
+
+  switch (type.kind) {
+    case InferredKindsEnum.NULL:
+      // there is nothing to infer from a field that is always null
+      return makeNullable(AvroSchemaTypesEnum.STRING);
+    case InferredKindsEnum.DECIMAL:
+      avroType = getLogicalTypeSchema(
+        LogicalTypes.DECIMAL,
+        type.integerDigits + type.scale,
+        type.scale
+      );
+      break;
+    case InferredKindsEnum.DATE:
+      avroType = getLogicalTypeSchema(LogicalTypes.DATE);
+      break;
+    case InferredKindsEnum.TIME:
+      avroType = getLogicalTypeSchema(LogicalTypes.TIME_MICROS);
+      break;
+    case InferredKindsEnum.TIMESTAMP:
+      avroType = getLogicalTypeSchema(LogicalTypes.TIMESTAMP_MICROS);
+      break;
+    case InferredKindsEnum.DATETIME:
+      avroType = getLogicalTypeSchema(LogicalTypes.DATETIME);
+      break;
+    case InferredKindsEnum.RECORD:
+      avroType = {
+        type: AvroSchemaTypesEnum.RECORD,
+        name: getName(name),
+        fields: type.fields.map((field) => ({
+          name: field.name,
+          type: toAvroType(field.type, field.name, getName),
+        })),
+      };
+      break;
+    case InferredKindsEnum.ARRAY:
+      avroType = {
+        type: AvroSchemaTypesEnum.ARRAY,
+        items: type.items ? toAvroType(type.items, name, getName) : AvroSchemaTypesEnum.STRING,
+      };
+      break;
+    case InferredKindsEnum.MAP:
+      avroType = {
+        type: AvroSchemaTypesEnum.MAP,
+        keys: AvroSchemaTypesEnum.STRING,
+        values: type.values ? toAvroType(type.values, name, getName) : AvroSchemaTypesEnum.STRING,
+      };
+      break;
+    case InferredKindsEnum.UNION:
+      avroType = type.types.map((unionType) => toAvroType(unionType, name, getName));
+      break;
+    default:
+      avroType = type.kind;
+  }
+
+  return type.nullable ? makeNullable(avroType) : avroType;
+}
+
+function toSchemaType(fields: Array<{ name: string; type: IInferredType }>): ISchemaType {
+  const getName = createNameGenerator();
+  const schema = toAvroType({ kind: InferredKindsEnum.RECORD, fields }, SCHEMA_NAME, getName);
+
+  return { name: SCHEMA_NAME, schema };
+}
+
+/* CSV */
+
+/**
+ * Picks the delimiter that appears the most in the header line, outside of quoted values.
+ */
+function getCsvDelimiter(text: string) {
+  const counts = CSV_DELIMITERS.map(() => 0);
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '"') {
+      quoted = !quoted;
+    } else if (!quoted && (char === '\n' || char === '\r')) {
+      break;
+    } else if (!quoted && CSV_DELIMITERS.indexOf(char) !== -1) {
+      counts[CSV_DELIMITERS.indexOf(char)] += 1;
+    }
+  }
+
+  const max = Math.max(...counts);
+  return max === 0 ? ',' : CSV_DELIMITERS[counts.indexOf(max)];
+}
+
+/**
+ * Parses CSV as described in RFC 4180, values can be quoted with double quotes and quotes in a
+ * quoted value are escaped by doubling them.
+ */
+export function parseCsv(text: string, delimiter = getCsvDelimiter(text), maxRows = Infinity) {
+  const rows: string[][] = [];
+  let row: string[] = [];
+  let value = '';
+  let quoted = false;
+  let i = 0;
+
+  const endRow = () => {
+    row.push(value);
+    // blank lines are skipped
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    value = '';
+  };
+
+  while (i < text.length && rows.length < maxRows) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(value);
+      value = '';
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i += 1;
+      }
+      endRow();
+    } else {
+      value += char;
+    }
+
+    i += 1;
+  }
+
+  if (rows.length < maxRows && (value !== '' || row.length > 0)) {
+    endRow();
+  }
+
+  return rows;
+}
+
+function getCsvFieldNames(header: string[]) {
+  const getName = createNameGenerator();
+
+  return header.map((name, i) => getName(name.trim() === '' ? `column_${i + 1}` : name));
+}
+
+function inferCsvSchema(text: string) {
+  const [header, ...rows] = parseCsv(text, getCsvDelimiter(text), MAX_SAMPLE_RECORDS + 1);
+
+  if (!header) {
+    throw new Error('The sample is empty');
+  }
+
+  const fields = getCsvFieldNames(header).map((name, column) => {
+    const type = mergeAll(
+      rows.map((row) => getCsvValueType(row[column] || '')),
+      false
+    );
+    // a sample with only the header row has nothing to infer the types from
+    return { name, type: type || { kind: InferredKindsEnum.NULL } };
+  });
+
+  return toSchemaType(fields);
+}
+
+/* JSON lines */
+
+function inferJsonLinesSchema(text: string) {
+  const lines = text.split(/\r?\n/);
+  let type: IInferredType = null;
+  let records = 0;
+
+  for (let i = 0; i < lines.length && records < MAX_SAMPLE_RECORDS; i++) {
+    if (lines[i].trim() === '') {
+      continue;
+    }
+
+    let record;
+    try {
+      record = JSON.parse(lines[i]);
+    } catch (e) {
+      throw new Error(`Line ${i + 1} is not valid JSON`);
+    }
+
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      throw new Error(`Line ${i + 1} is not a JSON object`);
+    }
+
+    const recordType: IInferredType = {
+      kind: InferredKindsEnum.RECORD,
+      fields: Object.keys(record).map((key) => ({
+        name: key,
+        type: getJsonValueType(record[key]),
+      })),
+    };
+
+    type = type ? mergeTypes(type, recordType, true) : recordType;
+    records += 1;
+  }
+
+  if (!type) {
+    throw new Error('The sample is empty');
+  }
+
+  // the top level record keeps the fields, even if the names need to be fixed
+  const getName = createNameGenerator();
+  const fields = type.fields.map(({ name, type: fieldType }) => ({
+    name: getName(name),
+    type: fieldType,
+  }));
+
+  return toSchemaType(fields);
+}
+
+/* Entry points */
+
+function trimSample(text: string, truncated: boolean) {
+  // the byte order mark is not part of the first field name
+  let sample = text.replace(/^\uFEFF/, '');
+
+  // a truncated sample ends in the middle of a record
+  if (truncated && sample.lastIndexOf('\n') > 0) {
+    sample = sample.slice(0, sample.lastIndexOf('\n'));
+  }
+
+  return sample;
+}
+
+export function getTextSampleFormat(text: string) {
+  const firstLine = text.split(/\r?\n/).find((line) => line.trim() !== '') || '';
+
+  return firstLine.trim().startsWith('{') ? SampleFormatsEnum.JSON_LINES : SampleFormatsEnum.CSV;
+}
+
+export function inferSchemaFromText(
+  text: string,
+  format: SampleFormatsEnum = getTextSampleFormat(text)
+): ISchemaType {
+  const sample = trimSample(text, false);
+
+  switch (format) {
+    case SampleFormatsEnum.CSV:
+      return inferCsvSchema(sample);
+    case SampleFormatsEnum.JSON_LINES:
+      return inferJsonLinesSchema(sample);
+    default:
+      throw new Error(`Schema inference from ${format} text is not supported`);
+  }
+}
+
+export function getFileSampleFormat(bytes: Uint8Array) {
+  if (isAvroFile(bytes)) {
+    return SampleFormatsEnum.AVRO;
+  }
+  if (isParquetFile(bytes)) {
+    return SampleFormatsEnum.PARQUET;
+  }
+
+  return getTextSampleFormat(trimSample(decodeUTF8(bytes.subarray(0, 1024)), false));
+}
+
+/**
+ * Infers the schema of an uploaded sample file. Avro and parquet files are recognized by their
+ * magic bytes, other files are read as CSV or JSON lines text.
+ */
+export function inferSchemaFromFile(bytes: Uint8Array): ISchemaType {
+  const format = getFileSampleFormat(bytes);
+
+  if (format === SampleFormatsEnum.AVRO || format === SampleFormatsEnum.PARQUET) {
+    const schema =
+      format === SampleFormatsEnum.AVRO
+        ? avroFileSchemaToCdap(readAvroFileSchema(bytes))
+        : readParquetFileSchema(bytes);
+
+    return { name: SCHEMA_NAME, schema: { ...schema, name: SCHEMA_NAME } };
+  }
+
+  const truncated = bytes.length > MAX_SAMPLE_BYTES;
+  const text = trimSample(decodeUTF8(bytes.subarray(0, MAX_SAMPLE_BYTES)), truncated);
+
+  return inferSchemaFromText(text, format);
+}
@@ -0,0 +1,442 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import { AvroSchemaTypesEnum } from 'components/AbstractWidget/SchemaEditor/SchemaConstants';
+import { LogicalTypes } from 'services/cdapavscwrapper/LogicalTypes';
+import {
+  createNameGenerator,
+  getLogicalTypeSchema,
+  makeNullable,
+  toAvroName,
+} from 'components/AbstractWidget/SchemaEditor/SchemaFormats/avroTypes';
+import {
+  BinaryReader,
+  decodeUTF8,
+  getHighNibble,
+  getLowNibble,
+  startsWith,
+} from 'components/AbstractWidget/SchemaEditor/SchemaInference/BinaryReader';
+
+/**
+ * Parquet files end with a footer that has the schema of the file, encoded with the thrift
+ * compact protocol. Only the footer is read, the column data is not needed.
+ */
+
+const PARQUET_MAGIC = [0x50, 0x41, 0x52, 0x31]; // PAR1
+
+// thrift compact protocol types
+enum ThriftTypes {
+  BOOLEAN_TRUE = 1,
+  BOOLEAN_FALSE = 2,
+  BYTE = 3,
+  I16 = 4,
+  I32 = 5,
+  I64 = 6,
+  DOUBLE = 7,
+  BINARY = 8,
+  LIST = 9,
+  SET = 10,
+  MAP = 11,
+  STRUCT = 12,
+}
+
+// field ids of the parquet thrift definitions
+const FILE_METADATA_SCHEMA = 2;
+const SCHEMA_ELEMENT = {
+  type: 1,
+  repetitionType: 3,
+  name: 4,
+  numChildren: 5,
+  convertedType: 6,
+  scale: 7,
+  precision: 8,
+  logicalType: 10,
+};
+
+enum PhysicalTypes {
+  BOOLEAN = 0,
+  INT32 = 1,
+  INT64 = 2,
+  INT96 = 3,
+  FLOAT = 4,
+  DOUBLE = 5,
+  BYTE_ARRAY = 6,
+  FIXED_LEN_BYTE_ARRAY = 7,
+}
+
+enum RepetitionTypes {
+  REQUIRED = 0,
+  OPTIONAL = 1,
+  REPEATED = 2,
+}
+
+enum ConvertedTypes {
+  UTF8 = 0,
+  MAP = 1,
+  MAP_KEY_VALUE = 2,
+  LIST = 3,
+  ENUM = 4,
+  DECIMAL = 5,
+  DATE = 6,
+  TIME_MILLIS = 7,
+  TIME_MICROS = 8,
+  TIMESTAMP_MILLIS = 9,
+  TIMESTAMP_MICROS = 10,
+  UINT_8 = 11,
+  UINT_16 = 12,
+  UINT_32 = 13,
+  UINT_64 = 14,
+  INT_8 = 15,
+  INT_16 = 16,
+  INT_32 = 17,
+  INT_64 = 18,
+  JSON = 19,
+  BSON = 20,
+  INTERVAL = 21,
+}
+
+// field ids of the LogicalType union
+const LOGICAL_TYPE = {
+  string: 1,
+  map: 2,
+  list: 3,
+  enum: 4,
+  decimal: 5,
+  date: 6,
+  time: 7,
+  timestamp: 8,
+  integer: 10,
+  json: 12,
+  bson: 13,
+  uuid: 14,
+};
+
+const CONVERTED_TYPES = {
+  [ConvertedTypes.UTF8]: AvroSchemaTypesEnum.STRING,
+  [ConvertedTypes.ENUM]: AvroSchemaTypesEnum.STRING,
+  [ConvertedTypes.JSON]: AvroSchemaTypesEnum.STRING,
+  [ConvertedTypes.BSON]: AvroSchemaTypesEnum.BYTES,
+  [ConvertedTypes.INTERVAL]: AvroSchemaTypesEnum.BYTES,
+  [ConvertedTypes.UINT_8]: AvroSchemaTypesEnum.INT,
+  [ConvertedTypes.UINT_16]: AvroSchemaTypesEnum.INT,
+  [ConvertedTypes.UINT_32]: AvroSchemaTypesEnum.LONG,
+  [ConvertedTypes.UINT_64]: AvroSchemaTypesEnum.LONG,
+  [ConvertedTypes.INT_8]: AvroSchemaTypesEnum.INT,
+  [ConvertedTypes.INT_16]: AvroSchemaTypesEnum.INT,
+  [ConvertedTypes.INT_32]: AvroSchemaTypesEnum.INT,
+  [ConvertedTypes.INT_64]: AvroSchemaTypesEnum.LONG,
+};
+
+const PHYSICAL_TYPES = {
+  [PhysicalTypes.BOOLEAN]: AvroSchemaTypesEnum.BOOLEAN,
+  [PhysicalTypes.INT32]: AvroSchemaTypesEnum.INT,
+  [PhysicalTypes.INT64]: AvroSchemaTypesEnum.LONG,
+  [PhysicalTypes.FLOAT]: AvroSchemaTypesEnum.FLOAT,
+  [PhysicalTypes.DOUBLE]: AvroSchemaTypesEnum.DOUBLE,
+  [PhysicalTypes.BYTE_ARRAY]: AvroSchemaTypesEnum.BYTES,
+  [PhysicalTypes.FIXED_LEN_BYTE_ARRAY]: AvroSchemaTypesEnum.BYTES,
+};
+
+export function isParquetFile(bytes: Uint8Array) {
+  return (
+    bytes.length >= 12 &&
+    startsWith(bytes, PARQUET_MAGIC) &&
+    startsWith(bytes, PARQUET_MAGIC, bytes.length - PARQUET_MAGIC.length)
+  );
+}
+
+/* Thrift compact protocol */
+
+function readThriftValue(reader: BinaryReader, type: number) {
+  switch (type) {
+    case ThriftTypes.BOOLEAN_TRUE:
+      return true;
+    case ThriftTypes.BOOLEAN_FALSE:
+      return false;
+    case ThriftTypes.BYTE:
+      return reader.readByte();
+    case ThriftTypes.I16:
+    case ThriftTypes.I32:
+    case ThriftTypes.I64:
+      return reader.readZigZag();
+    case ThriftTypes.DOUBLE:
+      reader.skip(8);
+      return null;
+    case ThriftTypes.BINARY:
+      return reader.readBytes(reader.readVarint());
+    case ThriftTypes.LIST:
+    case ThriftTypes.SET: {
+      const header = reader.readByte();
+      const elementType = getLowNibble(header);
+      const size = getHighNibble(header) === 0x0f ? reader.readVarint() : getHighNibble(header);
+      const values = [];
+      for (let i = 0; i < size; i++) {
+        // booleans in a list are a byte each
+        values.push(
+          elementType === ThriftTypes.BOOLEAN_TRUE || elementType === ThriftTypes.BOOLEAN_FALSE
+            ? reader.readByte() === 1
+            : readThriftValue(reader, elementType)
+        );
+      }
+      return values;
+    }
+    case ThriftTypes.MAP: {
+      const size = reader.readVarint();
+      const map = new Map();
+      if (size > 0) {
+        const types = reader.readByte();
+        for (let i = 0; i < size; i++) {
+          map.set(
+            readThriftValue(reader, getHighNibble(types)),
+            readThriftValue(reader, getLowNibble(types))
+          );
+        }
+      }
+      return map;
+    }
+    case ThriftTypes.STRUCT:
+      return readThriftStruct(reader);
+    default:
+      throw new Error('The parquet file footer is not valid');
+  }
+}
+
+/**
+ * Reads a struct as an object of field id to value, which is enough to pick the few fields the
+ * schema needs without the generated thrift classes.
+ */
+function readThriftStruct(reader: BinaryReader) {
+  const struct: Record<number, any> = {};
+  let fieldId = 0;
+
+  let header = reader.readByte();
+  while (header !== 0) {
+    const delta = getHighNibble(header);
+    fieldId = delta === 0 ? reader.readZigZag() : fieldId + delta;
+    struct[fieldId] = readThriftValue(reader, getLowNibble(header));
+    header = reader.readByte();
+  }
+
+  return struct;
+}
+
+/* Schema */
+
+interface ISchemaNode {
+  name: string;
+  element: Record<number, any>;
+  children: ISchemaNode[];
+}
+
+/**
+ * The schema is a flattened tree, every group element is followed by its children.
+ */
+function getSchemaTree(elements: Array<Record<number, any>>) {
+  let index = 0;
+
+  function readNode(): ISchemaNode {
+    const element = elements[index];
+    if (!element) {
+      throw new Error('The parquet file schema is not valid');
+    }
+    index += 1;
+
+    const children = [];
+    for (let i = 0; i < (element[SCHEMA_ELEMENT.numChildren] || 0); i++) {
+      children.push(readNode());
+    }
+
+    return { name: decodeUTF8(element[SCHEMA_ELEMENT.name]), element, children };
+  }
+
+  return readNode();
+}
+
+function getLogicalType(node: ISchemaNode) {
+  return node.element[SCHEMA_ELEMENT.logicalType] || {};
+}
+
+function isList(node: ISchemaNode) {
+  return (
+    !!getLogicalType(node)[LOGICAL_TYPE.list] ||
+    node.element[SCHEMA_ELEMENT.convertedType] === ConvertedTypes.LIST
+  );
+}
+
+function isMap(node: ISchemaNode) {
+  const convertedType = node.element[SCHEMA_ELEMENT.convertedType];
+  return (
+    !!getLogicalType(node)[LOGICAL_TYPE.map] ||
+    convertedType === ConvertedTypes.MAP ||
+    convertedType === ConvertedTypes.MAP_KEY_VALUE
+  );
+}
+
+function getPrimitiveType(node: ISchemaNode) {
+  const { element } = node;
+  const logicalType = getLogicalType(node);
+  const convertedType = element[SCHEMA_ELEMENT.convertedType];
+
+  if (logicalType[LOGICAL_TYPE.decimal] || convertedType === ConvertedTypes.DECIMAL) {
+    const decimal = logicalType[LOGICAL_TYPE.decimal] || {};
+    const precision = decimal[2] !== undefined ? decimal[2] : element[SCHEMA_ELEMENT.precision];
+    const scale = decimal[1] !== undefined ? decimal[1] : element[SCHEMA_ELEMENT.scale];
+    return getLogicalTypeSchema(LogicalTypes.DECIMAL, precision, scale || 0);
+  }
+
+  if (logicalType[LOGICAL_TYPE.date] || convertedType === ConvertedTypes.DATE) {
+    return getLogicalTypeSchema(LogicalTypes.DATE);
+  }
+
+  if (
+    logicalType[LOGICAL_TYPE.time] ||
+    convertedType === ConvertedTypes.TIME_MILLIS ||
+    convertedType === ConvertedTypes.TIME_MICROS
+  ) {
+    return getLogicalTypeSchema(LogicalTypes.TIME_MICROS);
+  }
+
+  if (logicalType[LOGICAL_TYPE.timestamp]) {
+    // timestamps that are not adjusted to UTC are local date times
+    const isAdjustedToUTC = logicalType[LOGICAL_TYPE.timestamp][1];
+    return getLogicalTypeSchema(
+      isAdjustedToUTC === false ? LogicalTypes.DATETIME : LogicalTypes.TIMESTAMP_MICROS
+    );
+  }
+
+  if (
+    convertedType === ConvertedTypes.TIMESTAMP_MILLIS ||
+    convertedType === ConvertedTypes.TIMESTAMP_MICROS ||
+    element[SCHEMA_ELEMENT.type] === PhysicalTypes.INT96
+  ) {
+    // int96 is the legacy timestamp type of impala and spark
+    return getLogicalTypeSchema(LogicalTypes.TIMESTAMP_MICROS);
+  }
+
+  if (logicalType[LOGICAL_TYPE.integer]) {
+    const { 1: bitWidth, 2: isSigned } = logicalType[LOGICAL_TYPE.integer];
+    return bitWidth === 64 || (bitWidth === 32 && !isSigned)
+      ? AvroSchemaTypesEnum.LONG
+      : AvroSchemaTypesEnum.INT;
+  }
+
+  if (
+    logicalType[LOGICAL_TYPE.string] ||
+    logicalType[LOGICAL_TYPE.enum] ||
+    logicalType[LOGICAL_TYPE.json] ||
+    logicalType[LOGICAL_TYPE.uuid]
+  ) {
+    return AvroSchemaTypesEnum.STRING;
+  }
+
+  if (CONVERTED_TYPES[convertedType]) {
+    return CONVERTED_TYPES[convertedType];
+  }
+
+  return PHYSICAL_TYPES[element[SCHEMA_ELEMENT.type]] || AvroSchemaTypesEnum.BYTES;
+}
+
+class ParquetSchemaConverter {
+  private getName = createNameGenerator();
+
+  public getRecord(node: ISchemaNode, name: string) {
+    return {
+      type: AvroSchemaTypesEnum.RECORD,
+      name: this.getName(name),
+      fields: node.children.map((child) => ({
+        name: toAvroName(child.name),
+        type: this.getFieldType(child),
+      })),
+    };
+  }
+
+  private getFieldType(node: ISchemaNode) {
+    const type = this.getType(node);
+
+    switch (node.element[SCHEMA_ELEMENT.repetitionType]) {
+      case RepetitionTypes.REPEATED:
+        // a repeated field without a list annotation is a list of required elements
+        return { type: AvroSchemaTypesEnum.ARRAY, items: type };
+      case RepetitionTypes.OPTIONAL:
+        return makeNullable(type);
+      default:
+        return type;
+    }
+  }
+
+  private getType(node: ISchemaNode) {
+    if (node.children.length === 0) {
+      return getPrimitiveType(node);
+    }
+
+    if (isList(node) && node.children.length === 1) {
+      return { type: AvroSchemaTypesEnum.ARRAY, items: this.getListItems(node) };
+    }
+
+    if (isMap(node) && node.children.length === 1 && node.children[0].children.length > 0) {
+      const [keys, values] = node.children[0].children;
+      return {
+        type: AvroSchemaTypesEnum.MAP,
+        keys: this.getType(keys),
+        values: values ? this.getFieldType(values) : AvroSchemaTypesEnum.STRING,
+      };
+    }
+
+    return this.getRecord(node, node.name);
+  }
+
+  /**
+   * Lists have a repeated group with a single element field. Older writers also use the repeated
+   * field itself as the element, which is the case when it is not a group, has more than one
+   * field, or uses the names of the legacy avro and thrift writers.
+   */
+  private getListItems(node: ISchemaNode) {
+    const repeated = node.children[0];
+    const isElementGroup =
+      repeated.children.length === 1 &&
+      repeated.name !== 'array' &&
+      repeated.name !== `${node.name}_tuple`;
+
+    if (isElementGroup) {
+      return this.getFieldType(repeated.children[0]);
+    }
+
+    return this.getType(repeated);
+  }
+}
+
+export function readParquetFileSchema(bytes: Uint8Array) {
+  if (!isParquetFile(bytes)) {
+    throw new Error('The file is not a parquet file');
+  }
+
+  const footerLengthOffset = bytes.length - PARQUET_MAGIC.length - 4;
+  const footerLength =
+    bytes[footerLengthOffset] +
+    bytes[footerLengthOffset + 1] * 0x100 +
+    bytes[footerLengthOffset + 2] * 0x10000 +
+    bytes[footerLengthOffset + 3] * 0x1000000;
+
+  const reader = new BinaryReader(bytes, footerLengthOffset - footerLength);
+  const metadata = readThriftStruct(reader);
+  const elements = metadata[FILE_METADATA_SCHEMA];
+
+  if (!Array.isArray(elements) || elements.length === 0) {
+    throw new Error('The parquet file has no schema');
+  }
+
+  return new ParquetSchemaConverter().getRecord(getSchemaTree(elements), 'etlSchemaBody');
+}
@@ -0,0 +1,154 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import { AvroSchemaTypesEnum } from 'components/AbstractWidget/SchemaEditor/SchemaConstants';
+import { ISchemaType } from 'components/AbstractWidget/SchemaEditor/SchemaTypes';
+import { LogicalTypes } from 'services/cdapavscwrapper/LogicalTypes';
+import {
+  getLogicalType,
+  splitNullable,
+} from 'components/AbstractWidget/SchemaEditor/SchemaFormats/avroTypes';
+
+export enum SchemaDiffTypesEnum {
+  ADDED = 'added',
+  REMOVED = 'removed',
+  CHANGED = 'changed',
+  UNCHANGED = 'unchanged',
+}
+
+export interface ISchemaDiffRow {
+  path: string;
+  type: SchemaDiffTypesEnum;
+  current: string;
+  inferred: string;
+}
+
+const LOGICAL_TYPE_LABELS = {
+  [LogicalTypes.DATE]: AvroSchemaTypesEnum.DATE,
+  [LogicalTypes.TIME_MICROS]: AvroSchemaTypesEnum.TIME,
+  [LogicalTypes.TIMESTAMP_MICROS]: AvroSchemaTypesEnum.TIMESTAMP,
+  [LogicalTypes.DATETIME]: AvroSchemaTypesEnum.DATETIME,
+};
+
+/**
+ * Returns a short label of a type, in the terms the schema editor uses for it.
+ */
+export function getTypeLabel(fieldType): string {
+  const { type, nullable } = splitNullable(fieldType);
+  const suffix = nullable ? ' (nullable)' : '';
+
+  if (Array.isArray(type)) {
+    return `union<${type.map(getTypeLabel).join(', ')}>${suffix}`;
+  }
+
+  if (typeof type === 'string') {
+    return `${type}${suffix}`;
+  }
+
+  const logicalType = getLogicalType(type);
+  if (logicalType === LogicalTypes.DECIMAL) {
+    return `${AvroSchemaTypesEnum.DECIMAL}(${type.precision}, ${type.scale})${suffix}`;
+  }
+  if (LOGICAL_TYPE_LABELS[logicalType]) {
+    return `${LOGICAL_TYPE_LABELS[logicalType]}${suffix}`;
+  }
+
+  switch (type.type) {
+    case AvroSchemaTypesEnum.ARRAY:
+      return `array<${getTypeLabel(type.items)}>${suffix}`;
+    case AvroSchemaTypesEnum.MAP:
+      return `map<${getTypeLabel(type.keys)}, ${getTypeLabel(type.values)}>${suffix}`;
+    default:
+      return `${type.type}${suffix}`;
+  }
+}
+
+function getRecord(fieldType) {
+  const { type } = splitNullable(fieldType);
+  return type && type.type === AvroSchemaTypesEnum.RECORD ? type : null;
+}
+
+function getFields(record) {
+  // the empty field of a new schema is not a field yet
+  return (record.fields || []).filter(({ name }) => !!name);
+}
+
+function diffRecords(current, inferred, prefix: string, rows: ISchemaDiffRow[]) {
+  const currentFields = getFields(current);
+  const inferredFields = getFields(inferred);
+
+  inferredFields.forEach((field) => {
+    const path = `${prefix}${field.name}`;
+    const currentField = currentFields.find(({ name }) => name === field.name);
+    const inferredLabel = getTypeLabel(field.type);
+
+    if (!currentField) {
+      rows.push({ path, type: SchemaDiffTypesEnum.ADDED, current: null, inferred: inferredLabel });
+      return;
+    }
+
+    const currentRecord = getRecord(currentField.type);
+    const inferredRecord = getRecord(field.type);
+    const currentLabel = getTypeLabel(currentField.type);
+
+    // nested records are compared field by field, so only the fields that differ are changed
+    if (currentRecord && inferredRecord) {
+      const nullableChanged =
+        splitNullable(currentField.type).nullable !== splitNullable(field.type).nullable;
+      rows.push({
+        path,
+        type: nullableChanged ? SchemaDiffTypesEnum.CHANGED : SchemaDiffTypesEnum.UNCHANGED,
+        current: currentLabel,
+        inferred: inferredLabel,
+      });
+      diffRecords(currentRecord, inferredRecord, `${path}.`, rows);
+      return;
+    }
+
+    rows.push({
+      path,
+      type:
+        currentLabel === inferredLabel
+          ? SchemaDiffTypesEnum.UNCHANGED
+          : SchemaDiffTypesEnum.CHANGED,
+      current: currentLabel,
+      inferred: inferredLabel,
+    });
+  });
+
+  currentFields
+    .filter(({ name }) => !inferredFields.find((field) => field.name === name))
+    .forEach((field) => {
+      rows.push({
+        path: `${prefix}${field.name}`,
+        type: SchemaDiffTypesEnum.REMOVED,
+        current: getTypeLabel(field.type),
+        inferred: null,
+      });
+    });
+
+  return rows;
+}
+
+/**
+ * Compares the fields of the current schema with an inferred schema, so the user can review what
+ * applying the inferred schema changes. Fields of nested records are listed with their path.
+ */
+export function getSchemaDiff(current: ISchemaType, inferred: ISchemaType): ISchemaDiffRow[] {
+  const currentRecord = current && current.schema ? current.schema : { fields: [] };
+
+  return diffRecords(currentRecord, inferred.schema, '', []);
+}
@@ -0,0 +1,55 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import { parseImportedSchemas } from 'components/AbstractWidget/SchemaEditor/SchemaHelpers';
+import { importSchemas } from 'components/AbstractWidget/SchemaEditor/SchemaFormats';
+
+jest.mock('components/AbstractWidget/SchemaEditor/SchemaFormats', () => {
+  const actual = jest.requireActual('components/AbstractWidget/SchemaEditor/SchemaFormats');
+  return { ...actual, importSchemas: jest.fn(actual.importSchemas) };
+});
+
+// reads the file the same way the schema import link of the pipeline studio does
+function readFile(file: File): Promise<string> {
+  return new Promise((resolve) => {
+    const reader = new FileReader();
+    reader.onload = (evt) => resolve(evt.target.result as string);
+    reader.readAsText(file, 'UTF-8');
+  });
+}
+
+describe('SchemaHelpers - parseImportedSchemas', () => {
+  it('should import schemas from files that are not JSON', async () => {
+    const idl = `
+      protocol Orders {
+        record Order {
+          long id;
+          union { null, string } note;
+        }
+      }
+    `;
+    const schemas = await readFile(new File([idl], 'order.avdl'));
+    const imported = parseImportedSchemas(schemas);
+
+    expect(importSchemas).toHaveBeenCalledWith(idl);
+    expect(imported).toHaveLength(1);
+    expect(imported[0].schema.name).toBe('Order');
+    expect(imported[0].schema.fields).toEqual([
+      { name: 'id', type: 'long' },
+      { name: 'note', type: ['null', 'string'] },
+    ]);
+  });
+});
@@ -40,6 +40,8 @@ import {
   OperationTypesEnum,
 } from 'components/AbstractWidget/SchemaEditor/SchemaConstants';
 import { INode } from 'components/AbstractWidget/SchemaEditor/Context/SchemaParser';
+import { LargeSchemaToolbar } from 'components/AbstractWidget/SchemaEditor/LargeSchemaToolbar';
+import If from 'components/shared/If';
 import isEqual from 'lodash/isEqual';
 
 const styles = (theme): StyleRules => {
@@ -70,6 +72,11 @@ interface ISchemaEditorState {
   schemaRowCount: number;
   errors: Record<string, string>;
   resetErrors: boolean;
+  largeSchemaMode: boolean;
+  selectedFields: Record<string, IFieldIdentifier>;
+  highlightedFieldId: string;
+  jumpCount: number;
+  revision: number;
 }
 
 class SchemaEditorBase extends React.Component<ISchemaEditorProps, ISchemaEditorState> {
@@ -85,6 +92,11 @@ class SchemaEditorBase extends React.Component<ISchemaEditorProps, ISchemaEditor
       schemaRowCount: this.props.visibleRows,
       errors: null,
       resetErrors: false,
+      largeSchemaMode: this.schema.isLargeSchema(),
+      selectedFields: {},
+      highlightedFieldId: null,
+      jumpCount: 0,
+      revision: 0,
     };
   }
   public componentDidMount() {
@@ -137,13 +149,89 @@ class SchemaEditorBase extends React.Component<ISchemaEditorProps, ISchemaEditor
     }
     return { fieldIdToFocus };
   };
+
+  public onSearch = (query: string) => this.schema.searchFields(query);
+
+  public onJumpTo = (fieldId: IFieldIdentifier) => {
+    this.schema.expandTo(fieldId);
+    this.setState({
+      flat: this.schema.getFlatSchema(),
+      highlightedFieldId: fieldId.id,
+      jumpCount: this.state.jumpCount + 1,
+    });
+  };
+
+  public onSelectField = ({ id, ancestors }: IFieldIdentifier) => {
+    const selectedFields = { ...this.state.selectedFields };
+    if (selectedFields[id]) {
+      delete selectedFields[id];
+    } else {
+      selectedFields[id] = { id, ancestors };
+    }
+    this.setState({ selectedFields });
+  };
+
+  public onSelectFields = (fieldIds: IFieldIdentifier[]) => {
+    const selectedFields = { ...this.state.selectedFields };
+    fieldIds.forEach((fieldId) => (selectedFields[fieldId.id] = fieldId));
+    this.setState({ selectedFields });
+  };
+
+  public onClearSelection = () => {
+    this.setState({ selectedFields: {} });
+  };
+
+  private bulkChange = (change: (fieldIds: IFieldIdentifier[]) => void) => {
+    const { selectedFields } = this.state;
+    change(Object.keys(selectedFields).map((id) => selectedFields[id]));
+    this.setState({
+      flat: this.schema.getFlatSchema(),
+      tree: this.schema.getSchemaTree(),
+      selectedFields: {},
+      revision: this.state.revision + 1,
+    });
+    this.props.onChange({
+      tree: this.schema.getSchemaTree(),
+      flat: this.schema.getFlatSchema(),
+      avroSchema: this.schema.getAvroSchema(),
+    });
+    if (typeof this.validate === 'function') {
+      this.validate(this.schema.getFlatSchema()[1], this.schema.getSchemaTree());
+    }
+  };
+
+  public onMakeAllNullable = () => this.bulkChange(() => this.schema.setAllNullable(true));
+
+  public onRemoveSelected = () => this.bulkChange((fieldIds) => this.schema.removeFields(fieldIds));
+
+  public onChangeSelectedType = (type: string) => {
+    if (!type) {
+      return;
+    }
+    this.bulkChange((fieldIds) => this.schema.updateFieldsType(fieldIds, type));
+  };
+
   public render() {
-    const { flat } = this.state;
+    const { flat, largeSchemaMode, selectedFields } = this.state;
     const { classes } = this.props;
     return (
       <div>
         <SchemaValidatorProvider errors={this.state.errors} reset={this.state.resetErrors}>
           <div className={classes.schemaContainer}>
+            <If condition={largeSchemaMode}>
+              <LargeSchemaToolbar
+                disabled={this.props.disabled}
+                selectedCount={Object.keys(selectedFields).length}
+                revision={this.state.revision}
+                onSearch={this.onSearch}
+                onJumpTo={this.onJumpTo}
+                onSelectFields={this.onSelectFields}
+                onClearSelection={this.onClearSelection}
+                onMakeAllNullable={this.onMakeAllNullable}
+                onRemoveSelected={this.onRemoveSelected}
+                onChangeSelectedType={this.onChangeSelectedType}
+              />
+            </If>
             <SchemaValidatorConsumer>
               {({ validate }) => {
                 this.validate = validate;
@@ -153,6 +241,12 @@ class SchemaEditorBase extends React.Component<ISchemaEditorProps, ISchemaEditor
                     onChange={this.onChange.bind(this, validate)}
                     disabled={this.props.disabled}
                     visibleRowCount={this.state.schemaRowCount}
+                    selectable={largeSchemaMode && !this.props.disabled}
+                    selectedFields={selectedFields}
+                    onSelect={this.onSelectField}
+                    highlightedFieldId={this.state.highlightedFieldId}
+                    jumpCount={this.state.jumpCount}
+                    revision={this.state.revision}
                   />
                 );
               }}
@@ -0,0 +1,391 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import * as React from 'react';
+
+import {
+  ICollection,
+  ISavedRequest,
+  REQUEST_COLLECTIONS,
+  getCollectionExport,
+  getFromStorage,
+  parseCollection,
+} from 'components/HttpExecutor/collections';
+import {
+  StyledExpansionPanel,
+  StyledExpansionPanelSummary,
+} from 'components/HttpExecutor/RequestHistoryTab';
+import withStyles, { StyleRules, WithStyles } from '@material-ui/core/styles/withStyles';
+
+import Button from '@material-ui/core/Button';
+import ConfirmationModal from 'components/shared/ConfirmationModal';
+import DeleteIcon from '@material-ui/icons/Delete';
+import DownloadFile from 'services/download-file';
+import ExpandMoreIcon from '@material-ui/icons/ExpandMore';
+import ExpansionPanelDetails from '@material-ui/core/ExpansionPanelDetails';
+import HttpExecutorActions from 'components/HttpExecutor/store/HttpExecutorActions';
+import IconButton from '@material-ui/core/IconButton';
+import IconSVG from 'components/shared/IconSVG';
+import If from 'components/shared/If';
+import { RequestMethod } from 'components/HttpExecutor';
+import Tooltip from '@material-ui/core/Tooltip';
+import Typography from '@material-ui/core/Typography';
+import classnames from 'classnames';
+import { connect } from 'react-redux';
+import uuidV4 from 'uuid/v4';
+
+const IMPORT_INPUT_ID = 'http-executor-collection-import';
+
+const styles = (theme): StyleRules => {
+  return {
+    root: {
+      borderRight: `1px solid ${theme.palette.grey[300]}`,
+      height: '100%',
+    },
+    introRow: {
+      display: 'flex',
+      alignItems: 'center',
+      padding: `${theme.spacing(1)}px ${theme.spacing(1)}px ${theme.spacing(1)}px ${theme.Spacing(
+        3
+      )}px`,
+    },
+    title: {
+      fontSize: '15px',
+      flex: 1,
+    },
+    actionButton: {
+      textTransform: 'none',
+    },
+    fileInput: {
+      display: 'none',
+    },
+    newCollectionInput: {
+      display: 'flex',
+      padding: `0 ${theme.spacing(1)}px ${theme.spacing(1)}px ${theme.Spacing(3)}px`,
+    },
+    error: {
+      color: theme.palette.red[100],
+      padding: `0 ${theme.Spacing(3)}px ${theme.spacing(1)}px`,
+    },
+    collectionName: {
+      flex: 1,
+    },
+    collectionActions: {
+      whiteSpace: 'nowrap',
+    },
+    requests: {
+      display: 'flex',
+      flexFlow: 'column',
+      padding: '0',
+    },
+    requestRow: {
+      display: 'flex',
+      alignItems: 'center',
+      padding: '5px 10px',
+      cursor: 'pointer',
+
+      '&:hover': {
+        backgroundColor: theme.palette.grey[700],
+        '& $deleteIcon': {
+          visibility: 'visible',
+        },
+      },
+    },
+    requestMethod: {
+      width: '55px',
+      fontWeight: 800,
+      fontSize: '10px',
+    },
+    requestName: {
+      flex: 1,
+      wordBreak: 'break-word',
+    },
+    requestPath: {
+      fontSize: '10px',
+      color: theme.palette.grey[200],
+    },
+    getMethod: {
+      color: theme.palette.green[400],
+    },
+    postMethod: {
+      color: theme.palette.yellow[50],
+    },
+    putMethod: {
+      color: theme.palette.blue[50],
+    },
+    deleteMethod: {
+      color: theme.palette.red[50],
+    },
+    deleteIcon: {
+      visibility: 'hidden',
+    },
+    emptyMessage: {
+      padding: `${theme.spacing(1)}px ${theme.Spacing(3)}px`,
+      color: theme.palette.grey[200],
+    },
+  };
+};
+
+const mapStateToProps = (state) => {
+  return {
+    collections: state.http.collections,
+  };
+};
+
+const mapDispatch = (dispatch) => {
+  return {
+    setCollections: (collections: ICollection[]) => {
+      dispatch({
+        type: HttpExecutorActions.setCollections,
+        payload: {
+          collections,
+        },
+      });
+    },
+    loadSavedRequest: (request: ISavedRequest) => {
+      dispatch({
+        type: HttpExecutorActions.loadSavedRequest,
+        payload: request,
+      });
+    },
+  };
+};
+
+interface ICollectionsTabProps extends WithStyles<typeof styles> {
+  collections: ICollection[];
+  setCollections: (collections: ICollection[]) => void;
+  loadSavedRequest: (request: ISavedRequest) => void;
+}
+
+const CollectionsTabView: React.FC<ICollectionsTabProps> = ({
+  classes,
+  collections,
+  setCollections,
+  loadSavedRequest,
+}) => {
+  const [newCollectionName, setNewCollectionName] = React.useState<string>(null);
+  const [collectionToDelete, setCollectionToDelete] = React.useState<ICollection>(null);
+  const [importError, setImportError] = React.useState<string>(null);
+
+  React.useEffect(() => {
+    setCollections(getFromStorage<ICollection[]>(REQUEST_COLLECTIONS, []));
+  }, []);
+
+  const createCollection = () => {
+    if (!newCollectionName || newCollectionName.trim().length === 0) {
+      return;
+    }
+
+    setCollections([
+      ...collections,
+      { id: uuidV4(), name: newCollectionName.trim(), requests: [] },
+    ]);
+    setNewCollectionName(null);
+  };
+
+  const deleteCollection = () => {
+    setCollections(collections.filter((collection) => collection.id !== collectionToDelete.id));
+    setCollectionToDelete(null);
+  };
+
+  const deleteRequest = (e, collectionId: string, requestId: string) => {
+    e.stopPropagation();
+
+    setCollections(
+      collections.map((collection) => {
+        if (collection.id !== collectionId) {
+          return collection;
+        }
+
+        return {
+          ...collection,
+          requests: collection.requests.filter((request) => request.id !== requestId),
+        };
+      })
+    );
+  };
+
+  const exportCollection = (e, collection: ICollection) => {
+    e.stopPropagation();
+    DownloadFile(getCollectionExport(collection), null, collection.name);
+  };
+
+  const importCollection = (e) => {
+    const files = e.target.files;
+    if (!files || files.length === 0) {
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.readAsText(files[0], 'UTF-8');
+    reader.onload = (evt) => {
+      try {
+        const collection = parseCollection(evt.target.result.toString());
+        setCollections([...collections, collection]);
+        setImportError(null);
+      } catch (err) {
+        setImportError(`Failed to import ${files[0].name}: ${err.message}`);
+      }
+
+      // Allow importing the same file again
+      e.target.value = null;
+    };
+  };
+
+  return (
+    <div className={classes.root} data-cy="collections-tab" data-testid="collections-tab">
+      <div className={classes.introRow}>
+        <div className={classes.title}>Collections</div>
+        <Button
+          color="primary"
+          className={classes.actionButton}
+          onClick={() => setNewCollectionName('')}
+          data-cy="new-collection-btn"
+          data-testid="new-collection-btn"
+        >
+          New
+        </Button>
+        <input
+          accept=".json"
+          id={IMPORT_INPUT_ID}
+          type="file"
+          className={classes.fileInput}
+          onChange={importCollection}
+        />
+        <label htmlFor={IMPORT_INPUT_ID}>
+          <Button
+            color="primary"
+            component="span"
+            className={classes.actionButton}
+            data-cy="import-collection-btn"
+            data-testid="import-collection-btn"
+          >
+            Import
+          </Button>
+        </label>
+      </div>
+
+      <If condition={newCollectionName !== null}>
+        <div className={classes.newCollectionInput}>
+          <input
+            type="text"
+            className="form-control"
+            placeholder="Collection name"
+            value={newCollectionName || ''}
+            onChange={(e) => setNewCollectionName(e.target.value)}
+            onKeyPress={(e) => e.key === 'Enter' && createCollection()}
+            autoFocus
+            data-cy="new-collection-name"
+            data-testid="new-collection-name"
+          />
+          <Button color="primary" className={classes.actionButton} onClick={createCollection}>
+            Create
+          </Button>
+          <Button className={classes.actionButton} onClick={() => setNewCollectionName(null)}>
+            Cancel
+          </Button>
+        </div>
+      </If>
+
+      <If condition={!!importError}>
+        <div className={classes.error}>{importError}</div>
+      </If>
+
+      <If condition={collections.length === 0}>
+        <div className={classes.emptyMessage}>
+          Save requests to a collection to reuse them, or import a collection shared by your team.
+        </div>
+      </If>
+
+      {collections.map((collection) => (
+        <StyledExpansionPanel key={collection.id} elevation={0}>
+          <StyledExpansionPanelSummary expandIcon={<ExpandMoreIcon />}>
+            <Typography className={classes.collectionName}>
+              {collection.name} ({collection.requests.length})
+            </Typography>
+            <div className={classes.collectionActions}>
+              <Tooltip title="Export collection">
+                <IconButton size="small" onClick={(e) => exportCollection(e, collection)}>
+                  <IconSVG name="icon-export" />
+                </IconButton>
+              </Tooltip>
+              <Tooltip title="Delete collection">
+                <IconButton
+                  size="small"
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    setCollectionToDelete(collection);
+                  }}
+                >
+                  <DeleteIcon />
+                </IconButton>
+              </Tooltip>
+            </div>
+          </StyledExpansionPanelSummary>
+          <ExpansionPanelDetails className={classes.requests}>
+            {collection.requests.map((request) => (
+              <div
+                key={request.id}
+                className={classes.requestRow}
+                onClick={() => loadSavedRequest(request)}
+                data-cy={`saved-request-${request.id}`}
+                data-testid={`saved-request-${request.id}`}
+              >
+                <div
+                  className={classnames(classes.requestMethod, {
+                    [classes.getMethod]: request.method === RequestMethod.GET,
+                    [classes.postMethod]: request.method === RequestMethod.POST,
+                    [classes.deleteMethod]: request.method === RequestMethod.DELETE,
+                    [classes.putMethod]: request.method === RequestMethod.PUT,
+                  })}
+                >
+                  {request.method}
+                </div>
+                <div className={classes.requestName}>
+                  <div>{request.name}</div>
+                  <div className={classes.requestPath}>{request.path}</div>
+                </div>
+                <DeleteIcon
+                  className={classes.deleteIcon}
+                  onClick={(e) => deleteRequest(e, collection.id, request.id)}
+                />
+              </div>
+            ))}
+          </ExpansionPanelDetails>
+        </StyledExpansionPanel>
+      ))}
+
+      <ConfirmationModal
+        isOpen={!!collectionToDelete}
+        headerTitle={'Delete collection'}
+        confirmationElem={
+          <div>
+            Are you sure you want to delete the collection{' '}
+            <strong>{collectionToDelete && collectionToDelete.name}</strong> and its saved requests?
+          </div>
+        }
+        confirmButtonText={'Delete'}
+        confirmFn={deleteCollection}
+        cancelFn={() => setCollectionToDelete(null)}
+      />
+    </div>
+  );
+};
+
+const CollectionsTab = withStyles(styles)(
+  connect(mapStateToProps, mapDispatch)(CollectionsTabView)
+);
+export default CollectionsTab;
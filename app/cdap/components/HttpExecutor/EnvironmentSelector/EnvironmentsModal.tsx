@@ -0,0 +1,188 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import * as React from 'react';
+
+import { IEnvironment, getEmptyPairs } from 'components/HttpExecutor/collections';
+import withStyles, { StyleRules, WithStyles } from '@material-ui/core/styles/withStyles';
+
+import Button from '@material-ui/core/Button';
+import ConfirmationModal from 'components/shared/ConfirmationModal';
+import KeyValuePairs from 'components/shared/KeyValuePairs';
+import classnames from 'classnames';
+import uuidV4 from 'uuid/v4';
+
+const styles = (theme): StyleRules => {
+  return {
+    root: {
+      display: 'grid',
+      gridTemplateColumns: '160px 1fr',
+      gridGap: `${theme.spacing(2)}px`,
+      minHeight: '250px',
+    },
+    environmentList: {
+      borderRight: `1px solid ${theme.palette.grey[300]}`,
+    },
+    environment: {
+      padding: '5px 10px',
+      cursor: 'pointer',
+      wordBreak: 'break-word',
+    },
+    selectedEnvironment: {
+      backgroundColor: theme.palette.grey[700],
+      fontWeight: 600,
+    },
+    addButton: {
+      textTransform: 'none',
+    },
+    deleteButton: {
+      textTransform: 'none',
+      float: 'right',
+    },
+    helperText: {
+      color: theme.palette.grey[200],
+      marginBottom: theme.spacing(1),
+    },
+  };
+};
+
+interface IEnvironmentsModalProps extends WithStyles<typeof styles> {
+  isOpen: boolean;
+  environments: IEnvironment[];
+  onSave: (environments: IEnvironment[]) => void;
+  onClose: () => void;
+}
+
+const EnvironmentsModalView: React.FC<IEnvironmentsModalProps> = ({
+  classes,
+  isOpen,
+  environments,
+  onSave,
+  onClose,
+}) => {
+  // Edit a copy, so the changes are only applied on save
+  const [draft, setDraft] = React.useState<IEnvironment[]>([]);
+  const [selectedId, setSelectedId] = React.useState<string>(null);
+
+  React.useEffect(() => {
+    if (isOpen) {
+      setDraft(environments);
+      setSelectedId(environments.length > 0 ? environments[0].id : null);
+    }
+  }, [isOpen]);
+
+  const selected = draft.find((environment) => environment.id === selectedId);
+
+  const addEnvironment = () => {
+    const environment = {
+      id: uuidV4(),
+      name: `Environment ${draft.length + 1}`,
+      variables: getEmptyPairs(),
+    };
+    setDraft([...draft, environment]);
+    setSelectedId(environment.id);
+  };
+
+  const updateSelected = (update: Partial<IEnvironment>) => {
+    setDraft(
+      draft.map((environment) => {
+        return environment.id === selectedId ? { ...environment, ...update } : environment;
+      })
+    );
+  };
+
+  const deleteSelected = () => {
+    const newDraft = draft.filter((environment) => environment.id !== selectedId);
+    setDraft(newDraft);
+    setSelectedId(newDraft.length > 0 ? newDraft[0].id : null);
+  };
+
+  const isValid = draft.every((environment) => environment.name.trim().length > 0);
+
+  const content = (
+    <div className={classes.root}>
+      <div className={classes.environmentList}>
+        {draft.map((environment) => (
+          <div
+            key={environment.id}
+            className={classnames(classes.environment, {
+              [classes.selectedEnvironment]: environment.id === selectedId,
+            })}
+            onClick={() => setSelectedId(environment.id)}
+          >
+            {environment.name || '--'}
+          </div>
+        ))}
+        <Button
+          color="primary"
+          className={classes.addButton}
+          onClick={addEnvironment}
+          data-cy="add-environment-btn"
+          data-testid="add-environment-btn"
+        >
+          Add environment
+        </Button>
+      </div>
+
+      {selected ? (
+        <div>
+          <div className="form-group">
+            <label>Name</label>
+            <Button className={classes.deleteButton} onClick={deleteSelected}>
+              Delete environment
+            </Button>
+            <input
+              type="text"
+              className="form-control"
+              value={selected.name}
+              onChange={(e) => updateSelected({ name: e.target.value })}
+              data-cy="environment-name"
+              data-testid="environment-name"
+            />
+          </div>
+          <div className={classes.helperText}>
+            {'Reference a variable as {{name}} in the path, headers or body of a request.'}
+          </div>
+          <KeyValuePairs
+            keyValues={selected.variables}
+            onKeyValueChange={(variables) => updateSelected({ variables })}
+            keyPlaceholder="Variable"
+            valuePlaceholder="Value"
+          />
+        </div>
+      ) : (
+        <div className={classes.helperText}>
+          Add an environment to define variables, such as namespace or app, for your requests.
+        </div>
+      )}
+    </div>
+  );
+
+  return (
+    <ConfirmationModal
+      isOpen={isOpen}
+      headerTitle={'Environments'}
+      confirmationElem={content}
+      confirmButtonText={'Save'}
+      confirmFn={() => onSave(draft)}
+      cancelFn={onClose}
+      disableAction={!isValid}
+    />
+  );
+};
+
+const EnvironmentsModal = withStyles(styles)(EnvironmentsModalView);
+export default EnvironmentsModal;
@@ -0,0 +1,145 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import * as React from 'react';
+
+import {
+  ACTIVE_ENVIRONMENT,
+  IEnvironment,
+  REQUEST_ENVIRONMENTS,
+  getFromStorage,
+} from 'components/HttpExecutor/collections';
+import withStyles, { StyleRules, WithStyles } from '@material-ui/core/styles/withStyles';
+
+import Button from '@material-ui/core/Button';
+import EnvironmentsModal from 'components/HttpExecutor/EnvironmentSelector/EnvironmentsModal';
+import HttpExecutorActions from 'components/HttpExecutor/store/HttpExecutorActions';
+import { connect } from 'react-redux';
+
+const NO_ENVIRONMENT = '';
+
+const styles = (theme): StyleRules => {
+  return {
+    root: {
+      display: 'flex',
+      alignItems: 'center',
+    },
+    select: {
+      width: '180px',
+    },
+    manageButton: {
+      textTransform: 'none',
+      marginLeft: theme.spacing(1),
+    },
+  };
+};
+
+const mapStateToProps = (state) => {
+  return {
+    environments: state.http.environments,
+    activeEnvironmentId: state.http.activeEnvironmentId,
+  };
+};
+
+const mapDispatch = (dispatch) => {
+  return {
+    setEnvironments: (environments: IEnvironment[]) => {
+      dispatch({
+        type: HttpExecutorActions.setEnvironments,
+        payload: {
+          environments,
+        },
+      });
+    },
+    setActiveEnvironment: (activeEnvironmentId: string) => {
+      dispatch({
+        type: HttpExecutorActions.setActiveEnvironment,
+        payload: {
+          activeEnvironmentId,
+        },
+      });
+    },
+  };
+};
+
+interface IEnvironmentSelectorProps extends WithStyles<typeof styles> {
+  environments: IEnvironment[];
+  activeEnvironmentId: string;
+  setEnvironments: (environments: IEnvironment[]) => void;
+  setActiveEnvironment: (activeEnvironmentId: string) => void;
+}
+
+const EnvironmentSelectorView: React.FC<IEnvironmentSelectorProps> = ({
+  classes,
+  environments,
+  activeEnvironmentId,
+  setEnvironments,
+  setActiveEnvironment,
+}) => {
+  const [modalOpen, setModalOpen] = React.useState(false);
+
+  React.useEffect(() => {
+    const storedEnvironments = getFromStorage<IEnvironment[]>(REQUEST_ENVIRONMENTS, []);
+    const storedActiveId = localStorage.getItem(ACTIVE_ENVIRONMENT);
+
+    setEnvironments(storedEnvironments);
+    if (storedEnvironments.find((environment) => environment.id === storedActiveId)) {
+      setActiveEnvironment(storedActiveId);
+    }
+  }, []);
+
+  return (
+    <div className={classes.root}>
+      <select
+        className={`form-control ${classes.select}`}
+        value={activeEnvironmentId || NO_ENVIRONMENT}
+        onChange={(e) => setActiveEnvironment(e.target.value || null)}
+        data-cy="environment-select"
+        data-testid="environment-select"
+      >
+        <option value={NO_ENVIRONMENT}>No environment</option>
+        {environments.map((environment) => (
+          <option key={environment.id} value={environment.id}>
+            {environment.name}
+          </option>
+        ))}
+      </select>
+      <Button
+        color="primary"
+        className={classes.manageButton}
+        onClick={() => setModalOpen(true)}
+        data-cy="manage-environments-btn"
+        data-testid="manage-environments-btn"
+      >
+        Environments
+      </Button>
+      <EnvironmentsModal
+        isOpen={modalOpen}
+        environments={environments}
+        onSave={(newEnvironments) => {
+          setEnvironments(newEnvironments);
+          setModalOpen(false);
+        }}
+        onClose={() => setModalOpen(false)}
+      />
+    </div>
+  );
+};
+
+const EnvironmentSelector = withStyles(styles)(
+  connect(mapStateToProps, mapDispatch)(EnvironmentSelectorView)
+);
+export default EnvironmentSelector;
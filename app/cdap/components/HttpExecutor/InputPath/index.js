@@ -15,6 +15,7 @@
  */
 
 import HttpExecutorActions from 'components/HttpExecutor/store/HttpExecutorActions';
+import { getUnresolvedVariables, getVariables } from 'components/HttpExecutor/collections';
 import T from 'i18n-react';
 import PropTypes from 'prop-types';
 import React from 'react';
@@ -23,8 +24,14 @@ import { connect } from 'react-redux';
 const PREFIX = 'features.HttpExecutor';
 
 const mapStateToProps = (state) => {
+  const { path, body, headers, environments, activeEnvironmentId } = state.http;
+  const environment = environments.find((env) => env.id === activeEnvironmentId);
+  const texts = [path, body];
+  (headers.pairs || []).forEach((pair) => texts.push(pair.key, pair.value));
+
   return {
-    value: state.http.path,
+    value: path,
+    unresolvedVariables: getUnresolvedVariables(texts, getVariables(environment)),
   };
 };
 
@@ -41,7 +48,7 @@ const mapDispatch = (dispatch) => {
   };
 };
 
-function InputPathView({ value, onChange }) {
+function InputPathView({ value, onChange, unresolvedVariables }) {
   return (
     <div className="input-path-container">
       <div className="input-group">
@@ -60,6 +67,13 @@ function InputPathView({ value, onChange }) {
           data-testid="request-path-input"
         />
       </div>
+      {unresolvedVariables.length > 0 ? (
+        <small className="text-warning" data-cy="unresolved-variables">
+          {T.translate(`${PREFIX}.unresolvedVariables`, {
+            variables: unresolvedVariables.join(', '),
+          })}
+        </small>
+      ) : null}
     </div>
   );
 }
@@ -67,8 +81,9 @@ function InputPathView({ value, onChange }) {
 InputPathView.propTypes = {
   value: PropTypes.string,
   onChange: PropTypes.func,
+  unresolvedVariables: PropTypes.arrayOf(PropTypes.string),
 };
 
 const InputPath = connect(mapStateToProps, mapDispatch)(InputPathView);
 
-export default InputPath;
\ No newline at end of file
+export default InputPath;
@@ -118,7 +118,7 @@ const styles = (theme): StyleRules => {
   };
 };
 
-const StyledExpansionPanel = withStyles((theme) => ({
+export const StyledExpansionPanel = withStyles((theme) => ({
   root: {
     '&$expanded': {
       margin: 0,
@@ -129,7 +129,7 @@ const StyledExpansionPanel = withStyles((theme) => ({
   expanded: {},
 }))(ExpansionPanel);
 
-const StyledExpansionPanelSummary = withStyles({
+export const StyledExpansionPanelSummary = withStyles({
   expandIcon: {
     order: -1,
     paddingRight: '10px',
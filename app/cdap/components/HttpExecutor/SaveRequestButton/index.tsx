@@ -0,0 +1,188 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import * as React from 'react';
+
+import { ICollection, IKeyValuePairs } from 'components/HttpExecutor/collections';
+
+import ConfirmationModal from 'components/shared/ConfirmationModal';
+import HttpExecutorActions from 'components/HttpExecutor/store/HttpExecutorActions';
+import { RequestMethod } from 'components/HttpExecutor';
+import { connect } from 'react-redux';
+import uuidV4 from 'uuid/v4';
+
+const NEW_COLLECTION = '__new_collection__';
+
+const mapStateToProps = (state) => {
+  return {
+    collections: state.http.collections,
+    method: state.http.method,
+    path: state.http.path,
+    body: state.http.body,
+    headers: state.http.headers,
+  };
+};
+
+const mapDispatch = (dispatch) => {
+  return {
+    setCollections: (collections: ICollection[]) => {
+      dispatch({
+        type: HttpExecutorActions.setCollections,
+        payload: {
+          collections,
+        },
+      });
+    },
+  };
+};
+
+interface ISaveRequestButtonProps {
+  collections: ICollection[];
+  method: RequestMethod;
+  path: string;
+  body: string;
+  headers: IKeyValuePairs;
+  setCollections: (collections: ICollection[]) => void;
+}
+
+const SaveRequestButtonView: React.FC<ISaveRequestButtonProps> = ({
+  collections,
+  method,
+  path,
+  body,
+  headers,
+  setCollections,
+}) => {
+  const [isOpen, setIsOpen] = React.useState(false);
+  const [name, setName] = React.useState('');
+  const [collectionId, setCollectionId] = React.useState(NEW_COLLECTION);
+  const [collectionName, setCollectionName] = React.useState('');
+
+  const openDialog = () => {
+    setName(path);
+    setCollectionId(collections.length > 0 ? collections[0].id : NEW_COLLECTION);
+    setCollectionName('');
+    setIsOpen(true);
+  };
+
+  const isNewCollection = collectionId === NEW_COLLECTION;
+  const isValid = name.trim().length > 0 && (!isNewCollection || collectionName.trim().length > 0);
+
+  const save = () => {
+    if (!isValid) {
+      return;
+    }
+
+    const request = {
+      id: uuidV4(),
+      name: name.trim(),
+      method,
+      path,
+      body,
+      headers,
+    };
+
+    if (isNewCollection) {
+      setCollections([
+        ...collections,
+        { id: uuidV4(), name: collectionName.trim(), requests: [request] },
+      ]);
+    } else {
+      setCollections(
+        collections.map((collection) => {
+          if (collection.id !== collectionId) {
+            return collection;
+          }
+
+          return {
+            ...collection,
+            requests: [...collection.requests, request],
+          };
+        })
+      );
+    }
+
+    setIsOpen(false);
+  };
+
+  const form = (
+    <div>
+      <div className="form-group">
+        <label>Request name</label>
+        <input
+          type="text"
+          className="form-control"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          data-cy="saved-request-name"
+          data-testid="saved-request-name"
+        />
+      </div>
+      <div className="form-group">
+        <label>Collection</label>
+        <select
+          className="form-control"
+          value={collectionId}
+          onChange={(e) => setCollectionId(e.target.value)}
+        >
+          {collections.map((collection) => (
+            <option key={collection.id} value={collection.id}>
+              {collection.name}
+            </option>
+          ))}
+          <option value={NEW_COLLECTION}>New collection</option>
+        </select>
+      </div>
+      {isNewCollection && (
+        <div className="form-group">
+          <label>Collection name</label>
+          <input
+            type="text"
+            className="form-control"
+            value={collectionName}
+            onChange={(e) => setCollectionName(e.target.value)}
+          />
+        </div>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="save-request-button-container">
+      <button
+        className="btn btn-secondary"
+        onClick={openDialog}
+        disabled={path.length === 0}
+        data-cy="save-request-btn"
+        data-testid="save-request-btn"
+      >
+        Save
+      </button>
+      <ConfirmationModal
+        isOpen={isOpen}
+        headerTitle={'Save request to a collection'}
+        confirmationElem={form}
+        confirmButtonText={'Save'}
+        confirmFn={save}
+        cancelFn={() => setIsOpen(false)}
+        disableAction={!isValid}
+      />
+    </div>
+  );
+};
+
+const SaveRequestButton = connect(mapStateToProps, mapDispatch)(SaveRequestButtonView);
+export default SaveRequestButton;
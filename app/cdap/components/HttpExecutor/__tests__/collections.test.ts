@@ -0,0 +1,131 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import {
+  getCollectionExport,
+  getUnresolvedVariables,
+  getVariables,
+  parseCollection,
+  resolveRequest,
+  substituteVariables,
+} from 'components/HttpExecutor/collections';
+import { RequestMethod } from 'components/HttpExecutor';
+
+describe('HttpExecutor collections', () => {
+  const environment = {
+    id: 'env-1',
+    name: 'Dev',
+    variables: {
+      pairs: [
+        { key: 'namespace', value: 'default', uniqueId: '1' },
+        { key: ' app ', value: 'orders', uniqueId: '2' },
+        { key: '', value: 'ignored', uniqueId: '3' },
+      ],
+    },
+  };
+  const variables = getVariables(environment);
+
+  it('should read the variables of an environment', () => {
+    expect(variables).toEqual({ namespace: 'default', app: 'orders' });
+    expect(getVariables(null)).toEqual({});
+  });
+
+  it('should substitute variables and leave unknown ones', () => {
+    expect(substituteVariables('namespaces/{{namespace}}/apps/{{ app }}', variables)).toBe(
+      'namespaces/default/apps/orders'
+    );
+    expect(substituteVariables('namespaces/{{namespace}}/apps/{{version}}', variables)).toBe(
+      'namespaces/default/apps/{{version}}'
+    );
+    expect(substituteVariables('', variables)).toBe('');
+  });
+
+  it('should list unresolved variables once', () => {
+    expect(
+      getUnresolvedVariables(['{{version}}/{{namespace}}', '{{version}} {{run}}', null], variables)
+    ).toEqual(['version', 'run']);
+  });
+
+  it('should resolve the path, headers and body of a request', () => {
+    const resolved = resolveRequest(
+      {
+        path: 'namespaces/{{namespace}}/apps',
+        body: '{"app": "{{app}}"}',
+        headers: { pairs: [{ key: 'X-App', value: '{{app}}', uniqueId: '1' }] },
+      },
+      variables
+    );
+
+    expect(resolved).toEqual({
+      path: 'namespaces/default/apps',
+      body: '{"app": "orders"}',
+      headers: { pairs: [{ key: 'X-App', value: 'orders', uniqueId: '1' }] },
+    });
+  });
+
+  it('should export and import a collection', () => {
+    const collection = {
+      id: 'collection-1',
+      name: 'Apps',
+      requests: [
+        {
+          id: 'request-1',
+          name: 'List apps',
+          method: RequestMethod.GET,
+          path: 'namespaces/{{namespace}}/apps',
+          body: '',
+          headers: {
+            pairs: [
+              { key: 'Accept', value: 'application/json', uniqueId: '1' },
+              { key: '', value: '', uniqueId: '2' },
+            ],
+          },
+        },
+      ],
+    };
+
+    const exported = getCollectionExport(collection);
+    expect(exported).toEqual({
+      name: 'Apps',
+      requests: [
+        {
+          name: 'List apps',
+          method: 'GET',
+          path: 'namespaces/{{namespace}}/apps',
+          body: '',
+          headers: [{ key: 'Accept', value: 'application/json' }],
+        },
+      ],
+    });
+
+    const imported = parseCollection(JSON.stringify(exported));
+    expect(imported.id).not.toBe(collection.id);
+    expect(imported.name).toBe('Apps');
+    expect(imported.requests[0].path).toBe('namespaces/{{namespace}}/apps');
+    expect(imported.requests[0].headers.pairs.map(({ key, value }) => ({ key, value }))).toEqual([
+      { key: 'Accept', value: 'application/json' },
+    ]);
+  });
+
+  it('should reject invalid collections', () => {
+    expect(() => parseCollection('{')).toThrow('not valid JSON');
+    expect(() => parseCollection('{"requests": []}')).toThrow('should have a name');
+    expect(() => parseCollection('{"name": "Apps"}')).toThrow('list of requests');
+    expect(() =>
+      parseCollection('{"name": "Apps", "requests": [{"method": "PATCH", "path": "apps"}]}')
+    ).toThrow('Request 1 has an invalid method: PATCH');
+  });
+});
@@ -0,0 +1,228 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import { RequestMethod } from 'components/HttpExecutor';
+import uuidV4 from 'uuid/v4';
+
+export const REQUEST_COLLECTIONS = 'RequestCollections';
+export const REQUEST_ENVIRONMENTS = 'RequestEnvironments';
+export const ACTIVE_ENVIRONMENT = 'RequestActiveEnvironment';
+
+export interface IKeyValuePair {
+  key: string;
+  value: string;
+  uniqueId: string;
+}
+
+export interface IKeyValuePairs {
+  pairs: IKeyValuePair[];
+}
+
+export interface ISavedRequest {
+  id: string;
+  name: string;
+  method: RequestMethod;
+  path: string;
+  body: string;
+  headers: IKeyValuePairs;
+}
+
+export interface ICollection {
+  id: string;
+  name: string;
+  requests: ISavedRequest[];
+}
+
+export interface IEnvironment {
+  id: string;
+  name: string;
+  variables: IKeyValuePairs;
+}
+
+// Variables are referenced as {{name}}, e.g. namespaces/{{namespace}}/apps/{{app}}
+const VARIABLE_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+export function getEmptyPairs(): IKeyValuePairs {
+  return {
+    pairs: [{ key: '', value: '', uniqueId: uuidV4() }],
+  };
+}
+
+export function getVariables(environment: IEnvironment): Record<string, string> {
+  const variables = {};
+
+  if (!environment || !environment.variables) {
+    return variables;
+  }
+
+  environment.variables.pairs.forEach(({ key, value }) => {
+    if (key.trim().length > 0) {
+      variables[key.trim()] = value;
+    }
+  });
+
+  return variables;
+}
+
+/**
+ * Replaces the {{name}} references in the text with the value of the variable. References to
+ * variables that are not defined are left as they are, so they are easy to spot in the request.
+ */
+export function substituteVariables(text: string, variables: Record<string, string>) {
+  if (!text) {
+    return text;
+  }
+
+  return text.replace(VARIABLE_PATTERN, (match, name) => {
+    return Object.prototype.hasOwnProperty.call(variables, name) ? variables[name] : match;
+  });
+}
+
+export function getUnresolvedVariables(texts: string[], variables: Record<string, string>) {
+  const unresolved = new Set<string>();
+
+  texts
+    .filter((text) => !!text)
+    .forEach((text) => {
+      let match = VARIABLE_PATTERN.exec(text);
+      while (match) {
+        if (!Object.prototype.hasOwnProperty.call(variables, match[1])) {
+          unresolved.add(match[1]);
+        }
+        match = VARIABLE_PATTERN.exec(text);
+      }
+    });
+
+  return Array.from(unresolved);
+}
+
+export function resolveRequest(
+  request: { path: string; body: string; headers: IKeyValuePairs },
+  variables: Record<string, string>
+) {
+  const pairs = (request.headers && request.headers.pairs) || [];
+
+  return {
+    path: substituteVariables(request.path, variables),
+    body: substituteVariables(request.body, variables),
+    headers: {
+      pairs: pairs.map((pair) => {
+        return {
+          ...pair,
+          key: substituteVariables(pair.key, variables),
+          value: substituteVariables(pair.value, variables),
+        };
+      }),
+    },
+  };
+}
+
+/**
+ * Returns the collection in the format it is shared in. Ids are left out, since they are
+ * regenerated when the collection is imported.
+ */
+export function getCollectionExport(collection: ICollection) {
+  return {
+    name: collection.name,
+    requests: collection.requests.map((request) => {
+      return {
+        name: request.name,
+        method: request.method,
+        path: request.path,
+        body: request.body,
+        headers: request.headers.pairs
+          .filter((pair) => pair.key.length > 0)
+          .map(({ key, value }) => ({ key, value })),
+      };
+    }),
+  };
+}
+
+function isString(value) {
+  return typeof value === 'string';
+}
+
+/**
+ * Parses an exported collection. Throws an error describing the first problem found, so the
+ * user knows what to fix in the file.
+ */
+export function parseCollection(json: string): ICollection {
+  let collection;
+  try {
+    collection = JSON.parse(json);
+  } catch (e) {
+    throw new Error('The file is not valid JSON');
+  }
+
+  if (!collection || !isString(collection.name) || collection.name.trim().length === 0) {
+    throw new Error('The collection should have a name');
+  }
+
+  if (!Array.isArray(collection.requests)) {
+    throw new Error('The collection should have a list of requests');
+  }
+
+  const methods = Object.values(RequestMethod) as string[];
+
+  const requests = collection.requests.map((request, i) => {
+    if (!request || !isString(request.path)) {
+      throw new Error(`Request ${i + 1} should have a path`);
+    }
+
+    if (methods.indexOf(request.method) === -1) {
+      throw new Error(`Request ${i + 1} has an invalid method: ${request.method}`);
+    }
+
+    const headers = Array.isArray(request.headers) ? request.headers : [];
+    const pairs = headers
+      .filter((header) => header && isString(header.key))
+      .map((header) => {
+        return {
+          key: header.key,
+          value: isString(header.value) ? header.value : '',
+          uniqueId: uuidV4(),
+        };
+      });
+
+    return {
+      id: uuidV4(),
+      name: isString(request.name) && request.name.length > 0 ? request.name : request.path,
+      method: request.method,
+      path: request.path,
+      body: isString(request.body) ? request.body : '',
+      headers: pairs.length > 0 ? { pairs } : getEmptyPairs(),
+    };
+  });
+
+  return {
+    id: uuidV4(),
+    name: collection.name,
+    requests,
+  };
+}
+
+export function getFromStorage<T>(key: string, defaultValue: T): T {
+  const stored = localStorage.getItem(key);
+  if (!stored) {
+    return defaultValue;
+  }
+
+  try {
+    return JSON.parse(stored);
+  } catch (e) {
+    return defaultValue;
+  }
+}
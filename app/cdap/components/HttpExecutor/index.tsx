@@ -16,6 +16,8 @@
 
 import { WithStyles, withStyles } from '@material-ui/core';
 
+import CollectionsTab from 'components/HttpExecutor/CollectionsTab';
+import EnvironmentSelector from 'components/HttpExecutor/EnvironmentSelector';
 import HttpExecutorStore from 'components/HttpExecutor/store/HttpExecutorStore';
 import HttpResponse from 'components/HttpExecutor/HttpResponse';
 import InputPath from 'components/HttpExecutor/InputPath';
@@ -25,9 +27,12 @@ import React from 'react';
 import RequestHistoryTab from 'components/HttpExecutor/RequestHistoryTab';
 import RequestMetadata from 'components/HttpExecutor/RequestMetadata';
 import SaveCalls from 'components/HttpExecutor/SaveCalls';
+import SaveRequestButton from 'components/HttpExecutor/SaveRequestButton';
 import SendButton from 'components/HttpExecutor/SendButton';
 import StatusCode from 'components/HttpExecutor/StatusCode';
 import { StyleRules } from '@material-ui/core/styles';
+import Tab from '@material-ui/core/Tab';
+import Tabs from '@material-ui/core/Tabs';
 import T from 'i18n-react';
 
 const PREFIX = 'features.HttpExecutor';
@@ -58,6 +63,16 @@ const styles = (theme): StyleRules => {
         overflowY: 'auto',
       },
     },
+    sidePanel: {
+      height: '100%',
+    },
+    sidePanelTabs: {
+      borderBottom: `1px solid ${theme.palette.grey[300]}`,
+    },
+    sidePanelTab: {
+      textTransform: 'none',
+      minWidth: '50%',
+    },
     introPageRow: {
       display: 'grid',
       width: '100%',
@@ -73,6 +88,13 @@ const styles = (theme): StyleRules => {
       alignItems: 'center',
       justifyContent: 'center',
     },
+    environmentSelector: {
+      gridColumnStart: '5',
+      gridColumnEnd: '7',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'flex-end',
+    },
     saveCalls: {
       gridColumnStart: '7',
       display: 'flex',
@@ -82,14 +104,39 @@ const styles = (theme): StyleRules => {
   };
 };
 
+enum SidePanelTab {
+  HISTORY,
+  COLLECTIONS,
+}
+
 const HttpExecutorView: React.FC<WithStyles<typeof styles>> = ({ classes }) => {
+  const [sidePanelTab, setSidePanelTab] = React.useState(SidePanelTab.HISTORY);
+
   return (
     <Provider store={HttpExecutorStore}>
       <div className={classes.content}>
-        <RequestHistoryTab />
+        <div className={classes.sidePanel}>
+          <Tabs
+            value={sidePanelTab}
+            onChange={(e, value) => setSidePanelTab(value)}
+            indicatorColor="primary"
+            className={classes.sidePanelTabs}
+          >
+            <Tab label="History" className={classes.sidePanelTab} data-cy="history-tab-btn" />
+            <Tab
+              label="Collections"
+              className={classes.sidePanelTab}
+              data-cy="collections-tab-btn"
+            />
+          </Tabs>
+          {sidePanelTab === SidePanelTab.HISTORY ? <RequestHistoryTab /> : <CollectionsTab />}
+        </div>
         <div className="http-executor">
           <div className={classes.introPageRow}>
             <div className={classes.pageTitle}>Http calls executor</div>
+            <div className={classes.environmentSelector}>
+              <EnvironmentSelector />
+            </div>
             <div className={classes.saveCalls}>
               <SaveCalls />
             </div>
@@ -99,6 +146,7 @@ const HttpExecutorView: React.FC<WithStyles<typeof styles>> = ({ classes }) => {
             <MethodSelector />
             <InputPath />
 
+            <SaveRequestButton />
             <SendButton />
           </div>
           <RequestMetadata />
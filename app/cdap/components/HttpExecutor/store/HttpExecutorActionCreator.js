@@ -17,11 +17,16 @@
 import HttpExecutorActions from 'components/HttpExecutor/store/HttpExecutorActions';
 import HttpExecutorStore from 'components/HttpExecutor/store/HttpExecutorStore';
 import { MyBlankPathApi } from 'api/blankpath';
+import { getVariables, resolveRequest } from 'components/HttpExecutor/collections';
 
 export function execute() {
   let state = HttpExecutorStore.getState().http;
 
-  let { method, path, body, headers } = state;
+  let { method, environments, activeEnvironmentId } = state;
+
+  // Substitute the variables of the active environment; the history keeps the request as typed
+  const environment = environments.find((env) => env.id === activeEnvironmentId);
+  let { path, body, headers } = resolveRequest(state, getVariables(environment));
 
   let api;
 
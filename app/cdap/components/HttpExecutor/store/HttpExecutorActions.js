@@ -28,6 +28,10 @@ const HttpExecutorActions = {
   toggleSaveCalls: 'HTTP_TOGGLE_SAVE_CALLS',
   deleteRequestLog: 'HTTP_DELETE_REQUEST_LOG',
   clearAllRequestLog: 'HTTP_CLEAR_ALL_REQUEST_LOG',
+  loadSavedRequest: 'HTTP_LOAD_SAVED_REQUEST',
+  setCollections: 'HTTP_SET_COLLECTIONS',
+  setEnvironments: 'HTTP_SET_ENVIRONMENTS',
+  setActiveEnvironment: 'HTTP_SET_ACTIVE_ENVIRONMENT',
 };
 
 export default HttpExecutorActions;
@@ -24,6 +24,11 @@ import {
 import HttpExecutorActions from 'components/HttpExecutor/store/HttpExecutorActions';
 import { Map } from 'immutable';
 import { REQUEST_HISTORY } from 'components/HttpExecutor/RequestHistoryTab';
+import {
+  ACTIVE_ENVIRONMENT,
+  REQUEST_COLLECTIONS,
+  REQUEST_ENVIRONMENTS,
+} from 'components/HttpExecutor/collections';
 import uuidV4 from 'uuid/v4';
 
 // Limit number of log entries to be <= REQUEST_LOG_LIMIT.
@@ -54,6 +59,9 @@ const defaultInitialState = {
   requestLog: Map({}),
   saveCalls: true,
   selectedRequest: null,
+  collections: [],
+  environments: [],
+  activeEnvironmentId: null,
 };
 
 const setResponse = (state, action) => {
@@ -172,6 +180,23 @@ const clearAllRequestLog = (state) => {
   };
 };
 
+const setEnvironments = (state, environments) => {
+  localStorage.setItem(REQUEST_ENVIRONMENTS, JSON.stringify(environments));
+
+  // Unselect the active environment if it was deleted
+  let { activeEnvironmentId } = state;
+  if (!environments.find((environment) => environment.id === activeEnvironmentId)) {
+    activeEnvironmentId = null;
+    localStorage.removeItem(ACTIVE_ENVIRONMENT);
+  }
+
+  return {
+    ...state,
+    environments,
+    activeEnvironmentId,
+  };
+};
+
 const http = (state = defaultInitialState, action = defaultAction) => {
   switch (action.type) {
     case HttpExecutorActions.setMethod:
@@ -235,6 +260,36 @@ const http = (state = defaultInitialState, action = defaultAction) => {
       return deleteRequestLog(state, action.payload.request);
     case HttpExecutorActions.clearAllRequestLog:
       return clearAllRequestLog(state);
+    case HttpExecutorActions.loadSavedRequest:
+      return {
+        ...state,
+        method: action.payload.method,
+        activeTab: ['GET', 'DELETE'].indexOf(action.payload.method) !== -1 ? 0 : 1,
+        path: action.payload.path,
+        body: action.payload.body,
+        headers: action.payload.headers,
+        response: null,
+        statusCode: 0,
+        selectedRequest: null,
+      };
+    case HttpExecutorActions.setCollections:
+      localStorage.setItem(REQUEST_COLLECTIONS, JSON.stringify(action.payload.collections));
+      return {
+        ...state,
+        collections: action.payload.collections,
+      };
+    case HttpExecutorActions.setEnvironments:
+      return setEnvironments(state, action.payload.environments);
+    case HttpExecutorActions.setActiveEnvironment:
+      if (action.payload.activeEnvironmentId) {
+        localStorage.setItem(ACTIVE_ENVIRONMENT, action.payload.activeEnvironmentId);
+      } else {
+        localStorage.removeItem(ACTIVE_ENVIRONMENT);
+      }
+      return {
+        ...state,
+        activeEnvironmentId: action.payload.activeEnvironmentId,
+      };
     default:
       return state;
   }
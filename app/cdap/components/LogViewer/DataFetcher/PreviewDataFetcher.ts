@@ -15,9 +15,16 @@
  */
 
 import DataFetcher from 'components/LogViewer/DataFetcher';
-import { ILogResponse, LogLevel } from 'components/LogViewer/types';
+import { ILogResponse, ILogSearch, IncompleteSearch, LogLevel } from 'components/LogViewer/types';
 import { MyPreviewApi } from 'api/preview';
 import { Observable } from 'rxjs/Observable';
+import { EMPTY_LOG_SEARCH, searchLogPages } from 'components/LogViewer/DataFetcher/logSearch';
+import {
+  collectLogPages,
+  ERROR_LOGS_PAGE_SIZE,
+  MAX_ERROR_LOG_PAGES,
+} from 'components/LogViewer/DataFetcher/collectLogPages';
+import 'rxjs/add/operator/mergeMap';
 
 interface IPreview {
   namespace: string;
@@ -36,14 +43,16 @@ class PreviewDataFetcher implements DataFetcher {
   private includeSystemLogs = false;
 
   private logLevel = LogLevel.INFO;
+  private search: ILogSearch = EMPTY_LOG_SEARCH;
+  private incompleteSearch: IncompleteSearch = null;
 
   constructor(previewObj: IPreview) {
     this.namespace = previewObj.namespace;
     this.previewId = previewObj.previewId;
   }
 
-  private getFilter = (): string => {
-    let filter = `loglevel=${this.logLevel}`;
+  private getFilter = (logLevel: LogLevel = this.logLevel): string => {
+    let filter = `loglevel=${logLevel}`;
 
     if (!this.includeSystemLogs) {
       filter = `${filter} ${PREVIEW_LOGS_FILTER}`;
@@ -66,7 +75,7 @@ class PreviewDataFetcher implements DataFetcher {
     return this.getLast();
   };
 
-  public getNext = (): Observable<ILogResponse[]> => {
+  private fetchNextPage = (): Observable<ILogResponse[]> => {
     const params = this.getBaseParams();
 
     if (this.lastLog) {
@@ -82,7 +91,7 @@ class PreviewDataFetcher implements DataFetcher {
     });
   };
 
-  public getPrev = (): Observable<ILogResponse[]> => {
+  private fetchPrevPage = (): Observable<ILogResponse[]> => {
     const params = this.getBaseParams();
 
     if (this.firstLog) {
@@ -98,10 +107,36 @@ class PreviewDataFetcher implements DataFetcher {
     });
   };
 
+  private searchPages = (
+    direction: 'next' | 'prev',
+    firstPage?: Observable<ILogResponse[]>
+  ): Observable<ILogResponse[]> => {
+    if (firstPage) {
+      // a new search from the first or last log
+      this.incompleteSearch = null;
+    }
+    const fetchPage = direction === 'next' ? this.fetchNextPage : this.fetchPrevPage;
+    return searchLogPages(this.search, fetchPage, firstPage, (isComplete) => {
+      if (!isComplete) {
+        this.incompleteSearch = direction;
+      } else if (this.incompleteSearch === direction) {
+        this.incompleteSearch = null;
+      }
+    });
+  };
+
+  public getNext = (): Observable<ILogResponse[]> => {
+    return this.searchPages('next');
+  };
+
+  public getPrev = (): Observable<ILogResponse[]> => {
+    return this.searchPages('prev');
+  };
+
   public getFirst = (): Observable<ILogResponse[]> => {
     const params = this.getBaseParams();
 
-    return MyPreviewApi.nextLogs(params).map((res = []) => {
+    const firstPage = MyPreviewApi.nextLogs(params).map((res = []) => {
       if (res.length > 0) {
         this.firstLog = res[0];
         this.lastLog = res[res.length - 1];
@@ -109,12 +144,14 @@ class PreviewDataFetcher implements DataFetcher {
 
       return res;
     });
+
+    return this.searchPages('next', firstPage);
   };
 
   public getLast = (): Observable<ILogResponse[]> => {
     const params = this.getBaseParams();
 
-    return MyPreviewApi.prevLogs(params).map((res = []) => {
+    const lastPage = MyPreviewApi.prevLogs(params).map((res = []) => {
       if (res.length > 0) {
         this.firstLog = res[0];
         this.lastLog = res[res.length - 1];
@@ -122,6 +159,53 @@ class PreviewDataFetcher implements DataFetcher {
 
       return res;
     });
+
+    return this.searchPages('prev', lastPage);
+  };
+
+  public getLogsAfter = (log: ILogResponse): Observable<ILogResponse[]> => {
+    const params = this.getBaseParams();
+
+    if (log) {
+      params.fromOffset = log.offset;
+    }
+
+    return MyPreviewApi.nextLogs(params).map((res = []) => res);
+  };
+
+  public getLogsAround = (log: ILogResponse): Observable<ILogResponse[]> => {
+    const prevParams = { ...this.getBaseParams(), fromOffset: log.offset };
+
+    return MyPreviewApi.prevLogs(prevParams).mergeMap((before = []) => {
+      const nextParams = this.getBaseParams();
+      if (before.length > 0) {
+        nextParams.fromOffset = before[before.length - 1].offset;
+      }
+
+      return MyPreviewApi.nextLogs(nextParams).map((after = []) => {
+        const res = before.concat(after);
+        if (res.length > 0) {
+          this.firstLog = res[0];
+          this.lastLog = res[res.length - 1];
+        }
+
+        return res;
+      });
+    });
+  };
+
+  public getErrorLogs = (): Observable<ILogResponse[]> => {
+    const params = {
+      ...this.getBaseParams(),
+      max: ERROR_LOGS_PAGE_SIZE,
+      filter: this.getFilter(LogLevel.WARN),
+    };
+
+    const fetchPage = (fromLog?: ILogResponse) => {
+      return MyPreviewApi.nextLogs(fromLog ? { ...params, fromOffset: fromLog.offset } : params);
+    };
+
+    return collectLogPages(fetchPage, MAX_ERROR_LOG_PAGES);
   };
 
   public onLogsTrim = (firstLog: ILogResponse, lastLog: ILogResponse) => {
@@ -149,13 +233,34 @@ class PreviewDataFetcher implements DataFetcher {
     return this.logLevel;
   };
 
-  public getDownloadFileName = (): string => {
+  public setSearch = (search: ILogSearch): Observable<ILogResponse[]> => {
+    this.search = search;
+
+    return this.init();
+  };
+
+  public getSearch = (): ILogSearch => {
+    return this.search;
+  };
+
+  public getIncompleteSearch = (): IncompleteSearch => {
+    return this.incompleteSearch;
+  };
+
+  public continueSearch = (): Observable<ILogResponse[]> => {
+    return this.searchPages(this.incompleteSearch === 'prev' ? 'prev' : 'next');
+  };
+
+  public getDownloadFileName = (filtered = false): string => {
     const nameComponents = [this.namespace, this.previewId];
+    if (filtered) {
+      nameComponents.push('filtered');
+    }
 
     return nameComponents.join('-');
   };
 
-  public getRawLogsUrl = (): string => {
+  public getRawLogsUrl = (applyFilters = false): string => {
     const urlComponents = [
       '/v3',
       'namespaces',
@@ -164,8 +269,9 @@ class PreviewDataFetcher implements DataFetcher {
       this.previewId,
       'logs?escape=false',
     ];
+    const logsPath = urlComponents.join('/');
 
-    return urlComponents.join('/');
+    return applyFilters ? `${logsPath}&filter=${encodeURIComponent(this.getFilter())}` : logsPath;
   };
 }
 
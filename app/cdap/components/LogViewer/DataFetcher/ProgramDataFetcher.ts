@@ -15,12 +15,28 @@
  */
 
 import DataFetcher from 'components/LogViewer/DataFetcher';
-import { IProgram, ILogResponse, LogLevel } from 'components/LogViewer/types';
+import {
+  IProgram,
+  ILogResponse,
+  ILogSearch,
+  IncompleteSearch,
+  LogLevel,
+} from 'components/LogViewer/types';
 import { MyProgramApi } from 'api/program';
 import { Observable } from 'rxjs/Observable';
+import { EMPTY_LOG_SEARCH, searchLogPages } from 'components/LogViewer/DataFetcher/logSearch';
+import {
+  collectLogPages,
+  ERROR_LOGS_PAGE_SIZE,
+  MAX_ERROR_LOG_PAGES,
+} from 'components/LogViewer/DataFetcher/collectLogPages';
+import { getProgramRunLogsPath, ILogsZipEntry } from 'components/LogViewer/downloadLogsUrl';
+import 'rxjs/add/operator/mergeMap';
 
 const PROGRAM_LOGS_FILTER = 'AND .origin=plugin OR .origin=program';
 const MAX_LOGS_PER_FETCH = 50;
+// pipelines add the name of the stage to the MDC of the logs written while running it
+const STAGE_LOGS_FILTER = 'MDC:pipeline.stage';
 
 class ProgramDataFetcher implements DataFetcher {
   private namespace;
@@ -28,6 +44,7 @@ class ProgramDataFetcher implements DataFetcher {
   private programType;
   private programName;
   private runId;
+  private stages: string[];
 
   private firstLog;
   private lastLog;
@@ -35,19 +52,25 @@ class ProgramDataFetcher implements DataFetcher {
   private includeSystemLogs = false;
 
   private logLevel = LogLevel.INFO;
+  private search: ILogSearch = EMPTY_LOG_SEARCH;
+  private incompleteSearch: IncompleteSearch = null;
 
-  constructor(programObj: IProgram, logsFilter?: string) {
+  /**
+   * @param stages names of the pipeline stages, to download the logs of each of them in a zip
+   */
+  constructor(programObj: IProgram, logsFilter?: string, stages: string[] = []) {
     this.namespace = programObj.namespace;
     this.application = programObj.application;
     this.programType = programObj.programType;
     this.programName = programObj.programName;
     this.runId = programObj.runId;
+    this.stages = stages;
 
     this.logFilter = logsFilter ? logsFilter : PROGRAM_LOGS_FILTER;
   }
 
-  private getFilter = (): string => {
-    let filter = `loglevel=${this.logLevel}`;
+  private getFilter = (logLevel: LogLevel = this.logLevel): string => {
+    let filter = `loglevel=${logLevel}`;
 
     if (!this.includeSystemLogs) {
       filter = `${filter} ${this.logFilter}`;
@@ -73,7 +96,7 @@ class ProgramDataFetcher implements DataFetcher {
     return this.getLast();
   };
 
-  public getNext = (): Observable<ILogResponse[]> => {
+  private fetchNextPage = (): Observable<ILogResponse[]> => {
     const params = this.getBaseParams();
 
     if (this.lastLog) {
@@ -89,7 +112,7 @@ class ProgramDataFetcher implements DataFetcher {
     });
   };
 
-  public getPrev = (): Observable<ILogResponse[]> => {
+  private fetchPrevPage = (): Observable<ILogResponse[]> => {
     const params = this.getBaseParams();
 
     if (this.firstLog) {
@@ -105,10 +128,36 @@ class ProgramDataFetcher implements DataFetcher {
     });
   };
 
+  private searchPages = (
+    direction: 'next' | 'prev',
+    firstPage?: Observable<ILogResponse[]>
+  ): Observable<ILogResponse[]> => {
+    if (firstPage) {
+      // a new search from the first or last log
+      this.incompleteSearch = null;
+    }
+    const fetchPage = direction === 'next' ? this.fetchNextPage : this.fetchPrevPage;
+    return searchLogPages(this.search, fetchPage, firstPage, (isComplete) => {
+      if (!isComplete) {
+        this.incompleteSearch = direction;
+      } else if (this.incompleteSearch === direction) {
+        this.incompleteSearch = null;
+      }
+    });
+  };
+
+  public getNext = (): Observable<ILogResponse[]> => {
+    return this.searchPages('next');
+  };
+
+  public getPrev = (): Observable<ILogResponse[]> => {
+    return this.searchPages('prev');
+  };
+
   public getFirst = (): Observable<ILogResponse[]> => {
     const params = this.getBaseParams();
 
-    return MyProgramApi.nextLogs(params).map((res = []) => {
+    const firstPage = MyProgramApi.nextLogs(params).map((res = []) => {
       if (res.length > 0) {
         this.firstLog = res[0];
         this.lastLog = res[res.length - 1];
@@ -116,12 +165,14 @@ class ProgramDataFetcher implements DataFetcher {
 
       return res;
     });
+
+    return this.searchPages('next', firstPage);
   };
 
   public getLast = (): Observable<ILogResponse[]> => {
     const params = this.getBaseParams();
 
-    return MyProgramApi.prevLogs(params).map((res = []) => {
+    const lastPage = MyProgramApi.prevLogs(params).map((res = []) => {
       if (res.length > 0) {
         this.firstLog = res[0];
         this.lastLog = res[res.length - 1];
@@ -129,6 +180,53 @@ class ProgramDataFetcher implements DataFetcher {
 
       return res;
     });
+
+    return this.searchPages('prev', lastPage);
+  };
+
+  public getLogsAfter = (log: ILogResponse): Observable<ILogResponse[]> => {
+    const params = this.getBaseParams();
+
+    if (log) {
+      params.fromOffset = log.offset;
+    }
+
+    return MyProgramApi.nextLogs(params).map((res = []) => res);
+  };
+
+  public getLogsAround = (log: ILogResponse): Observable<ILogResponse[]> => {
+    const prevParams = { ...this.getBaseParams(), fromOffset: log.offset };
+
+    return MyProgramApi.prevLogs(prevParams).mergeMap((before = []) => {
+      const nextParams = this.getBaseParams();
+      if (before.length > 0) {
+        nextParams.fromOffset = before[before.length - 1].offset;
+      }
+
+      return MyProgramApi.nextLogs(nextParams).map((after = []) => {
+        const res = before.concat(after);
+        if (res.length > 0) {
+          this.firstLog = res[0];
+          this.lastLog = res[res.length - 1];
+        }
+
+        return res;
+      });
+    });
+  };
+
+  public getErrorLogs = (): Observable<ILogResponse[]> => {
+    const params = {
+      ...this.getBaseParams(),
+      max: ERROR_LOGS_PAGE_SIZE,
+      filter: this.getFilter(LogLevel.WARN),
+    };
+
+    const fetchPage = (fromLog?: ILogResponse) => {
+      return MyProgramApi.nextLogs(fromLog ? { ...params, fromOffset: fromLog.offset } : params);
+    };
+
+    return collectLogPages(fetchPage, MAX_ERROR_LOG_PAGES);
   };
 
   public onLogsTrim = (firstLog: ILogResponse, lastLog: ILogResponse) => {
@@ -156,7 +254,25 @@ class ProgramDataFetcher implements DataFetcher {
     return this.logLevel;
   };
 
-  public getDownloadFileName = (): string => {
+  public setSearch = (search: ILogSearch): Observable<ILogResponse[]> => {
+    this.search = search;
+
+    return this.init();
+  };
+
+  public getSearch = (): ILogSearch => {
+    return this.search;
+  };
+
+  public getIncompleteSearch = (): IncompleteSearch => {
+    return this.incompleteSearch;
+  };
+
+  public continueSearch = (): Observable<ILogResponse[]> => {
+    return this.searchPages(this.incompleteSearch === 'prev' ? 'prev' : 'next');
+  };
+
+  public getDownloadFileName = (filtered = false): string => {
     const nameComponents = [
       this.namespace,
       this.application,
@@ -164,25 +280,39 @@ class ProgramDataFetcher implements DataFetcher {
       this.programName,
       this.runId,
     ];
+    if (filtered) {
+      nameComponents.push('filtered');
+    }
 
     return nameComponents.join('-');
   };
 
-  public getRawLogsUrl = (): string => {
-    const urlComponents = [
-      '/v3',
-      'namespaces',
+  private getLogsPath = (): string => {
+    return getProgramRunLogsPath(
       this.namespace,
-      'apps',
       this.application,
       this.programType,
       this.programName,
-      'runs',
-      this.runId,
-      'logs?escape=false',
-    ];
+      this.runId
+    );
+  };
+
+  public getRawLogsUrl = (applyFilters = false): string => {
+    const logsPath = this.getLogsPath();
+
+    return applyFilters ? `${logsPath}&filter=${encodeURIComponent(this.getFilter())}` : logsPath;
+  };
+
+  public getLogsZipEntries = (): ILogsZipEntry[] => {
+    const logsPath = this.getLogsPath();
 
-    return urlComponents.join('/');
+    return this.stages.map((stage) => {
+      const filter = `${STAGE_LOGS_FILTER}=${stage}`;
+      return {
+        backendPath: `${logsPath}&filter=${encodeURIComponent(filter)}`,
+        name: `${stage}.log`,
+      };
+    });
   };
 }
 
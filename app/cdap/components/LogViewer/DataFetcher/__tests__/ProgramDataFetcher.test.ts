@@ -16,8 +16,11 @@
 
 jest.unmock('components/LogViewer/DataFetcher/ProgramDataFetcher');
 import ProgramDataFetcher from 'components/LogViewer/DataFetcher/ProgramDataFetcher';
-import { LogLevel } from 'components/LogViewer/types';
+import { ILogResponse, LogLevel } from 'components/LogViewer/types';
 import { MyProgramApi } from 'api/program';
+import { Observable } from 'rxjs/Observable';
+import 'rxjs/add/observable/of';
+import { MAX_SEARCH_PAGES } from 'components/LogViewer/DataFetcher/logSearch';
 
 const PROGRAM_INFO = {
   namespace: 'namespace',
@@ -39,6 +42,23 @@ const BASE_LOGS_PARAMS = {
   filter: `loglevel=INFO ${BASE_FILTER}`,
 };
 
+function getLog(offset: string, message: string): ILogResponse {
+  return {
+    offset,
+    log: {
+      timestamp: Number(offset),
+      logLevel: 'INFO',
+      threadName: 'main',
+      className: 'io.cdap.SomeClass',
+      simpleClassName: 'SomeClass',
+      lineNumber: 1,
+      message,
+      stackTrace: '',
+      loggerName: 'io.cdap.SomeClass',
+    },
+  };
+}
+
 describe('LogViewer - Program DataFetcher', () => {
   let dataFetcher: ProgramDataFetcher;
   beforeEach(() => {
@@ -123,6 +143,114 @@ describe('LogViewer - Program DataFetcher', () => {
     nextLogsSpy.mockRestore();
   });
 
+  it('should set the search', () => {
+    const initSpy = jest.spyOn(dataFetcher, 'init');
+    const search = { query: 'message 2', isRegex: false, logger: '' };
+    dataFetcher.setSearch(search).subscribe();
+    expect(dataFetcher.getSearch()).toBe(search);
+    expect(initSpy).toHaveBeenCalled();
+    initSpy.mockRestore();
+  });
+
+  it('should continue a search that stopped before the beginning of the logs', () => {
+    let offset = 1000;
+    const prevLogsSpy = jest.spyOn(MyProgramApi, 'prevLogs').mockImplementation(() => {
+      offset--;
+      return Observable.of([{ offset: String(offset), log: { message: 'running' } }]);
+    });
+    dataFetcher.setSearch({ query: 'exception', isRegex: false, logger: '' }).subscribe((res) => {
+      expect(res).toEqual([]);
+    });
+    expect(prevLogsSpy).toHaveBeenCalledTimes(MAX_SEARCH_PAGES);
+    expect(dataFetcher.getIncompleteSearch()).toBe('prev');
+
+    dataFetcher.continueSearch().subscribe();
+    expect(prevLogsSpy).toHaveBeenCalledTimes(MAX_SEARCH_PAGES * 2);
+    expect(prevLogsSpy).toHaveBeenLastCalledWith({
+      ...BASE_LOGS_PARAMS,
+      fromOffset: String(offset + 1),
+    });
+
+    // the beginning of the logs is reached
+    prevLogsSpy.mockImplementation(() => Observable.of([]));
+    dataFetcher.continueSearch().subscribe();
+    expect(dataFetcher.getIncompleteSearch()).toBe(null);
+    prevLogsSpy.mockRestore();
+  });
+
+  it('should fetch the logs after a log without moving the cursor', () => {
+    const nextLogsSpy = jest.spyOn(MyProgramApi, 'nextLogs');
+    const log = { offset: '5', log: null };
+    dataFetcher.getLogsAfter(log).subscribe();
+    expect(nextLogsSpy).toHaveBeenCalledWith({
+      ...BASE_LOGS_PARAMS,
+      fromOffset: '5',
+    });
+    dataFetcher.getNext().subscribe();
+    expect(nextLogsSpy).toHaveBeenLastCalledWith(BASE_LOGS_PARAMS);
+    nextLogsSpy.mockRestore();
+  });
+
+  it('should load the logs around a log without applying the search', () => {
+    const logs = [getLog('4', 'starting'), getLog('5', 'exception'), getLog('6', 'stopping')];
+    const prevLogsSpy = jest
+      .spyOn(MyProgramApi, 'prevLogs')
+      .mockImplementation(() => Observable.of(logs.slice(0, 1)));
+    const nextLogsSpy = jest
+      .spyOn(MyProgramApi, 'nextLogs')
+      .mockImplementation(() => Observable.of(logs.slice(1)));
+    dataFetcher.setSearch({ query: 'starting', isRegex: false, logger: '' }).subscribe();
+
+    dataFetcher.getLogsAround(logs[1]).subscribe((res) => {
+      expect(res).toEqual(logs);
+    });
+    expect(prevLogsSpy).toHaveBeenLastCalledWith({ ...BASE_LOGS_PARAMS, fromOffset: '5' });
+    expect(nextLogsSpy).toHaveBeenLastCalledWith({ ...BASE_LOGS_PARAMS, fromOffset: '4' });
+    prevLogsSpy.mockRestore();
+    nextLogsSpy.mockRestore();
+  });
+
+  it('should fetch the error logs from the beginning', () => {
+    const nextLogsSpy = jest.spyOn(MyProgramApi, 'nextLogs');
+    dataFetcher.getErrorLogs().subscribe();
+    expect(nextLogsSpy).toHaveBeenCalledWith({
+      ...BASE_LOGS_PARAMS,
+      max: 200,
+      filter: `loglevel=WARN ${BASE_FILTER}`,
+    });
+    nextLogsSpy.mockRestore();
+  });
+
+  it('should only add the viewer filters to the raw logs url when asked', () => {
+    const logsPath =
+      '/v3/namespaces/namespace/apps/application/programType/programName/runs/run-1/logs?escape=false';
+    expect(dataFetcher.getRawLogsUrl()).toBe(logsPath);
+    expect(dataFetcher.getRawLogsUrl(true)).toBe(
+      `${logsPath}&filter=${encodeURIComponent(`loglevel=INFO ${BASE_FILTER}`)}`
+    );
+    expect(dataFetcher.getDownloadFileName(true)).toBe(
+      'namespace-application-programType-programName-run-1-filtered'
+    );
+  });
+
+  it('should download the logs of each stage in a zip', () => {
+    const logsPath =
+      '/v3/namespaces/namespace/apps/application/programType/programName/runs/run-1/logs?escape=false';
+    expect(dataFetcher.getLogsZipEntries()).toEqual([]);
+
+    const pipelineFetcher = new ProgramDataFetcher(PROGRAM_INFO, BASE_FILTER, ['File', 'Wrangler']);
+    expect(pipelineFetcher.getLogsZipEntries()).toEqual([
+      {
+        backendPath: `${logsPath}&filter=${encodeURIComponent('MDC:pipeline.stage=File')}`,
+        name: 'File.log',
+      },
+      {
+        backendPath: `${logsPath}&filter=${encodeURIComponent('MDC:pipeline.stage=Wrangler')}`,
+        name: 'Wrangler.log',
+      },
+    ]);
+  });
+
   it('init should call getLast', () => {
     const getLastSpy = jest.spyOn(dataFetcher, 'getLast');
     dataFetcher.init().subscribe();
@@ -0,0 +1,141 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import { Observable } from 'rxjs/Observable';
+import 'rxjs/add/observable/of';
+import {
+  EMPTY_LOG_SEARCH,
+  MAX_SEARCH_PAGES,
+  getHighlightSegments,
+  getLogMatcher,
+  getSearchPattern,
+  isSearchActive,
+  isValidSearch,
+  searchLogPages,
+} from 'components/LogViewer/DataFetcher/logSearch';
+import { ILogResponse } from 'components/LogViewer/types';
+
+function getLog(offset: string, message: string, loggerName = 'io.cdap.Logger'): ILogResponse {
+  return {
+    offset,
+    log: {
+      timestamp: 1,
+      logLevel: 'INFO',
+      threadName: 'main',
+      className: 'io.cdap.SomeClass',
+      simpleClassName: 'SomeClass',
+      lineNumber: 1,
+      message,
+      stackTrace: '',
+      loggerName,
+    },
+  };
+}
+
+describe('LogViewer - log search', () => {
+  it('should only be active with a query or a logger', () => {
+    expect(isSearchActive(EMPTY_LOG_SEARCH)).toBe(false);
+    expect(isSearchActive({ ...EMPTY_LOG_SEARCH, query: 'error' })).toBe(true);
+    expect(isSearchActive({ ...EMPTY_LOG_SEARCH, logger: 'spark' })).toBe(true);
+  });
+
+  it('should escape the query unless it is a regex', () => {
+    expect(getSearchPattern(EMPTY_LOG_SEARCH)).toBeNull();
+    const textPattern = getSearchPattern({ ...EMPTY_LOG_SEARCH, query: 'a.b' });
+    expect(textPattern.test('A.B')).toBe(true);
+    expect(textPattern.test('axb')).toBe(false);
+
+    const regexPattern = getSearchPattern({ ...EMPTY_LOG_SEARCH, query: 'a.b', isRegex: true });
+    expect(regexPattern.test('axb')).toBe(true);
+
+    expect(isValidSearch({ ...EMPTY_LOG_SEARCH, query: '(', isRegex: true })).toBe(false);
+    expect(isValidSearch({ ...EMPTY_LOG_SEARCH, query: '(' })).toBe(true);
+  });
+
+  it('should match on the message and the logger', () => {
+    const matcher = getLogMatcher({ query: 'exception', isRegex: false, logger: 'spark' });
+    expect(matcher(getLog('1', 'NullPointerException', 'org.apache.spark.Executor'))).toBe(true);
+    expect(matcher(getLog('2', 'NullPointerException'))).toBe(false);
+    expect(matcher(getLog('3', 'Stage completed', 'org.apache.spark.Executor'))).toBe(false);
+  });
+
+  it('should keep fetching pages until there are matches', () => {
+    const pages = [
+      [getLog('1', 'starting'), getLog('2', 'running')],
+      [getLog('3', 'failed with exception'), getLog('4', 'stopping')],
+    ];
+    const fetchPage = jest.fn(() => Observable.of(pages.shift() || []));
+    let result;
+    searchLogPages({ ...EMPTY_LOG_SEARCH, query: 'exception' }, fetchPage).subscribe((res) => {
+      result = res;
+    });
+    expect(fetchPage).toHaveBeenCalledTimes(2);
+    expect(result.map(({ offset }) => offset)).toEqual(['3']);
+  });
+
+  it('should stop searching when there are no more logs or after the page limit', () => {
+    const search = { ...EMPTY_LOG_SEARCH, query: 'exception' };
+    const noMoreLogs = jest.fn(() => Observable.of([]));
+    searchLogPages(search, noMoreLogs).subscribe((res) => expect(res).toEqual([]));
+    expect(noMoreLogs).toHaveBeenCalledTimes(1);
+
+    const noMatches = jest.fn(() => Observable.of([getLog('1', 'running')]));
+    searchLogPages(search, noMatches).subscribe((res) => expect(res).toEqual([]));
+    expect(noMatches).toHaveBeenCalledTimes(MAX_SEARCH_PAGES);
+  });
+
+  it('should report whether the search stopped before the end of the logs', () => {
+    const search = { ...EMPTY_LOG_SEARCH, query: 'exception' };
+    const onSearchEnd = jest.fn();
+
+    searchLogPages(
+      search,
+      () => Observable.of([getLog('1', 'running')]),
+      null,
+      onSearchEnd
+    ).subscribe();
+    expect(onSearchEnd).toHaveBeenLastCalledWith(false);
+
+    searchLogPages(search, () => Observable.of([]), null, onSearchEnd).subscribe();
+    expect(onSearchEnd).toHaveBeenLastCalledWith(true);
+
+    searchLogPages(
+      search,
+      () => Observable.of([getLog('1', 'exception')]),
+      null,
+      onSearchEnd
+    ).subscribe();
+    expect(onSearchEnd).toHaveBeenLastCalledWith(true);
+    expect(onSearchEnd).toHaveBeenCalledTimes(3);
+  });
+
+  it('should not filter the logs without a search', () => {
+    const logs = [getLog('1', 'starting')];
+    searchLogPages(EMPTY_LOG_SEARCH, () => Observable.of(logs)).subscribe((res) => {
+      expect(res).toBe(logs);
+    });
+  });
+
+  it('should split the text into highlighted segments', () => {
+    const pattern = getSearchPattern({ ...EMPTY_LOG_SEARCH, query: 'err' });
+    expect(getHighlightSegments('Error: an err', pattern)).toEqual([
+      { text: 'Err', isMatch: true },
+      { text: 'or: an ', isMatch: false },
+      { text: 'err', isMatch: true },
+    ]);
+    expect(getHighlightSegments('message', null)).toEqual([{ text: 'message', isMatch: false }]);
+  });
+});
@@ -0,0 +1,51 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import { Observable } from 'rxjs/Observable';
+import 'rxjs/add/observable/of';
+import 'rxjs/add/operator/mergeMap';
+import { ILogResponse } from 'components/LogViewer/types';
+
+export const ERROR_LOGS_PAGE_SIZE = 200;
+export const MAX_ERROR_LOG_PAGES = 10;
+export const MAX_ERROR_LOGS = ERROR_LOGS_PAGE_SIZE * MAX_ERROR_LOG_PAGES;
+
+/**
+ * Fetches the logs page by page from the beginning, and returns all of them once there are
+ * no more logs or maxPages pages were fetched.
+ *
+ * @param fetchPage fetches the page after the given log, or the first page without a log
+ */
+export function collectLogPages(
+  fetchPage: (fromLog?: ILogResponse) => Observable<ILogResponse[]>,
+  maxPages: number
+): Observable<ILogResponse[]> {
+  const collect = (
+    fromLog: ILogResponse,
+    collected: ILogResponse[],
+    pagesLeft: number
+  ): Observable<ILogResponse[]> => {
+    return fetchPage(fromLog).mergeMap((res = []) => {
+      const logs = collected.concat(res);
+      if (res.length === 0 || pagesLeft <= 1) {
+        return Observable.of(logs);
+      }
+      return collect(res[res.length - 1], logs, pagesLeft - 1);
+    });
+  };
+
+  return collect(undefined, [], maxPages);
+}
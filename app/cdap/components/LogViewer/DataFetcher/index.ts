@@ -15,7 +15,8 @@
  */
 
 import { Observable } from 'rxjs/Observable';
-import { ILogResponse, LogLevel } from 'components/LogViewer/types';
+import { ILogResponse, ILogSearch, IncompleteSearch, LogLevel } from 'components/LogViewer/types';
+import { ILogsZipEntry } from 'components/LogViewer/downloadLogsUrl';
 
 export default interface IDataFetcher {
   init: () => Observable<ILogResponse[]>;
@@ -23,11 +24,29 @@ export default interface IDataFetcher {
   getPrev: () => Observable<ILogResponse[]>;
   getFirst: () => Observable<ILogResponse[]>;
   getLast: () => Observable<ILogResponse[]>;
+  // fetches the logs after the given log, without moving the cursor used by getNext and getPrev
+  getLogsAfter: (log: ILogResponse) => Observable<ILogResponse[]>;
+  // loads the logs before and after the given log, and moves the cursors to them. The search is
+  // not applied, so that the log is shown with its context
+  getLogsAround: (log: ILogResponse) => Observable<ILogResponse[]>;
+  // fetches the WARN and ERROR logs from the beginning of the run, up to MAX_ERROR_LOGS
+  getErrorLogs: () => Observable<ILogResponse[]>;
   onLogsTrim: (firstLog: ILogResponse, lastLog: ILogResponse) => void;
   setIncludeSystemLogs: (includeSystemLogs: boolean) => Observable<ILogResponse[]>;
   getIncludeSystemLogs: () => boolean;
   setLogLevel: (logLevel: LogLevel) => Observable<ILogResponse[]>;
   getLogLevel: () => LogLevel;
-  getDownloadFileName: () => string;
-  getRawLogsUrl: () => string;
+  setSearch: (search: ILogSearch) => Observable<ILogResponse[]>;
+  getSearch: () => ILogSearch;
+  // the direction in which the last search stopped without a match while there were more logs
+  getIncompleteSearch: () => IncompleteSearch;
+  // continues the incomplete search from where it stopped
+  continueSearch: () => Observable<ILogResponse[]>;
+  // the file name ends with -filtered for downloads with the viewer filters applied
+  getDownloadFileName: (filtered?: boolean) => string;
+  // with applyFilters, the backend only returns the logs of the current level and origins.
+  // The search is applied by the UI server, see components/LogViewer/downloadLogsUrl
+  getRawLogsUrl: (applyFilters?: boolean) => string;
+  // logs downloaded together in a single zip, e.g. the logs of each stage of a pipeline run
+  getLogsZipEntries?: () => ILogsZipEntry[];
 }
@@ -0,0 +1,153 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import { Observable } from 'rxjs/Observable';
+import 'rxjs/add/observable/of';
+import 'rxjs/add/operator/mergeMap';
+import escapeRegExp from 'lodash/escapeRegExp';
+import { ILogResponse, ILogSearch } from 'components/LogViewer/types';
+
+// Upper bound on the number of pages fetched by a single search call. The logs endpoint
+// cannot filter by message, so the pages are searched here. If no match is found within
+// these pages, the search stops and can be continued by fetching again.
+export const MAX_SEARCH_PAGES = 20;
+
+export const EMPTY_LOG_SEARCH: ILogSearch = {
+  query: '',
+  isRegex: false,
+  logger: '',
+};
+
+export function isSearchActive(search: ILogSearch): boolean {
+  return !!search && (!!search.query || !!search.logger);
+}
+
+/**
+ * Returns the pattern for the search query, or null when there is no query.
+ * Throws a SyntaxError if the query is an invalid regular expression.
+ */
+export function getSearchPattern(search: ILogSearch): RegExp {
+  if (!search || !search.query) {
+    return null;
+  }
+  const source = search.isRegex ? search.query : escapeRegExp(search.query);
+  return new RegExp(source, 'i');
+}
+
+export function isValidSearch(search: ILogSearch): boolean {
+  try {
+    getSearchPattern(search);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+export function getLogMatcher(search: ILogSearch): (logObj: ILogResponse) => boolean {
+  const pattern = getSearchPattern(search);
+  const logger = search && search.logger ? search.logger.toLowerCase() : '';
+
+  return ({ log }) => {
+    if (
+      logger &&
+      !(log.loggerName || '').toLowerCase().includes(logger) &&
+      !(log.className || '').toLowerCase().includes(logger)
+    ) {
+      return false;
+    }
+    if (pattern && !pattern.test(log.message || '') && !pattern.test(log.stackTrace || '')) {
+      return false;
+    }
+    return true;
+  };
+}
+
+/**
+ * Keeps fetching pages until one of them has logs matching the search, and returns only
+ * the matching logs of that page. Stops with an empty result when there are no more logs
+ * or after MAX_SEARCH_PAGES pages.
+ *
+ * @param fetchPage fetches the page after (or before) the previously fetched one
+ * @param firstPage optional request for the first page, when it is different from fetchPage
+ * @param onSearchEnd called with false when the search stopped after MAX_SEARCH_PAGES pages
+ *  while there were more logs to search, true otherwise
+ */
+export function searchLogPages(
+  search: ILogSearch,
+  fetchPage: () => Observable<ILogResponse[]>,
+  firstPage?: Observable<ILogResponse[]>,
+  onSearchEnd: (isComplete: boolean) => void = () => undefined
+): Observable<ILogResponse[]> {
+  const page = firstPage || fetchPage();
+  if (!isSearchActive(search)) {
+    onSearchEnd(true);
+    return page;
+  }
+
+  const matcher = getLogMatcher(search);
+  const fetchMatches = (
+    request: Observable<ILogResponse[]>,
+    pagesLeft: number
+  ): Observable<ILogResponse[]> => {
+    return request.mergeMap((res = []) => {
+      const matches = res.filter(matcher);
+      if (matches.length > 0 || res.length === 0 || pagesLeft <= 1) {
+        onSearchEnd(matches.length > 0 || res.length === 0);
+        return Observable.of(matches);
+      }
+      return fetchMatches(fetchPage(), pagesLeft - 1);
+    });
+  };
+
+  return fetchMatches(page, MAX_SEARCH_PAGES);
+}
+
+export interface IHighlightSegment {
+  text: string;
+  isMatch: boolean;
+}
+
+/**
+ * Splits the text into the parts matching the pattern and the parts in between,
+ * for highlighting the matches.
+ */
+export function getHighlightSegments(text: string, pattern: RegExp): IHighlightSegment[] {
+  if (!text || !pattern) {
+    return [{ text: text || '', isMatch: false }];
+  }
+
+  const globalPattern = new RegExp(pattern.source, 'gi');
+  const segments: IHighlightSegment[] = [];
+  let lastIndex = 0;
+  let match = globalPattern.exec(text);
+  while (match) {
+    if (match[0].length === 0) {
+      // empty matches (e.g. /a*/) have nothing to highlight
+      globalPattern.lastIndex++;
+    } else {
+      if (match.index > lastIndex) {
+        segments.push({ text: text.slice(lastIndex, match.index), isMatch: false });
+      }
+      segments.push({ text: match[0], isMatch: true });
+      lastIndex = match.index + match[0].length;
+    }
+    match = globalPattern.exec(text);
+  }
+  if (lastIndex < text.length) {
+    segments.push({ text: text.slice(lastIndex), isMatch: false });
+  }
+  return segments;
+}
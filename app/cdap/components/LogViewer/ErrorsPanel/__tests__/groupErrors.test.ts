@@ -0,0 +1,99 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import {
+  getErrorSignature,
+  getTopFrame,
+  groupErrors,
+  normalizeErrorText,
+} from 'components/LogViewer/ErrorsPanel/groupErrors';
+import { ILogResponse } from 'components/LogViewer/types';
+
+function getLog(
+  offset: string,
+  logLevel: string,
+  message: string,
+  stackTrace = '',
+  timestamp = Number(offset)
+): ILogResponse {
+  return {
+    offset,
+    log: {
+      timestamp,
+      logLevel,
+      threadName: 'main',
+      className: 'io.cdap.SomeClass',
+      simpleClassName: 'SomeClass',
+      lineNumber: 1,
+      message,
+      stackTrace,
+      loggerName: 'io.cdap.SomeClass',
+    },
+  };
+}
+
+const NPE_TRACE = (line: number) =>
+  `java.lang.NullPointerException: field 'id' is null\n\tat io.cdap.Stage.transform(Stage.java:${line})\n\tat io.cdap.Runner.run(Runner.java:10)`;
+
+describe('LogViewer - error grouping', () => {
+  it('should normalize the variable parts of errors', () => {
+    expect(normalizeErrorText('Failed to read row 1234 of "table_a"')).toBe(
+      'Failed to read row <n> of <str>'
+    );
+    expect(normalizeErrorText('Run 0f8fad5b-d9cb-469f-a165-70867728950e failed at 0x1f')).toBe(
+      'Run <id> failed at <hex>'
+    );
+  });
+
+  it('should get the top frame of a stack trace', () => {
+    expect(getTopFrame(NPE_TRACE(42))).toBe('io.cdap.Stage.transform');
+    expect(getTopFrame('')).toBeNull();
+  });
+
+  it('should give occurrences of the same error the same signature', () => {
+    expect(getErrorSignature(getLog('1', 'ERROR', 'Failed', NPE_TRACE(42)))).toBe(
+      getErrorSignature(getLog('2', 'ERROR', 'Failed again', NPE_TRACE(43)))
+    );
+    expect(getErrorSignature(getLog('1', 'WARN', 'Retry 1 of 3'))).toBe(
+      getErrorSignature(getLog('2', 'WARN', 'Retry 2 of 3'))
+    );
+    expect(getErrorSignature(getLog('1', 'WARN', 'Retry 1 of 3'))).not.toBe(
+      getErrorSignature(getLog('2', 'ERROR', 'Retry 1 of 3'))
+    );
+  });
+
+  it('should group errors and warnings with counts and their occurrences', () => {
+    const logs = [
+      getLog('1', 'WARN', 'Retry 1 of 3'),
+      getLog('2', 'ERROR', 'Failed', NPE_TRACE(42)),
+      getLog('3', 'INFO', 'Retrying'),
+      getLog('4', 'WARN', 'Retry 2 of 3'),
+      getLog('5', 'WARN', 'Retry 3 of 3'),
+      getLog('6', 'ERROR', 'Failed', NPE_TRACE(42)),
+      getLog('7', 'WARN', 'Slow stage'),
+    ];
+    const groups = groupErrors(logs);
+    expect(
+      groups.map(({ logLevel, count, first, last }) => [logLevel, count, first.offset, last.offset])
+    ).toEqual([
+      ['ERROR', 2, '2', '6'],
+      ['WARN', 3, '1', '5'],
+      ['WARN', 1, '7', '7'],
+    ]);
+    expect(groups[1].occurrences.map(({ offset }) => offset)).toEqual(['1', '4', '5']);
+    expect(groups[0].title).toBe("java.lang.NullPointerException: field 'id' is null");
+  });
+});
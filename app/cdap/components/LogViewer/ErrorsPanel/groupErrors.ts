@@ -0,0 +1,114 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import { ILogResponse, LogLevel } from 'components/LogViewer/types';
+
+export interface IErrorGroup {
+  signature: string;
+  logLevel: string;
+  // first line of the exception, or of the message when there is no stack trace
+  title: string;
+  count: number;
+  first: ILogResponse;
+  last: ILogResponse;
+  // all the logs of the group, in chronological order
+  occurrences: ILogResponse[];
+}
+
+const NORMALIZE_RULES: Array<[RegExp, string]> = [
+  [/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi, '<id>'],
+  [/\b0x[0-9a-f]+\b/gi, '<hex>'],
+  [/'[^']*'|"[^"]*"/g, '<str>'],
+  [/\d+/g, '<n>'],
+  [/\s+/g, ' '],
+];
+
+/**
+ * Replaces the parts of a log line that differ between occurrences of the same error,
+ * such as ids, numbers and quoted values.
+ */
+export function normalizeErrorText(text: string): string {
+  return NORMALIZE_RULES.reduce(
+    (normalized, [pattern, replacement]) => normalized.replace(pattern, replacement),
+    text || ''
+  ).trim();
+}
+
+function getFirstLine(text: string): string {
+  return (text || '').trim().split('\n')[0];
+}
+
+/**
+ * Returns the method of the first "at ..." frame of a java stack trace, without the line number.
+ */
+export function getTopFrame(stackTrace: string): string {
+  const frame = /^\s*at\s+([^\s(]+)/m.exec(stackTrace || '');
+  return frame ? frame[1] : null;
+}
+
+export function getErrorTitle({ log }: ILogResponse): string {
+  return getFirstLine(log.stackTrace) || getFirstLine(log.message);
+}
+
+/**
+ * Logs with the same signature are occurrences of the same error. The signature is made of the
+ * normalized exception and the location it was thrown from (or logged from, without a trace).
+ */
+export function getErrorSignature(logObj: ILogResponse): string {
+  const { log } = logObj;
+  const location = getTopFrame(log.stackTrace) || log.className || log.loggerName;
+  return [log.logLevel, normalizeErrorText(getErrorTitle(logObj)), location].join('|');
+}
+
+const LEVEL_ORDER = [LogLevel.ERROR, LogLevel.WARN];
+
+/**
+ * Groups the ERROR and WARN logs by signature. Errors come before warnings, and the most
+ * frequent groups first.
+ *
+ * @param logs logs in chronological order
+ */
+export function groupErrors(logs: ILogResponse[]): IErrorGroup[] {
+  const groups = new Map<string, IErrorGroup>();
+
+  logs
+    .filter(({ log }) => LEVEL_ORDER.indexOf(log.logLevel as LogLevel) !== -1)
+    .forEach((logObj) => {
+      const signature = getErrorSignature(logObj);
+      const group = groups.get(signature);
+      if (group) {
+        group.count++;
+        group.last = logObj;
+        group.occurrences.push(logObj);
+        return;
+      }
+      groups.set(signature, {
+        signature,
+        logLevel: logObj.log.logLevel,
+        title: getErrorTitle(logObj),
+        count: 1,
+        first: logObj,
+        last: logObj,
+        occurrences: [logObj],
+      });
+    });
+
+  return Array.from(groups.values()).sort((a, b) => {
+    const levelDiff =
+      LEVEL_ORDER.indexOf(a.logLevel as LogLevel) - LEVEL_ORDER.indexOf(b.logLevel as LogLevel);
+    return levelDiff !== 0 ? levelDiff : b.count - a.count;
+  });
+}
@@ -0,0 +1,295 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import * as React from 'react';
+import withStyles, { WithStyles, StyleRules } from '@material-ui/core/styles/withStyles';
+import Button from '@material-ui/core/Button';
+import IconButton from '@material-ui/core/IconButton';
+import Refresh from '@material-ui/icons/Refresh';
+import ExpandMore from '@material-ui/icons/ExpandMore';
+import ChevronRight from '@material-ui/icons/ChevronRight';
+import classnames from 'classnames';
+import moment from 'moment';
+import DataFetcher from 'components/LogViewer/DataFetcher';
+import { ILogResponse, LogLevel } from 'components/LogViewer/types';
+import { groupErrors, IErrorGroup } from 'components/LogViewer/ErrorsPanel/groupErrors';
+import { MAX_ERROR_LOGS } from 'components/LogViewer/DataFetcher/collectLogPages';
+import { TIMESTAMP_FORMAT } from 'components/LogViewer/LogRow';
+import LoadingSVG from 'components/shared/LoadingSVG';
+import IconSVG from 'components/shared/IconSVG';
+import If from 'components/shared/If';
+import { extractErrorMessage } from 'services/helpers';
+import T from 'i18n-react';
+
+const PREFIX = 'features.LogViewer.errors';
+
+export const ERRORS_PANEL_WIDTH = '450px';
+
+const styles = (theme): StyleRules => {
+  return {
+    root: {
+      width: ERRORS_PANEL_WIDTH,
+      height: '100%',
+      display: 'flex',
+      flexDirection: 'column',
+      borderLeft: `1px solid ${theme.palette.grey[300]}`,
+      fontSize: '13px',
+    },
+    header: {
+      display: 'flex',
+      alignItems: 'center',
+      padding: '0 10px',
+      minHeight: '40px',
+      borderBottom: `1px solid ${theme.palette.grey[300]}`,
+      fontWeight: 'bold',
+    },
+    headerTitle: {
+      marginRight: 'auto',
+    },
+    closeButton: {
+      cursor: 'pointer',
+      marginLeft: '10px',
+    },
+    content: {
+      flex: 1,
+      overflowY: 'auto',
+    },
+    message: {
+      padding: '15px 10px',
+      textAlign: 'center',
+    },
+    notice: {
+      padding: '5px 10px',
+      backgroundColor: theme.palette.grey[700],
+    },
+    group: {
+      borderBottom: `1px solid ${theme.palette.grey[300]}`,
+    },
+    groupSummary: {
+      display: 'grid',
+      gridTemplateColumns: '20px 1fr 50px',
+      alignItems: 'start',
+      padding: '5px 10px 5px 0',
+      cursor: 'pointer',
+
+      '&:hover': {
+        backgroundColor: theme.palette.grey[700],
+      },
+    },
+    title: {
+      wordBreak: 'break-word',
+    },
+    times: {
+      color: theme.palette.grey[100],
+      fontSize: '12px',
+    },
+    count: {
+      textAlign: 'right',
+      fontWeight: 'bold',
+    },
+    warn: {
+      color: theme.palette.yellow[50],
+    },
+    error: {
+      color: theme.palette.red[100],
+    },
+    details: {
+      padding: '0 10px 10px 20px',
+    },
+    stackTrace: {
+      maxHeight: '300px',
+      overflow: 'auto',
+      fontSize: '12px',
+      backgroundColor: theme.palette.grey[700],
+      padding: '5px',
+      whiteSpace: 'pre',
+    },
+    occurrences: {
+      maxHeight: '150px',
+      overflowY: 'auto',
+      marginBottom: '5px',
+    },
+    occurrencesTitle: {
+      color: theme.palette.grey[100],
+      fontSize: '12px',
+    },
+    linkButton: {
+      textTransform: 'none',
+      padding: '0 5px',
+      minWidth: 0,
+      color: theme.palette.blue[100],
+    },
+    selectedOccurrence: {
+      fontWeight: 'bold',
+    },
+  };
+};
+
+interface IErrorsPanelProps extends WithStyles<typeof styles> {
+  dataFetcher: DataFetcher;
+  onSelectLog: (log: ILogResponse) => void;
+  onClose: () => void;
+}
+
+function formatTime(logObj: ILogResponse) {
+  return moment(new Date(logObj.log.timestamp)).format(TIMESTAMP_FORMAT);
+}
+
+const ErrorsPanelView: React.FC<IErrorsPanelProps> = ({
+  classes,
+  dataFetcher,
+  onSelectLog,
+  onClose,
+}) => {
+  const [loading, setLoading] = React.useState(true);
+  const [error, setError] = React.useState<string>(null);
+  const [groups, setGroups] = React.useState<IErrorGroup[]>([]);
+  const [isTruncated, setIsTruncated] = React.useState(false);
+  const [expanded, setExpanded] = React.useState<string>(null);
+  // occurrence of the expanded group whose trace is shown, the first one by default
+  const [selected, setSelected] = React.useState<ILogResponse>(null);
+  const subscription = React.useRef(null);
+
+  function fetchErrors() {
+    setLoading(true);
+    setError(null);
+
+    subscription.current = dataFetcher.getErrorLogs().subscribe(
+      (logs) => {
+        setGroups(groupErrors(logs));
+        setIsTruncated(logs.length >= MAX_ERROR_LOGS);
+        setLoading(false);
+      },
+      (err) => {
+        const message = extractErrorMessage(err);
+        setError(typeof message === 'string' ? message : JSON.stringify(message));
+        setLoading(false);
+      }
+    );
+  }
+
+  React.useEffect(() => {
+    fetchErrors();
+    return () => subscription.current.unsubscribe();
+  }, []);
+
+  function toggleGroup(signature: string) {
+    setExpanded(expanded === signature ? null : signature);
+    setSelected(null);
+  }
+
+  function selectOccurrence(logObj: ILogResponse) {
+    setSelected(logObj);
+    onSelectLog(logObj);
+  }
+
+  function renderGroup(group: IErrorGroup) {
+    const isExpanded = expanded === group.signature;
+    const selectedOccurrence =
+      isExpanded && group.occurrences.indexOf(selected) !== -1 ? selected : group.first;
+    const levelClass = classnames({
+      [classes.warn]: group.logLevel === LogLevel.WARN,
+      [classes.error]: group.logLevel === LogLevel.ERROR,
+    });
+
+    return (
+      <div className={classes.group} key={group.signature} data-testid="log-viewer-error-group">
+        <div className={classes.groupSummary} onClick={() => toggleGroup(group.signature)}>
+          {isExpanded ? <ExpandMore fontSize="small" /> : <ChevronRight fontSize="small" />}
+          <div>
+            <div className={classnames(classes.title, levelClass)}>{group.title}</div>
+            <div className={classes.times}>
+              {group.count > 1
+                ? T.translate(`${PREFIX}.timeRange`, {
+                    first: formatTime(group.first),
+                    last: formatTime(group.last),
+                  })
+                : formatTime(group.first)}
+            </div>
+          </div>
+          <div className={classes.count}>{group.count}</div>
+        </div>
+        <If condition={isExpanded}>
+          <div className={classes.details}>
+            <div className={classes.occurrencesTitle}>{T.translate(`${PREFIX}.occurrences`)}</div>
+            <div className={classes.occurrences} data-testid="log-viewer-error-occurrences">
+              {group.occurrences.map((occurrence) => (
+                <Button
+                  key={occurrence.offset}
+                  className={classnames(classes.linkButton, {
+                    [classes.selectedOccurrence]: occurrence === selectedOccurrence,
+                  })}
+                  onClick={() => selectOccurrence(occurrence)}
+                >
+                  {formatTime(occurrence)}
+                </Button>
+              ))}
+            </div>
+            <div className={classes.stackTrace}>
+              {selectedOccurrence.log.stackTrace || selectedOccurrence.log.message}
+            </div>
+          </div>
+        </If>
+      </div>
+    );
+  }
+
+  function renderContent() {
+    if (loading) {
+      return (
+        <div className={classes.message}>
+          <LoadingSVG />
+        </div>
+      );
+    }
+    if (error) {
+      return <div className={classnames(classes.message, classes.error)}>{error}</div>;
+    }
+    if (groups.length === 0) {
+      return <div className={classes.message}>{T.translate(`${PREFIX}.noErrors`)}</div>;
+    }
+    return (
+      <React.Fragment>
+        <If condition={isTruncated}>
+          <div className={classes.notice}>
+            {T.translate(`${PREFIX}.truncated`, { count: MAX_ERROR_LOGS })}
+          </div>
+        </If>
+        {groups.map(renderGroup)}
+      </React.Fragment>
+    );
+  }
+
+  return (
+    <div className={classes.root} data-testid="log-viewer-errors-panel">
+      <div className={classes.header}>
+        <span className={classes.headerTitle}>
+          {T.translate(`${PREFIX}.title`, { count: groups.length })}
+        </span>
+        <IconButton size="small" onClick={fetchErrors} disabled={loading}>
+          <Refresh fontSize="small" />
+        </IconButton>
+        <span className={classes.closeButton} onClick={onClose}>
+          <IconSVG name="icon-close" />
+        </span>
+      </div>
+      <div className={classes.content}>{renderContent()}</div>
+    </div>
+  );
+};
+
+const ErrorsPanel = withStyles(styles)(ErrorsPanelView);
+export default ErrorsPanel;
@@ -20,6 +20,7 @@ import { ILogResponse, LogLevel } from 'components/LogViewer/types';
 import moment from 'moment';
 import { logsTableGridStyle } from 'components/LogViewer';
 import classnames from 'classnames';
+import { getHighlightSegments } from 'components/LogViewer/DataFetcher/logSearch';
 
 const styles = (theme): StyleRules => {
   const tableStyle = logsTableGridStyle(theme);
@@ -38,23 +39,37 @@ const styles = (theme): StyleRules => {
     error: {
       color: theme.palette.red[100],
     },
+    active: {
+      backgroundColor: `${theme.palette.blue[300]}40`,
+    },
+    highlight: {
+      padding: 0,
+      backgroundColor: theme.palette.yellow[200],
+    },
   };
 };
 
 interface ILogRowProps extends WithStyles<typeof styles> {
   logObj: ILogResponse;
+  searchPattern?: RegExp;
+  isActive?: boolean;
 }
 
-const TIMESTAMP_FORMAT = 'L H:mm:ss';
+export const TIMESTAMP_FORMAT = 'L H:mm:ss';
 
-const LogRowView: React.FC<ILogRowProps> = ({ classes, logObj }) => {
+const LogRowView: React.FC<ILogRowProps> = ({ classes, logObj, searchPattern, isActive }) => {
   const timeDate = new Date(logObj.log.timestamp);
   const displayTime = moment(timeDate).format(TIMESTAMP_FORMAT);
 
   const logLevel = logObj.log.logLevel;
 
   return (
-    <div className={classes.root} data-cy="log-viewer-row" data-testid="log-viewer-row">
+    <div
+      className={classnames(classes.root, { [classes.active]: isActive })}
+      data-cy="log-viewer-row"
+      data-testid="log-viewer-row"
+      data-offset={logObj.offset}
+    >
       <div className={classes.cell}>{displayTime}</div>
       <div
         className={classnames(classes.cell, {
@@ -65,7 +80,16 @@ const LogRowView: React.FC<ILogRowProps> = ({ classes, logObj }) => {
         {logLevel}
       </div>
       <div className={classes.cell} data-cy="log-message" data-testid="log-message">
-        {logObj.log.message}
+        {getHighlightSegments(logObj.log.message, searchPattern).map((segment, i) => {
+          if (!segment.isMatch) {
+            return segment.text;
+          }
+          return (
+            <mark key={i} className={classes.highlight}>
+              {segment.text}
+            </mark>
+          );
+        })}
       </div>
     </div>
   );
@@ -148,7 +148,11 @@ const LogViewerPageView: React.FC<ILogViewerPageProps> = ({ classes, match = {}
 
       <If condition={!!dataFetcher}>
         <div className={classes.logViewerContainer}>
-          <LogViewer dataFetcher={dataFetcher} stopPoll={shouldStopPoll} />
+          <LogViewer
+            dataFetcher={dataFetcher}
+            stopPoll={shouldStopPoll}
+            tailMode={!shouldStopPoll}
+          />
         </div>
       </If>
     </div>
@@ -0,0 +1,211 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import * as React from 'react';
+import withStyles, { WithStyles, StyleRules } from '@material-ui/core/styles/withStyles';
+import InputBase from '@material-ui/core/InputBase';
+import Checkbox from '@material-ui/core/Checkbox';
+import FormControlLabel from '@material-ui/core/FormControlLabel';
+import IconButton from '@material-ui/core/IconButton';
+import KeyboardArrowUp from '@material-ui/icons/KeyboardArrowUp';
+import KeyboardArrowDown from '@material-ui/icons/KeyboardArrowDown';
+import DataFetcher from 'components/LogViewer/DataFetcher';
+import { ILogSearch } from 'components/LogViewer/types';
+import { isSearchActive, isValidSearch } from 'components/LogViewer/DataFetcher/logSearch';
+import If from 'components/shared/If';
+import debounce from 'lodash/debounce';
+import T from 'i18n-react';
+
+const PREFIX = 'features.LogViewer.search';
+
+export const SEARCH_BAR_HEIGHT = '40px';
+
+const styles = (theme): StyleRules => {
+  return {
+    root: {
+      display: 'flex',
+      alignItems: 'center',
+      height: SEARCH_BAR_HEIGHT,
+      paddingLeft: '10px',
+      paddingRight: '20px',
+      backgroundColor: theme.palette.grey[700],
+      borderBottom: `1px solid ${theme.palette.grey[300]}`,
+    },
+    input: {
+      backgroundColor: theme.palette.white[50],
+      border: `1px solid ${theme.palette.grey[300]}`,
+      borderRadius: '4px',
+      padding: '0 8px',
+      marginRight: '10px',
+      fontSize: '13px',
+      height: '28px',
+    },
+    queryInput: {
+      width: '350px',
+    },
+    loggerInput: {
+      width: '220px',
+    },
+    invalid: {
+      borderColor: theme.palette.red[100],
+    },
+    checkboxLabel: {
+      userSelect: 'none',
+      marginRight: '10px',
+    },
+    checkbox: {
+      padding: '4px',
+    },
+    error: {
+      color: theme.palette.red[100],
+      fontSize: '13px',
+    },
+    navButton: {
+      padding: '4px',
+    },
+  };
+};
+
+interface ISearchBarProps extends WithStyles<typeof styles> {
+  dataFetcher: DataFetcher;
+  onSearch: (search: ILogSearch) => void;
+  onPrevMatch: () => void;
+  onNextMatch: () => void;
+  loading: boolean;
+}
+
+const SEARCH_DEBOUNCE_MS = 500;
+
+const SearchBarView: React.FC<ISearchBarProps> = ({
+  classes,
+  dataFetcher,
+  onSearch,
+  onPrevMatch,
+  onNextMatch,
+  loading,
+}) => {
+  const [search, setSearch] = React.useState<ILogSearch>(dataFetcher.getSearch());
+  const isValid = isValidSearch(search);
+
+  // the latest onSearch is kept in a ref so that the debounced function is only created once
+  const onSearchRef = React.useRef(onSearch);
+  onSearchRef.current = onSearch;
+  const isSearchPending = React.useRef(false);
+  const debouncedSearch = React.useMemo(
+    () =>
+      debounce((newSearch: ILogSearch) => {
+        isSearchPending.current = false;
+        onSearchRef.current(newSearch);
+      }, SEARCH_DEBOUNCE_MS),
+    []
+  );
+  React.useEffect(() => {
+    return () => debouncedSearch.cancel();
+  }, []);
+
+  function updateSearch(changes: Partial<ILogSearch>) {
+    const newSearch = { ...search, ...changes };
+    setSearch(newSearch);
+
+    if (isValidSearch(newSearch)) {
+      isSearchPending.current = true;
+      debouncedSearch(newSearch);
+    } else {
+      isSearchPending.current = false;
+      debouncedSearch.cancel();
+    }
+  }
+
+  function handleKeyDown(e: React.KeyboardEvent) {
+    if (e.key !== 'Enter' || !isValid) {
+      return;
+    }
+    // Enter applies a search that is still being typed, and jumps to the next match otherwise
+    if (isSearchPending.current) {
+      debouncedSearch.flush();
+      return;
+    }
+    if (!isSearchActive(search) || loading) {
+      return;
+    }
+    if (e.shiftKey) {
+      onPrevMatch();
+    } else {
+      onNextMatch();
+    }
+  }
+
+  const navigationDisabled = loading || !isValid || !isSearchActive(search);
+
+  return (
+    <div className={classes.root} data-testid="log-viewer-search-bar">
+      <InputBase
+        className={`${classes.input} ${classes.queryInput} ${isValid ? '' : classes.invalid}`}
+        placeholder={T.translate(`${PREFIX}.queryPlaceholder`).toString()}
+        value={search.query}
+        onChange={(e) => updateSearch({ query: e.target.value })}
+        onKeyDown={handleKeyDown}
+        inputProps={{ 'data-testid': 'log-viewer-search-query' }}
+      />
+      <FormControlLabel
+        className={classes.checkboxLabel}
+        control={
+          <Checkbox
+            className={classes.checkbox}
+            color="default"
+            size="small"
+            checked={search.isRegex}
+            onChange={(e) => updateSearch({ isRegex: e.target.checked })}
+            data-testid="log-viewer-search-regex"
+          />
+        }
+        label={T.translate(`${PREFIX}.regex`)}
+      />
+      <InputBase
+        className={`${classes.input} ${classes.loggerInput}`}
+        placeholder={T.translate(`${PREFIX}.loggerPlaceholder`).toString()}
+        value={search.logger}
+        onChange={(e) => updateSearch({ logger: e.target.value })}
+        onKeyDown={handleKeyDown}
+        inputProps={{ 'data-testid': 'log-viewer-search-logger' }}
+      />
+      <IconButton
+        className={classes.navButton}
+        disabled={navigationDisabled}
+        onClick={onPrevMatch}
+        title={T.translate(`${PREFIX}.prevMatch`).toString()}
+        data-testid="log-viewer-search-prev"
+      >
+        <KeyboardArrowUp />
+      </IconButton>
+      <IconButton
+        className={classes.navButton}
+        disabled={navigationDisabled}
+        onClick={onNextMatch}
+        title={T.translate(`${PREFIX}.nextMatch`).toString()}
+        data-testid="log-viewer-search-next"
+      >
+        <KeyboardArrowDown />
+      </IconButton>
+      <If condition={!isValid}>
+        <span className={classes.error}>{T.translate(`${PREFIX}.invalidRegex`)}</span>
+      </If>
+    </div>
+  );
+};
+
+const SearchBar = withStyles(styles)(SearchBarView);
+export default SearchBar;
@@ -20,11 +20,20 @@ import DataFetcher from 'components/LogViewer/DataFetcher';
 import Button from '@material-ui/core/Button';
 import classnames from 'classnames';
 import ArrowDownward from '@material-ui/icons/ArrowDownward';
+import Pause from '@material-ui/icons/Pause';
 import If from 'components/shared/If';
 import ArrowDropDown from '@material-ui/icons/ArrowDropDown';
 import Popover from 'components/shared/Popover';
 import IconSVG from 'components/shared/IconSVG';
 import LoadingSVG from 'components/shared/LoadingSVG';
+import {
+  getDownloadLogsUrl,
+  getLogsZipUrl,
+  getRawLogsUrl,
+} from 'components/LogViewer/downloadLogsUrl';
+import T from 'i18n-react';
+
+const PREFIX = 'features.LogViewer.download';
 
 export const TOP_PANEL_HEIGHT = '50px';
 
@@ -107,6 +116,14 @@ const styles = (theme): StyleRules => {
       borderTopRightRadius: 0,
       borderBottomRightRadius: 0,
     },
+    popoverLinks: {
+      display: 'flex',
+      flexDirection: 'column',
+
+      '& a + a': {
+        marginTop: '5px',
+      },
+    },
     dropdownBtn: {
       borderTopLeftRadius: 0,
       borderBottomLeftRadius: 0,
@@ -128,6 +145,10 @@ interface ITopPanelProps extends WithStyles<typeof styles> {
   loading: boolean;
   getLatestLogs: () => void;
   setSystemLogs: (includeSystemLogs: boolean) => void;
+  tailMode?: boolean;
+  pauseTail?: () => void;
+  showErrors: boolean;
+  toggleErrors: () => void;
   onClose?: () => void;
 }
 
@@ -137,6 +158,10 @@ const TopPanelView: React.FC<ITopPanelProps> = ({
   isPolling,
   getLatestLogs,
   setSystemLogs,
+  tailMode,
+  pauseTail,
+  showErrors,
+  toggleErrors,
   onClose,
   loading,
 }) => {
@@ -144,21 +169,31 @@ const TopPanelView: React.FC<ITopPanelProps> = ({
     dataFetcher.getIncludeSystemLogs()
   );
 
-  function getRawLogsBasePath() {
-    const backendUrl = dataFetcher.getRawLogsUrl();
-    const encodedBackendUrl = encodeURIComponent(backendUrl);
+  function getViewRawLogsUrl() {
+    return getRawLogsUrl(dataFetcher.getRawLogsUrl());
+  }
 
-    const url = `/downloadLogs?backendPath=${encodedBackendUrl}`;
-    return url;
+  function getDownloadAllUrl(gzip = false) {
+    return getDownloadLogsUrl(dataFetcher.getRawLogsUrl(), dataFetcher.getDownloadFileName(), {
+      gzip,
+    });
   }
 
-  function getRawLogsUrl() {
-    return `${getRawLogsBasePath()}&type=raw`;
+  // the level and origins are filtered by the backend, and the search by the UI server
+  function getDownloadFilteredUrl() {
+    return getDownloadLogsUrl(
+      dataFetcher.getRawLogsUrl(true),
+      dataFetcher.getDownloadFileName(true),
+      {
+        search: dataFetcher.getSearch(),
+      }
+    );
   }
 
-  function getDownloadLogsUrl() {
-    const fileName = dataFetcher.getDownloadFileName();
-    return `${getRawLogsBasePath()}&type=download&filename=${fileName}.log`;
+  const zipEntries = dataFetcher.getLogsZipEntries ? dataFetcher.getLogsZipEntries() : [];
+
+  function getDownloadZipUrl() {
+    return getLogsZipUrl(zipEntries, `${dataFetcher.getDownloadFileName()}-stages`);
   }
 
   function handleToggleSystemLogs() {
@@ -174,29 +209,58 @@ const TopPanelView: React.FC<ITopPanelProps> = ({
           <LoadingSVG />
         </div>
       </If>
+      <If condition={!tailMode}>
+        <Button
+          variant="contained"
+          className={classnames(classes.actionButton, { [classes.disabled]: isPolling })}
+          disabled={isPolling}
+          onClick={getLatestLogs}
+          data-testid="scroll-to-latest"
+        >
+          Scroll to Latest Logs
+          <ArrowDownward className={classes.downArrow} />
+        </Button>
+      </If>
+      <If condition={!!tailMode}>
+        <Button
+          variant="contained"
+          className={classes.actionButton}
+          onClick={isPolling ? pauseTail : getLatestLogs}
+          data-testid="log-viewer-tail-toggle"
+        >
+          {isPolling
+            ? T.translate('features.LogViewer.tail.pause')
+            : T.translate('features.LogViewer.tail.follow')}
+          {isPolling ? (
+            <Pause className={classes.downArrow} />
+          ) : (
+            <ArrowDownward className={classes.downArrow} />
+          )}
+        </Button>
+      </If>
       <Button
         variant="contained"
-        className={classnames(classes.actionButton, { [classes.disabled]: isPolling })}
-        disabled={isPolling}
-        onClick={getLatestLogs}
-        data-testid="scroll-to-latest"
+        className={classes.actionButton}
+        onClick={handleToggleSystemLogs}
+        data-testid="view-advanced-logs"
       >
-        Scroll to Latest Logs
-        <ArrowDownward className={classes.downArrow} />
+        {includeSystemLogs ? 'Hide' : 'View'} Advanced Logs
       </Button>
       <Button
         variant="contained"
         className={classes.actionButton}
-        onClick={handleToggleSystemLogs}
-        data-testid="view-advanced-logs"
+        onClick={toggleErrors}
+        data-testid="log-viewer-errors-toggle"
       >
-        {includeSystemLogs ? 'Hide' : 'View'} Advanced Logs
+        {showErrors
+          ? T.translate('features.LogViewer.errors.hide')
+          : T.translate('features.LogViewer.errors.show')}
       </Button>
       <div className={classes.btnGroup}>
         <Button
           variant="contained"
           className={`${classes.actionButton} ${classes.downloadBtn}`}
-          href={getDownloadLogsUrl()}
+          href={getDownloadAllUrl()}
           target="_blank"
           data-testid="download-all"
         >
@@ -223,9 +287,22 @@ const TopPanelView: React.FC<ITopPanelProps> = ({
           placement="bottom"
           showOn="Click"
         >
-          <a href={getRawLogsUrl()} target="_blank">
-            View Raw Logs
-          </a>
+          <div className={classes.popoverLinks}>
+            <a href={getViewRawLogsUrl()} target="_blank">
+              View Raw Logs
+            </a>
+            <a href={getDownloadFilteredUrl()} target="_blank" data-testid="download-filtered">
+              {T.translate(`${PREFIX}.filtered`)}
+            </a>
+            <a href={getDownloadAllUrl(true)} target="_blank" data-testid="download-gzip">
+              {T.translate(`${PREFIX}.gzip`)}
+            </a>
+            <If condition={zipEntries.length > 0}>
+              <a href={getDownloadZipUrl()} target="_blank" data-testid="download-stages">
+                {T.translate(`${PREFIX}.stages`)}
+              </a>
+            </If>
+          </div>
         </Popover>
       </div>
       <If condition={typeof onClose === 'function'}>
@@ -0,0 +1,60 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import {
+  getDownloadLogsUrl,
+  getLogsZipUrl,
+  getRawLogsUrl,
+} from 'components/LogViewer/downloadLogsUrl';
+import { LogLevel } from 'components/LogViewer/types';
+
+const LOGS_PATH = '/v3/namespaces/default/apps/app/workflows/wf/runs/run-1/logs?escape=false';
+
+describe('LogViewer - download logs url', () => {
+  it('should encode the backend path', () => {
+    expect(getRawLogsUrl(LOGS_PATH)).toBe(
+      `/downloadLogs?backendPath=${encodeURIComponent(LOGS_PATH)}&type=raw`
+    );
+  });
+
+  it('should pass the search and compression to the server', () => {
+    const url = getDownloadLogsUrl(LOGS_PATH, 'run-1', {
+      search: { query: 'a b', isRegex: true, logger: 'spark' },
+      gzip: true,
+    });
+    expect(url).toBe(
+      `/downloadLogs?backendPath=${encodeURIComponent(LOGS_PATH)}&type=download` +
+        '&filename=run-1.log&search=a%20b&regex=true&logger=spark&compress=gzip'
+    );
+  });
+
+  it('should add every run to the zip url', () => {
+    const url = getLogsZipUrl(
+      [
+        { backendPath: LOGS_PATH, name: 'run-1.log' },
+        { backendPath: LOGS_PATH, name: 'run-2.log' },
+      ],
+      'logs',
+      { logLevel: LogLevel.WARN, gzip: true }
+    );
+    const params = url.split('?')[1].split('&');
+    expect(params.filter((param) => param.startsWith('backendPath=')).length).toBe(2);
+    expect(params).toContain('entryName=run-2.log');
+    expect(params).toContain('type=zip');
+    expect(params).toContain('logLevel=WARN');
+    expect(params).not.toContain('compress=gzip');
+  });
+});
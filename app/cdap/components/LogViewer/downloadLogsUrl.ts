@@ -0,0 +1,139 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import { ILogSearch, LogLevel } from 'components/LogViewer/types';
+
+/**
+ * Filters applied by the UI server while streaming the logs, see server/log-download.js.
+ * The log level is only needed when the backend path is not already filtered by level.
+ */
+export interface ILogDownloadOptions {
+  search?: ILogSearch;
+  logLevel?: LogLevel;
+  // time range, in seconds
+  start?: number;
+  stop?: number;
+  gzip?: boolean;
+}
+
+export interface ILogsZipEntry {
+  backendPath: string;
+  // file name of the logs in the zip
+  name: string;
+}
+
+export function getProgramRunLogsPath(
+  namespace: string,
+  application: string,
+  programType: string,
+  programName: string,
+  runId: string
+): string {
+  const urlComponents = [
+    '/v3',
+    'namespaces',
+    namespace,
+    'apps',
+    application,
+    programType,
+    programName,
+    'runs',
+    runId,
+    'logs?escape=false',
+  ];
+
+  return urlComponents.join('/');
+}
+
+function getOptionParams(options: ILogDownloadOptions): string[] {
+  const params: Record<string, string | number> = {};
+  const { search } = options;
+
+  if (search && search.query) {
+    params.search = search.query;
+    if (search.isRegex) {
+      params.regex = 'true';
+    }
+  }
+  if (search && search.logger) {
+    params.logger = search.logger;
+  }
+  if (options.logLevel) {
+    params.logLevel = options.logLevel;
+  }
+  if (typeof options.start === 'number') {
+    params.start = options.start;
+  }
+  if (typeof options.stop === 'number') {
+    params.stop = options.stop;
+  }
+  if (options.gzip) {
+    params.compress = 'gzip';
+  }
+
+  return Object.keys(params).map((key) => `${key}=${encodeURIComponent(params[key])}`);
+}
+
+function getUrl(params: string[]): string {
+  return `/downloadLogs?${params.join('&')}`;
+}
+
+export function getRawLogsUrl(backendPath: string, options: ILogDownloadOptions = {}): string {
+  return getUrl([
+    `backendPath=${encodeURIComponent(backendPath)}`,
+    'type=raw',
+    ...getOptionParams(options),
+  ]);
+}
+
+/**
+ * @param fileName name of the downloaded file, without extension
+ */
+export function getDownloadLogsUrl(
+  backendPath: string,
+  fileName: string,
+  options: ILogDownloadOptions = {}
+): string {
+  return getUrl([
+    `backendPath=${encodeURIComponent(backendPath)}`,
+    'type=download',
+    `filename=${encodeURIComponent(`${fileName}.log`)}`,
+    ...getOptionParams(options),
+  ]);
+}
+
+/**
+ * Url to download the logs of several runs as a single zip file.
+ *
+ * @param fileName name of the downloaded file, without extension
+ */
+export function getLogsZipUrl(
+  entries: ILogsZipEntry[],
+  fileName: string,
+  options: ILogDownloadOptions = {}
+): string {
+  const entryParams = entries.map(
+    ({ backendPath, name }) =>
+      `backendPath=${encodeURIComponent(backendPath)}&entryName=${encodeURIComponent(name)}`
+  );
+
+  return getUrl([
+    ...entryParams,
+    'type=zip',
+    `filename=${encodeURIComponent(`${fileName}.zip`)}`,
+    ...getOptionParams({ ...options, gzip: false }),
+  ]);
+}
@@ -15,8 +15,23 @@
  */
 
 import * as React from 'react';
-import { ILogResponse, LogLevel as LogLevelEnum } from 'components/LogViewer/types';
+import {
+  ILogResponse,
+  ILogSearch,
+  IncompleteSearch,
+  LogLevel as LogLevelEnum,
+} from 'components/LogViewer/types';
 import TopPanel, { TOP_PANEL_HEIGHT } from 'components/LogViewer/TopPanel';
+import SearchBar, { SEARCH_BAR_HEIGHT } from 'components/LogViewer/SearchBar';
+import ErrorsPanel from 'components/LogViewer/ErrorsPanel';
+import {
+  getLogMatcher,
+  getSearchPattern,
+  isSearchActive,
+  MAX_SEARCH_PAGES,
+} from 'components/LogViewer/DataFetcher/logSearch';
+import Button from '@material-ui/core/Button';
+import If from 'components/shared/If';
 import withStyles, { StyleRules, WithStyles } from '@material-ui/core/styles/withStyles';
 import Alert from 'components/shared/Alert';
 import DataFetcher from 'components/LogViewer/DataFetcher';
@@ -58,11 +73,39 @@ const styles = (theme): StyleRules => {
       fontWeight: 'bold',
       lineHeight: GRID_HEADER_HEIGHT,
     },
+    body: {
+      height: `calc(100% - ${TOP_PANEL_HEIGHT} - ${SEARCH_BAR_HEIGHT})`,
+      display: 'flex',
+    },
+    logsColumn: {
+      flex: 1,
+      minWidth: 0,
+      height: '100%',
+    },
+    logsWrapper: {
+      height: `calc(100% - ${GRID_HEADER_HEIGHT})`,
+      position: 'relative',
+    },
     logsContainer: {
-      height: `calc(100% - ${TOP_PANEL_HEIGHT} - ${GRID_HEADER_HEIGHT})`,
+      height: '100%',
       overflowY: 'auto',
       borderBottom: `1px solid ${theme.palette.grey[200]}`,
     },
+    newLinesBadge: {
+      position: 'absolute',
+      bottom: '15px',
+      left: '50%',
+      transform: 'translateX(-50%)',
+      borderRadius: '15px',
+      textTransform: 'none',
+      color: theme.palette.white[50],
+      backgroundColor: theme.palette.blue[100],
+      boxShadow: theme.shadows[3],
+
+      '&:hover': {
+        backgroundColor: theme.palette.blue[100],
+      },
+    },
     indicator: {
       height: '1px',
       content: '',
@@ -77,12 +120,23 @@ const styles = (theme): StyleRules => {
     noLogsMessage: {
       textAlign: 'center',
     },
+    continueSearch: {
+      textAlign: 'center',
+      padding: '5px 0',
+      color: theme.palette.grey[100],
+    },
+    continueSearchButton: {
+      textTransform: 'none',
+      marginLeft: '5px',
+    },
   };
 };
 
 interface ILogViewerProps extends WithStyles<typeof styles> {
   dataFetcher: DataFetcher;
   stopPoll?: boolean;
+  // follows the logs of a running program: polls more often, and counts the new lines while paused
+  tailMode?: boolean;
   onClose?: () => void;
 }
 
@@ -92,11 +146,17 @@ interface ILogViewerState {
   isPolling: boolean;
   error?: string;
   initLoading: boolean;
+  searchPattern: RegExp;
+  activeLogOffset: string;
+  newLinesCount: number;
+  showErrors: boolean;
+  incompleteSearch: IncompleteSearch;
 }
 
 const MAX_LOG_ROWS = 100;
 const SCROLL_BUFFER = 10;
 const POLL_FREQUENCY = 5000;
+const TAIL_POLL_FREQUENCY = 2000;
 
 class LogViewerView extends React.PureComponent<ILogViewerProps, ILogViewerState> {
   private bottomIndicator;
@@ -105,6 +165,9 @@ class LogViewerView extends React.PureComponent<ILogViewerProps, ILogViewerState
   private pollTimeout;
   private scrollPosition = 0;
   private topIndicator;
+  private isWatchingNewLines = false;
+  private newLinesFrom: ILogResponse;
+  private newLinesTimeout;
 
   public constructor(props) {
     super(props);
@@ -119,12 +182,27 @@ class LogViewerView extends React.PureComponent<ILogViewerProps, ILogViewerState
     isPolling: true,
     error: null,
     initLoading: true,
+    searchPattern: getSearchPattern(this.props.dataFetcher.getSearch()),
+    activeLogOffset: null,
+    newLinesCount: 0,
+    showErrors: false,
+    incompleteSearch: null,
   };
 
   public componentDidMount() {
     this.init();
   }
 
+  public componentWillUnmount() {
+    clearTimeout(this.pollTimeout);
+    clearTimeout(this.newLinesTimeout);
+    this.isWatchingNewLines = false;
+  }
+
+  private getPollFrequency = () => {
+    return this.props.tailMode ? TAIL_POLL_FREQUENCY : POLL_FREQUENCY;
+  };
+
   private init() {
     this.props.dataFetcher.init().subscribe(this.processFirstResponse, this.processError);
   }
@@ -134,6 +212,7 @@ class LogViewerView extends React.PureComponent<ILogViewerProps, ILogViewerState
       {
         logs: response,
         initLoading: false,
+        incompleteSearch: this.props.dataFetcher.getIncompleteSearch(),
       },
       () => {
         if (!this.state.isPolling) {
@@ -145,7 +224,7 @@ class LogViewerView extends React.PureComponent<ILogViewerProps, ILogViewerState
         this.setIntersectionObserver();
 
         this.setState({ isFetching: false });
-        this.pollTimeout = setTimeout(this.startPoll, POLL_FREQUENCY);
+        this.pollTimeout = setTimeout(this.startPoll, this.getPollFrequency());
       }
     );
   };
@@ -198,7 +277,7 @@ class LogViewerView extends React.PureComponent<ILogViewerProps, ILogViewerState
     const currentScroll = logsContainer.scrollTop;
 
     if (currentScroll < this.scrollPosition - SCROLL_BUFFER) {
-      this.stopPoll();
+      this.pauseTail();
     }
 
     this.scrollPosition = currentScroll;
@@ -240,12 +319,13 @@ class LogViewerView extends React.PureComponent<ILogViewerProps, ILogViewerState
       this.setState(
         {
           isFetching: false,
+          incompleteSearch: this.props.dataFetcher.getIncompleteSearch(),
         },
         () => {
           this.scrollToBottom();
           this.trimTopExcessLogs();
 
-          this.pollTimeout = setTimeout(this.startPoll, POLL_FREQUENCY);
+          this.pollTimeout = setTimeout(this.startPoll, this.getPollFrequency());
         }
       );
     }, this.processError);
@@ -265,6 +345,60 @@ class LogViewerView extends React.PureComponent<ILogViewerProps, ILogViewerState
     }
   };
 
+  private pauseTail = () => {
+    const wasFollowing = this.state.isPolling;
+    this.stopPoll();
+
+    if (wasFollowing) {
+      this.watchNewLines();
+    }
+  };
+
+  // While paused, the logs after the last followed log are only counted, so that they do not
+  // move the view. They are loaded when the user follows the logs again.
+  private watchNewLines = () => {
+    if (!this.props.tailMode || this.isWatchingNewLines) {
+      return;
+    }
+
+    this.isWatchingNewLines = true;
+    this.newLinesFrom = this.state.logs[this.state.logs.length - 1];
+    this.newLinesTimeout = setTimeout(this.checkNewLines, TAIL_POLL_FREQUENCY);
+  };
+
+  private checkNewLines = () => {
+    this.props.dataFetcher.getLogsAfter(this.newLinesFrom).subscribe((res) => {
+      if (!this.isWatchingNewLines) {
+        return;
+      }
+
+      if (res.length > 0) {
+        this.newLinesFrom = res[res.length - 1];
+        const matchesSearch = getLogMatcher(this.props.dataFetcher.getSearch());
+        this.setState({
+          newLinesCount: this.state.newLinesCount + res.filter(matchesSearch).length,
+        });
+      }
+
+      if (!this.props.tailMode) {
+        // the program is not running anymore
+        this.isWatchingNewLines = false;
+        return;
+      }
+      this.newLinesTimeout = setTimeout(this.checkNewLines, TAIL_POLL_FREQUENCY);
+    }, this.stopWatchingNewLines);
+  };
+
+  private stopWatchingNewLines = () => {
+    clearTimeout(this.newLinesTimeout);
+    this.newLinesTimeout = null;
+    this.isWatchingNewLines = false;
+
+    if (this.state.newLinesCount > 0) {
+      this.setState({ newLinesCount: 0 });
+    }
+  };
+
   private fetchPrev = debounce(() => {
     if (this.state.isFetching || this.state.isPolling) {
       return;
@@ -283,6 +417,7 @@ class LogViewerView extends React.PureComponent<ILogViewerProps, ILogViewerState
       this.setState(
         {
           isFetching: false,
+          incompleteSearch: this.props.dataFetcher.getIncompleteSearch(),
         },
         () => {
           // maintaining scroll position
@@ -319,6 +454,7 @@ class LogViewerView extends React.PureComponent<ILogViewerProps, ILogViewerState
       this.setState(
         {
           isFetching: false,
+          incompleteSearch: this.props.dataFetcher.getIncompleteSearch(),
         },
         this.trimTopExcessLogs
       );
@@ -355,6 +491,7 @@ class LogViewerView extends React.PureComponent<ILogViewerProps, ILogViewerState
     }
     this.stopScrollWatch();
     this.stopPoll();
+    this.stopWatchingNewLines();
   };
 
   private getLatestLogs = () => {
@@ -406,6 +543,162 @@ class LogViewerView extends React.PureComponent<ILogViewerProps, ILogViewerState
     );
   };
 
+  private setSearch = (search: ILogSearch) => {
+    this.cleanUpWatchers();
+
+    this.setState(
+      {
+        isFetching: true,
+        isPolling: true,
+        initLoading: true,
+        searchPattern: getSearchPattern(search),
+        activeLogOffset: null,
+      },
+      () => {
+        this.props.dataFetcher
+          .setSearch(search)
+          .subscribe(this.processFirstResponse, this.processError);
+      }
+    );
+  };
+
+  private scrollToActiveLog = () => {
+    const logsContainer = this.logsContainer.current;
+    const rows: HTMLElement[] = Array.from(logsContainer.querySelectorAll('[data-offset]'));
+    const activeRow = rows.find((row) => row.dataset.offset === this.state.activeLogOffset);
+    if (activeRow) {
+      activeRow.scrollIntoView({ block: 'center' });
+      this.scrollPosition = logsContainer.scrollTop;
+    }
+  };
+
+  // With a search, every displayed log is a match. Jumping moves through the displayed logs, and
+  // loads the page with the adjacent match once the first or last displayed log is reached.
+  private jumpToMatch = (direction: 'next' | 'prev') => {
+    if (this.state.isFetching) {
+      return;
+    }
+    this.pauseTail();
+
+    const { logs, activeLogOffset } = this.state;
+    const activeIndex = logs.findIndex((logObj) => logObj.offset === activeLogOffset);
+    let targetIndex;
+    if (activeIndex === -1) {
+      targetIndex = direction === 'next' ? 0 : logs.length - 1;
+    } else {
+      targetIndex = direction === 'next' ? activeIndex + 1 : activeIndex - 1;
+    }
+
+    if (targetIndex >= 0 && targetIndex < logs.length) {
+      this.setState({ activeLogOffset: logs[targetIndex].offset }, this.scrollToActiveLog);
+      return;
+    }
+
+    this.setState({ isFetching: true });
+    const request =
+      direction === 'next' ? this.props.dataFetcher.getNext() : this.props.dataFetcher.getPrev();
+
+    request.subscribe((res) => {
+      if (res.length === 0) {
+        this.setState({
+          isFetching: false,
+          incompleteSearch: this.props.dataFetcher.getIncompleteSearch(),
+        });
+        return;
+      }
+
+      const activeMatch = direction === 'next' ? res[0] : res[res.length - 1];
+      this.props.dataFetcher.onLogsTrim(res[0], res[res.length - 1]);
+      this.setState(
+        {
+          logs: res,
+          isFetching: false,
+          activeLogOffset: activeMatch.offset,
+          incompleteSearch: this.props.dataFetcher.getIncompleteSearch(),
+        },
+        this.scrollToActiveLog
+      );
+    }, this.processError);
+  };
+
+  private continueSearch = () => {
+    const direction = this.state.incompleteSearch;
+    if (this.state.isFetching || !direction) {
+      return;
+    }
+    this.pauseTail();
+    this.setState({ isFetching: true });
+
+    this.props.dataFetcher.continueSearch().subscribe((res) => {
+      const logs = direction === 'prev' ? res.concat(this.state.logs) : this.state.logs.concat(res);
+      const trimmedLogs =
+        direction === 'prev' ? logs.slice(0, MAX_LOG_ROWS) : logs.slice(-MAX_LOG_ROWS);
+      if (trimmedLogs.length > 0) {
+        this.props.dataFetcher.onLogsTrim(trimmedLogs[0], trimmedLogs[trimmedLogs.length - 1]);
+      }
+      this.setState({
+        logs: trimmedLogs,
+        isFetching: false,
+        initLoading: false,
+        incompleteSearch: this.props.dataFetcher.getIncompleteSearch(),
+      });
+    }, this.processError);
+  };
+
+  private renderContinueSearch(direction: IncompleteSearch) {
+    if (this.state.incompleteSearch !== direction) {
+      return null;
+    }
+    const { classes } = this.props;
+    return (
+      <div className={classes.continueSearch} data-testid="log-viewer-continue-search">
+        {T.translate('features.LogViewer.search.incomplete', { count: MAX_SEARCH_PAGES })}
+        <Button
+          color="primary"
+          size="small"
+          className={classes.continueSearchButton}
+          onClick={this.continueSearch}
+          disabled={this.state.isFetching}
+        >
+          {T.translate('features.LogViewer.search.continue')}
+        </Button>
+      </div>
+    );
+  }
+
+  private toggleErrors = () => {
+    this.setState({ showErrors: !this.state.showErrors });
+  };
+
+  // loads the logs around the given log, e.g. an occurrence selected in the errors panel
+  private jumpToLog = (log: ILogResponse) => {
+    this.cleanUpWatchers();
+
+    this.setState(
+      {
+        isFetching: true,
+        isPolling: false,
+      },
+      () => {
+        this.props.dataFetcher.getLogsAround(log).subscribe((res) => {
+          this.setState(
+            {
+              logs: res,
+              isFetching: false,
+              initLoading: false,
+              activeLogOffset: log.offset,
+            },
+            () => {
+              this.scrollToActiveLog();
+              this.watchScroll();
+              this.setIntersectionObserver();
+            }
+          );
+        }, this.processError);
+      }
+    );
+  };
+
   private renderContent() {
     const { classes } = this.props;
     if (this.state.initLoading) {
@@ -417,11 +710,19 @@ class LogViewerView extends React.PureComponent<ILogViewerProps, ILogViewerState
     }
 
     if (this.state.logs.length === 0) {
+      // a search that stopped early has not found matches yet, rather than no matches
+      if (this.state.incompleteSearch) {
+        return this.renderContinueSearch(this.state.incompleteSearch);
+      }
       return (
         <div className={classes.noLogsContainer}>
           <Heading
             type={HeadingTypes.h4}
-            label={T.translate('features.LogViewer.noLogsMessage')}
+            label={
+              isSearchActive(this.props.dataFetcher.getSearch())
+                ? T.translate('features.LogViewer.noMatchesMessage')
+                : T.translate('features.LogViewer.noLogsMessage')
+            }
             className={classes.noLogsMessage}
           />
         </div>
@@ -430,9 +731,18 @@ class LogViewerView extends React.PureComponent<ILogViewerProps, ILogViewerState
 
     return (
       <React.Fragment>
+        {this.renderContinueSearch('prev')}
         {this.state.logs.map((logObj, i) => {
-          return <LogRow key={`${logObj.offset}-${i}`} logObj={logObj} />;
+          return (
+            <LogRow
+              key={`${logObj.offset}-${i}`}
+              logObj={logObj}
+              searchPattern={this.state.searchPattern}
+              isActive={logObj.offset === this.state.activeLogOffset}
+            />
+          );
         })}
+        {this.renderContinueSearch('next')}
       </React.Fragment>
     );
   }
@@ -446,25 +756,62 @@ class LogViewerView extends React.PureComponent<ILogViewerProps, ILogViewerState
           isPolling={this.state.isPolling}
           getLatestLogs={this.getLatestLogs}
           setSystemLogs={this.setIncludeSystemLogs}
+          tailMode={this.props.tailMode}
+          pauseTail={this.pauseTail}
+          showErrors={this.state.showErrors}
+          toggleErrors={this.toggleErrors}
           onClose={this.props.onClose}
           loading={this.state.isFetching}
         />
-        <div className={classes.logsTableHeader}>
-          <div className={classes.cell}>Time</div>
-          <div className={classes.cell}>
-            <LogLevel dataFetcher={this.props.dataFetcher} changeLogLevel={this.changeLogLevel} />
+        <SearchBar
+          dataFetcher={this.props.dataFetcher}
+          onSearch={this.setSearch}
+          onPrevMatch={() => this.jumpToMatch('prev')}
+          onNextMatch={() => this.jumpToMatch('next')}
+          loading={this.state.isFetching}
+        />
+        <div className={classes.body}>
+          <div className={classes.logsColumn}>
+            <div className={classes.logsTableHeader}>
+              <div className={classes.cell}>Time</div>
+              <div className={classes.cell}>
+                <LogLevel
+                  dataFetcher={this.props.dataFetcher}
+                  changeLogLevel={this.changeLogLevel}
+                />
+              </div>
+              <div className={classes.cell}>Message</div>
+            </div>
+            <div className={classes.logsWrapper}>
+              <div
+                className={classes.logsContainer}
+                ref={this.logsContainer}
+                data-cy="log-viewer-content"
+                data-testid="log-viewer-content"
+              >
+                <div ref={this.topIndicator} className={classes.indicator} />
+                {this.renderContent()}
+                <div ref={this.bottomIndicator} className={classes.indicator} id="bottom" />
+              </div>
+              <If condition={this.state.newLinesCount > 0}>
+                <Button
+                  variant="contained"
+                  className={classes.newLinesBadge}
+                  onClick={this.getLatestLogs}
+                  data-testid="log-viewer-new-lines"
+                >
+                  {T.translate('features.LogViewer.newLines', { count: this.state.newLinesCount })}
+                </Button>
+              </If>
+            </div>
           </div>
-          <div className={classes.cell}>Message</div>
-        </div>
-        <div
-          className={classes.logsContainer}
-          ref={this.logsContainer}
-          data-cy="log-viewer-content"
-          data-testid="log-viewer-content"
-        >
-          <div ref={this.topIndicator} className={classes.indicator} />
-          {this.renderContent()}
-          <div ref={this.bottomIndicator} className={classes.indicator} id="bottom" />
+          <If condition={this.state.showErrors}>
+            <ErrorsPanel
+              dataFetcher={this.props.dataFetcher}
+              onSelectLog={this.jumpToLog}
+              onClose={this.toggleErrors}
+            />
+          </If>
         </div>
 
         <Alert
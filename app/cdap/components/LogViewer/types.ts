@@ -46,3 +46,14 @@ export enum LogLevel {
   DEBUG = 'DEBUG',
   TRACE = 'TRACE',
 }
+
+// direction in which a search stopped after MAX_SEARCH_PAGES pages without finding a match
+export type IncompleteSearch = 'next' | 'prev' | null;
+
+export interface ILogSearch {
+  // text to look for in the log message and stack trace
+  query: string;
+  isRegex: boolean;
+  // matched against the logger and class name of the log
+  logger: string;
+}
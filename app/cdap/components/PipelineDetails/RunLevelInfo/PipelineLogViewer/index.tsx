@@ -52,6 +52,7 @@ interface ILogViewerProps extends WithStyles<typeof styles> {
   };
   appId: string;
   artifactName: string;
+  stageNames: string[];
   toggleLogViewer: () => void;
 }
 
@@ -60,6 +61,7 @@ const LogViewerContainer: React.FC<ILogViewerProps> = ({
   currentRun,
   appId,
   artifactName,
+  stageNames,
   toggleLogViewer,
 }) => {
   const backgroundElem = React.useRef(null);
@@ -72,7 +74,8 @@ const LogViewerContainer: React.FC<ILogViewerProps> = ({
         programName: GLOBALS.programId[artifactName],
         runId: currentRun.runid,
       },
-      PIPELINE_LOGS_FILTER
+      PIPELINE_LOGS_FILTER,
+      stageNames
     )
   );
 
@@ -100,6 +103,7 @@ const mapStateToProps = (state) => {
     currentRun: state.currentRun,
     appId: state.name,
     artifactName: state.artifact.name,
+    stageNames: (state.config.stages || []).map((stage) => stage.name),
   };
 };
 
@@ -0,0 +1,142 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import React from 'react';
+import styled from 'styled-components';
+import T from 'i18n-react';
+import {
+  DiffStatus,
+  DIFF_NODE_HEIGHT,
+  DIFF_NODE_WIDTH,
+  IPipelineDiff,
+  getDiffGraph,
+} from './diffPipelines';
+
+const PREFIX = 'features.PipelineHistory.diff';
+
+export const DIFF_STATUS_COLORS: Record<DiffStatus, string> = {
+  added: '#389e0d',
+  removed: '#d40001',
+  changed: '#f29900',
+  unchanged: '#999999',
+};
+
+const GraphContainer = styled.div`
+  overflow: auto;
+  max-height: 400px;
+  border: 1px solid #dbdbdb;
+  background-color: #fafafa;
+`;
+
+const Legend = styled.div`
+  margin: 5px 0;
+  span {
+    margin-right: 15px;
+  }
+`;
+
+const LegendColor = styled.span`
+  display: inline-block;
+  width: 10px;
+  height: 10px;
+  margin-right: 5px !important;
+  background-color: ${({ status }) => DIFF_STATUS_COLORS[status]};
+`;
+
+interface IDiffGraphProps {
+  diff: IPipelineDiff;
+}
+
+/**
+ * Draws the stages and connections of both versions. Changed stages and connections
+ * are highlighted, removed ones are dashed.
+ */
+export const DiffGraph = ({ diff }: IDiffGraphProps) => {
+  const { nodes, edges, width, height } = getDiffGraph(diff);
+  const statuses: DiffStatus[] = ['added', 'removed', 'changed', 'unchanged'];
+
+  return (
+    <>
+      <Legend>
+        {statuses.map((status) => (
+          <span key={status}>
+            <LegendColor status={status} />
+            {T.translate(`${PREFIX}.status.${status}`)}
+          </span>
+        ))}
+      </Legend>
+      <GraphContainer>
+        <svg width={width} height={height} data-testid="pipeline-diff-graph">
+          <defs>
+            {statuses.map((status) => (
+              <marker
+                key={status}
+                id={`pipeline-diff-arrow-${status}`}
+                viewBox="0 0 10 10"
+                refX="10"
+                refY="5"
+                markerWidth="6"
+                markerHeight="6"
+                orient="auto"
+              >
+                <path d="M 0 0 L 10 5 L 0 10 z" fill={DIFF_STATUS_COLORS[status]} />
+              </marker>
+            ))}
+          </defs>
+          {edges.map((edge, i) => (
+            <polyline
+              key={`${edge.from}-${edge.to}-${i}`}
+              points={edge.points.map(({ x, y }) => `${x},${y}`).join(' ')}
+              fill="none"
+              stroke={DIFF_STATUS_COLORS[edge.status]}
+              strokeWidth={edge.status === 'unchanged' ? 1 : 2}
+              strokeDasharray={edge.status === 'removed' ? '5,5' : undefined}
+              markerEnd={`url(#pipeline-diff-arrow-${edge.status})`}
+            />
+          ))}
+          {nodes.map((node) => (
+            <g
+              key={node.name}
+              transform={`translate(${node.x - DIFF_NODE_WIDTH / 2}, ${node.y -
+                DIFF_NODE_HEIGHT / 2})`}
+              data-testid={`pipeline-diff-node-${node.name}`}
+            >
+              <title>{node.name}</title>
+              <rect
+                width={DIFF_NODE_WIDTH}
+                height={DIFF_NODE_HEIGHT}
+                rx={4}
+                fill="white"
+                stroke={DIFF_STATUS_COLORS[node.status]}
+                strokeWidth={node.status === 'unchanged' ? 1 : 3}
+                strokeDasharray={node.status === 'removed' ? '5,5' : undefined}
+              />
+              <text
+                x={DIFF_NODE_WIDTH / 2}
+                y={DIFF_NODE_HEIGHT / 2}
+                textAnchor="middle"
+                dominantBaseline="middle"
+                fontSize="12"
+              >
+                {node.name.length > 22 ? `${node.name.slice(0, 20)}...` : node.name}
+              </text>
+            </g>
+          ))}
+        </svg>
+      </GraphContainer>
+    </>
+  );
+};
@@ -0,0 +1,178 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import React from 'react';
+import styled from 'styled-components';
+import T from 'i18n-react';
+import { hasDifferences, IPipelineDiff, IValueChange } from './diffPipelines';
+import { DiffGraph, DIFF_STATUS_COLORS } from './DiffGraph';
+
+const PREFIX = 'features.PipelineHistory.diff';
+
+const Section = styled.div`
+  margin-top: 20px;
+`;
+
+const SectionTitle = styled.h5`
+  border-bottom: 1px solid #dbdbdb;
+  padding-bottom: 5px;
+`;
+
+const StageTitle = styled.div`
+  margin-top: 10px;
+  font-weight: 600;
+`;
+
+const StatusLabel = styled.span`
+  margin-left: 10px;
+  font-weight: normal;
+  color: ${({ status }) => DIFF_STATUS_COLORS[status]};
+`;
+
+const ChangesGrid = styled.div`
+  display: grid;
+  grid-template-columns: 200px 1fr 1fr;
+  border-top: 1px solid #dbdbdb;
+  margin-top: 5px;
+
+  > div {
+    padding: 5px;
+    border-bottom: 1px solid #dbdbdb;
+    overflow-wrap: anywhere;
+  }
+
+  pre {
+    margin: 0;
+    max-height: 200px;
+    overflow: auto;
+    white-space: pre-wrap;
+  }
+`;
+
+const Before = styled.div`
+  background-color: #fff1f0;
+`;
+
+const After = styled.div`
+  background-color: #f6ffed;
+`;
+
+interface IPipelineDiffContentProps {
+  diff: IPipelineDiff;
+  // column headers for the values before and after the change
+  beforeLabel: string;
+  afterLabel: string;
+}
+
+function formatValue(value) {
+  if (value === undefined) {
+    return <em>{T.translate(`${PREFIX}.notSet`)}</em>;
+  }
+  if (typeof value === 'string') {
+    return <pre>{value}</pre>;
+  }
+  return <pre>{JSON.stringify(value, null, 2)}</pre>;
+}
+
+const ChangesTable = ({ changes, beforeLabel, afterLabel }) => (
+  <ChangesGrid>
+    <div>
+      <strong>{T.translate(`${PREFIX}.property`)}</strong>
+    </div>
+    <div>
+      <strong>{beforeLabel}</strong>
+    </div>
+    <div>
+      <strong>{afterLabel}</strong>
+    </div>
+    {changes.map((change: IValueChange) => (
+      <React.Fragment key={change.key}>
+        <div>{change.key}</div>
+        <Before>{formatValue(change.before)}</Before>
+        <After>{formatValue(change.after)}</After>
+      </React.Fragment>
+    ))}
+  </ChangesGrid>
+);
+
+/**
+ * Renders the differences between two pipeline configs: the DAG with changed stages
+ * highlighted, then per-stage property changes, connection changes and configuration changes.
+ */
+export const PipelineDiffContent = ({
+  diff,
+  beforeLabel,
+  afterLabel,
+}: IPipelineDiffContentProps) => {
+  if (!hasDifferences(diff)) {
+    return <div>{T.translate(`${PREFIX}.noDifferences`)}</div>;
+  }
+  const changedStages = diff.stages.filter((stage) => stage.status !== 'unchanged');
+  const changedConnections = diff.connections.filter(
+    (connection) => connection.status !== 'unchanged'
+  );
+  return (
+    <>
+      <DiffGraph diff={diff} />
+      {changedStages.length > 0 && (
+        <Section data-testid="pipeline-diff-stages">
+          <SectionTitle>{T.translate(`${PREFIX}.stages`)}</SectionTitle>
+          {changedStages.map((stage) => (
+            <div key={stage.name}>
+              <StageTitle>
+                {stage.name} ({stage.type})
+                <StatusLabel status={stage.status}>
+                  {T.translate(`${PREFIX}.status.${stage.status}`)}
+                </StatusLabel>
+              </StageTitle>
+              {stage.status === 'changed' && (
+                <ChangesTable
+                  changes={[...stage.pluginChanges, ...stage.propertyChanges]}
+                  beforeLabel={beforeLabel}
+                  afterLabel={afterLabel}
+                />
+              )}
+            </div>
+          ))}
+        </Section>
+      )}
+      {changedConnections.length > 0 && (
+        <Section data-testid="pipeline-diff-connections">
+          <SectionTitle>{T.translate(`${PREFIX}.connections`)}</SectionTitle>
+          {changedConnections.map((connection, i) => (
+            <div key={i}>
+              {connection.from} &rarr; {connection.to}
+              {connection.port && ` (${connection.port})`}
+              <StatusLabel status={connection.status}>
+                {T.translate(`${PREFIX}.status.${connection.status}`)}
+              </StatusLabel>
+            </div>
+          ))}
+        </Section>
+      )}
+      {diff.configChanges.length > 0 && (
+        <Section data-testid="pipeline-diff-config">
+          <SectionTitle>{T.translate(`${PREFIX}.configuration`)}</SectionTitle>
+          <ChangesTable
+            changes={diff.configChanges}
+            beforeLabel={beforeLabel}
+            afterLabel={afterLabel}
+          />
+        </Section>
+      )}
+    </>
+  );
+};
@@ -0,0 +1,130 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import {
+  diffPipelines,
+  flattenConfig,
+  getDiffGraph,
+  hasDifferences,
+} from 'components/PipelineHistory/PipelineDiff/diffPipelines';
+
+const getStage = (name, type, properties = {}, version = '1.0.0') => ({
+  name,
+  plugin: {
+    name,
+    type,
+    label: name,
+    artifact: { name: 'core-plugins', version, scope: 'SYSTEM' },
+    properties,
+  },
+});
+
+const before = {
+  engine: 'spark',
+  resources: { memoryMB: 2048, virtualCores: 1 },
+  driverResources: { memoryMB: 2048, virtualCores: 1 },
+  stages: [
+    getStage('File', 'batchsource', { path: '/tmp/in' }),
+    getStage('Wrangler', 'transform', { directives: 'parse-as-csv :body' }),
+    getStage('BigQuery', 'batchsink', { table: 'out' }),
+  ],
+  connections: [
+    { from: 'File', to: 'Wrangler' },
+    { from: 'Wrangler', to: 'BigQuery' },
+  ],
+  comments: [],
+};
+
+const after = {
+  engine: 'spark',
+  resources: { memoryMB: 4096, virtualCores: 1 },
+  driverResources: { memoryMB: 2048, virtualCores: 1 },
+  stages: [
+    getStage('File', 'batchsource', { path: '/tmp/in' }),
+    getStage('Wrangler', 'transform', { directives: 'parse-as-json :body' }, '1.1.0'),
+    getStage('GCS', 'batchsink', { path: 'gs://bucket' }),
+  ],
+  connections: [
+    { from: 'File', to: 'Wrangler' },
+    { from: 'Wrangler', to: 'GCS' },
+  ],
+  comments: [{ content: 'new comment' }],
+};
+
+describe('PipelineDiff', () => {
+  describe("'flattenConfig' should", () => {
+    it('flatten nested objects and keep arrays as values', () => {
+      expect(flattenConfig({ a: { b: 1, c: { d: 'x' } }, e: [1, 2], f: {} })).toEqual({
+        'a.b': 1,
+        'a.c.d': 'x',
+        e: [1, 2],
+        f: {},
+      });
+    });
+  });
+
+  describe("'diffPipelines' should", () => {
+    const diff = diffPipelines(before, after);
+
+    it('find added, removed, changed and unchanged stages', () => {
+      expect(diff.stages.map(({ name, status }) => ({ name, status }))).toEqual([
+        { name: 'File', status: 'unchanged' },
+        { name: 'Wrangler', status: 'changed' },
+        { name: 'GCS', status: 'added' },
+        { name: 'BigQuery', status: 'removed' },
+      ]);
+    });
+
+    it('list property and plugin changes of changed stages', () => {
+      const wrangler = diff.stages.find((stage) => stage.name === 'Wrangler');
+      expect(wrangler.propertyChanges).toEqual([
+        { key: 'directives', before: 'parse-as-csv :body', after: 'parse-as-json :body' },
+      ]);
+      expect(wrangler.pluginChanges).toEqual([
+        { key: 'artifact.version', before: '1.0.0', after: '1.1.0' },
+      ]);
+    });
+
+    it('find connection changes', () => {
+      expect(diff.connections.map(({ from, to, status }) => ({ from, to, status }))).toEqual([
+        { from: 'File', to: 'Wrangler', status: 'unchanged' },
+        { from: 'Wrangler', to: 'GCS', status: 'added' },
+        { from: 'Wrangler', to: 'BigQuery', status: 'removed' },
+      ]);
+    });
+
+    it('find config changes and ignore comments', () => {
+      expect(diff.configChanges).toEqual([
+        { key: 'resources.memoryMB', before: 2048, after: 4096 },
+      ]);
+    });
+
+    it('report no differences for identical pipelines', () => {
+      expect(hasDifferences(diffPipelines(before, before))).toBe(false);
+      expect(hasDifferences(diff)).toBe(true);
+    });
+  });
+
+  describe("'getDiffGraph' should", () => {
+    it('lay out every stage and connection of both versions', () => {
+      const graph = getDiffGraph(diffPipelines(before, after));
+      expect(graph.nodes.map((node) => node.name)).toEqual(['File', 'Wrangler', 'GCS', 'BigQuery']);
+      expect(graph.edges).toHaveLength(3);
+      graph.edges.forEach((edge) => expect(edge.points.length).toBeGreaterThan(0));
+      expect(graph.width).toBeGreaterThan(0);
+    });
+  });
+});
@@ -0,0 +1,237 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import dagre from 'dagre';
+import isEqual from 'lodash/isEqual';
+import isPlainObject from 'lodash/isPlainObject';
+
+export type DiffStatus = 'added' | 'removed' | 'changed' | 'unchanged';
+
+export interface IValueChange {
+  key: string;
+  before: any;
+  after: any;
+}
+
+export interface IStageDiff {
+  name: string;
+  type: string;
+  status: DiffStatus;
+  pluginChanges: IValueChange[];
+  propertyChanges: IValueChange[];
+}
+
+export interface IConnectionDiff {
+  from: string;
+  to: string;
+  port?: string;
+  condition?: boolean;
+  status: DiffStatus;
+}
+
+export interface IPipelineDiff {
+  stages: IStageDiff[];
+  connections: IConnectionDiff[];
+  configChanges: IValueChange[];
+}
+
+export interface IDiffGraphNode {
+  name: string;
+  status: DiffStatus;
+  x: number;
+  y: number;
+}
+
+export interface IDiffGraphEdge {
+  from: string;
+  to: string;
+  status: DiffStatus;
+  points: Array<{ x: number; y: number }>;
+}
+
+export interface IDiffGraph {
+  nodes: IDiffGraphNode[];
+  edges: IDiffGraphEdge[];
+  width: number;
+  height: number;
+}
+
+// Keys of the pipeline config that are compared separately, or only matter to the studio
+const NON_CONFIG_KEYS = ['stages', 'connections', 'comments'];
+
+export const DIFF_NODE_WIDTH = 160;
+export const DIFF_NODE_HEIGHT = 40;
+
+/**
+ * Flattens nested objects to dot separated keys. Arrays and other values are
+ * kept as they are and compared as a whole.
+ */
+export function flattenConfig(obj: any = {}, prefix = ''): Record<string, any> {
+  return Object.keys(obj || {}).reduce((flattened, key) => {
+    const flattenedKey = prefix ? `${prefix}.${key}` : key;
+    const value = obj[key];
+    if (isPlainObject(value) && Object.keys(value).length > 0) {
+      return { ...flattened, ...flattenConfig(value, flattenedKey) };
+    }
+    return { ...flattened, [flattenedKey]: value };
+  }, {});
+}
+
+/**
+ * Returns the keys whose values differ between before and after, sorted by key.
+ * A key missing on one side is reported with an undefined value.
+ */
+export function diffValues(before: Record<string, any>, after: Record<string, any>) {
+  const keys = Array.from(new Set([...Object.keys(before), ...Object.keys(after)])).sort();
+  return keys
+    .filter((key) => !isEqual(before[key], after[key]))
+    .map((key) => ({ key, before: before[key], after: after[key] }));
+}
+
+function getPluginWithoutProperties(stage) {
+  const { properties, ...plugin } = stage.plugin || ({} as any);
+  return plugin;
+}
+
+function diffStage(name: string, beforeStage, afterStage): IStageDiff {
+  const stage = afterStage || beforeStage;
+  const type = stage.plugin && stage.plugin.type;
+  if (!beforeStage || !afterStage) {
+    return {
+      name,
+      type,
+      status: beforeStage ? 'removed' : 'added',
+      pluginChanges: [],
+      propertyChanges: [],
+    };
+  }
+  const pluginChanges = diffValues(
+    flattenConfig(getPluginWithoutProperties(beforeStage)),
+    flattenConfig(getPluginWithoutProperties(afterStage))
+  );
+  const propertyChanges = diffValues(
+    (beforeStage.plugin && beforeStage.plugin.properties) || {},
+    (afterStage.plugin && afterStage.plugin.properties) || {}
+  );
+  return {
+    name,
+    type,
+    status: pluginChanges.length || propertyChanges.length ? 'changed' : 'unchanged',
+    pluginChanges,
+    propertyChanges,
+  };
+}
+
+function getConnectionKey(connection) {
+  return JSON.stringify([
+    connection.from,
+    connection.to,
+    connection.port || null,
+    typeof connection.condition === 'boolean' ? connection.condition : null,
+  ]);
+}
+
+function diffConnections(beforeConnections = [], afterConnections = []): IConnectionDiff[] {
+  const beforeKeys = new Set(beforeConnections.map(getConnectionKey));
+  const afterKeys = new Set(afterConnections.map(getConnectionKey));
+  const removed = beforeConnections
+    .filter((connection) => !afterKeys.has(getConnectionKey(connection)))
+    .map((connection) => ({ ...connection, status: 'removed' as DiffStatus }));
+  const rest = afterConnections.map((connection) => ({
+    ...connection,
+    status: (beforeKeys.has(getConnectionKey(connection)) ? 'unchanged' : 'added') as DiffStatus,
+  }));
+  return [...rest, ...removed];
+}
+
+/**
+ * Compares two pipeline configs (the 'config' of the pipeline json): stages,
+ * connections and the rest of the configuration (engine, resources, schedule, ...).
+ *
+ * @param before - config of the older version
+ * @param after - config of the newer version
+ */
+export function diffPipelines(before: any = {}, after: any = {}): IPipelineDiff {
+  const beforeStages = new Map<string, any>((before.stages || []).map((s) => [s.name, s]));
+  const afterStages = new Map<string, any>((after.stages || []).map((s) => [s.name, s]));
+  const stageNames = [
+    ...(after.stages || []).map((stage) => stage.name),
+    ...(before.stages || []).map((stage) => stage.name).filter((name) => !afterStages.has(name)),
+  ];
+
+  const configWithoutStages = (config) =>
+    Object.keys(config)
+      .filter((key) => NON_CONFIG_KEYS.indexOf(key) === -1)
+      .reduce((acc, key) => ({ ...acc, [key]: config[key] }), {});
+
+  return {
+    stages: stageNames.map((name) =>
+      diffStage(name, beforeStages.get(name), afterStages.get(name))
+    ),
+    connections: diffConnections(before.connections, after.connections),
+    configChanges: diffValues(
+      flattenConfig(configWithoutStages(before)),
+      flattenConfig(configWithoutStages(after))
+    ),
+  };
+}
+
+export function hasDifferences(diff: IPipelineDiff) {
+  return (
+    diff.configChanges.length > 0 ||
+    diff.stages.some((stage) => stage.status !== 'unchanged') ||
+    diff.connections.some((connection) => connection.status !== 'unchanged')
+  );
+}
+
+/**
+ * Lays out the union of both versions of the pipeline, so that stages and
+ * connections can be drawn with their diff status.
+ */
+export function getDiffGraph(diff: IPipelineDiff): IDiffGraph {
+  const graph = new dagre.graphlib.Graph({ multigraph: true });
+  graph.setGraph({
+    nodesep: 30,
+    ranksep: 60,
+    rankdir: 'LR',
+    marginx: 20,
+    marginy: 20,
+  });
+  graph.setDefaultEdgeLabel(() => ({}));
+  diff.stages.forEach((stage) =>
+    graph.setNode(stage.name, { width: DIFF_NODE_WIDTH, height: DIFF_NODE_HEIGHT })
+  );
+  diff.connections.forEach((connection, i) =>
+    graph.setEdge(connection.from, connection.to, {}, String(i))
+  );
+  dagre.layout(graph);
+
+  const { width, height } = graph.graph();
+  return {
+    nodes: diff.stages.map((stage) => {
+      const { x, y } = graph.node(stage.name);
+      return { name: stage.name, status: stage.status, x, y };
+    }),
+    edges: diff.connections.map((connection, i) => ({
+      from: connection.from,
+      to: connection.to,
+      status: connection.status,
+      points: graph.edge(connection.from, connection.to, String(i)).points,
+    })),
+    width,
+    height,
+  };
+}
@@ -0,0 +1,87 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import React, { useEffect, useState } from 'react';
+import T from 'i18n-react';
+import Dialog from '@material-ui/core/Dialog';
+import DialogActions from '@material-ui/core/DialogActions';
+import DialogContent from '@material-ui/core/DialogContent';
+import DialogTitle from '@material-ui/core/DialogTitle';
+import Button from '@material-ui/core/Button';
+import { Observable } from 'rxjs/Observable';
+import { MyPipelineApi } from 'api/pipeline';
+import { getCurrentNamespace } from 'services/NamespaceStore';
+import LoadingSVG from 'components/shared/LoadingSVG';
+import ErrorBanner from 'components/shared/ErrorBanner';
+import { IPipelineVersion } from '../types';
+import { diffPipelines, IPipelineDiff } from './diffPipelines';
+import { PipelineDiffContent } from './PipelineDiffContent';
+
+const PREFIX = 'features.PipelineHistory.diff';
+
+interface IPipelineDiffProps {
+  pipelineName: string;
+  // the two versions to compare, in any order
+  versions: IPipelineVersion[];
+  onClose: () => void;
+}
+
+const PipelineDiff = ({ pipelineName, versions, onClose }: IPipelineDiffProps) => {
+  const [older, newer] = [...versions].sort((a, b) => Date.parse(a.date) - Date.parse(b.date));
+  const [diff, setDiff] = useState<IPipelineDiff>(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const namespace = getCurrentNamespace();
+    const subscription = Observable.forkJoin(
+      [older, newer].map(({ version }) =>
+        MyPipelineApi.getAppVersion({ namespace, appId: pipelineName, version })
+      )
+    ).subscribe(
+      ([olderApp, newerApp]: any[]) => {
+        setDiff(
+          diffPipelines(JSON.parse(olderApp.configuration), JSON.parse(newerApp.configuration))
+        );
+      },
+      () => {
+        setError(T.translate(`${PREFIX}.fetchFailError`));
+      }
+    );
+    return () => subscription.unsubscribe();
+  }, [older.version, newer.version]);
+
+  return (
+    <Dialog open={true} onClose={onClose} fullWidth maxWidth="lg" data-testid="pipeline-diff-modal">
+      <DialogTitle>
+        {T.translate(`${PREFIX}.title`, { older: older.date, newer: newer.date })}
+      </DialogTitle>
+      <DialogContent>
+        {error && <ErrorBanner error={error} onClose={() => setError(null)} />}
+        {!diff && !error && <LoadingSVG />}
+        {diff && (
+          <PipelineDiffContent diff={diff} beforeLabel={older.date} afterLabel={newer.date} />
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} color="primary">
+          {T.translate(`${PREFIX}.close`)}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default PipelineDiff;
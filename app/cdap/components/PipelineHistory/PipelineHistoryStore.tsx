@@ -28,6 +28,8 @@ interface IState {
   pipelineVersions: IPipelineVersion[];
   ready: boolean;
   pageLimitOptions: number[];
+  // versions picked to be compared, at most 2
+  compareVersions: IPipelineVersion[];
 }
 
 interface IStore {
@@ -87,6 +89,8 @@ const Actions = {
   setVersions: 'PIPELINE_VERSIONS_SET_VERSIONS',
   updateVersions: 'PIPELINE_VERSIONS_UPDATE_PIPELINES',
   setPageLimit: 'PIPELINE_VERSIONS_SET_PAGE_LIMIT',
+  toggleCompareVersion: 'PIPELINE_VERSIONS_TOGGLE_COMPARE_VERSION',
+  clearCompareVersions: 'PIPELINE_VERSIONS_CLEAR_COMPARE_VERSIONS',
 };
 
 const defaultInitialState: IState = {
@@ -97,6 +101,7 @@ const defaultInitialState: IState = {
   pipelineVersions: [],
   ready: false,
   pageLimitOptions: [4, 5, 6, 7, 8, 9],
+  compareVersions: [],
 };
 
 const versions: Reducer<IState> = (state = defaultInitialState, action: IAction) => {
@@ -133,6 +138,23 @@ const versions: Reducer<IState> = (state = defaultInitialState, action: IAction)
         ...state,
         pipelineVersions: action.payload.pipelineVersions,
       };
+    case Actions.toggleCompareVersion:
+      const { pipelineVersion } = action.payload;
+      const isSelected = state.compareVersions.some(
+        (selected) => selected.version === pipelineVersion.version
+      );
+      return {
+        ...state,
+        // picking a third version replaces the first one picked
+        compareVersions: isSelected
+          ? state.compareVersions.filter((selected) => selected.version !== pipelineVersion.version)
+          : [...state.compareVersions, pipelineVersion].slice(-2),
+      };
+    case Actions.clearCompareVersions:
+      return {
+        ...state,
+        compareVersions: [],
+      };
     case Actions.reset:
       return defaultInitialState;
     case Actions.setPageLimit:
@@ -177,6 +199,19 @@ export function setVersions({ pipelineVersions, nextPageToken }) {
   });
 }
 
+export function toggleCompareVersion(pipelineVersion: IPipelineVersion) {
+  Store.dispatch({
+    type: Actions.toggleCompareVersion,
+    payload: { pipelineVersion },
+  });
+}
+
+export function clearCompareVersions() {
+  Store.dispatch({
+    type: Actions.clearCompareVersions,
+  });
+}
+
 export function prevPage() {
   const { previousTokens } = Store.getState().versions;
   if (!previousTokens.length) {
@@ -19,6 +19,8 @@ import T from 'i18n-react';
 import { PipelineHistoryTableRow } from './PipelineHistoryTableRow';
 import ErrorBanner from 'components/shared/ErrorBanner';
 import { IPipelineVersion } from './types';
+import { useSelector } from 'react-redux';
+import { toggleCompareVersion } from './PipelineHistoryStore';
 
 interface IPipelineHistoryTableProps {
   pipelineName: string;
@@ -36,6 +38,9 @@ export const PipelineHistoryTable = ({
   latestVersion,
 }: IPipelineHistoryTableProps) => {
   const [errorMessage, setErrorMessage] = useState(null);
+  const compareVersions: IPipelineVersion[] = useSelector(
+    ({ versions }) => versions.compareVersions
+  );
 
   const renderTableBody = () => {
     return (
@@ -51,6 +56,10 @@ export const PipelineHistoryTable = ({
               setRestoreLoading={setRestoreLoading}
               setErrorMessage={setErrorMessage}
               latestVersion={latestVersion}
+              isSelectedForCompare={compareVersions.some(
+                (selected) => selected.version === pipelineVersion.version
+              )}
+              onToggleCompare={() => toggleCompareVersion(pipelineVersion)}
             />
           );
         })}
@@ -72,6 +81,7 @@ export const PipelineHistoryTable = ({
         {pipelineVersions && (
           <div className="grid-header">
             <div className="grid-row">
+              <strong />
               <strong>{T.translate(`${PREFIX}.date`)}</strong>
               <strong>{T.translate(`${PREFIX}.summary`)}</strong>
               <strong />
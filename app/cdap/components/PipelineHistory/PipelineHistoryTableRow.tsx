@@ -22,6 +22,7 @@ import { getCurrentNamespace } from 'services/NamespaceStore';
 import { getHydratorUrl } from 'services/UiUtils/UrlGenerator';
 import { PrimaryTextLowercaseButton } from 'components/shared/Buttons/PrimaryTextLowercaseButton';
 import { SNAPSHOT_VERSION } from 'services/global-constants';
+import Checkbox from '@material-ui/core/Checkbox';
 
 interface IPipelineHistoryTableRowProps {
   pipelineName: string;
@@ -31,6 +32,8 @@ interface IPipelineHistoryTableRowProps {
   latestVersion: string;
   description?: string;
   date: string;
+  isSelectedForCompare: boolean;
+  onToggleCompare: () => void;
 }
 
 const PREFIX = 'features.PipelineHistory.table';
@@ -47,6 +50,8 @@ export const PipelineHistoryTableRow = ({
   latestVersion,
   description,
   date,
+  isSelectedForCompare,
+  onToggleCompare,
 }: IPipelineHistoryTableRowProps) => {
   const namespace = getCurrentNamespace();
   const pipelineLink = getHydratorUrl({
@@ -109,6 +114,18 @@ export const PipelineHistoryTableRow = ({
   return (
     <>
       <div className="grid-row" data-testid={'pipeline-history-row'}>
+        <div>
+          {appVersion !== SNAPSHOT_VERSION && (
+            <Checkbox
+              size="small"
+              color="primary"
+              checked={isSelectedForCompare}
+              onChange={onToggleCompare}
+              title={T.translate(`${PREFIX}.selectToCompare`).toString()}
+              data-testid="pipeline-history-compare-checkbox"
+            />
+          )}
+        </div>
         <div data-testid="pipeline-history-date">
           {date}
           <VersionDateLabel isLatest={appVersion === latestVersion}>
@@ -29,11 +29,14 @@ import Store, {
   PIPELINE_HISTORY_QUERY,
   setPageLimit,
   setVersions,
+  clearCompareVersions,
 } from './PipelineHistoryStore';
 import SelectWithOptions from 'components/shared/SelectWithOptions';
 import { LoadingAppLevel } from 'components/shared/LoadingAppLevel';
 import { PipelineHistoryTableDiv } from './styles';
 import { MyPipelineApi } from 'api/pipeline';
+import PipelineDiff from './PipelineDiff';
+import { PrimaryTextLowercaseButton } from 'components/shared/Buttons/PrimaryTextLowercaseButton';
 
 const PREFIX = 'features.PipelineHistory';
 
@@ -53,10 +56,18 @@ const PaginationContainer = styled.div`
   }
 `;
 
+const CompareContainer = styled.div`
+  margin-left: 10px;
+  display: inline-block;
+`;
+
 const PipelineHistory = ({ isOpen, toggle, anchorEl, pipelineName }: IPipelineHistoryProps) => {
-  const { ready, pageToken, pageLimit, pipelineVersions } = useSelector(({ versions }) => versions);
+  const { ready, pageToken, pageLimit, pipelineVersions, compareVersions } = useSelector(
+    ({ versions }) => versions
+  );
   const [isRestoreLoading, setIsRestoreLoading] = useState(false);
   const [latestVersion, setLatestVersion] = useState(null);
+  const [isDiffOpen, setIsDiffOpen] = useState(false);
 
   const { loading, error, data, refetch, networkStatus } = useQuery(PIPELINE_HISTORY_QUERY, {
     errorPolicy: 'all',
@@ -153,9 +164,29 @@ const PipelineHistory = ({ isOpen, toggle, anchorEl, pipelineName }: IPipelineHi
               latestVersion={latestVersion}
             />
           )}
+          <CompareContainer>
+            <PrimaryTextLowercaseButton
+              textColor="#0000EE"
+              disabled={compareVersions.length !== 2}
+              onClick={() => setIsDiffOpen(true)}
+              data-testid="pipeline-history-compare"
+            >
+              {T.translate(`${PREFIX}.compare`, { count: compareVersions.length })}
+            </PrimaryTextLowercaseButton>
+          </CompareContainer>
           <Pagination />
         </PipelineHistoryTableDiv>
       </PipelineModeless>
+      {isDiffOpen && (
+        <PipelineDiff
+          pipelineName={pipelineName}
+          versions={compareVersions}
+          onClose={() => {
+            setIsDiffOpen(false);
+            clearCompareVersions();
+          }}
+        />
+      )}
     </>
   );
 };
@@ -23,6 +23,8 @@ import {
   nextPage,
   prevPage,
   setDrafts,
+  subscribeToPipelinesRunStatus,
+  LIST_POLL_INTERVAL,
 } from 'components/PipelineList/DeployedPipelineView/store/ActionCreator';
 import PipelineCount from 'components/PipelineList/DeployedPipelineView/PipelineCount';
 import SearchBox from 'components/PipelineList/DeployedPipelineView/SearchBox';
@@ -126,6 +128,7 @@ const DeployedPipeline: React.FC = () => {
             name
           }
           runs {
+            runid
             status
             starting
           }
@@ -150,23 +153,35 @@ const DeployedPipeline: React.FC = () => {
   const lifecycleManagementEditEnabled = useFeatureFlagDefaultFalse(
     'lifecycle.management.edit.enabled'
   );
+  const runStatusSubscriptionsEnabled = useFeatureFlagDefaultFalse(
+    'pipeline.list.run.status.subscriptions.enabled'
+  );
   const latestOnly = lifecycleManagementEditEnabled ? 'true' : 'false';
   const { ready, search, pageToken, sortOrder, pageLimit } = useSelector(
     ({ deployed }) => deployed
   );
-  const { loading, error, data, refetch, networkStatus } = useQuery(QUERY, {
-    errorPolicy: 'all',
-    fetchPolicy: 'no-cache',
-    notifyOnNetworkStatusChange: true,
-    variables: {
-      nameFilter: search || undefined,
-      orderBy: sortOrder.toUpperCase(),
-      token: pageToken || undefined,
-      pageSize: pageLimit,
-      namespace: getCurrentNamespace(),
-      latestOnly,
-    },
-  });
+  const runStatusSubscriptionError = useSelector(
+    ({ deployed }) => deployed.runStatusSubscriptionError
+  );
+  const pipelineNames = useSelector(({ deployed }) =>
+    (deployed.pipelines || []).map((pipeline) => pipeline.name).join(',')
+  );
+  const { loading, error, data, refetch, networkStatus, startPolling, stopPolling } = useQuery(
+    QUERY,
+    {
+      errorPolicy: 'all',
+      fetchPolicy: 'no-cache',
+      notifyOnNetworkStatusChange: true,
+      variables: {
+        nameFilter: search || undefined,
+        orderBy: sortOrder.toUpperCase(),
+        token: pageToken || undefined,
+        pageSize: pageLimit,
+        namespace: getCurrentNamespace(),
+        latestOnly,
+      },
+    }
+  );
   const bannerMessage = checkError(error);
 
   useEffect(() => {
@@ -185,6 +200,28 @@ const DeployedPipeline: React.FC = () => {
     });
   }, [loading, networkStatus, data]);
 
+  // While the run status subscriptions are active the list is not polled. Once one of
+  // them fails, all of them are ended and the list is polled instead.
+  useEffect(() => {
+    if (!runStatusSubscriptionsEnabled || !ready || runStatusSubscriptionError) {
+      return;
+    }
+    const subscriptions = subscribeToPipelinesRunStatus();
+    return () => {
+      subscriptions.forEach((subscription) => subscription.unsubscribe());
+    };
+  }, [runStatusSubscriptionsEnabled, ready, pipelineNames, runStatusSubscriptionError]);
+
+  useEffect(() => {
+    if (!runStatusSubscriptionError) {
+      return;
+    }
+    startPolling(LIST_POLL_INTERVAL);
+    return () => {
+      stopPolling();
+    };
+  }, [runStatusSubscriptionError]);
+
   if (!data && (loading || networkStatus === 4)) {
     return <LoadingSVGCentered />;
   }
@@ -202,6 +239,9 @@ const DeployedPipeline: React.FC = () => {
         <If condition={!!error && !!bannerMessage}>
           <ErrorBanner canEditPageWhileOpen error={bannerMessage} />
         </If>
+        <If condition={!!runStatusSubscriptionError}>
+          <ErrorBanner canEditPageWhileOpen error={runStatusSubscriptionError} />
+        </If>
         {ready && <PipelineTable refetch={refetch} />}
       </div>
     </>
@@ -24,6 +24,26 @@ import debounce from 'lodash/debounce';
 import { IDraft } from 'components/PipelineList/DraftPipelineView/types';
 import { SourceControlApi } from 'api/sourcecontrol';
 import { getHydratorUrl } from 'services/UiUtils/UrlGenerator';
+import { subscribe } from 'services/GraphQLSubscriptions';
+import { Subscription } from 'rxjs/Subscription';
+
+const PIPELINE_RUN_STATUS_SUBSCRIPTION = `
+  subscription PipelineRunStatus($namespace: String, $pipeline: String!, $artifactName: String) {
+    pipelineRunStatusChanged(
+      namespace: $namespace
+      pipeline: $pipeline
+      artifactName: $artifactName
+    ) {
+      runid
+      status
+      starting
+    }
+  }
+`;
+
+const I18N_PREFIX = 'features.PipelineList.DeployedPipelineView';
+// used instead of the run status subscriptions when they fail
+export const LIST_POLL_INTERVAL = 30000;
 
 export function deletePipeline(pipeline: IPipeline, refetch: () => void) {
   const namespace = getCurrentNamespace();
@@ -267,3 +287,74 @@ export const setPullStatus = (pullStatus) => {
     },
   });
 };
+
+function updatePipelineRunStatus(pipelineName: string, latestRun) {
+  if (!latestRun || !latestRun.runid) {
+    return;
+  }
+  const { pipelines } = Store.getState().deployed;
+  if (!pipelines) {
+    return;
+  }
+
+  const updatedPipelines = pipelines.map((pipeline) => {
+    if (pipeline.name !== pipelineName || pipeline.runs === null) {
+      return pipeline;
+    }
+    const runs = pipeline.runs || [];
+    const { runid, status, starting } = latestRun;
+    if (runs.length && runs[0].runid === runid) {
+      return {
+        ...pipeline,
+        runs: [{ ...runs[0], status, starting }, ...runs.slice(1)],
+      };
+    }
+    return {
+      ...pipeline,
+      runs: [{ runid, status, starting }, ...runs],
+      totalRuns: (pipeline.totalRuns || 0) + 1,
+    };
+  });
+
+  Store.dispatch({
+    type: Actions.updatePipelines,
+    payload: {
+      pipelines: updatedPipelines,
+    },
+  });
+}
+
+/**
+ * Subscribes to the run status of every pipeline in the current page, instead of
+ * relying on the list being refetched. Returns the subscriptions so they can be
+ * ended when the page changes. If a subscription fails, the error is set in the
+ * store and the page falls back to polling the list.
+ */
+export function subscribeToPipelinesRunStatus(): Subscription[] {
+  const { pipelines } = Store.getState().deployed;
+  if (!pipelines) {
+    return [];
+  }
+  const namespace = getCurrentNamespace();
+
+  return pipelines.map((pipeline) =>
+    subscribe(PIPELINE_RUN_STATUS_SUBSCRIPTION, {
+      namespace,
+      pipeline: pipeline.name,
+      artifactName: pipeline.artifact.name,
+    }).subscribe(
+      (data) => updatePipelineRunStatus(pipeline.name, data.pipelineRunStatusChanged),
+      () => {
+        Store.dispatch({
+          type: Actions.setRunStatusSubscriptionError,
+          payload: {
+            runStatusSubscriptionError: T.translate(`${I18N_PREFIX}.runStatusSubscriptionError`, {
+              pipeline: pipeline.name,
+              interval: LIST_POLL_INTERVAL / 1000,
+            }).toString(),
+          },
+        });
+      }
+    )
+  );
+}
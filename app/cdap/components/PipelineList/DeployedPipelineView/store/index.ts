@@ -28,6 +28,7 @@ enum SORT_ORDER {
 
 interface IState {
   deleteError?: string;
+  runStatusSubscriptionError?: string;
   sortColumn: string;
   sortOrder: SORT_ORDER;
   search: string;
@@ -62,6 +63,7 @@ const Actions = {
   reset: 'DEPLOYED_PIPELINE_RESET',
   setPipelines: 'DEPLOYED_PIPELINE_SET_PIPELINES',
   updatePipelines: 'DEPLOYED_PIPELINE_UPDATE_PIPELINES',
+  setRunStatusSubscriptionError: 'DEPLOYED_PIPELINE_SET_RUN_STATUS_SUBSCRIPTION_ERROR',
   setDrafts: 'DEPLOYED_PIPELINE_SET_DRAFTS',
   // Source Control Management
   setPullLoading: 'DEPLOYED_PIPELINE_SET_PULL_LOADING',
@@ -70,6 +72,7 @@ const Actions = {
 
 const defaultInitialState: IState = {
   deleteError: null,
+  runStatusSubscriptionError: null,
   sortColumn: 'name',
   sortOrder: SORT_ORDER.asc,
   search: '',
@@ -157,6 +160,11 @@ const deployed: Reducer<IState> = (state = defaultInitialState, action: IAction)
         ...state,
         pipelines: action.payload.pipelines,
       };
+    case Actions.setRunStatusSubscriptionError:
+      return {
+        ...state,
+        runStatusSubscriptionError: action.payload.runStatusSubscriptionError,
+      };
     case Actions.setDrafts:
       return {
         ...state,
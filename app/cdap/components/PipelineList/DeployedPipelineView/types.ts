@@ -20,6 +20,7 @@ export interface IPipeline {
     name: string;
   };
   runs: Array<{
+    runid?: string;
     status: string;
     starting: string | number;
   }>;
@@ -30,6 +30,8 @@ import {
 } from 'react-vis';
 import moment from 'moment';
 import { getLogViewerPageUrl } from 'components/LogViewer/LogViewerPage';
+import { getLogsZipUrl, getProgramRunLogsPath } from 'components/LogViewer/downloadLogsUrl';
+import { LogLevel } from 'components/LogViewer/types';
 import classnames from 'classnames';
 import T from 'i18n-react';
 import IconSVG from 'components/shared/IconSVG';
@@ -379,6 +381,19 @@ export default class LogsMetricsGraph extends Component {
       />
     );
   }
+  getDownloadLogsUrl() {
+    let { namespaceId, appId, programType, programId } = this.props.runContext;
+    let runsLength = this.props.runs.length;
+    let entries = this.props.runs.map((run, i) => {
+      return {
+        backendPath: getProgramRunLogsPath(namespaceId, appId, programType, programId, run.runid),
+        name: `run-${runsLength - i}-${run.runid}.log`,
+      };
+    });
+    return getLogsZipUrl(entries, `${namespaceId}-${appId}-errors-and-warnings`, {
+      logLevel: LogLevel.WARN,
+    });
+  }
   renderLoading() {
     return <EmptyMessageContainer loading={true} />;
   }
@@ -402,6 +417,17 @@ export default class LogsMetricsGraph extends Component {
         <div className="title-container">
           <div className="title">{T.translate(`${PREFIX}.title`)} </div>
           <div className="viz-switcher">
+            {!this.props.isLoading && this.props.runs.length ? (
+              <a
+                className="download-logs"
+                href={this.getDownloadLogsUrl()}
+                target="_blank"
+                rel="noopener noreferrer"
+              >
+                <IconSVG name="icon-download" />
+                {T.translate(`${PREFIX}.downloadLogs`)}
+              </a>
+            ) : null}
             <span
               className={classnames('chart', { active: this.state.viewState === 'chart' })}
               onClick={() => this.setState({ viewState: 'chart' })}
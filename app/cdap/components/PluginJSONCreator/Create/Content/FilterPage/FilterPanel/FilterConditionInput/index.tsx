@@ -21,11 +21,12 @@ import { List, Map } from 'immutable';
 import { StyleRules, WithStyles, withStyles } from '@material-ui/core/styles';
 import { useFilterState, useWidgetState } from 'components/PluginJSONCreator/Create';
 
-import { CustomOperator } from 'components/shared/ConfigurationGroup/types';
+import { CustomOperator, PluginProperties } from 'components/shared/ConfigurationGroup/types';
 import If from 'components/shared/If';
 import { OPERATOR_VALUES } from 'components/PluginJSONCreator/constants';
 import PluginInput from 'components/PluginJSONCreator/Create/Content/PluginInput';
 import isNil from 'lodash/isNil';
+import { validateFilterExpression } from 'components/shared/ConfigurationGroup/utilities/FilterExpressionValidator';
 
 const styles = (): StyleRules => {
   return {
@@ -72,6 +73,20 @@ const FilterConditionInputview: React.FC<IFilterConditionInputProps> = ({ classe
         .filter((widgetName) => widgetName && widgetName.length > 0)
     : List([]);
 
+  // The plugin's properties are not known here, so the expression is only checked
+  // for syntax errors and property names that don't match any widget.
+  const widgetProperties: PluginProperties = {};
+  allWidgetNames.forEach((widgetName: string) => {
+    widgetProperties[widgetName] = { name: widgetName };
+  });
+  const expressionErrors =
+    conditionMode === FilterConditionMode.Expression
+      ? validateFilterExpression(
+          existingCondition.get(FilterConditionProperty.Expression),
+          widgetProperties
+        )
+      : [];
+
   // 'value' field in condition is required if 'operator' is 'equal to' or 'not equal to'.
   const valueRequired =
     existingCondition.get(FilterConditionProperty.Operator) === CustomOperator.EQUALTO ||
@@ -135,6 +150,7 @@ const FilterConditionInputview: React.FC<IFilterConditionInputProps> = ({ classe
               onChange={setFilterCondition(FilterConditionProperty.Expression)}
               label={FilterConditionProperty.Expression}
               required={false}
+              errors={expressionErrors}
             />
           </div>
         </If>
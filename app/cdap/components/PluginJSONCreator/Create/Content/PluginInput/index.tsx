@@ -32,6 +32,7 @@ const PluginInput = ({
   kvDelimiter = null,
   layout = null,
   delimiter = null,
+  errors = null,
 }) => {
   let widgetAttributes;
   if (widgetType !== 'toggle') {
@@ -78,6 +79,7 @@ const PluginInput = ({
       pluginProperty={property}
       value={value}
       onChange={onChange}
+      errors={errors}
     />
   );
 };
@@ -42,6 +42,12 @@ import {
   isNoSchemaAvailable,
   parseImportedSchemas,
 } from 'components/AbstractWidget/SchemaEditor/SchemaHelpers';
+import {
+  exportSchemas,
+  SCHEMA_FORMAT_EXTENSIONS,
+  SchemaFormatsEnum,
+} from 'components/AbstractWidget/SchemaEditor/SchemaFormats';
+import InferSchemaModal from 'components/AbstractWidget/SchemaEditor/SchemaInference/InferSchemaModal';
 
 const styles = (theme): StyleRules => {
   return {
@@ -91,6 +97,7 @@ const styles = (theme): StyleRules => {
 
 enum SchemaActionsEnum {
   IMPORT = 'import',
+  INFER = 'infer',
   EXPORT = 'export',
   CLEAR = 'clear',
   MACRO = 'macro',
@@ -119,6 +126,7 @@ interface IPluginSchemaEditorState {
   mode: IPluginSchemaEditorModes;
   loading: boolean;
   schemaRowCount: number;
+  inferSchemaOpen: boolean;
 }
 
 interface IPluginSchemaEditorProps extends WithStyles<typeof styles> {
@@ -160,6 +168,7 @@ class PluginSchemaEditorBase extends React.PureComponent<
     loading: false,
     mode: this.getMode(),
     schemaRowCount: null,
+    inferSchemaOpen: false,
   };
 
   private ee = ee(ee);
@@ -172,8 +181,10 @@ class PluginSchemaEditorBase extends React.PureComponent<
     if (!this.props.disabled && isExperimentEnabled) {
       this.ee.on('schema.import', this.onSchemaImport);
       this.ee.on('dataset.selected', this.onSchemaImport);
+      this.ee.on('schema.infer', this.openInferSchema);
       if (window.Cypress) {
         window.Cypress.cy.on('schema.import', this.onSchemaImport);
+        window.Cypress.cy.on('schema.infer', this.openInferSchema);
         window.Cypress.cy.on('dataset.selected', this.onSchemaImport);
       }
     }
@@ -204,7 +215,7 @@ class PluginSchemaEditorBase extends React.PureComponent<
 
   public shouldComponentUpdate(nextProps: IPluginSchemaEditorProps, nextState) {
     const { disabled, isSchemaMacro, actionsDropdownMap, schemas, errors } = nextProps;
-    const { schemaRowCount, loading, mode, error } = nextState;
+    const { schemaRowCount, loading, mode, error, inferSchemaOpen } = nextState;
     const newActions =
       actionsDropdownMap &&
       Object.values(actionsDropdownMap)
@@ -239,7 +250,8 @@ class PluginSchemaEditorBase extends React.PureComponent<
       schemaRowCount !== this.state.schemaRowCount ||
       loading !== this.state.loading ||
       mode !== this.state.mode ||
-      error !== this.state.error;
+      error !== this.state.error ||
+      inferSchemaOpen !== this.state.inferSchemaOpen;
     return didStateChange || didPropsChange;
   }
 
@@ -251,6 +263,7 @@ class PluginSchemaEditorBase extends React.PureComponent<
     this.ee.off('schema.import', this.onSchemaImport);
     this.ee.off('schema.export', this.onSchemaExport);
     this.ee.off('dataset.selected', this.onSchemaImport);
+    this.ee.off('schema.infer', this.openInferSchema);
     window.removeEventListener('resize', this.calculateSchemaRowCount);
   }
 
@@ -266,7 +279,7 @@ class PluginSchemaEditorBase extends React.PureComponent<
     }
   };
 
-  public onSchemaExport = () => {
+  public onSchemaExport = (format = SchemaFormatsEnum.AVRO) => {
     let schemasToExport;
     if (typeof this.props.schemas === 'string') {
       try {
@@ -289,15 +302,27 @@ class PluginSchemaEditorBase extends React.PureComponent<
         }
       });
     }
+    let content = JSON.stringify(schemasToExport, null, 4);
+    if (format !== SchemaFormatsEnum.AVRO) {
+      try {
+        const namedSchemas = Array.isArray(schemasToExport) ? schemasToExport : [schemasToExport];
+        content = exportSchemas(namedSchemas, format);
+      } catch (e) {
+        this.setState({
+          error: e.message,
+        });
+        return;
+      }
+    }
     // // CDAP-17106 - Need to use generic DownloadFile function here from download-file
-    const blob = new Blob([JSON.stringify(schemasToExport, null, 4)], {
-      type: 'application/json',
+    const blob = new Blob([content], {
+      type: format === SchemaFormatsEnum.AVRO ? 'application/json' : 'text/plain',
     });
     const url = URL.createObjectURL(blob);
     const exportFileName = 'schema';
     const a = document.createElement('a');
     a.href = url;
-    a.download = `${exportFileName}.json`;
+    a.download = `${exportFileName}.${SCHEMA_FORMAT_EXTENSIONS[format]}`;
     if (window.Cypress) {
       return;
     }
@@ -324,6 +349,10 @@ class PluginSchemaEditorBase extends React.PureComponent<
       return;
     }
 
+    this.updateSchemas(newSchemas);
+  };
+
+  private updateSchemas = (newSchemas) => {
     this.setState({ loading: true }, () => {
       const schemasForPlugin = newSchemas.map((s) => {
         if (typeof s.schema !== 'string') {
@@ -342,6 +371,31 @@ class PluginSchemaEditorBase extends React.PureComponent<
     });
   };
 
+  private openInferSchema = () => {
+    if (this.state.mode === IPluginSchemaEditorModes.Macro) {
+      return;
+    }
+    this.setState({ inferSchemaOpen: true });
+  };
+
+  private closeInferSchema = () => {
+    this.setState({ inferSchemaOpen: false });
+  };
+
+  /**
+   * The inferred schema replaces the first schema and keeps its name, other output schemas of
+   * the plugin are not changed.
+   */
+  private onInferSchemaApply = (inferredSchema: ISchemaType) => {
+    const schemas =
+      typeof this.props.schemas === 'string' ? [] : this.props.schemas.map((s) => ({ ...s }));
+    const name = schemas.length ? schemas[0].name : inferredSchema.name;
+    schemas[0] = { name, schema: JSON.stringify(inferredSchema.schema) };
+
+    this.setState({ inferSchemaOpen: false });
+    this.updateSchemas(schemas);
+  };
+
   private onActionsHandler = (value) => {
     const specificAction = this.actions.find((action) => action.value === value);
     if (!specificAction) {
@@ -628,6 +682,14 @@ class PluginSchemaEditorBase extends React.PureComponent<
         />
         {this.renderSchemaEditors()}
         {this.renderMacroEditor()}
+        <If condition={this.state.inferSchemaOpen}>
+          <InferSchemaModal
+            isOpen={this.state.inferSchemaOpen}
+            schema={this.santizeSchemasForEditor()[0]}
+            onApply={this.onInferSchemaApply}
+            onClose={this.closeInferSchema}
+          />
+        </If>
       </div>
     );
   }
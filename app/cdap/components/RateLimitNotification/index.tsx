@@ -0,0 +1,63 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import React, { useEffect, useState } from 'react';
+import Snackbar from '@material-ui/core/Snackbar';
+import ee from 'event-emitter';
+import T from 'i18n-react';
+import globalEvents from 'services/global-events';
+
+const PREFIX = 'features.RateLimitNotification';
+const AUTO_HIDE_DURATION = 5000;
+
+/**
+ * Lets the user know that the node server is rejecting some of their requests
+ * because too many are being sent (429 responses).
+ */
+const RateLimitNotification: React.FC = () => {
+  const [open, setOpen] = useState(false);
+  const [retryAfterSecs, setRetryAfterSecs] = useState<number>(null);
+
+  useEffect(() => {
+    const eventEmitter = ee(ee);
+    const onRateLimited = (retryAfter?: number) => {
+      setRetryAfterSecs(retryAfter || null);
+      setOpen(true);
+    };
+    eventEmitter.on(globalEvents.RATE_LIMITED, onRateLimited);
+    return () => {
+      eventEmitter.off(globalEvents.RATE_LIMITED, onRateLimited);
+    };
+  }, []);
+
+  const message = retryAfterSecs
+    ? T.translate(`${PREFIX}.messageWithRetry`, { retryAfterSecs })
+    : T.translate(`${PREFIX}.message`);
+
+  return (
+    <Snackbar
+      anchorOrigin={{ vertical: 'top', horizontal: 'center' }}
+      open={open}
+      autoHideDuration={AUTO_HIDE_DURATION}
+      onClose={() => setOpen(false)}
+      message={message}
+      data-cy="rate-limit-snackbar"
+      data-testid="rate-limit-snackbar"
+    />
+  );
+};
+
+export default RateLimitNotification;
@@ -0,0 +1,113 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import {
+  getClonedPipelineConfig,
+  getStageConnection,
+  isValidRule,
+  remapName,
+  remapTable,
+  RemapField,
+} from 'components/Replicator/CloneReplication/clone';
+import { PluginType } from 'components/Replicator/constants';
+
+const PIPELINE_CONFIG = {
+  name: 'orders_replication',
+  artifact: { name: 'delta-app', version: '1.0.0', scope: 'SYSTEM' },
+  config: {
+    description: 'Replicate the orders',
+    stages: [
+      {
+        name: 'source',
+        plugin: {
+          name: 'sqlserver',
+          type: PluginType.source,
+          properties: { connection: '${conn(sqlserver_dev)}', useConnection: 'true' },
+        },
+      },
+      {
+        name: 'target',
+        plugin: {
+          name: 'bigquery',
+          type: PluginType.target,
+          properties: { project: 'my-project' },
+        },
+      },
+    ],
+    tables: [
+      { database: 'sales_dev', schema: 'dbo', table: 'orders', columns: [] },
+      { database: 'sales_dev', schema: 'dbo', table: 'customers' },
+    ],
+    tableTransformations: [{ tableName: 'dbo.orders', columnTransformations: [] }],
+  },
+};
+
+describe('Clone replication', () => {
+  it('should apply the rules to the matching fields in order', () => {
+    const rules = [
+      { find: '_dev', replace: '_prod', field: RemapField.database, isRegex: false },
+      { find: '^(.*)$', replace: 'stg_$1', field: RemapField.table, isRegex: true },
+    ];
+
+    expect(remapName('sales_dev', RemapField.database, rules)).toBe('sales_prod');
+    expect(remapName('orders_dev', RemapField.table, rules)).toBe('stg_orders_dev');
+    expect(remapTable({ database: 'sales_dev', table: 'orders' }, rules)).toEqual({
+      database: 'sales_prod',
+      table: 'stg_orders',
+    });
+  });
+
+  it('should treat plain text rules literally and skip invalid rules', () => {
+    const plain = { find: '.', replace: '$1', field: RemapField.all, isRegex: false };
+    const invalid = { find: '(', replace: 'x', field: RemapField.all, isRegex: true };
+
+    expect(remapName('dbo.orders', RemapField.table, [plain])).toBe('dbo$1orders');
+    expect(isValidRule(invalid)).toBe(false);
+    expect(remapName('orders(', RemapField.table, [invalid])).toBe('orders(');
+  });
+
+  it('should create the cloned config with the new names and connections', () => {
+    expect(getStageConnection(PIPELINE_CONFIG.config, PluginType.source)).toBe('sqlserver_dev');
+    expect(getStageConnection(PIPELINE_CONFIG.config, PluginType.target)).toBe(null);
+
+    const cloned = getClonedPipelineConfig(PIPELINE_CONFIG, {
+      name: 'orders_prod',
+      rules: [
+        { find: '_dev', replace: '_prod', field: RemapField.all, isRegex: false },
+        { find: 'dbo', replace: 'sales', field: RemapField.schema, isRegex: false },
+      ],
+      connections: { [PluginType.source]: 'sqlserver_prod' },
+    });
+
+    expect(cloned.name).toBe('orders_prod');
+    expect(cloned.config.description).toBe('Replicate the orders');
+    expect(cloned.config.stages[0].plugin.properties).toEqual({
+      connection: '${conn(sqlserver_prod)}',
+      useConnection: 'true',
+    });
+    expect(cloned.config.stages[1]).toBe(PIPELINE_CONFIG.config.stages[1]);
+    expect(cloned.config.tables).toEqual([
+      { database: 'sales_prod', schema: 'sales', table: 'orders', columns: [] },
+      { database: 'sales_prod', schema: 'sales', table: 'customers' },
+    ]);
+    expect(cloned.config.tableTransformations).toEqual([
+      { tableName: 'sales.orders', columnTransformations: [] },
+    ]);
+
+    // the original config is left untouched
+    expect(PIPELINE_CONFIG.config.tables[0].database).toBe('sales_dev');
+  });
+});
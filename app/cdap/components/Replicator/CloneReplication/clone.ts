@@ -0,0 +1,243 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import { extractConnectionName } from 'components/AbstractWidget/ConnectionsWidget/helpers';
+import { PluginType } from 'components/Replicator/constants';
+import { ITableInfo } from 'components/Replicator/types';
+import { objectQuery } from 'services/helpers';
+
+export enum RemapField {
+  all = 'all',
+  database = 'database',
+  schema = 'schema',
+  table = 'table',
+}
+
+export interface IRemapRule {
+  find: string;
+  replace: string;
+  field: RemapField;
+  isRegex: boolean;
+}
+
+export type IConnectionSwaps = Partial<Record<PluginType, string>>;
+
+export interface ICloneOptions {
+  name: string;
+  rules: IRemapRule[];
+  connections: IConnectionSwaps;
+}
+
+export interface ITableRemap {
+  from: ITableInfo;
+  to: ITableInfo;
+}
+
+export const EMPTY_RULE: IRemapRule = {
+  find: '',
+  replace: '',
+  field: RemapField.all,
+  isRegex: false,
+};
+
+const REMAP_FIELDS: Array<keyof ITableInfo> = ['database', 'schema', 'table'];
+
+function getRuleRegex(rule: IRemapRule): RegExp {
+  if (rule.isRegex) {
+    return new RegExp(rule.find, 'g');
+  }
+
+  const escaped = rule.find.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(escaped, 'g');
+}
+
+/**
+ * A rule is valid when it has something to find and, for regular expressions, the pattern
+ * compiles.
+ */
+export function isValidRule(rule: IRemapRule): boolean {
+  if (!rule.find) {
+    return false;
+  }
+
+  try {
+    getRuleRegex(rule);
+  } catch (e) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Applies the rules in order to a single database, schema or table name. Invalid rules are
+ * skipped, so a rule that is still being typed does not break the preview.
+ */
+export function remapName(value: string, field: RemapField, rules: IRemapRule[]): string {
+  if (!value) {
+    return value;
+  }
+
+  return rules.reduce((name, rule) => {
+    if (!isValidRule(rule) || (rule.field !== RemapField.all && rule.field !== field)) {
+      return name;
+    }
+
+    // regex rules can refer to groups with $1, plain text rules are replaced as is
+    const replacement = rule.isRegex ? rule.replace : rule.replace.replace(/\$/g, '$$$$');
+    return name.replace(getRuleRegex(rule), replacement);
+  }, value);
+}
+
+export function remapTable<T extends ITableInfo>(table: T, rules: IRemapRule[]): T {
+  const remapped: ITableInfo = { ...table };
+
+  REMAP_FIELDS.forEach((field) => {
+    if (table[field]) {
+      remapped[field] = remapName(table[field], RemapField[field], rules);
+    }
+  });
+
+  return remapped as T;
+}
+
+/**
+ * Lists the selected tables of the replication with the name each one will get in the clone.
+ */
+export function getTableRemaps(config, rules: IRemapRule[]): ITableRemap[] {
+  const tables: ITableInfo[] = objectQuery(config, 'tables') || [];
+
+  return tables.map((table) => {
+    return {
+      from: table,
+      to: remapTable(table, rules),
+    };
+  });
+}
+
+function getStage(config, pluginType: PluginType) {
+  const stages = objectQuery(config, 'stages') || [];
+  return stages.find((stage) => objectQuery(stage, 'plugin', 'type') === pluginType);
+}
+
+/**
+ * Returns the name of the connection the source or target plugin is configured with through
+ * the ${conn(name)} macro, or null when the plugin is configured without a connection.
+ */
+export function getStageConnection(config, pluginType: PluginType): string | null {
+  const properties = objectQuery(getStage(config, pluginType), 'plugin', 'properties') || {};
+
+  for (const value of Object.values(properties)) {
+    const connection = typeof value === 'string' ? extractConnectionName(value) : null;
+    if (connection) {
+      return connection;
+    }
+  }
+
+  return null;
+}
+
+function swapConnection(properties, from: string, to: string) {
+  const swapped = { ...properties };
+
+  Object.keys(swapped).forEach((property) => {
+    const value = swapped[property];
+    if (typeof value === 'string' && extractConnectionName(value) === from) {
+      swapped[property] = value.replace(`\${conn(${from})}`, `\${conn(${to})}`);
+    }
+  });
+
+  return swapped;
+}
+
+/**
+ * The table transformations are keyed by the table name, or by schema.table for sources that
+ * scope tables by schema, so they are renamed along with the tables they belong to.
+ */
+function remapTransformations(transformations, remaps: ITableRemap[]) {
+  if (!Array.isArray(transformations)) {
+    return transformations;
+  }
+
+  const tableNames = {};
+  remaps.forEach(({ from, to }) => {
+    tableNames[from.table] = to.table;
+    if (from.schema) {
+      tableNames[`${from.schema}.${from.table}`] = `${to.schema}.${to.table}`;
+    }
+  });
+
+  return transformations.map((transformation) => {
+    const tableName = tableNames[transformation.tableName];
+    if (!tableName) {
+      return transformation;
+    }
+
+    return {
+      ...transformation,
+      tableName,
+    };
+  });
+}
+
+/**
+ * Creates the pipeline config for "Clone as new" from the config of a deployed replication.
+ * The result is what the create view expects for the cloneId query parameter.
+ */
+export function getClonedPipelineConfig(pipelineConfig, options: ICloneOptions) {
+  const config = pipelineConfig.config || {};
+  const remaps = getTableRemaps(config, options.rules);
+
+  const stages = (config.stages || []).map((stage) => {
+    const pluginType = objectQuery(stage, 'plugin', 'type');
+    const from = getStageConnection(config, pluginType);
+    const to = options.connections[pluginType];
+
+    if (!from || !to || from === to) {
+      return stage;
+    }
+
+    return {
+      ...stage,
+      plugin: {
+        ...stage.plugin,
+        properties: swapConnection(stage.plugin.properties, from, to),
+      },
+    };
+  });
+
+  const clonedConfig = {
+    ...config,
+    stages,
+    tables: remaps.map(({ to }) => to),
+    tableTransformations: remapTransformations(config.tableTransformations, remaps),
+  };
+
+  if (!config.tables) {
+    delete clonedConfig.tables;
+  }
+
+  if (!config.tableTransformations) {
+    delete clonedConfig.tableTransformations;
+  }
+
+  return {
+    ...pipelineConfig,
+    name: options.name,
+    label: options.name,
+    config: clonedConfig,
+  };
+}
@@ -0,0 +1,372 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import * as React from 'react';
+import withStyles, { WithStyles, StyleRules } from '@material-ui/core/styles/withStyles';
+import TextField from '@material-ui/core/TextField';
+import Checkbox from '@material-ui/core/Checkbox';
+import Button from '@material-ui/core/Button';
+import IconButton from '@material-ui/core/IconButton';
+import CloseIcon from '@material-ui/icons/Close';
+import { Redirect } from 'react-router-dom';
+import uuidV4 from 'uuid/v4';
+import ConfirmationModal from 'components/shared/ConfirmationModal';
+import OutlinedSelect from 'components/shared/OutlinedSelect';
+import If from 'components/shared/If';
+import { MyReplicatorApi } from 'api/replicator';
+import { ConnectionsApi } from 'api/connections';
+import { getCurrentNamespace } from 'services/NamespaceStore';
+import { isValidEntityName } from 'services/helpers';
+import { PluginType } from 'components/Replicator/constants';
+import {
+  EMPTY_RULE,
+  getClonedPipelineConfig,
+  getStageConnection,
+  getTableRemaps,
+  IConnectionSwaps,
+  IRemapRule,
+  isValidRule,
+  RemapField,
+} from 'components/Replicator/CloneReplication/clone';
+import { ITableInfo } from 'components/Replicator/types';
+
+const styles = (theme): StyleRules => {
+  return {
+    section: {
+      marginBottom: '20px',
+    },
+    label: {
+      fontWeight: 600,
+      marginBottom: '5px',
+    },
+    description: {
+      color: theme.palette.grey[200],
+      marginBottom: '5px',
+    },
+    connection: {
+      display: 'grid',
+      gridTemplateColumns: '100px 1fr',
+      alignItems: 'center',
+      marginBottom: '5px',
+    },
+    rule: {
+      display: 'grid',
+      gridTemplateColumns: '120px 1fr 1fr 70px 40px',
+      gridColumnGap: '10px',
+      alignItems: 'center',
+    },
+    preview: {
+      maxHeight: '200px',
+      overflowY: 'auto',
+      border: `1px solid ${theme.palette.grey[400]}`,
+      borderRadius: '4px',
+      padding: '5px 10px',
+    },
+    changed: {
+      fontWeight: 600,
+    },
+  };
+};
+
+const FIELD_OPTIONS = [
+  { label: 'All names', value: RemapField.all },
+  { label: 'Database', value: RemapField.database },
+  { label: 'Schema', value: RemapField.schema },
+  { label: 'Table', value: RemapField.table },
+];
+
+const STAGE_LABELS = {
+  [PluginType.source]: 'Source',
+  [PluginType.target]: 'Target',
+};
+
+interface ICloneReplicationProps extends WithStyles<typeof styles> {
+  replicationName: string;
+  isOpen: boolean;
+  onClose: () => void;
+}
+
+function formatTable({ database, schema, table }: ITableInfo) {
+  return [database, schema, table].filter((name) => !!name).join('.');
+}
+
+const CloneReplicationView: React.FC<ICloneReplicationProps> = ({
+  classes,
+  replicationName,
+  isOpen,
+  onClose,
+}) => {
+  const [pipelineConfig, setPipelineConfig] = React.useState(null);
+  const [connections, setConnections] = React.useState([]);
+  const [name, setName] = React.useState('');
+  const [rules, setRules] = React.useState<IRemapRule[]>([]);
+  const [connectionSwaps, setConnectionSwaps] = React.useState<IConnectionSwaps>({});
+  const [error, setError] = React.useState(null);
+  const [redirect, setRedirect] = React.useState(null);
+
+  React.useEffect(() => {
+    if (!isOpen) {
+      return;
+    }
+
+    setPipelineConfig(null);
+    setName(`${replicationName}_copy`);
+    setRules([]);
+    setConnectionSwaps({});
+    setError(null);
+
+    const params = {
+      namespace: getCurrentNamespace(),
+      appName: replicationName,
+    };
+
+    MyReplicatorApi.getReplicator(params).subscribe(
+      (res) => {
+        setPipelineConfig({
+          name: res.name,
+          artifact: res.artifact,
+          config: JSON.parse(res.configuration),
+        });
+      },
+      (err) => {
+        setError(err);
+      }
+    );
+
+    ConnectionsApi.listConnections({ context: getCurrentNamespace() }).subscribe(
+      (res) => {
+        setConnections(res);
+      },
+      (err) => {
+        // connections are optional, the clone can still be created with the same connections
+        // tslint:disable-next-line: no-console
+        console.log('Failed to fetch connections', err);
+      }
+    );
+  }, [isOpen, replicationName]);
+
+  if (redirect) {
+    return <Redirect to={redirect} />;
+  }
+
+  if (!isOpen) {
+    return null;
+  }
+
+  function updateRule(index: number, update: Partial<IRemapRule>) {
+    const newRules = [...rules];
+    newRules[index] = {
+      ...newRules[index],
+      ...update,
+    };
+    setRules(newRules);
+  }
+
+  function removeRule(index: number) {
+    setRules(rules.filter((rule, i) => i !== index));
+  }
+
+  function handleClone() {
+    const clonedConfig = getClonedPipelineConfig(pipelineConfig, {
+      name,
+      rules,
+      connections: connectionSwaps,
+    });
+
+    const cloneId = uuidV4();
+    window.localStorage.setItem(cloneId, JSON.stringify(clonedConfig));
+    setRedirect(`/ns/${getCurrentNamespace()}/replication/create?cloneId=${cloneId}`);
+  }
+
+  function renderConnection(pluginType: PluginType) {
+    const current = getStageConnection(pipelineConfig.config, pluginType);
+    if (!current) {
+      return null;
+    }
+
+    const currentConnection = connections.find((connection) => connection.name === current);
+    const options = connections
+      .filter((connection) => {
+        return !currentConnection || connection.connectionType === currentConnection.connectionType;
+      })
+      .map((connection) => connection.name);
+
+    if (options.indexOf(current) === -1) {
+      options.unshift(current);
+    }
+
+    return (
+      <div className={classes.connection} key={pluginType}>
+        <span>{STAGE_LABELS[pluginType]}</span>
+        <OutlinedSelect
+          options={options}
+          value={connectionSwaps[pluginType] || current}
+          onChange={(connection) => {
+            setConnectionSwaps({
+              ...connectionSwaps,
+              [pluginType]: connection,
+            });
+          }}
+          disabled={false}
+        />
+      </div>
+    );
+  }
+
+  function renderRules() {
+    return (
+      <div className={classes.section}>
+        <div className={classes.label}>Rename tables</div>
+        <div className={classes.description}>
+          Rules are applied in order to the database, schema and table names of the selected tables
+        </div>
+        {rules.map((rule, i) => {
+          return (
+            <div className={classes.rule} key={i}>
+              <OutlinedSelect
+                options={FIELD_OPTIONS}
+                value={rule.field}
+                onChange={(field) => updateRule(i, { field: field as RemapField })}
+                disabled={false}
+              />
+              <TextField
+                placeholder="Find"
+                variant="outlined"
+                margin="dense"
+                value={rule.find}
+                onChange={(e) => updateRule(i, { find: e.target.value })}
+                error={rule.find.length > 0 && !isValidRule(rule)}
+              />
+              <TextField
+                placeholder="Replace with"
+                variant="outlined"
+                margin="dense"
+                value={rule.replace}
+                onChange={(e) => updateRule(i, { replace: e.target.value })}
+              />
+              <label>
+                <Checkbox
+                  color="primary"
+                  checked={rule.isRegex}
+                  onChange={(e) => updateRule(i, { isRegex: e.target.checked })}
+                />
+                .*
+              </label>
+              <IconButton onClick={() => removeRule(i)} title="Remove rule">
+                <CloseIcon fontSize="small" />
+              </IconButton>
+            </div>
+          );
+        })}
+        <Button color="primary" onClick={() => setRules([...rules, { ...EMPTY_RULE }])}>
+          Add rule
+        </Button>
+      </div>
+    );
+  }
+
+  function renderPreview() {
+    const remaps = getTableRemaps(pipelineConfig.config, rules);
+    if (remaps.length === 0) {
+      return null;
+    }
+
+    return (
+      <div className={classes.section}>
+        <div className={classes.label}>Tables</div>
+        <div className={classes.preview}>
+          {remaps.map(({ from, to }) => {
+            const fromName = formatTable(from);
+            const toName = formatTable(to);
+
+            return (
+              <div key={fromName}>
+                {fromName === toName ? (
+                  fromName
+                ) : (
+                  <span className={classes.changed}>
+                    {fromName} → {toName}
+                  </span>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    );
+  }
+
+  function renderContent() {
+    if (!pipelineConfig) {
+      return null;
+    }
+
+    const connectionSelectors = [PluginType.source, PluginType.target]
+      .map(renderConnection)
+      .filter((elem) => !!elem);
+
+    return (
+      <div>
+        <div className={classes.section}>
+          <div className={classes.label}>Name</div>
+          <TextField
+            fullWidth
+            variant="outlined"
+            margin="dense"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            error={!isValidEntityName(name)}
+          />
+        </div>
+
+        <If condition={connectionSelectors.length > 0}>
+          <div className={classes.section}>
+            <div className={classes.label}>Connections</div>
+            {connectionSelectors}
+          </div>
+        </If>
+
+        {renderRules()}
+        {renderPreview()}
+      </div>
+    );
+  }
+
+  const isValid =
+    !!pipelineConfig &&
+    name.length <= 64 &&
+    isValidEntityName(name) &&
+    rules.every((rule) => isValidRule(rule));
+
+  return (
+    <ConfirmationModal
+      headerTitle={`Clone ${replicationName} as new`}
+      toggleModal={onClose}
+      confirmationElem={renderContent()}
+      confirmButtonText="Clone"
+      confirmFn={handleClone}
+      cancelFn={onClose}
+      isOpen={isOpen}
+      isLoading={!pipelineConfig && !error}
+      disableAction={!isValid}
+      errorMessage={!error ? '' : 'Failed to fetch the replication job'}
+      extendedMessage={error}
+    />
+  );
+};
+
+const CloneReplication = withStyles(styles)(CloneReplicationView);
+export default CloneReplication;
@@ -0,0 +1,271 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import * as React from 'react';
+import T from 'i18n-react';
+import withStyles, { WithStyles, StyleRules } from '@material-ui/core/styles/withStyles';
+import TextField from '@material-ui/core/TextField';
+import Button from '@material-ui/core/Button';
+import IconButton from '@material-ui/core/IconButton';
+import CloseIcon from '@material-ui/icons/Close';
+import ConfirmationModal from 'components/shared/ConfirmationModal';
+import OutlinedSelect from 'components/shared/OutlinedSelect';
+import Heading, { HeadingTypes } from 'components/shared/Heading';
+import { getTableDisplayName } from 'components/Replicator/utilities';
+import { ITable } from 'components/Replicator/types';
+import {
+  getMatchingTables,
+  getValidSelectionRules,
+  IPatternRule,
+  isValidPattern,
+  ITableRule,
+  ITableSelectionRules,
+  PatternType,
+  RuleAction,
+  RuleField,
+} from 'components/Replicator/Create/Content/SelectTables/tableSelectionRules';
+
+const PREFIX = 'features.Replication.Create.Content.SelectTables.TableSelectionRules';
+
+const styles = (theme): StyleRules => {
+  return {
+    description: {
+      color: theme.palette.grey[100],
+      marginBottom: '10px',
+    },
+    section: {
+      marginBottom: '15px',
+    },
+    tableRule: {
+      display: 'grid',
+      gridTemplateColumns: '110px 100px 90px 1fr 40px',
+      gridColumnGap: '10px',
+      alignItems: 'center',
+    },
+    columnRule: {
+      display: 'grid',
+      gridTemplateColumns: '90px 1fr 40px',
+      gridColumnGap: '10px',
+      alignItems: 'center',
+    },
+    preview: {
+      maxHeight: '150px',
+      overflowY: 'auto',
+      border: `1px solid ${theme.palette.grey[400]}`,
+      borderRadius: '4px',
+      padding: '5px 10px',
+    },
+  };
+};
+
+const PATTERN_TYPE_OPTIONS = [
+  { label: 'Glob', value: PatternType.glob },
+  { label: 'Regex', value: PatternType.regex },
+];
+
+const ACTION_OPTIONS = [
+  { label: 'Include', value: RuleAction.include },
+  { label: 'Exclude', value: RuleAction.exclude },
+];
+
+const FIELD_OPTIONS = [
+  { label: 'Table', value: RuleField.table },
+  { label: 'Schema', value: RuleField.schema },
+];
+
+const EMPTY_TABLE_RULE: ITableRule = {
+  action: RuleAction.include,
+  field: RuleField.table,
+  patternType: PatternType.glob,
+  pattern: '',
+};
+
+const EMPTY_COLUMN_RULE: IPatternRule = {
+  patternType: PatternType.glob,
+  pattern: '',
+};
+
+interface ITableSelectionRulesProps extends WithStyles<typeof styles> {
+  isOpen: boolean;
+  tables: ITable[];
+  rules: ITableSelectionRules;
+  onApply: (rules: ITableSelectionRules) => void;
+  onClose: () => void;
+}
+
+function updateAt<R>(list: R[], index: number, update: Partial<R>): R[] {
+  return list.map((item, i) => (i === index ? { ...item, ...update } : item));
+}
+
+function removeAt<R>(list: R[], index: number): R[] {
+  return list.filter((item, i) => i !== index);
+}
+
+const TableSelectionRulesView: React.FC<ITableSelectionRulesProps> = ({
+  classes,
+  isOpen,
+  tables,
+  rules,
+  onApply,
+  onClose,
+}) => {
+  const [tableRules, setTableRules] = React.useState<ITableRule[]>(rules.tables);
+  const [columnRules, setColumnRules] = React.useState<IPatternRule[]>(rules.excludeColumns);
+
+  React.useEffect(() => {
+    if (isOpen) {
+      setTableRules(rules.tables);
+      setColumnRules(rules.excludeColumns);
+    }
+  }, [isOpen]);
+
+  if (!isOpen) {
+    return null;
+  }
+
+  const localRules = getValidSelectionRules({
+    tables: tableRules,
+    excludeColumns: columnRules,
+  });
+  const matchingTables = getMatchingTables(tables, localRules);
+
+  const isValid = [...tableRules, ...columnRules].every(isValidPattern);
+
+  function renderPatternInput(
+    rule: IPatternRule,
+    onChange: (update: Partial<IPatternRule>) => void
+  ) {
+    return (
+      <React.Fragment>
+        <OutlinedSelect
+          options={PATTERN_TYPE_OPTIONS}
+          value={rule.patternType}
+          onChange={(patternType) => onChange({ patternType: patternType as PatternType })}
+          disabled={false}
+        />
+        <TextField
+          placeholder={T.translate(`${PREFIX}.patternPlaceholder`).toString()}
+          variant="outlined"
+          margin="dense"
+          value={rule.pattern}
+          onChange={(e) => onChange({ pattern: e.target.value })}
+          error={rule.pattern.length > 0 && !isValidPattern(rule)}
+        />
+      </React.Fragment>
+    );
+  }
+
+  const confirmElem = (
+    <div>
+      <div className={classes.description}>{T.translate(`${PREFIX}.description`)}</div>
+
+      <div className={classes.section}>
+        <Heading type={HeadingTypes.h5} label={T.translate(`${PREFIX}.tableRules`).toString()} />
+        {tableRules.map((rule, i) => {
+          const onChange = (update: Partial<ITableRule>) => {
+            setTableRules(updateAt(tableRules, i, update));
+          };
+
+          return (
+            <div className={classes.tableRule} key={i}>
+              <OutlinedSelect
+                options={ACTION_OPTIONS}
+                value={rule.action}
+                onChange={(action) => onChange({ action: action as RuleAction })}
+                disabled={false}
+              />
+              <OutlinedSelect
+                options={FIELD_OPTIONS}
+                value={rule.field}
+                onChange={(field) => onChange({ field: field as RuleField })}
+                disabled={false}
+              />
+              {renderPatternInput(rule, onChange)}
+              <IconButton onClick={() => setTableRules(removeAt(tableRules, i))}>
+                <CloseIcon fontSize="small" />
+              </IconButton>
+            </div>
+          );
+        })}
+        <Button
+          color="primary"
+          onClick={() => setTableRules([...tableRules, { ...EMPTY_TABLE_RULE }])}
+        >
+          {T.translate(`${PREFIX}.addTableRule`)}
+        </Button>
+      </div>
+
+      <div className={classes.section}>
+        <Heading
+          type={HeadingTypes.h5}
+          label={T.translate(`${PREFIX}.excludeColumns`).toString()}
+        />
+        {columnRules.map((rule, i) => {
+          const onChange = (update: Partial<IPatternRule>) => {
+            setColumnRules(updateAt(columnRules, i, update));
+          };
+
+          return (
+            <div className={classes.columnRule} key={i}>
+              {renderPatternInput(rule, onChange)}
+              <IconButton onClick={() => setColumnRules(removeAt(columnRules, i))}>
+                <CloseIcon fontSize="small" />
+              </IconButton>
+            </div>
+          );
+        })}
+        <Button
+          color="primary"
+          onClick={() => setColumnRules([...columnRules, { ...EMPTY_COLUMN_RULE }])}
+        >
+          {T.translate(`${PREFIX}.addColumnRule`)}
+        </Button>
+      </div>
+
+      <div>
+        <Heading
+          type={HeadingTypes.h5}
+          label={T.translate(`${PREFIX}.matchingTables`, {
+            matchingTablesSize: matchingTables.length,
+            totalTablesSize: tables.length,
+          }).toString()}
+        />
+        <div className={classes.preview}>
+          {matchingTables.map((table) => {
+            const tableName = getTableDisplayName(table);
+            return <div key={`${table.database}-${tableName}`}>{tableName}</div>;
+          })}
+        </div>
+      </div>
+    </div>
+  );
+
+  return (
+    <ConfirmationModal
+      headerTitle={T.translate(`${PREFIX}.heading`).toString()}
+      toggleModal={onClose}
+      confirmationElem={confirmElem}
+      confirmButtonText={T.translate(`${PREFIX}.apply`).toString()}
+      confirmFn={() => onApply(localRules)}
+      cancelFn={onClose}
+      isOpen={isOpen}
+      disableAction={!isValid}
+    />
+  );
+};
+
+const TableSelectionRules = withStyles(styles)(TableSelectionRulesView);
+export default TableSelectionRules;
@@ -0,0 +1,124 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import { List, Map } from 'immutable';
+import {
+  EMPTY_SELECTION_RULES,
+  getColumnsAfterExclusion,
+  getMatchingTables,
+  globToRegExp,
+  parseSelectionRules,
+  PatternType,
+  RuleAction,
+  RuleField,
+} from 'components/Replicator/Create/Content/SelectTables/tableSelectionRules';
+
+const TABLES = [
+  { database: 'db', schema: 'sales', table: 'orders' },
+  { database: 'db', schema: 'sales', table: 'orders_tmp' },
+  { database: 'db', schema: 'hr', table: 'employees' },
+  { database: 'db', schema: 'hr', table: 'salaries' },
+];
+
+describe('Table selection rules', () => {
+  it('should convert glob patterns to anchored case insensitive regular expressions', () => {
+    expect(globToRegExp('sales_*').test('SALES_2020')).toBe(true);
+    expect(globToRegExp('sales_*').test('old_sales_2020')).toBe(false);
+    expect(globToRegExp('order?').test('orders')).toBe(true);
+    expect(globToRegExp('a.b').test('axb')).toBe(false);
+  });
+
+  it('should select the tables matching an include rule and no exclude rule', () => {
+    const rules = {
+      ...EMPTY_SELECTION_RULES,
+      tables: [
+        {
+          action: RuleAction.include,
+          field: RuleField.schema,
+          patternType: PatternType.glob,
+          pattern: 'sales',
+        },
+        {
+          action: RuleAction.include,
+          field: RuleField.table,
+          patternType: PatternType.regex,
+          pattern: '^emp',
+        },
+        {
+          action: RuleAction.exclude,
+          field: RuleField.table,
+          patternType: PatternType.glob,
+          pattern: '*_tmp',
+        },
+      ],
+    };
+
+    expect(getMatchingTables(TABLES, rules).map(({ table }) => table)).toEqual([
+      'orders',
+      'employees',
+    ]);
+    expect(getMatchingTables(TABLES, EMPTY_SELECTION_RULES)).toEqual([]);
+  });
+
+  it('should drop invalid rules when reading them from the draft', () => {
+    const rules = parseSelectionRules({
+      tables: [
+        {
+          action: RuleAction.include,
+          field: RuleField.table,
+          patternType: PatternType.regex,
+          pattern: '(',
+        },
+      ],
+      excludeColumns: [{ patternType: PatternType.glob, pattern: '*_ssn' }],
+    });
+
+    expect(rules.tables).toEqual([]);
+    expect(rules.excludeColumns.length).toBe(1);
+    expect(parseSelectionRules(undefined)).toEqual(EMPTY_SELECTION_RULES);
+  });
+
+  it('should exclude matching columns but keep the primary keys', () => {
+    const rules = {
+      ...EMPTY_SELECTION_RULES,
+      excludeColumns: [{ patternType: PatternType.glob, pattern: '*_ssn' }],
+    };
+    const columns = [
+      { name: 'id', type: 'int' },
+      { name: 'name', type: 'string' },
+      { name: 'employee_ssn', type: 'string' },
+      { name: 'key_ssn', type: 'string' },
+    ];
+
+    const remaining = getColumnsAfterExclusion(columns, ['key_ssn'], null, rules);
+    expect(remaining.map((column) => column.get('name')).toArray()).toEqual([
+      'id',
+      'name',
+      'key_ssn',
+    ]);
+
+    // nothing to exclude keeps replicating all the columns
+    expect(getColumnsAfterExclusion(columns.slice(0, 2), [], null, rules)).toBe(null);
+
+    // an existing selection is narrowed down
+    const selected = List([Map({ name: 'id', type: 'int' }), Map({ name: 'employee_ssn' })]);
+    expect(
+      getColumnsAfterExclusion(columns, [], selected, rules)
+        .map((column) => column.get('name'))
+        .toArray()
+    ).toEqual(['id']);
+  });
+});
@@ -39,6 +39,22 @@ import SearchBox from 'components/Replicator/Create/Content/SearchBox';
 import { useFeatureFlagDefaultTrue } from 'services/react/customHooks/useFeatureFlag';
 import debounce from 'lodash/debounce';
 import classnames from 'classnames';
+import Button from '@material-ui/core/Button';
+import { Observable } from 'rxjs/Observable';
+import 'rxjs/add/observable/from';
+import 'rxjs/add/observable/of';
+import 'rxjs/add/operator/catch';
+import 'rxjs/add/operator/map';
+import 'rxjs/add/operator/mergeMap';
+import TableSelectionRules from 'components/Replicator/Create/Content/SelectTables/TableSelectionRules';
+import {
+  getColumnsAfterExclusion,
+  hasSelectionRules,
+  isTableExcluded,
+  isTableMatched,
+  ITableDescription,
+  ITableSelectionRules,
+} from 'components/Replicator/Create/Content/SelectTables/tableSelectionRules';
 import {
   DML,
   ITable,
@@ -50,6 +66,7 @@ import {
 } from 'components/Replicator/types';
 
 const PREFIX = `features.Replication.Create.Content.SelectTables`;
+const MAX_CONCURRENT_DESCRIBE = 5;
 
 const styles = (theme): StyleRules => {
   return {
@@ -148,6 +165,9 @@ const styles = (theme): StyleRules => {
       color: theme.palette.grey[100],
       marginRight: '25px',
     },
+    rulesButton: {
+      marginLeft: '15px',
+    },
     checkbox: {
       padding: 0,
     },
@@ -174,6 +194,11 @@ const styles = (theme): StyleRules => {
 type ISelectTablesProps = ICreateContext &
   WithStyles<typeof styles> & { useReplicationTransformation: boolean };
 
+interface IDescribedTable {
+  table: ITableInfo;
+  res: ITableDescription;
+}
+
 interface ISelectTablesState {
   tables: ITable[];
   filteredTables: ITable[];
@@ -184,6 +209,8 @@ interface ISelectTablesState {
   error: any;
   loading: boolean;
   search: string;
+  showSelectionRules: boolean;
+  applyingColumnRules: boolean;
 }
 
 class SelectTablesView extends React.PureComponent<ISelectTablesProps, ISelectTablesState> {
@@ -197,13 +224,21 @@ class SelectTablesView extends React.PureComponent<ISelectTablesProps, ISelectTa
     loading: true,
     error: null,
     search: '',
+    showSelectionRules: false,
+    applyingColumnRules: false,
   };
 
+  private columnRules$ = null;
+
   public componentDidMount() {
     this.fetchTables();
   }
 
   public componentWillUnmount() {
+    if (this.columnRules$) {
+      this.columnRules$.unsubscribe();
+    }
+
     this.handleSave();
   }
 
@@ -280,7 +315,11 @@ class SelectTablesView extends React.PureComponent<ISelectTablesProps, ISelectTa
             tables,
             loading: false,
           },
-          this.setFilteredTables
+          () => {
+            this.setFilteredTables();
+            // re-evaluate the rules so tables added to the source since the last visit are picked up
+            this.evaluateSelectionRules(this.props.tableSelectionRules);
+          }
         );
       },
       (err) => {
@@ -291,6 +330,135 @@ class SelectTablesView extends React.PureComponent<ISelectTablesProps, ISelectTa
     );
   };
 
+  private toggleSelectionRules = () => {
+    this.setState({
+      showSelectionRules: !this.state.showSelectionRules,
+    });
+  };
+
+  private applySelectionRules = (rules: ITableSelectionRules) => {
+    this.props.setTableSelectionRules(rules);
+    this.setState({ showSelectionRules: false });
+    this.evaluateSelectionRules(rules);
+  };
+
+  /**
+   * Selects the tables matching the include rules and removes the excluded ones. Tables that
+   * were selected by hand stay selected unless an exclude rule matches them.
+   */
+  private evaluateSelectionRules = (rules: ITableSelectionRules) => {
+    if (!hasSelectionRules(rules)) {
+      return;
+    }
+
+    let selectedTables = this.state.selectedTables;
+    let columns = this.state.columns;
+    let dmlBlacklist = this.state.dmlBlacklist;
+
+    this.state.tables.forEach((table) => {
+      const key = generateTableKey(table);
+
+      if (isTableMatched(table, rules)) {
+        if (!selectedTables.get(key)) {
+          selectedTables = selectedTables.set(key, Map(table));
+        }
+      } else if (isTableExcluded(table, rules)) {
+        selectedTables = selectedTables.delete(key);
+        columns = columns.delete(key);
+        dmlBlacklist = dmlBlacklist.delete(key);
+      }
+    });
+
+    this.setState({ selectedTables, columns, dmlBlacklist }, () => {
+      this.applyColumnRules(rules);
+    });
+  };
+
+  /**
+   * The column exclusion rules need the columns of every selected table, so each table is
+   * described before the matching columns are removed from its selection. The descriptions are
+   * kept in the create context, so tables are not described again on the next visit.
+   */
+  private applyColumnRules = (rules: ITableSelectionRules) => {
+    if (this.columnRules$) {
+      this.columnRules$.unsubscribe();
+    }
+
+    if (rules.excludeColumns.length === 0 || this.state.selectedTables.size === 0) {
+      return;
+    }
+
+    const params = {
+      namespace: getCurrentNamespace(),
+      draftId: this.props.draftId,
+    };
+
+    this.setState({ applyingColumnRules: true });
+
+    this.columnRules$ = Observable.from(this.state.selectedTables.toList().toArray())
+      .mergeMap((table) => {
+        const body: ITableInfo = {
+          database: table.get('database'),
+          table: table.get('table'),
+        };
+
+        if (table.get('schema')) {
+          body.schema = table.get('schema');
+        }
+
+        const cachedDescription = this.props.tableDescriptions[generateTableKey(body)];
+        if (cachedDescription) {
+          return Observable.of({ table: body, res: cachedDescription });
+        }
+
+        return MyReplicatorApi.getTableInfo(params, body)
+          .map(
+            (res): IDescribedTable => {
+              this.props.addTableDescription(generateTableKey(body), res);
+              return { table: body, res };
+            }
+          )
+          .catch((err) => {
+            // tslint:disable-next-line: no-console
+            console.log('Failed to describe table', body, err);
+            return Observable.of(null);
+          });
+      }, MAX_CONCURRENT_DESCRIBE)
+      .subscribe(
+        (described: IDescribedTable) => {
+          if (!described) {
+            return;
+          }
+
+          const key = generateTableKey(described.table);
+          this.setState((prevState) => {
+            const tableColumns = getColumnsAfterExclusion(
+              described.res.columns,
+              described.res.primaryKey || [],
+              prevState.columns.get(key),
+              rules
+            );
+
+            if (!tableColumns) {
+              return null;
+            }
+
+            return {
+              columns: prevState.columns.set(key, tableColumns),
+            };
+          });
+        },
+        (err) => {
+          // tslint:disable-next-line: no-console
+          console.log('Failed to apply column rules', err);
+          this.setState({ applyingColumnRules: false });
+        },
+        () => {
+          this.setState({ applyingColumnRules: false });
+        }
+      );
+  };
+
   private toggleSelected = (row: ITable) => {
     const key = generateTableKey(row);
 
@@ -710,7 +878,7 @@ class SelectTablesView extends React.PureComponent<ISelectTablesProps, ISelectTa
         <StepButtons
           onNext={this.handleSave}
           onPrevious={this.handleSave}
-          nextDisabled={this.isNextDisabled()}
+          nextDisabled={this.isNextDisabled() || this.state.applyingColumnRules}
         />
       </>
     );
@@ -743,6 +911,25 @@ class SelectTablesView extends React.PureComponent<ISelectTablesProps, ISelectTa
                 placeholder={T.translate(`${PREFIX}.searchboxPlaceholder`).toString()}
               />
             </div>
+
+            <Button
+              color="primary"
+              variant="outlined"
+              className={classes.rulesButton}
+              onClick={this.toggleSelectionRules}
+            >
+              {T.translate(`${PREFIX}.selectionRules`, {
+                count:
+                  this.props.tableSelectionRules.tables.length +
+                  this.props.tableSelectionRules.excludeColumns.length,
+              })}
+            </Button>
+
+            {this.state.applyingColumnRules && (
+              <div className={classes.rulesButton}>
+                {T.translate(`${PREFIX}.applyingColumnRules`)}
+              </div>
+            )}
           </div>
 
           {this.renderError()}
@@ -750,6 +937,14 @@ class SelectTablesView extends React.PureComponent<ISelectTablesProps, ISelectTa
         </div>
 
         {!!this.state.openTable && this.renderColumns()}
+
+        <TableSelectionRules
+          isOpen={this.state.showSelectionRules}
+          tables={tables}
+          rules={this.props.tableSelectionRules}
+          onApply={this.applySelectionRules}
+          onClose={this.toggleSelectionRules}
+        />
       </>
     );
   }
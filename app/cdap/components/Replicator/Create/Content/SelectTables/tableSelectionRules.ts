@@ -0,0 +1,210 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import { List, Map } from 'immutable';
+import { IColumnsList, ITable } from 'components/Replicator/types';
+
+export enum PatternType {
+  glob = 'glob',
+  regex = 'regex',
+}
+
+export enum RuleAction {
+  include = 'include',
+  exclude = 'exclude',
+}
+
+export enum RuleField {
+  schema = 'schema',
+  table = 'table',
+}
+
+export interface IPatternRule {
+  pattern: string;
+  patternType: PatternType;
+}
+
+export interface ITableRule extends IPatternRule {
+  action: RuleAction;
+  field: RuleField;
+}
+
+/**
+ * Rules that select tables and drop columns by name. They are saved in the draft as
+ * tableSelectionRules, so they can be evaluated again when new tables show up in the source.
+ */
+export interface ITableSelectionRules {
+  tables: ITableRule[];
+  excludeColumns: IPatternRule[];
+}
+
+export interface IDescribedColumn {
+  name: string;
+  type: string;
+}
+
+// the columns of a table, as described by the source
+export interface ITableDescription {
+  columns: IDescribedColumn[];
+  primaryKey?: string[];
+}
+
+export const EMPTY_SELECTION_RULES: ITableSelectionRules = {
+  tables: [],
+  excludeColumns: [],
+};
+
+function escapeRegExp(value: string): string {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Converts a glob pattern to an anchored regular expression. * matches any number of
+ * characters and ? matches a single character.
+ */
+export function globToRegExp(glob: string): RegExp {
+  const source = glob
+    .split('')
+    .map((char) => {
+      if (char === '*') {
+        return '.*';
+      }
+      if (char === '?') {
+        return '.';
+      }
+      return escapeRegExp(char);
+    })
+    .join('');
+
+  return new RegExp(`^${source}$`, 'i');
+}
+
+function getPatternRegExp(rule: IPatternRule): RegExp {
+  if (rule.patternType === PatternType.regex) {
+    return new RegExp(rule.pattern, 'i');
+  }
+
+  return globToRegExp(rule.pattern);
+}
+
+export function isValidPattern(rule: IPatternRule): boolean {
+  if (!rule.pattern) {
+    return false;
+  }
+
+  try {
+    getPatternRegExp(rule);
+  } catch (e) {
+    return false;
+  }
+
+  return true;
+}
+
+export function matchesPattern(value: string, rule: IPatternRule): boolean {
+  if (!isValidPattern(rule)) {
+    return false;
+  }
+
+  return getPatternRegExp(rule).test(value || '');
+}
+
+export function hasSelectionRules(rules: ITableSelectionRules): boolean {
+  if (!rules) {
+    return false;
+  }
+
+  return rules.tables.length > 0 || rules.excludeColumns.length > 0;
+}
+
+/**
+ * Returns the rules with the incomplete or invalid patterns removed.
+ */
+export function getValidSelectionRules(rules: ITableSelectionRules): ITableSelectionRules {
+  return {
+    tables: rules.tables.filter(isValidPattern),
+    excludeColumns: rules.excludeColumns.filter(isValidPattern),
+  };
+}
+
+export function parseSelectionRules(rules): ITableSelectionRules {
+  if (!rules || typeof rules !== 'object') {
+    return EMPTY_SELECTION_RULES;
+  }
+
+  return getValidSelectionRules({
+    tables: Array.isArray(rules.tables) ? rules.tables : [],
+    excludeColumns: Array.isArray(rules.excludeColumns) ? rules.excludeColumns : [],
+  });
+}
+
+function matchesTableRule(table: ITable, rule: ITableRule): boolean {
+  return matchesPattern(table[rule.field], rule);
+}
+
+export function isTableExcluded(table: ITable, rules: ITableSelectionRules): boolean {
+  return rules.tables.some((rule) => {
+    return rule.action === RuleAction.exclude && matchesTableRule(table, rule);
+  });
+}
+
+/**
+ * A table matches when it matches at least one include rule and none of the exclude rules.
+ */
+export function isTableMatched(table: ITable, rules: ITableSelectionRules): boolean {
+  const isIncluded = rules.tables.some((rule) => {
+    return rule.action === RuleAction.include && matchesTableRule(table, rule);
+  });
+
+  return isIncluded && !isTableExcluded(table, rules);
+}
+
+export function getMatchingTables(tables: ITable[], rules: ITableSelectionRules): ITable[] {
+  return tables.filter((table) => isTableMatched(table, rules));
+}
+
+export function isColumnExcluded(columnName: string, rules: ITableSelectionRules): boolean {
+  return rules.excludeColumns.some((rule) => matchesPattern(columnName, rule));
+}
+
+/**
+ * Returns the columns to replicate for a table once the column exclusion rules are applied,
+ * or null when all the columns should be replicated. Primary keys are always kept.
+ */
+export function getColumnsAfterExclusion(
+  columns: IDescribedColumn[],
+  primaryKeys: string[],
+  selectedColumns: IColumnsList,
+  rules: ITableSelectionRules
+): IColumnsList {
+  const hasSelection = selectedColumns && selectedColumns.size > 0;
+  const candidates: IColumnsList = hasSelection
+    ? selectedColumns
+    : List(columns.map((column) => Map({ name: column.name, type: column.type })));
+
+  const remaining = candidates
+    .filter((column) => {
+      const name = column.get('name') as string;
+      return primaryKeys.indexOf(name) !== -1 || !isColumnExcluded(name, rules);
+    })
+    .toList();
+
+  if (remaining.size === candidates.size) {
+    return hasSelection ? selectedColumns : null;
+  }
+
+  return remaining;
+}
@@ -54,6 +54,12 @@ import { FeatureProvider } from 'services/react/providers/featureFlagProvider';
 import { ITransAssessmentRes } from './Content/SelectColumnsWithTransforms/types';
 import { SUPPORT } from './Content/Assessment/TablesAssessment/Mappings/Supported';
 import { MyArtifactApi } from 'api/artifact';
+import {
+  EMPTY_SELECTION_RULES,
+  hasSelectionRules,
+  ITableDescription,
+  ITableSelectionRules,
+} from './Content/SelectTables/tableSelectionRules';
 
 export const CreateContext = React.createContext({});
 export const LEFT_PANEL_WIDTH = 275;
@@ -127,6 +133,11 @@ export interface ICreateState {
     checkTransformations?: boolean
   ) => void;
   setAdvanced: (numInstances) => void;
+  tableSelectionRules: ITableSelectionRules;
+  setTableSelectionRules: (tableSelectionRules: ITableSelectionRules) => void;
+  // descriptions of the source tables by table key, kept until the source config changes
+  tableDescriptions: { [tableKey: string]: ITableDescription };
+  addTableDescription: (tableKey: string, description: ITableDescription) => void;
   checkIfTinkEnabled: () => void;
   getReplicatorConfig: () => any;
   saveDraft: () => Observable<any>;
@@ -184,7 +195,7 @@ class CreateView extends React.PureComponent<ICreateProps, ICreateContext> {
   };
 
   public setSourceConfig = (sourceConfig) => {
-    this.setState({ sourceConfig }, () => {
+    this.setState({ sourceConfig, tableDescriptions: {} }, () => {
       this.props.history.replace(
         `/ns/${getCurrentNamespace()}/replication/drafts/${this.state.draftId}`
       );
@@ -410,6 +421,19 @@ class CreateView extends React.PureComponent<ICreateProps, ICreateContext> {
     this.setState({ numInstances });
   };
 
+  public setTableSelectionRules = (tableSelectionRules: ITableSelectionRules) => {
+    this.setState({ tableSelectionRules });
+  };
+
+  public addTableDescription = (tableKey: string, description: ITableDescription) => {
+    this.setState((prevState) => ({
+      tableDescriptions: {
+        ...prevState.tableDescriptions,
+        [tableKey]: description,
+      },
+    }));
+  };
+
   // for use in Assessment Table Mapping
   public setColumns = (columns, callback) => {
     this.setState({ columns }, () => {
@@ -427,9 +451,15 @@ class CreateView extends React.PureComponent<ICreateProps, ICreateContext> {
       draftId: this.state.draftId,
     };
 
+    const config: Record<string, any> = this.getReplicatorConfig();
+    // the selection rules are only used by the UI, so they are kept in the draft but not deployed
+    if (hasSelectionRules(this.state.tableSelectionRules)) {
+      config.tableSelectionRules = this.state.tableSelectionRules;
+    }
+
     const body = {
       label: this.state.name,
-      config: this.getReplicatorConfig(),
+      config,
     };
     return MyReplicatorApi.putDraft(params, body);
   };
@@ -558,6 +588,8 @@ class CreateView extends React.PureComponent<ICreateProps, ICreateContext> {
     isInvalidSource: false,
     loading: true,
     transformations: {},
+    tableSelectionRules: EMPTY_SELECTION_RULES,
+    tableDescriptions: {},
 
     activeStep: 0,
     tinkEnabled: false,
@@ -572,6 +604,8 @@ class CreateView extends React.PureComponent<ICreateProps, ICreateContext> {
     setTargetConfig: this.setTargetConfig,
     setTables: this.setTables,
     setAdvanced: this.setAdvanced,
+    setTableSelectionRules: this.setTableSelectionRules,
+    addTableDescription: this.addTableDescription,
     getReplicatorConfig: this.getReplicatorConfig,
     saveDraft: this.saveDraft,
     setColumns: this.setColumns,
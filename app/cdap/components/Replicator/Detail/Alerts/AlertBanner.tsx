@@ -0,0 +1,142 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import React, { useContext, useEffect, useState } from 'react';
+import withStyles, { WithStyles, StyleRules } from '@material-ui/core/styles/withStyles';
+import Button from '@material-ui/core/Button';
+import { DetailContext } from 'components/Replicator/Detail';
+import {
+  getActiveAlerts,
+  getAlertDescription,
+  hasThresholds,
+  IAlert,
+} from 'components/Replicator/Detail/Alerts/alerts';
+import { pollJobMetrics } from 'components/Replicator/Detail/Alerts/jobMetrics';
+import AlertThresholdsModal from 'components/Replicator/Detail/Alerts/AlertThresholdsModal';
+import IconSVG from 'components/shared/IconSVG';
+import If from 'components/shared/If';
+
+const styles = (theme): StyleRules => {
+  return {
+    root: {
+      display: 'flex',
+      alignItems: 'center',
+      padding: '5px 10px',
+      marginBottom: '10px',
+      borderRadius: '4px',
+      border: `1px solid ${theme.palette.grey[300]}`,
+    },
+    alerting: {
+      borderColor: theme.palette.red[100],
+      backgroundColor: `${theme.palette.red[100]}1a`,
+    },
+    icon: {
+      marginRight: '10px',
+    },
+    alertIcon: {
+      color: theme.palette.red[100],
+    },
+    okIcon: {
+      color: theme.palette.green[50],
+    },
+    message: {
+      flex: 1,
+    },
+    alertList: {
+      margin: 0,
+      paddingLeft: '20px',
+    },
+  };
+};
+
+const AlertBannerView: React.FC<WithStyles<typeof styles>> = ({ classes }) => {
+  const { name, tables, timeRange, alertThresholds } = useContext(DetailContext);
+  const [alerts, setAlerts] = useState<IAlert[]>([]);
+  const [showThresholds, setShowThresholds] = useState(false);
+  const isConfigured = hasThresholds(alertThresholds);
+
+  useEffect(() => {
+    if (!isConfigured || tables.size === 0) {
+      setAlerts([]);
+      return;
+    }
+
+    const metricsPoll$ = pollJobMetrics(name, timeRange, tables.size).subscribe(
+      (series) => {
+        setAlerts(getActiveAlerts(series, alertThresholds));
+      },
+      (err) => {
+        // tslint:disable-next-line: no-console
+        console.log('err', err);
+      }
+    );
+
+    return () => {
+      if (metricsPoll$ && typeof metricsPoll$.unsubscribe === 'function') {
+        metricsPoll$.unsubscribe();
+      }
+    };
+  }, [tables, timeRange, alertThresholds]);
+
+  function toggleThresholds() {
+    setShowThresholds(!showThresholds);
+  }
+
+  function renderMessage() {
+    if (!isConfigured) {
+      return <span>No alert thresholds are set for this replication job</span>;
+    }
+
+    if (alerts.length === 0) {
+      return <span>No active alerts</span>;
+    }
+
+    return (
+      <div>
+        <strong>This replication job is falling behind</strong>
+        <ul className={classes.alertList}>
+          {alerts.map((alert) => (
+            <li key={alert.metric}>{getAlertDescription(alert)}</li>
+          ))}
+        </ul>
+      </div>
+    );
+  }
+
+  const isAlerting = alerts.length > 0;
+
+  return (
+    <div
+      className={`${classes.root} ${isAlerting ? classes.alerting : ''}`}
+      data-cy="replication-alert-banner"
+    >
+      <If condition={isConfigured}>
+        <IconSVG
+          name={isAlerting ? 'icon-exclamation-triangle' : 'icon-check'}
+          className={`${classes.icon} ${isAlerting ? classes.alertIcon : classes.okIcon}`}
+        />
+      </If>
+      <div className={classes.message}>{renderMessage()}</div>
+      <Button color="primary" onClick={toggleThresholds}>
+        Alert thresholds
+      </Button>
+      <AlertThresholdsModal isOpen={showThresholds} onClose={toggleThresholds} />
+    </div>
+  );
+};
+
+const AlertBanner = withStyles(styles)(AlertBannerView);
+export default AlertBanner;
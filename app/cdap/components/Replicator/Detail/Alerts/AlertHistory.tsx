@@ -0,0 +1,152 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import React, { useContext, useEffect, useState } from 'react';
+import withStyles, { WithStyles, StyleRules } from '@material-ui/core/styles/withStyles';
+import moment from 'moment';
+import { DetailContext } from 'components/Replicator/Detail';
+import {
+  BREACH_HISTORY_LABEL,
+  BREACH_HISTORY_TIME_RANGE,
+  formatAlertValue,
+  getAlertLabel,
+  getBreachHistory,
+  hasThresholds,
+  IBreach,
+} from 'components/Replicator/Detail/Alerts/alerts';
+import { pollJobMetrics } from 'components/Replicator/Detail/Alerts/jobMetrics';
+import Heading, { HeadingTypes } from 'components/shared/Heading';
+import Table from 'components/shared/Table';
+import TableHeader from 'components/shared/Table/TableHeader';
+import TableRow from 'components/shared/Table/TableRow';
+import TableCell from 'components/shared/Table/TableCell';
+import TableBody from 'components/shared/Table/TableBody';
+
+const styles = (theme): StyleRules => {
+  return {
+    root: {
+      marginBottom: '25px',
+    },
+    message: {
+      color: theme.palette.grey[200],
+    },
+    ongoing: {
+      color: theme.palette.red[100],
+      fontWeight: 600,
+    },
+  };
+};
+
+const TIME_FORMAT = 'MM/DD - hh:mmA';
+
+function formatTime(time: number) {
+  return moment(time).format(TIME_FORMAT);
+}
+
+const AlertHistoryView: React.FC<WithStyles<typeof styles>> = ({ classes }) => {
+  const { name, tables, alertThresholds } = useContext(DetailContext);
+  const [breaches, setBreaches] = useState<IBreach[]>([]);
+  const isConfigured = hasThresholds(alertThresholds);
+
+  useEffect(() => {
+    if (!isConfigured || tables.size === 0) {
+      setBreaches([]);
+      return;
+    }
+
+    const metricsPoll$ = pollJobMetrics(name, BREACH_HISTORY_TIME_RANGE, tables.size).subscribe(
+      (series) => {
+        setBreaches(getBreachHistory(series, alertThresholds));
+      },
+      (err) => {
+        // tslint:disable-next-line: no-console
+        console.log('err', err);
+      }
+    );
+
+    return () => {
+      if (metricsPoll$ && typeof metricsPoll$.unsubscribe === 'function') {
+        metricsPoll$.unsubscribe();
+      }
+    };
+  }, [tables, alertThresholds]);
+
+  function renderContent() {
+    if (!isConfigured) {
+      return (
+        <div className={classes.message}>
+          Set alert thresholds in the overview to track when this replication job falls behind
+        </div>
+      );
+    }
+
+    if (breaches.length === 0) {
+      return (
+        <div className={classes.message}>
+          No thresholds were breached in the {BREACH_HISTORY_LABEL}
+        </div>
+      );
+    }
+
+    return (
+      <Table columnTemplate="1fr 1fr 1fr 1fr 1fr">
+        <TableHeader>
+          <TableRow>
+            <TableCell>Alert</TableCell>
+            <TableCell>Started</TableCell>
+            <TableCell>Last breached</TableCell>
+            <TableCell textAlign="right">Worst value</TableCell>
+            <TableCell textAlign="right">Threshold</TableCell>
+          </TableRow>
+        </TableHeader>
+
+        <TableBody>
+          {breaches.map((breach) => {
+            return (
+              <TableRow key={`${breach.metric}-${breach.start}`}>
+                <TableCell>{getAlertLabel(breach.metric)}</TableCell>
+                <TableCell>{formatTime(breach.start)}</TableCell>
+                <TableCell>
+                  {breach.ongoing ? (
+                    <span className={classes.ongoing}>Ongoing</span>
+                  ) : (
+                    formatTime(breach.end)
+                  )}
+                </TableCell>
+                <TableCell textAlign="right">
+                  {formatAlertValue(breach.metric, breach.value)}
+                </TableCell>
+                <TableCell textAlign="right">
+                  {formatAlertValue(breach.metric, breach.threshold)}
+                </TableCell>
+              </TableRow>
+            );
+          })}
+        </TableBody>
+      </Table>
+    );
+  }
+
+  return (
+    <div className={classes.root}>
+      <Heading type={HeadingTypes.h4} label={`Alert history (${BREACH_HISTORY_LABEL})`} />
+      {renderContent()}
+    </div>
+  );
+};
+
+const AlertHistory = withStyles(styles)(AlertHistoryView);
+export default AlertHistory;
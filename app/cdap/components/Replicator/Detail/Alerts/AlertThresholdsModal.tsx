@@ -0,0 +1,188 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import * as React from 'react';
+import withStyles, { WithStyles, StyleRules } from '@material-ui/core/styles/withStyles';
+import TextField from '@material-ui/core/TextField';
+import ConfirmationModal from 'components/shared/ConfirmationModal';
+import { detailContextConnect, IDetailContext } from 'components/Replicator/Detail';
+import { getCurrentNamespace } from 'services/NamespaceStore';
+import { MyPreferenceApi } from 'api/preference';
+import 'rxjs/add/operator/mergeMap';
+import {
+  ALERT_THRESHOLDS_PREFERENCE,
+  IAlertThresholds,
+  serializeAlertThresholds,
+} from 'components/Replicator/Detail/Alerts/alerts';
+
+const styles = (): StyleRules => {
+  return {
+    description: {
+      marginBottom: '15px',
+    },
+    field: {
+      display: 'grid',
+      gridTemplateColumns: '1fr 150px',
+      alignItems: 'center',
+      marginBottom: '10px',
+    },
+  };
+};
+
+interface IAlertThresholdsModalProps extends IDetailContext, WithStyles<typeof styles> {
+  isOpen: boolean;
+  onClose: () => void;
+}
+
+type IThresholdInputs = Record<keyof IAlertThresholds, string>;
+
+const FIELDS: Array<{ name: keyof IAlertThresholds; label: string }> = [
+  { name: 'maxLatencyMinutes', label: 'Maximum latency (min)' },
+  { name: 'maxErrors', label: 'Maximum errors in the time range' },
+  { name: 'maxThroughputDropPercent', label: 'Maximum throughput drop (%)' },
+];
+
+function toInputs(thresholds: IAlertThresholds): IThresholdInputs {
+  return {
+    maxLatencyMinutes:
+      thresholds.maxLatencyMinutes === null ? '' : `${thresholds.maxLatencyMinutes}`,
+    maxErrors: thresholds.maxErrors === null ? '' : `${thresholds.maxErrors}`,
+    maxThroughputDropPercent:
+      thresholds.maxThroughputDropPercent === null ? '' : `${thresholds.maxThroughputDropPercent}`,
+  };
+}
+
+function toThreshold(input: string): number | null {
+  return input.trim().length === 0 ? null : parseFloat(input);
+}
+
+function isValidInput(input: string): boolean {
+  const threshold = toThreshold(input);
+  return threshold === null || (isFinite(threshold) && threshold >= 0);
+}
+
+const AlertThresholdsModalView: React.FC<IAlertThresholdsModalProps> = ({
+  classes,
+  name,
+  alertThresholds,
+  setAlertThresholds,
+  isOpen,
+  onClose,
+}) => {
+  const [inputs, setInputs] = React.useState<IThresholdInputs>(toInputs(alertThresholds));
+  const [loading, setLoading] = React.useState(false);
+  const [error, setError] = React.useState(null);
+
+  React.useEffect(() => {
+    if (isOpen) {
+      setInputs(toInputs(alertThresholds));
+      setError(null);
+    }
+  }, [isOpen]);
+
+  if (!isOpen) {
+    return null;
+  }
+
+  const isValid = FIELDS.every(({ name: field }) => isValidInput(inputs[field]));
+
+  function handleChange(field: keyof IAlertThresholds, value: string) {
+    setInputs({
+      ...inputs,
+      [field]: value,
+    });
+  }
+
+  function handleSave() {
+    const thresholds: IAlertThresholds = {
+      maxLatencyMinutes: toThreshold(inputs.maxLatencyMinutes),
+      maxErrors: toThreshold(inputs.maxErrors),
+      maxThroughputDropPercent: toThreshold(inputs.maxThroughputDropPercent),
+    };
+
+    const params = {
+      namespace: getCurrentNamespace(),
+      appId: name,
+    };
+
+    setLoading(true);
+    MyPreferenceApi.getAppPreferences(params)
+      .mergeMap((appPreferences) => {
+        const preferences = {
+          ...appPreferences,
+          [ALERT_THRESHOLDS_PREFERENCE]: serializeAlertThresholds(thresholds),
+        };
+        return MyPreferenceApi.setAppPreferences(params, preferences);
+      })
+      .subscribe(
+        () => {
+          setLoading(false);
+          setAlertThresholds(thresholds);
+          onClose();
+        },
+        (err) => {
+          setLoading(false);
+          setError(err);
+        }
+      );
+  }
+
+  const confirmElem = (
+    <div>
+      <div className={classes.description}>
+        Alerts are raised when the replication job goes above these thresholds. Leave a threshold
+        empty to turn it off.
+      </div>
+      {FIELDS.map(({ name: field, label }) => {
+        return (
+          <div className={classes.field} key={field}>
+            <label htmlFor={`replication-alert-${field}`}>{label}</label>
+            <TextField
+              id={`replication-alert-${field}`}
+              type="number"
+              variant="outlined"
+              margin="dense"
+              value={inputs[field]}
+              onChange={(e) => handleChange(field, e.target.value)}
+              error={!isValidInput(inputs[field])}
+              inputProps={{ min: 0 }}
+            />
+          </div>
+        );
+      })}
+    </div>
+  );
+
+  return (
+    <ConfirmationModal
+      headerTitle="Alert thresholds"
+      toggleModal={onClose}
+      confirmationElem={confirmElem}
+      confirmButtonText="Save"
+      confirmFn={handleSave}
+      cancelFn={onClose}
+      isOpen={isOpen}
+      isLoading={loading}
+      disableAction={!isValid}
+      errorMessage={!error ? '' : 'Failed to save the alert thresholds'}
+      extendedMessage={error}
+    />
+  );
+};
+
+const StyledAlertThresholdsModal = withStyles(styles)(AlertThresholdsModalView);
+const AlertThresholdsModal = detailContextConnect(StyledAlertThresholdsModal);
+export default AlertThresholdsModal;
@@ -0,0 +1,123 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import {
+  ALERT_THRESHOLDS_PREFERENCE,
+  AlertMetric,
+  EMPTY_THRESHOLDS,
+  getActiveAlerts,
+  getBreachHistory,
+  getTableAlerts,
+  hasThresholds,
+  parseAlertThresholds,
+} from 'components/Replicator/Detail/Alerts/alerts';
+
+function getInterval(time: number, events: number, latency = 0, errors = 0) {
+  return {
+    time,
+    inserts: events,
+    updates: 0,
+    deletes: 0,
+    errors,
+    latency,
+    formattedTimeRange: '',
+    dataReplicated: 0,
+  };
+}
+
+describe('Replication alerts', () => {
+  it('should parse the thresholds from the app preferences', () => {
+    expect(parseAlertThresholds({})).toEqual(EMPTY_THRESHOLDS);
+    expect(parseAlertThresholds({ [ALERT_THRESHOLDS_PREFERENCE]: 'not json' })).toEqual(
+      EMPTY_THRESHOLDS
+    );
+
+    const thresholds = parseAlertThresholds({
+      [ALERT_THRESHOLDS_PREFERENCE]: JSON.stringify({ maxLatencyMinutes: 5, maxErrors: -1 }),
+    });
+    expect(thresholds).toEqual({ ...EMPTY_THRESHOLDS, maxLatencyMinutes: 5 });
+    expect(hasThresholds(thresholds)).toBe(true);
+    expect(hasThresholds(EMPTY_THRESHOLDS)).toBe(false);
+  });
+
+  it('should evaluate the table thresholds', () => {
+    const thresholds = { ...EMPTY_THRESHOLDS, maxLatencyMinutes: 5, maxErrors: 0 };
+    expect(getTableAlerts({ latency: 2, errors: 0 }, thresholds)).toEqual([]);
+    expect(
+      getTableAlerts({ latency: 6, errors: 1 }, thresholds).map(({ metric }) => metric)
+    ).toEqual([AlertMetric.latency, AlertMetric.errors]);
+    expect(getTableAlerts({ latency: 600, errors: 100 }, EMPTY_THRESHOLDS)).toEqual([]);
+  });
+
+  it('should group consecutive intervals above the threshold into breaches', () => {
+    const series = [
+      getInterval(1000, 10, 30),
+      getInterval(2000, 10, 600),
+      getInterval(3000, 10, 900),
+      getInterval(4000, 10, 30),
+      getInterval(5000, 10, 600),
+      getInterval(6000, 10, 600),
+      getInterval(7000, 2, 0),
+    ];
+    const breaches = getBreachHistory(series, { ...EMPTY_THRESHOLDS, maxLatencyMinutes: 5 });
+
+    expect(breaches).toEqual([
+      {
+        metric: AlertMetric.latency,
+        value: 10,
+        threshold: 5,
+        start: 5000,
+        end: 6000,
+        ongoing: true,
+      },
+      {
+        metric: AlertMetric.latency,
+        value: 15,
+        threshold: 5,
+        start: 2000,
+        end: 3000,
+        ongoing: false,
+      },
+    ]);
+  });
+
+  it('should detect throughput drops from the average of the completed intervals', () => {
+    const series = [
+      getInterval(1000, 0),
+      getInterval(2000, 100),
+      getInterval(3000, 100),
+      getInterval(4000, 100),
+      getInterval(5000, 20),
+      // in progress
+      getInterval(6000, 0),
+    ];
+    const thresholds = { ...EMPTY_THRESHOLDS, maxThroughputDropPercent: 50 };
+
+    expect(getActiveAlerts(series, thresholds)).toEqual([
+      { metric: AlertMetric.throughput, value: 75, threshold: 50 },
+    ]);
+  });
+
+  it('should alert once the errors in the time range go above the threshold', () => {
+    const series = [getInterval(1000, 10, 0, 1), getInterval(2000, 10, 0, 2), getInterval(3000, 0)];
+    const breaches = getBreachHistory(series, { ...EMPTY_THRESHOLDS, maxErrors: 2 });
+
+    expect(breaches.length).toBe(1);
+    expect(breaches[0]).toEqual(
+      expect.objectContaining({ metric: AlertMetric.errors, value: 3, start: 2000, ongoing: true })
+    );
+  });
+});
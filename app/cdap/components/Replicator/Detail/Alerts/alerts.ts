@@ -0,0 +1,275 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import { IThroughputLatencyData } from 'components/Replicator/Detail/Monitoring/ThroughputLatencyGraphs/parser';
+
+/**
+ * Alert thresholds of a replication job. A threshold set to null is not evaluated.
+ */
+export interface IAlertThresholds {
+  // average latency, in minutes
+  maxLatencyMinutes: number | null;
+  // number of errors in the selected time range
+  maxErrors: number | null;
+  // decrease of the events per interval compared to the average of the time range, in percent
+  maxThroughputDropPercent: number | null;
+}
+
+export enum AlertMetric {
+  latency = 'latency',
+  errors = 'errors',
+  throughput = 'throughput',
+}
+
+export interface IAlert {
+  metric: AlertMetric;
+  value: number;
+  threshold: number;
+}
+
+export interface IBreach extends IAlert {
+  // timestamps in milliseconds of the first and last interval above the threshold
+  start: number;
+  end: number;
+  // whether the breach lasts until the latest interval
+  ongoing: boolean;
+}
+
+// thresholds are saved as a JSON string in the preferences of the replication app
+export const ALERT_THRESHOLDS_PREFERENCE = 'ui.replication.alertThresholds';
+
+export const EMPTY_THRESHOLDS: IAlertThresholds = {
+  maxLatencyMinutes: null,
+  maxErrors: null,
+  maxThroughputDropPercent: null,
+};
+
+// the breach history is evaluated over this range whatever time range is selected for the charts,
+// so that it does not change with the charts and is the same after a reload
+export const BREACH_HISTORY_TIME_RANGE = '7d';
+export const BREACH_HISTORY_LABEL = 'last 7 days';
+
+const ONE_MIN_SECONDS = 60;
+
+function toThreshold(value): number | null {
+  const threshold = typeof value === 'string' ? parseFloat(value) : value;
+  return typeof threshold === 'number' && isFinite(threshold) && threshold >= 0 ? threshold : null;
+}
+
+export function parseAlertThresholds(preferences: Record<string, string> = {}): IAlertThresholds {
+  let saved: Partial<IAlertThresholds> = {};
+  try {
+    saved = JSON.parse(preferences[ALERT_THRESHOLDS_PREFERENCE] || '{}') || {};
+  } catch (e) {
+    // ignore thresholds that cannot be parsed, they can be saved again
+  }
+
+  return {
+    maxLatencyMinutes: toThreshold(saved.maxLatencyMinutes),
+    maxErrors: toThreshold(saved.maxErrors),
+    maxThroughputDropPercent: toThreshold(saved.maxThroughputDropPercent),
+  };
+}
+
+export function serializeAlertThresholds(thresholds: IAlertThresholds): string {
+  return JSON.stringify(thresholds);
+}
+
+export function hasThresholds(thresholds: IAlertThresholds): boolean {
+  return !!thresholds && Object.values(thresholds).some((threshold) => threshold !== null);
+}
+
+/**
+ * Evaluates the latency and errors thresholds against the metrics of a table over the time range.
+ * Throughput drops are only evaluated for the whole job.
+ *
+ * @param latency average latency in minutes
+ * @param errors number of errors
+ */
+export function getTableAlerts(
+  { latency, errors }: { latency: number; errors: number },
+  thresholds: IAlertThresholds
+): IAlert[] {
+  const alerts: IAlert[] = [];
+  if (thresholds.maxLatencyMinutes !== null && latency > thresholds.maxLatencyMinutes) {
+    alerts.push({
+      metric: AlertMetric.latency,
+      value: latency,
+      threshold: thresholds.maxLatencyMinutes,
+    });
+  }
+  if (thresholds.maxErrors !== null && errors > thresholds.maxErrors) {
+    alerts.push({ metric: AlertMetric.errors, value: errors, threshold: thresholds.maxErrors });
+  }
+  return alerts;
+}
+
+function getEvents(interval: IThroughputLatencyData): number {
+  return interval.inserts + interval.updates + interval.deletes;
+}
+
+/**
+ * Average number of events per interval, from the first interval with events. The latest interval
+ * is still in progress, so it is left out.
+ */
+function getThroughputBaseline(series: IThroughputLatencyData[]): number {
+  const firstActive = series.findIndex((interval) => getEvents(interval) > 0);
+  const completed = series.slice(firstActive, series.length - 1);
+  if (firstActive === -1 || completed.length === 0) {
+    return 0;
+  }
+  return completed.reduce((sum, interval) => sum + getEvents(interval), 0) / completed.length;
+}
+
+type IIntervalValues = Partial<Record<AlertMetric, number>>;
+
+/**
+ * Values of the metrics that are above their threshold, for every interval of the series.
+ *
+ * @param series job metrics, as parsed by throughputLatencyParser, with latency in seconds
+ */
+function getIntervalBreaches(
+  series: IThroughputLatencyData[],
+  thresholds: IAlertThresholds
+): IIntervalValues[] {
+  const baseline = getThroughputBaseline(series);
+  const firstActive = series.findIndex((interval) => getEvents(interval) > 0);
+  let totalErrors = 0;
+
+  return series.map((interval, i) => {
+    const values: IIntervalValues = {};
+    const latency = interval.latency / ONE_MIN_SECONDS;
+    if (thresholds.maxLatencyMinutes !== null && latency > thresholds.maxLatencyMinutes) {
+      values[AlertMetric.latency] = latency;
+    }
+
+    totalErrors += interval.errors;
+    if (thresholds.maxErrors !== null && totalErrors > thresholds.maxErrors) {
+      values[AlertMetric.errors] = totalErrors;
+    }
+
+    const isCompleted = i < series.length - 1;
+    if (
+      thresholds.maxThroughputDropPercent !== null &&
+      baseline > 0 &&
+      isCompleted &&
+      i > firstActive
+    ) {
+      const drop = ((baseline - getEvents(interval)) / baseline) * 100;
+      if (drop > thresholds.maxThroughputDropPercent) {
+        values[AlertMetric.throughput] = drop;
+      }
+    }
+    return values;
+  });
+}
+
+function getThreshold(metric: AlertMetric, thresholds: IAlertThresholds): number {
+  switch (metric) {
+    case AlertMetric.latency:
+      return thresholds.maxLatencyMinutes;
+    case AlertMetric.errors:
+      return thresholds.maxErrors;
+    case AlertMetric.throughput:
+      return thresholds.maxThroughputDropPercent;
+  }
+}
+
+/**
+ * Groups the consecutive intervals above a threshold into breaches, most recent first.
+ * The value of a breach is the worst value over its intervals.
+ */
+export function getBreachHistory(
+  series: IThroughputLatencyData[],
+  thresholds: IAlertThresholds
+): IBreach[] {
+  const sortedSeries = [...series].sort((a, b) => a.time - b.time);
+  const intervalBreaches = getIntervalBreaches(sortedSeries, thresholds);
+  const breaches: IBreach[] = [];
+  const openBreaches: Partial<Record<AlertMetric, IBreach>> = {};
+  // the latest interval is still in progress, so a breach is ongoing until the last completed one
+  const lastCompletedIndex = sortedSeries.length - 2;
+
+  Object.values(AlertMetric).forEach((metric) => {
+    intervalBreaches.forEach((values, i) => {
+      const value = values[metric];
+      if (value === undefined) {
+        openBreaches[metric] = null;
+        return;
+      }
+
+      const breach = openBreaches[metric];
+      if (breach) {
+        breach.end = sortedSeries[i].time;
+        breach.value = Math.max(breach.value, value);
+      } else {
+        openBreaches[metric] = {
+          metric,
+          value,
+          threshold: getThreshold(metric, thresholds),
+          start: sortedSeries[i].time,
+          end: sortedSeries[i].time,
+          ongoing: false,
+        };
+        breaches.push(openBreaches[metric]);
+      }
+
+      openBreaches[metric].ongoing = i >= lastCompletedIndex;
+    });
+  });
+
+  return breaches.sort((a, b) => b.start - a.start);
+}
+
+/**
+ * Alerts for the breaches that last until now.
+ */
+export function getActiveAlerts(
+  series: IThroughputLatencyData[],
+  thresholds: IAlertThresholds
+): IAlert[] {
+  return getBreachHistory(series, thresholds)
+    .filter((breach) => breach.ongoing)
+    .map(({ metric, value, threshold }) => ({ metric, value, threshold }));
+}
+
+const ALERT_LABELS = {
+  [AlertMetric.latency]: 'Latency',
+  [AlertMetric.errors]: 'Errors',
+  [AlertMetric.throughput]: 'Throughput drop',
+};
+
+const ALERT_UNITS = {
+  [AlertMetric.latency]: ' min',
+  [AlertMetric.errors]: '',
+  [AlertMetric.throughput]: '%',
+};
+
+export function getAlertLabel(metric: AlertMetric): string {
+  return ALERT_LABELS[metric];
+}
+
+export function formatAlertValue(metric: AlertMetric, value: number): string {
+  const rounded = Math.round(value * 100) / 100;
+  return `${rounded}${ALERT_UNITS[metric]}`;
+}
+
+export function getAlertDescription({ metric, value, threshold }: IAlert): string {
+  return `${getAlertLabel(metric)} ${formatAlertValue(
+    metric,
+    value
+  )} is above the threshold of ${formatAlertValue(metric, threshold)}`;
+}
@@ -0,0 +1,63 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import { Observable } from 'rxjs/Observable';
+import 'rxjs/add/operator/map';
+import { getCurrentNamespace } from 'services/NamespaceStore';
+import MetricsQueryHelper from 'services/MetricsQueryHelper';
+import { PROGRAM_INFO } from 'components/Replicator/constants';
+import { MyMetricApi } from 'api/metric';
+import {
+  throughputLatencyParser,
+  IThroughputLatencyData,
+} from 'components/Replicator/Detail/Monitoring/ThroughputLatencyGraphs/parser';
+
+/**
+ * Polls the metrics of the whole replication job over the time range, with the same query as
+ * the throughput and latency graphs.
+ */
+export function pollJobMetrics(
+  name: string,
+  timeRange: string,
+  numTables: number
+): Observable<IThroughputLatencyData[]> {
+  const tags = {
+    namespace: getCurrentNamespace(),
+    app: name,
+    worker: PROGRAM_INFO.programId,
+    run: '*',
+    instance: '*',
+  };
+
+  const tagsParams = MetricsQueryHelper.tagsToParams(tags);
+
+  const metrics = ['inserts', 'updates', 'deletes', 'errors', 'latency.seconds']
+    .map((metric) => {
+      return `metric=user.dml.${metric}`;
+    })
+    .join('&');
+
+  const start = `start=now-${timeRange}`;
+  const end = 'end=now';
+  const aggregate = 'aggregate=false';
+  const resolution = 'resolution=auto';
+
+  const params = [start, end, aggregate, resolution, tagsParams, metrics].join('&');
+
+  return MyMetricApi.pollQueryTags({ params }).map((res) =>
+    throughputLatencyParser(res, numTables)
+  );
+}
@@ -21,6 +21,7 @@ import TimePeriodSelection from 'components/Replicator/Detail/Monitoring/TimePer
 import ThroughputLatencyGraphs from 'components/Replicator/Detail/Monitoring/ThroughputLatencyGraphs';
 import TableScatterPlotGraph from 'components/Replicator/Detail/Monitoring/TableScatterPlotGraph';
 import SelectedTable from 'components/Replicator/Detail/Monitoring/SelectedTable';
+import AlertHistory from 'components/Replicator/Detail/Alerts/AlertHistory';
 
 const styles = (theme): StyleRules => {
   return {
@@ -41,6 +42,8 @@ const MonitoringView: React.FC<WithStyles<typeof styles>> = ({ classes }) => {
       <TimePeriodSelection />
       <Metrics />
       <hr />
+      <AlertHistory />
+      <hr />
       <TableScatterPlotGraph />
       <hr />
       <SelectedTable />
@@ -35,6 +35,7 @@ import TableRow from 'components/shared/Table/TableRow';
 import TableCell from 'components/shared/Table/TableCell';
 import TableBody from 'components/shared/Table/TableBody';
 import IconSVG from 'components/shared/IconSVG';
+import If from 'components/shared/If';
 import MetricsQueryHelper from 'services/MetricsQueryHelper';
 import { PROGRAM_INFO } from 'components/Replicator/constants';
 import { MyMetricApi } from 'api/metric';
@@ -48,6 +49,7 @@ import ColumnGroup from 'components/shared/Table/ColumnGroup';
 import TimePeriodDropdown from 'components/Replicator/Detail/TimePeriodDropdown';
 import capitalize from 'lodash/capitalize';
 import { truncateNumber } from 'services/helpers';
+import { getAlertDescription, getTableAlerts } from 'components/Replicator/Detail/Alerts/alerts';
 
 const styles = (theme): StyleRules => {
   return {
@@ -88,11 +90,16 @@ const styles = (theme): StyleRules => {
     IDLE: {
       color: theme.palette.grey[200],
     },
+    alert: {
+      color: theme.palette.red[100],
+    },
   };
 };
 
 const TablesListView: React.FC<WithStyles<typeof styles>> = ({ classes }) => {
-  const { name, tables, columns, offsetBasePath, timeRange } = useContext(DetailContext);
+  const { name, tables, columns, offsetBasePath, timeRange, alertThresholds } = useContext(
+    DetailContext
+  );
 
   const [statusMap, setStatusMap] = useState(Map<string, string>());
   const [filteredTables, setFilteredTables] = useState(sortTable(tables.toList()));
@@ -245,12 +252,12 @@ const TablesListView: React.FC<WithStyles<typeof styles>> = ({ classes }) => {
       </div>
 
       <Table
-        columnTemplate="30px 2fr 100px 1fr 1fr 1fr 1fr 100px 1fr 1fr 1fr"
+        columnTemplate="30px 2fr 100px 1fr 1fr 1fr 1fr 100px 1fr 1fr 1fr 70px"
         classes={{ grid: classes.grid }}
       >
         <TableHeader>
           <TableColumnGroup>
-            <ColumnGroup gridColumn="4 / span 8">
+            <ColumnGroup gridColumn="4 / span 9">
               Activities in the <TimePeriodDropdown />
             </ColumnGroup>
           </TableColumnGroup>
@@ -283,6 +290,7 @@ const TablesListView: React.FC<WithStyles<typeof styles>> = ({ classes }) => {
             <TableCell textAlign="right">Inserts</TableCell>
             <TableCell textAlign="right">Updates</TableCell>
             <TableCell textAlign="right">Deletes</TableCell>
+            <TableCell textAlign="center">Alerts</TableCell>
           </TableRow>
         </TableHeader>
 
@@ -297,6 +305,7 @@ const TablesListView: React.FC<WithStyles<typeof styles>> = ({ classes }) => {
             const tableDisplayName = getTableDisplayName(row);
             const tableMetricsKey = getFullyQualifiedTableName(row);
             const tableMetrics = tableMetricsMap[tableMetricsKey] || { ...INITIAL_DATA };
+            const tableAlerts = getTableAlerts(tableMetrics, alertThresholds);
 
             return (
               <TableRow key={tableKey.toString()}>
@@ -315,6 +324,13 @@ const TablesListView: React.FC<WithStyles<typeof styles>> = ({ classes }) => {
                 <TableCell textAlign="right">{truncateNumber(tableMetrics.inserts)}</TableCell>
                 <TableCell textAlign="right">{truncateNumber(tableMetrics.updates)}</TableCell>
                 <TableCell textAlign="right">{truncateNumber(tableMetrics.deletes)}</TableCell>
+                <TableCell textAlign="center">
+                  <If condition={tableAlerts.length > 0}>
+                    <span title={tableAlerts.map(getAlertDescription).join('\n')}>
+                      <IconSVG name="icon-exclamation-triangle" className={classes.alert} />
+                    </span>
+                  </If>
+                </TableCell>
               </TableRow>
             );
           })}
@@ -17,12 +17,19 @@
 import React from 'react';
 import withStyles, { WithStyles, StyleRules } from '@material-ui/core/styles/withStyles';
 import TablesList from 'components/Replicator/Detail/Overview/TablesList';
+import AlertBanner from 'components/Replicator/Detail/Alerts/AlertBanner';
 
 const styles = (): StyleRules => {
   return {
     root: {
       marginTop: '25px',
       height: 'calc(100% - 150px)', // 100% - content heading -nav link section
+      display: 'flex',
+      flexDirection: 'column',
+    },
+    tables: {
+      flex: 1,
+      minHeight: 0,
     },
   };
 };
@@ -30,7 +37,10 @@ const styles = (): StyleRules => {
 const OverviewView: React.FC<WithStyles<typeof styles>> = ({ classes }) => {
   return (
     <div className={classes.root}>
-      <TablesList />
+      <AlertBanner />
+      <div className={classes.tables}>
+        <TablesList />
+      </div>
     </div>
   );
 };
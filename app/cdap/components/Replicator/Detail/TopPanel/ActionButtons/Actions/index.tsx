@@ -22,6 +22,7 @@ import DeleteConfirmation, { InstanceType } from 'components/Replicator/DeleteCo
 import { getCurrentNamespace } from 'services/NamespaceStore';
 import { Redirect } from 'react-router-dom';
 import IconSVG from 'components/shared/IconSVG';
+import CloneReplication from 'components/Replicator/CloneReplication';
 
 const styles = (theme): StyleRules => {
   return {
@@ -68,6 +69,7 @@ const ActionsView: React.FC<IDetailContext & WithStyles<typeof styles>> = ({
 }) => {
   const [showDeleteConfirmation, setShowDeleteConfirmation] = React.useState(false);
   const [redirect, setRedirect] = React.useState(false);
+  const [showClone, setShowClone] = React.useState(false);
 
   if (redirect) {
     return <Redirect to={`/ns/${getCurrentNamespace()}/replication`} />;
@@ -82,6 +84,10 @@ const ActionsView: React.FC<IDetailContext & WithStyles<typeof styles>> = ({
       label: 'Duplicate',
       actionFn: duplicatePipeline,
     },
+    {
+      label: 'Clone as new',
+      actionFn: () => setShowClone(true),
+    },
     {
       label: 'separator',
     },
@@ -113,6 +119,11 @@ const ActionsView: React.FC<IDetailContext & WithStyles<typeof styles>> = ({
         closeModal={() => setShowDeleteConfirmation(false)}
         type={InstanceType.app}
       />
+      <CloneReplication
+        replicationName={name}
+        isOpen={showClone}
+        onClose={() => setShowClone(false)}
+      />
     </div>
   );
 };
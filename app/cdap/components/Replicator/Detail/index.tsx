@@ -33,6 +33,12 @@ import ContentHeading from 'components/Replicator/Detail/ContentHeading';
 import { ITableInfo, IArtifactInfo } from '../types';
 import DownloadFile from 'services/download-file';
 import ErrorBanner from 'components/shared/ErrorBanner';
+import { MyPreferenceApi } from 'api/preference';
+import {
+  IAlertThresholds,
+  EMPTY_THRESHOLDS,
+  parseAlertThresholds,
+} from 'components/Replicator/Detail/Alerts/alerts';
 
 export const DetailContext = React.createContext<Partial<IDetailState>>({});
 
@@ -97,12 +103,14 @@ interface IDetailState {
   startTime: number;
   endTime: number;
   numInstances: number;
+  alertThresholds: IAlertThresholds;
 
   start: () => void;
   stop: () => void;
   deleteReplicator: () => void;
   setActiveTable: (table: ITableInfo) => void;
   setTimeRange: (timeRange: string) => void;
+  setAlertThresholds: (alertThresholds: IAlertThresholds) => void;
   exportPipeline: () => void;
   duplicatePipeline: () => void;
   error: object | string | null;
@@ -187,6 +195,12 @@ class DetailView extends React.PureComponent<IDetailProps, IDetailContext> {
     });
   };
 
+  private setAlertThresholds = (alertThresholds: IAlertThresholds) => {
+    this.setState({
+      alertThresholds,
+    });
+  };
+
   private getPipelineConfig = () => {
     const config = this.state.rawAppConfig.toJS();
 
@@ -241,12 +255,14 @@ class DetailView extends React.PureComponent<IDetailProps, IDetailContext> {
     end: null,
     error: null,
     numInstances: null,
+    alertThresholds: EMPTY_THRESHOLDS,
 
     start: this.start,
     stop: this.stop,
     deleteReplicator: this.deleteReplicator,
     setActiveTable: this.setActiveTable,
     setTimeRange: this.setTimeRange,
+    setAlertThresholds: this.setAlertThresholds,
     exportPipeline: this.exportPipeline,
     duplicatePipeline: this.duplicatePipeline,
   };
@@ -384,6 +400,7 @@ class DetailView extends React.PureComponent<IDetailProps, IDetailContext> {
     });
 
     this.getStatus();
+    this.getAlertThresholds();
   };
 
   private getStatus = () => {
@@ -406,6 +423,26 @@ class DetailView extends React.PureComponent<IDetailProps, IDetailContext> {
     });
   };
 
+  private getAlertThresholds = () => {
+    const params = {
+      namespace: getCurrentNamespace(),
+      appId: this.props.match.params.replicatorId,
+    };
+
+    MyPreferenceApi.getAppPreferences(params).subscribe(
+      (preferences) => {
+        this.setState({
+          alertThresholds: parseAlertThresholds(preferences),
+        });
+      },
+      (err) => {
+        // alerts are not evaluated without thresholds, the rest of the page still works
+        // tslint:disable-next-line: no-console
+        console.log('err', err);
+      }
+    );
+  };
+
   private getBaseParams = () => {
     return {
       namespace: getCurrentNamespace(),
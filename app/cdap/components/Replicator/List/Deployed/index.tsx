@@ -26,6 +26,7 @@ import DeleteConfirmation, { InstanceType } from 'components/Replicator/DeleteCo
 import DownloadFile from 'services/download-file';
 import { Redirect } from 'react-router-dom';
 import { createReplicatorDetailUrl } from '../../utilities';
+import CloneReplication from 'components/Replicator/CloneReplication';
 
 const styles = (theme): StyleRules => {
   return {
@@ -62,6 +63,7 @@ const DeployedView: React.FC<WithStyles<typeof styles>> = ({ classes }) => {
   const [statusMap, setStatusMap] = React.useState({});
   const [configMap, setConfigMap] = React.useState({});
   const [replicatorNameDelete, setReplicatorNameDelete] = React.useState(null);
+  const [replicatorNameClone, setReplicatorNameClone] = React.useState(null);
   const [redirect, setRedirect] = React.useState<string>();
 
   // TODO: CDAP-20533 Replace with GraphQL
@@ -206,6 +208,10 @@ const DeployedView: React.FC<WithStyles<typeof styles>> = ({ classes }) => {
                   label: 'Duplicate',
                   actionFn: () => duplicatePipeline(replicator.name),
                 },
+                {
+                  label: 'Clone as new',
+                  actionFn: () => setReplicatorNameClone(replicator.name),
+                },
                 {
                   label: 'separator',
                 },
@@ -246,6 +252,12 @@ const DeployedView: React.FC<WithStyles<typeof styles>> = ({ classes }) => {
         closeModal={() => setReplicatorNameDelete(null)}
         type={InstanceType.app}
       />
+
+      <CloneReplication
+        replicationName={replicatorNameClone}
+        isOpen={!!replicatorNameClone}
+        onClose={() => setReplicatorNameClone(null)}
+      />
     </div>
   );
 };
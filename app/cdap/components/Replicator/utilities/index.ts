@@ -36,6 +36,7 @@ import { ICreateState } from 'components/Replicator/Create';
 import { objectQuery, truncateNumber } from 'services/helpers';
 import { PluginType } from 'components/Replicator/constants';
 import { ITransAssessmentResDesc } from '../Create/Content/SelectColumnsWithTransforms/types';
+import { parseSelectionRules } from '../Create/Content/SelectTables/tableSelectionRules';
 
 // TODO: can more of these functions move & generalize into PluginUtilities without adding complexity?
 export function fetchPluginInfo(
@@ -245,6 +246,9 @@ export async function convertConfigToState(rawConfig, parentArtifact) {
     offsetBasePath: objectQuery(rawConfig, 'config', 'offsetBasePath') || '',
     numInstances: objectQuery(rawConfig, 'config', 'parallelism', 'numInstances') || 1,
     transformations: objectQuery(rawConfig, 'config', 'tableTransformations') || {},
+    tableSelectionRules: parseSelectionRules(
+      objectQuery(rawConfig, 'config', 'tableSelectionRules')
+    ),
   };
 
   // replace key in transformations with tableName
@@ -19,15 +19,16 @@ import PropTypes from 'prop-types';
 import { connect } from 'react-redux';
 import { ReportsActions } from 'components/Reports/store/ReportsStore';
 import { generateReport } from 'components/Reports/store/ActionCreator';
+import ScheduleButton from 'components/Reports/ScheduledReports/ScheduleButton';
 import T from 'i18n-react';
 
 const PREFIX = 'features.Reports.Customizer';
 
 function ActionButtonsView({ clearSelection, timeRange, customizer, status }) {
-  let disabled =
-    !timeRange.selection ||
-    (!customizer.pipelines && !customizer.customApps) ||
-    status.statusSelections.length === 0;
+  // recurring reports get their time range from the recurrence
+  let scheduleDisabled =
+    (!customizer.pipelines && !customizer.customApps) || status.statusSelections.length === 0;
+  let disabled = !timeRange.selection || scheduleDisabled;
 
   return (
     <div className="action-buttons">
@@ -35,6 +36,8 @@ function ActionButtonsView({ clearSelection, timeRange, customizer, status }) {
         {T.translate(`${PREFIX}.generate`)}
       </button>
 
+      <ScheduleButton disabled={scheduleDisabled} />
+
       <button className="btn btn-link" onClick={clearSelection}>
         {T.translate(`${PREFIX}.clear`)}
       </button>
@@ -0,0 +1,340 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { Modal, ModalHeader, ModalBody, ModalFooter } from 'reactstrap';
+import capitalize from 'lodash/capitalize';
+import { MyReportsApi } from 'api/reports';
+import { humanReadableDate } from 'services/helpers';
+import StatusMapper from 'services/StatusMapper';
+import { getHeaders, getName, getType } from 'components/Reports/ReportsDetail/Runs';
+import {
+  renderAppType,
+  renderDuration,
+  renderLastStarted,
+  renderNamespaces,
+  renderOwners,
+  renderStartMethod,
+} from 'components/Reports/ReportsDetail/Summary';
+import {
+  createExportWriter,
+  EXPORT_FORMATS,
+  EXPORT_PAGE_SIZE,
+} from 'components/Reports/ReportsDetail/ExportButton/exportRuns';
+import T from 'i18n-react';
+
+const PREFIX = 'features.Reports.ReportsDetail';
+const EXPORT_PREFIX = `${PREFIX}.Export`;
+const OPTIONS_PREFIX = 'features.Reports.Customizer.Options';
+
+function getColumnValue(run, head) {
+  const value = run[head];
+
+  switch (head) {
+    case 'start':
+    case 'end':
+      return value ? humanReadableDate(value) : null;
+    case 'status':
+      return StatusMapper.lookupDisplayStatus(value);
+    case 'startMethod':
+      return capitalize(value);
+    case 'runtimeArgs':
+      return Object.entries(value || {})
+        .map((keyValuePair) => `${keyValuePair[0]} = ${keyValuePair[1]}`)
+        .join(', ');
+    default:
+      // durations are exported in seconds, so they can be added up in a spreadsheet
+      return value;
+  }
+}
+
+function getColumns(request) {
+  const columns = [
+    { key: 'name', label: T.translate('commons.nameLabel'), getValue: getName },
+    { key: 'type', label: T.translate('commons.typeLabel'), getValue: getType },
+  ];
+
+  getHeaders(request).forEach((head) => {
+    const label =
+      head === 'duration'
+        ? T.translate(`${EXPORT_PREFIX}.durationInSeconds`)
+        : T.translate(`${OPTIONS_PREFIX}.${head}`);
+
+    columns.push({
+      key: head,
+      label: label.toString(),
+      getValue: (run) => getColumnValue(run, head),
+    });
+  });
+
+  return columns;
+}
+
+function getSummary(summary) {
+  const rows = [
+    ['namespaceLabel', renderNamespaces(summary)],
+    [
+      'timeRangeLabel',
+      T.translate(`${PREFIX}.timeRange`, {
+        start: humanReadableDate(summary.start),
+        end: humanReadableDate(summary.end),
+      }),
+    ],
+    ['appTypeLabel', renderAppType(summary)],
+    ['runDurationLabel', renderDuration(summary)],
+    ['lastStartedLabel', renderLastStarted(summary)],
+    ['ownersLabel', renderOwners(summary)],
+    ['startedLabel', renderStartMethod(summary)],
+  ];
+
+  return {
+    // the labels end with a colon in the summary section
+    rows: rows.map(([label, value]) => [
+      T.translate(`${PREFIX}.${label}`).replace(/:$/, ''),
+      value,
+    ]),
+    data: summary,
+  };
+}
+
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  a.click();
+
+  setTimeout(() => {
+    URL.revokeObjectURL(url);
+  }, 300);
+}
+
+export default class ExportModal extends Component {
+  static propTypes = {
+    toggle: PropTypes.func,
+    name: PropTypes.string,
+    reportId: PropTypes.string,
+    request: PropTypes.object,
+    summary: PropTypes.object,
+    totalRunsCount: PropTypes.number,
+  };
+
+  state = {
+    format: EXPORT_FORMATS.csv,
+    includeSummary: true,
+    exporting: false,
+    exported: 0,
+    error: null,
+  };
+
+  componentWillUnmount() {
+    if (this.runs$) {
+      this.runs$.unsubscribe();
+    }
+  }
+
+  onFormatChange = (e) => {
+    this.setState({
+      format: e.target.value,
+    });
+  };
+
+  toggleSummary = () => {
+    this.setState({
+      includeSummary: !this.state.includeSummary,
+    });
+  };
+
+  export = () => {
+    this.writer = createExportWriter({
+      format: this.state.format,
+      columns: getColumns(this.props.request),
+      summary: this.state.includeSummary ? getSummary(this.props.summary) : null,
+      sheetNames: {
+        runs: T.translate(`${EXPORT_PREFIX}.runsSheet`).toString(),
+        summary: T.translate(`${EXPORT_PREFIX}.summarySheet`).toString(),
+      },
+    });
+
+    this.setState({
+      exporting: true,
+      exported: 0,
+      error: null,
+    });
+
+    this.fetchPage(0);
+  };
+
+  // pages are fetched one after another and added to the export as they come in, so exporting
+  // a large report does not hold more than one page of the response at a time
+  fetchPage = (offset) => {
+    const params = {
+      'report-id': this.props.reportId,
+      offset,
+      limit: EXPORT_PAGE_SIZE,
+    };
+
+    this.runs$ = MyReportsApi.getDetails(params).subscribe(
+      (res) => {
+        const runs = res.details || [];
+        const exported = offset + runs.length;
+
+        this.writer.addRuns(runs);
+        this.setState({ exported });
+
+        if (runs.length > 0 && exported < res.total) {
+          this.fetchPage(exported);
+          return;
+        }
+
+        this.download();
+      },
+      (err) => {
+        console.log('Error', err);
+
+        this.setState({
+          exporting: false,
+          error: err.response || err,
+        });
+      }
+    );
+  };
+
+  download = () => {
+    const fileName = (this.props.name || this.props.reportId).replace(/[\\/:*?"<>|]/g, '_');
+
+    const format = this.state.format;
+
+    this.writer.getBlob().then(
+      (blob) => {
+        downloadBlob(blob, `${fileName}.${format}`);
+        this.writer = null;
+
+        this.props.toggle();
+      },
+      (err) => {
+        this.writer = null;
+
+        this.setState({
+          exporting: false,
+          error: err.message,
+        });
+      }
+    );
+  };
+
+  renderError() {
+    if (!this.state.error) {
+      return null;
+    }
+
+    return <div className="error-container text-danger">{this.state.error}</div>;
+  }
+
+  renderProgress() {
+    if (!this.state.exporting) {
+      return null;
+    }
+
+    return (
+      <div className="export-progress">
+        {T.translate(`${EXPORT_PREFIX}.progress`, {
+          exported: this.state.exported,
+          total: this.props.totalRunsCount,
+        })}
+      </div>
+    );
+  }
+
+  render() {
+    const formats = [
+      { value: EXPORT_FORMATS.csv, label: T.translate(`${EXPORT_PREFIX}.csv`) },
+      { value: EXPORT_FORMATS.jsonLines, label: T.translate(`${EXPORT_PREFIX}.jsonLines`) },
+      { value: EXPORT_FORMATS.xlsx, label: T.translate(`${EXPORT_PREFIX}.xlsx`) },
+    ];
+
+    return (
+      <Modal
+        isOpen={true}
+        toggle={this.props.toggle}
+        size="md"
+        backdrop="static"
+        zIndex="1061"
+        className="report-export-modal cdap-modal"
+      >
+        <ModalHeader>
+          <span>{T.translate(`${EXPORT_PREFIX}.title`)}</span>
+
+          <div className="close-section float-right" onClick={this.props.toggle}>
+            <span className="fa fa-times" />
+          </div>
+        </ModalHeader>
+        <ModalBody>
+          <div className="description">
+            {T.translate(`${EXPORT_PREFIX}.description`, { total: this.props.totalRunsCount })}
+          </div>
+
+          <div className="field-row">
+            <label className="control-label">{T.translate(`${EXPORT_PREFIX}.format`)}</label>
+
+            {formats.map((format) => {
+              return (
+                <div className="form-check" key={format.value}>
+                  <label className="form-check-label">
+                    <input
+                      type="radio"
+                      className="form-check-input"
+                      value={format.value}
+                      checked={this.state.format === format.value}
+                      onChange={this.onFormatChange}
+                      disabled={this.state.exporting}
+                    />
+                    {format.label}
+                  </label>
+                </div>
+              );
+            })}
+          </div>
+
+          <div className="form-check">
+            <label className="form-check-label">
+              <input
+                type="checkbox"
+                className="form-check-input"
+                checked={this.state.includeSummary}
+                onChange={this.toggleSummary}
+                disabled={this.state.exporting}
+              />
+              {T.translate(`${EXPORT_PREFIX}.includeSummary`)}
+            </label>
+          </div>
+
+          {this.renderProgress()}
+        </ModalBody>
+
+        <ModalFooter>
+          <button className="btn btn-primary" onClick={this.export} disabled={this.state.exporting}>
+            {T.translate(`${EXPORT_PREFIX}.export`)}
+          </button>
+
+          {this.renderError()}
+        </ModalFooter>
+      </Modal>
+    );
+  }
+}
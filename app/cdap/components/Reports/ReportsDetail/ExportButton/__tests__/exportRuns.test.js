@@ -0,0 +1,135 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import JSZip from 'jszip';
+import {
+  createExportWriter,
+  createZip,
+  EXPORT_FORMATS,
+  getCSVLine,
+  getXLSXFiles,
+} from 'components/Reports/ReportsDetail/ExportButton/exportRuns';
+
+jest.disableAutomock();
+
+describe('Report runs export', () => {
+  const columns = [
+    { key: 'name', label: 'Name', getValue: (run) => run.applicationName },
+    { key: 'duration', label: 'Duration (seconds)', getValue: (run) => run.duration },
+  ];
+  const runs = [
+    { applicationName: 'orders, daily', duration: 120 },
+    { applicationName: 'say "hi"', duration: null },
+  ];
+  const summary = {
+    rows: [['Namespace', 'default (2 runs)']],
+    data: { namespaces: [{ namespace: 'default', runs: 2 }] },
+  };
+
+  it('should escape csv values', () => {
+    expect(getCSVLine(['a', 'b,c', 'd"e', 1, null])).toBe('a,"b,c","d""e",1,\r\n');
+    expect(getCSVLine(['line\nbreak'])).toBe('"line\nbreak"\r\n');
+  });
+
+  it('should write runs as csv after the summary', async () => {
+    const writer = createExportWriter({ format: EXPORT_FORMATS.csv, columns, summary });
+    writer.addRuns(runs.slice(0, 1));
+    writer.addRuns(runs.slice(1));
+
+    expect((await writer.getContent()).join('')).toBe(
+      'Namespace,default (2 runs)\r\n\r\nName,Duration (seconds)\r\n"orders, daily",120\r\n"say ""hi""",\r\n'
+    );
+  });
+
+  it('should write runs as json lines', async () => {
+    const writer = createExportWriter({ format: EXPORT_FORMATS.jsonLines, columns, summary });
+    writer.addRuns(runs);
+
+    const lines = (await writer.getContent())
+      .join('')
+      .trim()
+      .split('\n')
+      .map((line) => JSON.parse(line));
+
+    expect(lines).toEqual([
+      { summary: summary.data },
+      { name: 'orders, daily', duration: 120 },
+      { name: 'say "hi"', duration: null },
+    ]);
+  });
+
+  it('should leave out the summary when it is not included', async () => {
+    const writer = createExportWriter({ format: EXPORT_FORMATS.jsonLines, columns, summary: null });
+    writer.addRuns(runs);
+
+    expect((await writer.getContent()).length).toBe(2);
+  });
+
+  it('should create a worksheet per sheet', () => {
+    const files = getXLSXFiles([
+      { name: 'Runs', rows: ['<row/>'] },
+      { name: 'Summary & totals', rows: [] },
+    ]);
+
+    expect(files.map((file) => file.name)).toEqual([
+      '[Content_Types].xml',
+      '_rels/.rels',
+      'xl/workbook.xml',
+      'xl/_rels/workbook.xml.rels',
+      'xl/worksheets/sheet1.xml',
+      'xl/worksheets/sheet2.xml',
+    ]);
+    expect(files[2].content).toContain(
+      '<sheet name="Summary &amp; totals" sheetId="2" r:id="rId2"/>'
+    );
+    expect(files[4].content).toContain('<sheetData><row/></sheetData>');
+  });
+
+  it('should remove the control characters that are not allowed in xml', () => {
+    const [, , workbook] = getXLSXFiles([{ name: 'Runs\u0000\u001f\ttab\nline', rows: [] }]);
+
+    expect(workbook.content).toContain('<sheet name="Runs\ttab\nline" sheetId="1" r:id="rId1"/>');
+  });
+
+  it('should write xlsx cells with their type', async () => {
+    const writer = createExportWriter({ format: EXPORT_FORMATS.xlsx, columns, summary: null });
+    writer.addRuns(runs);
+
+    const [content] = await writer.getContent();
+    const zip = await JSZip.loadAsync(content);
+    const sheet = await zip.file('xl/worksheets/sheet1.xml').async('string');
+
+    expect(sheet).toContain(
+      '<row><c t="inlineStr"><is><t xml:space="preserve">orders, daily</t></is></c><c><v>120</v></c></row>'
+    );
+    expect(sheet).toContain(
+      '<row><c t="inlineStr"><is><t xml:space="preserve">say &quot;hi&quot;</t></is></c><c/></row>'
+    );
+    expect(zip.file('xl/worksheets/sheet2.xml')).toBeNull();
+  });
+
+  it('should create a zip archive with utf-8 content', async () => {
+    const content = await createZip([
+      { name: 'a.txt', content: 'hello' },
+      { name: 'b.txt', content: 'aé€😀' },
+    ]);
+    const zip = await JSZip.loadAsync(content);
+
+    expect(Object.keys(zip.files)).toEqual(['a.txt', 'b.txt']);
+    expect(await zip.file('a.txt').async('string')).toBe('hello');
+    expect(await zip.file('b.txt').async('string')).toBe('aé€😀');
+  });
+});
@@ -0,0 +1,212 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import JSZip from 'jszip';
+
+export const EXPORT_FORMATS = {
+  csv: 'csv',
+  jsonLines: 'jsonl',
+  xlsx: 'xlsx',
+};
+
+const MIME_TYPES = {
+  [EXPORT_FORMATS.csv]: 'text/csv',
+  [EXPORT_FORMATS.jsonLines]: 'application/x-ndjson',
+  [EXPORT_FORMATS.xlsx]: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+// number of runs requested per page while exporting
+export const EXPORT_PAGE_SIZE = 1000;
+
+function isEmpty(value) {
+  return value === null || typeof value === 'undefined';
+}
+
+function getCSVValue(value) {
+  if (isEmpty(value)) {
+    return '';
+  }
+
+  const str = value.toString();
+
+  if (/[",\r\n]/.test(str)) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+
+  return str;
+}
+
+export function getCSVLine(values) {
+  return `${values.map(getCSVValue).join(',')}\r\n`;
+}
+
+// XML 1.0 does not allow the control characters other than tab, line feed and carriage return
+function isValidXMLChar(char) {
+  const code = char.charCodeAt(0);
+  return code >= 0x20 || code === 0x09 || code === 0x0a || code === 0x0d;
+}
+
+function escapeXML(str) {
+  return str
+    .split('')
+    .filter(isValidXMLChar)
+    .join('')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function getXLSXCell(value) {
+  if (isEmpty(value)) {
+    return '<c/>';
+  }
+
+  if (typeof value === 'number' && isFinite(value)) {
+    return `<c><v>${value}</v></c>`;
+  }
+
+  return `<c t="inlineStr"><is><t xml:space="preserve">${escapeXML(value.toString())}</t></is></c>`;
+}
+
+function getXLSXRow(values) {
+  return `<row>${values.map(getXLSXCell).join('')}</row>`;
+}
+
+/**
+ * Creates a zip archive of the given files, and resolves with its content.
+ */
+export function createZip(files) {
+  const zip = new JSZip();
+  files.forEach(({ name, content }) => zip.file(name, content));
+
+  return zip.generateAsync({ type: 'uint8array', compression: 'DEFLATE' });
+}
+
+/**
+ * Returns the files of an xlsx workbook with a worksheet per sheet. The rows of a sheet are
+ * already rendered to xml, so runs can be added page by page while they are fetched.
+ */
+export function getXLSXFiles(sheets) {
+  const contentTypes = sheets
+    .map((sheet, i) => {
+      return `<Override PartName="/xl/worksheets/sheet${i +
+        1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`;
+    })
+    .join('');
+
+  const workbookSheets = sheets
+    .map((sheet, i) => {
+      return `<sheet name="${escapeXML(sheet.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`;
+    })
+    .join('');
+
+  const workbookRels = sheets
+    .map((sheet, i) => {
+      return `<Relationship Id="rId${i +
+        1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i +
+        1}.xml"/>`;
+    })
+    .join('');
+
+  const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+
+  return [
+    {
+      name: '[Content_Types].xml',
+      content: `${xmlHeader}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>${contentTypes}</Types>`,
+    },
+    {
+      name: '_rels/.rels',
+      content: `${xmlHeader}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+    },
+    {
+      name: 'xl/workbook.xml',
+      content: `${xmlHeader}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>${workbookSheets}</sheets></workbook>`,
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: `${xmlHeader}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${workbookRels}</Relationships>`,
+    },
+    ...sheets.map((sheet, i) => {
+      return {
+        name: `xl/worksheets/sheet${i + 1}.xml`,
+        content: `${xmlHeader}<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${sheet.rows.join(
+          ''
+        )}</sheetData></worksheet>`,
+      };
+    }),
+  ];
+}
+
+/**
+ * Creates a writer that the runs of a report are added to page by page. Each column has a key, a
+ * label and a `getValue(run)` function; `summary` is null or `{ rows, data }`, where the rows are
+ * the label and value pairs shown in the report summary and data is the summary of the report.
+ */
+export function createExportWriter({ format, columns, summary, sheetNames = {} }) {
+  const parts = [];
+  const runRows = [getXLSXRow(columns.map((column) => column.label))];
+
+  if (format === EXPORT_FORMATS.csv) {
+    if (summary) {
+      summary.rows.forEach((row) => parts.push(getCSVLine(row)));
+      parts.push('\r\n');
+    }
+
+    parts.push(getCSVLine(columns.map((column) => column.label)));
+  } else if (format === EXPORT_FORMATS.jsonLines && summary) {
+    parts.push(`${JSON.stringify({ summary: summary.data })}\n`);
+  }
+
+  return {
+    addRuns(runs) {
+      runs.forEach((run) => {
+        const values = columns.map((column) => column.getValue(run));
+
+        if (format === EXPORT_FORMATS.csv) {
+          parts.push(getCSVLine(values));
+        } else if (format === EXPORT_FORMATS.jsonLines) {
+          const line = {};
+          columns.forEach((column, i) => {
+            line[column.key] = isEmpty(values[i]) ? null : values[i];
+          });
+          parts.push(`${JSON.stringify(line)}\n`);
+        } else {
+          runRows.push(getXLSXRow(values));
+        }
+      });
+    },
+
+    // resolves with the parts of the exported file
+    getContent() {
+      if (format !== EXPORT_FORMATS.xlsx) {
+        return Promise.resolve(parts);
+      }
+
+      const sheets = [{ name: sheetNames.runs || 'Runs', rows: runRows }];
+      if (summary) {
+        sheets.push({ name: sheetNames.summary || 'Summary', rows: summary.rows.map(getXLSXRow) });
+      }
+
+      return createZip(getXLSXFiles(sheets)).then((zip) => [zip]);
+    },
+
+    getBlob() {
+      return this.getContent().then((content) => new Blob(content, { type: MIME_TYPES[format] }));
+    },
+  };
+}
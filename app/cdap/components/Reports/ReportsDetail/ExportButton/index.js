@@ -0,0 +1,98 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import ExportModal from 'components/Reports/ReportsDetail/ExportButton/ExportModal';
+import T from 'i18n-react';
+
+const PREFIX = 'features.Reports.ReportsDetail.Export';
+
+require('./ExportButton.scss');
+
+class ExportButtonView extends Component {
+  static propTypes = {
+    name: PropTypes.string,
+    reportId: PropTypes.string,
+    request: PropTypes.object,
+    status: PropTypes.string,
+    summary: PropTypes.object,
+    totalRunsCount: PropTypes.number,
+  };
+
+  state = {
+    showModal: false,
+  };
+
+  toggleModal = () => {
+    this.setState({
+      showModal: !this.state.showModal,
+    });
+  };
+
+  renderModal = () => {
+    if (!this.state.showModal) {
+      return null;
+    }
+
+    return (
+      <ExportModal
+        toggle={this.toggleModal}
+        name={this.props.name}
+        reportId={this.props.reportId}
+        request={this.props.request}
+        summary={this.props.summary}
+        totalRunsCount={this.props.totalRunsCount}
+      />
+    );
+  };
+
+  render() {
+    if (this.props.status !== 'COMPLETED') {
+      return null;
+    }
+
+    return (
+      <span className="report-export-button">
+        <button
+          className="btn btn-secondary"
+          onClick={this.toggleModal}
+          disabled={this.props.totalRunsCount === 0}
+        >
+          {T.translate(`${PREFIX}.export`)}
+        </button>
+
+        {this.renderModal()}
+      </span>
+    );
+  }
+}
+
+const mapStateToProps = (state) => {
+  return {
+    name: state.details.name,
+    reportId: state.details.reportId,
+    request: state.details.request,
+    status: state.details.status,
+    summary: state.details.summary,
+    totalRunsCount: state.details.totalRunsCount,
+  };
+};
+
+const ExportButton = connect(mapStateToProps)(ExportButtonView);
+
+export default ExportButton;
@@ -31,7 +31,7 @@ require('./Runs.scss');
 
 const PIPELINES = [GLOBALS.etlDataPipeline, GLOBALS.etlDataStreams];
 
-function getName(run) {
+export function getName(run) {
   if (!run.applicationName) {
     return '--';
   }
@@ -45,7 +45,7 @@ function getName(run) {
   return name;
 }
 
-function getType(run) {
+export function getType(run) {
   switch (run.artifactName) {
     case GLOBALS.etlDataPipeline:
       return T.translate('features.Reports.ReportsDetail.batch');
@@ -125,7 +125,7 @@ function renderBody(runs, headers) {
   );
 }
 
-function getHeaders(request) {
+export function getHeaders(request) {
   if (!request.fields) {
     return [];
   }
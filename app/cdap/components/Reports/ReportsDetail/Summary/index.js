@@ -25,7 +25,7 @@ const PREFIX = 'features.Reports.ReportsDetail';
 
 require('./Summary.scss');
 
-function renderNamespaces(summary) {
+export function renderNamespaces(summary) {
   if (!summary.namespaces) {
     return null;
   }
@@ -37,7 +37,7 @@ function renderNamespaces(summary) {
     .join(', ');
 }
 
-function renderAppType(summary) {
+export function renderAppType(summary) {
   if (!summary.artifacts) {
     return null;
   }
@@ -71,7 +71,7 @@ function renderAppType(summary) {
     .join('; ');
 }
 
-function renderDuration(summary) {
+export function renderDuration(summary) {
   let { durations } = summary;
 
   if (!durations) {
@@ -85,7 +85,7 @@ function renderDuration(summary) {
   return T.translate(`${PREFIX}.runDuration`, { min, max, average });
 }
 
-function renderLastStarted(summary) {
+export function renderLastStarted(summary) {
   let { starts } = summary;
 
   if (!starts) {
@@ -98,7 +98,7 @@ function renderLastStarted(summary) {
   });
 }
 
-function renderOwners(summary) {
+export function renderOwners(summary) {
   if (!summary.owners) {
     return null;
   }
@@ -106,7 +106,7 @@ function renderOwners(summary) {
   return summary.owners.map((owner) => `${owner.user} (${owner.runs})`).join('; ');
 }
 
-function renderStartMethod(summary) {
+export function renderStartMethod(summary) {
   if (!summary.startMethods) {
     return null;
   }
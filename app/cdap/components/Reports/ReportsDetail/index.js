@@ -21,6 +21,7 @@ import Summary from 'components/Reports/ReportsDetail/Summary';
 import Runs from 'components/Reports/ReportsDetail/Runs';
 import RunsPagination from 'components/Reports/ReportsDetail/RunsPagination';
 import SaveButton from 'components/Reports/ReportsDetail/SaveButton';
+import ExportButton from 'components/Reports/ReportsDetail/ExportButton';
 import Expiry from 'components/Reports/ReportsDetail/Expiry';
 import ReportsStore, { ReportsActions } from 'components/Reports/store/ReportsStore';
 import { fetchRuns } from 'components/Reports/store/ActionCreator';
@@ -119,6 +120,7 @@ class ReportsDetailView extends Component {
           </div>
 
           <div className="action-button float-right">
+            <ExportButton />
             <SaveButton />
           </div>
         </div>
@@ -29,6 +29,7 @@ import classnames from 'classnames';
 import ActionPopover from 'components/Reports/ReportsList/ActionPopover';
 import ReportsPagination from 'components/Reports/ReportsList/ReportsPagination';
 import NamespacesPicker from 'components/NamespacesPicker';
+import ScheduledReports from 'components/Reports/ScheduledReports';
 import { setNamespacesPick } from 'components/Reports/store/ActionCreator';
 import T from 'i18n-react';
 import { Theme } from 'services/ThemeHelper';
@@ -42,6 +43,7 @@ class ReportsListView extends Component {
     reports: PropTypes.array,
     activeId: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
     offset: PropTypes.number,
+    generateError: PropTypes.string,
   };
 
   componentWillMount() {
@@ -201,6 +203,12 @@ class ReportsListView extends Component {
           <Customizer />
 
           <div className="list-view">
+            <ScheduledReports />
+
+            {this.props.generateError ? (
+              <div className="reports-generate-error text-danger">{this.props.generateError}</div>
+            ) : null}
+
             <div className="section-title">{T.translate(`${PREFIX}.selectAReport`)}</div>
 
             {this.renderTable()}
@@ -216,6 +224,7 @@ const mapStateToProps = (state) => {
     reports: state.list.reports,
     activeId: state.list.activeId,
     offset: state.list.offset,
+    generateError: state.list.generateError,
   };
 };
 
@@ -0,0 +1,230 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { Modal, ModalHeader, ModalBody } from 'reactstrap';
+import { Link } from 'react-router-dom';
+import { Observable } from 'rxjs/Observable';
+import 'rxjs/add/observable/forkJoin';
+import 'rxjs/add/observable/of';
+import 'rxjs/add/operator/catch';
+import { MyReportsApi } from 'api/reports';
+import { getCurrentNamespace } from 'services/NamespaceStore';
+import { humanReadableDate } from 'services/helpers';
+import Duration from 'components/shared/Duration';
+import LoadingSVGCentered from 'components/shared/LoadingSVGCentered';
+import SummaryComparison from 'components/Reports/ScheduledReports/SummaryComparison';
+import T from 'i18n-react';
+
+const PREFIX = 'features.Reports.ScheduledReports';
+
+export default class HistoryModal extends Component {
+  static propTypes = {
+    definition: PropTypes.object,
+    toggle: PropTypes.func,
+  };
+
+  state = {
+    loading: true,
+    // report info by report id, or null when the report has expired or was deleted
+    reports: {},
+    compare: [],
+  };
+
+  componentDidMount() {
+    const history = this.props.definition.history || [];
+
+    if (history.length === 0) {
+      this.setState({ loading: false });
+      return;
+    }
+
+    const requests = history.map(({ reportId }) => {
+      return MyReportsApi.getReport({ 'report-id': reportId }).catch(() => Observable.of(null));
+    });
+
+    this.reports$ = Observable.forkJoin(requests).subscribe((res) => {
+      const reports = {};
+      history.forEach(({ reportId }, i) => {
+        reports[reportId] = res[i];
+      });
+
+      this.setState({
+        loading: false,
+        reports,
+      });
+    });
+  }
+
+  componentWillUnmount() {
+    if (this.reports$) {
+      this.reports$.unsubscribe();
+    }
+  }
+
+  toggleCompare = (reportId) => {
+    let compare = this.state.compare;
+
+    if (compare.indexOf(reportId) !== -1) {
+      compare = compare.filter((id) => id !== reportId);
+    } else {
+      // keep the last two picked instances
+      compare = [...compare, reportId].slice(-2);
+    }
+
+    this.setState({ compare });
+  };
+
+  renderExpiry(report) {
+    if (!report) {
+      return <span className="text-muted">{T.translate(`${PREFIX}.expired`)}</span>;
+    }
+
+    if (!report.expiry) {
+      return T.translate('features.Reports.ReportsDetail.saved');
+    }
+
+    return <Duration targetTime={report.expiry} isMillisecond={false} />;
+  }
+
+  renderStatus(report) {
+    if (!report) {
+      return '--';
+    }
+
+    if (report.status === 'COMPLETED') {
+      return humanReadableDate(report.created);
+    }
+
+    if (report.status === 'FAILED') {
+      return T.translate('features.Reports.ReportsList.failed');
+    }
+
+    return T.translate('features.Reports.ReportsList.generating');
+  }
+
+  renderHistory() {
+    const history = this.props.definition.history || [];
+
+    if (history.length === 0) {
+      return <div className="text-center">{T.translate(`${PREFIX}.noInstances`)}</div>;
+    }
+
+    return (
+      <div className="grid-wrapper">
+        <div className="grid grid-container">
+          <div className="grid-header">
+            <div className="grid-row">
+              <div />
+              <div>{T.translate(`${PREFIX}.scheduledTime`)}</div>
+              <div>{T.translate('features.Reports.ReportsList.created')}</div>
+              <div>{T.translate('features.Reports.ReportsList.expiration')}</div>
+            </div>
+          </div>
+
+          <div className="grid-body">
+            {history.map(({ reportId, scheduledTime }) => {
+              const report = this.state.reports[reportId];
+              const isCompleted = report && report.status === 'COMPLETED';
+
+              return (
+                <div className="grid-row" key={reportId}>
+                  <div>
+                    <input
+                      type="checkbox"
+                      checked={this.state.compare.indexOf(reportId) !== -1}
+                      disabled={!isCompleted}
+                      onChange={this.toggleCompare.bind(this, reportId)}
+                    />
+                  </div>
+                  <div>
+                    {isCompleted ? (
+                      <Link to={`/ns/${getCurrentNamespace()}/reports/details/${reportId}`}>
+                        {humanReadableDate(scheduledTime, true)}
+                      </Link>
+                    ) : (
+                      humanReadableDate(scheduledTime, true)
+                    )}
+                  </div>
+                  <div>{this.renderStatus(report)}</div>
+                  <div>{this.renderExpiry(report)}</div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  renderComparison() {
+    if (this.state.compare.length !== 2) {
+      return <div className="compare-hint">{T.translate(`${PREFIX}.compareHint`)}</div>;
+    }
+
+    const history = this.props.definition.history;
+
+    // show the older instance on the left
+    const [left, right] = history
+      .filter(({ reportId }) => this.state.compare.indexOf(reportId) !== -1)
+      .sort((a, b) => a.scheduledTime - b.scheduledTime);
+
+    return (
+      <SummaryComparison
+        leftLabel={humanReadableDate(left.scheduledTime, true)}
+        rightLabel={humanReadableDate(right.scheduledTime, true)}
+        left={this.state.reports[left.reportId].summary}
+        right={this.state.reports[right.reportId].summary}
+      />
+    );
+  }
+
+  renderContent() {
+    if (this.state.loading) {
+      return <LoadingSVGCentered />;
+    }
+
+    return (
+      <div>
+        {this.renderHistory()}
+        {this.renderComparison()}
+      </div>
+    );
+  }
+
+  render() {
+    return (
+      <Modal
+        isOpen={true}
+        toggle={this.props.toggle}
+        size="lg"
+        backdrop="static"
+        zIndex="1061"
+        className="reports-history-modal cdap-modal"
+      >
+        <ModalHeader>
+          <span>{T.translate(`${PREFIX}.historyTitle`, { name: this.props.definition.name })}</span>
+
+          <div className="close-section float-right" onClick={this.props.toggle}>
+            <span className="fa fa-times" />
+          </div>
+        </ModalHeader>
+        <ModalBody>{this.renderContent()}</ModalBody>
+      </Modal>
+    );
+  }
+}
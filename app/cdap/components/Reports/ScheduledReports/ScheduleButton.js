@@ -0,0 +1,62 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import ScheduleModal from 'components/Reports/ScheduledReports/ScheduleModal';
+import T from 'i18n-react';
+
+const PREFIX = 'features.Reports.ScheduledReports';
+
+export default class ScheduleButton extends Component {
+  static propTypes = {
+    disabled: PropTypes.bool,
+  };
+
+  state = {
+    showModal: false,
+  };
+
+  toggleModal = () => {
+    this.setState({
+      showModal: !this.state.showModal,
+    });
+  };
+
+  renderModal = () => {
+    if (!this.state.showModal) {
+      return null;
+    }
+
+    return <ScheduleModal toggle={this.toggleModal} />;
+  };
+
+  render() {
+    return (
+      <span>
+        <button
+          className="btn btn-secondary"
+          onClick={this.toggleModal}
+          disabled={this.props.disabled}
+        >
+          {T.translate(`${PREFIX}.scheduleReport`)}
+        </button>
+
+        {this.renderModal()}
+      </span>
+    );
+  }
+}
@@ -0,0 +1,204 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { Modal, ModalHeader, ModalBody, ModalFooter } from 'reactstrap';
+import moment from 'moment';
+import { saveReportDefinition } from 'components/Reports/store/ActionCreator';
+import { getFirstScheduledTime, RECURRENCE } from 'components/Reports/ScheduledReports/schedule';
+import T from 'i18n-react';
+
+const PREFIX = 'features.Reports.ScheduledReports';
+
+// moment().day() order, starting on Sunday
+const DAYS_OF_WEEK = [0, 1, 2, 3, 4, 5, 6];
+
+export default class ScheduleModal extends Component {
+  static propTypes = {
+    toggle: PropTypes.func,
+  };
+
+  state = {
+    name: '',
+    recurrence: RECURRENCE.weekly,
+    time: '08:00',
+    dayOfWeek: 1,
+    saving: false,
+    error: null,
+  };
+
+  onNameChange = (e) => {
+    this.setState({
+      name: e.target.value,
+    });
+  };
+
+  onRecurrenceChange = (e) => {
+    this.setState({
+      recurrence: e.target.value,
+    });
+  };
+
+  onTimeChange = (e) => {
+    this.setState({
+      time: e.target.value,
+    });
+  };
+
+  onDayOfWeekChange = (e) => {
+    this.setState({
+      dayOfWeek: parseInt(e.target.value, 10),
+    });
+  };
+
+  getStartTime = () => {
+    const [hours, minutes] = this.state.time.split(':').map((value) => parseInt(value, 10));
+
+    return getFirstScheduledTime(this.state.recurrence, hours * 60 + minutes, this.state.dayOfWeek);
+  };
+
+  save = () => {
+    this.setState({ saving: true });
+
+    saveReportDefinition({
+      name: this.state.name,
+      recurrence: this.state.recurrence,
+      startTime: this.getStartTime(),
+    }).subscribe(
+      () => {
+        this.props.toggle();
+      },
+      (err) => {
+        this.setState({
+          saving: false,
+          error: err.response || err,
+        });
+      }
+    );
+  };
+
+  renderError() {
+    if (!this.state.error) {
+      return null;
+    }
+
+    return <div className="error-container text-danger">{this.state.error}</div>;
+  }
+
+  renderDayOfWeek() {
+    if (this.state.recurrence !== RECURRENCE.weekly) {
+      return null;
+    }
+
+    return (
+      <div className="field-row">
+        <label className="control-label">{T.translate(`${PREFIX}.dayOfWeek`)}</label>
+
+        <select
+          className="form-control"
+          value={this.state.dayOfWeek}
+          onChange={this.onDayOfWeekChange}
+        >
+          {DAYS_OF_WEEK.map((day) => {
+            return (
+              <option key={day} value={day}>
+                {moment()
+                  .day(day)
+                  .format('dddd')}
+              </option>
+            );
+          })}
+        </select>
+      </div>
+    );
+  }
+
+  render() {
+    const isValidTime = /^\d{2}:\d{2}$/.test(this.state.time);
+
+    return (
+      <Modal
+        isOpen={true}
+        toggle={this.props.toggle}
+        size="md"
+        backdrop="static"
+        zIndex="1061"
+        className="reports-schedule-modal cdap-modal"
+      >
+        <ModalHeader>
+          <span>{T.translate(`${PREFIX}.scheduleReport`)}</span>
+
+          <div className="close-section float-right" onClick={this.props.toggle}>
+            <span className="fa fa-times" />
+          </div>
+        </ModalHeader>
+        <ModalBody>
+          <div className="description">{T.translate(`${PREFIX}.scheduleDescription`)}</div>
+
+          <div className="field-row">
+            <label className="control-label">{T.translate('features.Reports.reportName')}</label>
+
+            <input
+              type="text"
+              className="form-control"
+              value={this.state.name}
+              onChange={this.onNameChange}
+            />
+          </div>
+
+          <div className="field-row">
+            <label className="control-label">{T.translate(`${PREFIX}.recurrence`)}</label>
+
+            <select
+              className="form-control"
+              value={this.state.recurrence}
+              onChange={this.onRecurrenceChange}
+            >
+              <option value={RECURRENCE.daily}>{T.translate(`${PREFIX}.daily`)}</option>
+              <option value={RECURRENCE.weekly}>{T.translate(`${PREFIX}.weekly`)}</option>
+            </select>
+          </div>
+
+          {this.renderDayOfWeek()}
+
+          <div className="field-row">
+            <label className="control-label">{T.translate(`${PREFIX}.time`)}</label>
+
+            <input
+              type="time"
+              className="form-control"
+              value={this.state.time}
+              onChange={this.onTimeChange}
+            />
+          </div>
+        </ModalBody>
+
+        <ModalFooter>
+          <button
+            className="btn btn-primary"
+            onClick={this.save}
+            disabled={this.state.name.trim().length === 0 || !isValidTime || this.state.saving}
+          >
+            {T.translate(`${PREFIX}.save`)}
+          </button>
+
+          {this.renderError()}
+        </ModalFooter>
+      </Modal>
+    );
+  }
+}
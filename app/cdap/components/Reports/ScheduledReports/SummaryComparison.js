@@ -0,0 +1,96 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import classnames from 'classnames';
+import { humanReadableDuration } from 'services/helpers';
+import { getSummaryComparison } from 'components/Reports/ScheduledReports/schedule';
+import T from 'i18n-react';
+
+const PREFIX = 'features.Reports.ScheduledReports.Comparison';
+
+function formatValue(row, value) {
+  if (value === null) {
+    return '--';
+  }
+
+  return row.group === 'duration' ? humanReadableDuration(value) : value;
+}
+
+function renderChange(row) {
+  if (row.left === null || row.right === null || row.left === row.right) {
+    return '--';
+  }
+
+  const change = row.right - row.left;
+  const sign = change > 0 ? '+' : '-';
+  const value =
+    row.group === 'duration' ? humanReadableDuration(Math.abs(change)) : Math.abs(change);
+
+  return (
+    <span className={classnames({ increase: change > 0, decrease: change < 0 })}>
+      {sign}
+      {value}
+    </span>
+  );
+}
+
+function getRowLabel(row) {
+  if (row.group === 'total' || row.group === 'duration') {
+    return T.translate(`${PREFIX}.${row.group}.${row.name}`);
+  }
+
+  return T.translate(`${PREFIX}.${row.group}`, { name: row.name });
+}
+
+export default function SummaryComparison({ left, right, leftLabel, rightLabel }) {
+  const rows = getSummaryComparison(left, right);
+
+  return (
+    <div className="reports-summary-comparison">
+      <table className="table">
+        <thead>
+          <tr>
+            <th />
+            <th>{leftLabel}</th>
+            <th>{rightLabel}</th>
+            <th>{T.translate(`${PREFIX}.change`)}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row) => {
+            return (
+              <tr key={`${row.group}-${row.name}`}>
+                <td>{getRowLabel(row)}</td>
+                <td>{formatValue(row, row.left)}</td>
+                <td>{formatValue(row, row.right)}</td>
+                <td>{renderChange(row)}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+SummaryComparison.propTypes = {
+  left: PropTypes.object,
+  right: PropTypes.object,
+  leftLabel: PropTypes.string,
+  rightLabel: PropTypes.string,
+};
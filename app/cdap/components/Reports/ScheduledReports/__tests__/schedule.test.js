@@ -0,0 +1,154 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import moment from 'moment';
+import {
+  addHistoryInstance,
+  claimScheduledInstance,
+  getFirstScheduledTime,
+  getLastScheduledTime,
+  getNextScheduledTime,
+  getScheduledTimeRange,
+  getSummaryComparison,
+  isReportDue,
+  MAX_HISTORY,
+  RECURRENCE,
+} from 'components/Reports/ScheduledReports/schedule';
+
+jest.disableAutomock();
+
+function time(value) {
+  return moment(value, 'YYYY-MM-DD HH:mm').valueOf();
+}
+
+describe('Scheduled reports', () => {
+  // a Monday
+  const weekly = {
+    recurrence: RECURRENCE.weekly,
+    startTime: time('2024-03-04 08:00'),
+  };
+  const daily = {
+    recurrence: RECURRENCE.daily,
+    startTime: time('2024-03-04 08:00'),
+  };
+
+  it('should find the first scheduled time', () => {
+    const from = time('2024-03-06 12:00');
+
+    expect(getFirstScheduledTime(RECURRENCE.daily, 8 * 60, 1, from)).toBe(time('2024-03-07 08:00'));
+    expect(getFirstScheduledTime(RECURRENCE.weekly, 8 * 60, 1, from)).toBe(
+      time('2024-03-11 08:00')
+    );
+    expect(getFirstScheduledTime(RECURRENCE.weekly, 13 * 60, 3, from)).toBe(
+      time('2024-03-06 13:00')
+    );
+  });
+
+  it('should find the last and next scheduled times', () => {
+    expect(getLastScheduledTime(weekly, time('2024-03-01 08:00'))).toBeNull();
+    expect(getNextScheduledTime(weekly, time('2024-03-01 08:00'))).toBe(weekly.startTime);
+
+    expect(getLastScheduledTime(weekly, time('2024-03-20 09:00'))).toBe(time('2024-03-18 08:00'));
+    expect(getNextScheduledTime(weekly, time('2024-03-20 09:00'))).toBe(time('2024-03-25 08:00'));
+
+    expect(getLastScheduledTime(daily, time('2024-03-20 07:59'))).toBe(time('2024-03-19 08:00'));
+    expect(getLastScheduledTime(daily, time('2024-03-20 08:00'))).toBe(time('2024-03-20 08:00'));
+  });
+
+  it('should only be due once per scheduled time', () => {
+    const now = time('2024-03-20 09:00');
+
+    expect(isReportDue(weekly, time('2024-03-01 08:00'))).toBe(false);
+    expect(isReportDue(weekly, now)).toBe(true);
+
+    const generated = addHistoryInstance(weekly, {
+      reportId: 'report-1',
+      scheduledTime: getLastScheduledTime(weekly, now),
+    });
+
+    expect(isReportDue(generated, now)).toBe(false);
+    expect(isReportDue(generated, time('2024-03-25 08:00'))).toBe(true);
+  });
+
+  it('should only claim an instance that was not generated yet', () => {
+    const scheduledTime = time('2024-03-18 08:00');
+    const claimed = claimScheduledInstance(weekly, scheduledTime);
+
+    expect(claimed.lastScheduledTime).toBe(scheduledTime);
+    expect(isReportDue(claimed, time('2024-03-20 09:00'))).toBe(false);
+
+    // e.g. claimed by another window, or deleted, since the definitions were fetched
+    expect(claimScheduledInstance(claimed, scheduledTime)).toBeNull();
+    expect(claimScheduledInstance(claimed, time('2024-03-11 08:00'))).toBeNull();
+    expect(claimScheduledInstance(undefined, scheduledTime)).toBeNull();
+    expect(claimScheduledInstance(claimed, time('2024-03-25 08:00')).lastScheduledTime).toBe(
+      time('2024-03-25 08:00')
+    );
+  });
+
+  it('should cover the recurrence period ending at the scheduled time', () => {
+    const scheduledTime = time('2024-03-18 08:00');
+
+    expect(getScheduledTimeRange(weekly, scheduledTime)).toEqual({
+      start: time('2024-03-11 08:00') / 1000,
+      end: scheduledTime / 1000,
+    });
+    expect(getScheduledTimeRange(daily, scheduledTime).start).toBe(time('2024-03-17 08:00') / 1000);
+  });
+
+  it('should keep the latest instances in the history', () => {
+    let definition = weekly;
+
+    for (let i = 0; i < MAX_HISTORY + 5; i++) {
+      definition = addHistoryInstance(definition, {
+        reportId: `report-${i}`,
+        scheduledTime: weekly.startTime + i,
+      });
+    }
+
+    expect(definition.history.length).toBe(MAX_HISTORY);
+    expect(definition.history[0].reportId).toBe(`report-${MAX_HISTORY + 4}`);
+    expect(definition.lastScheduledTime).toBe(weekly.startTime + MAX_HISTORY + 4);
+  });
+
+  it('should line up two summaries', () => {
+    const left = {
+      namespaces: [{ namespace: 'default', runs: 3 }],
+      artifacts: [{ name: 'cdap-data-pipeline', runs: 3 }],
+      durations: { min: 10, max: 30.4, average: 20.6 },
+      owners: [{ user: 'alice', runs: 3 }],
+      startMethods: [{ method: 'MANUAL', runs: 3 }],
+    };
+    const right = {
+      namespaces: [
+        { namespace: 'default', runs: 2 },
+        { namespace: 'prod', runs: 4 },
+      ],
+      artifacts: [{ name: 'cdap-data-pipeline', runs: 6 }],
+      startMethods: [{ method: 'SCHEDULED', runs: 6 }],
+    };
+
+    const rows = getSummaryComparison(left, right);
+    const getRow = (group, name) => rows.find((row) => row.group === group && row.name === name);
+
+    expect(getRow('total', 'runs')).toMatchObject({ left: 3, right: 6 });
+    expect(getRow('namespace', 'prod')).toMatchObject({ left: 0, right: 4 });
+    expect(getRow('startMethod', 'MANUAL')).toMatchObject({ left: 3, right: 0 });
+    expect(getRow('owner', 'alice')).toMatchObject({ left: 3, right: 0 });
+    expect(getRow('duration', 'max')).toMatchObject({ left: 30, right: null });
+    expect(getRow('duration', 'average')).toMatchObject({ left: 21, right: null });
+  });
+});
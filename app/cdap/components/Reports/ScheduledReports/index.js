@@ -0,0 +1,180 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import { Observable } from 'rxjs/Observable';
+import { humanReadableDate } from 'services/helpers';
+import {
+  deleteReportDefinition,
+  fetchReportDefinitions,
+  generateDueReports,
+  generateScheduledReport,
+  setScheduledReportsError,
+} from 'components/Reports/store/ActionCreator';
+import { getNextScheduledTime, RECURRENCE } from 'components/Reports/ScheduledReports/schedule';
+import HistoryModal from 'components/Reports/ScheduledReports/HistoryModal';
+import T from 'i18n-react';
+
+const PREFIX = 'features.Reports.ScheduledReports';
+
+// how often the page checks whether the period of a recurring report has ended
+const SCHEDULE_CHECK_INTERVAL = 60000;
+
+require('./ScheduledReports.scss');
+
+class ScheduledReportsView extends Component {
+  static propTypes = {
+    definitions: PropTypes.array,
+    error: PropTypes.string,
+  };
+
+  state = {
+    historyDefinitionId: null,
+  };
+
+  componentDidMount() {
+    this.definitions$ = fetchReportDefinitions().subscribe(
+      () => generateDueReports(),
+      setScheduledReportsError
+    );
+    this.interval$ = Observable.interval(SCHEDULE_CHECK_INTERVAL).subscribe(() =>
+      generateDueReports()
+    );
+  }
+
+  componentWillUnmount() {
+    if (this.definitions$) {
+      this.definitions$.unsubscribe();
+    }
+
+    if (this.interval$) {
+      this.interval$.unsubscribe();
+    }
+  }
+
+  toggleHistory = (historyDefinitionId = null) => {
+    this.setState({ historyDefinitionId });
+  };
+
+  generateNow = (definition) => {
+    generateScheduledReport(definition).subscribe(null, setScheduledReportsError);
+  };
+
+  delete = (definition) => {
+    deleteReportDefinition(definition.id).subscribe(null, setScheduledReportsError);
+  };
+
+  renderHistoryModal() {
+    const definition = this.props.definitions.find(
+      ({ id }) => id === this.state.historyDefinitionId
+    );
+
+    if (!definition) {
+      return null;
+    }
+
+    return <HistoryModal definition={definition} toggle={() => this.toggleHistory()} />;
+  }
+
+  renderError() {
+    if (!this.props.error) {
+      return null;
+    }
+
+    return <div className="scheduled-reports-error text-danger">{this.props.error}</div>;
+  }
+
+  render() {
+    if (this.props.definitions.length === 0) {
+      return this.renderError();
+    }
+
+    return (
+      <div className="scheduled-reports">
+        <div className="section-title">{T.translate(`${PREFIX}.title`)}</div>
+        <div className="generation-note">{T.translate(`${PREFIX}.generationNote`)}</div>
+        {this.renderError()}
+
+        <div className="grid-wrapper">
+          <div className="grid grid-container">
+            <div className="grid-header">
+              <div className="grid-row">
+                <div>{T.translate('features.Reports.reportName')}</div>
+                <div>{T.translate(`${PREFIX}.recurrence`)}</div>
+                <div>{T.translate(`${PREFIX}.nextRun`)}</div>
+                <div>{T.translate(`${PREFIX}.instances`)}</div>
+                <div />
+              </div>
+            </div>
+
+            <div className="grid-body">
+              {this.props.definitions.map((definition) => {
+                const recurrence =
+                  definition.recurrence === RECURRENCE.weekly
+                    ? T.translate(`${PREFIX}.weekly`)
+                    : T.translate(`${PREFIX}.daily`);
+
+                return (
+                  <div className="grid-row" key={definition.id}>
+                    <div className="report-name">{definition.name}</div>
+                    <div>{recurrence}</div>
+                    <div>{humanReadableDate(getNextScheduledTime(definition), true)}</div>
+                    <div>{(definition.history || []).length}</div>
+                    <div className="actions">
+                      <button
+                        className="btn btn-link"
+                        onClick={this.generateNow.bind(this, definition)}
+                      >
+                        {T.translate(`${PREFIX}.generateNow`)}
+                      </button>
+                      <button
+                        className="btn btn-link"
+                        onClick={this.toggleHistory.bind(this, definition.id)}
+                      >
+                        {T.translate(`${PREFIX}.history`)}
+                      </button>
+                      <button
+                        className="btn btn-link text-danger"
+                        onClick={this.delete.bind(this, definition)}
+                      >
+                        {T.translate('commons.delete')}
+                      </button>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        </div>
+
+        {this.renderHistoryModal()}
+      </div>
+    );
+  }
+}
+
+const mapStateToProps = (state) => {
+  return {
+    definitions: state.scheduled.definitions,
+    error: state.scheduled.error,
+  };
+};
+
+const ScheduledReports = connect(mapStateToProps)(ScheduledReportsView);
+
+export default ScheduledReports;
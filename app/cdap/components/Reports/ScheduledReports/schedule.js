@@ -0,0 +1,206 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import moment from 'moment';
+
+export const RECURRENCE = {
+  daily: 'DAILY',
+  weekly: 'WEEKLY',
+};
+
+const RECURRENCE_DAYS = {
+  [RECURRENCE.daily]: 1,
+  [RECURRENCE.weekly]: 7,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// number of generated instances kept in the history of a report definition
+export const MAX_HISTORY = 20;
+
+function getRecurrenceDays(recurrence) {
+  return RECURRENCE_DAYS[recurrence] || RECURRENCE_DAYS[RECURRENCE.daily];
+}
+
+/**
+ * Returns the first time the report is scheduled at or after `from`, given the time of the day
+ * in minutes and, for weekly reports, the day of the week (0 is Sunday).
+ */
+export function getFirstScheduledTime(recurrence, minuteOfDay, dayOfWeek, from = Date.now()) {
+  const scheduled = moment(from)
+    .startOf('day')
+    .add(minuteOfDay, 'minutes');
+
+  if (recurrence === RECURRENCE.weekly) {
+    scheduled.day(dayOfWeek);
+  }
+
+  while (scheduled.valueOf() < from) {
+    scheduled.add(getRecurrenceDays(recurrence), 'days');
+  }
+
+  return scheduled.valueOf();
+}
+
+/**
+ * Returns the latest scheduled time that is not after `now`, or null when the first scheduled
+ * time has not come yet. Days are added with moment, so the time of the day does not move when
+ * daylight saving time starts or ends.
+ */
+export function getLastScheduledTime(definition, now = Date.now()) {
+  if (now < definition.startTime) {
+    return null;
+  }
+
+  const days = getRecurrenceDays(definition.recurrence);
+  let periods = Math.floor((now - definition.startTime) / (days * DAY_MS));
+  let scheduled = moment(definition.startTime).add(periods * days, 'days');
+
+  // the estimate can be off by one period around daylight saving time changes
+  while (scheduled.valueOf() > now) {
+    periods -= 1;
+    scheduled = moment(definition.startTime).add(periods * days, 'days');
+  }
+
+  return scheduled.valueOf();
+}
+
+export function getNextScheduledTime(definition, now = Date.now()) {
+  const lastScheduledTime = getLastScheduledTime(definition, now);
+
+  if (lastScheduledTime === null) {
+    return definition.startTime;
+  }
+
+  return moment(lastScheduledTime)
+    .add(getRecurrenceDays(definition.recurrence), 'days')
+    .valueOf();
+}
+
+/**
+ * A report is due when a scheduled time has passed that has not been generated yet. Only the
+ * latest missed instance is generated, so a report that was not generated for a few weeks does
+ * not produce a burst of reports.
+ */
+export function isReportDue(definition, now = Date.now()) {
+  const lastScheduledTime = getLastScheduledTime(definition, now);
+
+  if (lastScheduledTime === null) {
+    return false;
+  }
+
+  return !definition.lastScheduledTime || lastScheduledTime > definition.lastScheduledTime;
+}
+
+/**
+ * Returns the time range in seconds covered by the instance scheduled at `scheduledTime`, which
+ * is the recurrence period that ends at the scheduled time.
+ */
+export function getScheduledTimeRange(definition, scheduledTime) {
+  const start = moment(scheduledTime).subtract(getRecurrenceDays(definition.recurrence), 'days');
+
+  return {
+    start: Math.round(start.valueOf() / 1000),
+    end: Math.round(scheduledTime / 1000),
+  };
+}
+
+/**
+ * Marks the instance scheduled at `scheduledTime` as generated, before the report is generated.
+ * Returns null when the stored definition was deleted, or when the instance, or a later one,
+ * was already generated, e.g. by another window.
+ */
+export function claimScheduledInstance(definition, scheduledTime) {
+  if (!definition || (definition.lastScheduledTime || 0) >= scheduledTime) {
+    return null;
+  }
+
+  return {
+    ...definition,
+    lastScheduledTime: scheduledTime,
+  };
+}
+
+export function addHistoryInstance(definition, instance) {
+  const history = [instance, ...(definition.history || [])].slice(0, MAX_HISTORY);
+
+  return {
+    ...definition,
+    history,
+    lastScheduledTime: Math.max(definition.lastScheduledTime || 0, instance.scheduledTime),
+  };
+}
+
+function getTotalRuns(summary) {
+  return (summary.namespaces || []).reduce((total, ns) => total + ns.runs, 0);
+}
+
+function getGroupRows(group, left, right, listKey, nameKey) {
+  const leftRuns = {};
+  const rightRuns = {};
+
+  (left[listKey] || []).forEach((item) => {
+    leftRuns[item[nameKey]] = item.runs;
+  });
+  (right[listKey] || []).forEach((item) => {
+    rightRuns[item[nameKey]] = item.runs;
+  });
+
+  const names = Object.keys({ ...leftRuns, ...rightRuns }).sort();
+
+  return names.map((name) => {
+    return {
+      group,
+      name,
+      left: typeof leftRuns[name] === 'number' ? leftRuns[name] : 0,
+      right: typeof rightRuns[name] === 'number' ? rightRuns[name] : 0,
+    };
+  });
+}
+
+function getDurationRows(left, right) {
+  const leftDurations = left.durations || {};
+  const rightDurations = right.durations || {};
+
+  return ['min', 'max', 'average'].map((name) => {
+    return {
+      group: 'duration',
+      name,
+      left: typeof leftDurations[name] === 'number' ? Math.round(leftDurations[name]) : null,
+      right: typeof rightDurations[name] === 'number' ? Math.round(rightDurations[name]) : null,
+    };
+  });
+}
+
+/**
+ * Lines up the summaries of two report instances. Each row has the value of both instances, so
+ * the view only has to format the values and the change between them.
+ */
+export function getSummaryComparison(left = {}, right = {}) {
+  return [
+    {
+      group: 'total',
+      name: 'runs',
+      left: getTotalRuns(left),
+      right: getTotalRuns(right),
+    },
+    ...getGroupRows('namespace', left, right, 'namespaces', 'namespace'),
+    ...getGroupRows('artifact', left, right, 'artifacts', 'name'),
+    ...getGroupRows('startMethod', left, right, 'startMethods', 'method'),
+    ...getGroupRows('owner', left, right, 'owners', 'user'),
+    ...getDurationRows(left, right),
+  ];
+}
@@ -22,8 +22,25 @@ import { GLOBALS } from 'services/global-constants';
 import { getCurrentNamespace } from 'services/NamespaceStore';
 import StatusMapper from 'services/StatusMapper';
 import T from 'i18n-react';
+import MyUserStoreApi from 'api/userstore';
+import { objectQuery } from 'services/helpers';
+import uuidV4 from 'uuid/v4';
+import { Observable } from 'rxjs/Observable';
+import 'rxjs/add/observable/of';
+import 'rxjs/add/observable/throw';
+import 'rxjs/add/operator/catch';
+import 'rxjs/add/operator/map';
+import 'rxjs/add/operator/mergeMap';
+import {
+  addHistoryInstance,
+  claimScheduledInstance,
+  getLastScheduledTime,
+  getScheduledTimeRange,
+  isReportDue,
+} from 'components/Reports/ScheduledReports/schedule';
 
 const PREFIX = 'features.Reports.ReportsDetail';
+const SCHEDULED_PREFIX = 'features.Reports.ScheduledReports';
 
 export const DefaultSelection = ['artifactName', 'applicationName', 'program', 'programType'];
 
@@ -117,9 +134,10 @@ function getFilters() {
   return filters;
 }
 
-export function generateReport() {
-  let { start, end } = getTimeRange();
-
+/**
+ * Returns the columns and filters of the current customizer selections, without the time range.
+ */
+export function getReportCriteria() {
   let selections = ReportsStore.getState().customizer;
 
   const FILTER_OUT = ['pipelines', 'customApps'];
@@ -129,18 +147,44 @@ export function generateReport() {
   );
   fields = DefaultSelection.concat(fields);
 
-  let requestBody = {
-    name: getName(start, end),
-    start,
-    end,
+  let criteria = {
     fields,
   };
 
   let filters = getFilters();
   if (filters.length > 0) {
-    requestBody.filters = filters;
+    criteria.filters = filters;
   }
 
+  return criteria;
+}
+
+function getErrorMessage(err) {
+  const response = objectQuery(err, 'response') || err;
+  return typeof response === 'string' ? response : JSON.stringify(response);
+}
+
+function setGenerateError(error) {
+  ReportsStore.dispatch({
+    type: ReportsActions.setGenerateError,
+    payload: {
+      error,
+    },
+  });
+}
+
+export function generateReport() {
+  let { start, end } = getTimeRange();
+
+  let requestBody = {
+    name: getName(start, end),
+    start,
+    end,
+    ...getReportCriteria(),
+  };
+
+  setGenerateError(null);
+
   MyReportsApi.generateReport(null, requestBody).subscribe(
     (res) => {
       // Switch to 1st page after generating a report, so we can
@@ -148,7 +192,7 @@ export function generateReport() {
       handleReportsPageChange({ selected: 0 }, res.id);
     },
     (err) => {
-      console.log('error', err);
+      setGenerateError(getErrorMessage(err));
     }
   );
 }
@@ -204,7 +248,6 @@ export function fetchRuns(reportId = ReportsStore.getState().details.reportId) {
       });
     },
     (err) => {
-      console.log('err', err);
       ReportsStore.dispatch({
         type: ReportsActions.setDetailsError,
         payload: {
@@ -251,3 +294,192 @@ export function getStatusSelectionsLabels(selections) {
     return StatusMapper.lookupDisplayStatus(selection);
   });
 }
+
+const REPORT_DEFINITIONS_KEY = 'reportDefinitions';
+
+// ids of the definitions being generated in this window, so the polling does not generate the
+// same instance twice while the request is in flight
+const generatingDefinitions = {};
+
+export function setScheduledReportsError(err) {
+  ReportsStore.dispatch({
+    type: ReportsActions.setScheduledReportsError,
+    payload: {
+      error: getErrorMessage(err),
+    },
+  });
+}
+
+function setReportDefinitions(definitions) {
+  ReportsStore.dispatch({
+    type: ReportsActions.setReportDefinitions,
+    payload: {
+      definitions,
+    },
+  });
+}
+
+/**
+ * Report definitions are kept in the user store, per namespace, since the reports service does
+ * not have a notion of saved criteria.
+ */
+export function fetchReportDefinitions() {
+  return MyUserStoreApi.get().map((res) => {
+    const definitions =
+      objectQuery(res, 'property', REPORT_DEFINITIONS_KEY, getCurrentNamespace()) || [];
+
+    setReportDefinitions(definitions);
+    return definitions;
+  });
+}
+
+function updateReportDefinitions(updateFn) {
+  return MyUserStoreApi.get()
+    .mergeMap((res) => {
+      const property = (res && res.property) || {};
+      const allDefinitions = property[REPORT_DEFINITIONS_KEY] || {};
+      const namespace = getCurrentNamespace();
+      const definitions = updateFn(allDefinitions[namespace] || []);
+
+      const newProperty = {
+        ...property,
+        [REPORT_DEFINITIONS_KEY]: {
+          ...allDefinitions,
+          [namespace]: definitions,
+        },
+      };
+
+      return MyUserStoreApi.set(null, newProperty).map(() => definitions);
+    })
+    .map((definitions) => {
+      setReportDefinitions(definitions);
+      return definitions;
+    });
+}
+
+export function saveReportDefinition({ name, recurrence, startTime }) {
+  const definition = {
+    id: uuidV4(),
+    name,
+    recurrence,
+    startTime,
+    created: Date.now(),
+    request: getReportCriteria(),
+    lastScheduledTime: null,
+    history: [],
+  };
+
+  return updateReportDefinitions((definitions) => [...definitions, definition]);
+}
+
+export function deleteReportDefinition(id) {
+  return updateReportDefinitions((definitions) => {
+    return definitions.filter((definition) => definition.id !== id);
+  });
+}
+
+/**
+ * Generates the instance of a report definition for the given scheduled time, and adds it to
+ * the history of the definition.
+ *
+ * The instance is first claimed in the stored definition, which is re-read from the user store,
+ * so that a window with outdated definitions does not generate it again. The claim is released
+ * when the report cannot be generated, so that it is retried.
+ */
+export function generateScheduledReport(definition, scheduledTime = Date.now()) {
+  const { start, end } = getScheduledTimeRange(definition, scheduledTime);
+
+  const requestBody = {
+    ...definition.request,
+    name: T.translate(`${SCHEDULED_PREFIX}.instanceName`, {
+      name: definition.name,
+      date: moment(scheduledTime).format('MMM D, YYYY HH:mma'),
+    }),
+    start,
+    end,
+  };
+
+  let isClaimed = false;
+  let previousScheduledTime = null;
+
+  const releaseClaim = (err) => {
+    return updateReportDefinitions((definitions) => {
+      return definitions.map((def) => {
+        return def.id === definition.id && def.lastScheduledTime === scheduledTime
+          ? { ...def, lastScheduledTime: previousScheduledTime }
+          : def;
+      });
+    }).mergeMap(() => Observable.throw(err));
+  };
+
+  generatingDefinitions[definition.id] = true;
+
+  return updateReportDefinitions((definitions) => {
+    return definitions.map((def) => {
+      if (def.id !== definition.id) {
+        return def;
+      }
+
+      const claimed = claimScheduledInstance(def, scheduledTime);
+      if (!claimed) {
+        return def;
+      }
+
+      isClaimed = true;
+      previousScheduledTime = def.lastScheduledTime;
+      return claimed;
+    });
+  })
+    .mergeMap((claimedDefinitions) => {
+      if (!isClaimed) {
+        return Observable.of(claimedDefinitions);
+      }
+
+      return MyReportsApi.generateReport(null, requestBody)
+        .mergeMap((res) => {
+          const instance = {
+            reportId: res.id,
+            scheduledTime,
+          };
+
+          return updateReportDefinitions((definitions) => {
+            return definitions.map((def) => {
+              return def.id === definition.id ? addHistoryInstance(def, instance) : def;
+            });
+          });
+        })
+        .catch(releaseClaim);
+    })
+    .map((definitions) => {
+      delete generatingDefinitions[definition.id];
+      if (isClaimed) {
+        listReports();
+      }
+      return definitions;
+    })
+    .catch((err) => {
+      delete generatingDefinitions[definition.id];
+      return Observable.throw(err);
+    });
+}
+
+/**
+ * Recurring reports have no backend schedule: they are generated by the reports page while it is
+ * open, and the UI presents them as such.
+ * A definition that came due while the page was closed is generated the next time it is opened,
+ * and only for the latest missed period. Instances are claimed in the user store before they
+ * are generated, see generateScheduledReport. The user store has no locking though, so two
+ * windows that claim the same instance at the same time can still both generate it.
+ */
+export function generateDueReports(now = Date.now()) {
+  const { definitions } = ReportsStore.getState().scheduled;
+
+  definitions
+    .filter((definition) => !generatingDefinitions[definition.id] && isReportDue(definition, now))
+    .forEach((definition) => {
+      generateScheduledReport(definition, getLastScheduledTime(definition, now)).subscribe(
+        null,
+        setScheduledReportsError
+      );
+    });
+}
@@ -32,6 +32,9 @@ const ReportsActions = {
   setDetailsError: 'REPORTS_DETAILS_ERROR',
   detailsReset: 'REPORTS_DETAILS_RESET',
   setNamespaces: 'REPORTS_SET_NAMESPACES',
+  setReportDefinitions: 'REPORTS_SET_REPORT_DEFINITIONS',
+  setScheduledReportsError: 'REPORTS_SET_SCHEDULED_REPORTS_ERROR',
+  setGenerateError: 'REPORTS_SET_GENERATE_ERROR',
   reset: 'REPORTS_RESET',
 };
 
@@ -73,6 +76,7 @@ const defaultListState = {
   offset: 0,
   limit: 20,
   activeId: null,
+  generateError: null,
 };
 
 const defaultDetailsState = {
@@ -91,6 +95,11 @@ const defaultDetailsState = {
   detailError: null,
 };
 
+const defaultScheduledState = {
+  definitions: [],
+  error: null,
+};
+
 const customizer = (state = defaultCustomizerState, action = defaultAction) => {
   switch (action.type) {
     case ReportsActions.toggleCustomizerOption:
@@ -174,6 +183,12 @@ const list = (state = defaultListState, action = defaultAction) => {
         offset: action.payload.list.offset,
         limit: action.payload.list.limit,
         activeId: action.payload.activeId,
+        generateError: state.generateError,
+      };
+    case ReportsActions.setGenerateError:
+      return {
+        ...state,
+        generateError: action.payload.error,
       };
     case ReportsActions.setPagination:
       return {
@@ -224,6 +239,26 @@ const details = (state = defaultDetailsState, action = defaultAction) => {
   }
 };
 
+const scheduled = (state = defaultScheduledState, action = defaultAction) => {
+  switch (action.type) {
+    case ReportsActions.setReportDefinitions:
+      return {
+        ...state,
+        definitions: action.payload.definitions,
+        error: null,
+      };
+    case ReportsActions.setScheduledReportsError:
+      return {
+        ...state,
+        error: action.payload.error,
+      };
+    case ReportsActions.reset:
+      return defaultScheduledState;
+    default:
+      return state;
+  }
+};
+
 const ReportsStore = createStore(
   combineReducers({
     customizer,
@@ -232,6 +267,7 @@ const ReportsStore = createStore(
     details,
     timeRange,
     namespaces,
+    scheduled,
   }),
   {
     customizer: defaultCustomizerState,
@@ -240,6 +276,7 @@ const ReportsStore = createStore(
     details: defaultDetailsState,
     timeRange: defaultTimeRangeState,
     namespaces: namespacesInitialState,
+    scheduled: defaultScheduledState,
   },
   window.__REDUX_DEVTOOLS_EXTENSION__ && window.__REDUX_DEVTOOLS_EXTENSION__()
 );
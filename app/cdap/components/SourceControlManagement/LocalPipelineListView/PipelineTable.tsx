@@ -19,6 +19,8 @@ import { Checkbox, Table, TableBody, TableCell, TableRow, TableHead } from '@mat
 import InfoIcon from '@material-ui/icons/Info';
 import { setSelectedPipelines } from '../store/ActionCreator';
 import { IRepositoryPipeline } from '../types';
+import { SyncStatus } from '../SyncStatus';
+import { SyncStatusLabel } from '../SyncStatusLabel';
 import T from 'i18n-react';
 import StatusButton from 'components/StatusButton';
 import { SUPPORT } from 'components/StatusButton/constants';
@@ -40,6 +42,8 @@ interface IRepositoryPipelineTableProps {
   showFailedOnly: boolean;
   enableMultipleSelection?: boolean;
   disabled?: boolean;
+  // not set when the pipelines on the other side are not known
+  syncStatuses?: Record<string, SyncStatus>;
 }
 
 export const LocalPipelineTable = ({
@@ -48,6 +52,7 @@ export const LocalPipelineTable = ({
   showFailedOnly,
   enableMultipleSelection = false,
   disabled = false,
+  syncStatuses,
 }: IRepositoryPipelineTableProps) => {
   const isSelected = (name: string) => selectedPipelines.indexOf(name) !== -1;
 
@@ -119,6 +124,9 @@ export const LocalPipelineTable = ({
             <TableCell></TableCell>
             <StyledTableCell>{T.translate(`${PREFIX}.pipelineName`)}</StyledTableCell>
             <StyledTableCell>{T.translate(`${PREFIX}.lastSyncDate`)}</StyledTableCell>
+            {syncStatuses && (
+              <StyledFixedWidthCell>{T.translate(`${PREFIX}.syncStatus`)}</StyledFixedWidthCell>
+            )}
             <StyledFixedWidthCell>
               <div>
                 {T.translate(`${PREFIX}.gitStatus`)}
@@ -170,6 +178,11 @@ export const LocalPipelineTable = ({
                 </StatusCell>
                 <StyledTableCell>{pipeline.name}</StyledTableCell>
                 <StyledTableCell>{timeInstantToString(pipeline.lastSyncDate)}</StyledTableCell>
+                {syncStatuses && (
+                  <StyledFixedWidthCell>
+                    <SyncStatusLabel status={syncStatuses[pipeline.name]} />
+                  </StyledFixedWidthCell>
+                )}
                 <StyledFixedWidthCell>
                   {pipeline.fileHash ? T.translate(`${PREFIX}.connected`) : '--'}
                 </StyledFixedWidthCell>
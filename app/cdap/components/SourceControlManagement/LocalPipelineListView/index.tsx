@@ -24,11 +24,14 @@ import {
   getNamespacePipelineList,
   pushMultipleSelectedPipelines,
   pushSelectedPipelines,
+  pullAndDeploySelectedRemotePipelines,
+  refetchAllPipelines,
   reset,
   resetPushStatus,
   setLoadingMessage,
   setLocalPipelines,
   setNameFilter,
+  setSelectedPipelines,
   toggleCommitModal,
   toggleShowFailedOnly,
 } from '../store/ActionCreator';
@@ -43,8 +46,11 @@ import { useOnUnmount } from 'services/react/customHooks/useOnUnmount';
 import { FailStatusDiv, PipelineListContainer, StyledSelectionStatusDiv } from '../styles';
 import { IListResponse, IOperationMetaResponse, IOperationRun } from '../types';
 import { useFeatureFlagDefaultFalse } from 'services/react/customHooks/useFeatureFlag';
-import { parseOperationResource } from '../helpers';
+import { getSyncStatuses, needsSyncReview, parseOperationResource } from '../helpers';
 import { OperationAlert } from '../OperationAlert';
+import { SyncReviewModal } from '../SyncReviewModal';
+import { SyncStatus } from '../SyncStatus';
+import pickBy from 'lodash/pickBy';
 
 const PREFIX = 'features.SourceControlManagement.push';
 
@@ -63,6 +69,18 @@ export const LocalPipelineListView = () => {
     ({ operationRun }) => operationRun
   );
 
+  const { ready: remoteReady, remotePipelines, pullViewErrorMsg } = useSelector(({ pull }) => pull);
+  // statuses can only be computed once the repository pipelines are listed
+  const syncStatuses =
+    remoteReady && !pullViewErrorMsg
+      ? getSyncStatuses(
+          localPipelines.map(({ name }) => name),
+          localPipelines,
+          remotePipelines
+        )
+      : undefined;
+  const [reviewStatuses, setReviewStatuses] = useState<Record<string, SyncStatus>>(null);
+
   const multiPushEnabled = useFeatureFlagDefaultFalse(
     'source.control.management.multi.app.enabled'
   );
@@ -135,6 +153,39 @@ export const LocalPipelineListView = () => {
     });
   };
 
+  const onPushClick = () => {
+    const toReview = syncStatuses
+      ? pickBy(getSyncStatuses(selectedPipelines, localPipelines, remotePipelines), needsSyncReview)
+      : {};
+    if (Object.keys(toReview).length > 0) {
+      setReviewStatuses(toReview);
+      return;
+    }
+    toggleCommitModal();
+  };
+
+  const onKeepLocal = () => {
+    setReviewStatuses(null);
+    toggleCommitModal();
+  };
+
+  // the repository copy replaces the namespace pipeline, the other selected pipelines can still be pushed
+  const onTakeRemote = () => {
+    const pulled = Object.keys(reviewStatuses);
+    setReviewStatuses(null);
+    setSelectedPipelines(selectedPipelines.filter((name) => pulled.indexOf(name) === -1));
+    pullAndDeploySelectedRemotePipelines(
+      getCurrentNamespace(),
+      pulled,
+      setLoadingMessage
+    ).subscribe({
+      complete() {
+        setLoadingMessage(null);
+        refetchAllPipelines();
+      },
+    });
+  };
+
   const LocalPipelineTableComp = () => {
     if (localPipelines.length > 0) {
       return (
@@ -145,9 +196,10 @@ export const LocalPipelineListView = () => {
             showFailedOnly={showFailedOnly}
             enableMultipleSelection={multiPushEnabled}
             disabled={isAnOperationRunning}
+            syncStatuses={syncStatuses}
           />
           <PrimaryContainedButton
-            onClick={toggleCommitModal}
+            onClick={onPushClick}
             size="large"
             disabled={isAnOperationRunning || !selectedPipelines.length}
             data-testid="remote-push-button"
@@ -194,6 +246,16 @@ export const LocalPipelineListView = () => {
         </StyledSelectionStatusDiv>
       )}
       {ready ? LocalPipelineTableComp() : <LoadingSVGCentered />}
+      {reviewStatuses && (
+        <SyncReviewModal
+          operation="push"
+          statuses={reviewStatuses}
+          remotePipelines={remotePipelines}
+          onKeepLocal={onKeepLocal}
+          onTakeRemote={onTakeRemote}
+          onAbort={() => setReviewStatuses(null)}
+        />
+      )}
       <CommitModal
         isOpen={commitModalOpen}
         onToggle={toggleCommitModal}
@@ -19,9 +19,11 @@ import T from 'i18n-react';
 import { Checkbox, Table, TableBody, TableCell, TableRow, TableHead } from '@material-ui/core';
 import { setSelectedRemotePipelines } from '../store/ActionCreator';
 import { IRepositoryPipeline } from '../types';
+import { SyncStatus } from '../SyncStatus';
+import { SyncStatusLabel } from '../SyncStatusLabel';
 import StatusButton from 'components/StatusButton';
 import { SUPPORT } from 'components/StatusButton/constants';
-import { StyledTableCell, StyledTableRow, TableBox } from '../styles';
+import { StyledFixedWidthCell, StyledTableCell, StyledTableRow, TableBox } from '../styles';
 
 const PREFIX = 'features.SourceControlManagement.table';
 
@@ -31,6 +33,8 @@ interface IRepositoryPipelineTableProps {
   showFailedOnly: boolean;
   enableMultipleSelection?: boolean;
   disabled?: boolean;
+  // not set when the pipelines on the other side are not known
+  syncStatuses?: Record<string, SyncStatus>;
 }
 
 export const RemotePipelineTable = ({
@@ -39,6 +43,7 @@ export const RemotePipelineTable = ({
   showFailedOnly,
   enableMultipleSelection = false,
   disabled = false,
+  syncStatuses,
 }: IRepositoryPipelineTableProps) => {
   const isSelected = (name: string) => selectedPipelines.indexOf(name) !== -1;
 
@@ -111,6 +116,9 @@ export const RemotePipelineTable = ({
             </TableCell>
             <TableCell></TableCell>
             <StyledTableCell>{T.translate(`${PREFIX}.pipelineName`)}</StyledTableCell>
+            {syncStatuses && (
+              <StyledFixedWidthCell>{T.translate(`${PREFIX}.syncStatus`)}</StyledFixedWidthCell>
+            )}
           </TableRow>
         </TableHead>
         <TableBody>
@@ -154,6 +162,11 @@ export const RemotePipelineTable = ({
                   )}
                 </TableCell>
                 <StyledTableCell>{pipeline.name}</StyledTableCell>
+                {syncStatuses && (
+                  <StyledFixedWidthCell>
+                    <SyncStatusLabel status={syncStatuses[pipeline.name]} />
+                  </StyledFixedWidthCell>
+                )}
               </StyledTableRow>
             );
           })}
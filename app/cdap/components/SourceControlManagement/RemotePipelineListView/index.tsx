@@ -46,8 +46,11 @@ import { SUPPORT } from 'components/StatusButton/constants';
 import { IListResponse, IOperationMetaResponse, IOperationRun } from '../types';
 import Alert from 'components/shared/Alert';
 import { useFeatureFlagDefaultFalse } from 'services/react/customHooks/useFeatureFlag';
-import { parseOperationResource } from '../helpers';
+import { getSyncStatuses, needsSyncReview, parseOperationResource } from '../helpers';
 import { OperationAlert } from '../OperationAlert';
+import { SyncReviewModal } from '../SyncReviewModal';
+import { SyncStatus } from '../SyncStatus';
+import pickBy from 'lodash/pickBy';
 
 const PREFIX = 'features.SourceControlManagement.pull';
 
@@ -70,6 +73,20 @@ export const RemotePipelineListView = ({ redirectOnSubmit }: IRemotePipelineList
     ({ operationRun }) => operationRun
   );
 
+  const { ready: localReady, localPipelines, nameFilter: localNameFilter } = useSelector(
+    ({ push }) => push
+  );
+  // statuses need every namespace pipeline, which is not the case when they are filtered by name
+  const syncStatuses =
+    localReady && !localNameFilter
+      ? getSyncStatuses(
+          remotePipelines.map(({ name }) => name),
+          localPipelines,
+          remotePipelines
+        )
+      : undefined;
+  const [reviewStatuses, setReviewStatuses] = useState<Record<string, SyncStatus>>(null);
+
   const multiPullEnabled = useFeatureFlagDefaultFalse(
     'source.control.management.multi.app.enabled'
   );
@@ -93,14 +110,17 @@ export const RemotePipelineListView = ({ redirectOnSubmit }: IRemotePipelineList
     pipeline.name.toLowerCase().includes(nameFilter.toLowerCase())
   );
 
-  const onPullSubmit = () => {
+  const onPullSubmit = (apps: string[] = selectedPipelines) => {
+    if (!apps.length) {
+      return;
+    }
     resetPullStatus();
     const pulledPipelines = cloneDeep(remotePipelines);
     const namespace = getCurrentNamespace();
     if (multiPullEnabled) {
       pullAndDeployMultipleSelectedRemotePipelines(
         getCurrentNamespace(),
-        selectedPipelines,
+        apps,
         setRemoteLoadingMessage
       ).subscribe({
         next(res: IOperationMetaResponse) {
@@ -121,11 +141,7 @@ export const RemotePipelineListView = ({ redirectOnSubmit }: IRemotePipelineList
       return;
     }
 
-    pullAndDeploySelectedRemotePipelines(
-      namespace,
-      selectedPipelines,
-      setRemoteLoadingMessage
-    ).subscribe({
+    pullAndDeploySelectedRemotePipelines(namespace, apps, setRemoteLoadingMessage).subscribe({
       next(res: IListResponse) {
         const currentPipeline = pulledPipelines.find((pipeline) => pipeline.name === res.name);
         currentPipeline.status = res.status;
@@ -148,6 +164,29 @@ export const RemotePipelineListView = ({ redirectOnSubmit }: IRemotePipelineList
     });
   };
 
+  const onPullClick = () => {
+    const toReview = syncStatuses
+      ? pickBy(getSyncStatuses(selectedPipelines, localPipelines, remotePipelines), needsSyncReview)
+      : {};
+    if (Object.keys(toReview).length > 0) {
+      setReviewStatuses(toReview);
+      return;
+    }
+    onPullSubmit();
+  };
+
+  // the namespace pipelines are left as they are, only the other selected pipelines are pulled
+  const onKeepLocal = () => {
+    const kept = Object.keys(reviewStatuses);
+    setReviewStatuses(null);
+    onPullSubmit(selectedPipelines.filter((name) => kept.indexOf(name) === -1));
+  };
+
+  const onTakeRemote = () => {
+    setReviewStatuses(null);
+    onPullSubmit();
+  };
+
   const RemotePipelineTableComp = () => {
     if (filteredPipelines.length > 0) {
       return (
@@ -158,12 +197,13 @@ export const RemotePipelineListView = ({ redirectOnSubmit }: IRemotePipelineList
             showFailedOnly={showFailedOnly}
             enableMultipleSelection={multiPullEnabled}
             disabled={isAnOperationRunning}
+            syncStatuses={syncStatuses}
           />
           <PrimaryContainedButton
             size="large"
             disabled={isAnOperationRunning || !selectedPipelines.length}
             data-testid="remote-pull-button"
-            onClick={onPullSubmit}
+            onClick={onPullClick}
           >
             {T.translate(`${PREFIX}.pullButton`)}
           </PrimaryContainedButton>
@@ -212,6 +252,16 @@ export const RemotePipelineListView = ({ redirectOnSubmit }: IRemotePipelineList
         )}
         {ready ? RemotePipelineTableComp() : <LoadingSVGCentered />}
       </PipelineListContainer>
+      {reviewStatuses && (
+        <SyncReviewModal
+          operation="pull"
+          statuses={reviewStatuses}
+          remotePipelines={remotePipelines}
+          onKeepLocal={onKeepLocal}
+          onTakeRemote={onTakeRemote}
+          onAbort={() => setReviewStatuses(null)}
+        />
+      )}
       <LoadingAppLevel
         isopen={loadingMessage !== null}
         message={loadingMessage}
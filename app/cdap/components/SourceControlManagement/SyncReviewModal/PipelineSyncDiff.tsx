@@ -0,0 +1,84 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import React, { useEffect, useState } from 'react';
+import T from 'i18n-react';
+import LoadingSVG from 'components/shared/LoadingSVG';
+import { getCurrentNamespace } from 'services/NamespaceStore';
+import {
+  diffPipelines,
+  IPipelineDiff,
+} from 'components/PipelineHistory/PipelineDiff/diffPipelines';
+import { PipelineDiffContent } from 'components/PipelineHistory/PipelineDiff/PipelineDiffContent';
+import { fetchPipelineConfigs } from '../store/ActionCreator';
+import { FailStatusDiv } from '../styles';
+
+const PREFIX = 'features.SourceControlManagement.review';
+
+interface IPipelineSyncDiffProps {
+  pipelineName: string;
+  // hash of the pipeline file in the repository
+  remoteFileHash: string;
+}
+
+/**
+ * Changes the namespace pipeline has compared to its repository copy.
+ */
+export const PipelineSyncDiff = ({ pipelineName, remoteFileHash }: IPipelineSyncDiffProps) => {
+  const [diff, setDiff] = useState<IPipelineDiff>(null);
+  const [error, setError] = useState(null);
+  const [isRemoteOutdated, setIsRemoteOutdated] = useState(false);
+
+  useEffect(() => {
+    const subscription = fetchPipelineConfigs(
+      getCurrentNamespace(),
+      pipelineName,
+      remoteFileHash
+    ).subscribe(
+      ({ localConfig, remoteConfig, isRemoteOutdated: isOutdated }) => {
+        if (!remoteConfig) {
+          setError(T.translate(`${PREFIX}.repositoryVersionNotFound`));
+          return;
+        }
+        setIsRemoteOutdated(isOutdated);
+        setDiff(diffPipelines(remoteConfig, localConfig));
+      },
+      (err) => {
+        setError(err.message || T.translate(`${PREFIX}.diffFailError`));
+      }
+    );
+    return () => subscription.unsubscribe();
+  }, [pipelineName, remoteFileHash]);
+
+  if (error) {
+    return <FailStatusDiv>{error}</FailStatusDiv>;
+  }
+  if (!diff) {
+    return <LoadingSVG />;
+  }
+  return (
+    <>
+      {isRemoteOutdated && <p>{T.translate(`${PREFIX}.repositoryChangedOutside`)}</p>}
+      <PipelineDiffContent
+        diff={diff}
+        beforeLabel={T.translate(
+          isRemoteOutdated ? `${PREFIX}.lastSyncedRepository` : `${PREFIX}.repository`
+        ).toString()}
+        afterLabel={T.translate(`${PREFIX}.namespace`).toString()}
+      />
+    </>
+  );
+};
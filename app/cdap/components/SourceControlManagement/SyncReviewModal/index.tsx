@@ -0,0 +1,125 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import React, { useState } from 'react';
+import styled from 'styled-components';
+import T from 'i18n-react';
+import Dialog from '@material-ui/core/Dialog';
+import DialogActions from '@material-ui/core/DialogActions';
+import DialogContent from '@material-ui/core/DialogContent';
+import DialogTitle from '@material-ui/core/DialogTitle';
+import Button from '@material-ui/core/Button';
+import PrimaryTextButton from 'components/shared/Buttons/PrimaryTextButton';
+import { SyncStatus } from '../SyncStatus';
+import { SyncStatusLabel } from '../SyncStatusLabel';
+import { PipelineSyncDiff } from './PipelineSyncDiff';
+import { IRepositoryPipeline } from '../types';
+
+const PREFIX = 'features.SourceControlManagement.review';
+
+const PipelineRow = styled.div`
+  display: flex;
+  align-items: center;
+  border-bottom: 1px solid #dbdbdb;
+  padding: 5px 0;
+
+  > * {
+    margin-right: 20px;
+  }
+`;
+
+const PipelineName = styled.strong`
+  min-width: 250px;
+`;
+
+const DiffContainer = styled.div`
+  padding: 10px 0 20px 20px;
+`;
+
+interface ISyncReviewModalProps {
+  // 'push' or 'pull', to explain what happens to the pipelines
+  operation: 'push' | 'pull';
+  // pipelines that differ between the namespace and the repository
+  statuses: Record<string, SyncStatus>;
+  remotePipelines: IRepositoryPipeline[];
+  onKeepLocal: () => void;
+  onTakeRemote: () => void;
+  onAbort: () => void;
+}
+
+/**
+ * Shown before pushing or pulling pipelines that would overwrite changes. Each
+ * pipeline can be expanded to see how the namespace copy differs from the repository.
+ */
+export const SyncReviewModal = ({
+  operation,
+  statuses,
+  remotePipelines,
+  onKeepLocal,
+  onTakeRemote,
+  onAbort,
+}: ISyncReviewModalProps) => {
+  const [expanded, setExpanded] = useState<string>(null);
+  const names = Object.keys(statuses);
+
+  function getRemoteFileHash(name: string) {
+    const remotePipeline = remotePipelines.find((pipeline) => pipeline.name === name);
+    return remotePipeline ? remotePipeline.fileHash : null;
+  }
+
+  return (
+    <Dialog open={true} onClose={onAbort} fullWidth maxWidth="lg" data-testid="sync-review-modal">
+      <DialogTitle>{T.translate(`${PREFIX}.title`, { count: names.length })}</DialogTitle>
+      <DialogContent>
+        <p>{T.translate(`${PREFIX}.${operation}Description`)}</p>
+        {names.map((name) => (
+          <React.Fragment key={name}>
+            <PipelineRow data-testid={`sync-review-${name}`}>
+              <PipelineName>{name}</PipelineName>
+              <SyncStatusLabel status={statuses[name]} />
+              <PrimaryTextButton onClick={() => setExpanded(expanded === name ? null : name)}>
+                {expanded === name
+                  ? T.translate(`${PREFIX}.hideChanges`)
+                  : T.translate(`${PREFIX}.showChanges`)}
+              </PrimaryTextButton>
+            </PipelineRow>
+            {expanded === name && (
+              <DiffContainer>
+                <PipelineSyncDiff pipelineName={name} remoteFileHash={getRemoteFileHash(name)} />
+              </DiffContainer>
+            )}
+          </React.Fragment>
+        ))}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onAbort} data-testid="sync-review-abort">
+          {T.translate(`${PREFIX}.abort`)}
+        </Button>
+        <Button onClick={onTakeRemote} color="primary" data-testid="sync-review-take-remote">
+          {T.translate(`${PREFIX}.takeRemote`)}
+        </Button>
+        <Button
+          onClick={onKeepLocal}
+          color="primary"
+          variant="contained"
+          data-testid="sync-review-keep-local"
+        >
+          {T.translate(`${PREFIX}.keepLocal`)}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
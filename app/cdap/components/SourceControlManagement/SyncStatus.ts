@@ -0,0 +1,26 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+export enum SyncStatus {
+  // same content in the namespace and in the repository
+  IN_SYNC = 'IN_SYNC',
+  // the repository copy changed since the pipeline was last pushed or pulled
+  OUT_OF_SYNC = 'OUT_OF_SYNC',
+  // the pipeline was not pushed or pulled, but a different copy exists in the repository
+  CONFLICT = 'CONFLICT',
+  NOT_IN_REPOSITORY = 'NOT_IN_REPOSITORY',
+  NOT_IN_NAMESPACE = 'NOT_IN_NAMESPACE',
+}
@@ -0,0 +1,49 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import React from 'react';
+import styled from 'styled-components';
+import T from 'i18n-react';
+import { SyncStatus } from './SyncStatus';
+
+const PREFIX = 'features.SourceControlManagement.syncStatus';
+
+const SYNC_STATUS_COLORS: Record<SyncStatus, string> = {
+  [SyncStatus.IN_SYNC]: '#389e0d',
+  [SyncStatus.OUT_OF_SYNC]: '#f29900',
+  [SyncStatus.CONFLICT]: '#d15668',
+  [SyncStatus.NOT_IN_REPOSITORY]: '#999999',
+  [SyncStatus.NOT_IN_NAMESPACE]: '#999999',
+};
+
+const StatusText = styled.span`
+  color: ${({ status }) => SYNC_STATUS_COLORS[status]};
+`;
+
+interface ISyncStatusLabelProps {
+  status?: SyncStatus;
+}
+
+export const SyncStatusLabel = ({ status }: ISyncStatusLabelProps) => {
+  if (!status) {
+    return <span>--</span>;
+  }
+  return (
+    <StatusText status={status} title={T.translate(`${PREFIX}.${status}.description`).toString()}>
+      {T.translate(`${PREFIX}.${status}.label`)}
+    </StatusText>
+  );
+};
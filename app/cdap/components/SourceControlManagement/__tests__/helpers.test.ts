@@ -0,0 +1,65 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import {
+  getSyncStatus,
+  getSyncStatuses,
+  needsSyncReview,
+} from 'components/SourceControlManagement/helpers';
+import { SyncStatus } from 'components/SourceControlManagement/SyncStatus';
+import { IRepositoryPipeline } from 'components/SourceControlManagement/types';
+jest.disableAutomock();
+
+const getPipeline = (name: string, fileHash: string = null): IRepositoryPipeline => ({
+  name,
+  fileHash,
+  error: null,
+  status: null,
+});
+
+describe('Source control sync status', () => {
+  it('should return the status of a single pipeline', () => {
+    const remote = getPipeline('p1', 'hash1');
+    expect(getSyncStatus(getPipeline('p1'), undefined)).toBe(SyncStatus.NOT_IN_REPOSITORY);
+    expect(getSyncStatus(undefined, remote)).toBe(SyncStatus.NOT_IN_NAMESPACE);
+    expect(getSyncStatus(getPipeline('p1'), remote)).toBe(SyncStatus.CONFLICT);
+    expect(getSyncStatus(getPipeline('p1', 'hash0'), remote)).toBe(SyncStatus.OUT_OF_SYNC);
+    expect(getSyncStatus(getPipeline('p1', 'hash1'), remote)).toBe(SyncStatus.IN_SYNC);
+  });
+
+  it('should only review pipelines that differ on both sides', () => {
+    expect(needsSyncReview(SyncStatus.OUT_OF_SYNC)).toBe(true);
+    expect(needsSyncReview(SyncStatus.CONFLICT)).toBe(true);
+    expect(needsSyncReview(SyncStatus.IN_SYNC)).toBe(false);
+    expect(needsSyncReview(SyncStatus.NOT_IN_REPOSITORY)).toBe(false);
+    expect(needsSyncReview(SyncStatus.NOT_IN_NAMESPACE)).toBe(false);
+  });
+
+  it('should return the status of every requested pipeline name', () => {
+    const localPipelines = [getPipeline('a', 'h1'), getPipeline('b', 'h2'), getPipeline('c')];
+    const remotePipelines = [
+      getPipeline('a', 'h1'),
+      getPipeline('b', 'h3'),
+      getPipeline('d', 'h4'),
+    ];
+    expect(getSyncStatuses(['a', 'b', 'c', 'd'], localPipelines, remotePipelines)).toEqual({
+      a: SyncStatus.IN_SYNC,
+      b: SyncStatus.OUT_OF_SYNC,
+      c: SyncStatus.NOT_IN_REPOSITORY,
+      d: SyncStatus.NOT_IN_NAMESPACE,
+    });
+  });
+});
@@ -17,11 +17,13 @@
 import moment from 'moment';
 import { OperationStatus } from './OperationStatus';
 import { OperationType } from './OperationType';
+import { SyncStatus } from './SyncStatus';
 import {
   IResource,
   IOperationResource,
   IOperationRun,
   IOperationResourceScopedErrorMessage,
+  IRepositoryPipeline,
 } from './types';
 import T from 'i18n-react';
 import { ITimeInstant, timeInstantToString } from 'services/DataFormatter';
@@ -154,3 +156,57 @@ export const getOperationRunTime = (operation: IOperationRun): string => {
   }
   return null;
 };
+
+/**
+ * Compares a namespace pipeline with its repository copy. The file hash of the
+ * namespace pipeline is the hash of the repository file it was last pushed as or
+ * pulled from, so it only matches the repository hash if neither side changed since.
+ *
+ * @param localPipeline - pipeline in the namespace, if any
+ * @param remotePipeline - pipeline in the repository, if any
+ */
+export const getSyncStatus = (
+  localPipeline?: IRepositoryPipeline,
+  remotePipeline?: IRepositoryPipeline
+): SyncStatus => {
+  if (!remotePipeline) {
+    return SyncStatus.NOT_IN_REPOSITORY;
+  }
+  if (!localPipeline) {
+    return SyncStatus.NOT_IN_NAMESPACE;
+  }
+  if (!localPipeline.fileHash) {
+    return SyncStatus.CONFLICT;
+  }
+  if (localPipeline.fileHash !== remotePipeline.fileHash) {
+    return SyncStatus.OUT_OF_SYNC;
+  }
+  return SyncStatus.IN_SYNC;
+};
+
+/**
+ * Pipelines that exist on both sides with different content. Pushing or pulling
+ * them overwrites changes, so they are reviewed first.
+ */
+export const needsSyncReview = (status: SyncStatus): boolean => {
+  return status === SyncStatus.OUT_OF_SYNC || status === SyncStatus.CONFLICT;
+};
+
+/**
+ * Returns the sync status of each pipeline name in names.
+ */
+export const getSyncStatuses = (
+  names: string[],
+  localPipelines: IRepositoryPipeline[],
+  remotePipelines: IRepositoryPipeline[]
+): Record<string, SyncStatus> => {
+  const findByName = (pipelines: IRepositoryPipeline[], name: string) =>
+    pipelines.find((pipeline) => pipeline.name === name);
+  return names.reduce(
+    (statuses, name) => ({
+      ...statuses,
+      [name]: getSyncStatus(findByName(localPipelines, name), findByName(remotePipelines, name)),
+    }),
+    {}
+  );
+};
@@ -31,6 +31,8 @@ import { IPipeline, IPushResponse, IRepositoryPipeline, IOperationRun } from '..
 import { SUPPORT } from 'components/StatusButton/constants';
 import { compareTimeInstant } from '../helpers';
 import { getCurrentNamespace } from 'services/NamespaceStore';
+import { forkJoin } from 'rxjs/observable/forkJoin';
+import { Observable } from 'rxjs/Observable';
 
 const PREFIX = 'features.SourceControlManagement';
 
@@ -439,3 +441,61 @@ export const refetchAllPipelines = () => {
   getNamespacePipelineList(getCurrentNamespace());
   getRemotePipelineList(getCurrentNamespace());
 };
+
+// versions of a pipeline searched for the one synced with the repository, newest first
+const MAX_SYNCED_VERSIONS = 100;
+
+export interface IPipelineSyncConfigs {
+  localConfig: object;
+  // null when the pipeline was never pushed or pulled
+  remoteConfig: object;
+  // whether remoteConfig is the last synced version rather than the current repository file
+  isRemoteOutdated: boolean;
+}
+
+/**
+ * Fetches the pipeline config deployed in the namespace and the config of the repository copy.
+ * The repository API does not return the content of the files, so the repository copy is the
+ * namespace version that was pushed as or pulled from the file with the given hash. When the file
+ * was changed in the repository directly, no version has that hash, and the last version synced
+ * with the repository is used instead.
+ */
+export const fetchPipelineConfigs = (
+  namespace: string,
+  appId: string,
+  remoteFileHash: string
+): Observable<IPipelineSyncConfigs> => {
+  const getConfig = (app) => JSON.parse(app.configuration);
+  const versions$: Observable<{ applications: IPipeline[] }> = MyPipelineApi.list({
+    namespace,
+    nameFilter: appId,
+    nameFilterType: 'EQUALS',
+    latestOnly: 'false',
+    sortCreationTime: 'true',
+    orderBy: 'DESC',
+    pageSize: MAX_SYNCED_VERSIONS,
+  });
+  return forkJoin(MyPipelineApi.get({ namespace, appId }), versions$).pipe(
+    concatMap(([localApp, res]) => {
+      const localConfig = getConfig(localApp);
+      const syncedVersions = res.applications.filter(
+        ({ name, sourceControlMeta }) => name === appId && sourceControlMeta?.fileHash
+      );
+      const remoteVersion = syncedVersions.find(
+        ({ sourceControlMeta }) => sourceControlMeta.fileHash === remoteFileHash
+      );
+      const version = remoteVersion || syncedVersions[0];
+      if (!version) {
+        return of({ localConfig, remoteConfig: null, isRemoteOutdated: false });
+      }
+
+      return MyPipelineApi.getAppVersion({ namespace, appId, version: version.version }).pipe(
+        map((remoteApp) => ({
+          localConfig,
+          remoteConfig: getConfig(remoteApp),
+          isRemoteOutdated: !remoteVersion,
+        }))
+      );
+    })
+  );
+};
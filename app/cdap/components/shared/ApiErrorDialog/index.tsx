@@ -29,11 +29,21 @@ const ErrorMsg = styled(DialogContent)`
   font-size: 1.1rem;
 `;
 
+const CorrelationId = styled(DialogContent)`
+  font-size: 0.9rem;
+  color: ${(props) => props.theme.palette.grey[200]};
+`;
+
 const Suggestion = styled(Button)`
   font-size: 1.1rem !important;
 `;
 
-const ApiErrorDialog: React.FC = () => {
+interface IApiErrorDialogProps {
+  // id of the failing request, to find it in the server logs
+  correlationId?: string;
+}
+
+const ApiErrorDialog: React.FC<IApiErrorDialogProps> = ({ correlationId }) => {
   function redirect() {
     window.open('https://cloud.google.com/data-fusion/docs/support/troubleshooting', '_blank');
   }
@@ -42,6 +52,11 @@ const ApiErrorDialog: React.FC = () => {
     <Dialog open={true}>
       <DialogTitle>{T.translate(`${I18N_PREFIX}.mainTitle`)}</DialogTitle>
       <ErrorMsg>{T.translate(`${I18N_PREFIX}.secondaryTitle`)}</ErrorMsg>
+      {correlationId && (
+        <CorrelationId>
+          {T.translate('features.ApiError.correlationId', { correlationId })}
+        </CorrelationId>
+      )}
       <DialogActions>
         <Suggestion onClick={redirect} color="primary">
           {T.translate(`${I18N_PREFIX}.suggestionPart1`)}
@@ -36,6 +36,7 @@ import ThemeWrapper from 'components/ThemeWrapper';
 import LoadingSVGCentered from 'components/shared/LoadingSVGCentered';
 import { loadDefaultExperiments } from 'components/Lab';
 import SystemServicesDelay from 'components/SystemServicesDelay';
+import RateLimitNotification from 'components/RateLimitNotification';
 import ExperimentalFeature from 'components/Lab/ExperimentalFeature';
 
 require('styles/bootstrap_4_patch.scss');
@@ -162,6 +163,7 @@ class MyAppHeader extends React.PureComponent<IMyAppHeaderProps, IMyAppHeaderSta
           <ExperimentalFeature experimentId="system-delay-notification">
             <SystemServicesDelay />
           </ExperimentalFeature>
+          <RateLimitNotification />
         </NamespaceLinkContext.Provider>
       </AppBar>
     );
@@ -34,6 +34,10 @@ import {
   filterByCondition,
   IFilteredConfigurationGroup,
 } from 'components/shared/ConfigurationGroup/utilities/DynamicPluginFilters';
+import {
+  IFilterError,
+  validateFilters,
+} from 'components/shared/ConfigurationGroup/utilities/FilterExpressionValidator';
 import { IErrorObj } from 'components/shared/ConfigurationGroup/utilities';
 import { h2Styles } from 'components/shared/Markdown/MarkdownHeading';
 import AccordionWrapper from './AccordionWrapper';
@@ -91,6 +95,7 @@ const ConfigurationGroupView: React.FC<IConfigurationGroupProps> = ({
   }>({});
   const [filteredConfigurationGroups, setFilteredConfigurationGroups] = useState([]);
   const [orphanErrors, setOrphanErrors] = useState([]);
+  const [filterErrors, setFilterErrors] = useState<IFilterError[]>([]);
   // a state to remember the properties values after each user interaction
   const [currentValues, setCurrentValues] = useState(values);
 
@@ -108,6 +113,8 @@ const ConfigurationGroupView: React.FC<IConfigurationGroupProps> = ({
       widgetOutputs
     );
     setConfigurationGroups(processedConfigurationGroup.configurationGroups);
+    // Surface mistakes in the widget JSON filters, otherwise they just hide properties.
+    setFilterErrors(validateFilters(widgetJson, pluginProperties));
 
     // We don't need to add default values for plugins in published pipeline
     // as they should already have all the properties they are configured with.
@@ -286,14 +293,24 @@ const ConfigurationGroupView: React.FC<IConfigurationGroupProps> = ({
 
   return (
     <div data-cy="configuration-group" data-testid="configuration-group">
+      {filterErrors.length > 0 && (
+        <div data-cy="filter-errors" data-testid="filter-errors">
+          <h2>Widget filter errors</h2>
+          <ul className="text-danger">
+            {filterErrors.map((error: IFilterError, i) => (
+              <li key={i}>{`${error.filterName}: ${error.msg}`}</li>
+            ))}
+          </ul>
+        </div>
+      )}
       {orphanErrors.length > 0 && (
         <div>
           <h2>Errors</h2>
-          <div className="text-danger">
-            {orphanErrors.map((error: string) => (
-              <li>{error}</li>
+          <ul className="text-danger">
+            {orphanErrors.map((error: string, i) => (
+              <li key={i}>{error}</li>
             ))}
-          </div>
+          </ul>
         </div>
       )}
       {filteredConfigurationGroups.map((group, i) => {
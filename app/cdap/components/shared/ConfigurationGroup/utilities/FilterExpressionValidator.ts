@@ -0,0 +1,333 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import {
+  IPluginProperty,
+  IPropertyFilter,
+  IWidgetJson,
+  PluginProperties,
+} from 'components/shared/ConfigurationGroup/types';
+import { parseExpression } from 'components/shared/ConfigurationGroup/utilities/jexlAst';
+
+export enum FilterErrorTypeEnum {
+  SYNTAX = 'SYNTAX',
+  UNKNOWN_PROPERTY = 'UNKNOWN_PROPERTY',
+  UNKNOWN_TRANSFORM = 'UNKNOWN_TRANSFORM',
+  TYPE_MISMATCH = 'TYPE_MISMATCH',
+}
+
+export interface IFilterExpressionError {
+  type: FilterErrorTypeEnum;
+  msg: string;
+}
+
+export interface IFilterError extends IFilterExpressionError {
+  filterName: string;
+}
+
+enum ExpressionTypeEnum {
+  BOOLEAN = 'boolean',
+  NUMBER = 'number',
+  STRING = 'string',
+  OBJECT = 'object',
+  // The type is only known when the expression is evaluated
+  ANY = 'any',
+}
+
+// Feature flags are added to the context of every filter expression by evaluateFilter
+const FEATURE_FLAGS = 'featureFlags';
+
+const ARITHMETIC_OPERATORS = ['-', '*', '/', '//', '%', '^'];
+const RELATIONAL_OPERATORS = ['>', '>=', '<', '<='];
+const EQUALITY_OPERATORS = ['==', '!='];
+
+/**
+ * Mirrors how evaluateFilter converts the property values before evaluating the expression.
+ * Values of string properties are inferred from the value, so they can be of any type.
+ */
+function getPropertyType(property: IPluginProperty): ExpressionTypeEnum {
+  switch (property.type) {
+    case 'boolean':
+      return ExpressionTypeEnum.BOOLEAN;
+    case 'int':
+    case 'long':
+    case 'float':
+    case 'double':
+      return ExpressionTypeEnum.NUMBER;
+    default:
+      return ExpressionTypeEnum.ANY;
+  }
+}
+
+function getLiteralType(value): ExpressionTypeEnum {
+  switch (typeof value) {
+    case 'boolean':
+      return ExpressionTypeEnum.BOOLEAN;
+    case 'number':
+      return ExpressionTypeEnum.NUMBER;
+    case 'string':
+      return ExpressionTypeEnum.STRING;
+    default:
+      return ExpressionTypeEnum.ANY;
+  }
+}
+
+function getIdentifierPath(node) {
+  if (node.type !== 'Identifier') {
+    return 'expression';
+  }
+  return node.from ? `${getIdentifierPath(node.from)}.${node.value}` : node.value;
+}
+
+function describeNode(node) {
+  if (node.type === 'Identifier') {
+    return `"${getIdentifierPath(node)}"`;
+  }
+  if (node.type === 'Literal') {
+    return JSON.stringify(node.value);
+  }
+  return 'expression';
+}
+
+/**
+ * Type checks the AST of a jexl expression against the properties of the plugin.
+ */
+class ExpressionTypeChecker {
+  public errors: IFilterExpressionError[] = [];
+
+  constructor(private properties: PluginProperties) {}
+
+  private addError(type: FilterErrorTypeEnum, msg: string) {
+    this.errors.push({ type, msg });
+  }
+
+  public check = (node): ExpressionTypeEnum => {
+    if (!node) {
+      return ExpressionTypeEnum.ANY;
+    }
+    switch (node.type) {
+      case 'Literal':
+        return getLiteralType(node.value);
+      case 'Identifier':
+        return this.checkIdentifier(node);
+      case 'UnaryExpression':
+        this.check(node.right);
+        return ExpressionTypeEnum.BOOLEAN;
+      case 'BinaryExpression':
+        return this.checkBinaryExpression(node);
+      case 'ConditionalExpression': {
+        this.check(node.test);
+        const consequentType = this.check(node.consequent);
+        const alternateType = this.check(node.alternate);
+        return consequentType === alternateType ? consequentType : ExpressionTypeEnum.ANY;
+      }
+      case 'Transform':
+        this.addError(FilterErrorTypeEnum.UNKNOWN_TRANSFORM, `Unknown transform "${node.name}"`);
+        this.check(node.subject);
+        node.args.forEach(this.check);
+        return ExpressionTypeEnum.ANY;
+      case 'FilterExpression':
+        this.check(node.subject);
+        this.check(node.expr);
+        return ExpressionTypeEnum.ANY;
+      case 'ArrayLiteral':
+        node.value.forEach(this.check);
+        return ExpressionTypeEnum.OBJECT;
+      case 'ObjectLiteral':
+        Object.keys(node.value).forEach((key) => this.check(node.value[key]));
+        return ExpressionTypeEnum.OBJECT;
+      default:
+        return ExpressionTypeEnum.ANY;
+    }
+  };
+
+  private checkIdentifier(node): ExpressionTypeEnum {
+    // Identifiers relative to the subject of a filter like `list[.name == 'a']`
+    if (node.relative) {
+      return ExpressionTypeEnum.ANY;
+    }
+    if (node.from) {
+      const fromType = this.check(node.from);
+      if (node.from.type === 'Identifier' && !node.from.from && node.from.value === FEATURE_FLAGS) {
+        return ExpressionTypeEnum.BOOLEAN;
+      }
+      if (fromType !== ExpressionTypeEnum.OBJECT && fromType !== ExpressionTypeEnum.ANY) {
+        this.addError(
+          FilterErrorTypeEnum.TYPE_MISMATCH,
+          `${describeNode(node.from)} of type ${fromType} has no property "${node.value}"`
+        );
+      }
+      return ExpressionTypeEnum.ANY;
+    }
+    if (node.value === FEATURE_FLAGS) {
+      return ExpressionTypeEnum.OBJECT;
+    }
+    const property = this.properties[node.value];
+    if (!property) {
+      this.addError(FilterErrorTypeEnum.UNKNOWN_PROPERTY, `Unknown property "${node.value}"`);
+      return ExpressionTypeEnum.ANY;
+    }
+    return getPropertyType(property);
+  }
+
+  private checkBinaryExpression(node): ExpressionTypeEnum {
+    const { operator, left, right } = node;
+    const leftType = this.check(left);
+    const rightType = this.check(right);
+
+    if (EQUALITY_OPERATORS.indexOf(operator) !== -1) {
+      if (!this.isComparable(left, leftType, right, rightType)) {
+        this.addError(
+          FilterErrorTypeEnum.TYPE_MISMATCH,
+          `Cannot compare ${describeNode(left)} of type ${leftType} with ${describeNode(
+            right
+          )} of type ${rightType}`
+        );
+      }
+      return ExpressionTypeEnum.BOOLEAN;
+    }
+
+    if (RELATIONAL_OPERATORS.indexOf(operator) !== -1) {
+      this.checkOperand(operator, left, leftType, [ExpressionTypeEnum.BOOLEAN]);
+      this.checkOperand(operator, right, rightType, [ExpressionTypeEnum.BOOLEAN]);
+      return ExpressionTypeEnum.BOOLEAN;
+    }
+
+    if (ARITHMETIC_OPERATORS.indexOf(operator) !== -1) {
+      const invalidTypes = [ExpressionTypeEnum.BOOLEAN, ExpressionTypeEnum.STRING];
+      this.checkOperand(operator, left, leftType, invalidTypes);
+      this.checkOperand(operator, right, rightType, invalidTypes);
+      return ExpressionTypeEnum.NUMBER;
+    }
+
+    if (operator === '+') {
+      if (leftType === ExpressionTypeEnum.STRING || rightType === ExpressionTypeEnum.STRING) {
+        return ExpressionTypeEnum.STRING;
+      }
+      if (leftType === ExpressionTypeEnum.NUMBER && rightType === ExpressionTypeEnum.NUMBER) {
+        return ExpressionTypeEnum.NUMBER;
+      }
+      return ExpressionTypeEnum.ANY;
+    }
+
+    if (operator === 'in') {
+      return ExpressionTypeEnum.BOOLEAN;
+    }
+
+    // && and || evaluate to one of their operands
+    return leftType === rightType ? leftType : ExpressionTypeEnum.ANY;
+  }
+
+  private checkOperand(operator: string, node, type: ExpressionTypeEnum, invalidTypes) {
+    if (invalidTypes.indexOf(type) !== -1) {
+      this.addError(
+        FilterErrorTypeEnum.TYPE_MISMATCH,
+        `Operator "${operator}" cannot be used with ${describeNode(node)} of type ${type}`
+      );
+    }
+  }
+
+  /**
+   * jexl uses loose equality, so a number can be compared with a numeric string.
+   */
+  private isComparable(left, leftType, right, rightType) {
+    if (
+      leftType === ExpressionTypeEnum.ANY ||
+      rightType === ExpressionTypeEnum.ANY ||
+      leftType === rightType
+    ) {
+      return true;
+    }
+    const isNumericLiteral = (node) =>
+      node.type === 'Literal' && typeof node.value === 'string' && !isNaN(Number(node.value));
+    if (leftType === ExpressionTypeEnum.NUMBER && isNumericLiteral(right)) {
+      return true;
+    }
+    if (rightType === ExpressionTypeEnum.NUMBER && isNumericLiteral(left)) {
+      return true;
+    }
+    return false;
+  }
+}
+
+/**
+ * Validates a filter expression from the widget JSON without evaluating it.
+ * Reports syntax errors, properties the plugin doesn't have and comparisons or
+ * operations on values of the wrong type.
+ *
+ * @param expression jexl expression from the filter condition
+ * @param propertiesFromBackend properties of the plugin
+ * @returns List of errors, empty if the expression is valid.
+ */
+export function validateFilterExpression(
+  expression: string,
+  propertiesFromBackend: PluginProperties
+): IFilterExpressionError[] {
+  if (!expression || !expression.trim()) {
+    return [];
+  }
+  let ast;
+  try {
+    ast = parseExpression(expression);
+  } catch (e) {
+    return [{ type: FilterErrorTypeEnum.SYNTAX, msg: e.message || String(e) }];
+  }
+  // only the syntax can be checked without the AST
+  if (!ast) {
+    return [];
+  }
+  const checker = new ExpressionTypeChecker(propertiesFromBackend || {});
+  checker.check(ast);
+  return checker.errors;
+}
+
+function validateFilter(
+  filter: IPropertyFilter,
+  propertiesFromBackend: PluginProperties
+): IFilterExpressionError[] {
+  const condition = filter.condition || {};
+  if (condition.expression) {
+    return validateFilterExpression(condition.expression, propertiesFromBackend);
+  }
+  if (condition.property && !(propertiesFromBackend || {})[condition.property]) {
+    return [
+      {
+        type: FilterErrorTypeEnum.UNKNOWN_PROPERTY,
+        msg: `Unknown property "${condition.property}"`,
+      },
+    ];
+  }
+  return [];
+}
+
+/**
+ * Validates all the filters in the widget JSON of a plugin.
+ * This is meant to be run once when the plugin is loaded, so that mistakes in the
+ * widget JSON are shown instead of silently hiding properties.
+ */
+export function validateFilters(
+  widgetJson: IWidgetJson,
+  propertiesFromBackend: PluginProperties
+): IFilterError[] {
+  const filters = (widgetJson && widgetJson.filters) || [];
+  const errors: IFilterError[] = [];
+  filters.forEach((filter) => {
+    validateFilter(filter, propertiesFromBackend).forEach((error) => {
+      errors.push({ ...error, filterName: filter.name });
+    });
+  });
+  return errors;
+}
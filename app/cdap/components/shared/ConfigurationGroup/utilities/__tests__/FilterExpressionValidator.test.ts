@@ -0,0 +1,110 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import {
+  FilterErrorTypeEnum,
+  validateFilterExpression,
+  validateFilters,
+} from 'components/shared/ConfigurationGroup/utilities/FilterExpressionValidator';
+import {
+  CustomOperator,
+  PropertyShowConfigTypeEnums,
+} from 'components/shared/ConfigurationGroup/types';
+jest.disableAutomock();
+
+const pluginProperties = {
+  useConnection: {
+    name: 'useConnection',
+    type: 'boolean',
+  },
+  format: {
+    name: 'format',
+    type: 'string',
+  },
+  numPartitions: {
+    name: 'numPartitions',
+    type: 'int',
+  },
+};
+
+function getErrorTypes(expression: string) {
+  return validateFilterExpression(expression, pluginProperties).map((error) => error.type);
+}
+
+describe('Unit tests for filter expression validation', () => {
+  it('Should accept valid expressions', () => {
+    expect(getErrorTypes('useConnection == true')).toEqual([]);
+    expect(getErrorTypes("format == 'csv' || format == 'tsv'")).toEqual([]);
+    expect(getErrorTypes('numPartitions > 2 && numPartitions < 100')).toEqual([]);
+    expect(getErrorTypes("numPartitions == '10'")).toEqual([]);
+    expect(getErrorTypes('!(useConnection == true) && featureFlags.enableFoo == true')).toEqual([]);
+    // string properties are inferred from their value, so they can be compared with anything
+    expect(getErrorTypes('format == true || format > 2')).toEqual([]);
+    expect(getErrorTypes('')).toEqual([]);
+  });
+
+  it('Should report syntax errors', () => {
+    const errors = validateFilterExpression('useConnection == ', pluginProperties);
+    expect(errors.length).toBe(1);
+    expect(errors[0].type).toBe(FilterErrorTypeEnum.SYNTAX);
+    expect(getErrorTypes("format = 'csv'")).toEqual([FilterErrorTypeEnum.SYNTAX]);
+  });
+
+  it('Should report unknown property names', () => {
+    const errors = validateFilterExpression("fromat == 'csv'", pluginProperties);
+    expect(errors).toEqual([
+      { type: FilterErrorTypeEnum.UNKNOWN_PROPERTY, msg: 'Unknown property "fromat"' },
+    ]);
+    expect(getErrorTypes('format | upper')).toEqual([FilterErrorTypeEnum.UNKNOWN_TRANSFORM]);
+  });
+
+  it('Should report type mismatches', () => {
+    expect(getErrorTypes("useConnection == 'true'")).toEqual([FilterErrorTypeEnum.TYPE_MISMATCH]);
+    expect(getErrorTypes("numPartitions != 'many'")).toEqual([FilterErrorTypeEnum.TYPE_MISMATCH]);
+    expect(getErrorTypes('useConnection > 1')).toEqual([FilterErrorTypeEnum.TYPE_MISMATCH]);
+    expect(getErrorTypes("numPartitions * 'two' > 2")).toEqual([FilterErrorTypeEnum.TYPE_MISMATCH]);
+    expect(getErrorTypes('numPartitions.value == 1')).toEqual([FilterErrorTypeEnum.TYPE_MISMATCH]);
+  });
+
+  it('Should validate all the filters of a widget JSON', () => {
+    const widgetJson = {
+      filters: [
+        {
+          name: 'Connection',
+          condition: { expression: 'useConnection == true' },
+          show: [{ name: 'connection', type: PropertyShowConfigTypeEnums.PROPERTY }],
+        },
+        {
+          name: 'Partitions',
+          condition: { expression: "partitions == 'auto'" },
+          show: [{ name: 'numPartitions', type: PropertyShowConfigTypeEnums.PROPERTY }],
+        },
+        {
+          name: 'Delimiter',
+          condition: { property: 'formt', operator: CustomOperator.EQUALTO, value: 'csv' },
+          show: [{ name: 'delimiter', type: PropertyShowConfigTypeEnums.PROPERTY }],
+        },
+      ],
+    };
+    const errors = validateFilters(widgetJson, pluginProperties);
+    expect(errors.map((error) => error.filterName)).toEqual(['Partitions', 'Delimiter']);
+    expect(errors.map((error) => error.type)).toEqual([
+      FilterErrorTypeEnum.UNKNOWN_PROPERTY,
+      FilterErrorTypeEnum.UNKNOWN_PROPERTY,
+    ]);
+    expect(validateFilters(null, pluginProperties)).toEqual([]);
+  });
+});
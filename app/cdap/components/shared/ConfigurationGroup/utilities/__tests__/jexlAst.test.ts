@@ -0,0 +1,85 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import { parseExpression } from 'components/shared/ConfigurationGroup/utilities/jexlAst';
+jest.disableAutomock();
+
+// The filter validator depends on the shape of these nodes
+describe('jexl AST adapter', () => {
+  it('should throw on syntax errors', () => {
+    expect(() => parseExpression('useConnection ==')).toThrow();
+    expect(() => parseExpression('format numPartitions')).toThrow();
+  });
+
+  it('should return binary expressions with their operands', () => {
+    expect(parseExpression("format == 'csv' && numPartitions > 2")).toEqual({
+      type: 'BinaryExpression',
+      operator: '&&',
+      left: {
+        type: 'BinaryExpression',
+        operator: '==',
+        left: { type: 'Identifier', value: 'format' },
+        right: { type: 'Literal', value: 'csv' },
+      },
+      right: {
+        type: 'BinaryExpression',
+        operator: '>',
+        left: { type: 'Identifier', value: 'numPartitions' },
+        right: { type: 'Literal', value: 2 },
+      },
+    });
+  });
+
+  it('should return nested identifiers with the identifier they are read from', () => {
+    expect(parseExpression('featureFlags.enabled')).toEqual({
+      type: 'Identifier',
+      value: 'enabled',
+      from: { type: 'Identifier', value: 'featureFlags' },
+    });
+  });
+
+  it('should return unary, conditional and transform expressions', () => {
+    expect(parseExpression('!useConnection ? 1 : format|lower')).toEqual({
+      type: 'ConditionalExpression',
+      test: {
+        type: 'UnaryExpression',
+        operator: '!',
+        right: { type: 'Identifier', value: 'useConnection' },
+      },
+      consequent: { type: 'Literal', value: 1 },
+      alternate: {
+        type: 'Transform',
+        name: 'lower',
+        args: [],
+        subject: { type: 'Identifier', value: 'format' },
+      },
+    });
+  });
+
+  it('should return relative identifiers in filter expressions', () => {
+    expect(parseExpression("list[.name == 'a']")).toEqual({
+      type: 'FilterExpression',
+      relative: true,
+      subject: { type: 'Identifier', value: 'list' },
+      expr: {
+        type: 'BinaryExpression',
+        operator: '==',
+        left: { type: 'Identifier', value: 'name', relative: true },
+        right: { type: 'Literal', value: 'a' },
+      },
+    });
+  });
+});
@@ -0,0 +1,37 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import jexl from 'jexl';
+
+/**
+ * jexl has no public API for the AST of an expression. The compiled expression of jexl 2.2.2
+ * (pinned in package.json) keeps it behind _getAst, so this is the only place that depends on
+ * it. The tests of this adapter check the shape of the nodes the filter validator relies on,
+ * and have to be run again when jexl is upgraded.
+ */
+
+/**
+ * Compiles a jexl expression, which throws on syntax errors.
+ *
+ * @returns the AST of the expression, or null if this version of jexl does not expose it.
+ */
+export function parseExpression(expression: string) {
+  const compiled = jexl.compile(expression);
+  if (typeof compiled._getAst !== 'function') {
+    return null;
+  }
+  return compiled._getAst();
+}
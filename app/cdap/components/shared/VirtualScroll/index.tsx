@@ -30,6 +30,10 @@ interface IVirtualScrollProps extends WithStyles<typeof styles> {
   childrenUnderFoldOnScroll?: number;
   LoadingElement?: React.ReactNode;
   dataCy?: string;
+  // Index of the child to scroll to the top of the viewport.
+  scrollToIndex?: number;
+  // Changes on every scroll request, to scroll to the same index again after scrolling away.
+  scrollRequest?: number;
 }
 const styles = (): StyleRules => {
   return {
@@ -65,6 +69,8 @@ const VirtualScroll = ({
   childrenUnderFoldOnScroll = 50,
   classes,
   dataCy,
+  scrollToIndex,
+  scrollRequest,
 }: IVirtualScrollProps) => {
   const [scrollTop, ref] = useScroll();
   const itmCount = typeof itemCount === 'function' ? itemCount() : itemCount;
@@ -99,6 +105,13 @@ const VirtualScroll = ({
     }
   }, [startNode, visibleNodeCount, itemCount]);
 
+  useEffect(() => {
+    if (typeof scrollToIndex !== 'number' || scrollToIndex < 0 || !ref.current) {
+      return;
+    }
+    ref.current.scrollTop = scrollToIndex * childHeight;
+  }, [scrollToIndex, scrollRequest]);
+
   useEffect(() => {
     if (!promise) {
       return;
@@ -130,6 +130,7 @@ class CDAP extends Component {
       pageLevelError: false,
       isNamespaceFetchInFlight: false,
       apiError: false,
+      apiErrorCorrelationId: null,
     };
     this.eventEmitter = ee(ee);
     this.eventEmitter.on(WINDOW_ON_FOCUS, this.onWindowFocus);
@@ -146,9 +147,15 @@ class CDAP extends Component {
         this.setState({ pageLevelError: handlePageLevelError(err), loading: false });
       }
     });
-    this.eventEmitter.on(globalEvents.API_ERROR, (apiError) => {
+    this.eventEmitter.on(globalEvents.API_ERROR, (apiError, correlationId) => {
       if (this.state.apiError !== apiError) {
-        this.setState({ apiError: true });
+        // the id is only updated with an error, so that a later successful response does not
+        // clear the id of the error that is shown
+        if (apiError) {
+          this.setState({ apiError: true, apiErrorCorrelationId: correlationId || null });
+        } else {
+          this.setState({ apiError: true });
+        }
       }
     });
   }
@@ -373,7 +380,9 @@ class CDAP extends Component {
             <AppHeader />
             <LoadingIndicator />
             <StatusAlertMessage />
-            {this.state.apiError && <ApiErrorDialog />}
+            {this.state.apiError && (
+              <ApiErrorDialog correlationId={this.state.apiErrorCorrelationId} />
+            )}
             {this.state.isNamespaceFetchInFlight && (
               <div className="loading-svg">
                 <LoadingSVG />
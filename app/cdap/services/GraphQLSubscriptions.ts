@@ -0,0 +1,73 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import { SubscriptionClient } from 'subscriptions-transport-ws';
+import { Observable } from 'rxjs/Observable';
+import Cookies from 'universal-cookie';
+import SessionTokenStore from 'services/SessionTokenStore';
+
+const cookie = new Cookies();
+let subscriptionClient: SubscriptionClient = null;
+
+/**
+ * The websocket is only opened when the first subscription is made, and is shared
+ * by all the subscriptions of the page.
+ */
+function getSubscriptionClient(): SubscriptionClient {
+  if (!subscriptionClient) {
+    const protocol = window.location.protocol === 'https:' ? 'wss' : 'ws';
+    subscriptionClient = new SubscriptionClient(`${protocol}://${window.location.host}/graphql`, {
+      lazy: true,
+      reconnect: true,
+      connectionParams: () => {
+        const params: Record<string, string> = {
+          sessionToken: SessionTokenStore.getState(),
+        };
+        if (window.CDAP_CONFIG.securityEnabled && cookie.get('CDAP_Auth_Token')) {
+          params.authorization = `Bearer ${cookie.get('CDAP_Auth_Token')}`;
+        }
+        return params;
+      },
+    });
+  }
+  return subscriptionClient;
+}
+
+/**
+ * Subscribes to a graphql subscription. The returned observable emits the data of
+ * every result, and unsubscribing from it ends the graphql subscription.
+ */
+export function subscribe<T = any>(query: string, variables = {}): Observable<T> {
+  return Observable.create((observer) => {
+    const subscription = getSubscriptionClient()
+      .request({ query, variables })
+      .subscribe({
+        next: (result) => {
+          if (result.errors && result.errors.length) {
+            observer.error(result.errors);
+            return;
+          }
+          observer.next(result.data);
+        },
+        error: (err) => observer.error(err),
+        complete: () => observer.complete(),
+      });
+
+    return () => {
+      subscription.unsubscribe();
+    };
+  });
+}
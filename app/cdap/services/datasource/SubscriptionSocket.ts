@@ -0,0 +1,154 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import SockJS from 'sockjs-client';
+import SessionTokenStore, { fetchSessionToken } from 'services/SessionTokenStore';
+import { objectQuery } from 'services/helpers';
+
+const SOCKET_PREFIX = '/_sock';
+const MAX_RECONNECT_DELAY = 30000;
+
+export interface ISubscriptionMessage {
+  resource: { id: string };
+  statusCode: number;
+  response?: any;
+  error?: any;
+}
+
+type ISubscriptionHandler = (message: ISubscriptionMessage) => void;
+
+interface ISocketMessage {
+  action: 'subscribe' | 'unsubscribe' | 'pause-subscriptions' | 'resume-subscriptions';
+  resource: any;
+}
+
+/**
+ * Websocket connection to the node server for subscriptions. The node server polls the
+ * subscribed resources and only pushes a message when the response changes.
+ *
+ * Subscriptions live in the node server and are dropped along with the connection,
+ * so they are sent again when the socket reconnects.
+ */
+class SubscriptionSocket {
+  private socket = null;
+  private isOpen = false;
+  private isPaused = false;
+  private reconnectAttempt = 0;
+  private buffer: ISocketMessage[] = [];
+  private subscriptions: Record<string, { resource: any; handler: ISubscriptionHandler }> = {};
+
+  public subscribe(resource, handler: ISubscriptionHandler) {
+    this.subscriptions[resource.id] = { resource, handler };
+    this.send({ action: 'subscribe', resource });
+  }
+
+  public unsubscribe(id: string) {
+    if (!this.subscriptions[id]) {
+      return;
+    }
+    delete this.subscriptions[id];
+    this.send({ action: 'unsubscribe', resource: { id } });
+  }
+
+  public pause() {
+    this.isPaused = true;
+    if (this.socket) {
+      this.send({ action: 'pause-subscriptions', resource: {} });
+    }
+  }
+
+  public resume() {
+    this.isPaused = false;
+    if (this.socket) {
+      this.send({ action: 'resume-subscriptions', resource: {} });
+    }
+  }
+
+  private connect() {
+    this.socket = new SockJS(SOCKET_PREFIX);
+    this.socket.onopen = this.onOpen;
+    this.socket.onmessage = this.onMessage;
+    this.socket.onclose = this.onClose;
+  }
+
+  private onOpen = () => {
+    const flush = () => {
+      this.isOpen = true;
+      this.reconnectAttempt = 0;
+      const buffer = this.buffer;
+      this.buffer = [];
+      buffer.forEach((message) => this.send(message));
+    };
+    if (this.reconnectAttempt === 0) {
+      flush();
+      return;
+    }
+    // the session token may have expired while the socket was down
+    fetchSessionToken().then(flush, flush);
+  };
+
+  private onMessage = (event) => {
+    let message: ISubscriptionMessage;
+    try {
+      message = JSON.parse(event.data);
+    } catch (e) {
+      return;
+    }
+    const subscription = this.subscriptions[objectQuery(message, 'resource', 'id')];
+    if (subscription) {
+      subscription.handler(message);
+    }
+  };
+
+  private onClose = () => {
+    this.isOpen = false;
+    this.socket = null;
+    const resources = Object.keys(this.subscriptions).map((id) => this.subscriptions[id].resource);
+    if (!resources.length) {
+      this.buffer = [];
+      return;
+    }
+    this.buffer = resources.map((resource) => ({ action: 'subscribe', resource }));
+    if (this.isPaused) {
+      this.buffer.push({ action: 'pause-subscriptions', resource: {} });
+    }
+    this.reconnectAttempt++;
+    const delay = Math.min(MAX_RECONNECT_DELAY, 500 * Math.pow(2, this.reconnectAttempt));
+    setTimeout(() => {
+      if (!this.socket) {
+        this.connect();
+      }
+    }, delay);
+  };
+
+  private send(message: ISocketMessage) {
+    if (!this.isOpen) {
+      this.buffer.push(message);
+      if (!this.socket && this.reconnectAttempt === 0) {
+        this.connect();
+      }
+      return;
+    }
+    this.socket.send(
+      JSON.stringify({
+        ...message,
+        sessionToken: SessionTokenStore.getState(),
+      })
+    );
+  }
+}
+
+export default new SubscriptionSocket();
@@ -45,6 +45,7 @@ import { IDataSource } from './IDataSource';
 import { Subscription } from 'rxjs/Subscription';
 import isNil from 'lodash/isNil';
 import { REQUEST_ORIGIN_ROUTER, REQUEST_ORIGIN_MARKET } from './requestTypes';
+import SubscriptionSocket, { ISubscriptionMessage } from './SubscriptionSocket';
 
 const cookie = new Cookies();
 
@@ -78,6 +79,30 @@ function parseResponse(ajaxResponse, bindingInfo) {
   return null;
 }
 
+/**
+ * When enabled, polls to the router are sent as subscriptions over the websocket.
+ * The node server polls on behalf of the client and only pushes changed responses.
+ */
+function isServerSidePollingEnabled() {
+  return window?.CDAP_CONFIG?.featureFlags?.['datasource.server.side.polling.enabled'] === 'true';
+}
+
+const CORRELATION_ID_HEADER = 'X-Correlation-Id';
+// returned by the node server when the user sends too many requests
+const RATE_LIMIT_STATUS_CODE = 429;
+
+/**
+ * Correlation id assigned by the node server to the request. It identifies the
+ * request in the node server and backend logs.
+ */
+function getCorrelationId(ajaxResponse): string | null {
+  const xhr = ajaxResponse && ajaxResponse.xhr;
+  if (!xhr || typeof xhr.getResponseHeader !== 'function') {
+    return null;
+  }
+  return xhr.getResponseHeader(CORRELATION_ID_HEADER);
+}
+
 interface IHeadersMap {
   [index: string]: string;
 }
@@ -121,7 +146,7 @@ interface IBinding {
   excludeFromHealthCheck: boolean;
   rx: Subject<any>;
   resource: IResource;
-  type: 'POLL' | 'REQUEST';
+  type: 'POLL' | 'REQUEST' | 'SUBSCRIPTION';
   json: boolean;
 }
 
@@ -200,7 +225,11 @@ export default class DataSource implements IDataSource {
         handler(createHandlerData(ajaxResponse, bindingInfo))
       );
       const errorCode = objectQuery(ajaxResponse.response, 'errorCode') || null;
-      this.eventEmitter.emit(globalEvents.API_ERROR, errorCode !== null);
+      this.eventEmitter.emit(
+        globalEvents.API_ERROR,
+        errorCode !== null,
+        getCorrelationId(ajaxResponse)
+      );
 
       const parsedResponse = parseResponse(ajaxResponse, bindingInfo);
 
@@ -224,6 +253,17 @@ export default class DataSource implements IDataSource {
         handler(createHandlerData(ajaxResponse, bindingInfo))
       );
       const parsedResponse = parseResponse(ajaxResponse, bindingInfo);
+      if (ajaxResponse.status === RATE_LIMIT_STATUS_CODE) {
+        this.eventEmitter.emit(
+          globalEvents.RATE_LIMITED,
+          objectQuery(parsedResponse, 'retryAfterSecs')
+        );
+        // A rate limited poll is not an error for its subscribers, it is retried on the next interval
+        if (bindingInfo.type === 'POLL') {
+          this.startClientPoll(bindingInfo.resource.id);
+          return;
+        }
+      }
       /**
        * There is an issue here. When backend goes down we stop all the poll
        * and inspite of stopping all polling calls and unsubscribing all subscribers
@@ -245,6 +285,7 @@ export default class DataSource implements IDataSource {
           message: errorMessage,
           response: parsedResponse,
           responseObject: ajaxResponse.response,
+          correlationId: getCorrelationId(ajaxResponse),
         });
       } catch (e) {
         /* tslint:disable:no-console */
@@ -333,6 +374,14 @@ export default class DataSource implements IDataSource {
   }
 
   public poll(resource: IInboundResource = {}) {
+    if (
+      isServerSidePollingEnabled() &&
+      resource.requestOrigin !== REQUEST_ORIGIN_MARKET &&
+      resource.json !== false &&
+      !resource.data
+    ) {
+      return this.subscribe(resource);
+    }
     const excludeFromHealthCheck = !!resource.excludeFromHealthCheck;
     const id = uuidV4();
     const intervalTime = resource.interval || 10000;
@@ -429,6 +478,104 @@ export default class DataSource implements IDataSource {
     return observable;
   }
 
+  /**
+   * Same contract as poll(), but the resource is polled by the node server and the
+   * observable only emits when the response changes.
+   * Only JSON requests to the router are supported.
+   */
+  public subscribe(resource: IInboundResource = {}) {
+    const excludeFromHealthCheck = !!resource.excludeFromHealthCheck;
+    const apiVersion = resource.apiVersion || CDAP_API_VERSION;
+    const url = `/${apiVersion}${resource.url || resource._cdapPath}`;
+    const generatedResource: IResource = {
+      id: uuidV4(),
+      intervalTime: resource.interval || 10000,
+      responseType: 'text',
+      method: resource.method || 'GET',
+      suppressErrors: resource.suppressErrors || false,
+      url: this.buildUrl(url, resource.params),
+      requestOrigin: REQUEST_ORIGIN_ROUTER,
+      headers: { ...resource.headers },
+    };
+    if (resource.body) {
+      generatedResource.body = resource.body;
+    }
+    if (window.CDAP_CONFIG.securityEnabled) {
+      const token = cookie.get('CDAP_Auth_Token');
+      if (!isNil(token)) {
+        generatedResource.headers.Authorization = `Bearer ${token}`;
+      }
+    }
+
+    const subject = new Subject();
+    const bindingInfo: IBinding = {
+      rx: subject,
+      resource: generatedResource,
+      type: 'SUBSCRIPTION',
+      excludeFromHealthCheck,
+      json: true,
+    };
+    this.polling[generatedResource.id] = bindingInfo;
+
+    debugLog(`Subscription requested for ${generatedResource.id} URL ${generatedResource.url}`);
+
+    SubscriptionSocket.subscribe(
+      { ...generatedResource, json: true },
+      this.createSubscriptionHandler(bindingInfo)
+    );
+
+    return Observable.create((obs) => {
+      subject.subscribe(
+        (data) => obs.next(data),
+        (err) => {
+          try {
+            obs.error(err);
+          } catch (e) {
+            /* tslint:disable:no-console */
+            console.groupCollapsed('Error: ' + generatedResource.url);
+            console.log('Resource', generatedResource);
+            console.log('Error', e);
+            console.groupEnd();
+            /* tslint:enable:no-console */
+          }
+        }
+      );
+
+      return () => {
+        this.stopPoll(generatedResource.id);
+      };
+    });
+  }
+
+  public createSubscriptionHandler(bindingInfo: IBinding) {
+    return (message: ISubscriptionMessage) => {
+      const handlerData = { statusCode: message.statusCode, resource: bindingInfo.resource };
+      this.genericResponseHandlers.forEach((handler) => handler(handlerData));
+      if (message.statusCode === RATE_LIMIT_STATUS_CODE) {
+        this.eventEmitter.emit(
+          globalEvents.RATE_LIMITED,
+          objectQuery(message, 'response', 'retryAfterSecs')
+        );
+      }
+      if (!message.error && message.statusCode >= 200 && message.statusCode < 300) {
+        debugLog(`Sending response to subscribers for ${bindingInfo.resource.id}`);
+        bindingInfo.rx.next(message.response);
+        return;
+      }
+      try {
+        bindingInfo.rx.error({
+          statusCode: message.statusCode,
+          message: objectQuery(message, 'response', 'message') || message.response,
+          response: message.response,
+        });
+      } catch (e) {
+        // subscriber did not define an error callback
+      }
+      // like poll(), an error ends the observable, so the server side poll is stopped too
+      this.stopPoll(bindingInfo.resource.id);
+    };
+  }
+
   public startClientPoll = (resourceId) => {
     const interval = objectQuery(this.polling, resourceId, 'resource', 'intervalTime');
     debugLog(`Setting timeout for ${resourceId} with interval ${interval}`);
@@ -455,6 +602,9 @@ export default class DataSource implements IDataSource {
 
     if (this.polling[id]) {
       debugLog(`Stopping polling for ${id}`);
+      if (this.polling[id].type === 'SUBSCRIPTION') {
+        SubscriptionSocket.unsubscribe(id);
+      }
       clearTimeout(this.polling[id].resource.interval);
       this.polling[id].rx.complete();
       delete this.polling[id];
@@ -462,6 +612,9 @@ export default class DataSource implements IDataSource {
   }
 
   public pausePoll = () => {
+    if (this.hasSubscriptions()) {
+      SubscriptionSocket.pause();
+    }
     Object.keys(this.polling)
       .filter((subscriptionID) => this.polling[subscriptionID].type === 'POLL')
       .forEach((subscriptionID) => {
@@ -471,6 +624,9 @@ export default class DataSource implements IDataSource {
   };
 
   public resumePoll = () => {
+    if (this.hasSubscriptions()) {
+      SubscriptionSocket.resume();
+    }
     // TODO When resuming, should polling requests be staggered to avoid overloading the server?
     Object.keys(this.polling)
       .filter((subscriptionID) => this.polling[subscriptionID].type === 'POLL')
@@ -482,13 +638,17 @@ export default class DataSource implements IDataSource {
   public destroy() {
     // stopping existing polls
     for (const key in this.polling) {
-      if (this.polling[key].type === 'POLL') {
+      if (this.polling[key].type !== 'REQUEST') {
         this.stopPoll(this.polling[key].resource.id);
       }
     }
     this.polling = {};
   }
 
+  private hasSubscriptions() {
+    return Object.values(this.polling).some((binding) => binding.type === 'SUBSCRIPTION');
+  }
+
   // TODO(https://cdap.atlassian.net/browse/CDAP-19018)
   // Update this function with modern APIs
   public buildUrl(url: string, params: IParamsMap = {}) {
@@ -34,4 +34,5 @@ export default {
   PUBLISHPIPELINE: 'PUBLISH_PIPELINE',
   PAGE_LEVEL_ERROR: 'PAGE_LEVEL_ERROR',
   API_ERROR: 'API_ERROR',
+  RATE_LIMITED: 'RATE_LIMITED',
 };
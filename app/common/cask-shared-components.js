@@ -120,6 +120,7 @@ var WidgetWrapper = require('../cdap/components/shared/ConfigurationGroup/Widget
   .WrappedWidgetWrapper;
 var ConfigurationGroupUtilities = require('../cdap/components/shared/ConfigurationGroup/utilities');
 var DynamicFiltersUtilities = require('../cdap/components/shared/ConfigurationGroup/utilities/DynamicPluginFilters');
+var SchemaCompatibility = require('../cdap/components/AbstractWidget/SchemaEditor/SchemaCompatibility');
 var LoadingSVG = require('../cdap/components/shared/LoadingSVG').default;
 var DateTimeWidget = require('../cdap/components/AbstractWidget/DateTimeWidget').default;
 var DateRangeWidget = require('../cdap/components/AbstractWidget/DateRangeWidget').default;
@@ -233,6 +234,7 @@ export {
   WidgetWrapper,
   ConfigurationGroupUtilities,
   DynamicFiltersUtilities,
+  SchemaCompatibility,
   LoadingSVG,
   DateTimeWidget,
   DateRangeWidget,
@@ -1698,6 +1698,17 @@ angular.module(PKG.name + '.commons')
       return ['inline', 'link'].indexOf(iconSourceType) !== -1;
     };
 
+    vm.getSchemaCompatibilityTooltip = (node) => {
+      const { getCompatibilityIssueMessage } = window.CaskCommon.SchemaCompatibility;
+
+      return (node.schemaCompatibility || [])
+        .map(({ sourceLabel, issues }) => {
+          const messages = issues.map((issue) => `- ${getCompatibilityIssueMessage(issue)}`);
+          return [`Output schema of ${sourceLabel} changed:`, ...messages].join('\n');
+        })
+        .join('\n\n');
+    };
+
     vm.getCustomIconSrc = (node) => {
       let key = generatePluginMapKey(node);
       let iconSourceType = myHelpers.objectQuery(vm.pluginsMap, key, 'widgets', 'icon', 'type');
@@ -37,7 +37,9 @@ angular.module(PKG.name + '.commons')
 
         scope.isDropdown = attrs.dropdown;
 
-        var fileElement = angular.element('<input class="sr-only" type="file" accept=".json">');
+        // File types the picker offers, e.g. data-accept=".json,.avdl". Defaults to JSON files.
+        var fileElement = angular.element('<input class="sr-only" type="file">');
+        fileElement.attr('accept', attrs.accept || '.json');
         element.append(fileElement);
         element.bind('click', function() {
           fileElement[0].click();
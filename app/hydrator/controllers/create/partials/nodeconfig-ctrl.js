@@ -131,7 +131,12 @@ class HydratorPlusPlusNodeConfigCtrl {
 
     this.eventEmitter.on('dataset.selected', this.handleDatasetSelected.bind(this));
 
+    this.schemaCompatibilityModes = Object.values(window.CaskCommon.SchemaCompatibility.CompatibilityModesEnum);
+    this.schemaCompatibilityMode = this.ConfigStore.getSchemaCompatibilityMode();
+    let unsubscribeConfigStore = this.ConfigStore.registerOnChangeListener(this.updateDownstreamSchemaIssues.bind(this));
+
     this.$scope.$on('$destroy', () => {
+      unsubscribeConfigStore();
       this.$timeout.cancel(this.setStateTimeout);
       this.eventEmitter.off('dataset.selected', this.handleDatasetSelected.bind(this));
     });
@@ -211,6 +216,7 @@ class HydratorPlusPlusNodeConfigCtrl {
     }
 
     this.defaultState = angular.copy(this.state);
+    this.updateDownstreamSchemaIssues();
 
     let propertiesSchema = this.myHelpers.objectQuery(this.state.node, 'plugin', 'properties', 'schema');
     let schemaArr = propertiesSchema || this.state.node.outputSchema;
@@ -354,6 +360,28 @@ class HydratorPlusPlusNodeConfigCtrl {
 
   propagateSchemaDownStream() {
     this.HydratorPlusPlusConfigActions.propagateSchemaDownStream(this.state.node.name);
+    this.updateDownstreamSchemaIssues();
+  }
+
+  // Lists the stages after this one that can not read its output schema since it was changed.
+  updateDownstreamSchemaIssues() {
+    let { getCompatibilityIssueMessage } = window.CaskCommon.SchemaCompatibility;
+    let nodeName = this.state.node.name;
+
+    this.hasSchemaChanged = this.ConfigStore.hasSchemaChanged(nodeName);
+    this.downstreamSchemaIssues = this.ConfigStore.getNodes()
+      .map(node => {
+        let compatibility = (node.schemaCompatibility || []).find(({ source }) => source === nodeName);
+        return compatibility && {
+          label: node.plugin.label || node.name,
+          messages: compatibility.issues.map(getCompatibilityIssueMessage),
+        };
+      })
+      .filter(stage => stage);
+  }
+
+  setSchemaCompatibilityMode() {
+    this.ConfigStore.setSchemaCompatibilityMode(this.schemaCompatibilityMode);
   }
 
   loadNewPlugin() {
@@ -525,8 +553,12 @@ class HydratorPlusPlusNodeConfigCtrl {
     this.$timeout(() => document.getElementById('schema-import-link').click());
   }
 
-  exportSchema() {
-    this.eventEmitter.emit('schema.export');
+  exportSchema(format) {
+    this.eventEmitter.emit('schema.export', format);
+  }
+
+  inferSchema() {
+    this.eventEmitter.emit('schema.infer');
   }
 
   validateSchema() {
@@ -759,31 +791,46 @@ class HydratorPlusPlusNodeConfigCtrl {
     return this.state.schemaAdvance;
   }
 
+  getExportActions() {
+    const tooltip = this.state.schemaAdvance ? 'Exporting a schema in Advanced mode is not supported' : '';
+    // the formats match the schema formats of the react schema editor
+    const exportFormats = [
+      { format: 'jsonschema', label: 'Export as JSON Schema' },
+      { format: 'avdl', label: 'Export as Avro IDL' },
+      { format: 'proto', label: 'Export as Protobuf' },
+      { format: 'sql', label: 'Export as SQL DDL' },
+    ];
+    const exportActions = {
+      export: {
+        value: 'export',
+        label: 'Export',
+        disabled: this.state.schemaAdvance,
+        tooltip,
+        onClick: this.exportSchema.bind(this),
+      },
+    };
+    exportFormats.forEach(({ format, label }) => {
+      exportActions[`export-${format}`] = {
+        value: `export-${format}`,
+        label,
+        disabled: this.state.schemaAdvance,
+        tooltip,
+        onClick: this.exportSchema.bind(this, format),
+      };
+    });
+    return exportActions;
+  }
+
   getActionsDropdownMap(isInputSchema) {
     let actionsMap = {};
     if (isInputSchema) {
       return {};
     }
     if (this.$scope.isDisabled) {
-      return {
-        export: {
-          value: 'export',
-          label: 'Export',
-          disabled: this.state.schemaAdvance,
-          tooltip: this.state.schemaAdvance ? 'Exporting a schema in Advanced mode is not supported' : '',
-          onClick: this.exportSchema.bind(this),
-        }
-      };
+      return this.getExportActions();
     }
     if (this.state.groupsConfig.outputSchema.implicitSchema) {
-      return {
-        export: {
-          value: 'export',
-          label: 'Export',
-          disabled: this.state.schemaAdvance,
-          tooltip: this.state.schemaAdvance ? 'Exporting a schema in Advanced mode is not supported' : '',
-          onClick: this.exportSchema.bind(this),
-        },
+      return Object.assign({}, this.getExportActions(), {
         propagate: {
           value: 'propagate',
           label: 'Propagate',
@@ -793,7 +840,7 @@ class HydratorPlusPlusNodeConfigCtrl {
           tooltip: this.getPropagateDisabledTooltip(),
           onClick: this.onPropagateSchema.bind(this),
         },
-      };
+      });
     }
     if (this.getIsMacroEnabled()) {
       actionsMap['macro'] = {
@@ -812,13 +859,14 @@ class HydratorPlusPlusNodeConfigCtrl {
         tooltip: this.getImportDisabledTooltip(),
         onClick: this.onSchemaImportLinkClick.bind(this),
       },
-      export: {
-        value: 'export',
-        label: 'Export',
-        disabled: this.state.schemaAdvance,
-        tooltip: this.state.schemaAdvance ? 'Exporting a schema in Advanced mode is not supported' : '',
-        onClick: this.exportSchema.bind(this),
+      infer: {
+        value: 'infer',
+        label: 'Infer from sample',
+        disabled: this.datasetAlreadyExists || this.state.schemaAdvance,
+        tooltip: this.getImportDisabledTooltip(),
+        onClick: this.inferSchema.bind(this),
       },
+    }, this.getExportActions(), {
       propagate: {
         value: 'propagate',
         label: 'Propagate',
@@ -91,6 +91,7 @@ class HydratorPlusPlusConfigStore {
       parentVersion: '',
     };
     Object.assign(this.state, { config: this.getDefaultConfig() });
+    this.schemaBaselines = {};
 
     // This will be eventually used when we just pass on a config to the store to draw the dag.
     if (config) {
@@ -717,6 +718,14 @@ class HydratorPlusPlusConfigStore {
   }
   setConnections(connections) {
     this.state.config.connections = connections;
+    // drop the compatibility issues of stages that are no longer connected
+    this.state.__ui__.nodes
+      .filter(node => node.schemaCompatibility)
+      .forEach(node => {
+        node.schemaCompatibility = node.schemaCompatibility.filter(({ source }) =>
+          connections.some(conn => conn.from === source && conn.to === node.name)
+        );
+      });
   }
   // This is for the user to forcefully propagate the output schema of a node
   // down the stream to all its connections.
@@ -759,6 +768,7 @@ class HydratorPlusPlusConfigStore {
         if (nodesMap[n].outputSchemaProperty) {
           nodesMap[n].plugin.properties[nodesMap[n].outputSchemaProperty] = schemaToPropagate;
         }
+        this.resetSchemaBaseline(n);
         traverseMap(adjacencyMap[n], schemaToPropagate, schemaToPropagate);
       });
     };
@@ -785,8 +795,71 @@ class HydratorPlusPlusConfigStore {
     } catch (e) {
       console.log('Failed to parse output schema of plugin: ', pluginId);
     }
+    this.resetSchemaBaseline(pluginId);
     traverseMap(adjacencyMap[pluginId], JSON.stringify(schema), inputSchema);
   }
+  // The downstream stages of a stage were configured with the output schema the stage had before
+  // it was first edited (or last propagated), so changes are checked against that schema.
+  resetSchemaBaseline(nodeId) {
+    delete this.schemaBaselines[nodeId];
+    this.state.__ui__.nodes
+      .filter(node => node.schemaCompatibility)
+      .forEach(node => {
+        node.schemaCompatibility = node.schemaCompatibility.filter(({ source }) => source !== nodeId);
+      });
+  }
+  getSchemaCompatibilityMode() {
+    return this.schemaCompatibilityMode || window.CaskCommon.SchemaCompatibility.CompatibilityModesEnum.FULL;
+  }
+  setSchemaCompatibilityMode(mode) {
+    this.schemaCompatibilityMode = mode;
+    Object.keys(this.schemaBaselines).forEach(nodeId => this.checkSchemaCompatibility(nodeId));
+    this.emitChange();
+  }
+  getPortSchema(outputSchema, port) {
+    let schema = outputSchema;
+    if (Array.isArray(schema)) {
+      let portSchema = schema.find(s => s.name === port) || schema[0];
+      schema = portSchema && portSchema.schema;
+    }
+    if (typeof schema === 'string') {
+      try {
+        schema = JSON.parse(schema);
+      } catch (e) {
+        return null;
+      }
+    }
+    return schema && Array.isArray(schema.fields) ? schema : null;
+  }
+  // Flags the stages right after the given stage that can not read what it outputs anymore.
+  checkSchemaCompatibility(nodeId) {
+    let { checkSchemaCompatibility } = window.CaskCommon.SchemaCompatibility;
+    let nodes = this.state.__ui__.nodes;
+    let source = nodes.find(node => node.name === nodeId);
+    if (!source) {
+      return;
+    }
+
+    this.state.config.connections
+      .filter(conn => conn.from === nodeId)
+      .forEach(conn => {
+        let target = nodes.find(node => node.name === conn.to);
+        if (!target || target.type === 'errortransform') {
+          return;
+        }
+        let previous = this.getPortSchema(this.schemaBaselines[nodeId], conn.port);
+        let current = this.getPortSchema(source.outputSchema, conn.port);
+        let issues = previous && current ? checkSchemaCompatibility(previous, current, this.getSchemaCompatibilityMode()) : [];
+        let otherSources = (target.schemaCompatibility || []).filter(c => c.source !== nodeId);
+
+        target.schemaCompatibility = issues.length ?
+          otherSources.concat([{ source: nodeId, sourceLabel: source.plugin.label || nodeId, issues }]) :
+          otherSources;
+      });
+  }
+  hasSchemaChanged(nodeId) {
+    return this.schemaBaselines.hasOwnProperty(nodeId);
+  }
   getNodes() {
     return this.getState().__ui__.nodes;
   }
@@ -807,7 +880,19 @@ class HydratorPlusPlusConfigStore {
     let match = nodes.filter( node => node.name === nodeId);
     if (match.length) {
       match = match[0];
-      angular.forEach(nodeConfig, (pValue, pName) => match[pName] = pValue);
+      let previousOutputSchema = match.outputSchema;
+      angular.forEach(nodeConfig, (pValue, pName) => {
+        // the compatibility issues are set by the store, node configs only have a copy of them
+        if (pName !== 'schemaCompatibility') {
+          match[pName] = pValue;
+        }
+      });
+      if (!angular.equals(previousOutputSchema, match.outputSchema)) {
+        if (!this.schemaBaselines.hasOwnProperty(nodeId)) {
+          this.schemaBaselines[nodeId] = previousOutputSchema;
+        }
+        this.checkSchemaCompatibility(nodeId);
+      }
       if (!this.validateState()) {
         this.emitChange();
       }
@@ -97,6 +97,10 @@ var socketDataSource = angular.module(PKG.name+'.services');
               } else if (self.bindings[hash].reject) {
                 $rootScope.$apply(self.bindings[hash].reject.bind(null, {data: data.error || data.response, statusCode: data.statusCode }));
               }
+              // Rate limited by the node server. Polls keep going, the next attempt should go through.
+              if (data.statusCode === 429 && self.bindings[hash] && self.bindings[hash].type === 'POLL') {
+                self.bindings[hash].resource.interval = startClientPoll(hash, self.bindings, self.bindings[hash].resource.intervalTime);
+              }
             }
           } else if (self.bindings[hash]) {
             if (self.bindings[hash].callback) {
@@ -0,0 +1,234 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import request from 'request';
+import { createLoaders } from 'gql/helpers/createLoaders';
+import { getRuntimeArgsMap } from 'gql/Mutation/common';
+import { mutationTypeStartPipelineResolver } from 'gql/Mutation/startPipelineResolver';
+import { mutationTypeStopPipelineResolver } from 'gql/Mutation/stopPipelineResolver';
+import { mutationTypeDeletePipelineResolver } from 'gql/Mutation/deletePipelineResolver';
+import { mutationTypeUpdateRuntimeArgumentsResolver } from 'gql/Mutation/updateRuntimeArgumentsResolver';
+
+jest.mock('request');
+jest.mock('server/cdap-config', () => ({
+  getCDAPConfig: () =>
+    Promise.resolve({
+      'router.server.address': 'localhost',
+      'router.server.port': '11015',
+    }),
+}));
+
+const ROUTER = 'http://localhost:11015';
+
+function getContext() {
+  return { auth: 'Bearer token', loaders: createLoaders('Bearer token') };
+}
+
+// responds to every request with the result of getResponse(options)
+function mockResponses(getResponse) {
+  request.mockImplementation((options, cb) => {
+    const { statusCode = 200, body } = getResponse(options);
+    cb(null, { statusCode }, body);
+  });
+}
+
+describe('Pipeline lifecycle mutations', () => {
+  beforeEach(() => {
+    request.mockReset();
+  });
+
+  describe('getRuntimeArgsMap', () => {
+    it('Should convert the key value pairs to a map', () => {
+      expect(
+        getRuntimeArgsMap([
+          { key: 'input', value: 'gs://bucket/input' },
+          { key: 'output', value: 'gs://bucket/output' },
+        ])
+      ).toEqual({ input: 'gs://bucket/input', output: 'gs://bucket/output' });
+    });
+
+    it('Should return an empty map for missing runtime arguments', () => {
+      expect(getRuntimeArgsMap(undefined)).toEqual({});
+      // graphql passes null for nullable arguments that are explicitly set to null
+      expect(getRuntimeArgsMap(null)).toEqual({});
+    });
+  });
+
+  describe('startPipeline', () => {
+    it('Should batch the pipelines started in the same request', async () => {
+      mockResponses(({ body }) => ({
+        body: body.map((program) => ({
+          ...program,
+          statusCode: 200,
+          runId: `${program.appId}-run`,
+        })),
+      }));
+      const context = getContext();
+      const [first, second] = await Promise.all([
+        mutationTypeStartPipelineResolver(
+          null,
+          {
+            namespace: 'default',
+            pipeline: 'batch',
+            runtimeArgs: [{ key: 'input', value: 'a' }],
+          },
+          context
+        ),
+        mutationTypeStartPipelineResolver(
+          null,
+          {
+            namespace: 'default',
+            pipeline: 'streaming',
+            artifactName: 'cdap-data-streams',
+            runtimeArgs: null,
+          },
+          context
+        ),
+      ]);
+
+      expect(request).toHaveBeenCalledTimes(1);
+      const [options] = request.mock.calls[0];
+      expect(options.method).toBe('POST');
+      expect(options.url).toBe(`${ROUTER}/v3/namespaces/default/start`);
+      expect(options.headers.Authorization).toBe('Bearer token');
+      expect(options.body).toEqual([
+        {
+          appId: 'batch',
+          programType: 'Workflow',
+          programId: 'DataPipelineWorkflow',
+          runtimeargs: { input: 'a' },
+        },
+        {
+          appId: 'streaming',
+          programType: 'Spark',
+          programId: 'DataStreamsSparkStreaming',
+          runtimeargs: {},
+        },
+      ]);
+      expect(first.runId).toBe('batch-run');
+      expect(second.runId).toBe('streaming-run');
+    });
+
+    it('Should only reject the pipelines that failed to start', async () => {
+      mockResponses(({ body }) => ({
+        body: body.map((program) =>
+          program.appId === 'failing'
+            ? { ...program, statusCode: 409, error: 'Program is already running' }
+            : { ...program, statusCode: 200 }
+        ),
+      }));
+      const context = getContext();
+      const [started, failed] = await Promise.all([
+        mutationTypeStartPipelineResolver(null, { namespace: 'default', pipeline: 'ok' }, context),
+        mutationTypeStartPipelineResolver(
+          null,
+          { namespace: 'default', pipeline: 'failing' },
+          context
+        ).catch((e) => e),
+      ]);
+
+      expect(started.appId).toBe('ok');
+      expect(failed.message).toBe('Program is already running');
+      expect(failed.extensions.statusCode).toBe(409);
+      expect(failed.extensions.errorOrigin).toBe('startPipeline');
+    });
+
+    it('Should reject unknown pipeline types without calling the backend', async () => {
+      await expect(
+        mutationTypeStartPipelineResolver(
+          null,
+          { namespace: 'default', pipeline: 'p', artifactName: 'unknown' },
+          getContext()
+        )
+      ).rejects.toThrow('Unknown pipeline type unknown');
+      expect(request).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('stopPipeline', () => {
+    it('Should stop the pipeline program', async () => {
+      mockResponses(({ body }) => ({
+        body: body.map((program) => ({ ...program, statusCode: 200 })),
+      }));
+      const status = await mutationTypeStopPipelineResolver(
+        null,
+        { namespace: 'ns1', pipeline: 'batch' },
+        getContext()
+      );
+
+      const [options] = request.mock.calls[0];
+      expect(options.url).toBe(`${ROUTER}/v3/namespaces/ns1/stop`);
+      expect(options.body).toEqual([
+        { appId: 'batch', programType: 'Workflow', programId: 'DataPipelineWorkflow' },
+      ]);
+      expect(status.statusCode).toBe(200);
+    });
+  });
+
+  describe('deletePipeline', () => {
+    it('Should delete the pipeline application', async () => {
+      mockResponses(() => ({ body: null }));
+      const result = await mutationTypeDeletePipelineResolver(
+        null,
+        { namespace: 'default', pipeline: 'batch' },
+        getContext()
+      );
+
+      const [options] = request.mock.calls[0];
+      expect(options.method).toBe('DELETE');
+      expect(options.url).toBe(`${ROUTER}/v3/namespaces/default/apps/batch`);
+      expect(result).toBe(true);
+    });
+
+    it('Should surface backend errors', async () => {
+      mockResponses(() => ({ statusCode: 404, body: 'Application not found' }));
+      const error = await mutationTypeDeletePipelineResolver(
+        null,
+        { namespace: 'default', pipeline: 'missing' },
+        getContext()
+      ).catch((e) => e);
+
+      expect(error.message).toBe('Application not found');
+      expect(error.extensions.errorOrigin).toBe('deletePipeline');
+      expect(error.extensions.statusCode).toBe(404);
+    });
+  });
+
+  describe('updateRuntimeArguments', () => {
+    it('Should replace the runtime arguments of the pipeline program', async () => {
+      mockResponses(() => ({ body: null }));
+      const runtimeArgs = [{ key: 'system.profile.name', value: 'SYSTEM:dataproc' }];
+      const result = await mutationTypeUpdateRuntimeArgumentsResolver(
+        null,
+        {
+          namespace: 'default',
+          pipeline: 'streaming',
+          artifactName: 'cdap-data-streams',
+          runtimeArgs,
+        },
+        getContext()
+      );
+
+      const [options] = request.mock.calls[0];
+      expect(options.method).toBe('PUT');
+      expect(options.url).toBe(
+        `${ROUTER}/v3/namespaces/default/apps/streaming/spark/DataStreamsSparkStreaming/runtimeargs`
+      );
+      expect(options.body).toEqual({ 'system.profile.name': 'SYSTEM:dataproc' });
+      expect(result).toBe(runtimeArgs);
+    });
+  });
+});
@@ -0,0 +1,51 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import { ApolloError } from 'apollo-server';
+import { PIPELINE_PROGRAMS_MAP } from 'gql/types/PipelineRecord/common';
+
+export function getPipelineProgram(pipeline, artifactName = 'cdap-data-pipeline') {
+  const programInfo = PIPELINE_PROGRAMS_MAP[artifactName];
+  if (!programInfo) {
+    throw new ApolloError(`Unknown pipeline type ${artifactName}`, '400', {
+      errorOrigin: 'pipelineLifecycle',
+      statusCode: 400,
+    });
+  }
+
+  return {
+    appId: pipeline,
+    programType: programInfo.programType,
+    programId: programInfo.programId,
+  };
+}
+
+export function getRuntimeArgsMap(runtimeArgs) {
+  const runtimeArgsMap = {};
+  (runtimeArgs || []).forEach(({ key, value }) => {
+    runtimeArgsMap[key] = value;
+  });
+  return runtimeArgsMap;
+}
+
+export function getLifecycleErrorModifier(errorOrigin) {
+  return (error, statusCode) => {
+    return new ApolloError(error, statusCode, {
+      errorOrigin,
+      statusCode: parseInt(statusCode, 10),
+    });
+  };
+}
@@ -0,0 +1,34 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import { constructUrl } from 'server/url-helper';
+import { getCDAPConfig } from 'server/cdap-config';
+import { getDELETERequestOptions, requestPromiseWrapper } from 'gql/resolvers-common';
+import { getLifecycleErrorModifier } from 'gql/Mutation/common';
+
+let cdapConfig;
+getCDAPConfig().then(function(value) {
+  cdapConfig = value;
+});
+
+export async function mutationTypeDeletePipelineResolver(parent, args, context) {
+  const { namespace, pipeline } = args;
+  const options = getDELETERequestOptions();
+  options.url = constructUrl(cdapConfig, `/v3/namespaces/${namespace}/apps/${pipeline}`);
+
+  await requestPromiseWrapper(options, context, null, getLifecycleErrorModifier('deletePipeline'));
+  return true;
+}
@@ -0,0 +1,50 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import { constructUrl } from 'server/url-helper';
+import { getCDAPConfig } from 'server/cdap-config';
+import { getPUTRequestOptions, requestPromiseWrapper } from 'gql/resolvers-common';
+import { PIPELINE_PROGRAMS_MAP } from 'gql/types/PipelineRecord/common';
+import {
+  getPipelineProgram,
+  getRuntimeArgsMap,
+  getLifecycleErrorModifier,
+} from 'gql/Mutation/common';
+
+let cdapConfig;
+getCDAPConfig().then(function(value) {
+  cdapConfig = value;
+});
+
+export async function mutationTypeUpdateRuntimeArgumentsResolver(parent, args, context) {
+  const { namespace, pipeline, artifactName, runtimeArgs } = args;
+  const { programId } = getPipelineProgram(pipeline, artifactName);
+  const { programTypePath } = PIPELINE_PROGRAMS_MAP[artifactName];
+  const options = getPUTRequestOptions();
+  options.url = constructUrl(
+    cdapConfig,
+    `/v3/namespaces/${namespace}/apps/${pipeline}/${programTypePath}/${programId}/runtimeargs`
+  );
+  options.body = getRuntimeArgsMap(runtimeArgs);
+
+  await requestPromiseWrapper(
+    options,
+    context,
+    null,
+    getLifecycleErrorModifier('updateRuntimeArguments')
+  );
+  return runtimeArgs;
+}
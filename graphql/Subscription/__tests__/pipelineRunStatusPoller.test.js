@@ -0,0 +1,88 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import request from 'request';
+import {
+  resolvePipelineRunStatus,
+  subscribeToPipelineRunStatus,
+} from 'gql/Subscription/pipelineRunStatusPoller';
+
+jest.mock('request');
+jest.mock('server/cdap-config', () => ({
+  getCDAPConfig: () =>
+    Promise.resolve({
+      'router.server.address': 'localhost',
+      'router.server.port': '11015',
+      'dashboard.graphql.subscription.poll.interval.ms': '10',
+    }),
+}));
+
+function subscribe(pipeline, artifactName = 'cdap-data-pipeline') {
+  return subscribeToPipelineRunStatus('default', pipeline, artifactName, {
+    auth: 'Bearer token',
+  });
+}
+
+describe('Pipeline run status subscription', () => {
+  beforeEach(() => {
+    request.mockReset();
+  });
+
+  it('Should send the latest run, and an error when the run cannot be fetched', async () => {
+    let response = { statusCode: 200, body: [{ runid: 'run1', status: 'RUNNING' }] };
+    request.mockImplementation((options, cb) =>
+      cb(null, { statusCode: response.statusCode }, response.body)
+    );
+
+    const iterator = subscribe('pipeline1');
+    const first = await iterator.next();
+    expect(resolvePipelineRunStatus(first.value)).toEqual({
+      namespace: 'default',
+      pipeline: 'pipeline1',
+      runid: 'run1',
+      status: 'RUNNING',
+    });
+
+    response = { statusCode: 503, body: 'Service Unavailable' };
+    const failed = await iterator.next();
+    expect(() => resolvePipelineRunStatus(failed.value)).toThrow(
+      'Unable to fetch the latest run of default/pipeline1: Service Unavailable'
+    );
+
+    // the status is sent again once the run can be fetched
+    response = { statusCode: 200, body: [{ runid: 'run1', status: 'RUNNING' }] };
+    const recovered = await iterator.next();
+    expect(resolvePipelineRunStatus(recovered.value).status).toBe('RUNNING');
+
+    await iterator.return();
+  });
+
+  it('Should poll the program of the artifact of the pipeline', async () => {
+    request.mockImplementation((options, cb) => {
+      const status = options.url.indexOf('/spark/') === -1 ? 'COMPLETED' : 'RUNNING';
+      cb(null, { statusCode: 200 }, [{ runid: 'run1', status }]);
+    });
+
+    const batch = subscribe('pipeline2');
+    const realtime = subscribe('pipeline2', 'cdap-data-streams');
+    const [batchRun, realtimeRun] = await Promise.all([batch.next(), realtime.next()]);
+    expect(resolvePipelineRunStatus(batchRun.value).status).toBe('COMPLETED');
+    expect(resolvePipelineRunStatus(realtimeRun.value).status).toBe('RUNNING');
+
+    await batch.return();
+    await realtime.return();
+  });
+});
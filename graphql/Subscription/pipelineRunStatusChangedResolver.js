@@ -0,0 +1,35 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import { ApolloError } from 'apollo-server';
+import { PIPELINE_PROGRAMS_MAP } from 'gql/types/PipelineRecord/common';
+import {
+  resolvePipelineRunStatus,
+  subscribeToPipelineRunStatus,
+} from 'gql/Subscription/pipelineRunStatusPoller';
+
+export const subscriptionTypePipelineRunStatusChangedResolver = {
+  subscribe: (parent, args, context) => {
+    const { namespace, pipeline, artifactName } = args;
+    if (!PIPELINE_PROGRAMS_MAP[artifactName]) {
+      throw new ApolloError(`Unknown pipeline type ${artifactName}`, '400', {
+        errorOrigin: 'pipelineRunStatus',
+      });
+    }
+    return subscribeToPipelineRunStatus(namespace, pipeline, artifactName, context);
+  },
+  resolve: resolvePipelineRunStatus,
+};
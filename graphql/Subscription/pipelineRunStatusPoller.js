@@ -0,0 +1,190 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import { ApolloError, PubSub } from 'apollo-server';
+import log4js from 'log4js';
+import { constructUrl } from 'server/url-helper';
+import { getCDAPConfig } from 'server/cdap-config';
+import { getGETRequestOptions, requestPromiseWrapper } from 'gql/resolvers-common';
+import { PIPELINE_PROGRAMS_MAP } from 'gql/types/PipelineRecord/common';
+
+const log = log4js.getLogger('graphql');
+const DEFAULT_POLL_INTERVAL = 5000;
+
+let cdapConfig;
+getCDAPConfig().then(function(value) {
+  cdapConfig = value;
+});
+
+const pubsub = new PubSub();
+
+/**
+ * One poller per pipeline, artifact and auth token, shared by all the subscriptions
+ * that watch the same pipeline as the same user. The artifact is part of the key
+ * because it decides which program of the pipeline is polled. The poller stops once
+ * the last of its subscriptions is done.
+ */
+const pollers = {};
+
+function getTopic(namespace, pipeline, artifactName, auth) {
+  return ['PIPELINE_RUN_STATUS', namespace, pipeline, artifactName, auth || ''].join(':');
+}
+
+function getRunSignature(run) {
+  if (!run) {
+    return '';
+  }
+  return `${run.runid}:${run.status}`;
+}
+
+async function poll(poller) {
+  const { namespace, pipeline, artifactName, authContext, topic } = poller;
+  const { programTypePath, programId } = PIPELINE_PROGRAMS_MAP[artifactName];
+  const options = getGETRequestOptions();
+  options.url = constructUrl(
+    cdapConfig,
+    `/v3/namespaces/${namespace}/apps/${pipeline}/${programTypePath}/${programId}/runs?limit=1`
+  );
+
+  try {
+    const runs = await requestPromiseWrapper(options, authContext);
+    const latestRun = Array.isArray(runs) && runs.length ? runs[0] : null;
+    const signature = getRunSignature(latestRun);
+    if (signature !== poller.lastSignature) {
+      poller.lastSignature = signature;
+      poller.lastPayload = {
+        pipelineRunStatusChanged: {
+          namespace,
+          pipeline,
+          ...latestRun,
+        },
+      };
+      pubsub.publish(topic, poller.lastPayload);
+    }
+  } catch (e) {
+    const message = `Unable to fetch the latest run of ${namespace}/${pipeline}: ${e.message}`;
+    log.warn(message);
+    // the error is only sent once until a poll succeeds again, which then sends the status
+    if (!poller.lastPayload || !poller.lastPayload.error) {
+      poller.lastSignature = null;
+      poller.lastPayload = {
+        error: new ApolloError(message, '500', { errorOrigin: 'pipelineRunStatus' }),
+      };
+      pubsub.publish(topic, poller.lastPayload);
+    }
+  }
+
+  if (poller.subscribers > 0) {
+    poller.timerId = setTimeout(() => poll(poller), getPollInterval());
+  }
+}
+
+function getPollInterval() {
+  const interval =
+    cdapConfig && parseInt(cdapConfig['dashboard.graphql.subscription.poll.interval.ms'], 10);
+  return interval || DEFAULT_POLL_INTERVAL;
+}
+
+function releasePoller(topic) {
+  const poller = pollers[topic];
+  if (!poller) {
+    return;
+  }
+  poller.subscribers--;
+  if (poller.subscribers <= 0) {
+    clearTimeout(poller.timerId);
+    delete pollers[topic];
+  }
+}
+
+/**
+ * Wraps the pubsub iterator so that a subscription that joins an existing poller
+ * first receives the current status, and releases the poller when done.
+ */
+function createSubscriptionIterator(iterator, initialPayload, onDone) {
+  let initialSent = !initialPayload;
+  let done = false;
+  const finish = () => {
+    if (!done) {
+      done = true;
+      onDone();
+    }
+  };
+  return {
+    next() {
+      if (!initialSent) {
+        initialSent = true;
+        return Promise.resolve({ value: initialPayload, done: false });
+      }
+      return iterator.next();
+    },
+    return() {
+      finish();
+      return iterator.return();
+    },
+    throw(error) {
+      finish();
+      return iterator.throw(error);
+    },
+    [Symbol.asyncIterator]() {
+      return this;
+    },
+  };
+}
+
+/**
+ * Resolves the value published for a subscription. Failed polls are published as an error,
+ * which the subscribers receive as a GraphQL error.
+ */
+export function resolvePipelineRunStatus(payload) {
+  if (payload.error) {
+    throw payload.error;
+  }
+  return payload.pipelineRunStatusChanged;
+}
+
+/**
+ * Returns an async iterator of the status of the latest run of a pipeline.
+ * The current status is sent when subscribing; after that a value is only
+ * sent when a new run starts or the status of the latest run changes.
+ */
+export function subscribeToPipelineRunStatus(namespace, pipeline, artifactName, context) {
+  const { auth, userIdProperty, userIdValue } = context;
+  const topic = getTopic(namespace, pipeline, artifactName, auth);
+  const iterator = pubsub.asyncIterator(topic);
+  let poller = pollers[topic];
+
+  if (poller) {
+    poller.subscribers++;
+  } else {
+    poller = {
+      namespace,
+      pipeline,
+      artifactName,
+      topic,
+      authContext: { auth, userIdProperty, userIdValue },
+      subscribers: 1,
+      lastSignature: null,
+      lastPayload: null,
+      timerId: null,
+    };
+    pollers[topic] = poller;
+    // the first poll always publishes, which the subscription receives as the current status
+    poll(poller);
+  }
+
+  return createSubscriptionIterator(iterator, poller.lastPayload, () => releasePoller(topic));
+}
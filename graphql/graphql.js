@@ -33,11 +33,49 @@ if (typeof typeDefs === 'undefined') {
   throw new Error(errorMessage);
 }
 
+/**
+ * Subscriptions go over a websocket, so the session token and the auth token
+ * are sent as connection params instead of headers. In proxy mode they come
+ * from the upgrade request, like for the aggregator's socket.
+ */
+const getSubscriptionContext = (cdapConfig, logger, connectionParams = {}, request) => {
+  const headers = (request && request.headers) || {};
+  const sToken = connectionParams.sessionToken;
+  const auth = connectionParams.authorization || headers.authorization;
+  let userIdValue, userIdProperty;
+  if (cdapConfig['security.authentication.mode'] === 'PROXY') {
+    userIdProperty = cdapConfig['security.authentication.proxy.user.identity.header'];
+    userIdValue = headers[userIdProperty];
+  }
+
+  if (!sToken || !sessionToken.validateToken(sToken, cdapConfig, logger, auth || '')) {
+    throw new Error('Invalid Sesion Token');
+  }
+
+  return {
+    auth,
+    userIdProperty,
+    userIdValue,
+  };
+};
+
 const getApolloServer = (cdapConfig, logger = console) =>
   new ApolloServer({
     typeDefs,
     resolvers,
-    context: ({ req }) => {
+    subscriptions: {
+      path: '/graphql',
+      onConnect: (connectionParams, webSocket, context) =>
+        getSubscriptionContext(cdapConfig, logger, connectionParams, context.request),
+    },
+    context: ({ req, connection }) => {
+      if (connection) {
+        const { auth, userIdProperty, userIdValue } = connection.context;
+        return {
+          ...connection.context,
+          loaders: createLoaders(auth, userIdProperty, userIdValue),
+        };
+      }
       if (!req || !req.headers || !req.headers.authorization) {
         return {
           loaders: createLoaders(),
@@ -66,6 +104,12 @@ const getApolloServer = (cdapConfig, logger = console) =>
     playground: env === 'production' ? false : true,
   });
 
+/**
+ * Returns the apollo server, which needs the http server to install the
+ * subscription handlers once it has been created.
+ */
 export function applyGraphQLMiddleware(app, cdapConfig, logger) {
-  getApolloServer(cdapConfig, logger).applyMiddleware({ app });
+  const apolloServer = getApolloServer(cdapConfig, logger);
+  apolloServer.applyMiddleware({ app });
+  return apolloServer;
 }
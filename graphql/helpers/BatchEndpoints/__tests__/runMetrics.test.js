@@ -0,0 +1,106 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import request from 'request';
+import { batchRunMetrics } from 'gql/helpers/BatchEndpoints/runMetrics';
+
+jest.mock('request');
+jest.mock('server/cdap-config', () => ({
+  getCDAPConfig: () =>
+    Promise.resolve({
+      'router.server.address': 'localhost',
+      'router.server.port': '11015',
+    }),
+}));
+
+function getRun(appId, runId) {
+  return {
+    namespace: 'default',
+    program: { appId, programType: 'Workflow', programId: 'DataPipelineWorkflow' },
+    runId,
+  };
+}
+
+function getSeries(metricName, value) {
+  return { metricName, grouping: {}, data: [{ time: 0, value }] };
+}
+
+describe('batchRunMetrics', () => {
+  it('Should search the metrics of each run and query them all at once', async () => {
+    request.mockImplementation((options, cb) => {
+      if (options.url.includes('/v3/metrics/search')) {
+        const metricNames = options.url.includes('run%3Arun1')
+          ? ['system.app.log.error', 'user.source.records.out', 'system.program.completed.runs']
+          : ['user.sink.records.in'];
+        return cb(null, { statusCode: 200 }, metricNames);
+      }
+      cb(
+        null,
+        { statusCode: 200 },
+        {
+          run1: {
+            series: [
+              getSeries('system.app.log.error', 2),
+              getSeries('user.source.records.out', 10),
+            ],
+          },
+          run2: {
+            series: [getSeries('user.sink.records.in', 5)],
+          },
+        }
+      );
+    });
+
+    const [run1, run2] = await batchRunMetrics(
+      [getRun('pipeline1', 'run1'), getRun('pipeline2', 'run2')],
+      'Bearer token'
+    );
+
+    expect(request).toHaveBeenCalledTimes(3);
+    const [searchOptions] = request.mock.calls[1];
+    expect(searchOptions.url).toBe(
+      'http://localhost:11015/v3/metrics/search?target=metric&tag=namespace%3Adefault' +
+        '&tag=app%3Apipeline2&tag=workflow%3ADataPipelineWorkflow&tag=run%3Arun2'
+    );
+    const [queryOptions] = request.mock.calls[2];
+    expect(Object.keys(queryOptions.body)).toEqual(['run1', 'run2']);
+    expect(queryOptions.body.run2.tags).toEqual({
+      namespace: 'default',
+      app: 'pipeline2',
+      workflow: 'DataPipelineWorkflow',
+      run: 'run2',
+    });
+    expect(queryOptions.body.run1.metrics).toEqual([
+      'system.app.log.error',
+      'system.app.log.warn',
+      'user.source.records.out',
+    ]);
+    expect(queryOptions.body.run2.metrics).toEqual([
+      'system.app.log.error',
+      'system.app.log.warn',
+      'user.sink.records.in',
+    ]);
+
+    expect(run1.errorCount).toBe(2);
+    expect(run1.stages).toEqual([
+      { stage: 'source', recordsIn: 0, recordsOut: 10, recordsError: 0, recordsOutPorts: [] },
+    ]);
+    expect(run2.errorCount).toBe(0);
+    expect(run2.stages).toEqual([
+      { stage: 'sink', recordsIn: 5, recordsOut: 0, recordsError: 0, recordsOutPorts: [] },
+    ]);
+  });
+});
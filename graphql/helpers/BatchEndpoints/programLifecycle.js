@@ -0,0 +1,76 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import { constructUrl } from 'server/url-helper';
+import { getCDAPConfig } from 'server/cdap-config';
+import { ApolloError } from 'apollo-server';
+import { getPOSTRequestOptions, requestPromiseWrapper } from 'gql/resolvers-common';
+
+let cdapConfig;
+getCDAPConfig().then(function(value) {
+  cdapConfig = value;
+});
+
+/**
+ * Calls the batch start or stop endpoint. The backend responds with a 200 for the
+ * batch as a whole, and a status code per program. Programs that failed are
+ * returned as errors so that only their load() call is rejected.
+ */
+async function batchProgramAction(action, req, auth, userIdProperty, userIdValue) {
+  const namespace = req[0].namespace;
+  const options = getPOSTRequestOptions();
+  options.url = constructUrl(cdapConfig, `/v3/namespaces/${namespace}/${action}`);
+  options.body = req.map((reqObj) => reqObj.program);
+  const errorOrigin = `${action}Pipeline`;
+  const errorModifiersFn = (error, statusCode) => {
+    return new ApolloError(error, statusCode, {
+      errorOrigin,
+      statusCode: parseInt(statusCode, 10),
+    });
+  };
+
+  const authContext = {
+    auth,
+    userIdProperty,
+    userIdValue,
+  };
+
+  const statuses = await requestPromiseWrapper(options, authContext, null, errorModifiersFn);
+
+  const statusMap = {};
+  statuses.forEach((status) => {
+    statusMap[status.appId] = status;
+  });
+
+  return req.map(({ program }) => {
+    const status = statusMap[program.appId];
+    if (!status) {
+      return errorModifiersFn(`No response for pipeline ${program.appId}`, '500');
+    }
+    if (status.statusCode !== 200) {
+      return errorModifiersFn(status.error, status.statusCode.toString());
+    }
+    return status;
+  });
+}
+
+export function batchStartPrograms(req, auth, userIdProperty, userIdValue) {
+  return batchProgramAction('start', req, auth, userIdProperty, userIdValue);
+}
+
+export function batchStopPrograms(req, auth, userIdProperty, userIdValue) {
+  return batchProgramAction('stop', req, auth, userIdProperty, userIdValue);
+}
@@ -0,0 +1,150 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import { constructUrl } from 'server/url-helper';
+import { getCDAPConfig } from 'server/cdap-config';
+import { ApolloError } from 'apollo-server';
+import { getPOSTRequestOptions, requestPromiseWrapper } from 'gql/resolvers-common';
+import { PIPELINE_PROGRAMS_MAP } from 'gql/types/PipelineRecord/common';
+
+let cdapConfig;
+getCDAPConfig().then(function(value) {
+  cdapConfig = value;
+});
+
+const LOG_ERROR_METRIC = 'system.app.log.error';
+const LOG_WARN_METRIC = 'system.app.log.warn';
+const STAGE_METRIC_REGEX = /^user\.(.+)\.records\.(in|out|error)(?:\.(.+))?$/;
+
+function getMetricsContext(programType) {
+  const pipelineProgram = Object.values(PIPELINE_PROGRAMS_MAP).find(
+    (programInfo) => programInfo.programType === programType
+  );
+  return pipelineProgram ? pipelineProgram.metricsContext : programType.toLowerCase();
+}
+
+function getRunTags({ namespace, program, runId }) {
+  return {
+    namespace,
+    app: program.appId,
+    [getMetricsContext(program.programType)]: program.programId,
+    run: runId,
+  };
+}
+
+/**
+ * Groups the aggregated series of a run by stage, the same way the pipeline
+ * detail page does. Records out of a stage with multiple output ports are
+ * also reported per port.
+ */
+function parseRunMetrics(series = []) {
+  const stagesMap = {};
+  const runMetrics = {
+    errorCount: 0,
+    warningCount: 0,
+    stages: [],
+  };
+
+  series.forEach((metric) => {
+    const metricName = metric.metricName;
+    const metricValue = metric.data && metric.data.length ? metric.data[0].value : 0;
+
+    if (metricName === LOG_ERROR_METRIC) {
+      runMetrics.errorCount = metricValue;
+      return;
+    }
+    if (metricName === LOG_WARN_METRIC) {
+      runMetrics.warningCount = metricValue;
+      return;
+    }
+
+    const match = metricName.match(STAGE_METRIC_REGEX);
+    if (!match) {
+      return;
+    }
+    const [, stage, type, port] = match;
+    if (!stagesMap[stage]) {
+      stagesMap[stage] = {
+        stage,
+        recordsIn: 0,
+        recordsOut: 0,
+        recordsError: 0,
+        recordsOutPorts: [],
+      };
+    }
+
+    if (type === 'in') {
+      stagesMap[stage].recordsIn = metricValue;
+    } else if (type === 'error') {
+      stagesMap[stage].recordsError = metricValue;
+    } else if (port) {
+      stagesMap[stage].recordsOutPorts.push({ port, records: metricValue });
+    } else {
+      stagesMap[stage].recordsOut = metricValue;
+    }
+  });
+
+  runMetrics.stages = Object.values(stagesMap);
+  return runMetrics;
+}
+
+export async function batchRunMetrics(req, auth, userIdProperty, userIdValue) {
+  const errorModifiersFn = (error, statusCode) => {
+    return new ApolloError(error, statusCode, { errorOrigin: 'runMetrics' });
+  };
+  const authContext = {
+    auth,
+    userIdProperty,
+    userIdValue,
+  };
+
+  // The stage names are only known from the metrics emitted by each run
+  const metricNames = await Promise.all(
+    req.map((reqObj) => {
+      const searchParams = new URLSearchParams({ target: 'metric' });
+      const tags = getRunTags(reqObj);
+      Object.keys(tags).forEach((tag) => {
+        searchParams.append('tag', `${tag}:${tags[tag]}`);
+      });
+      const options = getPOSTRequestOptions();
+      options.url = constructUrl(cdapConfig, `/v3/metrics/search?${searchParams}`);
+      return requestPromiseWrapper(options, authContext, null, errorModifiersFn);
+    })
+  );
+
+  const queryBody = {};
+  req.forEach((reqObj, index) => {
+    const stageMetrics = (metricNames[index] || []).filter((metricName) =>
+      STAGE_METRIC_REGEX.test(metricName)
+    );
+    queryBody[reqObj.runId] = {
+      tags: getRunTags(reqObj),
+      metrics: [LOG_ERROR_METRIC, LOG_WARN_METRIC, ...stageMetrics],
+      aggregate: true,
+      timeRange: {
+        startTime: 0,
+        endTime: 'now',
+      },
+    };
+  });
+
+  const options = getPOSTRequestOptions();
+  options.url = constructUrl(cdapConfig, '/v3/metrics/query');
+  options.body = queryBody;
+  const metrics = await requestPromiseWrapper(options, authContext, null, errorModifiersFn);
+
+  return req.map(({ runId }) => parseRunMetrics(metrics[runId] && metrics[runId].series));
+}
@@ -18,11 +18,32 @@ import DataLoader from 'dataloader';
 import { batchProgramRuns } from 'gql/helpers/BatchEndpoints/programRuns';
 import { batchTotalRuns } from 'gql/helpers/BatchEndpoints/totalRuns';
 import { batchNextRuntime } from 'gql/helpers/BatchEndpoints/nextRuntime';
+import { batchRunMetrics } from 'gql/helpers/BatchEndpoints/runMetrics';
+import { batchStartPrograms, batchStopPrograms } from 'gql/helpers/BatchEndpoints/programLifecycle';
 
 export function createLoaders(auth, userIdProperty, userIdValue) {
   return {
-    programRuns: new DataLoader((req) => batchProgramRuns(req, auth, userIdProperty, userIdValue), { cache: false }),
-    totalRuns: new DataLoader((req) => batchTotalRuns(req, auth, userIdProperty, userIdValue), { cache: false }),
-    nextRuntime: new DataLoader((req) => batchNextRuntime(req, auth, userIdProperty, userIdValue), { cache: false }),
+    programRuns: new DataLoader((req) => batchProgramRuns(req, auth, userIdProperty, userIdValue), {
+      cache: false,
+    }),
+    totalRuns: new DataLoader((req) => batchTotalRuns(req, auth, userIdProperty, userIdValue), {
+      cache: false,
+    }),
+    nextRuntime: new DataLoader((req) => batchNextRuntime(req, auth, userIdProperty, userIdValue), {
+      cache: false,
+    }),
+    // stageMetrics, errorCount and warningCount of a run all come from the same
+    // query, so keys are cached for the lifetime of the request.
+    runMetrics: new DataLoader((req) => batchRunMetrics(req, auth, userIdProperty, userIdValue), {
+      cacheKeyFn: ({ namespace, program, runId }) => `${namespace}:${program.appId}:${runId}`,
+    }),
+    startPrograms: new DataLoader(
+      (req) => batchStartPrograms(req, auth, userIdProperty, userIdValue),
+      { cache: false }
+    ),
+    stopPrograms: new DataLoader(
+      (req) => batchStopPrograms(req, auth, userIdProperty, userIdValue),
+      { cache: false }
+    ),
   };
 }
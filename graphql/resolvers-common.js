@@ -14,7 +14,7 @@
  * the License.
  */
 
-import request from 'request';
+import { mockableRequest } from 'server/mock-backend';
 import { ApolloError } from 'apollo-server';
 
 export function getGETRequestOptions() {
@@ -31,6 +31,20 @@ export function getPOSTRequestOptions() {
   };
 }
 
+export function getPUTRequestOptions() {
+  return {
+    method: 'PUT',
+    json: true,
+  };
+}
+
+export function getDELETERequestOptions() {
+  return {
+    method: 'DELETE',
+    json: true,
+  };
+}
+
 export function requestPromiseWrapper(options, { auth: token, userIdProperty, userIdValue }, bodyModifiersFn, errorModifiersFn) {
   if (token) {
     options.headers = {
@@ -44,8 +58,8 @@ export function requestPromiseWrapper(options, { auth: token, userIdProperty, us
   }
 
   return new Promise((resolve, reject) => {
-    request(options, (err, response, body) => {
-      const statusCode = response.statusCode;
+    mockableRequest(options, (err, response, body) => {
+      const statusCode = response && response.statusCode;
       if (err) {
         let exception;
         if (typeof errorModifiersFn === 'function') {
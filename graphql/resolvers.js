@@ -16,12 +16,28 @@
 
 import { queryTypeStatusResolver } from 'gql/Query/statusResolver';
 import { queryTypePipelinesResolver } from 'gql/Query/pipelinesResolver';
+import { mutationTypeStartPipelineResolver } from 'gql/Mutation/startPipelineResolver';
+import { mutationTypeStopPipelineResolver } from 'gql/Mutation/stopPipelineResolver';
+import { mutationTypeDeletePipelineResolver } from 'gql/Mutation/deletePipelineResolver';
+import { mutationTypeUpdateRuntimeArgumentsResolver } from 'gql/Mutation/updateRuntimeArgumentsResolver';
+import { subscriptionTypePipelineRunStatusChangedResolver } from 'gql/Subscription/pipelineRunStatusChangedResolver';
 import { PipelineRecord } from 'gql/types/PipelineRecord/resolvers';
+import { PipelineRun } from 'gql/types/PipelineRun/resolvers';
 
 export const resolvers = {
   Query: {
     status: queryTypeStatusResolver,
     pipelines: queryTypePipelinesResolver,
   },
+  Mutation: {
+    startPipeline: mutationTypeStartPipelineResolver,
+    stopPipeline: mutationTypeStopPipelineResolver,
+    deletePipeline: mutationTypeDeletePipelineResolver,
+    updateRuntimeArguments: mutationTypeUpdateRuntimeArgumentsResolver,
+  },
+  Subscription: {
+    pipelineRunStatusChanged: subscriptionTypePipelineRunStatusChangedResolver,
+  },
   ...PipelineRecord,
+  ...PipelineRun,
 };
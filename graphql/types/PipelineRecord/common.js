@@ -14,17 +14,25 @@
  * the License.
  */
 
+// programTypePath is the program type as used in REST paths, and metricsContext
+// is the tag that identifies the program in metrics queries.
 export const PIPELINE_PROGRAMS_MAP = {
   'cdap-data-pipeline': {
     programType: 'Workflow',
     programId: 'DataPipelineWorkflow',
+    programTypePath: 'workflows',
+    metricsContext: 'workflow',
   },
   'cdap-data-streams': {
     programType: 'Spark',
     programId: 'DataStreamsSparkStreaming',
+    programTypePath: 'spark',
+    metricsContext: 'spark',
   },
   'cdap-sql-pipeline': {
     programType: 'Workflow',
     programId: 'SQLWorkflow',
+    programTypePath: 'workflows',
+    metricsContext: 'workflow',
   },
 };
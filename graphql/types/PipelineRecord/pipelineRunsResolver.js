@@ -39,5 +39,11 @@ export async function pipelineRunsResolver(parent, args, context) {
     return;
   }
 
-  return runInfo.runs;
+  // The run records don't identify the program they belong to. Keep it with each
+  // run so that the PipelineRun field resolvers can fetch metrics and logs.
+  return runInfo.runs.map((run) => ({
+    ...run,
+    namespace,
+    program,
+  }));
 }
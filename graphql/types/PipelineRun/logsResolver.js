@@ -0,0 +1,71 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import { constructUrl } from 'server/url-helper';
+import { getCDAPConfig } from 'server/cdap-config';
+import { ApolloError } from 'apollo-server';
+import { getGETRequestOptions, requestPromiseWrapper } from 'gql/resolvers-common';
+import { PIPELINE_PROGRAMS_MAP } from 'gql/types/PipelineRecord/common';
+
+let cdapConfig;
+getCDAPConfig().then(function(value) {
+  cdapConfig = value;
+});
+
+const PIPELINE_LOGS_FILTER = 'AND .origin=plugin OR .origin=program';
+
+/**
+ * Returns a page of the logs of a run, starting after fromOffset. The offset of
+ * the last log in the page is returned as nextOffset to fetch the next page.
+ */
+export async function logsResolver(parent, args, context) {
+  const { namespace, program, runid } = parent;
+  const { fromOffset, maxLines, logLevel, includeSystemLogs } = args;
+  const pipelineProgram = Object.values(PIPELINE_PROGRAMS_MAP).find(
+    (programInfo) => programInfo.programId === program.programId
+  );
+
+  let filter = `loglevel=${logLevel}`;
+  if (!includeSystemLogs) {
+    filter = `${filter} ${PIPELINE_LOGS_FILTER}`;
+  }
+  const params = {
+    format: 'json',
+    max: maxLines,
+    filter,
+  };
+  if (fromOffset) {
+    params.fromOffset = fromOffset;
+  }
+
+  const options = getGETRequestOptions();
+  options.url = constructUrl(
+    cdapConfig,
+    `/v3/namespaces/${namespace}/apps/${program.appId}/${pipelineProgram.programTypePath}/${
+      program.programId
+    }/runs/${runid}/logs/next?${new URLSearchParams(params)}`
+  );
+  const errorModifiersFn = (error, statusCode) => {
+    return new ApolloError(error, statusCode, { errorOrigin: 'runLogs' });
+  };
+
+  const logs = (await requestPromiseWrapper(options, context, null, errorModifiersFn)) || [];
+
+  return {
+    entries: logs.map(({ log, offset }) => ({ ...log, offset })),
+    nextOffset: logs.length ? logs[logs.length - 1].offset : fromOffset,
+  };
+}
@@ -0,0 +1,32 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import {
+  stageMetricsResolver,
+  errorCountResolver,
+  warningCountResolver,
+} from 'gql/types/PipelineRun/runMetricsResolvers';
+import { runtimeArgsResolver } from 'gql/types/PipelineRun/runtimeArgsResolver';
+import { logsResolver } from 'gql/types/PipelineRun/logsResolver';
+export const PipelineRun = {
+  PipelineRun: {
+    stageMetrics: stageMetricsResolver,
+    errorCount: errorCountResolver,
+    warningCount: warningCountResolver,
+    runtimeArgs: runtimeArgsResolver,
+    logs: logsResolver,
+  },
+};
@@ -0,0 +1,38 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+function loadRunMetrics(parent, context) {
+  return context.loaders.runMetrics.load({
+    namespace: parent.namespace,
+    program: parent.program,
+    runId: parent.runid,
+  });
+}
+
+export async function stageMetricsResolver(parent, args, context) {
+  const runMetrics = await loadRunMetrics(parent, context);
+  return runMetrics.stages;
+}
+
+export async function errorCountResolver(parent, args, context) {
+  const runMetrics = await loadRunMetrics(parent, context);
+  return runMetrics.errorCount;
+}
+
+export async function warningCountResolver(parent, args, context) {
+  const runMetrics = await loadRunMetrics(parent, context);
+  return runMetrics.warningCount;
+}
@@ -0,0 +1,34 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+export function runtimeArgsResolver(parent) {
+  const runtimeArgs = parent.properties && parent.properties.runtimeArgs;
+  if (!runtimeArgs) {
+    return [];
+  }
+
+  let runtimeArgsMap;
+  try {
+    runtimeArgsMap = JSON.parse(runtimeArgs);
+  } catch (e) {
+    return [];
+  }
+
+  return Object.keys(runtimeArgsMap).map((key) => ({
+    key,
+    value: runtimeArgsMap[key],
+  }));
+}
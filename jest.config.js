@@ -39,6 +39,7 @@ module.exports = {
     '/^api/': '<rootDir>/app/cdap/api',
     '^lib': '<rootDir>/../lib',
     '^mocks': '<rootDir>/__mocks__',
+    '^gql/(.*)$': '<rootDir>/graphql/$1',
   },
   modulePathIgnorePatterns: [
     './app/cdap/components/AbstractWidget/SchemaEditor/Context/__tests__/schemas.js',
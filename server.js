@@ -148,7 +148,11 @@ getCDAPConfig()
 
   .then(function(app) {
     // handles /graphql route
-    applyGraphQLMiddleware(app, Object.assign({}, cdapConfig, securityConfig), log);
+    const apolloServer = applyGraphQLMiddleware(
+      app,
+      Object.assign({}, cdapConfig, securityConfig),
+      log
+    );
     // handles all unmatched routes
     app.use(middleware404.render404);
 
@@ -179,6 +183,8 @@ getCDAPConfig()
       server = http.createServer(app);
       port = cdapConfig['dashboard.bind.port'];
     }
+    // handles graphql subscriptions over websocket on the /graphql route
+    apolloServer.installSubscriptionHandlers(server);
     server.listen(port, cdapConfig['dashboard.bind.address'], function() {
       log.info('CDAP UI listening on port %s', port);
     });
@@ -0,0 +1,199 @@
+/**
+ * @jest-environment node
+ */
+
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import EventEmitter from 'events';
+import log4js from 'log4js';
+import {
+  accessLogMiddleware,
+  getCorrelationId,
+  getRequestUser,
+  logAccess,
+  CORRELATION_ID_HEADER,
+} from 'server/access-log';
+
+jest.mock('log4js', () => {
+  const logger = { info: jest.fn(), warn: jest.fn() };
+  return { getLogger: () => logger };
+});
+
+const accessLog = log4js.getLogger('access');
+
+const proxyConfig = {
+  'security.authentication.mode': 'PROXY',
+  'security.authentication.proxy.user.identity.header': 'X-User-Id',
+};
+
+function getRequest({ headers = {}, method = 'GET', originalUrl = '/api/v3/namespaces' } = {}) {
+  return {
+    headers,
+    method,
+    originalUrl,
+    get: (name) => headers[name.toLowerCase()],
+  };
+}
+
+function getResponse() {
+  const res = new EventEmitter();
+  res.headers = {};
+  res.statusCode = 200;
+  res.set = jest.fn((name, value) => {
+    res.headers[name] = value;
+    return res;
+  });
+  return res;
+}
+
+function getLoggedEntry(level) {
+  const calls = accessLog[level].mock.calls;
+  return JSON.parse(calls[calls.length - 1][0]);
+}
+
+describe('Access log', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    accessLog.info.mockClear();
+    accessLog.warn.mockClear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getCorrelationId', () => {
+    it('should keep a valid id sent by the client', () => {
+      expect(getCorrelationId('3f2c9a1e-0b7d-4c55-a8e2-1d9b6f0e7a34')).toBe(
+        '3f2c9a1e-0b7d-4c55-a8e2-1d9b6f0e7a34'
+      );
+    });
+
+    it('should generate an id when the client id is missing or invalid', () => {
+      [undefined, '', 'short', 'has spaces in it', 'a'.repeat(65), ['array-of-ids']].forEach(
+        (clientId) => {
+          const correlationId = getCorrelationId(clientId);
+          expect(correlationId).not.toEqual(clientId);
+          expect(correlationId).toMatch(/^[0-9a-f-]{36}$/);
+        }
+      );
+    });
+  });
+
+  describe('getRequestUser', () => {
+    it('should only know the user in PROXY auth mode', () => {
+      expect(getRequestUser(proxyConfig, { 'x-user-id': 'alice' })).toBe('alice');
+      expect(getRequestUser(proxyConfig, {})).toBeNull();
+      expect(
+        getRequestUser({ 'security.authentication.mode': 'MANAGED' }, { 'x-user-id': 'alice' })
+      ).toBeNull();
+    });
+  });
+
+  describe('logAccess', () => {
+    it('should log a request as a single JSON line', () => {
+      logAccess({
+        correlationId: 'correlation-1',
+        channel: 'socket',
+        method: 'post',
+        url: '/v3/namespaces/default/apps',
+        statusCode: 200,
+        startTs: now - 25,
+        user: 'alice',
+      });
+
+      expect(accessLog.info).toHaveBeenCalledTimes(1);
+      const line = accessLog.info.mock.calls[0][0];
+      expect(line).not.toContain('\n');
+      expect(JSON.parse(line)).toEqual({
+        timestamp: expect.any(String),
+        correlationId: 'correlation-1',
+        channel: 'socket',
+        method: 'POST',
+        url: '/v3/namespaces/default/apps',
+        statusCode: 200,
+        latencyMs: 25,
+        user: 'alice',
+      });
+    });
+
+    it('should log server errors and failed requests as warnings', () => {
+      logAccess({
+        correlationId: 'correlation-2',
+        url: '/v3/namespaces',
+        statusCode: 503,
+        startTs: now,
+      });
+      expect(getLoggedEntry('warn')).toMatchObject({ statusCode: 503, method: 'GET', user: null });
+
+      logAccess({
+        correlationId: 'correlation-3',
+        url: '/v3/namespaces',
+        startTs: now,
+        error: 'ECONNREFUSED',
+      });
+      expect(getLoggedEntry('warn')).toMatchObject({ statusCode: null, error: 'ECONNREFUSED' });
+      expect(accessLog.info).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('accessLogMiddleware', () => {
+    it('should propagate the client id to the request, the response and the log', () => {
+      const correlationId = '3f2c9a1e-0b7d-4c55-a8e2-1d9b6f0e7a34';
+      const req = getRequest({
+        headers: { 'x-correlation-id': correlationId, 'x-user-id': 'alice' },
+      });
+      const res = getResponse();
+      const next = jest.fn();
+
+      accessLogMiddleware(proxyConfig)(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.correlationId).toBe(correlationId);
+      expect(res.headers[CORRELATION_ID_HEADER]).toBe(correlationId);
+      expect(accessLog.info).not.toHaveBeenCalled();
+
+      now += 40;
+      res.emit('finish');
+      expect(getLoggedEntry('info')).toEqual({
+        timestamp: expect.any(String),
+        correlationId,
+        channel: 'http',
+        method: 'GET',
+        url: '/api/v3/namespaces',
+        statusCode: 200,
+        latencyMs: 40,
+        user: 'alice',
+      });
+    });
+
+    it('should generate an id when the client does not send one', () => {
+      const req = getRequest();
+      const res = getResponse();
+
+      accessLogMiddleware({})(req, res, jest.fn());
+      res.emit('finish');
+
+      expect(req.correlationId).toMatch(/^[0-9a-f-]{36}$/);
+      expect(res.headers[CORRELATION_ID_HEADER]).toBe(req.correlationId);
+      expect(getLoggedEntry('info').correlationId).toBe(req.correlationId);
+    });
+  });
+});
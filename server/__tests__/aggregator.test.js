@@ -0,0 +1,197 @@
+/**
+ * @jest-environment node
+ */
+
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import Aggregator from 'server/aggregator';
+import { mockableRequest } from 'server/mock-backend';
+
+jest.mock('server/mock-backend', () => ({
+  mockableRequest: jest.fn(),
+}));
+// token.mjs is an ES module, which jest is not set up to load
+jest.mock('server/token', () => ({ validateToken: jest.fn() }), { virtual: true });
+jest.mock('server/express', () => ({
+  stripAuthHeadersInProxyMode: (cdapConfig, resource) => resource,
+}));
+
+const ROUTER = 'http://localhost:11015';
+const cdapConfig = {
+  'router.server.address': 'localhost',
+  'router.server.port': '11015',
+  'dashboard.ratelimit.enabled': 'true',
+  'dashboard.ratelimit.max.concurrent.requests': '1',
+};
+
+function getConnection(id) {
+  return {
+    id,
+    on: jest.fn(),
+    write: jest.fn(),
+  };
+}
+
+function getResource(id, overrides = {}) {
+  return {
+    id,
+    method: 'GET',
+    url: `${ROUTER}/v3/namespaces/default/apps/${id}`,
+    json: true,
+    ...overrides,
+  };
+}
+
+function getMessages(connection) {
+  return connection.write.mock.calls.map(([message]) => JSON.parse(message));
+}
+
+// requests complete only when respond is called with the resource url
+function mockPendingRequests(onRequest = () => {}) {
+  const pending = {};
+  mockableRequest.mockImplementation((resource, cb) => {
+    onRequest(resource);
+    pending[resource.url] = cb;
+    return { on: jest.fn() };
+  });
+  return (url, statusCode, body) => {
+    const cb = pending[url];
+    delete pending[url];
+    cb(null, { statusCode, body }, body);
+  };
+}
+
+describe('Aggregator subscriptions', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    mockableRequest.mockReset();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('Should clamp the poll interval to the minimum', () => {
+    const respond = mockPendingRequests();
+    const aggregator = new Aggregator(getConnection('clamp'), cdapConfig);
+    const resource = getResource('clamp', { intervalTime: 10 });
+    aggregator.subscribe(resource);
+    expect(resource.intervalTime).toBe(2000);
+
+    respond(resource.url, 200, { name: 'app' });
+    expect(mockableRequest).toHaveBeenCalledTimes(1);
+    jest.advanceTimersByTime(1999);
+    expect(mockableRequest).toHaveBeenCalledTimes(1);
+    jest.advanceTimersByTime(1);
+    expect(mockableRequest).toHaveBeenCalledTimes(2);
+    aggregator.unsubscribe(resource);
+  });
+
+  it('Should only push responses that changed', () => {
+    const respond = mockPendingRequests();
+    const connection = getConnection('changes');
+    const aggregator = new Aggregator(connection, cdapConfig);
+    const resource = getResource('changes', { intervalTime: 2000 });
+    aggregator.subscribe(resource);
+
+    respond(resource.url, 200, { status: 'RUNNING' });
+    jest.advanceTimersByTime(2000);
+    respond(resource.url, 200, { status: 'RUNNING' });
+    jest.advanceTimersByTime(2000);
+    respond(resource.url, 200, { status: 'COMPLETED' });
+
+    expect(getMessages(connection).map((message) => message.response)).toEqual([
+      { status: 'RUNNING' },
+      { status: 'COMPLETED' },
+    ]);
+    aggregator.unsubscribe(resource);
+  });
+
+  it('Should send every poll with a new correlation id', () => {
+    // the resource is the same object for every poll, so the header is read when it is sent
+    const correlationIds = [];
+    const respond = mockPendingRequests((resource) => {
+      correlationIds.push(resource.headers['X-Correlation-Id']);
+    });
+    const connection = getConnection('correlation');
+    const aggregator = new Aggregator(connection, cdapConfig);
+    const resource = getResource('correlation', { intervalTime: 2000 });
+    aggregator.subscribe(resource);
+
+    respond(resource.url, 200, { status: 'RUNNING' });
+    jest.advanceTimersByTime(2000);
+    respond(resource.url, 200, { status: 'COMPLETED' });
+
+    expect(correlationIds).toHaveLength(2);
+    expect(correlationIds[0]).not.toBe(correlationIds[1]);
+    // the response pushed to the client has the id of the poll it comes from
+    expect(getMessages(connection).map((message) => message.resource.correlationId)).toEqual(
+      correlationIds
+    );
+    aggregator.unsubscribe(resource);
+  });
+
+  it('Should reject subscriptions over the per connection limit', () => {
+    mockPendingRequests();
+    const connection = getConnection('cap');
+    const aggregator = new Aggregator(connection, {
+      ...cdapConfig,
+      'dashboard.ratelimit.enabled': 'false',
+    });
+    for (let i = 0; i < 100; i++) {
+      aggregator.subscribe(getResource(`cap-${i}`));
+    }
+    expect(connection.write).not.toHaveBeenCalled();
+
+    aggregator.subscribe(getResource('cap-100'));
+    const [message] = getMessages(connection);
+    expect(message.statusCode).toBe(429);
+    expect(message.resource.id).toBe('cap-100');
+    expect(Object.keys(aggregator.subscriptions).length).toBe(100);
+
+    // re-subscribing an existing resource replaces it
+    aggregator.subscribe(getResource('cap-0'));
+    expect(connection.write).toHaveBeenCalledTimes(1);
+    Object.keys(aggregator.subscriptions).forEach((id) => aggregator.unsubscribe({ id }));
+  });
+
+  it('Should skip rate limited polls without pushing them to the client', () => {
+    const respond = mockPendingRequests();
+    const connection = getConnection('ratelimit');
+    const aggregator = new Aggregator(connection, cdapConfig);
+    const first = getResource('first', { intervalTime: 2000 });
+    const second = getResource('second', { intervalTime: 2000 });
+
+    aggregator.subscribe(first);
+    // the first poll is still in flight, so this one goes over the concurrency limit
+    aggregator.subscribe(second);
+    expect(mockableRequest).toHaveBeenCalledTimes(1);
+    expect(connection.write).not.toHaveBeenCalled();
+
+    respond(first.url, 200, { name: 'first' });
+    aggregator.unsubscribe(first);
+    // the skipped poll is retried on the next interval
+    jest.advanceTimersByTime(2000);
+    respond(second.url, 200, { name: 'second' });
+
+    expect(getMessages(connection).map((message) => message.resource.id)).toEqual([
+      'first',
+      'second',
+    ]);
+    aggregator.unsubscribe(second);
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * @jest-environment node
+ */
+
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import { PassThrough, Readable, Writable } from 'stream';
+import {
+  createZipWriter,
+  getContentDisposition,
+  getLogDownloadFilters,
+  getUnsafePatternReason,
+  getZipEntryName,
+  MAX_SEARCH_PATTERN_LENGTH,
+} from 'server/log-download';
+
+// collects the output, with a small buffer so that the writer has to wait for 'drain'
+function createOutput() {
+  const chunks = [];
+  const output = new Writable({
+    highWaterMark: 1024,
+    write(chunk, encoding, callback) {
+      chunks.push(chunk);
+      setImmediate(callback);
+    },
+  });
+  const finished = new Promise((resolve, reject) => {
+    output.on('finish', () => resolve(Buffer.concat(chunks)));
+    output.on('error', reject);
+  });
+  return { output, finished };
+}
+
+describe('createZipWriter', () => {
+  it('should write the entries one at a time and end the output', async () => {
+    const { output, finished } = createOutput();
+    const zip = createZipWriter(output);
+    await zip.addEntry('run-1.log', Readable.from(['first run\n']));
+    await zip.addEntry('run-2.log', Readable.from(['second run\n'.repeat(10000)]));
+    await zip.finalize();
+
+    const archive = await finished;
+    // local file header signature
+    expect(archive.readUInt32LE(0)).toBe(0x04034b50);
+    expect(archive.indexOf('run-1.log')).toBeLessThan(archive.indexOf('run-2.log'));
+  });
+
+  it('should reject the pending entry when the output is closed', async () => {
+    const { output } = createOutput();
+    const zip = createZipWriter(output);
+    // never ends, like a backend request that is still streaming
+    const body = new PassThrough();
+    body.write('2024-01-15 10:23:45,123 - INFO [main:i.c.c.Stage@42] - Started\n');
+
+    const added = zip.addEntry('run-1.log', body);
+    output.destroy();
+    await expect(added).rejects.toThrow('closed');
+    await expect(zip.finalize()).rejects.toThrow('closed');
+  });
+
+  it('should reject when an entry fails to be read', async () => {
+    const { output } = createOutput();
+    const zip = createZipWriter(output);
+    const body = new PassThrough();
+
+    const added = zip.addEntry('run-1.log', body);
+    body.destroy(new Error('socket hang up'));
+    await expect(added).rejects.toThrow('socket hang up');
+  });
+});
+
+describe('getContentDisposition', () => {
+  it('should quote printable ascii names', () => {
+    expect(getContentDisposition('logs.zip')).toBe(
+      'attachment; filename="logs.zip"; filename*=UTF-8\'\'logs.zip'
+    );
+  });
+
+  it('should encode the characters that are not allowed in a header', () => {
+    expect(getContentDisposition('a\nb"€.log')).toBe(
+      'attachment; filename="a_b__.log"; filename*=UTF-8\'\'a%0Ab%22%E2%82%AC.log'
+    );
+  });
+
+  it('should only send the ascii name when the name cannot be encoded', () => {
+    expect(getContentDisposition('\ud800.log')).toBe('attachment; filename="_.log"');
+  });
+});
+
+describe('getZipEntryName', () => {
+  it('should make the names unique and safe to extract', () => {
+    const usedNames = new Set();
+    expect(getZipEntryName('run.log', usedNames)).toBe('run.log');
+    expect(getZipEntryName('run.log', usedNames)).toBe('run-1.log');
+    expect(getZipEntryName('../a/b.log', usedNames)).toBe('_a_b.log');
+    expect(getZipEntryName('', usedNames)).toBe('logs');
+  });
+});
+
+describe('getUnsafePatternReason', () => {
+  it('should accept simple patterns', () => {
+    ['error.*timeout', '(foo|bar)', '^\\d+ rows', '(?:stage|sink)-\\d+', '[(+*]+', '(ab)+'].forEach(
+      (pattern) => {
+        expect(getUnsafePatternReason(pattern)).toBe(null);
+      }
+    );
+  });
+
+  it('should reject patterns that can backtrack catastrophically', () => {
+    ['(a+)+$', '(a*)*b', '(a|ab)*c', '((a+))+', '(\\w+\\s?){5,}x', '(a)\\1'].forEach((pattern) => {
+      expect(getUnsafePatternReason(pattern)).not.toBe(null);
+    });
+  });
+
+  it('should reject long patterns', () => {
+    expect(getUnsafePatternReason('a'.repeat(MAX_SEARCH_PATTERN_LENGTH + 1))).not.toBe(null);
+  });
+});
+
+describe('getLogDownloadFilters', () => {
+  it('should only compile safe regular expressions', () => {
+    expect(getLogDownloadFilters({ search: 'failed.*stage', regex: 'true' }).search).toEqual(
+      /failed.*stage/i
+    );
+    expect(() => getLogDownloadFilters({ search: '(a+)+$', regex: 'true' })).toThrow(
+      'cannot be used to filter the logs'
+    );
+    // plain text searches are escaped, so they are always safe
+    expect(getLogDownloadFilters({ search: '(a+)+$' }).search.test('x(a+)+$')).toBe(true);
+  });
+});
@@ -0,0 +1,255 @@
+/**
+ * @jest-environment node
+ */
+
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PassThrough, Readable } from 'stream';
+import EventEmitter from 'events';
+import request from 'request';
+import {
+  mockableRequest,
+  mockableStreamRequest,
+  mockableProxyRequest,
+  replayMiddleware,
+  saveFixture,
+} from 'server/mock-backend';
+import { requestPromiseWrapper } from 'gql/resolvers-common';
+
+jest.mock('request');
+
+const ROUTER = 'http://localhost:11015';
+
+function getRequestStream(body) {
+  return Readable.from([Buffer.from(body)]);
+}
+
+function getResponseMock() {
+  const res = {};
+  res.set = jest.fn(() => res);
+  res.status = jest.fn(() => res);
+  res.send = jest.fn(() => res);
+  return res;
+}
+
+function readStream(stream) {
+  return new Promise((resolve) => {
+    const chunks = [];
+    stream.on('data', (chunk) => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  });
+}
+
+describe('Mock backend', () => {
+  let fixturesDir;
+
+  beforeEach(() => {
+    fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-backend-'));
+    process.env.CDAP_UI_MOCK_FIXTURES_DIR = fixturesDir;
+    request.mockReset();
+  });
+
+  afterEach(() => {
+    delete process.env.CDAP_UI_MOCK_MODE;
+    delete process.env.CDAP_UI_MOCK_FIXTURES_DIR;
+    fs.rmSync(fixturesDir, { recursive: true, force: true });
+  });
+
+  describe('graphql requests', () => {
+    it('Should record the responses of graphql resolvers', async () => {
+      process.env.CDAP_UI_MOCK_MODE = 'record';
+      request.mockImplementation((options, cb) => {
+        const response = { statusCode: 200, headers: { 'content-type': 'application/json' } };
+        cb(null, response, [{ name: 'pipeline1' }]);
+        return new EventEmitter();
+      });
+      const body = await requestPromiseWrapper(
+        { method: 'GET', json: true, url: `${ROUTER}/v3/namespaces/ns1/apps` },
+        {}
+      );
+      expect(body).toEqual([{ name: 'pipeline1' }]);
+
+      process.env.CDAP_UI_MOCK_MODE = 'replay';
+      request.mockReset();
+      const replayed = await requestPromiseWrapper(
+        { method: 'GET', json: true, url: `${ROUTER}/v3/namespaces/ns2/apps` },
+        {}
+      );
+      expect(replayed).toEqual([{ name: 'pipeline1' }]);
+      expect(request).not.toHaveBeenCalled();
+    });
+
+    it('Should reject graphql requests without a fixture in replay mode', async () => {
+      process.env.CDAP_UI_MOCK_MODE = 'replay';
+      await expect(
+        requestPromiseWrapper(
+          { method: 'GET', json: true, url: `${ROUTER}/v3/namespaces/default/apps` },
+          {}
+        )
+      ).rejects.toThrow('No mock fixture for GET');
+    });
+  });
+
+  describe('mockableStreamRequest', () => {
+    const logsUrl = `${ROUTER}/v3/namespaces/default/apps/p1/workflows/DataPipelineWorkflow/runs/r1/logs`;
+
+    it('Should replay the fixture as a streamed response', async () => {
+      saveFixture('GET', logsUrl, null, 200, 'text/plain', 'line 1\nline 2\n');
+      process.env.CDAP_UI_MOCK_MODE = 'replay';
+
+      const streamRequest = mockableStreamRequest({ method: 'GET', url: logsUrl });
+      const response = await new Promise((resolve) => streamRequest.on('response', resolve));
+
+      expect(response.statusCode).toBe(200);
+      expect(response.headers['content-type']).toBe('text/plain');
+      expect(await readStream(response)).toBe('line 1\nline 2\n');
+      expect(request).not.toHaveBeenCalled();
+    });
+
+    it('Should record the streamed response', async () => {
+      process.env.CDAP_UI_MOCK_MODE = 'record';
+      const backendRequest = new EventEmitter();
+      request.mockReturnValue(backendRequest);
+
+      const streamRequest = mockableStreamRequest({ method: 'GET', url: logsUrl });
+      expect(streamRequest).toBe(backendRequest);
+      const response = new PassThrough();
+      response.statusCode = 200;
+      response.headers = { 'content-type': 'text/plain' };
+      backendRequest.emit('response', response);
+      // the response is still readable by the route
+      const routeBody = readStream(response);
+      response.write('line 1\n');
+      response.end('line 2\n');
+      expect(await routeBody).toBe('line 1\nline 2\n');
+
+      process.env.CDAP_UI_MOCK_MODE = 'replay';
+      const replayed = await new Promise((resolve) =>
+        mockableStreamRequest({ method: 'GET', url: logsUrl }).on('response', resolve)
+      );
+      expect(await readStream(replayed)).toBe('line 1\nline 2\n');
+    });
+  });
+
+  describe('mockableProxyRequest', () => {
+    const uploadUrl = `${ROUTER}/v3/namespaces/default/apps`;
+
+    it('Should record and replay requests with a body', async () => {
+      process.env.CDAP_UI_MOCK_MODE = 'record';
+      request.mockImplementation((options, cb) => {
+        cb(
+          null,
+          { statusCode: 200, headers: { 'content-type': 'text/plain', 'content-length': '9' } },
+          `Deployed ${options.body.toString('utf8')}`
+        );
+        return new EventEmitter();
+      });
+      const res = getResponseMock();
+      await mockableProxyRequest(getRequestStream('app.jar'), res, {
+        method: 'POST',
+        url: uploadUrl,
+      });
+      expect(request.mock.calls[0][0].body.toString('utf8')).toBe('app.jar');
+      expect(res.set).toHaveBeenCalledWith({ 'content-type': 'text/plain' });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith('Deployed app.jar');
+
+      process.env.CDAP_UI_MOCK_MODE = 'replay';
+      request.mockReset();
+      const replayRes = getResponseMock();
+      await mockableProxyRequest(getRequestStream('app.jar'), replayRes, {
+        method: 'POST',
+        url: uploadUrl,
+      });
+      // the replayed response is sent on the next tick
+      await new Promise((resolve) => process.nextTick(resolve));
+      expect(request).not.toHaveBeenCalled();
+      expect(replayRes.status).toHaveBeenCalledWith(200);
+      expect(replayRes.send).toHaveBeenCalledWith('Deployed app.jar');
+
+      // a different body has no fixture
+      const otherRes = getResponseMock();
+      await mockableProxyRequest(getRequestStream('other.jar'), otherRes, {
+        method: 'POST',
+        url: uploadUrl,
+      });
+      await new Promise((resolve) => process.nextTick(resolve));
+      expect(otherRes.status).toHaveBeenCalledWith(404);
+    });
+
+    it('Should only send the response headers returned by getResponseHeaders', async () => {
+      process.env.CDAP_UI_MOCK_MODE = 'record';
+      request.mockImplementation((options, cb) => {
+        cb(null, { statusCode: 200, headers: { 'content-type': 'text/plain', secret: 'a' } }, '');
+        return new EventEmitter();
+      });
+      const res = getResponseMock();
+      await mockableProxyRequest(
+        getRequestStream(''),
+        res,
+        { method: 'POST', url: uploadUrl },
+        (response) => ({ 'content-type': response.headers['content-type'] })
+      );
+      expect(res.set).toHaveBeenCalledWith({ 'content-type': 'text/plain' });
+    });
+  });
+
+  describe('replayMiddleware', () => {
+    it('Should answer the request from its fixture', async () => {
+      saveFixture('GET', '/v3/namespaces', '', 200, 'application/json', '[]');
+      const req = getRequestStream('');
+      req.method = 'GET';
+      req.url = '/v3/namespaces';
+      const res = getResponseMock();
+      const next = jest.fn();
+
+      await replayMiddleware(req, res, next);
+      expect(res.set).toHaveBeenCalledWith('Content-Type', 'application/json');
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith('[]');
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('Should pass request stream errors on to the error handler', async () => {
+      const req = new PassThrough();
+      req.method = 'POST';
+      req.url = '/v3/namespaces/default/apps';
+      const res = getResponseMock();
+      const next = jest.fn();
+      const error = new Error('aborted');
+
+      const replayed = replayMiddleware(req, res, next);
+      req.destroy(error);
+      await replayed;
+      expect(next).toHaveBeenCalledWith(error);
+      expect(res.send).not.toHaveBeenCalled();
+    });
+  });
+
+  it('Should call the router directly when the mock mode is not set', () => {
+    const callback = jest.fn();
+    mockableRequest({ method: 'GET', url: `${ROUTER}/v3/namespaces` }, callback);
+    expect(request).toHaveBeenCalledWith(
+      { method: 'GET', url: `${ROUTER}/v3/namespaces` },
+      callback
+    );
+    expect(fs.readdirSync(fixturesDir)).toEqual([]);
+  });
+});
@@ -0,0 +1,194 @@
+/**
+ * @jest-environment node
+ */
+
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import EventEmitter from 'events';
+import {
+  acquireRequestSlot,
+  getRateLimitKey,
+  rateLimitMiddleware,
+  releaseRequestSlot,
+  RATE_LIMIT_STATUS_CODE,
+} from 'server/rate-limiter';
+
+const cdapConfig = {
+  'dashboard.ratelimit.enabled': 'true',
+  'dashboard.ratelimit.requests.per.sec': '1',
+  'dashboard.ratelimit.burst': '2',
+  'dashboard.ratelimit.max.concurrent.requests': '1',
+};
+
+function getRequest({ headers = {}, cookies = {}, ip = '10.0.0.1' } = {}) {
+  return { headers, cookies, ip };
+}
+
+function getResponse() {
+  const res = new EventEmitter();
+  res.set = jest.fn(() => res);
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+// keys are shared by the module, so every test uses its own
+let keyIndex = 0;
+function getKey() {
+  return `session:test-${keyIndex++}`;
+}
+
+describe('Rate limiter', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getRateLimitKey', () => {
+    it('Should prefer the user, then the auth token, then the session', () => {
+      expect(
+        getRateLimitKey({ user: 'alice', authorization: 'Bearer token', sessionId: 'conn1' })
+      ).toBe('user:alice');
+      expect(getRateLimitKey({ authorization: 'Bearer token', sessionId: 'conn1' })).toMatch(
+        /^token:[0-9a-f]{64}$/
+      );
+      expect(getRateLimitKey({ sessionId: 'conn1' })).toBe('session:conn1');
+    });
+
+    it('Should not keep the auth token', () => {
+      expect(getRateLimitKey({ authorization: 'Bearer token' })).not.toContain('token:Bearer');
+    });
+  });
+
+  describe('acquireRequestSlot', () => {
+    it('Should limit the requests in flight', () => {
+      const key = getKey();
+      expect(acquireRequestSlot(cdapConfig, key)).toBe(null);
+      expect(acquireRequestSlot(cdapConfig, key).message).toContain('concurrent');
+      releaseRequestSlot(cdapConfig, key);
+      expect(acquireRequestSlot(cdapConfig, key)).toBe(null);
+    });
+
+    it('Should allow bursts, then refill at the configured rate', () => {
+      const config = { ...cdapConfig, 'dashboard.ratelimit.max.concurrent.requests': '10' };
+      const key = getKey();
+      expect(acquireRequestSlot(config, key)).toBe(null);
+      expect(acquireRequestSlot(config, key)).toBe(null);
+      const rejection = acquireRequestSlot(config, key);
+      expect(rejection.message).toContain('1 requests per second');
+      expect(rejection.retryAfterSecs).toBe(1);
+
+      now += 1000;
+      expect(acquireRequestSlot(config, key)).toBe(null);
+      expect(acquireRequestSlot(config, key)).not.toBe(null);
+    });
+
+    it('Should not limit when it is disabled', () => {
+      const config = { ...cdapConfig, 'dashboard.ratelimit.enabled': 'false' };
+      const key = getKey();
+      for (let i = 0; i < 5; i++) {
+        expect(acquireRequestSlot(config, key)).toBe(null);
+      }
+    });
+
+    it('Should be disabled by default', () => {
+      const config = { ...cdapConfig };
+      delete config['dashboard.ratelimit.enabled'];
+      const key = getKey();
+      for (let i = 0; i < 5; i++) {
+        expect(acquireRequestSlot(config, key)).toBe(null);
+      }
+    });
+  });
+
+  describe('rateLimitMiddleware', () => {
+    it('Should limit requests by the auth token cookie', () => {
+      const middleware = rateLimitMiddleware(cdapConfig);
+      const next = jest.fn();
+      const req = getRequest({ cookies: { CDAP_Auth_Token: `cookie-${keyIndex++}` } });
+
+      const res = getResponse();
+      middleware(req, res, next);
+      expect(next).toHaveBeenCalledTimes(1);
+
+      // the first request is still in flight
+      const rejectedRes = getResponse();
+      middleware(req, rejectedRes, next);
+      expect(next).toHaveBeenCalledTimes(1);
+      expect(rejectedRes.status).toHaveBeenCalledWith(RATE_LIMIT_STATUS_CODE);
+      expect(rejectedRes.set).toHaveBeenCalledWith('Retry-After', '1');
+      expect(rejectedRes.json.mock.calls[0][0].message).toContain('concurrent');
+
+      // a different user is not affected
+      middleware(getRequest({ cookies: { CDAP_Auth_Token: 'other' } }), getResponse(), next);
+      expect(next).toHaveBeenCalledTimes(2);
+
+      // the slot is released once when the response is sent
+      res.emit('finish');
+      res.emit('close');
+      middleware(req, getResponse(), next);
+      expect(next).toHaveBeenCalledTimes(3);
+    });
+
+    it('Should not limit anonymous requests by default', () => {
+      const middleware = rateLimitMiddleware(cdapConfig);
+      const next = jest.fn();
+      for (let i = 0; i < 5; i++) {
+        middleware(getRequest({ ip: '10.0.0.2' }), getResponse(), next);
+      }
+      expect(next).toHaveBeenCalledTimes(5);
+    });
+
+    it('Should limit anonymous requests by ip when enabled', () => {
+      const middleware = rateLimitMiddleware({
+        ...cdapConfig,
+        'dashboard.ratelimit.anonymous.by.ip': 'true',
+      });
+      const next = jest.fn();
+      middleware(getRequest({ ip: '10.0.0.3' }), getResponse(), next);
+      const rejectedRes = getResponse();
+      middleware(getRequest({ ip: '10.0.0.3' }), rejectedRes, next);
+      expect(next).toHaveBeenCalledTimes(1);
+      expect(rejectedRes.status).toHaveBeenCalledWith(RATE_LIMIT_STATUS_CODE);
+    });
+
+    it('Should limit requests by user in proxy mode', () => {
+      const middleware = rateLimitMiddleware({
+        ...cdapConfig,
+        'security.authentication.mode': 'PROXY',
+        'security.authentication.proxy.user.identity.header': 'X-User-Id',
+      });
+      const next = jest.fn();
+      const user = `user-${keyIndex++}`;
+      middleware(getRequest({ headers: { 'x-user-id': user } }), getResponse(), next);
+      const rejectedRes = getResponse();
+      middleware(
+        getRequest({ headers: { 'x-user-id': user, authorization: 'Bearer other' } }),
+        rejectedRes,
+        next
+      );
+      expect(next).toHaveBeenCalledTimes(1);
+      expect(rejectedRes.status).toHaveBeenCalledWith(RATE_LIMIT_STATUS_CODE);
+    });
+  });
+});
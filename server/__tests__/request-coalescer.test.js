@@ -0,0 +1,135 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+import { getCoalescingKey, coalesceRequest, getCoalescingStats } from 'server/request-coalescer';
+
+function getResource(overrides = {}) {
+  return {
+    method: 'GET',
+    url: 'http://localhost:11015/v3/namespaces/default/apps',
+    json: true,
+    headers: {
+      Authorization: 'Bearer token1',
+      'X-Correlation-Id': 'correlation-1',
+    },
+    ...overrides,
+  };
+}
+
+// makes a request that completes only when respond is called
+function getPendingRequest() {
+  const pending = { calls: 0 };
+  pending.makeRequest = (cb) => {
+    pending.calls++;
+    pending.respond = cb;
+  };
+  return pending;
+}
+
+describe('Request coalescer', () => {
+  describe('getCoalescingKey', () => {
+    it('Should not coalesce requests other than GET', () => {
+      expect(getCoalescingKey(getResource({ method: 'POST' }))).toBe(null);
+      expect(getCoalescingKey(getResource({ method: 'delete' }))).toBe(null);
+      expect(getCoalescingKey(null)).toBe(null);
+      expect(getCoalescingKey({})).toBe(null);
+    });
+
+    it('Should ignore the correlation id', () => {
+      const key1 = getCoalescingKey(getResource());
+      const key2 = getCoalescingKey(
+        getResource({
+          headers: {
+            'X-Correlation-Id': 'correlation-2',
+            Authorization: 'Bearer token1',
+          },
+        })
+      );
+      expect(key1).not.toBe(null);
+      expect(key1).toBe(key2);
+    });
+
+    it('Should not merge requests from different users or to different urls', () => {
+      const key = getCoalescingKey(getResource());
+      expect(
+        getCoalescingKey(getResource({ headers: { Authorization: 'Bearer token2' } }))
+      ).not.toBe(key);
+      expect(getCoalescingKey(getResource({ url: `${getResource().url}?limit=10` }))).not.toBe(key);
+      expect(getCoalescingKey(getResource({ json: false }))).not.toBe(key);
+    });
+  });
+
+  describe('coalesceRequest', () => {
+    it('Should send identical in-flight requests upstream once', () => {
+      const statsBefore = getCoalescingStats();
+      const key = getCoalescingKey(getResource());
+      const pending = getPendingRequest();
+      const callback1 = jest.fn();
+      const callback2 = jest.fn();
+
+      coalesceRequest(key, pending.makeRequest, callback1);
+      coalesceRequest(key, pending.makeRequest, callback2);
+      expect(pending.calls).toBe(1);
+      expect(getCoalescingStats().inflightRequests).toBe(statsBefore.inflightRequests + 1);
+
+      const response = { statusCode: 200 };
+      pending.respond(null, response, '[]');
+      expect(callback1).toHaveBeenCalledWith(null, response, '[]');
+      expect(callback2).toHaveBeenCalledWith(null, response, '[]');
+
+      const statsAfter = getCoalescingStats();
+      expect(statsAfter.upstreamRequests - statsBefore.upstreamRequests).toBe(1);
+      expect(statsAfter.coalescedRequests - statsBefore.coalescedRequests).toBe(1);
+      expect(statsAfter.inflightRequests).toBe(statsBefore.inflightRequests);
+    });
+
+    it('Should send the request upstream again once the first one completed', () => {
+      const key = getCoalescingKey(getResource());
+      const pending = getPendingRequest();
+      const callback = jest.fn();
+
+      coalesceRequest(key, pending.makeRequest, callback);
+      pending.respond(null, { statusCode: 200 }, 'first');
+      coalesceRequest(key, pending.makeRequest, callback);
+      pending.respond(null, { statusCode: 200 }, 'second');
+
+      expect(pending.calls).toBe(2);
+      expect(callback.mock.calls.map((call) => call[2])).toEqual(['first', 'second']);
+    });
+
+    it('Should share errors with all the parked requests', () => {
+      const key = getCoalescingKey(getResource());
+      const pending = getPendingRequest();
+      const callback1 = jest.fn();
+      const callback2 = jest.fn();
+
+      coalesceRequest(key, pending.makeRequest, callback1);
+      coalesceRequest(key, pending.makeRequest, callback2);
+      const error = new Error('ECONNREFUSED');
+      pending.respond(error);
+
+      expect(callback1).toHaveBeenCalledWith(error, undefined, undefined);
+      expect(callback2).toHaveBeenCalledWith(error, undefined, undefined);
+    });
+
+    it('Should always send requests without a key upstream', () => {
+      const pending = getPendingRequest();
+      coalesceRequest(null, pending.makeRequest, jest.fn());
+      coalesceRequest(null, pending.makeRequest, jest.fn());
+      expect(pending.calls).toBe(2);
+    });
+  });
+});
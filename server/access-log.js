@@ -0,0 +1,131 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+/**
+ * @fileoverview access log for requests the node server proxies to the backend,
+ * through the socket (aggregator) or over http (express).
+ *
+ * Every request gets a correlation id. It is forwarded upstream and returned to the
+ * browser in the X-Correlation-Id header, so a failing call can be traced from the UI
+ * through the node server logs to the backend logs. Each completed request is logged
+ * as a single JSON line in the 'access' log4js category.
+ */
+
+import uuidV4 from 'uuid/v4';
+import log4js from 'log4js';
+
+const accessLog = log4js.getLogger('access');
+
+export const CORRELATION_ID_HEADER = 'X-Correlation-Id';
+
+// only ids that look like something we generated are accepted from the client
+const VALID_CORRELATION_ID = /^[\w-]{8,64}$/;
+
+/**
+ * Returns the correlation id sent by the client, or a new one.
+ *
+ * @param {string} [correlationId] - id sent by the client, if any
+ */
+export function getCorrelationId(correlationId) {
+  if (typeof correlationId === 'string' && VALID_CORRELATION_ID.test(correlationId)) {
+    return correlationId;
+  }
+  return uuidV4();
+}
+
+/**
+ * Returns the user making the request, when the node server knows it. This is
+ * only the case in PROXY auth mode, where the user is sent in a header.
+ */
+export function getRequestUser(cdapConfig, headers = {}) {
+  if (cdapConfig['security.authentication.mode'] !== 'PROXY') {
+    return null;
+  }
+  const userIdProperty = cdapConfig['security.authentication.proxy.user.identity.header'];
+  if (!userIdProperty) {
+    return null;
+  }
+  return headers[userIdProperty] || headers[userIdProperty.toLowerCase()] || null;
+}
+
+/**
+ * Logs a completed request.
+ *
+ * @param {Object} entry
+ * @param {string} entry.correlationId
+ * @param {string} entry.channel - 'socket' or 'http'
+ * @param {string} entry.method
+ * @param {string} entry.url
+ * @param {number} [entry.statusCode]
+ * @param {number} entry.startTs - time the request was received, in ms
+ * @param {string} [entry.user]
+ * @param {string} [entry.error] - error message, if the request failed without a response
+ */
+export function logAccess({
+  correlationId,
+  channel,
+  method,
+  url,
+  statusCode,
+  startTs,
+  user,
+  error,
+}) {
+  const entry = {
+    timestamp: new Date().toISOString(),
+    correlationId,
+    channel,
+    method: (method || 'GET').toUpperCase(),
+    url,
+    statusCode: statusCode || null,
+    latencyMs: Date.now() - startTs,
+    user: user || null,
+  };
+  if (error) {
+    entry.error = error;
+  }
+  if (error || !statusCode || statusCode >= 500) {
+    accessLog.warn(JSON.stringify(entry));
+  } else {
+    accessLog.info(JSON.stringify(entry));
+  }
+}
+
+/**
+ * Express middleware for proxied routes. Assigns the correlation id to the request
+ * (req.correlationId), returns it to the browser and logs the request once the
+ * response is sent.
+ */
+export function accessLogMiddleware(cdapConfig) {
+  return (req, res, next) => {
+    const startTs = Date.now();
+    const correlationId = getCorrelationId(req.get(CORRELATION_ID_HEADER));
+    req.correlationId = correlationId;
+    res.set(CORRELATION_ID_HEADER, correlationId);
+    res.on('finish', () => {
+      logAccess({
+        correlationId,
+        channel: 'http',
+        method: req.method,
+        url: req.originalUrl,
+        statusCode: res.statusCode,
+        startTs,
+        user: getRequestUser(cdapConfig, req.headers),
+      });
+    });
+    next();
+  };
+}
@@ -15,13 +15,30 @@
  * the License.
  */
 
-import request from 'request';
 import fs from 'fs';
 import log4js from 'log4js';
 import { REQUEST_ORIGIN_ROUTER, REQUEST_ORIGIN_MARKET, constructUrl, deconstructUrl, isVerifiedMarketHost} from 'server/url-helper';
 import * as sessionToken from 'server/token';
 import { stripAuthHeadersInProxyMode } from 'server/express';
+import { getCoalescingKey, coalesceRequest } from 'server/request-coalescer';
+import { mockableRequest } from 'server/mock-backend';
+import {
+  CORRELATION_ID_HEADER,
+  getCorrelationId,
+  getRequestUser,
+  logAccess,
+} from 'server/access-log';
+import {
+  acquireRequestSlot,
+  releaseRequestSlot,
+  getRateLimitKey,
+  RATE_LIMIT_STATUS_CODE,
+} from 'server/rate-limiter';
 const log = log4js.getLogger('default');
+const DEFAULT_SUBSCRIPTION_INTERVAL = 10000;
+// the client picks the interval, so it is clamped to keep a tab from hammering the router
+const MIN_SUBSCRIPTION_INTERVAL = 2000;
+const MAX_SUBSCRIPTIONS_PER_CONNECTION = 100;
 /**
  * Aggregator
  * receives resourceObj, aggregate them,
@@ -36,6 +53,8 @@ function Aggregator(conn, cdapConfig) {
   }
   this.cdapConfig = cdapConfig;
   this.connection = conn;
+  // server side polls, keyed by resource id
+  this.subscriptions = {};
 
   this.initializeEventListeners();
   this.isSessionValid = false;
@@ -287,6 +306,222 @@ function emitResponse(resource, error, response, body) {
   }
 }
 
+/**
+ * @private makeRequest
+ *
+ * Identical GET requests that are already in flight (from this or any other
+ * connection) are not sent upstream again; they share the pending response.
+ * This can be turned off with dashboard.request.coalescing.enabled = false
+ *
+ * @param  {object} resource to request
+ * @param  {function} callback - (error, response, body). Defaults to sending the response to the client.
+ */
+function makeRequest(resource, callback = emitResponse.bind(this, resource)) {
+  const key =
+    this.cdapConfig['dashboard.request.coalescing.enabled'] === 'false'
+      ? null
+      : getCoalescingKey(resource);
+  coalesceRequest(
+    key,
+    (cb) =>
+      mockableRequest(resource, cb).on('error', function(err) {
+        log.error('[ERROR]: (url: ' + resource.url + ') ' + err.message);
+      }),
+    (error, response, body) => {
+      logAccess({
+        correlationId: resource.correlationId,
+        channel: 'socket',
+        method: resource.method,
+        url: resource.url,
+        statusCode: response && response.statusCode,
+        startTs: resource.startTs,
+        user: getRequestUser(this.cdapConfig, resource.headers),
+        error: error && error.message,
+      });
+      callback(error, response, body);
+    }
+  );
+}
+
+/**
+ * @private makeRateLimitedRequest
+ *
+ * Requests sent by the client count against the per-user limits in server/rate-limiter.
+ * A rejected request gets a 429 response without reaching the router.
+ *
+ * @param  {object} resource to request
+ * @param  {function} callback - (error, response, body). Defaults to sending the response to the client.
+ */
+function makeRateLimitedRequest(resource, callback = emitResponse.bind(this, resource)) {
+  const key = getRateLimitKey({
+    user: getRequestUser(this.cdapConfig, resource.headers),
+    authorization: resource.headers && resource.headers.Authorization,
+    sessionId: this.connection.id,
+  });
+  const rejection = acquireRequestSlot(this.cdapConfig, key);
+  if (rejection) {
+    log.warn(
+      '[RATE LIMITED]: (id: ' + resource.id + ', url: ' + resource.url + ') ' + rejection.message
+    );
+    callback(null, { statusCode: RATE_LIMIT_STATUS_CODE }, rejection);
+    return;
+  }
+  makeRequest.call(this, resource, (error, response, body) => {
+    releaseRequestSlot(this.cdapConfig, key);
+    callback(error, response, body);
+  });
+}
+
+/**
+ * @private addCorrelationId
+ *
+ * Keeps the correlation id sent by the client (or assigns one) and forwards it
+ * to the router. It is sent back to the client along with the resource.
+ */
+function addCorrelationId(r) {
+  r.correlationId = getCorrelationId(r.correlationId);
+  if (!r.requestOrigin || r.requestOrigin === REQUEST_ORIGIN_ROUTER) {
+    r.headers = Object.assign({}, r.headers, { [CORRELATION_ID_HEADER]: r.correlationId });
+  }
+}
+
+/**
+ * @private addProxyAuthHeaders
+ *
+ * In proxy mode the browser doesn't know the auth token or the user id.
+ * Those come from the connection and are added to every router request.
+ */
+function addProxyAuthHeaders(r) {
+  if (
+    (!r.requestOrigin || r.requestOrigin === REQUEST_ORIGIN_ROUTER) &&
+    this.cdapConfig['security.authentication.mode'] === 'PROXY'
+  ) {
+    if (!r.headers) {
+      r.headers = {};
+    }
+    r.headers.Authorization = this.connection.authToken;
+    r.headers[
+      this.cdapConfig['security.authentication.proxy.user.identity.header']
+    ] = this.connection.userid;
+  }
+}
+
+/**
+ * @private getResponseSignature
+ *
+ * Used to decide whether a subscription response differs from the last one
+ * pushed to the client.
+ */
+function getResponseSignature(error, response, body) {
+  return JSON.stringify({
+    error: error ? error.toString() : null,
+    statusCode: response && response.statusCode,
+    body,
+  });
+}
+
+/**
+ * @private pollSubscription
+ *
+ * Requests the subscribed resource and pushes the response to the client only
+ * if it is different from the previous one. Errors are pushed the same way, so
+ * the client is notified once when a resource starts failing. Polls count against
+ * the same per-user limits as client requests; a rate limited poll is skipped and
+ * retried on the next interval. Every poll is a request of its own, with a new
+ * correlation id.
+ *
+ * @param  {object} subscription
+ */
+function pollSubscription(subscription) {
+  const resource = subscription.resource;
+  resource.startTs = Date.now();
+  resource.correlationId = null;
+  addCorrelationId(resource);
+  log.debug(
+    '[POLL]: (method: ' + resource.method + ', id: ' + resource.id + ', url: ' + resource.url + ')'
+  );
+  makeRateLimitedRequest.call(this, resource, (error, response, body) => {
+    // unsubscribed while the request was in flight
+    if (this.subscriptions[resource.id] !== subscription) {
+      return;
+    }
+    if (response && response.statusCode === RATE_LIMIT_STATUS_CODE) {
+      if (!subscription.paused) {
+        scheduleSubscription.call(this, subscription);
+      }
+      return;
+    }
+    const signature = getResponseSignature(error, response, body);
+    if (signature !== subscription.lastResponse) {
+      subscription.lastResponse = signature;
+      emitResponse.call(this, resource, error, response, body);
+    }
+    if (!subscription.paused) {
+      scheduleSubscription.call(this, subscription);
+    }
+  });
+}
+
+function scheduleSubscription(subscription) {
+  clearTimeout(subscription.resource.timerId);
+  subscription.resource.timerId = setTimeout(
+    pollSubscription.bind(this, subscription),
+    subscription.resource.intervalTime
+  );
+}
+
+Aggregator.prototype.subscribe = function(resource) {
+  this.unsubscribe(resource);
+  if (Object.keys(this.subscriptions).length >= MAX_SUBSCRIPTIONS_PER_CONNECTION) {
+    const message =
+      'Too many subscriptions, at most ' + MAX_SUBSCRIPTIONS_PER_CONNECTION + ' are allowed';
+    log.warn('[SUBSCRIBE]: (id: ' + resource.id + ', url: ' + resource.url + ') ' + message);
+    emitResponse.call(this, resource, null, { statusCode: RATE_LIMIT_STATUS_CODE }, { message });
+    return;
+  }
+  resource.intervalTime = Math.max(
+    parseInt(resource.intervalTime, 10) || DEFAULT_SUBSCRIPTION_INTERVAL,
+    MIN_SUBSCRIPTION_INTERVAL
+  );
+  const subscription = {
+    resource,
+    lastResponse: null,
+    paused: false,
+  };
+  this.subscriptions[resource.id] = subscription;
+  pollSubscription.call(this, subscription);
+};
+
+Aggregator.prototype.unsubscribe = function(resource) {
+  const subscription = this.subscriptions[resource.id];
+  if (!subscription) {
+    return;
+  }
+  clearTimeout(subscription.resource.timerId);
+  delete this.subscriptions[resource.id];
+};
+
+/**
+ * Stops the timers of every subscription on this connection, for instance
+ * while the browser tab is not active. The last response is kept so that
+ * nothing is pushed on resume unless the resource changed in the meantime.
+ */
+Aggregator.prototype.pauseSubscriptions = function() {
+  Object.values(this.subscriptions).forEach((subscription) => {
+    subscription.paused = true;
+    clearTimeout(subscription.resource.timerId);
+  });
+};
+
+Aggregator.prototype.resumeSubscriptions = function() {
+  Object.values(this.subscriptions)
+    .filter((subscription) => subscription.paused)
+    .forEach((subscription) => {
+      subscription.paused = false;
+      pollSubscription.call(this, subscription);
+    });
+};
+
 /**
  * @private onSocketData
  * @param  {string} message received via socket
@@ -294,7 +529,7 @@ function emitResponse(resource, error, response, body) {
 function onSocketData(message) {
   try {
     message = JSON.parse(message);
-    var r = message.resource;
+    var r = message.resource || {};
     // early out if market place url is invalid. The server won't attempt to request the specified url.
     if (r.requestOrigin === REQUEST_ORIGIN_MARKET && !isVerifiedMarketHost(this.cdapConfig, r.url)) {
         log.debug('[REQUEST]: (method: ' + r.method + ', id: ' + r.id + ', url: ' + r.url + ')');
@@ -324,17 +559,35 @@ function onSocketData(message) {
         break;
       case 'request':
         r.startTs = Date.now();
-        if ((!r.requestOrigin || r.requestOrigin === REQUEST_ORIGIN_ROUTER) && this.cdapConfig['security.authentication.mode'] === 'PROXY') {
-          if (!r.headers) {
-            r.headers = {};
-          }
-          r.headers.Authorization = this.connection.authToken;
-          r.headers[this.cdapConfig['security.authentication.proxy.user.identity.header']] = this.connection.userid;
-        }
-        log.debug('[REQUEST]: (method: ' + r.method + ', id: ' + r.id + ', url: ' + r.url + ')');
-        request(r, emitResponse.bind(this, r)).on('error', function(err) {
-          log.error('[ERROR]: (url: ' + r.url + ') ' + err.message);
-        });
+        addProxyAuthHeaders.call(this, r);
+        addCorrelationId(r);
+        log.debug(
+          '[REQUEST]: (method: ' +
+            r.method +
+            ', id: ' +
+            r.id +
+            ', correlationId: ' +
+            r.correlationId +
+            ', url: ' +
+            r.url +
+            ')'
+        );
+        makeRateLimitedRequest.call(this, r);
+        break;
+      case 'subscribe':
+        addProxyAuthHeaders.call(this, r);
+        log.debug('[SUBSCRIBE]: (method: ' + r.method + ', id: ' + r.id + ', url: ' + r.url + ')');
+        this.subscribe(r);
+        break;
+      case 'unsubscribe':
+        log.debug('[UNSUBSCRIBE]: (id: ' + r.id + ')');
+        this.unsubscribe(r);
+        break;
+      case 'pause-subscriptions':
+        this.pauseSubscriptions();
+        break;
+      case 'resume-subscriptions':
+        this.resumeSubscriptions();
         break;
     }
   } catch (e) {
@@ -346,6 +599,10 @@ function onSocketData(message) {
  * @private onSocketClose
  */
 function onSocketClose() {
+  Object.values(this.subscriptions).forEach((subscription) => {
+    clearTimeout(subscription.resource.timerId);
+  });
+  this.subscriptions = {};
   log.debug('[SOCKET CLOSE] Connection to client "' + this.connection.id + '" closed');
 }
 
@@ -39,8 +39,32 @@ import uuidV4 from 'uuid/v4';
 import bodyParser from 'body-parser';
 import ejs from 'ejs';
 import fs from 'fs';
+import zlib from 'zlib';
+import { PassThrough } from 'stream';
 import * as uiThemeWrapper from 'server/uiThemeWrapper';
 import * as sessionToken from 'server/token';
+import { getCoalescingStats } from 'server/request-coalescer';
+import { accessLogMiddleware, CORRELATION_ID_HEADER } from 'server/access-log';
+import { rateLimitMiddleware } from 'server/rate-limiter';
+import {
+  getMockMode,
+  MOCK_MODE_RECORD,
+  MOCK_MODE_REPLAY,
+  replayMiddleware,
+  captureProxyRequestBody,
+  recordProxyResponse,
+  mockableStreamRequest,
+  mockableProxyRequest,
+} from 'server/mock-backend';
+import {
+  addTimeRangeToPath,
+  createLogFilterStream,
+  createZipWriter,
+  getContentDisposition,
+  getLogDownloadFilters,
+  getZipEntryName,
+  hasLineFilters,
+} from 'server/log-download';
 import log4js from 'log4js';
 
 /* global process, __dirname */
@@ -123,13 +147,42 @@ function makeApp(authAddress, cdapConfig, uiSettings) {
   }
 
   app.use(compression());
-  app.use(
-    '/api',
-    proxy(constructUrl.bind(null, cdapConfig), {
-      parseReqBody: false,
-      limit: '500gb',
-    })
-  );
+  app.use(['/api', '/downloadLogs', '/namespaces'], accessLogMiddleware(cdapConfig));
+  // the cookies are parsed here only for the limiter, the /api proxy forwards the raw request
+  app.use('/api', cookieParser(), rateLimitMiddleware(cdapConfig));
+  // forwards the correlation id assigned by accessLogMiddleware to the backend
+  const addCorrelationIdHeader = (proxyReqOpts, srcReq) => {
+    proxyReqOpts.headers[CORRELATION_ID_HEADER] = srcReq.correlationId;
+    return proxyReqOpts;
+  };
+
+  const mockMode = getMockMode();
+  if (mockMode === MOCK_MODE_REPLAY) {
+    log.info('[MOCK]: Serving /api from recorded fixtures');
+    app.use('/api', replayMiddleware);
+  } else if (mockMode === MOCK_MODE_RECORD) {
+    log.info('[MOCK]: Recording /api responses as fixtures');
+    // the body has to be parsed to be recorded along with the response
+    app.use(
+      '/api',
+      proxy(constructUrl.bind(null, cdapConfig), {
+        parseReqBody: true,
+        limit: '500gb',
+        proxyReqOptDecorator: addCorrelationIdHeader,
+        proxyReqBodyDecorator: captureProxyRequestBody,
+        userResDecorator: recordProxyResponse,
+      })
+    );
+  } else {
+    app.use(
+      '/api',
+      proxy(constructUrl.bind(null, cdapConfig), {
+        parseReqBody: false,
+        limit: '500gb',
+        proxyReqOptDecorator: addCorrelationIdHeader,
+      })
+    );
+  }
   app.use(bodyParser.json());
   app.use(bodyParser.urlencoded({ extended: false }));
   app.use(cookieParser());
@@ -394,18 +447,15 @@ function makeApp(authAddress, cdapConfig, uiSettings) {
     });
   });
 
-  app.get('/downloadLogs', function(req, res) {
-    var url = constructUrl(cdapConfig, decodeURIComponent(req.query.backendPath));
-    var method = req.query.method || 'GET';
-    log.info('Download Logs Start: ', url);
-    var customHeaders;
+  function getLogsRequestObject(req, backendPath) {
     var requestObject = {
-      method: method,
-      url: url,
+      method: req.query.method || 'GET',
+      url: constructUrl(cdapConfig, backendPath),
       rejectUnauthorized: false,
       requestCert: true,
       agent: false,
     };
+    var customHeaders;
 
     if (req.cookies && req.cookies['CDAP_Auth_Token']) {
       customHeaders = {
@@ -423,44 +473,180 @@ function makeApp(authAddress, cdapConfig, uiSettings) {
       }
     }
 
-    if (customHeaders) {
-      requestObject.headers = customHeaders;
+    requestObject.headers = {
+      ...customHeaders,
+      [CORRELATION_ID_HEADER]: req.correlationId,
+    };
+    return requestObject;
+  }
+
+  function setLogsResponseHeaders(res, responseHeaders) {
+    let strippedResponse = stripAuthHeadersInProxyMode(cdapConfig, {
+      headers: {
+        'Cache-Control': 'no-cache, no-store',
+        ...responseHeaders,
+      },
+    });
+    res.set(strippedResponse.headers);
+  }
+
+  /**
+   * Returns the set of logs requests made for the response, which are aborted when the download
+   * is cancelled. A single close listener is registered, however many logs are downloaded.
+   */
+  function abortLogsRequestsOnClose(res) {
+    const logsRequests = new Set();
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        logsRequests.forEach((logsRequest) => logsRequest.abort());
+      }
+    });
+    return logsRequests;
+  }
+
+  /**
+   * Resolves with the body of the logs response, filtered when it is successful. The body is piped
+   * as soon as the response arrives, so that nothing is lost before it is consumed.
+   */
+  function requestLogs(req, logsRequests, backendPath, filters) {
+    return new Promise((resolve, reject) => {
+      const logsRequest = mockableStreamRequest(getLogsRequestObject(req, backendPath))
+        .on('error', reject)
+        .on('response', (response) => {
+          const isSuccess = response.statusCode === 200;
+          const body =
+            isSuccess && hasLineFilters(filters)
+              ? createLogFilterStream(filters)
+              : new PassThrough();
+          response.on('error', (e) => body.destroy(e));
+          response.pipe(body);
+          resolve({ response, body, isSuccess });
+        });
+      logsRequests.add(logsRequest);
+    });
+  }
+
+  async function downloadLogsZip(req, res, filters) {
+    const backendPaths = [].concat(req.query.backendPath || []);
+    const entryNames = [].concat(req.query.entryName || []);
+    if (backendPaths.length === 0) {
+      res.status(400).send('At least one backendPath is required');
+      return;
+    }
+    if (backendPaths.some((backendPath) => typeof backendPath !== 'string')) {
+      res.status(400).send('Invalid backendPath');
+      return;
     }
 
-    var type = req.query.type;
-    var responseHeaders = {
-      'Cache-Control': 'no-cache, no-store',
-    };
+    const logsRequests = abortLogsRequestsOnClose(res);
+    const usedNames = new Set();
+    let zip;
+
+    async function addLogsEntry(path, i) {
+      const backendPath = addTimeRangeToPath(decodeURIComponent(path), filters);
+      log.info('Download Logs Start: ', backendPath);
+      const { response, body, isSuccess } = await requestLogs(
+        req,
+        logsRequests,
+        backendPath,
+        filters
+      );
+      const entryName = entryNames[i] || `logs-${i + 1}.log`;
+      if (!isSuccess) {
+        // the headers are already sent, so the failure is reported in the zip instead
+        log.error('Error request logs: ', backendPath, response.statusCode);
+      }
+      await zip.addEntry(
+        getZipEntryName(isSuccess ? entryName : `${entryName}.error.txt`, usedNames),
+        body
+      );
+    }
 
     try {
-      request(requestObject)
-        .on('error', function(e) {
-          log.error('Error request logs: ', e);
-        })
-        .on('response', function(response) {
-          // This happens when use tries to access the link directly when
-          // no autorization token present
-          if (response.statusCode === 200) {
-            if (type === 'download') {
-              var filename = req.query.filename;
-              responseHeaders['Content-Disposition'] = 'attachment; filename=' + filename;
-            } else {
-              responseHeaders['Content-Type'] = 'text/plain';
-            }
-            let strippedResponse = stripAuthHeadersInProxyMode(cdapConfig, {
-              headers: responseHeaders,
-            });
-            responseHeaders = strippedResponse.headers;
-            res.set(responseHeaders);
-          }
-        })
-        .pipe(res)
-        .on('error', function(e) {
-          log.error('Error downloading logs: ', e);
-        });
+      setLogsResponseHeaders(res, {
+        'Content-Type': 'application/zip',
+        'Content-Disposition': getContentDisposition(req.query.filename || 'logs.zip'),
+      });
+      zip = createZipWriter(res);
+      // the entries are written one at a time
+      await backendPaths.reduce(
+        (previous, path, i) => previous.then(() => addLogsEntry(path, i)),
+        Promise.resolve()
+      );
+      await zip.finalize();
     } catch (e) {
       log.error('Downloading logs failed, ', e);
+      res.destroy();
+    }
+  }
+
+  /**
+   * Downloads the raw logs of backendPath. Optional query parameters:
+   *  - logLevel, search, regex, logger: only the log entries matching them are sent
+   *  - start, stop: time range in seconds, passed to the backend
+   *  - compress=gzip: gzips the logs
+   *  - type=zip: downloads the logs of all the given backendPath parameters in a single zip,
+   *    with the file names from the entryName parameters
+   */
+  app.get('/downloadLogs', function(req, res) {
+    var filters;
+    try {
+      filters = getLogDownloadFilters(req.query);
+    } catch (e) {
+      res.status(400).send(e.message);
+      return;
+    }
+
+    var type = req.query.type;
+    if (type === 'zip') {
+      downloadLogsZip(req, res, filters).catch((e) => {
+        log.error('Downloading logs failed, ', e);
+        res.destroy();
+      });
+      return;
     }
+
+    // a repeated backendPath parameter is parsed as an array, only type=zip accepts several
+    if (typeof req.query.backendPath !== 'string') {
+      res.status(400).send('A single backendPath is required');
+      return;
+    }
+
+    var backendPath = addTimeRangeToPath(decodeURIComponent(req.query.backendPath), filters);
+    var isGzip = req.query.compress === 'gzip';
+    log.info('Download Logs Start: ', backendPath);
+
+    requestLogs(req, abortLogsRequestsOnClose(res), backendPath, filters)
+      .then(({ response, body, isSuccess }) => {
+        // This happens when use tries to access the link directly when
+        // no autorization token present
+        if (!isSuccess) {
+          res.status(response.statusCode);
+          if (response.headers['content-type']) {
+            res.set('Content-Type', response.headers['content-type']);
+          }
+          body.pipe(res);
+          return;
+        }
+
+        var responseHeaders = {};
+        if (type === 'download') {
+          var filename = req.query.filename + (isGzip ? '.gz' : '');
+          responseHeaders['Content-Disposition'] = getContentDisposition(filename);
+        }
+        responseHeaders['Content-Type'] = isGzip ? 'application/gzip' : 'text/plain';
+        setLogsResponseHeaders(res, responseHeaders);
+
+        (isGzip ? body.pipe(zlib.createGzip()) : body).pipe(res).on('error', function(e) {
+          log.error('Error downloading logs: ', e);
+        });
+      })
+      .catch((e) => {
+        log.error('Error request logs: ', e);
+        if (!res.headersSent) {
+          res.status(502).send(e.message);
+        }
+      });
   });
 
   /*
@@ -478,7 +664,7 @@ function makeApp(authAddress, cdapConfig, uiSettings) {
     Handle POST requests made outside of the websockets from front-end.
     For now it handles file upload POST /namespaces/:namespace/apps API
   */
-  app.post('/namespaces/:namespace/:path(*)', function(req, res) {
+  app.post('/namespaces/:namespace/:path(*)', rateLimitMiddleware(cdapConfig), function(req, res) {
     var headers = {};
     if (req.headers) {
       headers = req.headers;
@@ -497,9 +683,24 @@ function makeApp(authAddress, cdapConfig, uiSettings) {
       url: constructUrl(cdapConfig, constructedPath),
       headers: {
         'Content-Type': headers['content-type'],
+        [CORRELATION_ID_HEADER]: req.correlationId,
       },
     };
 
+    // the body is needed to record or find the fixture, so it is not streamed
+    if (mockMode) {
+      mockableProxyRequest(
+        req,
+        res,
+        opts,
+        (response) => stripAuthHeadersInProxyMode(cdapConfig, response).headers
+      ).catch(function(e) {
+        log.error(e);
+        res.status(500).send(e.message);
+      });
+      return;
+    }
+
     req
       .on('error', function(e) {
         log.error(e);
@@ -583,6 +784,23 @@ function makeApp(authAddress, cdapConfig, uiSettings) {
     res.send(200, 'OK');
   });
 
+  /**
+   * Counters for the requests proxied through the websocket aggregator.
+   * coalescedRequests is the number of upstream calls saved by sharing
+   * the response of an identical in-flight request.
+   *
+   * The endpoint is not authenticated, so it is only served when
+   * dashboard.request.stats.enabled = true
+   */
+  if (cdapConfig['dashboard.request.stats.enabled'] === 'true') {
+    app.get('/status/requests', function(req, res) {
+      res.header({
+        'Cache-Control': 'no-store, must-revalidate',
+      });
+      res.json(getCoalescingStats());
+    });
+  }
+
   app.get('/login', [
     function(req, res) {
       if (!authAddress.get() || req.headers.authorization) {
@@ -0,0 +1,343 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+/**
+ * @fileoverview helpers for /downloadLogs: filtering of raw program logs, and packaging the logs
+ * of several runs in a single zip file.
+ *
+ * Raw logs are plain text where every log entry starts with a line like
+ *   2024-01-15 10:23:45,123 - ERROR [main:i.c.c.Stage@42] - Failed to process record
+ * and continues with the lines of its stack trace, if any. Entries are filtered as a whole.
+ *
+ * The time range is not applied here: it is sent to the backend as the start and stop
+ * parameters of the logs endpoint, which know the timezone of the timestamps.
+ */
+
+import { Transform } from 'stream';
+import { StringDecoder } from 'string_decoder';
+import archiver from 'archiver';
+
+const LOG_LEVELS = ['TRACE', 'DEBUG', 'INFO', 'WARN', 'ERROR'];
+// regular expressions are run against every line of the logs in the node server process, so
+// their length is limited and patterns that can backtrack catastrophically are rejected
+export const MAX_SEARCH_PATTERN_LENGTH = 200;
+const ENTRY_START = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}:\d{2}\S*\s+-\s+(TRACE|DEBUG|INFO|WARN|ERROR)\b/;
+
+/**
+ * Returns why a regular expression could take exponential time to run, or null if it cannot:
+ * backreferences, and quantified groups that contain a quantifier or an alternation, like
+ * (a+)+ or (a|ab)*. Simple patterns like "error.*timeout" or "(foo|bar)" are safe.
+ */
+export function getUnsafePatternReason(source) {
+  if (source.length > MAX_SEARCH_PATTERN_LENGTH) {
+    return `it is longer than ${MAX_SEARCH_PATTERN_LENGTH} characters`;
+  }
+
+  // for every open group, whether it contains a quantifier or an alternation
+  const groups = [];
+  let inCharacterClass = false;
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (char === '\\') {
+      if (!inCharacterClass && /[1-9k]/.test(source[i + 1])) {
+        return 'backreferences are not supported';
+      }
+      i++;
+      continue;
+    }
+    if (inCharacterClass) {
+      inCharacterClass = char !== ']';
+      continue;
+    }
+
+    const isQuantifier = char === '*' || char === '+' || char === '?' || char === '{';
+    if (char === '[') {
+      inCharacterClass = true;
+    } else if (char === '(') {
+      groups.push(false);
+    } else if (char === '|' && groups.length > 0) {
+      groups[groups.length - 1] = true;
+    } else if (isQuantifier && groups.length > 0 && source[i - 1] !== '(') {
+      groups[groups.length - 1] = true;
+    } else if (char === ')') {
+      const isComplex = groups.pop();
+      const next = source[i + 1];
+      const isRepeated = next === '*' || next === '+' || next === '{';
+      if (isComplex && isRepeated) {
+        return 'a repeated group contains a quantifier or an alternation';
+      }
+      if (isComplex && groups.length > 0) {
+        groups[groups.length - 1] = true;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Reads the filters from the query of a /downloadLogs request.
+ * Throws an error with a message for the user if a filter is not valid.
+ *
+ * @param {Object} query - logLevel, logger, search, regex ('true'), start and stop (seconds)
+ */
+export function getLogDownloadFilters(query = {}) {
+  const filters = {
+    logLevel: null,
+    logger: null,
+    search: null,
+    start: null,
+    stop: null,
+  };
+
+  if (query.logLevel) {
+    const logLevel = String(query.logLevel).toUpperCase();
+    if (LOG_LEVELS.indexOf(logLevel) === -1) {
+      throw new Error(`Invalid log level ${query.logLevel}`);
+    }
+    filters.logLevel = logLevel;
+  }
+
+  if (query.logger) {
+    filters.logger = String(query.logger).toLowerCase();
+  }
+
+  if (query.search) {
+    const isRegex = query.regex === 'true';
+    const source = isRegex
+      ? String(query.search)
+      : String(query.search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const unsafeReason = isRegex ? getUnsafePatternReason(source) : null;
+    if (unsafeReason) {
+      throw new Error(`The regular expression cannot be used to filter the logs: ${unsafeReason}`);
+    }
+    try {
+      filters.search = new RegExp(source, 'i');
+    } catch (e) {
+      throw new Error(`Invalid regular expression ${query.search}`);
+    }
+  }
+
+  ['start', 'stop'].forEach((key) => {
+    if (query[key] === undefined || query[key] === '') {
+      return;
+    }
+    const value = parseInt(query[key], 10);
+    if (isNaN(value) || value < 0) {
+      throw new Error(`Invalid ${key} time ${query[key]}`);
+    }
+    filters[key] = value;
+  });
+
+  return filters;
+}
+
+export function hasLineFilters(filters) {
+  return !!(filters.logLevel || filters.logger || filters.search);
+}
+
+/**
+ * Adds the time range of the filters to the backend logs path.
+ */
+export function addTimeRangeToPath(backendPath, filters) {
+  const params = ['start', 'stop']
+    .filter((key) => filters[key] !== null)
+    .map((key) => `${key}=${filters[key]}`);
+  if (params.length === 0) {
+    return backendPath;
+  }
+  const separator = backendPath.indexOf('?') === -1 ? '?' : '&';
+  return `${backendPath}${separator}${params.join('&')}`;
+}
+
+function entryMatches(filters, level, lines) {
+  if (
+    filters.logLevel &&
+    level &&
+    LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(filters.logLevel)
+  ) {
+    return false;
+  }
+  // the logger (abbreviated class name) is on the first line of the entry
+  if (filters.logger && lines[0].toLowerCase().indexOf(filters.logger) === -1) {
+    return false;
+  }
+  if (filters.search && !lines.some((line) => filters.search.test(line))) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Transform stream that only lets the log entries matching the filters through.
+ * Lines before the first entry are treated as an entry without a level.
+ */
+export function createLogFilterStream(filters) {
+  const decoder = new StringDecoder('utf8');
+  let partialLine = '';
+  let entryLines = [];
+  let entryLevel = null;
+
+  function flushEntry(stream) {
+    if (entryLines.length > 0 && entryMatches(filters, entryLevel, entryLines)) {
+      stream.push(entryLines.join('\n') + '\n');
+    }
+    entryLines = [];
+    entryLevel = null;
+  }
+
+  function processLine(stream, line) {
+    const entryStart = ENTRY_START.exec(line);
+    if (entryStart) {
+      flushEntry(stream);
+      entryLevel = entryStart[1];
+    }
+    entryLines.push(line);
+  }
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      const lines = (partialLine + decoder.write(chunk)).split('\n');
+      partialLine = lines.pop();
+      lines.forEach((line) => processLine(this, line));
+      callback();
+    },
+    flush(callback) {
+      const lastLine = partialLine + decoder.end();
+      if (lastLine) {
+        processLine(this, lastLine);
+      }
+      flushEntry(this);
+      callback();
+    },
+  });
+}
+
+/**
+ * Streaming zip writer, on top of archiver. Entries are added one at a time, once the previous
+ * one has been read, so that the upstream requests are not all opened at once.
+ *
+ * When the output is closed before the zip is complete, e.g. because the client disconnected,
+ * the archive is aborted and the pending addEntry or finalize call is rejected.
+ *
+ * @param {stream.Writable} output - e.g. the express response
+ */
+export function createZipWriter(output) {
+  const archive = archiver('zip');
+  let failure = null;
+  let rejectPending = null;
+
+  function fail(error) {
+    if (failure) {
+      return;
+    }
+    failure = error;
+    archive.abort();
+    if (rejectPending) {
+      rejectPending(error);
+    }
+  }
+
+  function waitFor(event) {
+    return new Promise((resolve, reject) => {
+      if (failure) {
+        reject(failure);
+        return;
+      }
+      rejectPending = reject;
+      archive.once(event, () => {
+        rejectPending = null;
+        resolve();
+      });
+    });
+  }
+
+  archive.on('error', fail);
+  output.on('close', () => {
+    if (!output.writableFinished) {
+      fail(new Error('The output was closed before the zip was complete'));
+    }
+  });
+  archive.pipe(output);
+
+  /**
+   * Adds an entry with the content of the readable stream, and resolves once it has been read.
+   */
+  function addEntry(name, readable) {
+    const added = waitFor('entry');
+    if (!failure) {
+      readable.on('error', fail);
+      archive.append(readable, { name });
+    }
+    return added;
+  }
+
+  /**
+   * Writes the central directory and ends the output.
+   */
+  function finalize() {
+    const finished = waitFor('end');
+    if (!failure) {
+      archive.finalize();
+    }
+    return finished;
+  }
+
+  return { addEntry, finalize };
+}
+
+/**
+ * Makes the entry name unique within the zip, and safe to extract.
+ */
+export function getZipEntryName(name, usedNames) {
+  const safeName = String(name || 'logs')
+    .replace(/[\\/:*?"<>|]/g, '_')
+    .replace(/^\.+/, '');
+  let entryName = safeName || 'logs';
+  for (let i = 1; usedNames.has(entryName); i++) {
+    const extension = safeName.lastIndexOf('.');
+    entryName =
+      extension > 0
+        ? `${safeName.slice(0, extension)}-${i}${safeName.slice(extension)}`
+        : `${safeName}-${i}`;
+  }
+  usedNames.add(entryName);
+  return entryName;
+}
+
+/**
+ * Content-Disposition header of a downloaded file. Characters that are not allowed in a header
+ * value, like line feeds, would make setting the header throw, so the plain filename parameter
+ * only keeps printable ASCII and the full name is sent RFC 5987 encoded in filename*.
+ */
+export function getContentDisposition(filename) {
+  const name = String(filename);
+  const asciiName = name.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  let encodedName;
+  try {
+    encodedName = encodeURIComponent(name).replace(
+      /['()*]/g,
+      (char) =>
+        `%${char
+          .charCodeAt(0)
+          .toString(16)
+          .toUpperCase()}`
+    );
+  } catch (e) {
+    // lone surrogates cannot be encoded
+    return `attachment; filename="${asciiName}"`;
+  }
+  return `attachment; filename="${asciiName}"; filename*=UTF-8''${encodedName}`;
+}
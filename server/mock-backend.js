@@ -0,0 +1,361 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+/**
+ * @fileoverview serves the UI from recorded backend responses, so that it can run
+ * without a CDAP instance.
+ *
+ * CDAP_UI_MOCK_MODE=record  - requests go to the router and every response is saved
+ *                             as a fixture.
+ * CDAP_UI_MOCK_MODE=replay  - requests are answered from the fixtures. The router is
+ *                             never contacted.
+ *
+ * Fixtures are saved in CDAP_UI_MOCK_FIXTURES_DIR (cypress/fixtures/mock-backend by
+ * default). Namespace and application names in the url are replaced by {namespace}
+ * and {app}, and their occurrences in the response body by {{namespace}} and {{app}},
+ * so a response recorded for one pipeline is served for any other pipeline.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import EventEmitter from 'events';
+import { PassThrough } from 'stream';
+import request from 'request';
+import log4js from 'log4js';
+
+const log = log4js.getLogger('default');
+
+export const MOCK_MODE_RECORD = 'record';
+export const MOCK_MODE_REPLAY = 'replay';
+
+const TEMPLATED_SEGMENTS = {
+  namespaces: 'namespace',
+  apps: 'app',
+};
+
+export function getMockMode() {
+  const mode = process.env.CDAP_UI_MOCK_MODE;
+  if (mode === MOCK_MODE_RECORD || mode === MOCK_MODE_REPLAY) {
+    return mode;
+  }
+  return null;
+}
+
+function getFixturesDir() {
+  return (
+    process.env.CDAP_UI_MOCK_FIXTURES_DIR ||
+    path.join(process.cwd(), 'cypress', 'fixtures', 'mock-backend')
+  );
+}
+
+/**
+ * Splits a url into its templated path, the values that were replaced, and the query string.
+ * http://localhost:11015/v3/namespaces/default/apps/p1/runs?limit=1 gives
+ * { template: '/v3/namespaces/{namespace}/apps/{app}/runs', variables: { namespace: 'default', app: 'p1' }, query: 'limit=1' }
+ */
+export function templateUrl(rawUrl) {
+  const parsedUrl = new URL(rawUrl, 'http://localhost');
+  const variables = {};
+  const segments = parsedUrl.pathname.split('/');
+  const templatedSegments = segments.map((segment, i) => {
+    const variableName = TEMPLATED_SEGMENTS[segments[i - 1]];
+    if (!variableName || !segment) {
+      return segment;
+    }
+    variables[variableName] = decodeURIComponent(segment);
+    return `{${variableName}}`;
+  });
+  parsedUrl.searchParams.sort();
+
+  return {
+    template: templatedSegments.join('/'),
+    variables,
+    query: parsedUrl.searchParams.toString(),
+  };
+}
+
+/**
+ * Json bodies are normalized so that the same request made through the socket
+ * (body is an object) and through /api (body is a string) match the same fixture.
+ */
+function getRequestBody(body) {
+  if (body === undefined || body === null) {
+    return '';
+  }
+  if (Buffer.isBuffer(body)) {
+    body = body.toString('utf8');
+  }
+  if (typeof body !== 'string') {
+    return JSON.stringify(body);
+  }
+  try {
+    return JSON.stringify(JSON.parse(body));
+  } catch (e) {
+    return body;
+  }
+}
+
+function getFixturePath(method, rawUrl, body) {
+  const { template, query } = templateUrl(rawUrl);
+  const hash = crypto
+    .createHash('sha1')
+    .update(`${query}\n${getRequestBody(body)}`)
+    .digest('hex')
+    .slice(0, 12);
+  const fixtureDir = template
+    .split('/')
+    .filter((segment) => segment !== '')
+    .map((segment) => segment.replace(/[^\w{}.-]/g, '_'))
+    .join(path.sep);
+  return path.join(getFixturesDir(), fixtureDir, `${method.toUpperCase()}-${hash}.json`);
+}
+
+function replaceAll(str, search, replacement) {
+  return str.split(search).join(replacement);
+}
+
+/**
+ * Only quoted values are replaced, so that a short name (like 'default') is not
+ * replaced inside other strings of the response.
+ */
+function templateBody(body, variables) {
+  return Object.keys(variables).reduce(
+    (templatedBody, variableName) =>
+      replaceAll(templatedBody, `"${variables[variableName]}"`, `"{{${variableName}}}"`),
+    body
+  );
+}
+
+function fillBody(body, variables) {
+  return Object.keys(variables).reduce(
+    (filledBody, variableName) =>
+      replaceAll(filledBody, `{{${variableName}}}`, variables[variableName]),
+    body
+  );
+}
+
+export function saveFixture(method, rawUrl, requestBody, statusCode, contentType, responseBody) {
+  const fixturePath = getFixturePath(method, rawUrl, requestBody);
+  const { variables } = templateUrl(rawUrl);
+  const fixture = {
+    method: method.toUpperCase(),
+    url: templateUrl(rawUrl).template,
+    statusCode,
+    contentType,
+    body: templateBody(getRequestBody(responseBody), variables),
+  };
+  try {
+    fs.mkdirSync(path.dirname(fixturePath), { recursive: true });
+    fs.writeFileSync(fixturePath, JSON.stringify(fixture, null, 2));
+    log.debug('[MOCK RECORD]: ' + fixture.method + ' ' + rawUrl + ' -> ' + fixturePath);
+  } catch (e) {
+    log.error('[MOCK RECORD]: Unable to save fixture for ' + rawUrl + ': ' + e.message);
+  }
+}
+
+/**
+ * Returns { statusCode, contentType, body } for the request. A 404 is returned
+ * when there is no fixture for it.
+ */
+export function loadFixture(method, rawUrl, requestBody) {
+  const fixturePath = getFixturePath(method, rawUrl, requestBody);
+  const { variables } = templateUrl(rawUrl);
+  let fixture;
+  try {
+    fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+  } catch (e) {
+    log.warn('[MOCK REPLAY]: No fixture for ' + method + ' ' + rawUrl + ' (' + fixturePath + ')');
+    return {
+      statusCode: 404,
+      contentType: 'text/plain',
+      body: `No mock fixture for ${method} ${rawUrl}`,
+    };
+  }
+  log.debug('[MOCK REPLAY]: ' + method + ' ' + rawUrl + ' <- ' + fixturePath);
+  return {
+    statusCode: fixture.statusCode,
+    contentType: fixture.contentType,
+    body: fillBody(fixture.body, variables),
+  };
+}
+
+/**
+ * Drop-in replacement for request(options, callback) that records or replays
+ * the response depending on the mock mode.
+ */
+export function mockableRequest(options, callback) {
+  const mode = getMockMode();
+  const method = options.method || 'GET';
+
+  if (mode === MOCK_MODE_REPLAY) {
+    const emitter = new EventEmitter();
+    const { statusCode, contentType, body } = loadFixture(method, options.url, options.body);
+    let responseBody = body;
+    if (options.json) {
+      try {
+        responseBody = JSON.parse(body);
+      } catch (e) {
+        // not a json response, same as request would do
+      }
+    }
+    const response = {
+      statusCode,
+      headers: { 'content-type': contentType },
+      body: responseBody,
+    };
+    process.nextTick(() => callback(null, response, responseBody));
+    return emitter;
+  }
+
+  if (mode === MOCK_MODE_RECORD) {
+    return request(options, (error, response, body) => {
+      if (!error && response) {
+        saveFixture(
+          method,
+          options.url,
+          options.body,
+          response.statusCode,
+          response.headers && response.headers['content-type'],
+          body
+        );
+      }
+      callback(error, response, body);
+    });
+  }
+
+  return request(options, callback);
+}
+
+/**
+ * Same as mockableRequest, for requests whose response is streamed: request(options)
+ * without a callback. Only the 'response' and 'error' events and abort() are supported
+ * in replay mode.
+ */
+export function mockableStreamRequest(options) {
+  const mode = getMockMode();
+  const method = options.method || 'GET';
+
+  if (mode === MOCK_MODE_REPLAY) {
+    const emitter = new EventEmitter();
+    emitter.abort = () => {};
+    const { statusCode, contentType, body } = loadFixture(method, options.url, options.body);
+    const response = new PassThrough();
+    response.statusCode = statusCode;
+    response.headers = { 'content-type': contentType };
+    process.nextTick(() => {
+      emitter.emit('response', response);
+      response.end(body);
+    });
+    return emitter;
+  }
+
+  const streamRequest = request(options);
+  if (mode === MOCK_MODE_RECORD) {
+    streamRequest.on('response', (response) => {
+      const chunks = [];
+      response.on('data', (chunk) => chunks.push(chunk));
+      response.on('end', () => {
+        saveFixture(
+          method,
+          options.url,
+          options.body,
+          response.statusCode,
+          response.headers && response.headers['content-type'],
+          Buffer.concat(chunks).toString('utf8')
+        );
+      });
+    });
+  }
+  return streamRequest;
+}
+
+function readRequestBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(Buffer.from(chunk)));
+    req.on('error', reject);
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+  });
+}
+
+/**
+ * Sends the request to options.url with the body of req through mockableRequest,
+ * and the response to res. Used in record and replay mode for the routes that
+ * otherwise pipe the request to the router.
+ *
+ * @param {function} [getResponseHeaders] - (response) => headers to set on res
+ */
+export function mockableProxyRequest(req, res, options, getResponseHeaders) {
+  return readRequestBody(req).then((body) => {
+    mockableRequest({ ...options, body }, (error, response, responseBody) => {
+      if (error) {
+        log.error('[MOCK]: (url: ' + options.url + ') ' + error.message);
+        res.status(502).send(error.message);
+        return;
+      }
+      const headers = {
+        ...(getResponseHeaders ? getResponseHeaders(response) : response.headers),
+      };
+      // the body is sent as a whole, res.send sets its length
+      delete headers['content-length'];
+      delete headers['transfer-encoding'];
+      res.set(headers);
+      res.status(response.statusCode).send(responseBody);
+    });
+  });
+}
+
+/**
+ * Express middleware that answers /api requests from the fixtures in replay mode.
+ * Errors, e.g. of the request stream, are passed on to the express error handler.
+ */
+export function replayMiddleware(req, res, next) {
+  return readRequestBody(req)
+    .then((requestBody) => {
+      const { statusCode, contentType, body } = loadFixture(req.method, req.url, requestBody);
+      if (contentType) {
+        res.set('Content-Type', contentType);
+      }
+      res.status(statusCode).send(body);
+    })
+    .catch(next);
+}
+
+/**
+ * proxyReqBodyDecorator for express-http-proxy that keeps the request body, as the
+ * fixture for a request depends on it.
+ */
+export function captureProxyRequestBody(bodyContent, srcReq) {
+  srcReq.mockBackendRequestBody = bodyContent ? bodyContent.toString('utf8') : '';
+  return bodyContent;
+}
+
+/**
+ * userResDecorator for express-http-proxy that saves /api responses in record mode.
+ */
+export function recordProxyResponse(proxyRes, proxyResData, userReq) {
+  const requestBody = userReq.mockBackendRequestBody || '';
+  saveFixture(
+    userReq.method,
+    userReq.url,
+    requestBody,
+    proxyRes.statusCode,
+    proxyRes.headers['content-type'],
+    proxyResData.toString('utf8')
+  );
+  return proxyResData;
+}
@@ -0,0 +1,188 @@
+/*
+ * Copyright © 2024 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+/**
+ * @fileoverview limits the requests a single user (or browser session, when the
+ * user is not known) can send to the backend through the node server.
+ *
+ * Two limits are enforced:
+ *  - a rate limit (token bucket): dashboard.ratelimit.requests.per.sec, with bursts
+ *    of up to dashboard.ratelimit.burst requests
+ *  - a cap on requests in flight at the same time: dashboard.ratelimit.max.concurrent.requests
+ *
+ * Rejected requests get a 429. Limits are only enforced with dashboard.ratelimit.enabled = true,
+ * see the README for the defaults
+ *
+ * Http requests without a user or auth token are not limited, as the client ip is usually
+ * the one of a load balancer shared by all users. They are limited by ip when
+ * dashboard.ratelimit.anonymous.by.ip = true
+ */
+
+import crypto from 'crypto';
+import { getRequestUser } from 'server/access-log';
+
+const DEFAULT_REQUESTS_PER_SEC = 50;
+const DEFAULT_BURST = 100;
+const DEFAULT_MAX_CONCURRENT_REQUESTS = 30;
+// buckets that have not been used for this long are dropped
+const IDLE_BUCKET_TIMEOUT = 10 * 60 * 1000;
+
+export const RATE_LIMIT_STATUS_CODE = 429;
+
+const buckets = new Map();
+
+function getConfigNumber(cdapConfig, key, defaultValue) {
+  const value = parseFloat(cdapConfig[key]);
+  return isNaN(value) || value <= 0 ? defaultValue : value;
+}
+
+function getLimits(cdapConfig) {
+  return {
+    requestsPerSec: getConfigNumber(
+      cdapConfig,
+      'dashboard.ratelimit.requests.per.sec',
+      DEFAULT_REQUESTS_PER_SEC
+    ),
+    burst: getConfigNumber(cdapConfig, 'dashboard.ratelimit.burst', DEFAULT_BURST),
+    maxConcurrentRequests: getConfigNumber(
+      cdapConfig,
+      'dashboard.ratelimit.max.concurrent.requests',
+      DEFAULT_MAX_CONCURRENT_REQUESTS
+    ),
+  };
+}
+
+export function isRateLimitEnabled(cdapConfig) {
+  return cdapConfig['dashboard.ratelimit.enabled'] === 'true';
+}
+
+/**
+ * Returns the key requests are limited by: the user id (PROXY mode), otherwise
+ * the auth token, otherwise the given session id. Tokens are hashed so that they
+ * are not kept in memory.
+ *
+ * @param {Object} identity
+ * @param {string} [identity.user]
+ * @param {string} [identity.authorization] - value of the Authorization header
+ * @param {string} identity.sessionId - socket connection id or client ip
+ */
+export function getRateLimitKey({ user, authorization, sessionId }) {
+  if (user) {
+    return `user:${user}`;
+  }
+  if (authorization) {
+    return `token:${crypto
+      .createHash('sha256')
+      .update(authorization)
+      .digest('hex')}`;
+  }
+  return `session:${sessionId}`;
+}
+
+function getBucket(key, limits) {
+  const now = Date.now();
+  let bucket = buckets.get(key);
+  if (!bucket) {
+    bucket = { tokens: limits.burst, lastRefill: now, inflight: 0 };
+    buckets.set(key, bucket);
+  }
+  const elapsedSecs = (now - bucket.lastRefill) / 1000;
+  bucket.tokens = Math.min(limits.burst, bucket.tokens + elapsedSecs * limits.requestsPerSec);
+  bucket.lastRefill = now;
+  return bucket;
+}
+
+function removeIdleBuckets() {
+  const now = Date.now();
+  buckets.forEach((bucket, key) => {
+    if (bucket.inflight === 0 && now - bucket.lastRefill > IDLE_BUCKET_TIMEOUT) {
+      buckets.delete(key);
+    }
+  });
+}
+setInterval(removeIdleBuckets, IDLE_BUCKET_TIMEOUT).unref();
+
+/**
+ * Reserves a request slot for the key. Returns null if the request can go
+ * upstream, in which case releaseRequestSlot must be called once it completes.
+ * Otherwise returns { message, retryAfterSecs } describing why it was rejected.
+ */
+export function acquireRequestSlot(cdapConfig, key) {
+  if (!isRateLimitEnabled(cdapConfig)) {
+    return null;
+  }
+  const limits = getLimits(cdapConfig);
+  const bucket = getBucket(key, limits);
+  if (bucket.inflight >= limits.maxConcurrentRequests) {
+    return {
+      message: `Too many concurrent requests. At most ${limits.maxConcurrentRequests} requests can be in progress at a time.`,
+      retryAfterSecs: 1,
+    };
+  }
+  if (bucket.tokens < 1) {
+    return {
+      message: `Too many requests. At most ${limits.requestsPerSec} requests per second are allowed.`,
+      retryAfterSecs: Math.ceil((1 - bucket.tokens) / limits.requestsPerSec),
+    };
+  }
+  bucket.tokens -= 1;
+  bucket.inflight++;
+  return null;
+}
+
+export function releaseRequestSlot(cdapConfig, key) {
+  if (!isRateLimitEnabled(cdapConfig)) {
+    return;
+  }
+  const bucket = buckets.get(key);
+  if (bucket && bucket.inflight > 0) {
+    bucket.inflight--;
+  }
+}
+
+/**
+ * Express middleware enforcing the limits on http requests proxied to the backend.
+ * The auth token is read from the cookies too, so cookieParser has to run first.
+ */
+export function rateLimitMiddleware(cdapConfig) {
+  return (req, res, next) => {
+    const user = getRequestUser(cdapConfig, req.headers);
+    const authorization = req.headers.authorization || (req.cookies && req.cookies.CDAP_Auth_Token);
+    if (!user && !authorization && cdapConfig['dashboard.ratelimit.anonymous.by.ip'] !== 'true') {
+      return next();
+    }
+    const key = getRateLimitKey({ user, authorization, sessionId: req.ip });
+    const rejection = acquireRequestSlot(cdapConfig, key);
+    if (rejection) {
+      res.set('Retry-After', String(rejection.retryAfterSecs));
+      return res.status(RATE_LIMIT_STATUS_CODE).json({
+        message: rejection.message,
+        retryAfterSecs: rejection.retryAfterSecs,
+      });
+    }
+    let released = false;
+    const release = () => {
+      if (!released) {
+        released = true;
+        releaseRequestSlot(cdapConfig, key);
+      }
+    };
+    // 'close' is emitted when the client goes away before the response is sent
+    res.on('finish', release);
+    res.on('close', release);
+    next();
+  };
+}
@@ -0,0 +1,92 @@
+/*
+ * Copyright © 2023 Cask Data, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+/**
+ * @fileoverview de-duplicates identical in-flight GET requests made through the
+ * aggregator. The first request for a key goes upstream; every identical request
+ * that arrives before it completes is parked and receives the same response.
+ *
+ * The key includes the request headers, so requests carrying different auth
+ * tokens (different users) are never merged. The correlation id header is left
+ * out of the key as it is different for every request.
+ */
+
+import { CORRELATION_ID_HEADER } from 'server/access-log';
+
+const inflightRequests = new Map();
+const stats = {
+  upstreamRequests: 0,
+  coalescedRequests: 0,
+};
+
+/**
+ * Returns the key used to match identical requests, or null if the request
+ * should not be coalesced (anything other than a GET).
+ *
+ * @param {Object} resource - resource object sent through the socket, with the url already constructed
+ */
+export function getCoalescingKey(resource) {
+  if (!resource || !resource.url) {
+    return null;
+  }
+  const method = (resource.method || 'GET').toUpperCase();
+  if (method !== 'GET') {
+    return null;
+  }
+  const headers = resource.headers || {};
+  const normalizedHeaders = Object.keys(headers)
+    .filter((header) => header.toLowerCase() !== CORRELATION_ID_HEADER.toLowerCase())
+    .sort()
+    .map((header) => `${header.toLowerCase()}:${headers[header]}`)
+    .join(';');
+  return [method, resource.url, resource.json ? 'json' : 'raw', normalizedHeaders].join('|');
+}
+
+/**
+ * Makes the upstream request only if an identical one is not already in flight.
+ *
+ * @param {string|null} key - key from getCoalescingKey. A null key always goes upstream.
+ * @param {function} makeRequest - called with a single callback (error, response, body) to make the actual request
+ * @param {function} callback - called with (error, response, body) once the upstream request completes
+ */
+export function coalesceRequest(key, makeRequest, callback) {
+  if (key === null) {
+    stats.upstreamRequests++;
+    return makeRequest(callback);
+  }
+
+  if (inflightRequests.has(key)) {
+    stats.coalescedRequests++;
+    inflightRequests.get(key).push(callback);
+    return;
+  }
+
+  stats.upstreamRequests++;
+  inflightRequests.set(key, [callback]);
+  return makeRequest((error, response, body) => {
+    const callbacks = inflightRequests.get(key) || [];
+    inflightRequests.delete(key);
+    callbacks.forEach((cb) => cb(error, response, body));
+  });
+}
+
+export function getCoalescingStats() {
+  return {
+    upstreamRequests: stats.upstreamRequests,
+    coalescedRequests: stats.coalescedRequests,
+    inflightRequests: inflightRequests.size,
+  };
+}